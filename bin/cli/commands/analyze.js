@@ -0,0 +1,104 @@
+import { EXIT_CODES, notFoundError, parseCommandArgs } from '../infrastructure.js';
+import { openGraph, applyCursorCeiling, emitCursorWarning } from '../shared.js';
+import { analyzeSchema } from '../schemas.js';
+
+/** @typedef {import('../types.js').CliOptions} CliOptions */
+
+const ANALYZE_OPTIONS = {
+  measure: { type: 'string' },
+  dir: { type: 'string' },
+  label: { type: 'string', multiple: true },
+  seed: { type: 'string', multiple: true },
+  top: { type: 'string' },
+  'max-nodes': { type: 'string' },
+  damping: { type: 'string' },
+};
+
+/** @param {string[]} values */
+function splitCommaList(values) {
+  return values.flatMap((value) => value.split(',').map((s) => s.trim()).filter(Boolean));
+}
+
+/**
+ * Runs the requested measure through `graph.traverse`.
+ *
+ * @param {import('../types.js').WarpGraphInstance} graph
+ * @param {{ measure: string, seeds: string[], options: Record<string, unknown> }} params
+ * @returns {Promise<{ scores: Map<string, number>, iterations?: number, converged?: boolean }>}
+ */
+function runMeasure(graph, { measure, seeds, options }) {
+  const { traverse } = graph;
+  if (measure === 'pagerank') {
+    return seeds.length > 0
+      ? traverse.personalizedPageRank(seeds, options)
+      : traverse.pageRank(options);
+  }
+  if (measure === 'degree') {
+    return traverse.degreeCentrality(options);
+  }
+  if (measure === 'closeness') {
+    return traverse.closenessCentrality(options);
+  }
+  return traverse.betweennessCentrality(options);
+}
+
+/**
+ * Orders scores highest first, ties by node ID, and keeps the first `top`
+ * (all when `top` is 0).
+ *
+ * @param {Map<string, number>} scores
+ * @param {number} top
+ * @returns {Array<{ id: string, score: number }>}
+ */
+function rankScores(scores, top) {
+  const ranked = [...scores]
+    .map(([id, score]) => ({ id, score }))
+    .sort((a, b) => b.score - a.score || (a.id < b.id ? -1 : a.id > b.id ? 1 : 0));
+  return top > 0 ? ranked.slice(0, top) : ranked;
+}
+
+/**
+ * Handles the `analyze` command: ranks nodes by PageRank or a centrality
+ * measure.
+ * @param {{options: CliOptions, args: string[]}} params
+ * @returns {Promise<{payload: unknown, exitCode: number}>}
+ */
+export default async function handleAnalyze({ options, args }) {
+  const { values } = parseCommandArgs(args, ANALYZE_OPTIONS, analyzeSchema);
+  const labels = splitCommaList(values.labels);
+  const seeds = splitCommaList(values.seeds);
+  const { graph, graphName, persistence } = await openGraph(options);
+  const cursorInfo = await applyCursorCeiling(graph, persistence, graphName);
+  emitCursorWarning(cursorInfo, null);
+
+  try {
+    const { scores, iterations, converged } = await runMeasure(graph, {
+      measure: values.measure,
+      seeds,
+      options: {
+        dir: values.dir,
+        labelFilter: labels.length > 0 ? labels : undefined,
+        maxNodes: values.maxNodes,
+        damping: values.damping,
+      },
+    });
+
+    const payload = {
+      graph: graphName,
+      measure: values.measure,
+      dir: values.dir,
+      labels,
+      seeds,
+      nodeCount: scores.size,
+      ...(iterations !== undefined ? { iterations, converged } : {}),
+      scores: rankScores(scores, values.top),
+    };
+
+    return { payload, exitCode: EXIT_CODES.OK };
+  } catch (error) {
+    if (error instanceof Error && /** @type {{code?: string}} */ (error).code === 'NODE_NOT_FOUND') {
+      throw notFoundError(error.message);
+    }
+    throw error;
+  }
+}
@@ -0,0 +1,40 @@
+import { EXIT_CODES, parseCommandArgs } from '../infrastructure.js';
+import { conflictsSchema } from '../schemas.js';
+import { openGraph } from '../shared.js';
+
+/** @typedef {import('../types.js').CliOptions} CliOptions */
+
+const CONFLICTS_OPTIONS = {
+  node: { type: 'string' },
+  key: { type: 'string' },
+  since: { type: 'string' },
+};
+
+/**
+ * Handles the `conflicts` command: lists concurrent property writes that
+ * lost Last-Write-Wins resolution.
+ * @param {{options: CliOptions, args: string[]}} params
+ * @returns {Promise<{payload: unknown, exitCode: number}>}
+ */
+export default async function handleConflicts({ options, args }) {
+  const { values } = parseCommandArgs(args, CONFLICTS_OPTIONS, conflictsSchema);
+  const { graph, graphName } = await openGraph(options);
+
+  const conflicts = await graph.getConflicts({
+    ...(values.node !== undefined ? { nodeId: values.node } : {}),
+    ...(values.key !== undefined ? { key: values.key } : {}),
+    ...(values.since !== undefined ? { since: values.since } : {}),
+  });
+
+  const payload = {
+    graph: graphName,
+    filter: {
+      node: values.node ?? null,
+      key: values.key ?? null,
+      since: values.since ?? null,
+    },
+    conflicts,
+  };
+
+  return { payload, exitCode: EXIT_CODES.OK };
+}
@@ -8,7 +8,9 @@
  */
 
 import HealthCheckService from '../../../../src/domain/services/HealthCheckService.js';
+import WarpGraph from '../../../../src/domain/WarpGraph.js';
 import ClockAdapter from '../../../../src/infrastructure/adapters/ClockAdapter.js';
+import WebCryptoAdapter from '../../../../src/infrastructure/adapters/WebCryptoAdapter.js';
 import {
   buildCheckpointRef,
   buildCoverageRef,
@@ -405,6 +407,62 @@ function buildHookFinding(s) {
   };
 }
 
+// ── graph-acyclic ───────────────────────────────────────────────────────────
+
+/** Most cycles listed in the evidence of a graph-acyclic finding. */
+const MAX_REPORTED_CYCLES = 20;
+
+/**
+ * Materializes the graph and looks for cycles among edges with the labels
+ * in `ctx.cycleLabels` (all labels when empty). Runs only with `--cycles`.
+ *
+ * @param {DoctorContext} ctx
+ * @returns {Promise<DoctorFinding>}
+ */
+export async function checkGraphAcyclic(ctx) {
+  try {
+    const graph = await WarpGraph.open({
+      persistence: /** @type {import('../../../../src/domain/types/WarpPersistence.js').CorePersistence} */ (/** @type {unknown} */ (ctx.persistence)),
+      graphName: ctx.graphName,
+      writerId: 'doctor',
+      crypto: new WebCryptoAdapter(),
+    });
+    await graph.materialize();
+    const labels = ctx.cycleLabels ?? [];
+    const { cycles, truncated } = await graph.traverse.findCycles({
+      labelFilter: labels.length > 0 ? labels : undefined,
+      maxCycles: MAX_REPORTED_CYCLES,
+    });
+    return buildCycleFinding({ labels, cycles, truncated });
+  } catch (err) {
+    return internalError('graph-acyclic', err);
+  }
+}
+
+/**
+ * @param {{labels: string[], cycles: string[][], truncated: boolean}} p
+ * @returns {DoctorFinding}
+ */
+function buildCycleFinding({ labels, cycles, truncated }) {
+  const scope = labels.length > 0 ? `edges labeled ${labels.join(', ')}` : 'all edges';
+  if (cycles.length === 0) {
+    return {
+      id: 'graph-acyclic', status: 'ok', code: CODES.GRAPH_ACYCLIC,
+      impact: 'data_integrity', message: `No cycles among ${scope}`,
+      evidence: { labels },
+    };
+  }
+  const example = [...cycles[0], cycles[0][0]].join(' -> ');
+  const count = truncated ? `More than ${cycles.length}` : String(cycles.length);
+  return {
+    id: 'graph-acyclic', status: 'warn', code: CODES.GRAPH_CYCLES_FOUND,
+    impact: 'data_integrity',
+    message: `${count} cycle(s) among ${scope}, e.g. ${example}`,
+    fix: 'Remove one edge from each listed cycle (see evidence.cycles)',
+    evidence: { labels, cycles, truncated },
+  };
+}
+
 // ── registry ────────────────────────────────────────────────────────────────
 
 /**
@@ -420,3 +478,11 @@ export const ALL_CHECKS = [
   { id: 'clock-skew', fn: checkClockSkew },
   { id: 'hooks-installed', fn: checkHooksInstalled },
 ];
+
+/**
+ * Checks run only when asked for by flag, keyed by the flag.
+ * @type {{cycles: {id: string, fn: function(DoctorContext): Promise<DoctorFinding|DoctorFinding[]|null>}}}
+ */
+export const OPTIONAL_CHECKS = {
+  cycles: { id: 'graph-acyclic', fn: checkGraphAcyclic },
+};
@@ -40,6 +40,10 @@ export const CODES = {
   HOOKS_MISSING: 'HOOKS_MISSING',
   HOOKS_OUTDATED: 'HOOKS_OUTDATED',
 
+  // graph-acyclic (--cycles)
+  GRAPH_ACYCLIC: 'GRAPH_ACYCLIC',
+  GRAPH_CYCLES_FOUND: 'GRAPH_CYCLES_FOUND',
+
   // meta
   CHECK_SKIPPED_BUDGET_EXHAUSTED: 'CHECK_SKIPPED_BUDGET_EXHAUSTED',
   CHECK_INTERNAL_ERROR: 'CHECK_INTERNAL_ERROR',
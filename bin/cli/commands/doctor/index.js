@@ -11,7 +11,7 @@ import { buildWritersPrefix } from '../../../../src/domain/utils/RefLayout.js';
 import { parseCommandArgs } from '../../infrastructure.js';
 import { doctorSchema } from '../../schemas.js';
 import { createPersistence, resolveGraphName } from '../../shared.js';
-import { ALL_CHECKS } from './checks.js';
+import { ALL_CHECKS, OPTIONAL_CHECKS } from './checks.js';
 import { CODES } from './codes.js';
 import { DOCTOR_EXIT_CODES } from './types.js';
 
@@ -22,6 +22,8 @@ import { DOCTOR_EXIT_CODES } from './types.js';
 
 const DOCTOR_OPTIONS = {
   strict: { type: 'boolean', default: false },
+  cycles: { type: 'boolean', default: false },
+  label: { type: 'string', multiple: true },
 };
 
 /** @type {DoctorPolicy} */
@@ -55,9 +57,16 @@ export default async function handleDoctor({ options, args }) {
   const writerHeads = await collectWriterHeads(persistence, graphName);
 
   /** @type {import('./types.js').DoctorContext} */
-  const ctx = { persistence, graphName, writerHeads, policy, repoPath: options.repo };
+  const ctx = {
+    persistence, graphName, writerHeads, policy, repoPath: options.repo,
+    // Expand comma-separated labels
+    cycleLabels: values.cycles
+      ? values.labels.flatMap((/** @type {string} */ l) => l.split(',').map((/** @type {string} */ s) => s.trim()).filter(Boolean))
+      : null,
+  };
+  const checks = values.cycles ? [...ALL_CHECKS, OPTIONAL_CHECKS.cycles] : ALL_CHECKS;
 
-  const { findings, checksRun } = await runChecks(ctx, startMs);
+  const { findings, checksRun } = await runChecks(ctx, checks, startMs);
   findings.sort(compareFinding);
 
   const payload = assemblePayload({ repo: options.repo, graph: graphName, policy, findings, checksRun, startMs });
@@ -125,16 +134,17 @@ async function collectWriterHeads(persistence, graphName) {
 }
 
 /**
- * Runs all checks with global deadline enforcement.
+ * Runs the given checks with global deadline enforcement.
  * @param {import('./types.js').DoctorContext} ctx
+ * @param {typeof ALL_CHECKS} checks
  * @param {number} startMs
  * @returns {Promise<{findings: DoctorFinding[], checksRun: number}>}
  */
-async function runChecks(ctx, startMs) {
+async function runChecks(ctx, checks, startMs) {
   const findings = /** @type {DoctorFinding[]} */ ([]);
   let checksRun = 0;
 
-  for (const check of ALL_CHECKS) {
+  for (const check of checks) {
     const elapsed = Date.now() - startMs;
     if (elapsed >= ctx.policy.globalDeadlineMs) {
       findings.push({
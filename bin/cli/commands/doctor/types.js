@@ -70,6 +70,8 @@
  * @property {Array<{writerId: string, sha: string|null, ref: string}>} writerHeads
  * @property {DoctorPolicy} policy
  * @property {string} repoPath
+ * @property {string[]|null} [cycleLabels] - Edge labels the graph-acyclic check covers
+ *   (all labels when empty); null when `--cycles` was not given
  */
 
 /**
@@ -1,7 +1,7 @@
 import WebCryptoAdapter from '../../../src/infrastructure/adapters/WebCryptoAdapter.js';
 import WarpGraph from '../../../src/domain/WarpGraph.js';
 import { EXIT_CODES, notFoundError } from '../infrastructure.js';
-import { createPersistence, listGraphNames, readActiveCursor, emitCursorWarning } from '../shared.js';
+import { createPersistence, listGraphNames, readActiveCursor, emitCursorWarning, readRecordedMergePolicies } from '../shared.js';
 
 /** @typedef {import('../types.js').CliOptions} CliOptions */
 /** @typedef {import('../types.js').Persistence} Persistence */
@@ -17,6 +17,7 @@ async function materializeOneGraph({ persistence, graphName, writerId, ceiling }
     graphName,
     writerId,
     crypto: new WebCryptoAdapter(),
+    mergePolicies: await readRecordedMergePolicies(persistence, graphName),
   });
   await graph.materialize(ceiling !== undefined ? { ceiling } : undefined);
   const nodes = await graph.getNodes();
@@ -1,5 +1,6 @@
-import { EXIT_CODES, usageError, notFoundError, parseCommandArgs } from '../infrastructure.js';
+import { CliError, EXIT_CODES, usageError, notFoundError, parseCommandArgs } from '../infrastructure.js';
 import { openGraph } from '../shared.js';
+import RevertError from '../../../src/domain/errors/RevertError.js';
 import { z } from 'zod';
 
 /** @typedef {import('../types.js').CliOptions} CliOptions */
@@ -14,6 +15,14 @@ const patchSchema = z.object({
   limit: z.coerce.number().int().positive().optional(),
 }).strict();
 
+const REVERT_OPTIONS = {
+  force: { type: 'boolean', default: false },
+};
+
+const revertSchema = z.object({
+  force: z.boolean().default(false),
+}).strict();
+
 /**
  * Collects all patches across all writers (or a single writer).
  * @param {import('../types.js').WarpGraphInstance} graph
@@ -35,12 +44,12 @@ async function collectPatches(graph, writerFilter) {
 }
 
 /**
- * Handles the `patch` command: show or list decoded patches.
+ * Handles the `patch` command: show or list decoded patches, or revert one.
  * @param {{options: CliOptions, args: string[]}} params
  * @returns {Promise<{payload: unknown, exitCode: number}>}
  */
 export default async function handlePatch({ options, args }) {
-  // First positional is the subaction: show or list
+  // First positional is the subaction: show, list, or revert
   const subaction = args[0];
   const rest = args.slice(1);
 
@@ -50,10 +59,13 @@ export default async function handlePatch({ options, args }) {
   if (subaction === 'list') {
     return await handlePatchList({ options, args: rest });
   }
+  if (subaction === 'revert') {
+    return await handlePatchRevert({ options, args: rest });
+  }
   if (!subaction) {
-    throw usageError('Usage: warp-graph patch <show|list> [options]\n  show <sha>   Decode and display a single patch\n  list         List all patches');
+    throw usageError('Usage: warp-graph patch <show|list|revert> [options]\n  show <sha>     Decode and display a single patch\n  list           List all patches\n  revert <sha>   Commit the inverse of a patch (--force if later patches touched the same keys)');
   }
-  throw usageError(`Unknown patch subaction: ${subaction}. Use: show, list`);
+  throw usageError(`Unknown patch subaction: ${subaction}. Use: show, list, revert`);
 }
 
 /**
@@ -86,6 +98,49 @@ async function handlePatchShow({ options, args }) {
   return { payload, exitCode: EXIT_CODES.OK };
 }
 
+/**
+ * Reverts a patch as the CLI writer (`--writer`, default `cli`).
+ * @param {{options: CliOptions, args: string[]}} params
+ * @returns {Promise<{payload: unknown, exitCode: number}>}
+ */
+async function handlePatchRevert({ options, args }) {
+  const { values, positionals } = parseCommandArgs(args, REVERT_OPTIONS, revertSchema, { allowPositionals: true });
+  if (!positionals[0]) {
+    throw usageError('Usage: warp-graph patch revert <sha> [--force]');
+  }
+  const targetSha = positionals[0];
+  const { graph, graphName } = await openGraph(options);
+  const allPatches = await collectPatches(graph, null);
+
+  const match = allPatches.find((p) => p.sha === targetSha || p.sha.startsWith(targetSha));
+  if (!match) {
+    throw notFoundError(`Patch not found: ${targetSha}`);
+  }
+
+  let sha;
+  try {
+    sha = await graph.revert(match.sha, { force: values.force });
+  } catch (err) {
+    if (!(err instanceof RevertError)) {
+      throw err;
+    }
+    const later = err.superseded.map((s) => `${s.sha.slice(0, 7)} (${s.targets.join(', ')})`).join('; ');
+    const message = err.code === 'E_REVERT_SUPERSEDED'
+      ? `Patch ${match.sha.slice(0, 7)} has been superseded by ${later}. Use --force to revert anyway`
+      : err.message;
+    throw new CliError(message, { code: err.code, cause: err });
+  }
+
+  const payload = {
+    graph: graphName,
+    reverted: match.sha,
+    sha,
+    writer: options.writer,
+  };
+
+  return { payload, exitCode: EXIT_CODES.OK };
+}
+
 /**
  * @param {{options: CliOptions, args: string[]}} params
  * @returns {Promise<{payload: unknown, exitCode: number}>}
@@ -12,6 +12,7 @@ const PATH_OPTIONS = {
   dir: { type: 'string' },
   label: { type: 'string', multiple: true },
   'max-depth': { type: 'string' },
+  k: { type: 'string' },
 };
 
 /** @param {string[]} args */
@@ -37,11 +38,49 @@ function parsePathArgs(args) {
     labelFilter = labels;
   }
 
-  return { from, to, dir: values.dir, labelFilter, maxDepth: values.maxDepth };
+  return { from, to, dir: values.dir, labelFilter, maxDepth: values.maxDepth, k: values.k };
 }
 
 /**
- * Handles the `path` command: finds a shortest path between two nodes.
+ * Finds the k shortest paths and shapes them like a shortestPath result,
+ * with the full ranking under `paths`.
+ * @param {import('../types.js').WarpGraphInstance} graph
+ * @param {ReturnType<typeof parsePathArgs> & { k: number }} pathOptions
+ */
+async function findRankedPaths(graph, pathOptions) {
+  const { paths } = await graph.traverse.kShortestPaths(pathOptions.from, pathOptions.to, {
+    k: pathOptions.k,
+    dir: pathOptions.dir,
+    labelFilter: pathOptions.labelFilter,
+  });
+  const ranked = paths.map((/** @type {{path: string[]}} */ { path }) => ({ path, length: path.length - 1 }));
+  return {
+    found: ranked.length > 0,
+    path: ranked[0]?.path ?? [],
+    length: ranked[0]?.length ?? -1,
+    paths: ranked,
+  };
+}
+
+/**
+ * Finds the shortest path, or with `--k` the k shortest.
+ * @param {import('../types.js').WarpGraphInstance} graph
+ * @param {ReturnType<typeof parsePathArgs>} pathOptions
+ */
+function findPaths(graph, pathOptions) {
+  if (pathOptions.k !== undefined) {
+    return findRankedPaths(graph, { ...pathOptions, k: pathOptions.k });
+  }
+  return graph.traverse.shortestPath(pathOptions.from, pathOptions.to, {
+    dir: pathOptions.dir,
+    labelFilter: pathOptions.labelFilter,
+    maxDepth: pathOptions.maxDepth,
+  });
+}
+
+/**
+ * Handles the `path` command: finds a shortest path between two nodes,
+ * or with `--k` the k shortest.
  * @param {{options: CliOptions, args: string[]}} params
  * @returns {Promise<{payload: unknown, exitCode: number}>}
  */
@@ -52,15 +91,7 @@ export default async function handlePath({ options, args }) {
   emitCursorWarning(cursorInfo, null);
 
   try {
-    const result = await graph.traverse.shortestPath(
-      pathOptions.from,
-      pathOptions.to,
-      {
-        dir: pathOptions.dir,
-        labelFilter: pathOptions.labelFilter,
-        maxDepth: pathOptions.maxDepth,
-      }
-    );
+    const result = await findPaths(graph, pathOptions);
 
     const payload = {
       graph: graphName,
@@ -9,9 +9,14 @@ import { querySchema } from '../schemas.js';
 /** @typedef {import('../types.js').QueryBuilderLike} QueryBuilderLike */
 
 const QUERY_OPTIONS = {
+  q: { type: 'string' },
   match: { type: 'string' },
   'where-prop': { type: 'string', multiple: true },
   select: { type: 'string' },
+  limit: { type: 'string' },
+  'order-by': { type: 'string', multiple: true },
+  cursor: { type: 'string' },
+  explain: { type: 'boolean', default: false },
 };
 
 /**
@@ -64,6 +69,20 @@ function parseSelectFields(value) {
   return value.split(',').map((field) => field.trim()).filter(Boolean);
 }
 
+/**
+ * Parses `--order-by path[:asc|desc]`.
+ *
+ * @param {string} value
+ * @returns {{path: string, direction: 'asc'|'desc'}}
+ */
+function parseOrderBy(value) {
+  const suffixed = /^(.+):(asc|desc)$/.exec(value);
+  if (suffixed) {
+    return { path: suffixed[1], direction: /** @type {'asc'|'desc'} */ (suffixed[2]) };
+  }
+  return { path: value, direction: 'asc' };
+}
+
 /** @param {string[]} args */
 function parseQueryArgs(args) {
   // Extract traversal steps first (optional-value semantics)
@@ -78,13 +97,65 @@ function parseQueryArgs(args) {
     ...values.whereProp.map((/** @type {string} */ wp) => parseWhereProp(wp)),
   ];
 
+  if (values.text !== null && (values.match !== null || values.select !== undefined || allSteps.length > 0)) {
+    throw usageError('--q cannot be combined with --match, --outgoing, --incoming, --where-prop, or --select');
+  }
+
   return {
+    text: values.text,
     match: values.match,
     select: values.select !== undefined ? parseSelectFields(values.select) : null,
     steps: allSteps,
+    orderBy: values.orderBy.map((/** @type {string} */ ob) => parseOrderBy(ob)),
+    limit: values.limit,
+    cursor: values.cursor,
+    explain: values.explain,
   };
 }
 
+/**
+ * Builds the query from either the --q text or the individual flags.
+ *
+ * @param {import('../types.js').WarpGraphInstance} graph
+ * @param {ReturnType<typeof parseQueryArgs>} querySpec
+ * @returns {QueryBuilderLike}
+ */
+function buildQuery(graph, querySpec) {
+  if (querySpec.text !== null) {
+    return applyPagination(graph.queryText(querySpec.text), querySpec);
+  }
+  let builder = graph.query();
+  if (querySpec.match !== null) {
+    builder = builder.match(querySpec.match);
+  }
+  builder = applyQuerySteps(builder, querySpec.steps);
+  if (querySpec.select !== null) {
+    builder = builder.select(querySpec.select);
+  }
+  return applyPagination(builder, querySpec);
+}
+
+/**
+ * Applies --order-by, --limit, and --cursor.
+ *
+ * @param {QueryBuilderLike} builder
+ * @param {ReturnType<typeof parseQueryArgs>} querySpec
+ * @returns {QueryBuilderLike}
+ */
+function applyPagination(builder, { orderBy, limit, cursor }) {
+  let current = builder;
+  for (const { path, direction } of orderBy) {
+    current = current.orderBy(path, direction);
+  }
+  if (limit !== null) {
+    current = current.limit(limit);
+  }
+  if (cursor !== null) {
+    current = current.after(cursor);
+  }
+  return current;
+}
+
 /**
  * @param {QueryBuilderLike} builder
  * @param {Array<{type: string, label?: string, key?: string, value?: string}>} steps
@@ -156,7 +227,7 @@ function buildEdgeMap(edges) {
 
 /**
  * @param {string} graphName
- * @param {{nodes: Array<{id: string, props?: Record<string, unknown>}>, stateHash?: string}} result
+ * @param {{nodes: Array<{id: string, props?: Record<string, unknown>}>, stateHash?: string, nextCursor?: string|null}} result
  * @param {Array<{from: string, to: string, label?: string}>} edges
  * @returns {{graph: string, stateHash: string|undefined, nodes: Array<{id: string, props?: Record<string, unknown>} & Record<string, unknown>>, [k: string]: unknown}}
  */
@@ -173,11 +244,26 @@ function buildQueryPayload(graphName, result, edges) {
     return entry;
   });
 
-  return {
+  /** @type {{graph: string, stateHash: string|undefined, nodes: typeof nodes, [k: string]: unknown}} */
+  const payload = {
     graph: graphName,
     stateHash: result.stateHash,
     nodes,
   };
+  if (result.nextCursor !== undefined) {
+    payload.nextCursor = result.nextCursor;
+  }
+  return payload;
+}
+
+/**
+ * @param {string} graphName
+ * @param {{stateHash?: string} & Record<string, unknown>} result - Aggregate result from run()
+ * @returns {{graph: string, stateHash: string|undefined, aggregate: Record<string, unknown>}}
+ */
+function buildAggregatePayload(graphName, result) {
+  const { stateHash, ...aggregate } = result;
+  return { graph: graphName, stateHash, aggregate };
 }
 
 /** @param {unknown} error */
@@ -198,20 +284,29 @@ export default async function handleQuery({ options, args }) {
   const { graph, graphName, persistence } = await openGraph(options);
   const cursorInfo = await applyCursorCeiling(graph, persistence, graphName);
   emitCursorWarning(cursorInfo, null);
-  let builder = graph.query();
-
-  if (querySpec.match !== null) {
-    builder = builder.match(querySpec.match);
-  }
-
-  builder = applyQuerySteps(builder, querySpec.steps);
-
-  if (querySpec.select !== null) {
-    builder = builder.select(querySpec.select);
-  }
 
   try {
-    const result = await builder.run();
+    if (querySpec.explain) {
+      if (options.view) {
+        throw usageError('--view cannot render a query plan');
+      }
+      const plan = await buildQuery(graph, querySpec).explain();
+      return {
+        payload: { graph: graphName, stateHash: plan.stateHash, explain: plan },
+        exitCode: EXIT_CODES.OK,
+      };
+    }
+    const result = await buildQuery(graph, querySpec).run();
+    if (!result.nodes) {
+      // RETURN count(*) and friends produce aggregate values, not nodes
+      if (options.view) {
+        throw usageError('--view cannot render aggregate results');
+      }
+      return {
+        payload: buildAggregatePayload(graphName, /** @type {{stateHash?: string} & Record<string, unknown>} */ (result)),
+        exitCode: EXIT_CODES.OK,
+      };
+    }
     const edges = await graph.getEdges();
     const payload = buildQueryPayload(graphName, result, edges);
 
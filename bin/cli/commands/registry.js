@@ -1,7 +1,9 @@
 import handleInfo from './info.js';
 import handleQuery from './query.js';
 import handlePath from './path.js';
+import handleAnalyze from './analyze.js';
 import handleHistory from './history.js';
+import handleConflicts from './conflicts.js';
 import handleCheck from './check.js';
 import handleDoctor from './doctor/index.js';
 import handleMaterialize from './materialize.js';
@@ -22,7 +24,9 @@ export const COMMANDS = new Map(/** @type {[string, Function][]} */ ([
   ['info', handleInfo],
   ['query', handleQuery],
   ['path', handlePath],
+  ['analyze', handleAnalyze],
   ['history', handleHistory],
+  ['conflicts', handleConflicts],
   ['check', handleCheck],
   ['doctor', handleDoctor],
   ['materialize', handleMaterialize],
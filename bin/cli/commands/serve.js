@@ -3,7 +3,7 @@ import { resolve } from 'node:path';
 import { stat } from 'node:fs/promises';
 import { parseCommandArgs, usageError, notFoundError } from '../infrastructure.js';
 import { serveSchema } from '../schemas.js';
-import { createPersistence, listGraphNames } from '../shared.js';
+import { createPersistence, listGraphNames, readRecordedMergePolicies } from '../shared.js';
 import WarpGraph from '../../../src/domain/WarpGraph.js';
 import WebCryptoAdapter from '../../../src/infrastructure/adapters/WebCryptoAdapter.js';
 import WarpServeService from '../../../src/domain/services/WarpServeService.js';
@@ -74,6 +74,7 @@ async function openGraphs(persistence, graphNames, writerId) {
       graphName,
       writerId,
       crypto: new WebCryptoAdapter(),
+      mergePolicies: await readRecordedMergePolicies(persistence, graphName),
     });
     graphs.push(graph);
   }
@@ -38,7 +38,9 @@ Commands:
   info             Summarize graphs in the repo
   query            Run a logical graph query
   path             Find a logical path between two nodes
+  analyze          Rank nodes by PageRank or centrality
   history          Show writer history
+  conflicts        List concurrent property writes that lost LWW resolution
   check            Report graph health/GC status
   doctor           Diagnose structural issues and suggest fixes
   verify-audit     Verify audit receipt chain integrity
@@ -47,7 +49,7 @@ Commands:
   trust            Evaluate writer trust from signed evidence
   materialize      Materialize and checkpoint all graphs
   seek             Time-travel: step through graph history by Lamport tick
-  patch            Decode and inspect raw patches
+  patch            Decode and inspect raw patches, or revert one
   tree             ASCII tree traversal from root nodes
   bisect           Binary search for first bad patch in writer history
   serve            Start WebSocket server for browser-based graph viewer
@@ -72,11 +74,16 @@ Install-hooks options:
   --force           Replace existing hook (backs up original)
 
 Query options:
+  --q <text>            Text query, e.g. "MATCH (u:user:*)-[:follows]->(v) RETURN v.id"
   --match <glob>        Match node ids (default: *)
   --outgoing [label]    Traverse outgoing edge (repeatable)
   --incoming [label]    Traverse incoming edge (repeatable)
   --where-prop k=v      Filter nodes by prop equality (repeatable)
   --select <fields>     Fields to select (id, props)
+  --order-by <path>     Sort by prop path or id; add :desc to reverse (repeatable)
+  --limit <n>           Return at most n nodes and a cursor for the next page
+  --cursor <cursor>     Continue from a previous page's cursor
+  --explain             Run the query and print its plan instead of the results
 
 Path options:
   --from <id>           Start node id
@@ -84,12 +91,32 @@ Path options:
   --dir <out|in|both>   Traversal direction (default: out)
   --label <label>       Filter by edge label (repeatable, comma-separated)
   --max-depth <n>       Maximum depth
+  --k <n>               List the k shortest paths, ranked
+
+Analyze options:
+  --measure <name>      pagerank, degree, closeness, or betweenness (default: pagerank)
+  --dir <out|in|both>   Edge direction to follow (default: out)
+  --label <label>       Filter by edge label (repeatable, comma-separated)
+  --seed <id>           Personalize PageRank toward this node (repeatable)
+  --damping <d>         PageRank damping factor (default: 0.85)
+  --top <n>             Show the n highest-scoring nodes, 0 for all (default: 10)
+  --max-nodes <n>       Analyze at most n nodes
 
 History options:
   --node <id>           Filter patches touching node id
 
+Conflicts options:
+  --node <id>           Only conflicts on this node's properties
+  --key <key>           Only conflicts on this property key
+  --since <tick>        Only conflicts won at Lamport tick >= tick
+
+Patch revert options:
+  --force               Revert even if later patches wrote the same keys
+
 Doctor options:
   --strict              Treat warnings as failures (exit 4)
+  --cycles              Also report cycles in the graph
+  --label <label>       Edge labels to check for cycles (repeatable, comma-separated)
 
 Verify-audit options:
   --writer <id>         Verify a single writer's chain (default: all)
@@ -165,7 +192,7 @@ export function notFoundError(message) {
   return new CliError(message, { code: 'E_NOT_FOUND', exitCode: EXIT_CODES.NOT_FOUND });
 }
 
-export const KNOWN_COMMANDS = ['info', 'query', 'path', 'history', 'check', 'doctor', 'materialize', 'seek', 'verify-audit', 'verify-index', 'reindex', 'trust', 'patch', 'tree', 'bisect', 'install-hooks', 'serve', 'view'];
+export const KNOWN_COMMANDS = ['info', 'query', 'path', 'analyze', 'history', 'conflicts', 'check', 'doctor', 'materialize', 'seek', 'verify-audit', 'verify-index', 'reindex', 'trust', 'patch', 'tree', 'bisect', 'install-hooks', 'serve', 'view'];
 
 const BASE_OPTIONS = {
   repo:   { type: 'string', short: 'r' },
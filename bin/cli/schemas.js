@@ -8,6 +8,16 @@ export const historySchema = z.object({
   node: z.string().optional(),
 }).strict();
 
+// ============================================================================
+// Conflicts
+// ============================================================================
+
+export const conflictsSchema = z.object({
+  node: z.string().min(1, 'Missing value for --node').optional(),
+  key: z.string().min(1, 'Missing value for --key').optional(),
+  since: z.coerce.number().int().nonnegative().optional(),
+}).strict();
+
 // ============================================================================
 // Install-hooks
 // ============================================================================
@@ -37,12 +47,50 @@ export const pathSchema = z.object({
   dir: z.enum(['out', 'in', 'both']).optional(),
   label: z.union([z.string(), z.array(z.string())]).optional(),
   'max-depth': z.coerce.number().int().nonnegative().refine(n => Number.isFinite(n), { message: 'must be a finite number' }).optional(),
-}).strict().transform((val) => ({
+  k: z.coerce.number().int({ message: '--k must be a positive integer' }).positive({ message: '--k must be a positive integer' }).refine(n => Number.isFinite(n), { message: '--k must be a finite number' }).optional(),
+}).strict().superRefine((val, ctx) => {
+  if (val.k !== undefined && val['max-depth'] !== undefined) {
+    ctx.addIssue({
+      code: z.ZodIssueCode.custom,
+      message: '--k cannot be combined with --max-depth',
+    });
+  }
+}).transform((val) => ({
   from: val.from ?? null,
   to: val.to ?? null,
   dir: val.dir,
   labels: Array.isArray(val.label) ? val.label : val.label ? [val.label] : [],
   maxDepth: val['max-depth'],
+  k: val.k,
+}));
+
+// ============================================================================
+// Analyze
+// ============================================================================
+
+export const analyzeSchema = z.object({
+  measure: z.enum(['pagerank', 'degree', 'closeness', 'betweenness']).default('pagerank'),
+  dir: z.enum(['out', 'in', 'both']).optional(),
+  label: z.union([z.string(), z.array(z.string())]).optional(),
+  seed: z.union([z.string(), z.array(z.string())]).optional(),
+  top: z.coerce.number().int({ message: '--top must be a non-negative integer' }).nonnegative({ message: '--top must be a non-negative integer' }).refine(n => Number.isFinite(n), { message: '--top must be a finite number' }).default(10),
+  'max-nodes': z.coerce.number().int({ message: '--max-nodes must be a positive integer' }).positive({ message: '--max-nodes must be a positive integer' }).refine(n => Number.isFinite(n), { message: '--max-nodes must be a finite number' }).optional(),
+  damping: z.coerce.number().min(0, { message: '--damping must be between 0 and 1' }).max(1, { message: '--damping must be between 0 and 1' }).optional(),
+}).strict().superRefine((val, ctx) => {
+  if (val.measure !== 'pagerank' && (val.seed !== undefined || val.damping !== undefined)) {
+    ctx.addIssue({
+      code: z.ZodIssueCode.custom,
+      message: '--seed and --damping require --measure pagerank',
+    });
+  }
+}).transform((val) => ({
+  measure: val.measure,
+  dir: val.dir ?? 'out',
+  labels: Array.isArray(val.label) ? val.label : val.label ? [val.label] : [],
+  seeds: Array.isArray(val.seed) ? val.seed : val.seed ? [val.seed] : [],
+  top: val.top,
+  maxNodes: val['max-nodes'],
+  damping: val.damping,
 }));
 
 // ============================================================================
@@ -50,13 +98,23 @@ export const pathSchema = z.object({
 // ============================================================================
 
 export const querySchema = z.object({
+  q: z.string().optional(),
   match: z.string().optional(),
   'where-prop': z.union([z.string(), z.array(z.string())]).optional(),
   select: z.string().optional(),
+  limit: z.coerce.number().int({ message: '--limit must be a non-negative integer' }).nonnegative({ message: '--limit must be a non-negative integer' }).refine(n => Number.isFinite(n), { message: '--limit must be a finite number' }).optional(),
+  'order-by': z.union([z.string(), z.array(z.string())]).optional(),
+  cursor: z.string().min(1, 'Missing value for --cursor').optional(),
+  explain: z.boolean().default(false),
 }).strict().transform((val) => ({
+  text: val.q ?? null,
   match: val.match ?? null,
   whereProp: Array.isArray(val['where-prop']) ? val['where-prop'] : val['where-prop'] ? [val['where-prop']] : [],
   select: val.select,
+  limit: val.limit ?? null,
+  orderBy: Array.isArray(val['order-by']) ? val['order-by'] : val['order-by'] ? [val['order-by']] : [],
+  cursor: val.cursor ?? null,
+  explain: val.explain,
 }));
 
 // ============================================================================
@@ -86,7 +144,20 @@ export const trustSchema = z.object({
 
 export const doctorSchema = z.object({
   strict: z.boolean().default(false),
-}).strict();
+  cycles: z.boolean().default(false),
+  label: z.union([z.string(), z.array(z.string())]).optional(),
+}).strict().superRefine((val, ctx) => {
+  if (val.label !== undefined && !val.cycles) {
+    ctx.addIssue({
+      code: z.ZodIssueCode.custom,
+      message: '--label requires --cycles',
+    });
+  }
+}).transform((val) => ({
+  strict: val.strict,
+  cycles: val.cycles,
+  labels: Array.isArray(val.label) ? val.label : val.label ? [val.label] : [],
+}));
 
 // ============================================================================
 // Seek
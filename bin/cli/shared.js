@@ -7,6 +7,7 @@ import { textEncode } from '../../src/domain/utils/bytes.js';
 // @ts-expect-error — no type declarations for @git-stunts/plumbing
 import GitPlumbing, { ShellRunnerFactory } from '@git-stunts/plumbing';
 import WarpGraph from '../../src/domain/WarpGraph.js';
+import MergePolicyError from '../../src/domain/errors/MergePolicyError.js';
 import GitGraphAdapter from '../../src/infrastructure/adapters/GitGraphAdapter.js';
 import WebCryptoAdapter from '../../src/infrastructure/adapters/WebCryptoAdapter.js';
 import {
@@ -79,7 +80,34 @@ export async function resolveGraphName(persistence, explicitGraph) {
 }
 
 /**
- * Opens a WarpGraph for the given CLI options.
+ * Reads the merge policies recorded in the graph's latest checkpoint, so
+ * the CLI materializes the same values as the application that wrote it.
+ * Custom policies can't be rebuilt; the graph then opens without policies
+ * (replaying with LWW) after a warning on stderr.
+ *
+ * @param {Persistence} persistence
+ * @param {string} graphName
+ * @returns {Promise<Record<string, import('../../src/domain/services/MergePolicyRegistry.js').MergePolicyConfigValue>|undefined>}
+ */
+export async function readRecordedMergePolicies(persistence, graphName) {
+  try {
+    const mergePolicies = await WarpGraph.readMergePolicies({
+      persistence: /** @type {import('../../src/domain/types/WarpPersistence.js').CorePersistence} */ (/** @type {unknown} */ (persistence)),
+      graphName,
+    });
+    return mergePolicies ?? undefined;
+  } catch (err) {
+    if (!(err instanceof MergePolicyError)) {
+      throw err;
+    }
+    process.stderr.write(`\u26A0 ${err.message}; reading "${graphName}" with LWW properties\n`);
+    return undefined;
+  }
+}
+
+/**
+ * Opens a WarpGraph for the given CLI options, with the merge policies
+ * recorded in its latest checkpoint.
  * @param {CliOptions} options - Parsed CLI options
  * @returns {Promise<{graph: WarpGraphInstance, graphName: string, persistence: Persistence}>}
  * @throws {import('./infrastructure.js').CliError} If the specified graph is not found
@@ -98,6 +126,7 @@ export async function openGraph(options) {
     graphName,
     writerId: options.writer,
     crypto: new WebCryptoAdapter(),
+    mergePolicies: await readRecordedMergePolicies(persistence, graphName),
   })));
   return { graph, graphName, persistence };
 }
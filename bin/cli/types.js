@@ -20,7 +20,8 @@
  * @property {() => Promise<Array<{from: string, to: string, label?: string}>>} getEdges
  * @property {() => Promise<string|null>} createCheckpoint
  * @property {() => QueryBuilderLike} query
- * @property {{ shortestPath: Function }} traverse
+ * @property {(text: string) => QueryBuilderLike} queryText
+ * @property {{ shortestPath: Function, kShortestPaths: Function, pageRank: Function, personalizedPageRank: Function, degreeCentrality: Function, closenessCentrality: Function, betweennessCentrality: Function }} traverse
  * @property {(writerId: string) => Promise<Array<{patch: {schema?: number, lamport: number, ops?: Array<{type: string, node?: string, from?: string, to?: string}>}, sha: string}>>} getWriterPatches
  * @property {() => Promise<{frontier: Record<string, string>}>} status
  * @property {() => Promise<string[]>} discoverWriters
@@ -30,6 +31,8 @@
  * @property {() => Promise<import('../../src/domain/services/JoinReducer.js').WarpStateV5 | null>} getStateSnapshot
  * @property {() => Promise<{ticks: number[], maxTick: number, perWriter: Map<string, WriterTickInfo>}>} discoverTicks
  * @property {(sha: string) => Promise<{ops?: Array<{type: string, node?: string, from?: string, to?: string}>}>} loadPatchBySha
+ * @property {(sha: string, options?: {force?: boolean}) => Promise<string>} revert
+ * @property {(options?: import('../../src/domain/services/ConflictAnalyzer.js').ConflictFilter) => Promise<import('../../src/domain/services/ConflictAnalyzer.js').PropertyConflict[]>} getConflicts
  * @property {(cache: import('../../src/ports/SeekCachePort.js').default) => void} setSeekCache
  * @property {{clear: () => Promise<void>} | null} seekCache
  * @property {number} [_seekCeiling]
@@ -92,7 +95,11 @@
  * @property {(fn: Function) => QueryBuilderLike} where
  * @property {(pattern: string) => QueryBuilderLike} match
  * @property {(fields: string[]) => QueryBuilderLike} select
- * @property {() => Promise<{nodes: Array<{id: string, props?: Record<string, unknown>}>, stateHash?: string}>} run
+ * @property {(path: string, direction?: 'asc'|'desc') => QueryBuilderLike} orderBy
+ * @property {(n: number) => QueryBuilderLike} limit
+ * @property {(cursor: string) => QueryBuilderLike} after
+ * @property {() => Promise<{nodes: Array<{id: string, props?: Record<string, unknown>}>, stateHash?: string, nextCursor?: string|null}>} run
+ * @property {() => Promise<import('../../src/domain/services/QueryProfiler.js').QueryPlan>} explain
  */
 
 export {};
@@ -21,9 +21,11 @@ import {
   renderInfo,
   renderQuery,
   renderPath,
+  renderAnalyze,
   renderCheck,
   renderDoctor,
   renderHistory,
+  renderConflicts,
   renderError,
   renderMaterialize,
   renderInstallHooks,
@@ -31,6 +33,7 @@ import {
   renderVerifyAudit,
   renderTrust,
   renderPatchShow,
+  renderPatchRevert,
   renderPatchList,
 } from './text.js';
 
@@ -63,11 +66,14 @@ export function shouldStripColor() {
 
 // ── Text renderer map ────────────────────────────────────────────────────────
 
-/** @param {import('./text.js').PatchShowPayload & Partial<import('./text.js').PatchListPayload>} payload */
+/** @param {import('./text.js').PatchShowPayload & Partial<import('./text.js').PatchListPayload> & Partial<import('./text.js').PatchRevertPayload>} payload */
 function renderPatch(payload) {
   if (payload.ops) {
     return renderPatchShow(payload);
   }
+  if (payload.reverted) {
+    return renderPatchRevert(/** @type {import('./text.js').PatchRevertPayload} */ (payload));
+  }
   return renderPatchList(/** @type {import('./text.js').PatchListPayload} */ (payload));
 }
 
@@ -89,9 +95,11 @@ const TEXT_RENDERERS = new Map(/** @type {[string, function(unknown): string][]}
   ['info', renderInfo],
   ['query', renderQuery],
   ['path', renderPath],
+  ['analyze', renderAnalyze],
   ['check', renderCheck],
   ['doctor', renderDoctor],
   ['history', renderHistory],
+  ['conflicts', renderConflicts],
   ['materialize', renderMaterialize],
   ['seek', renderSeek],
   ['verify-audit', renderVerifyAudit],
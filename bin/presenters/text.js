@@ -6,17 +6,20 @@
  */
 
 import { formatStructuralDiff } from '../../src/visualization/renderers/ascii/seek.js';
+import { renderQueryPlan } from '../../src/visualization/renderers/ascii/queryPlan.js';
 
 // ── Payload typedefs ────────────────────────────────────────────────────────
 
 /**
  * @typedef {{ installed: boolean, foreign?: boolean, current?: boolean, version?: string }} HookStatus
  * @typedef {{ repo: string, graphs: Array<{ name: string, writers?: { count: number } | null, checkpoint?: { sha: string } | null, coverage?: { sha: string } | null, cursor?: { active: boolean, tick: number, mode: string } | null }> }} InfoPayload
- * @typedef {{ graph: string, stateHash?: string, nodes: Array<{ id?: string, props?: Record<string, unknown>, edges?: NodeEdges }>, _renderedAscii?: string, _renderedSvg?: string }} QueryPayload
+ * @typedef {{ graph: string, stateHash?: string, nodes?: Array<{ id?: string, props?: Record<string, unknown>, edges?: NodeEdges }>, nextCursor?: string|null, aggregate?: Record<string, unknown>, explain?: import('../../src/domain/services/QueryProfiler.js').QueryPlan, _renderedAscii?: string, _renderedSvg?: string }} QueryPayload
  * @typedef {{ outgoing?: Array<{ label: string, to: string }>, incoming?: Array<{ label: string, from: string }> }} NodeEdges
- * @typedef {{ graph: string, from: string, to: string, found: boolean, length?: number, path?: string[] }} PathPayload
+ * @typedef {{ graph: string, from: string, to: string, found: boolean, length?: number, path?: string[], paths?: Array<{path: string[], length: number}> }} PathPayload
+ * @typedef {{ graph: string, measure: string, dir: string, labels: string[], seeds: string[], nodeCount: number, iterations?: number, converged?: boolean, scores: Array<{ id: string, score: number }> }} AnalyzePayload
  * @typedef {{ graph: string, health: { status: string }, checkpoint?: { sha: string, ageSeconds: number | null } | null, writers: { count: number, heads: Array<{ writerId: string, sha: string }> }, coverage?: { sha: string, missingWriters: string[] } | null, gc?: { totalTombstones: number, tombstoneRatio: number } | null, hook?: HookStatus | null, status?: { cachedState: string, patchesSinceCheckpoint: number, tombstoneRatio: number, writers: number } | null }} CheckPayload
  * @typedef {{ graph: string, writer: string, nodeFilter?: string | null, entries: Array<{ sha: string, lamport: number, opCount: number }> }} HistoryPayload
+ * @typedef {{ graph: string, filter: { node: string | null, key: string | null, since: number | null }, conflicts: import('../../src/domain/services/ConflictAnalyzer.js').PropertyConflict[] }} ConflictsPayload
  * @typedef {{ error: { message: string } }} ErrorPayload
  * @typedef {{ graphs: Array<{ graph: string, nodes?: number, edges?: number, checkpoint?: string, error?: string }> }} MaterializePayload
  * @typedef {{ action: string, hookPath?: string, version?: string, backupPath?: string, name?: string }} InstallHooksPayload
@@ -26,6 +29,7 @@ import { formatStructuralDiff } from '../../src/visualization/renderers/ascii/se
  * @typedef {{ graph: string, trustVerdict: string, mode: string, trust: { source: string, evidenceSummary: { activeKeys: number, revokedKeys: number, activeBindings: number }, explanations: Array<{ trusted: boolean, writerId: string, reasonCode: string, reason: string }>, untrustedWriters: string[] } }} TrustPayload
  * @typedef {{ type: string, node?: string, from?: string, to?: string, label?: string, key?: string, value?: unknown }} PatchOp
  * @typedef {{ graph: string, sha: string, writer: string, lamport: number, schema?: number, ops: PatchOp[] }} PatchShowPayload
+ * @typedef {{ graph: string, reverted: string, sha: string, writer: string }} PatchRevertPayload
  * @typedef {{ graph: string, total: number, showing: number, writerFilter?: string | null, entries: Array<{ sha: string, writer: string, lamport: number, opCount: number, nodeIds: string[] }> }} PatchListPayload
  */
 
@@ -102,15 +106,47 @@ function appendNodeEdges(lines, edges) {
   }
 }
 
+/**
+ * Renders aggregate values, one group per entry when the query grouped them.
+ *
+ * @param {Record<string, unknown>} aggregate
+ * @returns {string[]}
+ */
+function renderAggregate(aggregate) {
+  const { groups } = aggregate;
+  if (!Array.isArray(groups)) {
+    return Object.entries(aggregate).map(([key, value]) => `${key}: ${value}`);
+  }
+  const lines = [`Groups: ${groups.length}`];
+  for (const { key, ...values } of /** @type {Array<Record<string, unknown>>} */ (groups)) {
+    lines.push(`- ${JSON.stringify(key)}`);
+    for (const [name, value] of Object.entries(values)) {
+      lines.push(`  ${name}: ${JSON.stringify(value)}`);
+    }
+  }
+  return lines;
+}
+
 /** @param {QueryPayload} payload */
 export function renderQuery(payload) {
   const lines = [
     `Graph: ${payload.graph}`,
     `State: ${payload.stateHash}`,
-    `Nodes: ${payload.nodes.length}`,
   ];
 
-  for (const node of payload.nodes) {
+  if (payload.explain) {
+    lines.push(renderQueryPlan(payload.explain));
+    return `${lines.join('\n')}\n`;
+  }
+
+  if (payload.aggregate) {
+    lines.push(...renderAggregate(payload.aggregate));
+    return `${lines.join('\n')}\n`;
+  }
+
+  const nodes = payload.nodes || [];
+  lines.push(`Nodes: ${nodes.length}`);
+  for (const node of nodes) {
     const id = node.id ?? '(unknown)';
     lines.push(`- ${id}`);
     if (node.props && Object.keys(node.props).length > 0) {
@@ -120,6 +156,9 @@ export function renderQuery(payload) {
       appendNodeEdges(lines, node.edges);
     }
   }
+  if (payload.nextCursor) {
+    lines.push(`Next cursor: ${payload.nextCursor}`);
+  }
 
   return `${lines.join('\n')}\n`;
 }
@@ -137,13 +176,44 @@ export function renderPath(payload) {
     lines.push(`Length: ${payload.length}`);
   }
 
-  if (payload.path && payload.path.length > 0) {
+  if (payload.paths) {
+    lines.push(`Paths: ${payload.paths.length}`);
+    payload.paths.forEach(({ path, length }, i) => {
+      lines.push(`  ${i + 1}. ${path.join(' -> ')} (${length})`);
+    });
+  } else if (payload.path && payload.path.length > 0) {
     lines.push(`Path: ${payload.path.join(' -> ')}`);
   }
 
   return `${lines.join('\n')}\n`;
 }
 
+/** @param {AnalyzePayload} payload */
+export function renderAnalyze(payload) {
+  const lines = [
+    `Graph: ${payload.graph}`,
+    `Measure: ${payload.measure} (dir: ${payload.dir})`,
+  ];
+  if (payload.labels.length > 0) {
+    lines.push(`Labels: ${payload.labels.join(', ')}`);
+  }
+  if (payload.seeds.length > 0) {
+    lines.push(`Seeds: ${payload.seeds.join(', ')}`);
+  }
+  lines.push(`Nodes: ${payload.nodeCount}`);
+  if (payload.iterations !== undefined) {
+    const status = payload.converged ? 'converged' : `${ANSI_YELLOW}did not converge${ANSI_RESET}`;
+    lines.push(`Iterations: ${payload.iterations} (${status})`);
+  }
+
+  const width = Math.max(0, ...payload.scores.map(({ id }) => id.length));
+  payload.scores.forEach(({ id, score }, i) => {
+    lines.push(`${String(i + 1).padStart(3)}. ${id.padEnd(width)}  ${score.toFixed(6)}`);
+  });
+
+  return `${lines.join('\n')}\n`;
+}
+
 /**
  * Appends checkpoint and writer lines to check output.
  * @param {string[]} lines
@@ -230,6 +300,52 @@ export function renderHistory(payload) {
   return `${lines.join('\n')}\n`;
 }
 
+/** @param {import('../../src/domain/services/ConflictAnalyzer.js').PropertyConflict} conflict */
+function formatConflictTarget(conflict) {
+  if (conflict.kind === 'edge') {
+    return `${conflict.from} -[${conflict.label}]-> ${conflict.to} .${conflict.key}`;
+  }
+  return `${conflict.nodeId} .${conflict.key}`;
+}
+
+/** @param {import('../../src/domain/services/ConflictAnalyzer.js').ConflictWrite} write */
+function formatConflictWrite(write) {
+  return `${JSON.stringify(write.value)} by ${write.writerId} (lamport: ${write.eventId.lamport}, patch: ${write.patchSha.slice(0, 7)})`;
+}
+
+/** @param {ConflictsPayload} payload */
+export function renderConflicts(payload) {
+  const lines = [
+    `Graph: ${payload.graph}`,
+    `Conflicts: ${payload.conflicts.length}`,
+  ];
+
+  const { node, key, since } = payload.filter;
+  if (node !== null || key !== null || since !== null) {
+    const parts = [];
+    if (node !== null) {
+      parts.push(`node=${node}`);
+    }
+    if (key !== null) {
+      parts.push(`key=${key}`);
+    }
+    if (since !== null) {
+      parts.push(`since=${since}`);
+    }
+    lines.push(`Filter: ${parts.join(' ')}`);
+  }
+
+  for (const conflict of payload.conflicts) {
+    lines.push(`- ${formatConflictTarget(conflict)}`);
+    lines.push(`  ${ANSI_GREEN}kept${ANSI_RESET}  ${formatConflictWrite(conflict.winner)}`);
+    for (const write of conflict.overwritten) {
+      lines.push(`  ${ANSI_YELLOW}lost${ANSI_RESET}  ${formatConflictWrite(write)}`);
+    }
+  }
+
+  return `${lines.join('\n')}\n`;
+}
+
 /** @param {ErrorPayload} payload */
 export function renderError(payload) {
   return `Error: ${payload.error.message}\n`;
@@ -650,6 +766,16 @@ export function renderPatchShow(payload) {
   return `${lines.join('\n')}\n`;
 }
 
+/** @param {PatchRevertPayload} payload */
+export function renderPatchRevert(payload) {
+  const lines = [
+    `Graph: ${payload.graph}`,
+    `Reverted: ${payload.reverted}`,
+    `Revert patch: ${payload.sha} (writer: ${payload.writer})`,
+  ];
+  return `${lines.join('\n')}\n`;
+}
+
 /** @param {PatchListPayload} payload */
 export function renderPatchList(payload) {
   const lines = [
@@ -175,6 +175,62 @@ export interface QueryNodeSnapshot {
   edgesIn: Array<{ label: string; from: string }>;
 }
 
+/**
+ * Snapshot of an edge passed to edge predicates and returned by `graph.queryEdges()`.
+ */
+export interface QueryEdgeSnapshot {
+  from: string;
+  to: string;
+  label: string;
+  props: Record<string, unknown>;
+}
+
+/**
+ * A JSON value used as an operand in a declarative predicate.
+ */
+export type PredicateValue = null | boolean | number | string | PredicateValue[] | { [key: string]: PredicateValue };
+
+/**
+ * Condition on a single value in a declarative predicate. All operators
+ * given must hold; every operator except `exists` is false for a missing
+ * property.
+ */
+export interface ValueCondition {
+  /** Equal to the value (arrays and objects compare structurally) */
+  eq?: PredicateValue;
+  /** Present and not equal to the value */
+  ne?: PredicateValue;
+  gt?: number | string;
+  gte?: number | string;
+  lt?: number | string;
+  lte?: number | string;
+  /** Equal to one of the values */
+  in?: PredicateValue[];
+  /** Present (`true`) or missing (`false`) */
+  exists?: boolean;
+  /** A string starting with the prefix */
+  prefix?: string;
+  /** A string matching the regular expression */
+  regex?: string;
+  /** Flags for `regex` (any of `imsu`) */
+  flags?: string;
+}
+
+/**
+ * Declarative, JSON-serializable node predicate for `QueryBuilder.where()`,
+ * observer `where` filters, and `watch()`. All keys given must hold; a bare
+ * value in place of a condition means `{ eq: value }`.
+ */
+export interface NodePredicate {
+  /** Condition on the node ID */
+  id?: ValueCondition | string;
+  /** Conditions on properties, all required; an object is always read as a condition */
+  props?: Record<string, ValueCondition | null | boolean | number | string | PredicateValue[]>;
+  and?: NodePredicate[];
+  or?: NodePredicate[];
+  not?: NodePredicate;
+}
+
 /**
  * Query result (standard).
  */
@@ -184,6 +240,8 @@ export interface QueryResultV1 {
     id?: string;
     props?: Record<string, unknown>;
   }>;
+  /** Cursor for the next page, or null on the last page. Present when `limit()` is set. */
+  nextCursor?: string | null;
 }
 
 /**
@@ -200,6 +258,20 @@ export interface AggregateSpec {
   min?: string;
   /** Maximum of a numeric property */
   max?: string;
+  /** Number of distinct non-null values of a property */
+  countDistinct?: string;
+  /** Values of a property, in result order */
+  collect?: string;
+  /** Percentiles of a numeric property, e.g. { path: 'props.estimate', p: [50, 95] } */
+  percentiles?: PercentileSpec;
+}
+
+/**
+ * Percentile aggregation: the property path and the percentiles (0-100) to compute.
+ */
+export interface PercentileSpec {
+  path: string;
+  p: number[];
 }
 
 /**
@@ -212,6 +284,105 @@ export interface AggregateResult {
   avg?: number;
   min?: number;
   max?: number;
+  countDistinct?: number;
+  collect?: unknown[];
+  /** Keyed `p<n>` (e.g. `p95`); null when there are no numeric values */
+  percentiles?: Record<string, number | null>;
+}
+
+/**
+ * Aggregation values for one group of a grouped aggregate query.
+ */
+export interface AggregateGroup extends Omit<AggregateResult, 'stateHash'> {
+  /** The group key; null for nodes without one */
+  key: unknown;
+}
+
+/**
+ * Result of an aggregate query with groupBy().
+ */
+export interface GroupedAggregateResult {
+  stateHash: string;
+  /** One entry per group, sorted by key (null last) */
+  groups: AggregateGroup[];
+}
+
+/**
+ * Analyzer for the full-text index: a built-in name or a function from
+ * text to tokens.
+ */
+export type TextAnalyzerSpec = 'standard' | 'whitespace' | 'keyword' | ((text: string) => string[]);
+
+/**
+ * Options for `graph.search()` and `QueryBuilder.search()`.
+ */
+export interface TextSearchOptions {
+  /** Text-indexed fields to search. Default: every indexed field. */
+  fields?: string[];
+  /** `'or'` (default): a node must hold one query term; `'and'`: every query term. */
+  match?: 'or' | 'and';
+  /** Maximum number of hits. */
+  limit?: number;
+}
+
+/**
+ * A full-text search match.
+ */
+export interface TextSearchHit {
+  /** Node ID */
+  id: string;
+  /** BM25 relevance; higher is better */
+  score: number;
+}
+
+/**
+ * Result of `graph.search()`.
+ */
+export interface TextSearchResult {
+  stateHash: string;
+  /** Sorted by score (descending), then node ID */
+  hits: TextSearchHit[];
+}
+
+/**
+ * How a query step found its nodes.
+ */
+export type QueryPlanAccess = 'cached' | 'materialized' | 'scan' | 'value-index' | 'text-index' | 'adjacency' | 'memory';
+
+/**
+ * One step of a query plan from `QueryBuilder.explain()`.
+ */
+export interface QueryPlanStep {
+  /** materialize, match, where, search, outgoing, incoming, rank, orderBy, paginate, select, or aggregate */
+  op: string;
+  /** The step's arguments, e.g. the pattern or predicate */
+  detail: string;
+  access: QueryPlanAccess;
+  /** Nodes the step was expected to produce */
+  estimated: number;
+  /** Nodes the step produced */
+  actual: number;
+  /** Node property records read from the graph */
+  propsLoaded: number;
+  /** Property reads answered by the per-run memo */
+  propsCacheHits: number;
+  durationMs: number;
+}
+
+/**
+ * Result of `QueryBuilder.explain()`.
+ */
+export interface QueryPlan {
+  stateHash: string;
+  steps: QueryPlanStep[];
+  /** Nodes, or groups, in the result */
+  rows: number;
+  caches: {
+    props: { hits: number; misses: number };
+    /** Lookups made while materializing; null when the adjacency cache is disabled */
+    adjacency: { hits: number; misses: number } | null;
+  };
+  durationMs: number;
 }
 
 /**
@@ -220,6 +391,39 @@ export interface AggregateResult {
 export interface HopOptions {
   /** Number of hops or [min, max] range. Default: [1, 1] (single hop). */
   depth?: number | [number, number];
+  /** Follows only edges matching the predicate; declarative and shorthand forms test the edge's props. */
+  where?: ((edge: QueryEdgeSnapshot) => boolean) | NodePredicate | Record<string, unknown>;
+}
+
+/**
+ * Row reported by a live query, keyed by node ID.
+ */
+export interface LiveQueryRow {
+  id: string;
+  props?: Record<string, unknown>;
+}
+
+/**
+ * Change to a live query's result since the previous one.
+ */
+export interface LiveQueryDelta {
+  stateHash: string;
+  /** Rows that entered the result, sorted by ID */
+  added: LiveQueryRow[];
+  /** Rows that left the result, as last reported */
+  removed: LiveQueryRow[];
+  /** Rows still in the result whose content changed, as they are now */
+  changed: LiveQueryRow[];
+}
+
+/**
+ * Handlers for `QueryBuilder.live()`.
+ */
+export interface LiveQueryOptions {
+  /** Receives the first result (every row added) and every later change to it */
+  onResult: (delta: LiveQueryDelta) => void;
+  /** Receives re-evaluation failures and errors thrown by onResult */
+  onError?: (error: unknown) => void;
 }
 
 /**
@@ -227,12 +431,76 @@ export interface HopOptions {
  */
 export class QueryBuilder {
   match(pattern: string | string[]): QueryBuilder;
-  where(fn: ((node: QueryNodeSnapshot) => boolean) | Record<string, unknown>): QueryBuilder;
+  where(fn: ((node: QueryNodeSnapshot) => boolean) | NodePredicate | Record<string, unknown>): QueryBuilder;
+  /** Keeps full-text matches; without orderBy(), results are ranked by relevance. */
+  search(text: string, options?: TextSearchOptions): QueryBuilder;
   outgoing(label?: string, options?: HopOptions): QueryBuilder;
   incoming(label?: string, options?: HopOptions): QueryBuilder;
   select(fields?: Array<'id' | 'props'>): QueryBuilder;
+  /** Sorts by a property path (e.g. 'props.createdAt') or 'id'. Repeat to add tie-breakers. */
+  orderBy(path: string, direction?: 'asc' | 'desc'): QueryBuilder;
+  /** Returns at most n nodes plus a `nextCursor` for the following page. */
+  limit(n: number): QueryBuilder;
+  /** Skips the first n nodes of the ordered results. */
+  offset(n: number): QueryBuilder;
+  /** Continues from a previous page's `nextCursor`; run() throws E_QUERY_CURSOR_STALE if the graph changed. */
+  after(cursor: string): QueryBuilder;
+  /** Groups nodes by a property path, 'id', or a key function; aggregate() then runs per group. */
+  groupBy(key: string | ((node: QueryNodeSnapshot) => unknown)): QueryBuilder;
   aggregate(spec: AggregateSpec): QueryBuilder;
-  run(): Promise<QueryResultV1 | AggregateResult>;
+  run(): Promise<QueryResultV1 | AggregateResult | GroupedAggregateResult>;
+  /** Runs the query and returns its step-by-step plan instead of the results. */
+  explain(): Promise<QueryPlan>;
+  /** Re-evaluates the query after each materialize() and reports added, removed, and changed rows. */
+  live(options: LiveQueryOptions): Promise<{ unsubscribe: () => void }>;
+}
+
+/**
+ * Result of `EdgeQuery.run()`.
+ */
+export interface EdgeQueryResult {
+  stateHash: string;
+  /** Sorted by source, label, then target */
+  edges: QueryEdgeSnapshot[];
+}
+
+/**
+ * Fluent query over edges, from `graph.queryEdges()`.
+ */
+export class EdgeQuery {
+  /** Keeps edges with the label, or one of the labels. */
+  label(labels: string | string[]): EdgeQuery;
+  /** Keeps edges whose source matches the pattern(s). */
+  from(pattern: string | string[]): EdgeQuery;
+  /** Keeps edges whose target matches the pattern(s). */
+  to(pattern: string | string[]): EdgeQuery;
+  /** Filters edges; declarative and shorthand forms test the edge's props. */
+  where(fn: ((edge: QueryEdgeSnapshot) => boolean) | NodePredicate | Record<string, unknown>): EdgeQuery;
+  run(): Promise<EdgeQueryResult>;
+}
+
+/**
+ * Result of `PatternQuery.run()`.
+ */
+export interface PatternMatchResult {
+  stateHash: string;
+  /** One node ID per selected variable, sorted by those IDs in variable order */
+  rows: Array<Record<string, string>>;
+}
+
+/**
+ * Pattern query over named variables, from `graph.match()`.
+ */
+export class PatternQuery {
+  /** Requires an edge from `from`'s node to `to`'s node; an undefined label matches any label. */
+  edge(from: string, label: string | undefined, to: string): PatternQuery;
+  /** Filters a variable's nodes (same forms as `QueryBuilder.where()`), or whole rows with a row predicate. */
+  where(variable: string, fn: ((node: QueryNodeSnapshot) => boolean) | NodePredicate | Record<string, unknown>): PatternQuery;
+  where(fn: (row: Record<string, QueryNodeSnapshot>) => boolean): PatternQuery;
+  /** Variables each row reports; duplicate rows collapse. Default: every variable. */
+  select(variables: string[]): PatternQuery;
+  limit(n: number): PatternQuery;
+  run(): Promise<PatternMatchResult>;
 }
 
 /**
@@ -266,6 +534,18 @@ export interface LogicalTraversal {
     labelFilter?: string | string[];
     signal?: AbortSignal;
   }): Promise<{ path: string[]; totalCost: number }>;
+  /** K shortest loopless paths (Yen), cheapest first; fewer than `k` (default 1) when fewer exist. */
+  kShortestPaths(from: string, to: string, options?: WeightedCostSelector & {
+    k?: number;
+    dir?: 'out' | 'in' | 'both';
+    labelFilter?: string | string[];
+    signal?: AbortSignal;
+  }): Promise<{ paths: Array<{ path: string[]; totalCost: number }> }>;
+  /** Simple paths in lexicographic order of node IDs, at most `maxPaths` (default 1000), each at most `maxDepth` edges. */
+  allSimplePaths(from: string, to: string, options?: TraverseFacadeOptions & {
+    maxPaths?: number;
+    signal?: AbortSignal;
+  }): AsyncGenerator<string[], void, unknown>;
   aStarSearch(from: string, to: string, options?: WeightedCostSelector & {
     dir?: 'out' | 'in' | 'both';
     labelFilter?: string | string[];
@@ -322,6 +602,104 @@ export interface LogicalTraversal {
     maxDepth?: number;
     signal?: AbortSignal;
   }): Promise<{ roots: string[] }>;
+  /** PageRank over the whole graph; scores sum to 1, keyed by node ID in sorted order. */
+  pageRank(options?: {
+    dir?: 'out' | 'in' | 'both';
+    labelFilter?: string | string[];
+    damping?: number;
+    tolerance?: number;
+    maxIterations?: number;
+    maxNodes?: number;
+    signal?: AbortSignal;
+  }): Promise<{ scores: Map<string, number>; iterations: number; converged: boolean }>;
+  /** PageRank whose random jumps land on the seeds; scores cover the nodes the seeds reach. */
+  personalizedPageRank(seeds: string | string[], options?: {
+    dir?: 'out' | 'in' | 'both';
+    labelFilter?: string | string[];
+    damping?: number;
+    tolerance?: number;
+    maxIterations?: number;
+    maxNodes?: number;
+    signal?: AbortSignal;
+  }): Promise<{ scores: Map<string, number>; iterations: number; converged: boolean }>;
+  /** Distinct neighbors per node in `dir`, divided by n - 1 unless `normalized` is false. */
+  degreeCentrality(options?: {
+    dir?: 'out' | 'in' | 'both';
+    labelFilter?: string | string[];
+    normalized?: boolean;
+    maxNodes?: number;
+    signal?: AbortSignal;
+  }): Promise<{ scores: Map<string, number> }>;
+  /** Closeness with the Wasserman–Faust correction for unreachable nodes. */
+  closenessCentrality(options?: {
+    dir?: 'out' | 'in' | 'both';
+    labelFilter?: string | string[];
+    maxNodes?: number;
+    signal?: AbortSignal;
+  }): Promise<{ scores: Map<string, number> }>;
+  /** Brandes betweenness, divided by (n - 1)(n - 2) unless `normalized` is false. */
+  betweennessCentrality(options?: {
+    dir?: 'out' | 'in' | 'both';
+    labelFilter?: string | string[];
+    normalized?: boolean;
+    maxNodes?: number;
+    signal?: AbortSignal;
+  }): Promise<{ scores: Map<string, number> }>;
+  /** Strongly connected components along outgoing edges, in topological order, each sorted. */
+  stronglyConnectedComponents(options?: {
+    labelFilter?: string | string[];
+    maxNodes?: number;
+    signal?: AbortSignal;
+  }): Promise<{ components: string[][] }>;
+  /** Condensation DAG: vertices are indices into `components`; every edge has from < to. */
+  condensation(options?: {
+    labelFilter?: string | string[];
+    maxNodes?: number;
+    signal?: AbortSignal;
+  }): Promise<{ components: string[][]; componentOf: Map<string, number>; edges: Array<{ from: number; to: number }> }>;
+  /** Elementary cycles, each starting at its smallest node ID; `truncated` when maxCycles (default 100) cut the search short. */
+  findCycles(options?: {
+    labelFilter?: string | string[];
+    maxCycles?: number;
+    maxLength?: number;
+    maxNodes?: number;
+    signal?: AbortSignal;
+  }): Promise<{ cycles: string[][]; truncated: boolean }>;
+  /** Seeded label propagation, edges undirected; communities numbered by smallest member. `writeProperty` commits each node's community. */
+  labelPropagation(options?: {
+    labelFilter?: string | string[];
+    seed?: number;
+    maxIterations?: number;
+    maxNodes?: number;
+    writeProperty?: string;
+    signal?: AbortSignal;
+  }): Promise<{ communities: Map<string, number>; count: number; modularity: number; iterations: number; converged: boolean; patchSha: string | null }>;
+  /** Seeded Louvain modularity clustering, edges undirected; communities numbered by smallest member. `writeProperty` commits each node's community. */
+  louvain(options?: {
+    labelFilter?: string | string[];
+    seed?: number;
+    resolution?: number;
+    maxIterations?: number;
+    maxNodes?: number;
+    writeProperty?: string;
+    signal?: AbortSignal;
+  }): Promise<{ communities: Map<string, number>; count: number; modularity: number; levels: number; patchSha: string | null }>;
+  /** Maximum source→sink flow along outgoing edges (Dinic). Capacity per edge from `capacityFn` or the numeric edge property `capacityKey` (missing = 0); default 1. */
+  maxFlow(source: string, sink: string, options?: {
+    labelFilter?: string | string[];
+    capacityFn?: (from: string, to: string, label: string) => number | Promise<number>;
+    capacityKey?: string;
+    maxNodes?: number;
+    signal?: AbortSignal;
+  }): Promise<{ maxFlow: number; flows: Array<{ from: string; to: string; label: string; flow: number }> }>;
+  /** Minimum source→sink cut with the capacities of `maxFlow`: the bottleneck edges and the nodes on the source side. */
+  minCut(source: string, sink: string, options?: {
+    labelFilter?: string | string[];
+    capacityFn?: (from: string, to: string, label: string) => number | Promise<number>;
+    capacityKey?: string;
+    maxNodes?: number;
+    signal?: AbortSignal;
+  }): Promise<{ capacity: number; cut: Array<{ from: string; to: string; label: string; capacity: number }>; sourceSide: string[] }>;
 }
 
 /**
@@ -1055,6 +1433,254 @@ export type BisectResult =
   | { result: 'found'; firstBadPatch: string; writerId: string; lamport: number; steps: number; totalCandidates: number }
   | { result: 'range-error'; message: string };
 
+/**
+ * A single property write competing in a conflict.
+ */
+export interface ConflictWrite {
+  /** Value written */
+  value: unknown;
+  /** Writer that authored the patch */
+  writerId: string;
+  /** SHA of the patch commit */
+  patchSha: string;
+  /** EventId used for LWW ordering */
+  eventId: EventId;
+}
+
+/**
+ * A run of concurrent writes to one property, as returned by `getConflicts()`.
+ *
+ * Discriminated union on `kind`: node conflicts carry `nodeId`, edge
+ * conflicts carry `from`/`to`/`label`.
+ */
+export type PropertyConflict =
+  | { kind: 'node'; nodeId: string; key: string; winner: ConflictWrite; overwritten: ConflictWrite[] }
+  | { kind: 'edge'; from: string; to: string; label: string; key: string; winner: ConflictWrite; overwritten: ConflictWrite[] };
+
+/**
+ * Filters for `getConflicts()`.
+ */
+export interface GetConflictsOptions {
+  /** Only report conflicts on this node's properties */
+  nodeId?: string;
+  /** Only report conflicts on this property key */
+  key?: string;
+  /** Only report conflicts whose winning write has a Lamport tick >= since */
+  since?: number;
+}
+
+/**
+ * A property register as seen by a merge policy.
+ */
+export interface MergeRegister {
+  /** EventId of the write that produced the value */
+  eventId: EventId;
+  /** Property value */
+  value: unknown;
+}
+
+/**
+ * A register join used in place of last-writer-wins for the properties it
+ * is registered for (see `WarpGraph.open({ mergePolicies })`).
+ *
+ * `join` must be commutative, associative, and idempotent, or replicas
+ * will not converge.
+ */
+export interface MergePolicy {
+  /** Identifies the policy in checkpoint metadata */
+  readonly name: string;
+  /** Serializable parameters, recorded alongside the name */
+  readonly params?: unknown;
+  join(a: MergeRegister, b: MergeRegister): MergeRegister;
+}
+
+/**
+ * A `mergePolicies` value: a built-in policy name or a policy object.
+ */
+export type MergePolicyConfigValue = 'lww' | 'max' | 'min' | 'union' | MergePolicy;
+
+/**
+ * Built-in merge policies.
+ *
+ * - `lww`: greatest EventId wins (the default)
+ * - `max` / `min`: greatest / smallest value wins (booleans < numbers < strings)
+ * - `union`: grow-only union of array elements
+ * - `writerPriority(writers)`: the write from the writer listed earliest wins
+ */
+export const MergePolicies: {
+  readonly lww: MergePolicy;
+  readonly max: MergePolicy;
+  readonly min: MergePolicy;
+  readonly union: MergePolicy;
+  writerPriority(writers: string[]): MergePolicy;
+};
+
+/**
+ * Error thrown for invalid `mergePolicies` config (`E_MERGE_POLICY_INVALID`)
+ * or when materializing from an explicitly given checkpoint that was
+ * written under different merge policies (`E_MERGE_POLICY_MISMATCH`).
+ */
+export class MergePolicyError extends Error {
+  readonly name: string;
+  readonly code: string;
+  readonly context: Record<string, unknown>;
+
+  constructor(message: string, options?: {
+    code?: string;
+    context?: Record<string, unknown>;
+  });
+}
+
+/**
+ * Property value types a schema can require.
+ */
+export type SchemaPropType = 'string' | 'number' | 'integer' | 'boolean' | 'array' | 'object' | 'unknown';
+
+/**
+ * A property constraint: a type name, or a type plus whether the property
+ * must be present and non-null.
+ */
+export type SchemaPropSpec = SchemaPropType | { type?: SchemaPropType; required?: boolean };
+
+/**
+ * A node type. A node's type is the first entry of `nodes` whose `match`
+ * glob matches its ID; nodes that match no type are unconstrained.
+ */
+export interface SchemaNodeType {
+  match: string | string[];
+  props?: Record<string, SchemaPropSpec>;
+}
+
+/**
+ * Rules for one edge label. `from` / `to` name the allowed endpoint node
+ * types (omitted means any node).
+ *
+ * - `many-to-many` (default): no limit
+ * - `one-to-many`: each target has at most one incoming edge with the label
+ * - `many-to-one`: each source has at most one outgoing edge with the label
+ * - `one-to-one`: both
+ */
+export interface SchemaEdgeRule {
+  from?: string | string[];
+  to?: string | string[];
+  cardinality?: 'many-to-many' | 'one-to-many' | 'many-to-one' | 'one-to-one';
+  props?: Record<string, SchemaPropSpec>;
+}
+
+/**
+ * A graph schema (see `WarpGraph.open({ graphSchema })`). Declaring `edges`
+ * makes it the closed set of allowed labels.
+ */
+export interface SchemaDefinition {
+  nodes?: Record<string, SchemaNodeType>;
+  edges?: Record<string, SchemaEdgeRule>;
+}
+
+/**
+ * One schema violation. Node violations carry `nodeId`; edge violations
+ * carry `from`, `to`, `label`.
+ */
+export interface SchemaViolation {
+  code: 'E_SCHEMA_PROP_REQUIRED' | 'E_SCHEMA_PROP_TYPE' | 'E_SCHEMA_EDGE_LABEL' | 'E_SCHEMA_EDGE_ENDPOINT' | 'E_SCHEMA_EDGE_CARDINALITY';
+  kind: 'node' | 'edge';
+  message: string;
+  nodeId?: string;
+  from?: string;
+  to?: string;
+  label?: string;
+  key?: string;
+}
+
+/**
+ * Error thrown when a patch commit would violate the graph schema
+ * (`E_SCHEMA_VIOLATION`).
+ */
+export class SchemaViolationError extends Error {
+  readonly name: string;
+  readonly code: string;
+  readonly context: Record<string, unknown>;
+  /** Every violation found, node violations first */
+  readonly violations: SchemaViolation[];
+
+  constructor(message: string, options?: {
+    violations?: SchemaViolation[];
+    code?: string;
+    context?: Record<string, unknown>;
+  });
+}
+
+/**
+ * A patch precondition (see `PatchBuilderV2.expectNode()` and friends).
+ * Node preconditions carry `nodeId`; edge preconditions carry `from`,
+ * `to`, `label`; `propEquals` also carries `key` and the expected `value`.
+ */
+export interface PatchPrecondition {
+  type: 'nodeExists' | 'nodeAbsent' | 'edgeExists' | 'edgeAbsent' | 'propEquals';
+  nodeId?: string;
+  from?: string;
+  to?: string;
+  label?: string;
+  key?: string;
+  value?: unknown;
+}
+
+/**
+ * A precondition that did not hold at commit time.
+ */
+export interface PreconditionFailure extends PatchPrecondition {
+  /** Observed property value (`propEquals`) or presence (the others) */
+  actual: unknown;
+  message: string;
+}
+
+/**
+ * Error thrown when a patch's preconditions do not hold at commit time
+ * (`E_PRECONDITION_FAILED`). Nothing is written.
+ */
+export class PreconditionError extends Error {
+  readonly name: string;
+  readonly code: string;
+  readonly context: Record<string, unknown>;
+  /** Every failed precondition, in declaration order */
+  readonly failures: PreconditionFailure[];
+
+  constructor(message: string, options?: {
+    failures?: PreconditionFailure[];
+    code?: string;
+    context?: Record<string, unknown>;
+  });
+}
+
+/**
+ * A later patch that wrote keys a reverted patch also wrote
+ * (see `WarpGraph.revert()`).
+ */
+export interface SupersedingPatch {
+  sha: string;
+  writer: string;
+  lamport: number;
+  /** The shared keys, formatted like `node`, `from -> to [label]`, or `node.key` */
+  targets: string[];
+}
+
+/**
+ * Error thrown by `WarpGraph.revert()`: `E_REVERT_UNKNOWN_PATCH`,
+ * `E_REVERT_UNSUPPORTED`, `E_REVERT_SUPERSEDED`, or `E_REVERT_EMPTY`.
+ */
+export class RevertError extends Error {
+  readonly name: string;
+  readonly code: string;
+  readonly context: Record<string, unknown>;
+  /** Later patches touching the reverted keys (`E_REVERT_SUPERSEDED` only) */
+  readonly superseded: SupersedingPatch[];
+
+  constructor(message: string, options?: {
+    superseded?: SupersedingPatch[];
+    code?: string;
+    context?: Record<string, unknown>;
+  });
+}
+
 /**
  * Error class for graph traversal operations.
  */
@@ -1105,7 +1731,8 @@ export class QueryError extends Error {
 
 /**
  * Error thrown when a patch contains operations unsupported by the current schema version.
- * Raised during sync when a v2 reader encounters edge property ops (schema v3).
+ * Raised during sync when a reader encounters ops from a newer patch schema
+ * (edge property ops are schema v3; counter, set, sequence, and node-merge ops are v4).
  */
 export class SchemaUnsupportedError extends Error {
   readonly name: 'SchemaUnsupportedError';
@@ -1267,6 +1894,8 @@ export const CONTENT_PROPERTY_KEY: '_content';
 export interface ObserverConfig {
   /** Glob pattern or array of patterns for visible nodes (e.g. 'user:*' or ['user:*', 'team:*']) */
   match: string | string[];
+  /** Only nodes satisfying this predicate, evaluated over the visible properties */
+  where?: NodePredicate;
   /** Property keys to include (whitelist). If omitted, all non-redacted properties are visible. */
   expose?: string[];
   /** Property keys to exclude (blacklist). Takes precedence over expose. */
@@ -1292,6 +1921,9 @@ export class ObserverView {
   /** Checks if a node exists and is visible to this observer */
   hasNode(nodeId: string): Promise<boolean>;
 
+  /** Resolves a node ID through the graph's alias table */
+  resolveNode(nodeId: string): Promise<string>;
+
   /** Gets all visible nodes that match the observer pattern */
   getNodes(): Promise<string[]>;
 
@@ -1432,11 +2064,11 @@ export interface ContentMeta {
 // ============================================================================
 
 /**
- * WARP V5 patch object (schema 2 or 3).
+ * WARP V5 patch object (schema 2, 3, or 4).
  */
 export interface PatchV2 {
-  /** Schema version (2 for node/edge ops, 3 if edge properties present) */
-  schema: 2 | 3;
+  /** Schema version (2 for node/edge ops, 3 if edge properties present, 4 if counter, set, sequence, or node-merge ops present) */
+  schema: 2 | 3 | 4;
   /** Writer ID */
   writer: string;
   /** Lamport timestamp for ordering */
@@ -1468,8 +2100,35 @@ export class PatchBuilderV2 {
   removeEdge(from: string, to: string, label: string): PatchBuilderV2;
   /** Sets a property on a node. */
   setProperty(nodeId: string, key: string, value: unknown): PatchBuilderV2;
+  /** Adds a delta to a PN-Counter property on a node (concurrent increments sum). */
+  incrementProperty(nodeId: string, key: string, delta?: number): PatchBuilderV2;
   /** Sets a property on an edge. */
   setEdgeProperty(from: string, to: string, label: string, key: string, value: unknown): PatchBuilderV2;
+  /** Adds an element to an OR-Set valued node property (concurrent adds all survive). */
+  addToSet(nodeId: string, key: string, element: string): PatchBuilderV2;
+  /** Removes the observed adds of an element from an OR-Set valued node property. */
+  removeFromSet(nodeId: string, key: string, element: string): PatchBuilderV2;
+  /** Adds an element to an OR-Set valued edge property. */
+  addToEdgeSet(from: string, to: string, label: string, key: string, element: string): PatchBuilderV2;
+  /** Removes the observed adds of an element from an OR-Set valued edge property. */
+  removeFromEdgeSet(from: string, to: string, label: string, key: string, element: string): PatchBuilderV2;
+  /** Inserts a value into an ordered-list (sequence) node property at `index`. */
+  insertAt(nodeId: string, key: string, index: number, value: unknown): PatchBuilderV2;
+  /** Removes the item at `index` from a sequence node property. */
+  removeAt(nodeId: string, key: string, index: number): PatchBuilderV2;
+  /** Moves the item at `fromIndex` of a sequence node property so it ends up at `toIndex`. */
+  move(nodeId: string, key: string, fromIndex: number, toIndex: number): PatchBuilderV2;
+  /** Merges `absorbedId` into `survivorId`; reads of the absorbed ID resolve to the survivor. */
+  mergeNodes(survivorId: string, absorbedId: string): PatchBuilderV2;
+  /** Requires a node to exist when the patch commits (checked against fresh state). */
+  expectNode(nodeId: string): PatchBuilderV2;
+  /** Requires an edge and both its endpoints to exist when the patch commits. */
+  expectEdge(from: string, to: string, label: string): PatchBuilderV2;
+  /** Requires a node, or an edge given as (from, to, label), to be absent when the patch commits. */
+  expectAbsent(nodeId: string): PatchBuilderV2;
+  expectAbsent(from: string, to: string, label: string): PatchBuilderV2;
+  /** Requires a node property to equal `value` (`undefined` = unset) when the patch commits. */
+  expectProp(nodeId: string, key: string, value: unknown): PatchBuilderV2;
   /** Attaches content to a node (writes blob + sets _content property). */
   attachContent(nodeId: string, content: Uint8Array | string, metadata?: ContentAttachmentOptions): Promise<PatchBuilderV2>;
   /** Attaches content to an edge (writes blob + sets _content edge property). */
@@ -1502,8 +2161,35 @@ export class PatchSession {
   removeEdge(from: string, to: string, label: string): this;
   /** Sets a property on a node. */
   setProperty(nodeId: string, key: string, value: unknown): this;
+  /** Adds a delta to a PN-Counter property on a node (concurrent increments sum). */
+  incrementProperty(nodeId: string, key: string, delta?: number): this;
   /** Sets a property on an edge. */
   setEdgeProperty(from: string, to: string, label: string, key: string, value: unknown): this;
+  /** Adds an element to an OR-Set valued node property (concurrent adds all survive). */
+  addToSet(nodeId: string, key: string, element: string): this;
+  /** Removes the observed adds of an element from an OR-Set valued node property. */
+  removeFromSet(nodeId: string, key: string, element: string): this;
+  /** Adds an element to an OR-Set valued edge property. */
+  addToEdgeSet(from: string, to: string, label: string, key: string, element: string): this;
+  /** Removes the observed adds of an element from an OR-Set valued edge property. */
+  removeFromEdgeSet(from: string, to: string, label: string, key: string, element: string): this;
+  /** Inserts a value into an ordered-list (sequence) node property at `index`. */
+  insertAt(nodeId: string, key: string, index: number, value: unknown): this;
+  /** Removes the item at `index` from a sequence node property. */
+  removeAt(nodeId: string, key: string, index: number): this;
+  /** Moves the item at `fromIndex` of a sequence node property so it ends up at `toIndex`. */
+  move(nodeId: string, key: string, fromIndex: number, toIndex: number): this;
+  /** Merges `absorbedId` into `survivorId`; reads of the absorbed ID resolve to the survivor. */
+  mergeNodes(survivorId: string, absorbedId: string): this;
+  /** Requires a node to exist when the session commits (checked against fresh state). */
+  expectNode(nodeId: string): this;
+  /** Requires an edge and both its endpoints to exist when the session commits. */
+  expectEdge(from: string, to: string, label: string): this;
+  /** Requires a node, or an edge given as (from, to, label), to be absent when the session commits. */
+  expectAbsent(nodeId: string): this;
+  expectAbsent(from: string, to: string, label: string): this;
+  /** Requires a node property to equal `value` (`undefined` = unset) when the session commits. */
+  expectProp(nodeId: string, key: string, value: unknown): this;
   /** Attaches content to a node (writes blob + sets _content property). */
   attachContent(nodeId: string, content: Uint8Array | string, metadata?: ContentAttachmentOptions): Promise<this>;
   /** Attaches content to an edge (writes blob + sets _content edge property). */
@@ -1726,12 +2412,48 @@ export default class WarpGraph {
     codec?: unknown;
     seekCache?: SeekCachePort;
     trust?: SyncTrustOptions;
+    /**
+     * Per-property merge policies, keyed by property-name glob (first
+     * match wins). Unmatched properties stay last-writer-wins. Every
+     * replica of a graph must use the same policies; a checkpoint written
+     * under different policies is skipped (with a logger warning) and the
+     * state is replayed from patches.
+     */
+    mergePolicies?: Record<string, MergePolicyConfigValue>;
+    /**
+     * Graph schema. Patch commits that would violate it throw
+     * `SchemaViolationError` before anything is written.
+     */
+    graphSchema?: SchemaDefinition;
+    /**
+     * Property keys to keep a value index for. Declarative `where()`
+     * predicates on these keys find candidates from the index instead of
+     * scanning every node.
+     */
+    valueIndex?: { keys: string[] };
+    /**
+     * Full-text index over string properties, queried with `search()`.
+     * The analyzer (default `'standard'`) tokenizes both values and queries.
+     */
+    textIndex?: { fields: string[]; analyzer?: TextAnalyzerSpec };
     /** Content blob storage (for attachContent/attachEdgeContent). */
     blobStorage?: BlobStoragePort;
     /** Patch blob storage — when set, patch CBOR is encrypted via this port. */
     patchBlobStorage?: BlobStoragePort;
   }): Promise<WarpGraph>;
 
+  /**
+   * Reads the merge policies recorded in the graph's latest checkpoint as
+   * `mergePolicies` config, or null when there is no checkpoint or it
+   * records none. Throws `MergePolicyError` (`E_MERGE_POLICY_INVALID`) if
+   * a recorded policy is custom, since only built-ins can be rebuilt.
+   */
+  static readMergePolicies(options: {
+    persistence: GraphPersistencePort;
+    graphName: string;
+    codec?: unknown;
+  }): Promise<Record<string, MergePolicyConfigValue> | null>;
+
   /**
    * The graph namespace.
    */
@@ -1762,8 +2484,22 @@ export default class WarpGraph {
    *
    * Not reentrant: calling `graph.patch()` inside a callback throws.
    * Use `createPatch()` directly for nested or concurrent patches.
+   *
+   * With `retries`, a commit that fails with `PreconditionError` or a
+   * `WRITER_CAS_CONFLICT` re-materializes and reruns `build` on a fresh
+   * builder, up to that many times.
+   */
+  patch(build: (patch: PatchBuilderV2) => void | Promise<void>, options?: { retries?: number }): Promise<string>;
+
+  /**
+   * Reverts a committed patch by committing its inverse: nodes and edges it
+   * removed are re-added, ones it added are removed, and properties it set
+   * get their prior values. The new patch carries an `eg-revert-of` trailer.
+   *
+   * Refuses with `RevertError` (`E_REVERT_SUPERSEDED`) when a later patch
+   * wrote the same keys, unless `force` is set.
    */
-  patch(build: (patch: PatchBuilderV2) => void | Promise<void>): Promise<string>;
+  revert(sha: string, options?: { force?: boolean }): Promise<string>;
 
   /**
    * Applies multiple patches sequentially. Each callback sees the state
@@ -1851,6 +2587,12 @@ export default class WarpGraph {
    */
   hasNode(nodeId: string): Promise<boolean>;
 
+  /**
+   * Resolves a node ID through the alias table written by `mergeNodes()`,
+   * returning the surviving node's ID (or `nodeId` itself if never merged).
+   */
+  resolveNode(nodeId: string): Promise<string>;
+
   /**
    * Gets neighbors of a node from the materialized state.
    */
@@ -1896,6 +2638,36 @@ export default class WarpGraph {
    */
   query(): QueryBuilder;
 
+  /**
+   * Creates a query builder from a Cypher-like text query, e.g.
+   * `MATCH (u:user:*)-[:follows*1..3]->(v) WHERE u.age > 30 RETURN v.id, count(*)`.
+   * Throws QueryError with code `E_QUERY_SYNTAX` (with `position`, `line`,
+   * and `column` in its context) or `E_QUERY_UNSUPPORTED`.
+   */
+  queryText(text: string): QueryBuilder;
+
+  /**
+   * Creates a pattern query binding several named variables, each to nodes
+   * matching its ID pattern, e.g.
+   * `graph.match({ a: 'user:*', b: 'repo:*' }).edge('a', 'owns', 'b')`.
+   * Variables may repeat across edges, so cycles and self-loops match.
+   */
+  match(variables: Record<string, string | string[]>): PatternQuery;
+
+  /**
+   * Creates a fluent query over edges, filtered by label (read from the
+   * index's label bitmaps), endpoint ID patterns, and edge property
+   * predicates. Results carry each edge's props.
+   */
+  queryEdges(): EdgeQuery;
+
+  /**
+   * Searches the string properties covered by the `textIndex` option,
+   * ranking matches with BM25. A term followed by `*` matches as a prefix.
+   * Throws QueryError with code `E_QUERY_SEARCH_TYPE` or `E_QUERY_SEARCH_FIELD`.
+   */
+  search(text: string, options?: TextSearchOptions): Promise<TextSearchResult>;
+
   /**
    * Creates a read-only observer view of the current materialized state.
    *
@@ -1980,6 +2752,22 @@ export default class WarpGraph {
     forkWriterId?: string;
   }): Promise<WarpGraph>;
 
+  /**
+   * Merges a fork's work back into this graph.
+   *
+   * Lands every fork writer's patches after the fork point on a writer chain
+   * of this graph. Writers whose ID is free here are adopted unchanged;
+   * others are rebased onto the existing chain with fresh dots. Patches
+   * landed by an earlier merge are skipped.
+   *
+   * @throws {ForkError} `E_FORK_INVALID_ARGS`, `E_FORK_NAME_INVALID`, `E_FORK_NOT_FOUND`,
+   *   `E_FORK_NOT_A_FORK`, `E_FORK_WRITER_NOT_FOUND`, or `E_FORK_WRITER_ID_INVALID`
+   */
+  mergeFork(forkName: string, options?: {
+    /** Fork writer ID → writer ID to land its patches as (default: unchanged) */
+    writerMapping?: Record<string, string>;
+  }): Promise<MergeForkResult>;
+
   /**
    * Creates a wormhole compressing a range of patches.
    *
@@ -2014,6 +2802,22 @@ export default class WarpGraph {
     receipts?: TickReceipt[];
   }>;
 
+  /**
+   * Lists concurrent property writes that lost Last-Write-Wins resolution.
+   *
+   * Replays every writer's property writes in reducer order and reports each
+   * run of overwrites where the winning patch had not observed the value it
+   * replaced. Does not require a materialized state.
+   */
+  getConflicts(options?: GetConflictsOptions): Promise<PropertyConflict[]>;
+
+  /**
+   * Checks the materialized state against the graph schema, including data
+   * that bypassed commit-time validation (e.g. arrived via `syncWith()`).
+   * Returns an empty array when no schema is configured.
+   */
+  validateSchema(): Promise<SchemaViolation[]>;
+
   /**
    * The provenance index mapping entities to contributing patches.
    * Available after materialize() has been called.
@@ -2057,6 +2861,8 @@ export default class WarpGraph {
       onChange: (diff: StateDiffResult) => void;
       onError?: (error: unknown) => void;
       poll?: number;
+      /** Only changes to nodes satisfying the predicate before or after the change */
+      where?: NodePredicate;
     },
   ): { unsubscribe: () => void };
 
@@ -2209,6 +3015,33 @@ export class ForkError extends Error {
   });
 }
 
+/**
+ * How one fork writer's patches were landed by `WarpGraph.mergeFork()`.
+ */
+export interface MergedForkWriter {
+  /** Writer ID in the fork */
+  forkWriter: string;
+  /** Writer ID in the base graph */
+  writer: string;
+  /** `adopted`: patches landed unchanged; `rebased`: re-issued on an existing writer */
+  mode: 'adopted' | 'rebased';
+  /** Landed patch commit SHAs, oldest first */
+  patches: string[];
+}
+
+/**
+ * Result of `WarpGraph.mergeFork()`.
+ */
+export interface MergeForkResult {
+  forkName: string;
+  /** Fork writers that landed patches in this merge */
+  writers: MergedForkWriter[];
+  /** Tick receipts of the landed patches */
+  receipts: TickReceipt[];
+  /** Property conflicts a landed patch won or lost */
+  conflicts: PropertyConflict[];
+}
+
 // ============================================================================
 // Tick Receipts (LIGHTHOUSE)
 // ============================================================================
@@ -2216,7 +3049,7 @@ export class ForkError extends Error {
 /**
  * Valid operation types that can appear in a tick receipt.
  */
-export type TickReceiptOpType = 'NodeAdd' | 'NodeTombstone' | 'EdgeAdd' | 'EdgeTombstone' | 'PropSet' | 'BlobValue';
+export type TickReceiptOpType = 'NodeAdd' | 'NodeTombstone' | 'EdgeAdd' | 'EdgeTombstone' | 'PropSet' | 'PropIncrement' | 'SetAdd' | 'SetTombstone' | 'SeqInsert' | 'SeqTombstone' | 'SeqMove' | 'NodeMerge' | 'BlobValue';
 
 /**
  * Valid result values for an operation outcome.
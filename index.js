@@ -41,9 +41,13 @@ import {
   EncryptionError,
   ForkError,
   IndexError,
+  MergePolicyError,
   QueryError,
+  RevertError,
   PatchError,
+  PreconditionError,
   SchemaUnsupportedError,
+  SchemaViolationError,
   ShardLoadError,
   ShardCorruptionError,
   ShardValidationError,
@@ -78,6 +82,8 @@ import {
 } from './src/domain/types/WarpTypes.js';
 import { migrateV4toV5 } from './src/domain/services/MigrationService.js';
 import QueryBuilder from './src/domain/services/QueryBuilder.js';
+import PatternQuery from './src/domain/services/PatternQuery.js';
+import EdgeQuery from './src/domain/services/EdgeQuery.js';
 import ObserverView from './src/domain/services/ObserverView.js';
 import WarpServeService from './src/domain/services/WarpServeService.js';
 import { computeTranslationCost } from './src/domain/services/TranslationCost.js';
@@ -122,6 +128,7 @@ import { Writer } from './src/domain/warp/Writer.js';
 import { ProvenanceIndex } from './src/domain/services/ProvenanceIndex.js';
 import WarpStateIndexBuilder, { buildWarpStateIndex } from './src/domain/services/WarpStateIndexBuilder.js';
 import { computeStateHashV5 } from './src/domain/services/StateSerializerV5.js';
+import { MergePolicies } from './src/domain/crdt/MergePolicy.js';
 
 const TraversalService = CommitDagTraversalService;
 
@@ -170,10 +177,14 @@ export {
   // Error types for integrity failure handling
   EncryptionError,
   PatchError,
+  PreconditionError,
   ForkError,
   IndexError,
+  MergePolicyError,
   QueryError,
+  RevertError,
   SchemaUnsupportedError,
+  SchemaViolationError,
   ShardLoadError,
   ShardCorruptionError,
   ShardValidationError,
@@ -191,6 +202,8 @@ export {
   // Multi-writer graph support (WARP)
   WarpGraph,
   QueryBuilder,
+  PatternQuery,
+  EdgeQuery,
   ObserverView,
   WarpServeService,
   PatchBuilderV2,
@@ -215,6 +228,9 @@ export {
   isEdgePropKey,
   CONTENT_PROPERTY_KEY,
 
+  // Per-property merge policies
+  MergePolicies,
+
   // State indexing & hashing
   WarpStateIndexBuilder,
   buildWarpStateIndex,
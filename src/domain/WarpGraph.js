@@ -8,7 +8,7 @@
  * @see WARP Spec Section 11
  */
 
-import { validateGraphName, validateWriterId } from './utils/RefLayout.js';
+import { validateGraphName, validateWriterId, buildCheckpointRef } from './utils/RefLayout.js';
 import { createVersionVector } from './crdt/VersionVector.js';
 import { DEFAULT_GC_POLICY } from './services/GCPolicy.js';
 import { AuditReceiptService } from './services/AuditReceiptService.js';
@@ -22,6 +22,10 @@ import SyncController from './services/SyncController.js';
 import SyncTrustGate from './services/SyncTrustGate.js';
 import { AuditVerifierService } from './services/AuditVerifierService.js';
 import MaterializedViewService from './services/MaterializedViewService.js';
+import MergePolicyRegistry, { configFromDescriptors } from './services/MergePolicyRegistry.js';
+import { readMergePolicies } from './services/CheckpointService.js';
+import GraphSchema from './services/GraphSchema.js';
+import { normalizeTextIndexConfig } from './services/TextAnalyzer.js';
 import { wireWarpMethods } from './warp/_wire.js';
 import * as queryMethods from './warp/query.methods.js';
 import * as subscribeMethods from './warp/subscribe.methods.js';
@@ -62,7 +66,8 @@ function normalizeTrustConfig(trust) {
 
 /**
  * @typedef {Object} MaterializedGraph
- * @property {import('./services/JoinReducer.js').WarpStateV5} state
+ * @property {import('./services/JoinReducer.js').WarpStateV5} state - Read view; merged nodes folded into survivors
+ * @property {import('./services/JoinReducer.js').WarpStateV5} [source] - Cached state the view was projected from
  * @property {string|null} stateHash
  * @property {{outgoing: Map<string, Array<{neighborId: string, label: string}>>, incoming: Map<string, Array<{neighborId: string, label: string}>>}} adjacency
  * @property {import('./services/BitmapNeighborProvider.js').default} [provider]
@@ -74,7 +79,7 @@ function normalizeTrustConfig(trust) {
 export default class WarpGraph {
   /**
    * @private
-   * @param {{ persistence: CorePersistence, graphName: string, writerId: string, gcPolicy?: Record<string, unknown>, adjacencyCacheSize?: number, checkpointPolicy?: {every: number}, autoMaterialize?: boolean, onDeleteWithData?: 'reject'|'cascade'|'warn', logger?: import('../ports/LoggerPort.js').default, clock?: import('../ports/ClockPort.js').default, crypto?: import('../ports/CryptoPort.js').default, codec?: import('../ports/CodecPort.js').default, seekCache?: import('../ports/SeekCachePort.js').default, audit?: boolean, blobStorage?: import('../ports/BlobStoragePort.js').default, patchBlobStorage?: import('../ports/BlobStoragePort.js').default, trust?: { mode?: 'off'|'log-only'|'enforce', pin?: string|null } }} options
+   * @param {{ persistence: CorePersistence, graphName: string, writerId: string, gcPolicy?: Record<string, unknown>, adjacencyCacheSize?: number, checkpointPolicy?: {every: number}, autoMaterialize?: boolean, onDeleteWithData?: 'reject'|'cascade'|'warn', logger?: import('../ports/LoggerPort.js').default, clock?: import('../ports/ClockPort.js').default, crypto?: import('../ports/CryptoPort.js').default, codec?: import('../ports/CodecPort.js').default, seekCache?: import('../ports/SeekCachePort.js').default, audit?: boolean, blobStorage?: import('../ports/BlobStoragePort.js').default, patchBlobStorage?: import('../ports/BlobStoragePort.js').default, trust?: { mode?: 'off'|'log-only'|'enforce', pin?: string|null }, mergePolicies?: Record<string, import('./services/MergePolicyRegistry.js').MergePolicyConfigValue>, graphSchema?: import('./services/GraphSchema.js').SchemaDefinition, valueIndex?: { keys: string[] }, textIndex?: { fields: string[], analyzer?: import('./services/TextAnalyzer.js').TextAnalyzerSpec } }} options
    */
   constructor(options) {
     const {
@@ -95,6 +100,10 @@ export default class WarpGraph {
       blobStorage,
       patchBlobStorage,
       trust,
+      mergePolicies,
+      graphSchema,
+      valueIndex,
+      textIndex,
     } = options;
     /** @type {CorePersistence} */
     this._persistence = /** @type {CorePersistence} */ (persistence);
@@ -213,6 +222,12 @@ export default class WarpGraph {
     /** @type {{ mode: 'off'|'log-only'|'enforce', pin: string|null }} */
     this._trustConfig = normalizeTrustConfig(trust);
 
+    /** @type {MergePolicyRegistry|null} */
+    this._mergePolicies = MergePolicyRegistry.from(mergePolicies);
+
+    /** @type {GraphSchema|null} */
+    this._graphSchema = GraphSchema.from(graphSchema);
+
     /** @type {((override?: { mode?: 'off'|'log-only'|'enforce', pin?: string|null }|undefined|null) => SyncTrustGate|null)} */
     this._createSyncTrustGate = (override) => {
       const config = normalizeTrustConfig(override ?? this._trustConfig);
@@ -254,10 +269,18 @@ export default class WarpGraph {
       trustGate,
     });
 
+    /** @type {string[]} Property keys with a value index, sorted */
+    this._valueIndexKeys = valueIndex ? [...new Set(valueIndex.keys)].sort() : [];
+
+    /** @type {import('./services/TextAnalyzer.js').TextIndexConfig|null} */
+    this._textIndexConfig = normalizeTextIndexConfig(textIndex);
+
     /** @type {MaterializedViewService} */
     this._viewService = new MaterializedViewService({
       codec: this._codec,
       logger: this._logger || undefined,
+      valueIndexKeys: this._valueIndexKeys,
+      textIndex: this._textIndexConfig,
     });
 
     /** @type {import('./services/BitmapNeighborProvider.js').LogicalIndex|null} */
@@ -266,6 +289,12 @@ export default class WarpGraph {
     /** @type {import('./services/PropertyIndexReader.js').default|null} */
     this._propertyReader = null;
 
+    /** @type {import('./services/PropertyValueIndexReader.js').default|null} */
+    this._valueIndex = null;
+
+    /** @type {import('./services/TextIndexReader.js').default|null} */
+    this._textIndex = null;
+
     /** @type {string|null} */
     this._cachedViewHash = null;
 
@@ -333,9 +362,10 @@ export default class WarpGraph {
   /**
    * Opens a multi-writer graph.
    *
-   * @param {{ persistence: CorePersistence, graphName: string, writerId: string, gcPolicy?: Record<string, unknown>, adjacencyCacheSize?: number, checkpointPolicy?: {every: number}, autoMaterialize?: boolean, onDeleteWithData?: 'reject'|'cascade'|'warn', logger?: import('../ports/LoggerPort.js').default, clock?: import('../ports/ClockPort.js').default, crypto?: import('../ports/CryptoPort.js').default, codec?: import('../ports/CodecPort.js').default, seekCache?: import('../ports/SeekCachePort.js').default, audit?: boolean, blobStorage?: import('../ports/BlobStoragePort.js').default, patchBlobStorage?: import('../ports/BlobStoragePort.js').default, trust?: { mode?: 'off'|'log-only'|'enforce', pin?: string|null } }} options
+   * @param {{ persistence: CorePersistence, graphName: string, writerId: string, gcPolicy?: Record<string, unknown>, adjacencyCacheSize?: number, checkpointPolicy?: {every: number}, autoMaterialize?: boolean, onDeleteWithData?: 'reject'|'cascade'|'warn', logger?: import('../ports/LoggerPort.js').default, clock?: import('../ports/ClockPort.js').default, crypto?: import('../ports/CryptoPort.js').default, codec?: import('../ports/CodecPort.js').default, seekCache?: import('../ports/SeekCachePort.js').default, audit?: boolean, blobStorage?: import('../ports/BlobStoragePort.js').default, patchBlobStorage?: import('../ports/BlobStoragePort.js').default, trust?: { mode?: 'off'|'log-only'|'enforce', pin?: string|null }, mergePolicies?: Record<string, import('./services/MergePolicyRegistry.js').MergePolicyConfigValue>, graphSchema?: import('./services/GraphSchema.js').SchemaDefinition, valueIndex?: { keys: string[] }, textIndex?: { fields: string[], analyzer?: import('./services/TextAnalyzer.js').TextAnalyzerSpec } }} options
    * @returns {Promise<WarpGraph>} The opened graph instance
-   * @throws {Error} If graphName, writerId, checkpointPolicy, or onDeleteWithData is invalid
+   * @throws {Error} If graphName, writerId, checkpointPolicy, onDeleteWithData, graphSchema, valueIndex, or textIndex is invalid
+   * @throws {import('./errors/MergePolicyError.js').default} If mergePolicies is invalid
    *
    * @example
    * const graph = await WarpGraph.open({
@@ -344,7 +374,7 @@ export default class WarpGraph {
    *   writerId: 'node-1'
    * });
    */
-  static async open({ persistence, graphName, writerId, gcPolicy = {}, adjacencyCacheSize, checkpointPolicy, autoMaterialize, onDeleteWithData, logger, clock, crypto, codec, seekCache, audit, blobStorage, patchBlobStorage, trust }) {
+  static async open({ persistence, graphName, writerId, gcPolicy = {}, adjacencyCacheSize, checkpointPolicy, autoMaterialize, onDeleteWithData, logger, clock, crypto, codec, seekCache, audit, blobStorage, patchBlobStorage, trust, mergePolicies, graphSchema, valueIndex, textIndex }) {
     // Validate inputs
     validateGraphName(graphName);
     validateWriterId(writerId);
@@ -373,6 +403,17 @@ export default class WarpGraph {
       throw new Error('audit must be a boolean');
     }
 
+    // Validate valueIndex
+    if (valueIndex !== undefined && valueIndex !== null) {
+      const keys = typeof valueIndex === 'object' ? valueIndex.keys : undefined;
+      if (!Array.isArray(keys) || !keys.every((key) => typeof key === 'string' && key.length > 0)) {
+        throw new Error('valueIndex must be an object with { keys: string[] } of non-empty property keys');
+      }
+    }
+
+    // Validate textIndex
+    normalizeTextIndexConfig(textIndex);
+
     normalizeTrustConfig(trust);
 
     // Validate onDeleteWithData
@@ -383,7 +424,7 @@ export default class WarpGraph {
       }
     }
 
-    const graph = new WarpGraph({ persistence, graphName, writerId, gcPolicy, adjacencyCacheSize, checkpointPolicy, autoMaterialize, onDeleteWithData, logger, clock, crypto, codec, seekCache, audit, blobStorage, patchBlobStorage, trust });
+    const graph = new WarpGraph({ persistence, graphName, writerId, gcPolicy, adjacencyCacheSize, checkpointPolicy, autoMaterialize, onDeleteWithData, logger, clock, crypto, codec, seekCache, audit, blobStorage, patchBlobStorage, trust, mergePolicies, graphSchema, valueIndex, textIndex });
 
     // Validate migration boundary
     await graph._validateMigrationBoundary();
@@ -404,6 +445,29 @@ export default class WarpGraph {
     return graph;
   }
 
+  /**
+   * Reads the merge policies recorded in a graph's latest checkpoint as
+   * `mergePolicies` config, so tools that don't know a graph's policies
+   * (such as the CLI) can open it with them.
+   *
+   * @param {{ persistence: CorePersistence, graphName: string, codec?: import('../ports/CodecPort.js').default }} options
+   * @returns {Promise<Record<string, import('./services/MergePolicyRegistry.js').MergePolicyConfigValue>|null>} The config, or null when there is no checkpoint or it records no policies
+   * @throws {import('./errors/MergePolicyError.js').default} With code `E_MERGE_POLICY_INVALID` if a recorded policy is custom
+   *
+   * @example
+   * const mergePolicies = await WarpGraph.readMergePolicies({ persistence, graphName: 'events' });
+   * const graph = await WarpGraph.open({ persistence, graphName: 'events', writerId: 'cli', mergePolicies: mergePolicies ?? undefined });
+   */
+  static async readMergePolicies({ persistence, graphName, codec }) {
+    validateGraphName(graphName);
+    const checkpointSha = await persistence.readRef(buildCheckpointRef(graphName));
+    if (!checkpointSha) {
+      return null;
+    }
+    const descriptors = await readMergePolicies(persistence, checkpointSha, { codec });
+    return descriptors && descriptors.length > 0 ? configFromDescriptors(descriptors) : null;
+  }
+
   /**
    * Gets the graph name.
    * @returns {string} The graph name
@@ -485,6 +549,7 @@ export default class WarpGraph {
           if (!ck) { return null; }
           return { state: ck.state, maxLamport: this._maxLamportFromState(ck.state) };
         },
+        mergePolicies: this._mergePolicies,
       });
     }
     return this._temporalQuery;
@@ -0,0 +1,226 @@
+import { compareEventIds } from '../utils/EventId.js';
+import { canonicalStringify } from '../utils/canonicalStringify.js';
+import { lwwMax, lwwSet } from './LWW.js';
+
+/**
+ * @fileoverview Merge Policies - Alternative Register Joins
+ *
+ * Property registers resolve concurrent writes with {@link lwwMax}: the write
+ * with the greatest EventId wins. That is the wrong answer for monotonic
+ * properties (a `highestSeenVersion` should never go backwards just because
+ * the smaller value was written later). A merge policy replaces the register
+ * join for the properties it is registered for.
+ *
+ * ## Built-in Policies
+ *
+ * - **lww**: The default. Greatest EventId wins.
+ * - **max**: Greatest value wins. Values are ordered booleans < numbers <
+ *   strings (strings compare by code unit, so ISO-8601 timestamps order
+ *   chronologically); any other value ranks below all of them.
+ * - **min**: Smallest value wins, using the same order.
+ * - **writerPriority(writers)**: The write from the writer listed earliest
+ *   wins; writers not listed rank below every listed writer.
+ * - **union**: Grow-only union of array elements (a non-array value counts
+ *   as a one-element array). Elements are de-duplicated by canonical JSON and
+ *   the result is sorted by it, so the value is always an array.
+ *
+ * Ties under max, min, and writerPriority fall back to the greater EventId.
+ *
+ * ## Semilattice Requirement
+ *
+ * A policy's `join(a, b)` must be commutative, associative, and idempotent
+ * over registers (idempotent up to value equality), exactly like lwwMax.
+ * Every built-in is a total order with an EventId tie-break (or set union),
+ * so all replicas converge no matter which order patches arrive in. Custom
+ * policies carry the same obligation.
+ *
+ * @module crdt/MergePolicy
+ */
+
+/**
+ * A register join used in place of lwwMax.
+ *
+ * @typedef {Object} MergePolicy
+ * @property {string} name - Identifies the policy in checkpoint metadata
+ * @property {unknown} [params] - Serializable parameters (recorded alongside the name)
+ * @property {(a: import('./LWW.js').LWWRegister<unknown>, b: import('./LWW.js').LWWRegister<unknown>) => import('./LWW.js').LWWRegister<unknown>} join
+ */
+
+/**
+ * Ranks a value's type for max/min ordering.
+ *
+ * @param {unknown} value
+ * @returns {number}
+ */
+function typeRank(value) {
+  switch (typeof value) {
+    case 'boolean':
+      return 1;
+    case 'number':
+      return Number.isNaN(value) ? 0 : 2;
+    case 'string':
+      return 3;
+    default:
+      return 0;
+  }
+}
+
+/**
+ * Compares two property values for max/min ordering. Values of the unranked
+ * kind (null, objects, arrays) all compare equal.
+ *
+ * @param {unknown} a
+ * @param {unknown} b
+ * @returns {number} Negative if a < b, positive if a > b, 0 if equal
+ */
+function compareValues(a, b) {
+  const rankA = typeRank(a);
+  const rankB = typeRank(b);
+  if (rankA !== rankB) {
+    return rankA - rankB;
+  }
+  if (rankA === 0 || a === b) {
+    return 0;
+  }
+  const left = /** @type {number|string|boolean} */ (a);
+  return left < /** @type {typeof left} */ (b) ? -1 : 1;
+}
+
+/**
+ * Picks between two registers by `cmp`, falling back to the greater EventId.
+ *
+ * @param {import('./LWW.js').LWWRegister<unknown>} a
+ * @param {import('./LWW.js').LWWRegister<unknown>} b
+ * @param {number} cmp - Positive if a should win, negative if b should win
+ * @returns {import('./LWW.js').LWWRegister<unknown>}
+ */
+function pick(a, b, cmp) {
+  if (cmp > 0) {
+    return a;
+  }
+  if (cmp < 0) {
+    return b;
+  }
+  return /** @type {import('./LWW.js').LWWRegister<unknown>} */ (lwwMax(a, b));
+}
+
+/**
+ * Freezes a policy object (and gives its `join` contextual types).
+ *
+ * @param {MergePolicy} policy
+ * @returns {MergePolicy}
+ */
+function definePolicy(policy) {
+  return Object.freeze(policy);
+}
+
+/**
+ * Last-writer-wins by EventId (the default register join).
+ * @type {MergePolicy}
+ */
+export const lwwPolicy = definePolicy({
+  name: 'lww',
+  join: (a, b) => /** @type {import('./LWW.js').LWWRegister<unknown>} */ (lwwMax(a, b)),
+});
+
+/**
+ * Greatest value wins.
+ * @type {MergePolicy}
+ */
+export const maxPolicy = definePolicy({
+  name: 'max',
+  join: (a, b) => pick(a, b, compareValues(a.value, b.value)),
+});
+
+/**
+ * Smallest value wins.
+ * @type {MergePolicy}
+ */
+export const minPolicy = definePolicy({
+  name: 'min',
+  join: (a, b) => pick(a, b, compareValues(b.value, a.value)),
+});
+
+/**
+ * Returns the elements of a register value for union merging.
+ *
+ * @param {unknown} value
+ * @returns {unknown[]}
+ */
+function unionElements(value) {
+  return Array.isArray(value) ? value : [value];
+}
+
+/**
+ * Grow-only union of array elements.
+ * @type {MergePolicy}
+ */
+export const unionPolicy = definePolicy({
+  name: 'union',
+  join: (a, b) => {
+    /** @type {Map<string, unknown>} */
+    const byKey = new Map();
+    for (const element of [...unionElements(a.value), ...unionElements(b.value)]) {
+      byKey.set(canonicalStringify(element), element);
+    }
+    const keys = [...byKey.keys()].sort();
+    const eventId = compareEventIds(a.eventId, b.eventId) >= 0 ? a.eventId : b.eventId;
+    return lwwSet(eventId, Object.freeze(keys.map((key) => byKey.get(key))));
+  },
+});
+
+/**
+ * Creates a policy under which writes from higher-priority writers win.
+ *
+ * @param {string[]} writers - Writer IDs, highest priority first
+ * @returns {MergePolicy}
+ * @throws {Error} If writers is not a non-empty array of unique strings
+ *
+ * @example
+ * // An admin's write always beats a bot's, whatever the Lamport clocks say
+ * writerPriority(['admin', 'bot'])
+ */
+export function writerPriority(writers) {
+  if (!Array.isArray(writers) || writers.length === 0 || writers.some((w) => typeof w !== 'string')) {
+    throw new Error('writerPriority: requires a non-empty array of writer IDs');
+  }
+  if (new Set(writers).size !== writers.length) {
+    throw new Error('writerPriority: writer IDs must be unique');
+  }
+  const order = [...writers];
+  /** @param {string} writerId */
+  const rank = (writerId) => {
+    const index = order.indexOf(writerId);
+    return index === -1 ? order.length : index;
+  };
+  return definePolicy({
+    name: 'writerPriority',
+    params: Object.freeze([...order]),
+    join: (a, b) => pick(a, b, rank(b.eventId.writerId) - rank(a.eventId.writerId)),
+  });
+}
+
+/**
+ * Parameterless built-in policies by name.
+ * @type {Readonly<Record<string, MergePolicy>>}
+ */
+export const BUILTIN_MERGE_POLICIES = Object.freeze({
+  lww: lwwPolicy,
+  max: maxPolicy,
+  min: minPolicy,
+  union: unionPolicy,
+});
+
+/**
+ * Public policy namespace: the built-ins plus the writerPriority factory.
+ *
+ * @example
+ * WarpGraph.open({ ..., mergePolicies: { version: MergePolicies.max, owner: MergePolicies.writerPriority(['admin']) } })
+ */
+export const MergePolicies = Object.freeze({
+  lww: lwwPolicy,
+  max: maxPolicy,
+  min: minPolicy,
+  union: unionPolicy,
+  writerPriority,
+});
@@ -0,0 +1,225 @@
+import { compareEventIds } from '../utils/EventId.js';
+
+/**
+ * @fileoverview PN-Counter - Per-Writer Positive/Negative Counter
+ *
+ * A PN-Counter is a CRDT for integer counters that must survive concurrent
+ * increments. Instead of storing a single value (which LWW would clobber),
+ * each writer owns a slot holding the running totals of its own positive
+ * (`p`) and negative (`n`) deltas. The counter value is Σ(p − n) over all
+ * writer slots.
+ *
+ * ## Per-Writer Slots
+ *
+ * A writer's slot only ever grows: every increment from that writer adds to
+ * `p` or `n`. Each slot also records the EventId of the last contribution it
+ * absorbed. Because a writer's patch chain has strictly increasing Lamport
+ * ticks, the slot with the greater EventId always dominates the other — it
+ * has seen every contribution the smaller one has.
+ *
+ * This gives two properties:
+ *
+ * - **Idempotent re-delivery**: an increment whose EventId is not greater
+ *   than the slot's EventId has already been counted and is ignored.
+ * - **State-based join**: merging two counters keeps, per writer, the slot
+ *   with the greater EventId.
+ *
+ * ## Ordering Assumption
+ *
+ * Contributions from a single writer must be applied in chain order. The
+ * reducer always replays a writer's patches oldest-first, so this holds for
+ * materialization, incremental materialization from checkpoints, ceilings,
+ * and sync. Contributions from *different* writers may arrive in any order.
+ *
+ * ## Semilattice Properties
+ *
+ * pncounterJoin forms a join-semilattice (per-writer EventId max):
+ * - **Commutative**: pncounterJoin(a, b) equals pncounterJoin(b, a)
+ * - **Associative**: pncounterJoin(pncounterJoin(a, b), c) equals pncounterJoin(a, pncounterJoin(b, c))
+ * - **Idempotent**: pncounterJoin(a, a) equals a
+ *
+ * @module crdt/PNCounter
+ */
+
+/**
+ * A single writer's slot in a PN-Counter. Slots are treated as immutable;
+ * updates replace the slot object.
+ *
+ * @typedef {Object} PNCounterSlot
+ * @property {number} p - Sum of this writer's positive deltas
+ * @property {number} n - Sum of the magnitudes of this writer's negative deltas
+ * @property {import('../utils/EventId.js').EventId} eventId - EventId of the last absorbed contribution
+ */
+
+/**
+ * PN-Counter state: writerId → slot.
+ *
+ * @typedef {Map<string, PNCounterSlot>} PNCounter
+ */
+
+/**
+ * Creates an empty PN-Counter.
+ *
+ * @returns {PNCounter}
+ */
+export function createPNCounter() {
+  return new Map();
+}
+
+/**
+ * Adds a delta contributed by the writer identified in `eventId`.
+ * Mutates the counter.
+ *
+ * @param {PNCounter} counter - The counter to mutate
+ * @param {import('../utils/EventId.js').EventId} eventId - EventId of the increment op
+ * @param {number} delta - Safe integer delta (may be negative)
+ * @returns {boolean} True if the contribution was absorbed, false if it was
+ *   already counted (EventId not newer than the writer's slot)
+ */
+export function pncounterIncrement(counter, eventId, delta) {
+  if (!Number.isSafeInteger(delta)) {
+    throw new Error(`pncounterIncrement: delta must be a safe integer, got ${String(delta)}`);
+  }
+  const slot = counter.get(eventId.writerId);
+  if (slot && compareEventIds(eventId, slot.eventId) <= 0) {
+    return false;
+  }
+  const p = slot ? slot.p : 0;
+  const n = slot ? slot.n : 0;
+  counter.set(eventId.writerId, {
+    p: delta > 0 ? p + delta : p,
+    n: delta < 0 ? n - delta : n,
+    eventId,
+  });
+  return true;
+}
+
+/**
+ * Returns true if an increment with this EventId would be absorbed
+ * (i.e. it has not been counted yet). Does not mutate the counter.
+ *
+ * @param {PNCounter|undefined} counter
+ * @param {import('../utils/EventId.js').EventId} eventId
+ * @returns {boolean}
+ */
+export function pncounterWouldAbsorb(counter, eventId) {
+  const slot = counter?.get(eventId.writerId);
+  return !slot || compareEventIds(eventId, slot.eventId) > 0;
+}
+
+/**
+ * Computes the counter value: Σ(p − n) across all writer slots.
+ *
+ * Writers are summed in sorted order so the result is identical on every
+ * replica regardless of Map insertion order.
+ *
+ * @param {PNCounter} counter
+ * @returns {number}
+ */
+export function pncounterValue(counter) {
+  let total = 0;
+  for (const writerId of [...counter.keys()].sort()) {
+    const slot = /** @type {PNCounterSlot} */ (counter.get(writerId));
+    total += slot.p - slot.n;
+  }
+  return total;
+}
+
+/**
+ * Returns the greatest EventId among all writer slots, or null for an
+ * empty counter. Used to stamp the derived LWW register that exposes the
+ * counter value through the property map.
+ *
+ * @param {PNCounter} counter
+ * @returns {import('../utils/EventId.js').EventId|null}
+ */
+export function pncounterMaxEventId(counter) {
+  /** @type {import('../utils/EventId.js').EventId|null} */
+  let max = null;
+  for (const slot of counter.values()) {
+    if (max === null || compareEventIds(slot.eventId, max) > 0) {
+      max = slot.eventId;
+    }
+  }
+  return max;
+}
+
+/**
+ * Joins two PN-Counters, keeping per writer the slot with the greater EventId.
+ * Does not mutate its inputs.
+ *
+ * @param {PNCounter} a
+ * @param {PNCounter} b
+ * @returns {PNCounter}
+ */
+export function pncounterJoin(a, b) {
+  const result = new Map(a);
+  for (const [writerId, slotB] of b) {
+    const slotA = result.get(writerId);
+    if (!slotA || compareEventIds(slotB.eventId, slotA.eventId) > 0) {
+      result.set(writerId, slotB);
+    }
+  }
+  return result;
+}
+
+/**
+ * Clones a PN-Counter. Slots are immutable, so a shallow Map copy suffices.
+ *
+ * @param {PNCounter} counter
+ * @returns {PNCounter}
+ */
+export function pncounterClone(counter) {
+  return new Map(counter);
+}
+
+/**
+ * Serializes a PN-Counter for CBOR encoding.
+ * Writers are sorted for deterministic output.
+ *
+ * @param {PNCounter} counter
+ * @returns {Array<[string, { p: number, n: number, eventId: { lamport: number, opIndex: number, patchSha: string, writerId: string } }]>}
+ */
+export function pncounterSerialize(counter) {
+  return [...counter.keys()].sort().map((writerId) => {
+    const slot = /** @type {PNCounterSlot} */ (counter.get(writerId));
+    return [writerId, {
+      p: slot.p,
+      n: slot.n,
+      eventId: {
+        lamport: slot.eventId.lamport,
+        opIndex: slot.eventId.opIndex,
+        patchSha: slot.eventId.patchSha,
+        writerId: slot.eventId.writerId,
+      },
+    }];
+  });
+}
+
+/**
+ * Deserializes a PN-Counter from its serialized form.
+ *
+ * @param {unknown} obj - Array of [writerId, slot] pairs
+ * @returns {PNCounter}
+ */
+export function pncounterDeserialize(obj) {
+  /** @type {PNCounter} */
+  const counter = new Map();
+  if (!Array.isArray(obj)) {
+    return counter;
+  }
+  for (const [writerId, raw] of obj) {
+    const slot = /** @type {{ p: number, n: number, eventId: import('../utils/EventId.js').EventId }} */ (raw);
+    counter.set(writerId, {
+      p: slot.p,
+      n: slot.n,
+      eventId: {
+        lamport: slot.eventId.lamport,
+        writerId: slot.eventId.writerId,
+        patchSha: slot.eventId.patchSha,
+        opIndex: slot.eventId.opIndex,
+      },
+    });
+  }
+  return counter;
+}
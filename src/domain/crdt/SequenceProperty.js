@@ -0,0 +1,344 @@
+import { encodeDot, decodeDot } from './Dot.js';
+import { lwwSet, lwwMax } from './LWW.js';
+import { compareEventIds } from '../utils/EventId.js';
+
+/**
+ * @fileoverview Sequence Property - RGA Ordered List Register
+ *
+ * A sequence property holds an ordered list of values (outline sections,
+ * playlist entries) under a single property key. Positions are a Replicated
+ * Growable Array: every insert creates a **slot** identified by a fresh dot
+ * and anchored after an existing slot (its `origin`), or at the head. Two
+ * writers inserting at the same place concurrently both keep their entries;
+ * sibling slots are ordered by descending Lamport tick, then writer ID, then
+ * dot counter, so an insert made after observing a sibling lands before it.
+ *
+ * Items are separate from slots so they can be reordered without
+ * duplication: each item's position is an LWW register naming the slot it
+ * occupies. `SeqMove` creates a new slot and points the item at it;
+ * concurrent moves of the same item resolve by EventId, and the item appears
+ * exactly once. `SeqRemove` tombstones the item permanently (remove wins
+ * over a concurrent move).
+ *
+ * ## Structure
+ *
+ * - `slots`: encoded dot → `{ origin, lamport }`
+ * - `values`: item ID → value (the item ID is the dot of its insert)
+ * - `positions`: item ID → LWW register of the slot it occupies
+ * - `removed`: removed item IDs
+ * - `eventId`: the greatest EventId of any op applied to this property
+ *
+ * As with set properties, `eventId` orders the sequence against plain
+ * `PropSet` writes to the same key when the reducer projects the visible
+ * array into the property map.
+ *
+ * Slots are never deleted, because later inserts may use them as origins;
+ * GC does not compact sequences.
+ *
+ * ## Semilattice Properties
+ *
+ * sequenceJoin is a union of slots, values, and removed IDs plus LWW-max on
+ * positions and EventId max on `eventId`, so it is commutative, associative,
+ * and idempotent. The visible order is computed from the joined state alone,
+ * so it does not depend on the order ops were applied.
+ *
+ * @module crdt/SequenceProperty
+ */
+
+/**
+ * @typedef {Object} SequenceSlot
+ * @property {string|null} origin - Slot this one was inserted after, or null for the head
+ * @property {number} lamport - Lamport tick of the patch that created the slot
+ */
+
+/**
+ * @typedef {Object} SequenceProperty
+ * @property {Map<string, SequenceSlot>} slots - Encoded dot → slot
+ * @property {Map<string, unknown>} values - Item ID → value
+ * @property {Map<string, import('./LWW.js').LWWRegister<string>>} positions - Item ID → occupied slot
+ * @property {Set<string>} removed - Removed item IDs
+ * @property {import('../utils/EventId.js').EventId|null} eventId - Greatest EventId applied, or null when empty
+ */
+
+/**
+ * @typedef {Object} SequenceEntry
+ * @property {string} item - Item ID
+ * @property {string} slot - Slot currently occupied by the item
+ * @property {unknown} value - Item value
+ */
+
+/**
+ * Creates an empty sequence property.
+ *
+ * @returns {SequenceProperty}
+ */
+export function createSequenceProperty() {
+  return { slots: new Map(), values: new Map(), positions: new Map(), removed: new Set(), eventId: null };
+}
+
+/**
+ * Raises the property's EventId to `eventId` if it is greater.
+ *
+ * @param {SequenceProperty} seq
+ * @param {import('../utils/EventId.js').EventId} eventId
+ */
+function stamp(seq, eventId) {
+  if (seq.eventId === null || compareEventIds(eventId, seq.eventId) > 0) {
+    seq.eventId = eventId;
+  }
+}
+
+/**
+ * Creates the slot for `dot` after `origin` and points `item` at it,
+ * keeping the later position if the item already has one.
+ *
+ * @param {SequenceProperty} seq
+ * @param {{ item: string, dot: import('./Dot.js').Dot, origin: string|null }} placement
+ * @param {import('../utils/EventId.js').EventId} eventId
+ */
+function place(seq, { item, dot, origin }, eventId) {
+  const slot = encodeDot(dot);
+  seq.slots.set(slot, { origin, lamport: eventId.lamport });
+  const position = /** @type {import('./LWW.js').LWWRegister<string>} */ (lwwMax(seq.positions.get(item), lwwSet(eventId, slot)));
+  seq.positions.set(item, position);
+  stamp(seq, eventId);
+}
+
+/**
+ * Inserts a value in a new slot after `origin`. The new item's ID is the
+ * encoded insert dot. Mutates the property.
+ *
+ * @param {SequenceProperty} seq
+ * @param {{ dot: import('./Dot.js').Dot, origin: string|null, value: unknown }} op
+ * @param {import('../utils/EventId.js').EventId} eventId - EventId of the insert
+ */
+export function sequenceInsert(seq, { dot, origin, value }, eventId) {
+  const item = encodeDot(dot);
+  seq.values.set(item, value);
+  place(seq, { item, dot, origin }, eventId);
+}
+
+/**
+ * Moves an item into a new slot after `origin`. Mutates the property.
+ *
+ * @param {SequenceProperty} seq
+ * @param {{ item: string, dot: import('./Dot.js').Dot, origin: string|null }} op
+ * @param {import('../utils/EventId.js').EventId} eventId - EventId of the move
+ */
+export function sequenceMove(seq, op, eventId) {
+  place(seq, op, eventId);
+}
+
+/**
+ * Removes an item. Mutates the property.
+ *
+ * @param {SequenceProperty} seq
+ * @param {string} item - Item ID
+ * @param {import('../utils/EventId.js').EventId} eventId - EventId of the remove
+ */
+export function sequenceRemove(seq, item, eventId) {
+  seq.removed.add(item);
+  stamp(seq, eventId);
+}
+
+/**
+ * Orders sibling slots: descending Lamport tick, then writer ID, then counter.
+ *
+ * @param {Map<string, SequenceSlot>} slots
+ * @returns {(a: string, b: string) => number}
+ */
+function siblingComparator(slots) {
+  return (a, b) => {
+    const lamportDiff = /** @type {SequenceSlot} */ (slots.get(b)).lamport - /** @type {SequenceSlot} */ (slots.get(a)).lamport;
+    if (lamportDiff !== 0) {
+      return lamportDiff;
+    }
+    const dotA = decodeDot(a);
+    const dotB = decodeDot(b);
+    if (dotA.writerId !== dotB.writerId) {
+      return dotA.writerId < dotB.writerId ? 1 : -1;
+    }
+    return dotB.counter - dotA.counter;
+  };
+}
+
+/**
+ * Groups slots by origin, each group in sibling order. Slots whose origin is
+ * not (yet) known hang off the head so the order stays total.
+ *
+ * @param {SequenceProperty} seq
+ * @returns {Map<string|null, string[]>}
+ */
+function childrenByOrigin(seq) {
+  /** @type {Map<string|null, string[]>} */
+  const children = new Map();
+  for (const [slot, { origin }] of seq.slots) {
+    const parent = origin !== null && seq.slots.has(origin) ? origin : null;
+    const group = children.get(parent);
+    if (group) {
+      group.push(slot);
+    } else {
+      children.set(parent, [slot]);
+    }
+  }
+  const compare = siblingComparator(seq.slots);
+  for (const group of children.values()) {
+    group.sort(compare);
+  }
+  return children;
+}
+
+/**
+ * Maps each occupied slot to the visible item occupying it.
+ *
+ * @param {SequenceProperty} seq
+ * @returns {Map<string, string>}
+ */
+function visibleItemsBySlot(seq) {
+  /** @type {Map<string, string>} */
+  const bySlot = new Map();
+  for (const [item, position] of seq.positions) {
+    if (seq.values.has(item) && !seq.removed.has(item)) {
+      bySlot.set(position.value, item);
+    }
+  }
+  return bySlot;
+}
+
+/**
+ * Returns the visible items in converged order, with the slot each occupies.
+ *
+ * @param {SequenceProperty} seq
+ * @returns {SequenceEntry[]}
+ */
+export function sequenceEntries(seq) {
+  const bySlot = visibleItemsBySlot(seq);
+  const children = childrenByOrigin(seq);
+  /** @type {SequenceEntry[]} */
+  const entries = [];
+  const stack = [...(children.get(null) || [])].reverse();
+  while (stack.length > 0) {
+    const slot = /** @type {string} */ (stack.pop());
+    const item = bySlot.get(slot);
+    if (item !== undefined) {
+      entries.push({ item, slot, value: seq.values.get(item) });
+    }
+    const group = children.get(slot) || [];
+    for (let i = group.length - 1; i >= 0; i--) {
+      stack.push(group[i]);
+    }
+  }
+  return entries;
+}
+
+/**
+ * Returns the visible values in converged order.
+ *
+ * @param {SequenceProperty} seq
+ * @returns {unknown[]}
+ */
+export function sequenceValue(seq) {
+  return sequenceEntries(seq).map((entry) => entry.value);
+}
+
+/**
+ * Joins two sequence properties. Does not mutate its inputs.
+ *
+ * @param {SequenceProperty} a
+ * @param {SequenceProperty} b
+ * @returns {SequenceProperty}
+ */
+export function sequenceJoin(a, b) {
+  const result = sequenceClone(a);
+  for (const [slot, data] of b.slots) {
+    result.slots.set(slot, data);
+  }
+  for (const [item, value] of b.values) {
+    result.values.set(item, value);
+  }
+  for (const [item, position] of b.positions) {
+    result.positions.set(item, /** @type {import('./LWW.js').LWWRegister<string>} */ (lwwMax(result.positions.get(item), position)));
+  }
+  for (const item of b.removed) {
+    result.removed.add(item);
+  }
+  if (b.eventId !== null) {
+    stamp(result, b.eventId);
+  }
+  return result;
+}
+
+/**
+ * Clones a sequence property. Slot records, registers, and values are
+ * immutable once written and are shared.
+ *
+ * @param {SequenceProperty} seq
+ * @returns {SequenceProperty}
+ */
+export function sequenceClone(seq) {
+  return {
+    slots: new Map(seq.slots),
+    values: new Map(seq.values),
+    positions: new Map(seq.positions),
+    removed: new Set(seq.removed),
+    eventId: seq.eventId,
+  };
+}
+
+/**
+ * @param {import('../utils/EventId.js').EventId} eventId
+ * @returns {{ lamport: number, opIndex: number, patchSha: string, writerId: string }}
+ */
+function copyEventId(eventId) {
+  return { lamport: eventId.lamport, opIndex: eventId.opIndex, patchSha: eventId.patchSha, writerId: eventId.writerId };
+}
+
+/**
+ * Serializes a sequence property for CBOR encoding. All collections are
+ * emitted as arrays sorted by key for deterministic output.
+ *
+ * @param {SequenceProperty} seq
+ * @returns {{ slots: Array<[string, string|null, number]>, values: Array<[string, unknown]>, positions: Array<[string, string, ReturnType<typeof copyEventId>]>, removed: string[], eventId: ReturnType<typeof copyEventId>|null }}
+ */
+export function sequenceSerialize(seq) {
+  const slotIds = [...seq.slots.keys()].sort();
+  const itemIds = [...seq.values.keys()].sort();
+  const positioned = [...seq.positions.keys()].sort();
+  return {
+    slots: slotIds.map((slot) => {
+      const { origin, lamport } = /** @type {SequenceSlot} */ (seq.slots.get(slot));
+      return [slot, origin, lamport];
+    }),
+    values: itemIds.map((item) => [item, seq.values.get(item)]),
+    positions: positioned.map((item) => {
+      const { eventId, value } = /** @type {import('./LWW.js').LWWRegister<string>} */ (seq.positions.get(item));
+      return [item, value, copyEventId(eventId)];
+    }),
+    removed: [...seq.removed].sort(),
+    eventId: seq.eventId === null ? null : copyEventId(seq.eventId),
+  };
+}
+
+/**
+ * Deserializes a sequence property.
+ *
+ * @param {{ slots?: Array<[string, string|null, number]>, values?: Array<[string, unknown]>, positions?: Array<[string, string, import('../utils/EventId.js').EventId]>, removed?: string[], eventId?: import('../utils/EventId.js').EventId|null }} obj
+ * @returns {SequenceProperty}
+ */
+export function sequenceDeserialize(obj) {
+  const seq = createSequenceProperty();
+  for (const [slot, origin, lamport] of obj.slots || []) {
+    seq.slots.set(slot, { origin, lamport });
+  }
+  for (const [item, value] of obj.values || []) {
+    seq.values.set(item, value);
+  }
+  for (const [item, slot, eventId] of obj.positions || []) {
+    seq.positions.set(item, lwwSet(copyEventId(eventId), slot));
+  }
+  for (const item of obj.removed || []) {
+    seq.removed.add(item);
+  }
+  seq.eventId = obj.eventId ? copyEventId(obj.eventId) : null;
+  return seq;
+}
@@ -0,0 +1,169 @@
+import {
+  createORSet,
+  orsetAdd,
+  orsetRemove,
+  orsetElements,
+  orsetJoin,
+  orsetClone,
+  orsetCompact,
+  orsetSerialize,
+  orsetDeserialize,
+} from './ORSet.js';
+import { compareEventIds } from '../utils/EventId.js';
+
+/**
+ * @fileoverview Set Property - OR-Set Valued Property Register
+ *
+ * A set property holds a collection of string elements (tags, roles, labels)
+ * under a single property key. Membership uses the same add-wins OR-Set as
+ * node and edge liveness: every `addToSet` carries a fresh dot, and
+ * `removeFromSet` only tombstones the dots it observed. Two writers adding
+ * different elements concurrently both survive, and an add concurrent with a
+ * remove of the same element wins.
+ *
+ * ## Structure
+ *
+ * - `elements`: an ORSet keyed by element string
+ * - `eventId`: the greatest EventId of any add/remove applied to this property
+ *
+ * The `eventId` orders the set against plain `PropSet` writes to the same
+ * key. The reducer projects the sorted element array into the property map
+ * as an LWW register stamped with this EventId, so a later plain write
+ * replaces the set's visible value until the next set operation. The patch
+ * builder rejects plain writes to set keys; only a concurrent writer that
+ * has not yet seen the set can still produce one.
+ *
+ * ## Semilattice Properties
+ *
+ * setPropertyJoin is OR-Set join on `elements` plus EventId max on `eventId`,
+ * and is therefore commutative, associative, and idempotent.
+ *
+ * @module crdt/SetProperty
+ */
+
+/**
+ * @typedef {Object} SetProperty
+ * @property {import('./ORSet.js').ORSet} elements - OR-Set of element strings
+ * @property {import('../utils/EventId.js').EventId|null} eventId - Greatest EventId applied, or null when empty
+ */
+
+/**
+ * Creates an empty set property.
+ *
+ * @returns {SetProperty}
+ */
+export function createSetProperty() {
+  return { elements: createORSet(), eventId: null };
+}
+
+/**
+ * Raises the property's EventId to `eventId` if it is greater. Called once
+ * for every add/remove applied to the property. Mutates.
+ *
+ * @param {SetProperty} prop
+ * @param {import('../utils/EventId.js').EventId} eventId - EventId of the applied op
+ */
+export function setPropertyStamp(prop, eventId) {
+  if (prop.eventId === null || compareEventIds(eventId, prop.eventId) > 0) {
+    prop.eventId = eventId;
+  }
+}
+
+/**
+ * Adds an element with the given dot. Mutates the property.
+ *
+ * @param {SetProperty} prop
+ * @param {string} element
+ * @param {import('./Dot.js').Dot} dot - Unique dot for this add
+ */
+export function setPropertyAdd(prop, element, dot) {
+  orsetAdd(prop.elements, element, dot);
+}
+
+/**
+ * Tombstones the observed dots of an element. Mutates the property.
+ *
+ * @param {SetProperty} prop
+ * @param {Iterable<string>} observedDots - Encoded dots observed by the remover
+ */
+export function setPropertyRemove(prop, observedDots) {
+  orsetRemove(prop.elements, observedDots instanceof Set ? observedDots : new Set(observedDots));
+}
+
+/**
+ * Returns the visible elements as a sorted array.
+ *
+ * @param {SetProperty} prop
+ * @returns {string[]}
+ */
+export function setPropertyValue(prop) {
+  return orsetElements(prop.elements).sort();
+}
+
+/**
+ * Joins two set properties. Does not mutate its inputs.
+ *
+ * @param {SetProperty} a
+ * @param {SetProperty} b
+ * @returns {SetProperty}
+ */
+export function setPropertyJoin(a, b) {
+  let { eventId } = a;
+  if (b.eventId !== null && (eventId === null || compareEventIds(b.eventId, eventId) > 0)) {
+    eventId = b.eventId;
+  }
+  return { elements: orsetJoin(a.elements, b.elements), eventId };
+}
+
+/**
+ * Deep-clones a set property.
+ *
+ * @param {SetProperty} prop
+ * @returns {SetProperty}
+ */
+export function setPropertyClone(prop) {
+  return { elements: orsetClone(prop.elements), eventId: prop.eventId };
+}
+
+/**
+ * Compacts tombstoned dots covered by `includedVV`. Mutates the property.
+ * Same safety contract as {@link orsetCompact}.
+ *
+ * @param {SetProperty} prop
+ * @param {import('./VersionVector.js').VersionVector} includedVV
+ */
+export function setPropertyCompact(prop, includedVV) {
+  orsetCompact(prop.elements, includedVV);
+}
+
+/**
+ * Serializes a set property for CBOR encoding.
+ *
+ * @param {SetProperty} prop
+ * @returns {{ elements: ReturnType<typeof orsetSerialize>, eventId: { lamport: number, opIndex: number, patchSha: string, writerId: string }|null }}
+ */
+export function setPropertySerialize(prop) {
+  const { eventId } = prop;
+  return {
+    elements: orsetSerialize(prop.elements),
+    eventId: eventId === null
+      ? null
+      : { lamport: eventId.lamport, opIndex: eventId.opIndex, patchSha: eventId.patchSha, writerId: eventId.writerId },
+  };
+}
+
+/**
+ * Deserializes a set property.
+ *
+ * @param {{ elements?: unknown, eventId?: import('../utils/EventId.js').EventId|null }} obj
+ * @returns {SetProperty}
+ */
+export function setPropertyDeserialize(obj) {
+  const raw = obj.eventId;
+  return {
+    elements: orsetDeserialize(/** @type {Parameters<typeof orsetDeserialize>[0]} */ (obj.elements || {})),
+    eventId: raw
+      ? { lamport: raw.lamport, writerId: raw.writerId, patchSha: raw.patchSha, opIndex: raw.opIndex }
+      : null,
+  };
+}
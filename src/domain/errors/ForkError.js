@@ -14,6 +14,8 @@ import WarpError from './WarpError.js';
  * | `E_FORK_NAME_INVALID` | The fork graph name is invalid |
  * | `E_FORK_WRITER_ID_INVALID` | The fork writer ID is invalid |
  * | `E_FORK_ALREADY_EXISTS` | A graph with the fork name already exists |
+ * | `E_FORK_NOT_FOUND` | The fork to merge has no writers |
+ * | `E_FORK_NOT_A_FORK` | The graph to merge continues another graph's history |
  * | `FORK_ERROR` | Generic/default fork error |
  *
  * @class ForkError
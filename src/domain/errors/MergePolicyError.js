@@ -0,0 +1,29 @@
+import WarpError from './WarpError.js';
+
+/**
+ * Error class for property merge policy configuration.
+ *
+ * ## Error Codes
+ *
+ * | Code | Description |
+ * |------|-------------|
+ * | `E_MERGE_POLICY_INVALID` | A `mergePolicies` entry is not a known policy name or a valid policy object, or a recorded custom policy cannot be rebuilt |
+ * | `E_MERGE_POLICY_MISMATCH` | `materializeAt()` was given a checkpoint written under a different merge policy set |
+ * | `MERGE_POLICY_ERROR` | Generic/default merge policy error |
+ *
+ * @class MergePolicyError
+ * @extends WarpError
+ *
+ * @property {string} name - Always 'MergePolicyError' for instanceof checks
+ * @property {string} code - Machine-readable error code for programmatic handling
+ * @property {Record<string, unknown>} context - Serializable context object with error details
+ */
+export default class MergePolicyError extends WarpError {
+  /**
+   * @param {string} message
+   * @param {{ code?: string, context?: Record<string, unknown> }} [options={}]
+   */
+  constructor(message, options = {}) {
+    super(message, 'MERGE_POLICY_ERROR', options);
+  }
+}
@@ -0,0 +1,47 @@
+import WarpError from './WarpError.js';
+
+/**
+ * Error thrown when a patch's preconditions (`expectNode`, `expectEdge`,
+ * `expectAbsent`, `expectProp`) do not hold at commit time. Nothing is
+ * written.
+ *
+ * ## Error Codes
+ *
+ * | Code | Description |
+ * |------|-------------|
+ * | `E_PRECONDITION_FAILED` | One or more preconditions failed; see `failures` |
+ *
+ * @class PreconditionError
+ * @extends WarpError
+ *
+ * @property {string} name - Always 'PreconditionError' for instanceof checks
+ * @property {string} code - Machine-readable error code for programmatic handling
+ * @property {import('../services/PatchPreconditions.js').PreconditionFailure[]} failures - Every failed precondition, in declaration order
+ * @property {Record<string, unknown>} context - Serializable context object with error details
+ *
+ * @example
+ * try {
+ *   await graph.patch((p) => {
+ *     p.expectProp('issue:1', 'status', 'open').setProperty('issue:1', 'status', 'closed');
+ *   });
+ * } catch (err) {
+ *   if (err instanceof PreconditionError) {
+ *     console.error(err.failures[0].actual); // the status someone else set
+ *   }
+ * }
+ */
+export default class PreconditionError extends WarpError {
+  /**
+   * @param {string} message
+   * @param {{ failures?: import('../services/PatchPreconditions.js').PreconditionFailure[], code?: string, context?: Record<string, unknown> }} [options={}]
+   */
+  constructor(message, options = {}) {
+    const failures = options.failures || [];
+    super(message, 'E_PRECONDITION_FAILED', {
+      code: options.code,
+      context: { ...options.context, failures },
+    });
+
+    this.failures = failures;
+  }
+}
@@ -16,6 +16,7 @@ import WarpError from './WarpError.js';
  * | `E_QUERY_MATCH_TYPE` | Invalid type passed to `match()` (expected string) |
  * | `E_QUERY_WHERE_TYPE` | Invalid type passed to `where()` (expected function or object) |
  * | `E_QUERY_WHERE_VALUE` | Non-primitive value in where() object shorthand |
+ * | `E_QUERY_PREDICATE` | Malformed declarative predicate; context has the offending `path` |
  * | `E_QUERY_LABEL_TYPE` | Invalid type for edge label (expected string) |
  * | `E_QUERY_DEPTH_TYPE` | Invalid depth value (expected non-negative integer or [min, max] array) |
  * | `E_QUERY_DEPTH_RANGE` | Invalid depth range (min > max) |
@@ -23,6 +24,19 @@ import WarpError from './WarpError.js';
  * | `E_QUERY_SELECT_FIELD` | Unknown field name in select() |
  * | `E_QUERY_AGGREGATE_TYPE` | Invalid type passed to `aggregate()` |
  * | `E_QUERY_AGGREGATE_TERMINAL` | Method called after aggregate() which is terminal |
+ * | `E_QUERY_ORDER_TYPE` | Invalid path or direction passed to `orderBy()` |
+ * | `E_QUERY_GROUP_TYPE` | Invalid key passed to `groupBy()`, or `groupBy()` without `aggregate()` |
+ * | `E_QUERY_LIMIT_TYPE` | Invalid value passed to `limit()` (expected non-negative integer) |
+ * | `E_QUERY_OFFSET_TYPE` | Invalid value passed to `offset()` (expected non-negative integer) |
+ * | `E_QUERY_CURSOR_INVALID` | Malformed `after()` cursor, or one issued for a different `orderBy()` |
+ * | `E_QUERY_CURSOR_STALE` | The graph changed since the `after()` cursor was issued; context has both state hashes |
+ * | `E_QUERY_SEARCH_TYPE` | Non-string query or malformed option passed to `search()` |
+ * | `E_QUERY_SEARCH_FIELD` | `search()` without a text index, or on a field that is not text-indexed |
+ * | `E_QUERY_PATTERN_VARIABLE` | A `graph.match()` pattern references an undeclared variable |
+ * | `E_QUERY_LIVE_TYPE` | `live()` called without an `onResult` function |
+ * | `E_QUERY_LIVE_UNSUPPORTED` | `live()` on a query whose rows cannot be tracked by node ID (aggregates, cursors, no `id` selected) |
+ * | `E_QUERY_SYNTAX` | Malformed `queryText()` query; context has `position`, `line`, and `column` |
+ * | `E_QUERY_UNSUPPORTED` | Valid `queryText()` query the pipeline cannot express; context has its position |
  * | `QUERY_ERROR` | Generic/default query error |
  *
  * @class QueryError
@@ -0,0 +1,47 @@
+import WarpError from './WarpError.js';
+
+/**
+ * Error thrown by `graph.revert()` when a patch cannot be reverted.
+ *
+ * ## Error Codes
+ *
+ * | Code | Description |
+ * |------|-------------|
+ * | `E_REVERT_UNKNOWN_PATCH` | The commit is a patch, but not one from this graph's writers |
+ * | `E_REVERT_UNSUPPORTED` | The patch contains operations that cannot be inverted (sequence edits) |
+ * | `E_REVERT_SUPERSEDED` | Later patches have written the same keys; see `superseded` (pass `force` to revert anyway) |
+ * | `E_REVERT_EMPTY` | The current state already matches the graph without the patch |
+ * | `REVERT_ERROR` | Generic/default revert error |
+ *
+ * @class RevertError
+ * @extends WarpError
+ *
+ * @property {string} name - Always 'RevertError' for instanceof checks
+ * @property {string} code - Machine-readable error code for programmatic handling
+ * @property {import('../services/PatchReverter.js').SupersedingPatch[]} superseded - Later patches touching the reverted keys (`E_REVERT_SUPERSEDED` only)
+ * @property {Record<string, unknown>} context - Serializable context object with error details
+ *
+ * @example
+ * try {
+ *   await graph.revert(sha);
+ * } catch (err) {
+ *   if (err instanceof RevertError && err.code === 'E_REVERT_SUPERSEDED') {
+ *     for (const s of err.superseded) console.error(s.sha, s.targets.join(', '));
+ *   }
+ * }
+ */
+export default class RevertError extends WarpError {
+  /**
+   * @param {string} message
+   * @param {{ superseded?: import('../services/PatchReverter.js').SupersedingPatch[], code?: string, context?: Record<string, unknown> }} [options={}]
+   */
+  constructor(message, options = {}) {
+    const superseded = options.superseded || [];
+    super(message, 'REVERT_ERROR', {
+      code: options.code,
+      context: { ...options.context, superseded },
+    });
+
+    this.superseded = superseded;
+  }
+}
@@ -0,0 +1,44 @@
+import WarpError from './WarpError.js';
+
+/**
+ * Error thrown when a patch would leave the graph in violation of its
+ * schema (see `WarpGraph.open({ graphSchema })`).
+ *
+ * ## Error Codes
+ *
+ * | Code | Description |
+ * |------|-------------|
+ * | `E_SCHEMA_VIOLATION` | The patch violates one or more schema rules; see `violations` |
+ *
+ * @class SchemaViolationError
+ * @extends WarpError
+ *
+ * @property {string} name - Always 'SchemaViolationError' for instanceof checks
+ * @property {string} code - Machine-readable error code for programmatic handling
+ * @property {import('../services/GraphSchema.js').SchemaViolation[]} violations - Every violation found, in node-then-edge order
+ * @property {Record<string, unknown>} context - Serializable context object with error details
+ *
+ * @example
+ * try {
+ *   await graph.patch((p) => p.addNode('user:alice'));
+ * } catch (err) {
+ *   if (err instanceof SchemaViolationError) {
+ *     for (const v of err.violations) console.error(v.code, v.message);
+ *   }
+ * }
+ */
+export default class SchemaViolationError extends WarpError {
+  /**
+   * @param {string} message
+   * @param {{ violations?: import('../services/GraphSchema.js').SchemaViolation[], code?: string, context?: Record<string, unknown> }} [options={}]
+   */
+  constructor(message, options = {}) {
+    const violations = options.violations || [];
+    super(message, 'E_SCHEMA_VIOLATION', {
+      code: options.code,
+      context: { ...options.context, violations },
+    });
+
+    this.violations = violations;
+  }
+}
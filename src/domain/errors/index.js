@@ -10,9 +10,12 @@ export { default as PersistenceError } from './PersistenceError.js';
 export { default as WarpError } from './WarpError.js';
 export { default as ForkError } from './ForkError.js';
 export { default as IndexError } from './IndexError.js';
+export { default as MergePolicyError } from './MergePolicyError.js';
 export { default as OperationAbortedError } from './OperationAbortedError.js';
 export { default as PatchError } from './PatchError.js';
+export { default as PreconditionError } from './PreconditionError.js';
 export { default as QueryError } from './QueryError.js';
+export { default as RevertError } from './RevertError.js';
 export { default as SyncError } from './SyncError.js';
 export { default as ShardCorruptionError } from './ShardCorruptionError.js';
 export { default as ShardIdOverflowError } from './ShardIdOverflowError.js';
@@ -20,6 +23,7 @@ export { default as ShardLoadError } from './ShardLoadError.js';
 export { default as ShardValidationError } from './ShardValidationError.js';
 export { default as StorageError } from './StorageError.js';
 export { default as SchemaUnsupportedError } from './SchemaUnsupportedError.js';
+export { default as SchemaViolationError } from './SchemaViolationError.js';
 export { default as TraversalError } from './TraversalError.js';
 export { default as TrustError } from './TrustError.js';
 export { default as WriterError } from './WriterError.js';
@@ -16,6 +16,9 @@ import defaultCodec from '../utils/defaultCodec.js';
 import { orsetSerialize, orsetDeserialize } from '../crdt/ORSet.js';
 import { vvSerialize, vvDeserialize } from '../crdt/VersionVector.js';
 import { decodeDot } from '../crdt/Dot.js';
+import { pncounterSerialize, pncounterDeserialize } from '../crdt/PNCounter.js';
+import { setPropertySerialize, setPropertyDeserialize } from '../crdt/SetProperty.js';
+import { sequenceSerialize, sequenceDeserialize } from '../crdt/SequenceProperty.js';
 import { createEmptyStateV5 } from './JoinReducer.js';
 
 // ============================================================================
@@ -31,7 +34,12 @@ import { createEmptyStateV5 } from './JoinReducer.js';
  *   nodeAlive: { entries: [[element, [dots...]], ...], tombstones: [dots...] },
  *   edgeAlive: { entries: [[element, [dots...]], ...], tombstones: [dots...] },
  *   prop: [[propKey, {eventId: {...}, value: ...}], ...],
- *   observedFrontier: { writerId: counter, ... }
+ *   observedFrontier: { writerId: counter, ... },
+ *   edgeBirthEvent: [[edgeKey, eventId], ...],
+ *   counters: [[propKey, [[writerId, {p, n, eventId}], ...]], ...],  // only when non-empty
+ *   sets: [[propKey, {elements: {entries, tombstones}, eventId}], ...],  // only when non-empty
+ *   sequences: [[propKey, {slots, values, positions, removed, eventId}], ...],  // only when non-empty
+ *   aliases: [[nodeId, {eventId: {...}, value: survivorId}], ...]  // only when non-empty
  * }
  *
  * @param {import('./JoinReducer.js').WarpStateV5} state
@@ -68,6 +76,7 @@ export function serializeFullStateV5(state, { codec } = {}) {
     edgeBirthArray.sort((a, b) => (a[0] < b[0] ? -1 : a[0] > b[0] ? 1 : 0));
   }
 
+  /** @type {Record<string, unknown>} */
   const obj = {
     version: 'full-v5',
     nodeAlive: nodeAliveObj,
@@ -77,9 +86,43 @@ export function serializeFullStateV5(state, { codec } = {}) {
     edgeBirthEvent: edgeBirthArray,
   };
 
+  serializePropertyCRDTs(state, obj);
+  if (state.aliases && state.aliases.size > 0) {
+    // Omitted when empty, like the property CRDTs below
+    obj.aliases = [...state.aliases.keys()].sort().map(
+      (key) => [key, serializeLWWRegister(/** @type {import('../crdt/LWW.js').LWWRegister<string>} */ (state.aliases.get(key)))],
+    );
+  }
+
   return c.encode(obj);
 }
 
+/**
+ * Adds counter, set-property, and sequence state to a checkpoint object. Each field is
+ * omitted when empty so checkpoints of graphs that do not use them stay
+ * byte-identical to older checkpoints.
+ *
+ * @param {import('./JoinReducer.js').WarpStateV5} state
+ * @param {Record<string, unknown>} obj - Checkpoint object (mutated)
+ */
+function serializePropertyCRDTs(state, obj) {
+  if (state.counters && state.counters.size > 0) {
+    obj.counters = [...state.counters.keys()].sort().map(
+      (key) => [key, pncounterSerialize(/** @type {import('../crdt/PNCounter.js').PNCounter} */ (state.counters.get(key)))],
+    );
+  }
+  if (state.sets && state.sets.size > 0) {
+    obj.sets = [...state.sets.keys()].sort().map(
+      (key) => [key, setPropertySerialize(/** @type {import('../crdt/SetProperty.js').SetProperty} */ (state.sets.get(key)))],
+    );
+  }
+  if (state.sequences && state.sequences.size > 0) {
+    obj.sequences = [...state.sequences.keys()].sort().map(
+      (key) => [key, sequenceSerialize(/** @type {import('../crdt/SequenceProperty.js').SequenceProperty} */ (state.sequences.get(key)))],
+    );
+  }
+}
+
 /**
  * Deserializes full V5 state. Used for resume.
  *
@@ -117,16 +160,76 @@ export function deserializeFullStateV5(buffer, { codec: codecOpt } = {}) {
     prop: deserializeProps(/** @type {[string, unknown][]} */ (obj.prop)),
     observedFrontier: vvDeserialize(/** @type {{[x: string]: number}} */ (obj.observedFrontier || {})),
     edgeBirthEvent: /** @type {Map<string, import('../utils/EventId.js').EventId>} */ (deserializeEdgeBirthEvent(obj)),
+    counters: deserializeCounters(obj.counters),
+    sets: deserializeSetProperties(obj.sets),
+    sequences: deserializeSequences(obj.sequences),
+    aliases: /** @type {Map<string, import('../crdt/LWW.js').LWWRegister<string>>} */ (deserializeProps(/** @type {[string, unknown][]} */ (obj.aliases))),
   };
 }
 
+/**
+ * Deserializes the counters array. Missing (pre-counter checkpoints) → empty Map.
+ *
+ * @param {unknown} raw
+ * @returns {Map<string, import('../crdt/PNCounter.js').PNCounter>}
+ */
+function deserializeCounters(raw) {
+  /** @type {Map<string, import('../crdt/PNCounter.js').PNCounter>} */
+  const counters = new Map();
+  if (!Array.isArray(raw)) {
+    return counters;
+  }
+  for (const [key, counter] of raw) {
+    counters.set(key, pncounterDeserialize(counter));
+  }
+  return counters;
+}
+
+/**
+ * Deserializes the set-properties array. Missing (older checkpoints) → empty Map.
+ *
+ * @param {unknown} raw
+ * @returns {Map<string, import('../crdt/SetProperty.js').SetProperty>}
+ */
+function deserializeSetProperties(raw) {
+  /** @type {Map<string, import('../crdt/SetProperty.js').SetProperty>} */
+  const sets = new Map();
+  if (!Array.isArray(raw)) {
+    return sets;
+  }
+  for (const [key, setProp] of raw) {
+    sets.set(key, setPropertyDeserialize(setProp));
+  }
+  return sets;
+}
+
+/**
+ * Deserializes the sequences array. Missing (older checkpoints) → empty Map.
+ *
+ * @param {unknown} raw
+ * @returns {Map<string, import('../crdt/SequenceProperty.js').SequenceProperty>}
+ */
+function deserializeSequences(raw) {
+  /** @type {Map<string, import('../crdt/SequenceProperty.js').SequenceProperty>} */
+  const sequences = new Map();
+  if (!Array.isArray(raw)) {
+    return sequences;
+  }
+  for (const [key, seq] of raw) {
+    sequences.set(key, sequenceDeserialize(seq));
+  }
+  return sequences;
+}
+
 // ============================================================================
 // AppliedVV Computation and Serialization
 // ============================================================================
 
 /**
  * Computes appliedVV by scanning all dots in state.
- * Scans state.nodeAlive.entries and state.edgeAlive.entries for all dots.
+ * Scans state.nodeAlive.entries, state.edgeAlive.entries, the element
+ * OR-Sets of set-valued properties, and the slots of sequence properties
+ * for all dots.
  * Returns Map<writerId, maxCounter>.
  *
  * CRITICAL: This scans ALL dots, including those that may be tombstoned.
@@ -144,12 +247,20 @@ export function computeAppliedVV(state) {
    */
   function scanORSet(orset) {
     for (const dots of orset.entries.values()) {
-      for (const encodedDot of dots) {
-        const dot = decodeDot(encodedDot);
-        const current = vv.get(dot.writerId) || 0;
-        if (dot.counter > current) {
-          vv.set(dot.writerId, dot.counter);
-        }
+      scanDots(dots);
+    }
+  }
+
+  /**
+   * Helper to update vv with the max counters of encoded dots.
+   * @param {Iterable<string>} encodedDots
+   */
+  function scanDots(encodedDots) {
+    for (const encodedDot of encodedDots) {
+      const dot = decodeDot(encodedDot);
+      const current = vv.get(dot.writerId) || 0;
+      if (dot.counter > current) {
+        vv.set(dot.writerId, dot.counter);
       }
     }
   }
@@ -160,6 +271,16 @@ export function computeAppliedVV(state) {
   // Scan edgeAlive entries
   scanORSet(state.edgeAlive);
 
+  // Scan set-valued property elements (their dots share the writer's counter)
+  for (const setProp of state.sets?.values() || []) {
+    scanORSet(setProp.elements);
+  }
+
+  // Scan sequence slots (slot IDs are dots)
+  for (const seq of state.sequences?.values() || []) {
+    scanDots(seq.slots.keys());
+  }
+
   return vv;
 }
 
@@ -22,11 +22,14 @@ import {
 import { serializeFrontier, deserializeFrontier } from './Frontier.js';
 import { encodeCheckpointMessage, decodeCheckpointMessage } from './WarpMessageCodec.js';
 import { createORSet, orsetAdd, orsetCompact } from '../crdt/ORSet.js';
+import { setPropertyCompact } from '../crdt/SetProperty.js';
 import { createDot } from '../crdt/Dot.js';
 import { createVersionVector } from '../crdt/VersionVector.js';
 import { cloneStateV5, reduceV5 } from './JoinReducer.js';
 import { encodeEdgeKey, encodePropKey, CONTENT_PROPERTY_KEY, decodePropKey, isEdgePropKey, decodeEdgePropKey } from './KeyCodec.js';
 import { ProvenanceIndex } from './ProvenanceIndex.js';
+import { assertMergePoliciesMatch } from './MergePolicyRegistry.js';
+import defaultCodec from '../utils/defaultCodec.js';
 
 // ============================================================================
 // Checkpoint Schema Constants
@@ -213,14 +216,15 @@ function collectContentAnchorEntries(propMap) {
  * ├── state.cbor           # AUTHORITATIVE: Full V5 state (ORSets + props)
  * ├── frontier.cbor        # Writer frontiers
  * ├── appliedVV.cbor       # Version vector of dots in state
+ * ├── mergePolicies.cbor   # Optional: merge policy descriptor the state was reduced under
  * └── provenanceIndex.cbor # Optional: node-to-patchSha index (HG/IO/2)
  * ```
  *
- * @param {{ persistence: import('../../ports/CommitPort.js').default & import('../../ports/BlobPort.js').default & import('../../ports/TreePort.js').default, graphName: string, state: import('./JoinReducer.js').WarpStateV5, frontier: import('./Frontier.js').Frontier, parents?: string[], compact?: boolean, provenanceIndex?: import('./ProvenanceIndex.js').ProvenanceIndex, codec?: import('../../ports/CodecPort.js').default, crypto?: import('../../ports/CryptoPort.js').default, indexTree?: Record<string, Uint8Array> }} options - Checkpoint creation options
+ * @param {{ persistence: import('../../ports/CommitPort.js').default & import('../../ports/BlobPort.js').default & import('../../ports/TreePort.js').default, graphName: string, state: import('./JoinReducer.js').WarpStateV5, frontier: import('./Frontier.js').Frontier, parents?: string[], compact?: boolean, provenanceIndex?: import('./ProvenanceIndex.js').ProvenanceIndex, codec?: import('../../ports/CodecPort.js').default, crypto?: import('../../ports/CryptoPort.js').default, indexTree?: Record<string, Uint8Array>, mergePolicies?: import('./MergePolicyRegistry.js').default|null }} options - Checkpoint creation options
  * @returns {Promise<string>} The checkpoint commit SHA
  */
-export async function create({ persistence, graphName, state, frontier, parents = [], compact = true, provenanceIndex, codec, crypto, indexTree }) {
-  return await createV5({ persistence, graphName, state, frontier, parents, compact, provenanceIndex, codec, crypto, indexTree });
+export async function create({ persistence, graphName, state, frontier, parents = [], compact = true, provenanceIndex, codec, crypto, indexTree, mergePolicies }) {
+  return await createV5({ persistence, graphName, state, frontier, parents, compact, provenanceIndex, codec, crypto, indexTree, mergePolicies });
 }
 
 /**
@@ -232,10 +236,14 @@ export async function create({ persistence, graphName, state, frontier, parents
  * ├── state.cbor           # AUTHORITATIVE: Full V5 state (ORSets + props)
  * ├── frontier.cbor        # Writer frontiers
  * ├── appliedVV.cbor       # Version vector of dots in state
+ * ├── mergePolicies.cbor   # Optional: merge policy descriptor the state was reduced under
  * └── provenanceIndex.cbor # Optional: node-to-patchSha index (HG/IO/2)
  * ```
  *
- * @param {{ persistence: import('../../ports/CommitPort.js').default & import('../../ports/BlobPort.js').default & import('../../ports/TreePort.js').default, graphName: string, state: import('./JoinReducer.js').WarpStateV5, frontier: import('./Frontier.js').Frontier, parents?: string[], compact?: boolean, provenanceIndex?: import('./ProvenanceIndex.js').ProvenanceIndex, codec?: import('../../ports/CodecPort.js').default, crypto?: import('../../ports/CryptoPort.js').default, indexTree?: Record<string, Uint8Array> }} options - Checkpoint creation options
+ * `mergePolicies.cbor` is written only when a registry is given, so graphs
+ * without merge policies produce the same trees as before.
+ *
+ * @param {{ persistence: import('../../ports/CommitPort.js').default & import('../../ports/BlobPort.js').default & import('../../ports/TreePort.js').default, graphName: string, state: import('./JoinReducer.js').WarpStateV5, frontier: import('./Frontier.js').Frontier, parents?: string[], compact?: boolean, provenanceIndex?: import('./ProvenanceIndex.js').ProvenanceIndex, codec?: import('../../ports/CodecPort.js').default, crypto?: import('../../ports/CryptoPort.js').default, indexTree?: Record<string, Uint8Array>, mergePolicies?: import('./MergePolicyRegistry.js').default|null }} options - Checkpoint creation options
  * @returns {Promise<string>} The checkpoint commit SHA
  */
 export async function createV5({
@@ -249,6 +257,7 @@ export async function createV5({
   codec,
   crypto,
   indexTree,
+  mergePolicies,
 }) {
   // 1. Compute appliedVV from actual state dots
   const appliedVV = computeAppliedVV(state);
@@ -261,6 +270,9 @@ export async function createV5({
     checkpointState = cloneStateV5(state);
     orsetCompact(checkpointState.nodeAlive, appliedVV);
     orsetCompact(checkpointState.edgeAlive, appliedVV);
+    for (const setProp of checkpointState.sets.values()) {
+      setPropertyCompact(setProp, appliedVV);
+    }
   }
 
   // 3. Serialize full state (AUTHORITATIVE)
@@ -285,6 +297,13 @@ export async function createV5({
     provenanceIndexBlobOid = await persistence.writeBlob(provenanceIndexBuffer);
   }
 
+  // 6b'. Record the merge policies the state was reduced under
+  let mergePoliciesBlobOid = null;
+  if (mergePolicies) {
+    const c = codec || defaultCodec;
+    mergePoliciesBlobOid = await persistence.writeBlob(c.encode(mergePolicies.describe()));
+  }
+
   // 6c. Optionally write index subtree (schema 4)
   let indexSubtreeOid = null;
   if (indexTree) {
@@ -313,6 +332,10 @@ export async function createV5({
     treeEntries.push(`100644 blob ${provenanceIndexBlobOid}\tprovenanceIndex.cbor`);
   }
 
+  if (mergePoliciesBlobOid) {
+    treeEntries.push(`100644 blob ${mergePoliciesBlobOid}\tmergePolicies.cbor`);
+  }
+
   // Add index subtree if present (schema 4)
   if (indexSubtreeOid) {
     treeEntries.push(`040000 tree ${indexSubtreeOid}\tindex`);
@@ -363,7 +386,8 @@ export async function createV5({
  * @param {import('../../ports/CommitPort.js').default & import('../../ports/BlobPort.js').default & import('../../ports/TreePort.js').default} persistence - Git persistence adapter
  * @param {string} checkpointSha - The checkpoint commit SHA to load
  * @param {{ codec?: import('../../ports/CodecPort.js').default }} [options] - Load options
- * @returns {Promise<{state: import('./JoinReducer.js').WarpStateV5, frontier: import('./Frontier.js').Frontier, stateHash: string, schema: number, appliedVV: Map<string, number>|null, provenanceIndex?: import('./ProvenanceIndex.js').ProvenanceIndex, indexShardOids: Record<string, string>|null}>} The loaded checkpoint data
+ * @returns {Promise<{state: import('./JoinReducer.js').WarpStateV5, frontier: import('./Frontier.js').Frontier, stateHash: string, schema: number, appliedVV: Map<string, number>|null, provenanceIndex?: import('./ProvenanceIndex.js').ProvenanceIndex, indexShardOids: Record<string, string>|null, mergePolicies: import('./MergePolicyRegistry.js').MergePolicyDescriptor[]|null}>} The loaded checkpoint data.
+ *   `mergePolicies` is null for checkpoints written without merge policies.
  * @throws {Error} If checkpoint is schema:1 (migration required)
  */
 export async function loadCheckpoint(persistence, checkpointSha, { codec } = {}) {
@@ -419,6 +443,14 @@ export async function loadCheckpoint(persistence, checkpointSha, { codec } = {})
     provenanceIndex = ProvenanceIndex.deserialize(provenanceIndexBuffer, { codec });
   }
 
+  // Load the merge policy descriptor if present
+  let mergePolicies = null;
+  const mergePoliciesOid = treeOids['mergePolicies.cbor'];
+  if (mergePoliciesOid) {
+    const c = codec || defaultCodec;
+    mergePolicies = /** @type {import('./MergePolicyRegistry.js').MergePolicyDescriptor[]} */ (c.decode(await persistence.readBlob(mergePoliciesOid)));
+  }
+
   return {
     state,
     frontier,
@@ -427,9 +459,30 @@ export async function loadCheckpoint(persistence, checkpointSha, { codec } = {})
     appliedVV,
     provenanceIndex: provenanceIndex || undefined,
     indexShardOids: Object.keys(indexShardOids).length > 0 ? indexShardOids : null,
+    mergePolicies,
   };
 }
 
+/**
+ * Reads only the merge policy descriptor recorded in a checkpoint, without
+ * loading its state.
+ *
+ * @param {import('../../ports/CommitPort.js').default & import('../../ports/BlobPort.js').default & import('../../ports/TreePort.js').default} persistence - Git persistence adapter
+ * @param {string} checkpointSha - The checkpoint commit SHA
+ * @param {{ codec?: import('../../ports/CodecPort.js').default }} [options] - Load options
+ * @returns {Promise<import('./MergePolicyRegistry.js').MergePolicyDescriptor[]|null>} The descriptors, or null if the checkpoint was written without merge policies
+ */
+export async function readMergePolicies(persistence, checkpointSha, { codec } = {}) {
+  const decoded = /** @type {{ indexOid: string }} */ (decodeCheckpointMessage(await persistence.showNode(checkpointSha)));
+  const treeOids = await persistence.readTreeOids(decoded.indexOid);
+  const mergePoliciesOid = treeOids['mergePolicies.cbor'];
+  if (!mergePoliciesOid) {
+    return null;
+  }
+  const c = codec || defaultCodec;
+  return /** @type {import('./MergePolicyRegistry.js').MergePolicyDescriptor[]} */ (c.decode(await persistence.readBlob(mergePoliciesOid)));
+}
+
 // ============================================================================
 // Incremental Materialization
 // ============================================================================
@@ -443,10 +496,11 @@ export async function loadCheckpoint(persistence, checkpointSha, { codec } = {})
  * Only supports schema:2 checkpoints. Schema:1 checkpoints will cause
  * loadCheckpoint to throw an error.
  *
- * @param {{ persistence: import('../../ports/CommitPort.js').default & import('../../ports/BlobPort.js').default & import('../../ports/TreePort.js').default, graphName: string, checkpointSha: string, targetFrontier: import('./Frontier.js').Frontier, patchLoader: (writerId: string, fromSha: string|null, toSha: string) => Promise<Array<{patch: import('../types/WarpTypesV2.js').PatchV2, sha: string}>>, codec?: import('../../ports/CodecPort.js').default }} options - Materialization options
+ * @param {{ persistence: import('../../ports/CommitPort.js').default & import('../../ports/BlobPort.js').default & import('../../ports/TreePort.js').default, graphName: string, checkpointSha: string, targetFrontier: import('./Frontier.js').Frontier, patchLoader: (writerId: string, fromSha: string|null, toSha: string) => Promise<Array<{patch: import('../types/WarpTypesV2.js').PatchV2, sha: string}>>, codec?: import('../../ports/CodecPort.js').default, mergePolicies?: import('./MergePolicyRegistry.js').default|null }} options - Materialization options
  * @returns {Promise<import('./JoinReducer.js').WarpStateV5>} The materialized V5 state at targetFrontier
  * @throws {Error} If checkpoint is schema:1 (migration required)
  * @throws {Error} If checkpoint is missing required blobs (state.cbor, frontier.cbor)
+ * @throws {import('../errors/MergePolicyError.js').default} If the checkpoint was written under different merge policies
  */
 export async function materializeIncremental({
   persistence,
@@ -455,13 +509,18 @@ export async function materializeIncremental({
   targetFrontier,
   patchLoader,
   codec,
+  mergePolicies = null,
 }) {
   // 1. Load checkpoint state and frontier (schema:2 returns full V5 state)
   const checkpoint = await loadCheckpoint(persistence, checkpointSha, { codec });
   const checkpointFrontier = checkpoint.frontier;
+  assertMergePoliciesMatch(mergePolicies, checkpoint.mergePolicies, checkpointSha);
 
   // 2. Use checkpoint state directly (schema:2 stores full V5 state)
   const initialState = checkpoint.state;
+  if (mergePolicies) {
+    initialState.mergePolicies = mergePolicies;
+  }
 
   // 3. Collect patches since checkpoint frontier for each writer
   const allPatches = [];
@@ -545,5 +604,5 @@ export function reconstructStateV5FromCheckpoint(visibleProjection) {
     edgeBirthEvent.set(edgeKey, { lamport: 0, writerId: '', patchSha: '0000', opIndex: 0 });
   }
 
-  return { nodeAlive, edgeAlive, prop, observedFrontier, edgeBirthEvent };
+  return { nodeAlive, edgeAlive, prop, observedFrontier, edgeBirthEvent, counters: new Map(), sets: new Map(), sequences: new Map(), aliases: new Map() };
 }
@@ -0,0 +1,256 @@
+/**
+ * ConflictAnalyzer — surfaces concurrent LWW property overwrites.
+ *
+ * Property registers resolve concurrent writes by EventId (Lamport tick,
+ * then writer ID, then patch SHA), so a losing value disappears from the
+ * materialized state. This module replays the same property writes the
+ * reducer applies — canonical `NodePropSet` / `EdgePropSet` ops stamped
+ * with the same EventIds — and reports the writes that were overwritten
+ * by a write that never saw them.
+ *
+ * ## Concurrency
+ *
+ * A write W overwrites the write L immediately before it (in EventId order)
+ * on the same key. The overwrite is a **conflict** when W's patch had not
+ * observed L's patch:
+ *
+ * - writes from the same writer are always sequential;
+ * - otherwise W observed L iff W's patch context covers L's patch, i.e.
+ *   `context[L.writer]` is at least L's own context entry or Lamport tick
+ *   (whichever is greater), which is what the observed frontier records
+ *   once a writer has materialized L.
+ *
+ * Consecutive conflicting overwrites are grouped into one conflict whose
+ * `winner` is the last write of the run.
+ *
+ * A fork patch rebased onto an existing writer's chain (see ForkMerger)
+ * carries that writer's ID, a Lamport tick past the chain tip, and a context
+ * raised to cover its re-issued dots, so by the rules above it has observed
+ * everything before it on the chain. Callers that know which landed patches
+ * were rebased pass a {@link LandedFork}, and those writes are judged by
+ * what the fork had actually observed: the base patches it shares, and the
+ * fork patches its original context covers.
+ *
+ * Counter, set, and sequence properties merge without losing writes and
+ * are not reported, nor are properties governed by a merge policy (their
+ * winner is not decided by EventId).
+ *
+ * @module domain/services/ConflictAnalyzer
+ */
+
+import { createEventId, compareEventIds } from '../utils/EventId.js';
+import { vvDeserialize } from '../crdt/VersionVector.js';
+import { encodePropKey, encodeEdgePropKey } from './KeyCodec.js';
+import { normalizeRawOp } from './OpNormalizer.js';
+
+/**
+ * A single competing property write.
+ *
+ * @typedef {Object} ConflictWrite
+ * @property {unknown} value - Value written
+ * @property {string} writerId - Writer that authored the patch
+ * @property {string} patchSha - SHA of the patch commit
+ * @property {import('../utils/EventId.js').EventId} eventId - EventId used for LWW ordering
+ */
+
+/**
+ * A run of concurrent writes to one property.
+ *
+ * Node conflicts carry `nodeId`; edge conflicts carry `from`, `to`, `label`.
+ *
+ * @typedef {Object} PropertyConflict
+ * @property {'node'|'edge'} kind - Whether the property belongs to a node or an edge
+ * @property {string} [nodeId] - Node ID (node conflicts)
+ * @property {string} [from] - Edge source (edge conflicts)
+ * @property {string} [to] - Edge target (edge conflicts)
+ * @property {string} [label] - Edge label (edge conflicts)
+ * @property {string} key - Property key
+ * @property {ConflictWrite} winner - The write that won the run
+ * @property {ConflictWrite[]} overwritten - Concurrent writes it overwrote, in EventId order
+ */
+
+/**
+ * @typedef {Object} ConflictFilter
+ * @property {string} [nodeId] - Only report conflicts on this node's properties
+ * @property {string} [key] - Only report conflicts on this property key
+ * @property {number} [since] - Only report conflicts whose winning write has a Lamport tick >= since
+ */
+
+/**
+ * Patches landed from a fork by rebasing, and the base history the fork
+ * shares.
+ *
+ * @typedef {Object} LandedFork
+ * @property {Map<string, import('../types/WarpTypesV2.js').PatchV2>} rebased - Landed SHA → the fork patch it was rebased from
+ * @property {Set<string>} history - SHAs of the base patches the fork's chains contain
+ */
+
+/**
+ * @typedef {Object} RecordedWrite
+ * @property {ConflictWrite} write
+ * @property {import('../types/WarpTypesV2.js').PatchV2} patch
+ * @property {import('../types/WarpTypesV2.js').PatchV2|null} origin - The fork patch `patch` was rebased from, if any
+ */
+
+/**
+ * @typedef {Object} PropertyHistory
+ * @property {Pick<PropertyConflict, 'kind'|'nodeId'|'from'|'to'|'label'|'key'>} target
+ * @property {RecordedWrite[]} writes
+ */
+
+/**
+ * Returns a patch's context as a Map (decoded patches carry plain objects).
+ *
+ * @param {import('../types/WarpTypesV2.js').PatchV2} patch
+ * @returns {Map<string, number>}
+ */
+function contextOf(patch) {
+  const { context } = patch;
+  if (context instanceof Map) {
+    return context;
+  }
+  return vvDeserialize(/** @type {Record<string, number>} */ (context || {}));
+}
+
+/**
+ * True if `later`'s patch had observed `earlier`'s patch when it was built.
+ *
+ * @param {import('../types/WarpTypesV2.js').PatchV2} later
+ * @param {import('../types/WarpTypesV2.js').PatchV2} earlier
+ * @returns {boolean}
+ */
+function hasObserved(later, earlier) {
+  if (later.writer === earlier.writer) {
+    return true;
+  }
+  const own = contextOf(earlier).get(earlier.writer) || 0;
+  const seen = contextOf(later).get(earlier.writer) || 0;
+  return seen >= Math.max(own, earlier.lamport);
+}
+
+/**
+ * True if `later`'s patch had observed `earlier`'s. A write rebased from a
+ * fork observed another rebased write if its fork patch observed that one's
+ * fork patch, and any other write only if the fork shares that patch.
+ *
+ * @param {RecordedWrite} later
+ * @param {RecordedWrite} earlier
+ * @param {Set<string>} forkHistory - See {@link LandedFork}
+ * @returns {boolean}
+ */
+function hasObservedWrite(later, earlier, forkHistory) {
+  if (!later.origin) {
+    return hasObserved(later.patch, earlier.patch);
+  }
+  return earlier.origin
+    ? hasObserved(later.origin, earlier.origin)
+    : forkHistory.has(earlier.write.patchSha);
+}
+
+/**
+ * Returns the target descriptor and encoded key for a property write op,
+ * or null for any other op.
+ *
+ * @param {{type: string, node?: string, from?: string, to?: string, label?: string, key?: string}} op - Canonical op
+ * @returns {{propKey: string, target: PropertyHistory['target']}|null}
+ */
+function propertyTarget(op) {
+  const { node, from, to, label, key } = /** @type {{node: string, from: string, to: string, label: string, key: string}} */ (op);
+  if (op.type === 'NodePropSet') {
+    return { propKey: encodePropKey(node, key), target: { kind: 'node', nodeId: node, key } };
+  }
+  if (op.type === 'EdgePropSet') {
+    return { propKey: encodeEdgePropKey(from, to, label, key), target: { kind: 'edge', from, to, label, key } };
+  }
+  return null;
+}
+
+/**
+ * Collects every LWW property write per encoded key.
+ *
+ * @param {Array<{patch: import('../types/WarpTypesV2.js').PatchV2, sha: string}>} patches
+ * @param {import('./MergePolicyRegistry.js').default|null} mergePolicies
+ * @param {Map<string, import('../types/WarpTypesV2.js').PatchV2>} rebased - Landed SHA → the fork patch it was rebased from
+ * @returns {Map<string, PropertyHistory>}
+ */
+function collectWrites(patches, mergePolicies, rebased) {
+  /** @type {Map<string, PropertyHistory>} */
+  const histories = new Map();
+  for (const { patch, sha } of patches) {
+    const ops = Array.isArray(patch.ops) ? patch.ops : [];
+    for (let i = 0; i < ops.length; i++) {
+      const op = /** @type {{type: string, value?: unknown}} */ (normalizeRawOp(ops[i]));
+      const resolved = propertyTarget(op);
+      if (!resolved || (mergePolicies && mergePolicies.policyFor(resolved.target.key))) {
+        continue;
+      }
+      let history = histories.get(resolved.propKey);
+      if (!history) {
+        history = { target: resolved.target, writes: [] };
+        histories.set(resolved.propKey, history);
+      }
+      const eventId = createEventId(patch.lamport, patch.writer, sha, i);
+      history.writes.push({ write: { value: op.value, writerId: patch.writer, patchSha: sha, eventId }, patch, origin: rebased.get(sha) ?? null });
+    }
+  }
+  return histories;
+}
+
+/**
+ * Splits one property's writes into conflict runs.
+ *
+ * @param {PropertyHistory} history
+ * @param {Set<string>} forkHistory - See {@link LandedFork}
+ * @returns {PropertyConflict[]}
+ */
+function conflictsFor(history, forkHistory) {
+  const writes = [...history.writes].sort((a, b) => compareEventIds(a.write.eventId, b.write.eventId));
+  /** @type {PropertyConflict[]} */
+  const conflicts = [];
+  /** @type {PropertyConflict|null} */
+  let current = null;
+  for (let i = 1; i < writes.length; i++) {
+    if (hasObservedWrite(writes[i], writes[i - 1], forkHistory)) {
+      current = null;
+      continue;
+    }
+    if (!current) {
+      current = { ...history.target, winner: writes[i - 1].write, overwritten: [] };
+      conflicts.push(current);
+    }
+    current.overwritten.push(current.winner);
+    current.winner = writes[i].write;
+  }
+  return conflicts;
+}
+
+/**
+ * Finds concurrent property overwrites in a set of patches.
+ *
+ * Patches may be passed in any order; writes are ordered by EventId exactly
+ * as the reducer orders them. Results are sorted by node ID (edge
+ * conflicts by edge key), then property key, then winning EventId.
+ *
+ * @param {Array<{patch: import('../types/WarpTypesV2.js').PatchV2, sha: string}>} patches
+ * @param {ConflictFilter} [filter]
+ * @param {{ mergePolicies?: import('./MergePolicyRegistry.js').default|null, landedFork?: LandedFork }} [context] - `mergePolicies`: keys with a policy are skipped; `landedFork`: judges rebased fork patches by what the fork observed
+ * @returns {PropertyConflict[]}
+ */
+export function findConflicts(patches, filter = {}, { mergePolicies = null, landedFork = { rebased: new Map(), history: new Set() } } = {}) {
+  const { nodeId, key, since } = filter;
+  const histories = [...collectWrites(patches, mergePolicies, landedFork.rebased)]
+    .filter(([, { target }]) => (nodeId === undefined || target.nodeId === nodeId)
+      && (key === undefined || target.key === key))
+    .sort(([a], [b]) => (a < b ? -1 : 1));
+
+  /** @type {PropertyConflict[]} */
+  const conflicts = [];
+  for (const [, history] of histories) {
+    for (const conflict of conflictsFor(history, landedFork.history)) {
+      if (since === undefined || conflict.winner.eventId.lamport >= since) {
+        conflicts.push(conflict);
+      }
+    }
+  }
+  return conflicts;
+}
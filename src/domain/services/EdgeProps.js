@@ -0,0 +1,45 @@
+/**
+ * EdgeProps - Edge property records of a materialized state.
+ *
+ * Edge properties live in the same property map as node properties, keyed
+ * by `encodeEdgePropKey()`. A property written before the edge's current
+ * incarnation was born (the edge was removed and re-added since) is not
+ * visible on it.
+ *
+ * @module domain/services/EdgeProps
+ */
+
+import { compareEventIds } from '../utils/EventId.js';
+import { encodeEdgeKey, isEdgePropKey, decodeEdgePropKey } from './KeyCodec.js';
+
+/**
+ * Groups the visible edge properties of a state by edge.
+ *
+ * @param {import('./JoinReducer.js').WarpStateV5} state - The (logical) state to read
+ * @returns {Map<string, Record<string, unknown>>} Edge key (`encodeEdgeKey()`) → property key → value;
+ *   edges without visible properties are absent
+ */
+export function collectEdgeProps(state) {
+  /** @type {Map<string, Record<string, unknown>>} */
+  const byEdge = new Map();
+  for (const [propKey, register] of state.prop) {
+    if (!isEdgePropKey(propKey)) {
+      continue;
+    }
+    const decoded = decodeEdgePropKey(propKey);
+    const edgeKey = encodeEdgeKey(decoded.from, decoded.to, decoded.label);
+
+    const birthEvent = state.edgeBirthEvent?.get(edgeKey);
+    if (birthEvent && register.eventId && compareEventIds(register.eventId, birthEvent) < 0) {
+      continue;
+    }
+
+    let bag = byEdge.get(edgeKey);
+    if (!bag) {
+      bag = Object.create(null);
+      byEdge.set(edgeKey, /** @type {Record<string, unknown>} */ (bag));
+    }
+    /** @type {Record<string, unknown>} */ (bag)[decoded.propKey] = register.value;
+  }
+  return byEdge;
+}
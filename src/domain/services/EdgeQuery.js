@@ -0,0 +1,198 @@
+/**
+ * EdgeQuery - Fluent queries whose results are edges.
+ *
+ * `graph.queryEdges()` selects edges by label, by ID patterns for either
+ * endpoint, and by predicates over the edge's properties, and returns each
+ * edge with its properties.
+ *
+ * Candidate edges come from the endpoints' neighbor lists, read from the
+ * logical index's per-label bitmaps (through the view's
+ * `BitmapNeighborProvider`) so that only edges carrying the requested
+ * labels are touched. The walk starts from the `from()` side when it is
+ * set, from the `to()` side otherwise, and from every node when neither
+ * is. Without a current index the adjacency maps answer instead.
+ *
+ * @module domain/services/EdgeQuery
+ */
+
+import QueryError from '../errors/QueryError.js';
+import { matchGlob } from '../utils/matchGlob.js';
+import { collectEdgeProps } from './EdgeProps.js';
+import { encodeEdgeKey } from './KeyCodec.js';
+import { createViewNeighbors } from './ViewNeighbors.js';
+import {
+  assertMatchPattern,
+  compileWhere,
+  createEdgeSnapshot,
+  resolveExactPatterns,
+} from './QueryBuilder.js';
+
+/**
+ * @typedef {Object} EdgeQueryResult
+ * @property {string} stateHash - Hash of the materialized state at query time
+ * @property {import('./QueryBuilder.js').QueryEdgeSnapshot[]} edges - Matching edges with their
+ *   properties, sorted by source, label, then target
+ */
+
+/**
+ * @param {import('./QueryBuilder.js').QueryEdgeSnapshot} a
+ * @param {import('./QueryBuilder.js').QueryEdgeSnapshot} b
+ * @returns {number}
+ * @private
+ */
+function compareEdges(a, b) {
+  for (const key of /** @type {const} */ (['from', 'label', 'to'])) {
+    if (a[key] !== b[key]) {
+      return a[key] < b[key] ? -1 : 1;
+    }
+  }
+  return 0;
+}
+
+export default class EdgeQuery {
+  /**
+   * Creates an edge query. Use `graph.queryEdges()` rather than calling
+   * this directly.
+   *
+   * @param {import('../WarpGraph.js').default} graph - The WarpGraph instance to query
+   */
+  constructor(graph) {
+    this._graph = graph;
+    /** @type {Set<string>|null} */
+    this._labels = null;
+    /** @type {string|string[]|null} */
+    this._from = null;
+    /** @type {string|string[]|null} */
+    this._to = null;
+    /** @type {Array<(edge: import('./QueryBuilder.js').QueryEdgeSnapshot) => boolean>} */
+    this._filters = [];
+  }
+
+  /**
+   * Keeps edges with the given label, or one of the given labels. Calling
+   * it again replaces the labels.
+   *
+   * @param {string|string[]} labels - Edge label or labels
+   * @returns {EdgeQuery} This query for chaining
+   * @throws {QueryError} If labels is not a string or non-empty array of strings (code: E_QUERY_LABEL_TYPE)
+   */
+  label(labels) {
+    const list = Array.isArray(labels) ? labels : [labels];
+    if (list.length === 0 || !list.every((label) => typeof label === 'string')) {
+      throw new QueryError('label() expects a label or a non-empty array of labels', {
+        code: 'E_QUERY_LABEL_TYPE',
+        context: { receivedType: Array.isArray(labels) ? 'array' : typeof labels },
+      });
+    }
+    this._labels = new Set(list);
+    return this;
+  }
+
+  /**
+   * Keeps edges whose source matches the pattern(s), with the glob syntax
+   * of `QueryBuilder.match()`.
+   *
+   * @param {string|string[]} pattern - Glob pattern or array of patterns
+   * @returns {EdgeQuery} This query for chaining
+   * @throws {QueryError} If pattern is not a string or array of strings (code: E_QUERY_MATCH_TYPE)
+   */
+  from(pattern) {
+    assertMatchPattern(pattern, 'from');
+    this._from = pattern;
+    return this;
+  }
+
+  /**
+   * Keeps edges whose target matches the pattern(s), with the glob syntax
+   * of `QueryBuilder.match()`.
+   *
+   * @param {string|string[]} pattern - Glob pattern or array of patterns
+   * @returns {EdgeQuery} This query for chaining
+   * @throws {QueryError} If pattern is not a string or array of strings (code: E_QUERY_MATCH_TYPE)
+   */
+  to(pattern) {
+    assertMatchPattern(pattern, 'to');
+    this._to = pattern;
+    return this;
+  }
+
+  /**
+   * Filters edges by predicate function, declarative predicate, or object
+   * shorthand, as `QueryBuilder.where()` filters nodes. Declarative and
+   * shorthand predicates test the edge's properties:
+   * `where({ props: { weight: { gt: 3 } } })`, `where({ role: 'owner' })`.
+   * Functions receive the whole edge snapshot (`from`, `to`, `label`,
+   * `props`). Multiple calls must all hold.
+   *
+   * @param {((edge: import('./QueryBuilder.js').QueryEdgeSnapshot) => boolean) | import('./NodePredicate.js').NodePredicateSpec | Record<string, unknown>} fn -
+   *   Predicate function, declarative predicate, or object with property constraints
+   * @returns {EdgeQuery} This query for chaining
+   * @throws {QueryError} If fn is neither a function nor a plain object (code: E_QUERY_WHERE_TYPE)
+   * @throws {QueryError} If a declarative predicate is malformed (code: E_QUERY_PREDICATE)
+   * @throws {QueryError} If object shorthand contains non-primitive values (code: E_QUERY_WHERE_VALUE_TYPE)
+   */
+  where(fn) {
+    const compiled = compileWhere(fn).fn;
+    this._filters.push(/** @type {(edge: import('./QueryBuilder.js').QueryEdgeSnapshot) => boolean} */ (/** @type {unknown} */ (compiled)));
+    return this;
+  }
+
+  /**
+   * Finds the matching edges.
+   *
+   * @returns {Promise<EdgeQueryResult>} Matching edges with their properties
+   *
+   * @example
+   * const { edges } = await graph.queryEdges()
+   *   .label('assigned')
+   *   .from('user:*')
+   *   .where({ props: { weight: { gt: 3 } } })
+   *   .run();
+   * // [{ from: 'user:alice', to: 'task:7', label: 'assigned', props: { weight: 5 } }, ...]
+   */
+  async run() {
+    const graph = /** @type {{ _cachedViewHash?: string|null, _indexDegraded?: boolean, _materializeGraph: () => Promise<import('./ViewNeighbors.js').MaterializedView & { state: import('./JoinReducer.js').WarpStateV5 }> }} */ (/** @type {unknown} */ (this._graph));
+    const materialized = await graph._materializeGraph();
+    const allNodes = [...(await this._graph.getNodes())].sort();
+    const lookup = createViewNeighbors(graph, materialized, allNodes);
+    const { outward, anchors, otherPattern } = await this._plan(allNodes);
+
+    const edgeProps = collectEdgeProps(materialized.state);
+    /** @type {import('./QueryBuilder.js').QueryEdgeSnapshot[]} */
+    const edges = [];
+    for (const anchor of anchors) {
+      for (const { neighborId, label } of await lookup(anchor, outward ? 'out' : 'in', this._labels ?? undefined)) {
+        if (otherPattern && !matchGlob(otherPattern, neighborId)) {
+          continue;
+        }
+        const [from, to] = outward ? [anchor, neighborId] : [neighborId, anchor];
+        const edge = createEdgeSnapshot({ from, to, label, propsRecord: edgeProps.get(encodeEdgeKey(from, to, label)) ?? {} });
+        if (this._filters.every((fn) => fn(edge))) {
+          edges.push(edge);
+        }
+      }
+    }
+    return { stateHash: materialized.stateHash, edges: edges.sort(compareEdges) };
+  }
+
+  /**
+   * Chooses the side the walk starts from: the sources when from() is set
+   * or neither endpoint is constrained, the targets otherwise.
+   *
+   * @param {string[]} allNodes - Every node in the view, sorted
+   * @returns {Promise<{ outward: boolean, anchors: string[], otherPattern: string|string[]|null }>}
+   *   Whether to follow outgoing edges, the nodes to start from, and the pattern for the far end
+   * @private
+   */
+  async _plan(allNodes) {
+    const fromPattern = this._from && await resolveExactPatterns(this._graph, this._from);
+    const toPattern = this._to && await resolveExactPatterns(this._graph, this._to);
+    const outward = fromPattern !== null || toPattern === null;
+    const anchorPattern = outward ? fromPattern : toPattern;
+    return {
+      outward,
+      anchors: anchorPattern ? allNodes.filter((nodeId) => matchGlob(anchorPattern, nodeId)) : allNodes,
+      otherPattern: outward ? toPattern : fromPattern,
+    };
+  }
+}
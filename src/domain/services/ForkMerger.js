@@ -0,0 +1,138 @@
+/**
+ * ForkMerger - Rewrites fork patches for landing in the base graph
+ *
+ * `graph.mergeFork()` lands each fork writer's patches on a writer chain of
+ * the base graph. When the fork writer's ID is free in the base, its patches
+ * are adopted unchanged. Otherwise they are rebased onto the target writer:
+ * every dot the fork created is re-issued from the target writer's counter
+ * (so it cannot collide with dots the base already issued) and every
+ * reference to such a dot — observed dots of removes, sequence origins and
+ * items — is rewritten to match. Dots the fork observed from before the fork
+ * point are left alone, so removes still apply to the base's elements.
+ *
+ * The dot map is rebuilt from previously landed patches (zipping the dots
+ * each fork patch created with those of its landed copy), so a later merge
+ * of the same fork stays consistent with earlier ones.
+ *
+ * @module domain/services/ForkMerger
+ */
+
+import { encodeDot, decodeDot } from '../crdt/Dot.js';
+
+/**
+ * One fork writer's landing: the base writer it lands on, whether its
+ * patches were adopted unchanged or rebased, and the landed commit SHAs.
+ *
+ * @typedef {Object} MergedForkWriter
+ * @property {string} forkWriter - Writer ID in the fork
+ * @property {string} writer - Writer ID in the base graph
+ * @property {'adopted'|'rebased'} mode - How the patches were landed
+ * @property {string[]} patches - Landed patch commit SHAs, oldest first
+ */
+
+/** Op fields holding a single encoded dot reference. */
+const DOT_REFERENCE_FIELDS = Object.freeze(['origin', 'item']);
+
+/**
+ * Lists the encoded dots a patch creates, in op order.
+ *
+ * @param {import('../types/WarpTypesV2.js').PatchV2} patch
+ * @returns {string[]}
+ */
+export function createdDots(patch) {
+  const dots = [];
+  for (const op of patch.ops) {
+    const { dot } = /** @type {{ dot?: import('../crdt/Dot.js').Dot }} */ (op);
+    if (dot) {
+      dots.push(encodeDot(dot));
+    }
+  }
+  return dots;
+}
+
+/**
+ * Records the dot renames of a previously landed fork patch.
+ *
+ * @param {import('../types/WarpTypesV2.js').PatchV2} forkPatch - The patch as committed on the fork
+ * @param {import('../types/WarpTypesV2.js').PatchV2} landedPatch - Its copy in the base graph
+ * @param {Map<string, string>} dotMap - Fork dot → base dot; mutated
+ */
+export function recordLandedDots(forkPatch, landedPatch, dotMap) {
+  const landed = createdDots(landedPatch);
+  createdDots(forkPatch).forEach((dot, i) => {
+    if (landed[i] !== dot) {
+      dotMap.set(dot, landed[i]);
+    }
+  });
+}
+
+/**
+ * Issues a fresh dot on `writer` for every dot the patch creates that has
+ * not been renamed yet.
+ *
+ * @param {import('../types/WarpTypesV2.js').PatchV2} patch
+ * @param {string} writer - Target writer in the base graph
+ * @param {{ counters: Map<string, number>, dotMap: Map<string, string> }} maps - Highest issued counter per writer and fork dot → base dot; both mutated
+ */
+export function assignDots(patch, writer, { counters, dotMap }) {
+  for (const dot of createdDots(patch)) {
+    if (!dotMap.has(dot)) {
+      const counter = (counters.get(writer) || 0) + 1;
+      counters.set(writer, counter);
+      dotMap.set(dot, encodeDot({ writerId: writer, counter }));
+    }
+  }
+}
+
+/**
+ * @param {Map<string, string>} dotMap
+ * @param {string} dot
+ * @returns {string}
+ */
+function renamed(dotMap, dot) {
+  return dotMap.get(dot) ?? dot;
+}
+
+/**
+ * @param {import('../types/WarpTypesV2.js').OpV2} op
+ * @param {Map<string, string>} dotMap
+ * @returns {import('../types/WarpTypesV2.js').OpV2}
+ */
+function rebaseOp(op, dotMap) {
+  const out = /** @type {Record<string, unknown>} */ ({ ...op });
+  if (out.dot) {
+    out.dot = decodeDot(renamed(dotMap, encodeDot(/** @type {import('../crdt/Dot.js').Dot} */ (out.dot))));
+  }
+  if (Array.isArray(out.observedDots)) {
+    out.observedDots = out.observedDots.map((dot) => renamed(dotMap, dot));
+  }
+  for (const field of DOT_REFERENCE_FIELDS) {
+    if (typeof out[field] === 'string') {
+      out[field] = renamed(dotMap, out[field]);
+    }
+  }
+  return /** @type {import('../types/WarpTypesV2.js').OpV2} */ (/** @type {unknown} */ (out));
+}
+
+/**
+ * Rewrites a fork patch for the target writer: renames dots per `dotMap`
+ * and raises the context's entry for the writer to cover the dots the
+ * patch now carries.
+ *
+ * @param {import('../types/WarpTypesV2.js').PatchV2} patch
+ * @param {{ writer: string, lamport: number, dotMap: Map<string, string> }} target
+ * @returns {import('../types/WarpTypesV2.js').PatchV2}
+ */
+export function rebasePatch(patch, { writer, lamport, dotMap }) {
+  const ops = patch.ops.map((op) => rebaseOp(op, dotMap));
+  const source = /** @type {Map<string, number>|Record<string, number>} */ (patch.context);
+  /** @type {Record<string, number>} */
+  const context = source instanceof Map ? Object.fromEntries(source) : { ...source };
+  for (const dot of createdDots({ ...patch, ops })) {
+    const { writerId, counter } = decodeDot(dot);
+    if (writerId === writer && counter > (context[writer] || 0)) {
+      context[writer] = counter;
+    }
+  }
+  return { ...patch, writer, lamport, context, ops };
+}
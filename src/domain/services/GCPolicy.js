@@ -3,6 +3,7 @@
  */
 
 import { orsetCompact } from '../crdt/ORSet.js';
+import { setPropertyCompact } from '../crdt/SetProperty.js';
 import { collectGCMetrics } from './GCMetrics.js';
 import WarpError from '../errors/WarpError.js';
 
@@ -115,17 +116,21 @@ export function executeGC(state, appliedVV) {
   // Collect metrics before compaction
   const beforeMetrics = collectGCMetrics(state);
 
-  // Compact both ORSets — wrap each phase so partial failure is diagnosable
-  let nodesDone = false;
+  // Compact the ORSets — wrap each phase so partial failure is diagnosable
+  let phase = 'nodeAlive';
   try {
     orsetCompact(state.nodeAlive, appliedVV);
-    nodesDone = true;
+    phase = 'edgeAlive';
     orsetCompact(state.edgeAlive, appliedVV);
+    phase = 'sets';
+    for (const setProp of state.sets?.values() || []) {
+      setPropertyCompact(setProp, appliedVV);
+    }
   } catch {
     throw new WarpError(
-      `GC compaction failed during ${nodesDone ? 'edgeAlive' : 'nodeAlive'} phase`,
+      `GC compaction failed during ${phase} phase`,
       'E_GC_COMPACT_FAILED',
-      { context: { phase: nodesDone ? 'edgeAlive' : 'nodeAlive', partialCompaction: nodesDone } },
+      { context: { phase, partialCompaction: phase !== 'nodeAlive' } },
     );
   }
 
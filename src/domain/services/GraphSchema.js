@@ -0,0 +1,476 @@
+/**
+ * GraphSchema - Node types, property constraints, and edge rules
+ *
+ * A schema is configured once via `WarpGraph.open({ graphSchema })`:
+ *
+ * ```javascript
+ * {
+ *   nodes: {
+ *     user: { match: 'user:*', props: { email: { type: 'string', required: true }, age: 'integer' } },
+ *     repo: { match: 'repo:*' },
+ *   },
+ *   edges: {
+ *     owns: { from: 'user', to: 'repo', cardinality: 'one-to-many' },
+ *   },
+ * }
+ * ```
+ *
+ * ## Node types
+ *
+ * A node's type is the first entry of `nodes` whose `match` glob (or array
+ * of globs, matched with {@link matchGlob}) matches its ID. Nodes that match
+ * no type are unconstrained. `props` maps property keys to a type name or
+ * `{ type, required }`; a `null` value counts as absent.
+ *
+ * ## Edges
+ *
+ * Declaring `edges` makes it the closed set of allowed labels. `from` / `to`
+ * name the node types (one or an array) an edge may connect; omitted means
+ * any node. `cardinality` limits edges per endpoint:
+ *
+ * - `many-to-many` (default): no limit
+ * - `one-to-many`: each target has at most one incoming edge with the label
+ * - `many-to-one`: each source has at most one outgoing edge with the label
+ * - `one-to-one`: both
+ *
+ * Edges may declare `props` like node types.
+ *
+ * ## Validation
+ *
+ * {@link GraphSchema#validateState} checks materialized state. Patch commits
+ * validate only the nodes and edges the patch writes (so pre-existing
+ * violations that arrived via sync don't block unrelated writes); callers
+ * audit everything with `graph.validateSchema()`.
+ *
+ * @module domain/services/GraphSchema
+ */
+
+import { matchGlob } from '../utils/matchGlob.js';
+import { orsetContains, orsetElements } from '../crdt/ORSet.js';
+import { compareEventIds } from '../utils/EventId.js';
+import { encodeEdgeKey, decodeEdgeKey, encodePropKey, encodeEdgePropKey } from './KeyCodec.js';
+
+/** Property value types a schema can require. */
+const PROP_TYPES = Object.freeze(['string', 'number', 'integer', 'boolean', 'array', 'object', 'unknown']);
+
+/** Edge cardinalities, as `<sources per target>-to-<targets per source>`. */
+const CARDINALITIES = Object.freeze(['many-to-many', 'one-to-many', 'many-to-one', 'one-to-one']);
+
+/**
+ * @typedef {'string'|'number'|'integer'|'boolean'|'array'|'object'|'unknown'} SchemaPropType
+ */
+
+/**
+ * @typedef {Object} SchemaPropSpec
+ * @property {SchemaPropType} [type] - Required value type (default `'unknown'`, no check)
+ * @property {boolean} [required] - Whether the property must be present and non-null
+ */
+
+/**
+ * @typedef {Object} SchemaNodeType
+ * @property {string|string[]} match - Node-ID glob(s)
+ * @property {Record<string, SchemaPropType|SchemaPropSpec>} [props] - Property constraints
+ */
+
+/**
+ * @typedef {Object} SchemaEdgeRule
+ * @property {string|string[]} [from] - Allowed source node type(s)
+ * @property {string|string[]} [to] - Allowed target node type(s)
+ * @property {'many-to-many'|'one-to-many'|'many-to-one'|'one-to-one'} [cardinality] - Edges per endpoint
+ * @property {Record<string, SchemaPropType|SchemaPropSpec>} [props] - Edge property constraints
+ */
+
+/**
+ * @typedef {Object} SchemaDefinition
+ * @property {Record<string, SchemaNodeType>} [nodes] - Node types by name, in precedence order
+ * @property {Record<string, SchemaEdgeRule>} [edges] - Allowed edge labels and their rules
+ */
+
+/**
+ * One schema violation. Node violations carry `nodeId`; edge violations
+ * carry `from`, `to`, `label`.
+ *
+ * @typedef {Object} SchemaViolation
+ * @property {'E_SCHEMA_PROP_REQUIRED'|'E_SCHEMA_PROP_TYPE'|'E_SCHEMA_EDGE_LABEL'|'E_SCHEMA_EDGE_ENDPOINT'|'E_SCHEMA_EDGE_CARDINALITY'} code
+ * @property {'node'|'edge'} kind
+ * @property {string} message - Human-readable description
+ * @property {string} [nodeId] - Node ID (node violations)
+ * @property {string} [from] - Edge source (edge violations)
+ * @property {string} [to] - Edge target (edge violations)
+ * @property {string} [label] - Edge label (edge violations)
+ * @property {string} [key] - Property key (property violations)
+ */
+
+/**
+ * @typedef {{key: string, type: SchemaPropType, required: boolean}} PropRule
+ * @typedef {{name: string, match: string|string[], props: PropRule[]}} NodeTypeRule
+ * @typedef {{from: string[]|null, to: string[]|null, cardinality: string, props: PropRule[]}} EdgeRule
+ * @typedef {{kind: 'node'|'edge', nodeId?: string, from?: string, to?: string, label?: string, describe: string}} ViolationTarget
+ */
+
+/**
+ * @param {string} path - Definition path, for the error message
+ * @param {unknown} value
+ * @returns {Record<string, unknown>}
+ */
+function requireRecord(path, value) {
+  if (!value || typeof value !== 'object' || Array.isArray(value)) {
+    throw new Error(`${path} must be an object`);
+  }
+  return /** @type {Record<string, unknown>} */ (value);
+}
+
+/**
+ * @param {string} path
+ * @param {unknown} value
+ * @returns {string[]}
+ */
+function requireStrings(path, value) {
+  const list = Array.isArray(value) ? value : [value];
+  if (list.length === 0 || list.some((item) => typeof item !== 'string' || item.length === 0)) {
+    throw new Error(`${path} must be a non-empty string or an array of non-empty strings`);
+  }
+  return /** @type {string[]} */ (list);
+}
+
+/**
+ * @param {string} path
+ * @param {unknown} props
+ * @returns {PropRule[]}
+ */
+function parseProps(path, props) {
+  if (props === undefined) {
+    return [];
+  }
+  return Object.entries(requireRecord(path, props)).map(([key, spec]) => {
+    const { type = 'unknown', required = false } = /** @type {SchemaPropSpec} */ (typeof spec === 'string' ? { type: spec } : requireRecord(`${path}.${key}`, spec));
+    if (!PROP_TYPES.includes(type)) {
+      throw new Error(`${path}.${key}.type must be one of: ${PROP_TYPES.join(', ')}`);
+    }
+    if (typeof required !== 'boolean') {
+      throw new Error(`${path}.${key}.required must be a boolean`);
+    }
+    return { key, type, required };
+  });
+}
+
+/**
+ * @param {string} path
+ * @param {unknown} value - Type name(s) or undefined for any
+ * @param {Set<string>} typeNames - Declared node types
+ * @returns {string[]|null}
+ */
+function parseEndpoint(path, value, typeNames) {
+  if (value === undefined) {
+    return null;
+  }
+  const names = requireStrings(path, value);
+  for (const name of names) {
+    if (!typeNames.has(name)) {
+      throw new Error(`${path} references unknown node type "${name}"`);
+    }
+  }
+  return names;
+}
+
+/**
+ * @param {string} label
+ * @param {unknown} value
+ * @param {Set<string>} typeNames
+ * @returns {EdgeRule}
+ */
+function parseEdgeRule(label, value, typeNames) {
+  const path = `graphSchema.edges.${label}`;
+  const rule = requireRecord(path, value);
+  const cardinality = rule.cardinality === undefined ? 'many-to-many' : rule.cardinality;
+  if (typeof cardinality !== 'string' || !CARDINALITIES.includes(cardinality)) {
+    throw new Error(`${path}.cardinality must be one of: ${CARDINALITIES.join(', ')}`);
+  }
+  return {
+    from: parseEndpoint(`${path}.from`, rule.from, typeNames),
+    to: parseEndpoint(`${path}.to`, rule.to, typeNames),
+    cardinality,
+    props: parseProps(`${path}.props`, rule.props),
+  };
+}
+
+/**
+ * @param {SchemaPropType} type
+ * @param {unknown} value - Non-null value
+ * @returns {boolean}
+ */
+function hasType(type, value) {
+  switch (type) {
+    case 'string':
+    case 'boolean':
+      return typeof value === type;
+    case 'number':
+      return typeof value === 'number' && Number.isFinite(value);
+    case 'integer':
+      return Number.isInteger(value);
+    case 'array':
+      return Array.isArray(value);
+    case 'object':
+      return typeof value === 'object' && !Array.isArray(value);
+    default:
+      return true;
+  }
+}
+
+/**
+ * @param {unknown} value
+ * @returns {string}
+ */
+function typeName(value) {
+  return Array.isArray(value) ? 'array' : typeof value;
+}
+
+/**
+ * Checks property rules against a property reader.
+ *
+ * @param {PropRule[]} rules
+ * @param {(key: string) => unknown} read - Returns the property value, or undefined
+ * @param {ViolationTarget} target
+ * @returns {SchemaViolation[]}
+ */
+function checkProps(rules, read, { describe, ...target }) {
+  /** @type {SchemaViolation[]} */
+  const out = [];
+  for (const { key, type, required } of rules) {
+    const value = read(key);
+    if (value === undefined || value === null) {
+      if (required) {
+        out.push({ ...target, code: 'E_SCHEMA_PROP_REQUIRED', key, message: `${describe}: missing required property "${key}"` });
+      }
+    } else if (!hasType(type, value)) {
+      out.push({ ...target, code: 'E_SCHEMA_PROP_TYPE', key, message: `${describe}: property "${key}" must be ${type}, got ${typeName(value)}` });
+    }
+  }
+  return out;
+}
+
+/**
+ * @param {import('./JoinReducer.js').WarpStateV5} state
+ * @param {string} edgeKey
+ * @returns {boolean} True if the edge and both endpoints are alive
+ */
+function isEdgeVisible(state, edgeKey) {
+  if (!orsetContains(state.edgeAlive, edgeKey)) {
+    return false;
+  }
+  const { from, to } = decodeEdgeKey(edgeKey);
+  return orsetContains(state.nodeAlive, from) && orsetContains(state.nodeAlive, to);
+}
+
+/**
+ * Ordered node-type lookup plus edge rules.
+ */
+export default class GraphSchema {
+  /** @type {ReadonlyArray<NodeTypeRule>} */
+  #nodeTypes;
+
+  /** @type {Map<string, EdgeRule>|null} */
+  #edges;
+
+  /** @type {Map<string, NodeTypeRule|null>} */
+  #resolved = new Map();
+
+  /** @type {SchemaDefinition|undefined} */
+  #definition;
+
+  /**
+   * @param {NodeTypeRule[]} nodeTypes - In precedence order
+   * @param {Map<string, EdgeRule>|null} edges - Allowed labels, or null for any
+   */
+  constructor(nodeTypes, edges) {
+    this.#nodeTypes = Object.freeze([...nodeTypes]);
+    this.#edges = edges;
+  }
+
+  /**
+   * Builds a schema from `WarpGraph.open({ graphSchema })` config.
+   *
+   * @param {SchemaDefinition|undefined|null} definition
+   * @returns {GraphSchema|null} The schema, or null when none is configured
+   * @throws {Error} If the definition is malformed
+   */
+  static from(definition) {
+    if (definition === undefined || definition === null) {
+      return null;
+    }
+    const { nodes = {}, edges } = /** @type {SchemaDefinition} */ (requireRecord('graphSchema', definition));
+    const nodeTypes = Object.entries(requireRecord('graphSchema.nodes', nodes)).map(([name, value]) => {
+      const type = requireRecord(`graphSchema.nodes.${name}`, value);
+      return {
+        name,
+        match: requireStrings(`graphSchema.nodes.${name}.match`, type.match),
+        props: parseProps(`graphSchema.nodes.${name}.props`, type.props),
+      };
+    });
+    const typeNames = new Set(nodeTypes.map((type) => type.name));
+    const edgeRules = edges === undefined
+      ? null
+      : new Map(Object.entries(requireRecord('graphSchema.edges', edges)).map(([label, rule]) => [label, parseEdgeRule(label, rule, typeNames)]));
+    const schema = new GraphSchema(nodeTypes, edgeRules);
+    schema.#definition = definition;
+    return schema;
+  }
+
+  /**
+   * The definition this schema was built from (used to open forks with the
+   * same schema).
+   *
+   * @returns {SchemaDefinition|undefined}
+   */
+  get definition() {
+    return this.#definition;
+  }
+
+  /**
+   * Returns the name of a node's type, or null if no type matches.
+   *
+   * @param {string} nodeId
+   * @returns {string|null}
+   */
+  typeOf(nodeId) {
+    return this.#typeRule(nodeId)?.name ?? null;
+  }
+
+  /**
+   * Validates materialized state against the schema.
+   *
+   * @param {import('./JoinReducer.js').WarpStateV5} state
+   * @param {{nodes: Iterable<string>, edges: Iterable<string>}} [scope] - Only check these node IDs
+   *   and edge keys (cardinality still counts every edge); defaults to the whole graph
+   * @returns {SchemaViolation[]} Node violations sorted by node ID, then edge violations sorted by edge key
+   */
+  validateState(state, scope) {
+    const nodes = [...(scope ? scope.nodes : orsetElements(state.nodeAlive))]
+      .filter((nodeId) => orsetContains(state.nodeAlive, nodeId))
+      .sort();
+    const edges = [...(scope ? scope.edges : orsetElements(state.edgeAlive))]
+      .filter((edgeKey) => isEdgeVisible(state, edgeKey))
+      .sort();
+
+    /** @type {SchemaViolation[]} */
+    const violations = [];
+    for (const nodeId of nodes) {
+      const type = this.#typeRule(nodeId);
+      if (type) {
+        const read = (/** @type {string} */ key) => state.prop.get(encodePropKey(nodeId, key))?.value;
+        violations.push(...checkProps(type.props, read, { kind: 'node', nodeId, describe: nodeId }));
+      }
+    }
+    if (edges.length > 0 && this.#edges) {
+      this.#checkEdges(state, edges, violations);
+    }
+    return violations;
+  }
+
+  /**
+   * @param {string} nodeId
+   * @returns {NodeTypeRule|null}
+   */
+  #typeRule(nodeId) {
+    let rule = this.#resolved.get(nodeId);
+    if (rule === undefined) {
+      rule = this.#nodeTypes.find((type) => matchGlob(type.match, nodeId)) ?? null;
+      this.#resolved.set(nodeId, rule);
+    }
+    return rule;
+  }
+
+  /**
+   * @param {import('./JoinReducer.js').WarpStateV5} state
+   * @param {string[]} edgeKeys - Visible edges to check
+   * @param {SchemaViolation[]} out
+   */
+  #checkEdges(state, edgeKeys, out) {
+    const edgeRules = /** @type {Map<string, EdgeRule>} */ (this.#edges);
+    const degrees = this.#countDegrees(state);
+    /** @type {Set<string>} */
+    const reported = new Set();
+    for (const edgeKey of edgeKeys) {
+      const { from, to, label } = decodeEdgeKey(edgeKey);
+      const target = { kind: /** @type {const} */ ('edge'), from, to, label, describe: `${from} -> ${to} [${label}]` };
+      const rule = edgeRules.get(label);
+      if (!rule) {
+        out.push({ kind: 'edge', from, to, label, code: 'E_SCHEMA_EDGE_LABEL', message: `${target.describe}: label "${label}" is not allowed by the schema` });
+        continue;
+      }
+      this.#checkEndpoints(rule, target, out);
+      checkCardinality({ rule, degrees, reported }, target, out);
+      const birth = state.edgeBirthEvent?.get(edgeKey);
+      const read = (/** @type {string} */ key) => {
+        const register = state.prop.get(encodeEdgePropKey(from, to, label, key));
+        return register && !(birth && compareEventIds(register.eventId, birth) < 0) ? register.value : undefined;
+      };
+      out.push(...checkProps(rule.props, read, target));
+    }
+  }
+
+  /**
+   * @param {EdgeRule} rule
+   * @param {ViolationTarget & {from: string, to: string, label: string}} target
+   * @param {SchemaViolation[]} out
+   */
+  #checkEndpoints(rule, { describe, ...target }, out) {
+    for (const [end, allowed] of /** @type {const} */ ([['from', rule.from], ['to', rule.to]])) {
+      const nodeId = target[end];
+      const type = this.typeOf(nodeId);
+      if (allowed && (type === null || !allowed.includes(type))) {
+        const actual = type === null ? 'untyped' : `type ${type}`;
+        const side = end === 'from' ? 'start at' : 'end at';
+        out.push({ ...target, code: 'E_SCHEMA_EDGE_ENDPOINT', message: `${describe}: "${target.label}" edges must ${side} ${allowed.join(' or ')}, but ${nodeId} is ${actual}` });
+      }
+    }
+  }
+
+  /**
+   * Counts visible edges per (source, label) and (target, label), for the
+   * labels whose cardinality limits them.
+   *
+   * @param {import('./JoinReducer.js').WarpStateV5} state
+   * @returns {Map<string, number>} Keyed by `out\0<from>\0<label>` / `in\0<to>\0<label>`
+   */
+  #countDegrees(state) {
+    const edgeRules = /** @type {Map<string, EdgeRule>} */ (this.#edges);
+    /** @type {Map<string, number>} */
+    const degrees = new Map();
+    if (![...edgeRules.values()].some((rule) => rule.cardinality !== 'many-to-many')) {
+      return degrees;
+    }
+    for (const edgeKey of orsetElements(state.edgeAlive)) {
+      const { from, to, label } = decodeEdgeKey(edgeKey);
+      const cardinality = edgeRules.get(label)?.cardinality;
+      if (cardinality && cardinality !== 'many-to-many' && isEdgeVisible(state, edgeKey)) {
+        for (const key of [encodeEdgeKey('out', from, label), encodeEdgeKey('in', to, label)]) {
+          degrees.set(key, (degrees.get(key) || 0) + 1);
+        }
+      }
+    }
+    return degrees;
+  }
+}
+
+/**
+ * Reports an edge whose endpoint exceeds its label's cardinality, once per
+ * endpoint and label.
+ *
+ * @param {{rule: EdgeRule, degrees: Map<string, number>, reported: Set<string>}} ctx
+ * @param {ViolationTarget & {from: string, to: string, label: string}} target
+ * @param {SchemaViolation[]} out
+ */
+function checkCardinality({ rule, degrees, reported }, { describe, ...target }, out) {
+  const { from, to, label } = target;
+  const limits = [
+    { key: encodeEdgeKey('out', from, label), limited: rule.cardinality.endsWith('-to-one'), text: `${from} has more than one outgoing "${label}" edge` },
+    { key: encodeEdgeKey('in', to, label), limited: rule.cardinality.startsWith('one-to-'), text: `${to} has more than one incoming "${label}" edge` },
+  ];
+  for (const { key, limited, text } of limits) {
+    if (limited && (degrees.get(key) || 0) > 1 && !reported.has(key)) {
+      reported.add(key);
+      out.push({ ...target, code: 'E_SCHEMA_EDGE_CARDINALITY', message: `${describe}: ${text} (cardinality ${rule.cardinality})` });
+    }
+  }
+}
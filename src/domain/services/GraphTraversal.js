@@ -24,12 +24,25 @@
  *    deterministic for a given (from, to, label) / (nodeId, goalId)
  *    within a traversal run, or determinism is impossible.
  * 8. **Never** rely on JS Map/Set iteration order — always explicit sort.
+ * 9. **Centrality**: Scores are accumulated over the node list in
+ *    lexicographic order, so floating-point results repeat exactly, and
+ *    result Maps iterate in that order.
+ * 10. **Community detection**: Randomness comes only from a generator
+ *     seeded by `seed`, consumed in a fixed order over the sorted node
+ *     list, so the same graph and seed give the same communities on every
+ *     replica. Communities are numbered in order of their smallest node ID.
+ * 11. **Max-flow**: Dinic's algorithm scans each node's arcs in the order
+ *     of the edge list sorted by (from, to, label), so the flow on each
+ *     edge — not only the flow value — repeats exactly.
  *
  * ## Error Handling Convention
  *
  * - `shortestPath` returns `{ found: false, path: [], length: -1 }` on no path.
  * - `weightedShortestPath`, `aStarSearch`, and `bidirectionalAStar` throw
  *   `TraversalError` with code `'NO_PATH'` when no path exists.
+ * - `kShortestPaths` returns an empty `paths` array and `allSimplePaths`
+ *   yields nothing when no path exists.
+ * - `maxFlow` and `minCut` report a flow of 0 when the sink is unreachable.
  * - All start-node methods throw `TraversalError` with code `'INVALID_START'`
  *   when the start node does not exist in the provider.
  *
@@ -41,6 +54,7 @@ import TraversalError from '../errors/TraversalError.js';
 import MinHeap from '../utils/MinHeap.js';
 import LRUCache from '../utils/LRUCache.js';
 import { checkAborted } from '../utils/cancellation.js';
+import { mulberry32 } from '../utils/mulberry32.js';
 
 /** @typedef {import('../../ports/NeighborProviderPort.js').default} NeighborProviderPort */
 /** @typedef {import('../../ports/NeighborProviderPort.js').Direction} Direction */
@@ -89,6 +103,29 @@ const DEFAULT_WEIGHT_FN = (_from, _to, _label) => 1;
  */
 const lexTieBreaker = (a, b) => (a < b ? -1 : a > b ? 1 : 0);
 
+/**
+ * Orders k-shortest-path candidates by total cost, then by their node IDs
+ * compared element by element (a prefix sorts first).
+ *
+ * @param {{ path: string[], costs: number[] }} a
+ * @param {{ path: string[], costs: number[] }} b
+ * @returns {number}
+ */
+function comparePathCandidates(a, b) {
+  const costDiff = a.costs[a.costs.length - 1] - b.costs[b.costs.length - 1];
+  if (costDiff !== 0) {
+    return costDiff;
+  }
+  const n = Math.min(a.path.length, b.path.length);
+  for (let i = 0; i < n; i++) {
+    const order = lexTieBreaker(a.path[i], b.path[i]);
+    if (order !== 0) {
+      return order;
+    }
+  }
+  return a.path.length - b.path.length;
+}
+
 /**
  * Distinguishes true topological cycles from maxNodes truncation.
  *
@@ -102,6 +139,667 @@ function computeTopoHasCycle({
   return !stoppedByLimit && sortedLength < discoveredSize;
 }
 
+/**
+ * Iterative Tarjan: finds the strongly connected components of a loaded
+ * adjacency without recursion, so deep graphs cannot overflow the stack.
+ *
+ * Roots are tried in nodeList order and neighbors in adjacency order.
+ * Tarjan completes a component only after every component reachable from
+ * it, so the result, reversed, is a topological order of the condensation.
+ *
+ * @param {string[]} nodeList - Sorted node IDs
+ * @param {Map<string, string[]>} adjacency
+ * @param {() => void} onProgress - Called every 1000 nodes (cancellation hook)
+ * @returns {string[][]} Components in topological order, each sorted
+ */
+function findStrongComponents(nodeList, adjacency, onProgress) {
+  /** @type {Map<string, number>} */
+  const indexOf = new Map();
+  /** @type {Map<string, number>} */
+  const low = new Map();
+  /** @type {Set<string>} */
+  const onStack = new Set();
+  /** @type {string[]} */
+  const stack = [];
+  /** @type {string[][]} */
+  const components = [];
+
+  /** @param {string} nodeId */
+  const enter = (nodeId) => {
+    if (indexOf.size % 1000 === 0) {
+      onProgress();
+    }
+    indexOf.set(nodeId, indexOf.size);
+    low.set(nodeId, /** @type {number} */ (indexOf.get(nodeId)));
+    stack.push(nodeId);
+    onStack.add(nodeId);
+  };
+
+  for (const root of nodeList) {
+    if (indexOf.has(root)) {
+      continue;
+    }
+    enter(root);
+    const frames = [{ nodeId: root, next: 0 }];
+    while (frames.length > 0) {
+      const frame = frames[frames.length - 1];
+      const v = frame.nodeId;
+      const neighborIds = /** @type {string[]} */ (adjacency.get(v));
+      if (frame.next < neighborIds.length) {
+        const w = neighborIds[frame.next++];
+        if (!indexOf.has(w)) {
+          enter(w);
+          frames.push({ nodeId: w, next: 0 });
+        } else if (onStack.has(w)) {
+          low.set(v, Math.min(/** @type {number} */ (low.get(v)), /** @type {number} */ (indexOf.get(w))));
+        }
+        continue;
+      }
+
+      frames.pop();
+      const lowV = /** @type {number} */ (low.get(v));
+      if (frames.length > 0) {
+        const parent = frames[frames.length - 1].nodeId;
+        low.set(parent, Math.min(/** @type {number} */ (low.get(parent)), lowV));
+      }
+      if (lowV === indexOf.get(v)) {
+        /** @type {string[]} */
+        const component = [];
+        let member;
+        do {
+          member = /** @type {string} */ (stack.pop());
+          onStack.delete(member);
+          component.push(member);
+        } while (member !== v);
+        components.push(component.sort());
+      }
+    }
+  }
+  return components.reverse();
+}
+
+/**
+ * Builds the PageRank teleport vector: uniform over the nodes, or
+ * proportional to the personalization weights of the nodes present.
+ *
+ * @param {string[]} nodeList - Sorted node IDs
+ * @param {Record<string, number>} [personalization]
+ * @returns {Map<string, number>}
+ * @throws {TraversalError} code 'E_INVALID_PERSONALIZATION' on a negative or non-finite
+ *   weight, or when no node has a positive weight
+ */
+function buildTeleportVector(nodeList, personalization) {
+  if (!personalization) {
+    return new Map(nodeList.map((nodeId) => [nodeId, 1 / nodeList.length]));
+  }
+  for (const [nodeId, weight] of Object.entries(personalization)) {
+    if (typeof weight !== 'number' || !Number.isFinite(weight) || weight < 0) {
+      throw new TraversalError(`Personalization weight for '${nodeId}' must be a finite non-negative number`, {
+        code: 'E_INVALID_PERSONALIZATION',
+        context: { nodeId, weight },
+      });
+    }
+  }
+  const weightOf = (/** @type {string} */ nodeId) => (Object.hasOwn(personalization, nodeId) ? personalization[nodeId] : 0);
+  const total = nodeList.reduce((sum, nodeId) => sum + weightOf(nodeId), 0);
+  if (nodeList.length > 0 && total === 0) {
+    throw new TraversalError('Personalization must give a positive weight to at least one node', {
+      code: 'E_INVALID_PERSONALIZATION',
+      context: { nodes: Object.keys(personalization) },
+    });
+  }
+  return new Map(nodeList.map((nodeId) => [nodeId, weightOf(nodeId) / total]));
+}
+
+/**
+ * BFS from source over a loaded adjacency; counts the nodes reached
+ * (source excluded) and sums their hop distances.
+ *
+ * @param {string} source
+ * @param {Map<string, string[]>} adjacency
+ * @returns {{ reached: number, totalDistance: number }}
+ */
+function sumHopDistances(source, adjacency) {
+  /** @type {Map<string, number>} */
+  const dist = new Map([[source, 0]]);
+  const queue = [source];
+  let totalDistance = 0;
+  for (let qHead = 0; qHead < queue.length; qHead++) {
+    const nodeId = queue[qHead];
+    const d = /** @type {number} */ (dist.get(nodeId));
+    totalDistance += d;
+    for (const neighborId of /** @type {string[]} */ (adjacency.get(nodeId))) {
+      if (!dist.has(neighborId)) {
+        dist.set(neighborId, d + 1);
+        queue.push(neighborId);
+      }
+    }
+  }
+  return { reached: queue.length - 1, totalDistance };
+}
+
+/**
+ * One Brandes single-source pass: counts shortest paths from source by
+ * BFS, then adds each node's dependency on source to its score.
+ *
+ * @param {string} source
+ * @param {Map<string, string[]>} adjacency
+ * @param {Map<string, number>} scores - Accumulated in place
+ */
+function accumulateDependencies(source, adjacency, scores) {
+  /** @type {Map<string, number>} */
+  const dist = new Map([[source, 0]]);
+  /** @type {Map<string, number>} */
+  const sigma = new Map([[source, 1]]);
+  /** @type {Map<string, string[]>} */
+  const preds = new Map();
+  const order = [source];
+  for (let qHead = 0; qHead < order.length; qHead++) {
+    const v = order[qHead];
+    const dv = /** @type {number} */ (dist.get(v));
+    for (const w of /** @type {string[]} */ (adjacency.get(v))) {
+      if (!dist.has(w)) {
+        dist.set(w, dv + 1);
+        order.push(w);
+      }
+      if (dist.get(w) === dv + 1) {
+        sigma.set(w, (sigma.get(w) ?? 0) + /** @type {number} */ (sigma.get(v)));
+        const list = preds.get(w);
+        if (list) {
+          list.push(v);
+        } else {
+          preds.set(w, [v]);
+        }
+      }
+    }
+  }
+
+  /** @type {Map<string, number>} */
+  const delta = new Map();
+  for (let i = order.length - 1; i > 0; i--) {
+    const w = order[i];
+    const dw = delta.get(w) ?? 0;
+    const sw = /** @type {number} */ (sigma.get(w));
+    for (const v of /** @type {string[]} */ (preds.get(w))) {
+      delta.set(v, (delta.get(v) ?? 0) + (/** @type {number} */ (sigma.get(v)) / sw) * (1 + dw));
+    }
+    scores.set(w, /** @type {number} */ (scores.get(w)) + dw);
+  }
+}
+
+/**
+ * Undirected weighted graph over node indices in compressed sparse row
+ * form — the input to community detection.
+ *
+ * @typedef {Object} CommunityGraph
+ * @property {number} size - Vertex count
+ * @property {Int32Array} offsets - Vertex u's edges are offsets[u] .. offsets[u + 1] - 1
+ * @property {Int32Array} targets - Neighbor per edge, ascending per vertex, self excluded
+ * @property {Float64Array} weights - Weight per edge
+ * @property {Float64Array} loops - Self-loop weight per vertex
+ * @property {Float64Array} degrees - Weighted degree; a self-loop counts twice
+ * @property {number} totalWeight - Sum of edge weights, each edge once
+ */
+
+/**
+ * Derives degrees and total weight for a CSR graph.
+ *
+ * @param {Int32Array} offsets
+ * @param {Int32Array} targets
+ * @param {Float64Array} weights
+ * @param {Float64Array} loops
+ * @returns {CommunityGraph}
+ */
+function makeCommunityGraph(offsets, targets, weights, loops) {
+  const size = loops.length;
+  const degrees = new Float64Array(size);
+  let degreeSum = 0;
+  for (let u = 0; u < size; u++) {
+    let degree = 2 * loops[u];
+    for (let e = offsets[u]; e < offsets[u + 1]; e++) {
+      degree += weights[e];
+    }
+    degrees[u] = degree;
+    degreeSum += degree;
+  }
+  return { size, offsets, targets, weights, loops, degrees, totalWeight: degreeSum / 2 };
+}
+
+/**
+ * Builds the unweighted, undirected CommunityGraph of a loaded adjacency:
+ * u and v are joined once if either lists the other.
+ *
+ * @param {string[]} nodeList - Sorted node IDs; vertex i is nodeList[i]
+ * @param {Map<string, string[]>} adjacency
+ * @returns {CommunityGraph}
+ */
+function buildCommunityGraph(nodeList, adjacency) {
+  const size = nodeList.length;
+  const indexOf = new Map(nodeList.map((nodeId, i) => [nodeId, i]));
+  /** @type {number[][]} */
+  const lists = nodeList.map(() => []);
+  const loops = new Float64Array(size);
+  nodeList.forEach((nodeId, u) => {
+    for (const neighborId of /** @type {string[]} */ (adjacency.get(nodeId))) {
+      const v = /** @type {number} */ (indexOf.get(neighborId));
+      if (v === u) {
+        loops[u] = 1;
+      } else {
+        lists[u].push(v);
+        lists[v].push(u);
+      }
+    }
+  });
+
+  const offsets = new Int32Array(size + 1);
+  /** @type {number[]} */
+  const targets = [];
+  for (let u = 0; u < size; u++) {
+    const sorted = lists[u].sort((a, b) => a - b);
+    for (let k = 0; k < sorted.length; k++) {
+      if (k === 0 || sorted[k] !== sorted[k - 1]) {
+        targets.push(sorted[k]);
+      }
+    }
+    offsets[u + 1] = targets.length;
+  }
+  return makeCommunityGraph(offsets, Int32Array.from(targets), new Float64Array(targets.length).fill(1), loops);
+}
+
+/**
+ * Fisher–Yates shuffle of 0 .. size - 1 driven by a seeded generator.
+ *
+ * @param {number} size
+ * @param {() => number} rng
+ * @returns {Int32Array}
+ */
+function shuffledIndices(size, rng) {
+  const order = new Int32Array(size);
+  for (let i = 0; i < size; i++) {
+    order[i] = i;
+  }
+  for (let i = size - 1; i > 0; i--) {
+    const j = Math.floor(rng() * (i + 1));
+    const swap = order[i];
+    order[i] = order[j];
+    order[j] = swap;
+  }
+  return order;
+}
+
+/**
+ * Renumbers vertex labels (each a vertex index) to 0 .. count - 1 in order
+ * of each label's first vertex.
+ *
+ * @param {Int32Array} labels
+ * @returns {{ membership: Int32Array, count: number }}
+ */
+function renumberLabels(labels) {
+  const idOf = new Int32Array(labels.length).fill(-1);
+  const membership = new Int32Array(labels.length);
+  let count = 0;
+  for (let u = 0; u < labels.length; u++) {
+    const label = labels[u];
+    if (idOf[label] === -1) {
+      idOf[label] = count++;
+    }
+    membership[u] = idOf[label];
+  }
+  return { membership, count };
+}
+
+/**
+ * Newman–Girvan modularity of a partition: the sum over communities of
+ * internal weight / m − resolution × (total degree / 2m)².
+ *
+ * @param {CommunityGraph} graph
+ * @param {Int32Array} membership - Community per vertex, 0 .. count - 1
+ * @param {number} count
+ * @param {number} resolution
+ * @returns {number} 0 for a graph without edges
+ */
+function computeModularity(graph, membership, count, resolution) {
+  const m = graph.totalWeight;
+  if (m === 0) {
+    return 0;
+  }
+  const internal = new Float64Array(count);
+  const totals = new Float64Array(count);
+  for (let u = 0; u < graph.size; u++) {
+    const c = membership[u];
+    totals[c] += graph.degrees[u];
+    internal[c] += graph.loops[u];
+    for (let e = graph.offsets[u]; e < graph.offsets[u + 1]; e++) {
+      if (membership[graph.targets[e]] === c) {
+        internal[c] += graph.weights[e] / 2;
+      }
+    }
+  }
+  let modularity = 0;
+  for (let c = 0; c < count; c++) {
+    modularity += internal[c] / m - resolution * (totals[c] / (2 * m)) ** 2;
+  }
+  return modularity;
+}
+
+/**
+ * Asynchronous label propagation (Raghavan et al.). Each round visits the
+ * vertices in a freshly shuffled order; a vertex keeps its label while it
+ * is among the most frequent labels of its neighbors, and otherwise takes
+ * one of those labels, ties broken by the generator. Stops after a round
+ * without changes.
+ *
+ * @param {CommunityGraph} graph
+ * @param {() => number} rng
+ * @param {number} maxIterations
+ * @param {() => void} onProgress - Called every 1000 vertices (cancellation hook)
+ * @returns {{ labels: Int32Array, iterations: number, converged: boolean }}
+ */
+function propagateLabels(graph, rng, maxIterations, onProgress) {
+  const { size, offsets, targets, weights } = graph;
+  const labels = new Int32Array(size);
+  for (let u = 0; u < size; u++) {
+    labels[u] = u;
+  }
+  const votes = new Float64Array(size);
+  /** @type {number[]} */
+  const seen = [];
+  let iterations = 0;
+  let converged = size === 0;
+  while (!converged && iterations < maxIterations) {
+    iterations++;
+    let changed = 0;
+    const order = shuffledIndices(size, rng);
+    for (let i = 0; i < size; i++) {
+      if (i % 1000 === 0) {
+        onProgress();
+      }
+      const u = order[i];
+      if (offsets[u] === offsets[u + 1]) {
+        continue;
+      }
+      seen.length = 0;
+      let top = 0;
+      for (let e = offsets[u]; e < offsets[u + 1]; e++) {
+        const label = labels[targets[e]];
+        if (votes[label] === 0) {
+          seen.push(label);
+        }
+        votes[label] += weights[e];
+        top = Math.max(top, votes[label]);
+      }
+      const candidates = seen.filter((label) => votes[label] === top).sort((a, b) => a - b);
+      for (const label of seen) {
+        votes[label] = 0;
+      }
+      if (candidates.includes(labels[u])) {
+        continue;
+      }
+      labels[u] = candidates.length === 1 ? candidates[0] : candidates[Math.floor(rng() * candidates.length)];
+      changed++;
+    }
+    converged = changed === 0;
+  }
+  return { labels, iterations, converged };
+}
+
+/**
+ * Louvain local moving phase: vertices, visited in shuffled order, move to
+ * the neighboring community with the largest modularity gain until a pass
+ * moves none (or `maxIterations` passes). Ties keep the current community,
+ * then prefer the community met first in neighbor order.
+ *
+ * @param {CommunityGraph} graph - Must have totalWeight > 0
+ * @param {number} resolution
+ * @param {() => number} rng
+ * @param {number} maxIterations
+ * @param {() => void} onProgress - Called every 1000 vertices (cancellation hook)
+ * @returns {Int32Array} Community label (a vertex index) per vertex
+ */
+function moveVertices(graph, resolution, rng, maxIterations, onProgress) {
+  const { size, offsets, targets, weights, degrees } = graph;
+  const community = new Int32Array(size);
+  for (let u = 0; u < size; u++) {
+    community[u] = u;
+  }
+  const totals = Float64Array.from(degrees);
+  const linkWeight = new Float64Array(size);
+  /** @type {number[]} */
+  const seen = [];
+  const twoM = 2 * graph.totalWeight;
+
+  for (let pass = 0; pass < maxIterations; pass++) {
+    let moved = 0;
+    const order = shuffledIndices(size, rng);
+    for (let i = 0; i < size; i++) {
+      if (i % 1000 === 0) {
+        onProgress();
+      }
+      const u = order[i];
+      const own = community[u];
+      const degree = degrees[u];
+      seen.length = 0;
+      for (let e = offsets[u]; e < offsets[u + 1]; e++) {
+        const c = community[targets[e]];
+        if (linkWeight[c] === 0) {
+          seen.push(c);
+        }
+        linkWeight[c] += weights[e];
+      }
+
+      totals[own] -= degree;
+      let best = own;
+      let bestGain = linkWeight[own] - (resolution * totals[own] * degree) / twoM;
+      for (const c of seen) {
+        const gain = linkWeight[c] - (resolution * totals[c] * degree) / twoM;
+        if (gain > bestGain) {
+          best = c;
+          bestGain = gain;
+        }
+      }
+      totals[best] += degree;
+      for (const c of seen) {
+        linkWeight[c] = 0;
+      }
+      if (best !== own) {
+        community[u] = best;
+        moved++;
+      }
+    }
+    if (moved === 0) {
+      break;
+    }
+  }
+  return community;
+}
+
+/**
+ * Louvain aggregation phase: collapses each community into one vertex.
+ * Edges inside a community become its self-loop weight.
+ *
+ * @param {CommunityGraph} graph
+ * @param {Int32Array} membership - Community per vertex, 0 .. count - 1
+ * @param {number} count
+ * @returns {CommunityGraph}
+ */
+function aggregateCommunities(graph, membership, count) {
+  const { size, offsets, targets, weights, loops } = graph;
+  const start = new Int32Array(count + 1);
+  for (let u = 0; u < size; u++) {
+    start[membership[u] + 1]++;
+  }
+  for (let c = 0; c < count; c++) {
+    start[c + 1] += start[c];
+  }
+  const cursor = Int32Array.from(start);
+  const members = new Int32Array(size);
+  for (let u = 0; u < size; u++) {
+    members[cursor[membership[u]]++] = u;
+  }
+
+  const newOffsets = new Int32Array(count + 1);
+  const newLoops = new Float64Array(count);
+  /** @type {number[]} */
+  const newTargets = [];
+  /** @type {number[]} */
+  const newWeights = [];
+  const linkWeight = new Float64Array(count);
+  /** @type {number[]} */
+  const seen = [];
+  for (let c = 0; c < count; c++) {
+    seen.length = 0;
+    for (let p = start[c]; p < start[c + 1]; p++) {
+      const u = members[p];
+      newLoops[c] += loops[u];
+      for (let e = offsets[u]; e < offsets[u + 1]; e++) {
+        const d = membership[targets[e]];
+        if (d === c) {
+          newLoops[c] += weights[e] / 2;
+          continue;
+        }
+        if (linkWeight[d] === 0) {
+          seen.push(d);
+        }
+        linkWeight[d] += weights[e];
+      }
+    }
+    seen.sort((a, b) => a - b);
+    for (const d of seen) {
+      newTargets.push(d);
+      newWeights.push(linkWeight[d]);
+      linkWeight[d] = 0;
+    }
+    newOffsets[c + 1] = newTargets.length;
+  }
+  return makeCommunityGraph(newOffsets, Int32Array.from(newTargets), Float64Array.from(newWeights), newLoops);
+}
+
+/**
+ * Residual network for max-flow in compressed sparse row form. Every
+ * edge is a forward arc paired with a reverse arc of zero capacity.
+ *
+ * @typedef {Object} FlowNetwork
+ * @property {number} size - Vertex count
+ * @property {Int32Array} offsets - Arcs of vertex u are offsets[u] .. offsets[u + 1] - 1
+ * @property {Int32Array} heads - Head vertex of each arc
+ * @property {Int32Array} reverse - Index of each arc's paired arc
+ * @property {Float64Array} residual - Remaining capacity of each arc
+ */
+
+/**
+ * Builds a residual network from edge lists. Arcs leave each vertex in
+ * the order their edges are given.
+ *
+ * @param {number} size - Vertex count
+ * @param {Array<{from: number, to: number, capacity: number}>} edges
+ * @returns {{ network: FlowNetwork, edgeArcs: Int32Array }} The network and each edge's forward arc
+ */
+function buildFlowNetwork(size, edges) {
+  const offsets = new Int32Array(size + 1);
+  for (const { from, to } of edges) {
+    offsets[from + 1]++;
+    offsets[to + 1]++;
+  }
+  for (let u = 0; u < size; u++) {
+    offsets[u + 1] += offsets[u];
+  }
+  const arcCount = offsets[size];
+  const heads = new Int32Array(arcCount);
+  const reverse = new Int32Array(arcCount);
+  const residual = new Float64Array(arcCount);
+  const edgeArcs = new Int32Array(edges.length);
+  const cursor = Int32Array.from(offsets);
+  edges.forEach(({ from, to, capacity }, i) => {
+    const forward = cursor[from]++;
+    const backward = cursor[to]++;
+    heads[forward] = to;
+    heads[backward] = from;
+    reverse[forward] = backward;
+    reverse[backward] = forward;
+    residual[forward] = capacity;
+    edgeArcs[i] = forward;
+  });
+  return { network: { size, offsets, heads, reverse, residual }, edgeArcs };
+}
+
+/**
+ * Dinic's maximum flow: alternates a breadth-first level graph with
+ * blocking flows found by iterative depth-first search. Updates
+ * `network.residual` in place.
+ *
+ * @param {FlowNetwork} network
+ * @param {number} source
+ * @param {number} sink - -1 when the sink is not in the network
+ * @param {() => void} onProgress - Called every 1000 steps
+ * @returns {{ value: number, sourceSide: Uint8Array }}
+ *   The flow value, and 1 for each vertex still reachable from the source in the residual network
+ */
+function dinicMaxFlow(network, source, sink, onProgress) {
+  const { size, offsets, heads, reverse, residual } = network;
+  const level = new Int32Array(size);
+  const next = new Int32Array(size);
+  const queue = new Int32Array(size);
+  const pathArcs = new Int32Array(size);
+  let value = 0;
+  let steps = 0;
+  for (;;) {
+    level.fill(-1);
+    level[source] = 0;
+    queue[0] = source;
+    for (let head = 0, tail = 1; head < tail; head++) {
+      const u = queue[head];
+      for (let a = offsets[u]; a < offsets[u + 1]; a++) {
+        if (residual[a] > 0 && level[heads[a]] < 0) {
+          level[heads[a]] = level[u] + 1;
+          queue[tail++] = heads[a];
+        }
+      }
+    }
+    if (sink < 0 || level[sink] < 0) {
+      return { value, sourceSide: Uint8Array.from(level, (l) => (l >= 0 ? 1 : 0)) };
+    }
+
+    next.set(offsets.subarray(0, size));
+    let depth = 0;
+    let u = source;
+    for (;;) {
+      if (++steps % 1000 === 0) {
+        onProgress();
+      }
+      if (u === sink) {
+        let push = Infinity;
+        for (let i = 0; i < depth; i++) {
+          push = Math.min(push, residual[pathArcs[i]]);
+        }
+        for (let i = 0; i < depth; i++) {
+          residual[pathArcs[i]] -= push;
+          residual[reverse[pathArcs[i]]] += push;
+        }
+        value += push;
+        depth = 0;
+        u = source;
+        continue;
+      }
+      let a = next[u];
+      while (a < offsets[u + 1] && !(residual[a] > 0 && level[heads[a]] === level[u] + 1)) {
+        a++;
+      }
+      next[u] = a;
+      if (a < offsets[u + 1]) {
+        pathArcs[depth++] = a;
+        u = heads[a];
+        continue;
+      }
+      if (u === source) {
+        break;
+      }
+      // Dead end: retreat and skip the arc that led here
+      u = heads[reverse[pathArcs[--depth]]];
+      next[u]++;
+    }
+  }
+}
+
 // ==== Section 1: Configuration & Neighbor Cache ====
 
 export default class GraphTraversal {
@@ -339,7 +1037,7 @@ export default class GraphTraversal {
     return { nodes: result, stats: this._stats(visited.size, rs) };
   }
 
-  // ==== Section 3: Path-Finding (shortestPath, Dijkstra, A*, bidirectional A*) ====
+  // ==== Section 3: Path-Finding (shortestPath, Dijkstra, k-shortest, simple paths, A*, bidirectional A*) ====
 
   /**
    * Unweighted shortest path (BFS-based).
@@ -465,42 +1163,11 @@ export default class GraphTraversal {
     const effectiveWeightFn = this._resolveWeightFn(weightFn, nodeWeightFn);
     const rs = this._newRunStats();
     await this._validateStart(start);
-    /** @type {Map<string, number>} */
-    const dist = new Map([[start, 0]]);
-    /** @type {Map<string, string>} */
-    const prev = new Map();
-    const visited = new Set();
-
-    const pq = new MinHeap({ tieBreaker: lexTieBreaker });
-    pq.insert(start, 0);
-
-    while (!pq.isEmpty() && visited.size < maxNodes) {
-      checkAborted(signal, 'weightedShortestPath');
-
-      const current = /** @type {string} */ (pq.extractMin());
-      if (visited.has(current)) { continue; }
-      visited.add(current);
-
-      if (current === goal) {
-        const path = this._reconstructPath(prev, start, goal);
-        return { path, totalCost: /** @type {number} */ (dist.get(goal)), stats: this._stats(visited.size, rs) };
-      }
-
-      const neighbors = await this._getNeighbors(current, direction, rs, options);
-      rs.edgesTraversed += neighbors.length;
-
-      for (const { neighborId, label } of neighbors) {
-        if (visited.has(neighborId)) { continue; }
-        const w = await effectiveWeightFn(current, neighborId, label);
-        const alt = /** @type {number} */ (dist.get(current)) + w;
-        const best = dist.has(neighborId) ? /** @type {number} */ (dist.get(neighborId)) : Infinity;
-
-        if (alt < best || (alt === best && this._shouldUpdatePredecessor(prev, neighborId, current))) {
-          dist.set(neighborId, alt);
-          prev.set(neighborId, current);
-          pq.insert(neighborId, alt);
-        }
-      }
+    const result = await this._dijkstra({
+      start, goal, direction, options, weightFn: effectiveWeightFn, maxNodes, signal, rs, opName: 'weightedShortestPath',
+    });
+    if (result.path) {
+      return { path: result.path, totalCost: result.totalCost, stats: this._stats(result.visited, rs) };
     }
 
     throw new TraversalError(`No path from ${start} to ${goal}`, {
@@ -510,38 +1177,202 @@ export default class GraphTraversal {
   }
 
   /**
-   * A* search with heuristic guidance.
+   * K shortest loopless paths (Yen's algorithm), cheapest first.
    *
-   * @param {{ start: string, goal: string, direction?: Direction, options?: NeighborOptions, weightFn?: (from: string, to: string, label: string) => number | Promise<number>, nodeWeightFn?: (nodeId: string) => number | Promise<number>, heuristicFn?: (nodeId: string, goalId: string) => number, maxNodes?: number, signal?: AbortSignal }} params
-   * @returns {Promise<{path: string[], totalCost: number, nodesExplored: number, stats: TraversalStats}>}
-   * @throws {TraversalError} code 'NO_PATH' if unreachable
+   * Weights follow the `weightFn` / `nodeWeightFn` contract of
+   * `weightedShortestPath` (uniform 1 by default, so costs are hop counts).
+   * Paths are node sequences: parallel edges with different labels do not
+   * yield distinct paths. Equal-cost paths are ordered by their node IDs,
+   * compared element by element. Returns fewer than `k` paths when fewer
+   * exist, and none when `goal` is unreachable. `maxNodes` bounds each
+   * underlying Dijkstra run.
+   *
+   * @param {{ start: string, goal: string, k?: number, direction?: Direction, options?: NeighborOptions, weightFn?: (from: string, to: string, label: string) => number | Promise<number>, nodeWeightFn?: (nodeId: string) => number | Promise<number>, maxNodes?: number, signal?: AbortSignal }} params
+   * @returns {Promise<{paths: Array<{path: string[], totalCost: number}>, stats: TraversalStats}>}
+   * @throws {TraversalError} code 'INVALID_START' if the start node is missing
+   * @throws {TraversalError} code 'E_INVALID_K' if k is not a positive integer
    * @throws {TraversalError} code 'E_WEIGHT_FN_CONFLICT' if both weightFn and nodeWeightFn provided
    */
-  async aStarSearch({
-    start, goal, direction = 'out', options,
+  async kShortestPaths({
+    start, goal, k = 1, direction = 'out', options,
     weightFn, nodeWeightFn,
-    heuristicFn = () => 0,
     maxNodes = DEFAULT_MAX_NODES,
     signal,
   }) {
+    if (!Number.isInteger(k) || k < 1) {
+      throw new TraversalError(`k must be a positive integer, got ${k}`, {
+        code: 'E_INVALID_K',
+        context: { k },
+      });
+    }
     const effectiveWeightFn = this._resolveWeightFn(weightFn, nodeWeightFn);
     const rs = this._newRunStats();
     await this._validateStart(start);
-    /** @type {Map<string, number>} */
-    const gScore = new Map([[start, 0]]);
-    /** @type {Map<string, string>} */
-    const prev = new Map();
-    const visited = new Set();
-
-    const pq = new MinHeap({ tieBreaker: lexTieBreaker });
-    pq.insert(start, heuristicFn(start, goal));
+    let visited = 0;
+    /** @param {{ start: string, blockedNodes?: Set<string>, blockedEdges?: Set<string> }} run */
+    const search = async (run) => {
+      const result = await this._dijkstra({
+        ...run, goal, direction, options, weightFn: effectiveWeightFn, maxNodes, signal, rs, opName: 'kShortestPaths',
+      });
+      visited += result.visited;
+      return result;
+    };
 
-    while (!pq.isEmpty() && visited.size < maxNodes) {
-      checkAborted(signal, 'aStarSearch');
+    const first = await search({ start });
+    if (!first.path) {
+      return { paths: [], stats: this._stats(visited, rs) };
+    }
+    /** @type {Array<{path: string[], costs: number[]}>} */
+    const accepted = [{ path: first.path, costs: first.costs }];
+    /** @type {Array<{path: string[], costs: number[]}>} */
+    const candidates = [];
+    const seen = new Set([first.path.join('\0')]);
+
+    while (accepted.length < k) {
+      const { path: prevPath, costs: prevCosts } = accepted[accepted.length - 1];
+      for (let i = 0; i < prevPath.length - 1; i++) {
+        const root = prevPath.slice(0, i + 1);
+        /** @type {Set<string>} */
+        const blockedEdges = new Set();
+        for (const { path } of accepted) {
+          if (path.length > i + 1 && root.every((nodeId, j) => path[j] === nodeId)) {
+            blockedEdges.add(`${path[i]}\0${path[i + 1]}`);
+          }
+        }
+        const spur = await search({ start: root[i], blockedNodes: new Set(root.slice(0, i)), blockedEdges });
+        if (!spur.path) {
+          continue;
+        }
+        const path = [...root.slice(0, i), ...spur.path];
+        const key = path.join('\0');
+        if (!seen.has(key)) {
+          seen.add(key);
+          candidates.push({ path, costs: [...prevCosts.slice(0, i), ...spur.costs.map((c) => c + prevCosts[i])] });
+        }
+      }
+      if (candidates.length === 0) {
+        break;
+      }
+      let best = 0;
+      for (let c = 1; c < candidates.length; c++) {
+        if (comparePathCandidates(candidates[c], candidates[best]) < 0) {
+          best = c;
+        }
+      }
+      accepted.push(candidates[best]);
+      candidates.splice(best, 1);
+    }
 
-      const current = /** @type {string} */ (pq.extractMin());
-      if (visited.has(current)) { continue; }
-      visited.add(current);
+    return {
+      paths: accepted.map(({ path, costs }) => ({ path, totalCost: costs[costs.length - 1] })),
+      stats: this._stats(visited, rs),
+    };
+  }
+
+  /**
+   * Enumerates simple paths (no repeated node) from `start` to `goal` by
+   * iterative depth-first search, yielding each as it is found.
+   *
+   * Neighbors are explored in ascending node ID order, so paths come in
+   * lexicographic order of their node IDs; parallel edges with different
+   * labels do not yield distinct paths. `maxDepth` bounds the path length
+   * in edges and `maxPaths` the number of paths yielded. When
+   * `start === goal` the single path `[start]` is yielded.
+   *
+   * @param {{ start: string, goal: string, direction?: Direction, options?: NeighborOptions, maxDepth?: number, maxPaths?: number, signal?: AbortSignal }} params
+   * @returns {AsyncGenerator<string[], void, undefined>}
+   * @throws {TraversalError} code 'INVALID_START' if the start node is missing
+   */
+  async *allSimplePaths({
+    start, goal, direction = 'out', options,
+    maxDepth = DEFAULT_MAX_DEPTH,
+    maxPaths = 1000,
+    signal,
+  }) {
+    const rs = this._newRunStats();
+    await this._validateStart(start);
+    if (maxPaths < 1) {
+      return;
+    }
+    if (start === goal) {
+      yield [start];
+      return;
+    }
+
+    /** @param {string} nodeId */
+    const neighborIdsOf = async (nodeId) => {
+      const neighbors = await this._getNeighbors(nodeId, direction, rs, options);
+      rs.edgesTraversed += neighbors.length;
+      return [...new Set(neighbors.map(({ neighborId }) => neighborId))];
+    };
+
+    const path = [start];
+    const onPath = new Set(path);
+    const frames = [{ neighborIds: await neighborIdsOf(start), next: 0 }];
+    let yielded = 0;
+    let steps = 0;
+    while (frames.length > 0) {
+      if (++steps % 1000 === 0) {
+        checkAborted(signal, 'allSimplePaths');
+      }
+      const frame = frames[frames.length - 1];
+      if (frame.next >= frame.neighborIds.length) {
+        frames.pop();
+        onPath.delete(/** @type {string} */ (path.pop()));
+        continue;
+      }
+      const neighborId = frame.neighborIds[frame.next++];
+      if (onPath.has(neighborId)) {
+        continue;
+      }
+      if (neighborId === goal) {
+        yield [...path, goal];
+        if (++yielded >= maxPaths) {
+          return;
+        }
+        continue;
+      }
+      if (path.length < maxDepth) {
+        path.push(neighborId);
+        onPath.add(neighborId);
+        frames.push({ neighborIds: await neighborIdsOf(neighborId), next: 0 });
+      }
+    }
+  }
+
+  /**
+   * A* search with heuristic guidance.
+   *
+   * @param {{ start: string, goal: string, direction?: Direction, options?: NeighborOptions, weightFn?: (from: string, to: string, label: string) => number | Promise<number>, nodeWeightFn?: (nodeId: string) => number | Promise<number>, heuristicFn?: (nodeId: string, goalId: string) => number, maxNodes?: number, signal?: AbortSignal }} params
+   * @returns {Promise<{path: string[], totalCost: number, nodesExplored: number, stats: TraversalStats}>}
+   * @throws {TraversalError} code 'NO_PATH' if unreachable
+   * @throws {TraversalError} code 'E_WEIGHT_FN_CONFLICT' if both weightFn and nodeWeightFn provided
+   */
+  async aStarSearch({
+    start, goal, direction = 'out', options,
+    weightFn, nodeWeightFn,
+    heuristicFn = () => 0,
+    maxNodes = DEFAULT_MAX_NODES,
+    signal,
+  }) {
+    const effectiveWeightFn = this._resolveWeightFn(weightFn, nodeWeightFn);
+    const rs = this._newRunStats();
+    await this._validateStart(start);
+    /** @type {Map<string, number>} */
+    const gScore = new Map([[start, 0]]);
+    /** @type {Map<string, string>} */
+    const prev = new Map();
+    const visited = new Set();
+
+    const pq = new MinHeap({ tieBreaker: lexTieBreaker });
+    pq.insert(start, heuristicFn(start, goal));
+
+    while (!pq.isEmpty() && visited.size < maxNodes) {
+      checkAborted(signal, 'aStarSearch');
+
+      const current = /** @type {string} */ (pq.extractMin());
+      if (visited.has(current)) { continue; }
+      visited.add(current);
 
       if (current === goal) {
         const path = this._reconstructPath(prev, start, goal);
@@ -1443,8 +2274,733 @@ export default class GraphTraversal {
     return { edges, stats: this._stats(nodesVisited, rs) };
   }
 
+  // ==== Section 6: Centrality (PageRank, degree, closeness, betweenness) ====
+
+  /**
+   * PageRank by power iteration, optionally personalized.
+   *
+   * Rank flows along edges in `direction` ('out' ranks the nodes many
+   * others point at). Each iteration a node keeps `1 - damping` of its
+   * teleport share and passes `damping` of its rank evenly to its
+   * neighbors; the rank of nodes without neighbors is spread by the
+   * teleport vector. The teleport vector is uniform, or proportional to
+   * `personalization` when given. Iteration stops when the summed absolute
+   * change drops below `tolerance × nodeCount` or after `maxIterations`.
+   *
+   * Scores sum to 1 and cover the nodes reachable from `start`.
+   *
+   * @param {{ start: string | string[], direction?: Direction, options?: NeighborOptions, damping?: number, tolerance?: number, maxIterations?: number, personalization?: Record<string, number>, maxNodes?: number, signal?: AbortSignal }} params
+   * @returns {Promise<{scores: Map<string, number>, iterations: number, converged: boolean, stats: TraversalStats}>}
+   *   Scores keyed by node ID in sorted order, the iterations run, and whether they converged
+   * @throws {TraversalError} code 'INVALID_START' if a start node is missing
+   * @throws {TraversalError} code 'E_INVALID_DAMPING' if damping is outside [0, 1]
+   * @throws {TraversalError} code 'E_INVALID_PERSONALIZATION' if a weight is negative or not finite,
+   *   or no discovered node has a positive weight
+   */
+  async pageRank({
+    start, direction = 'out', options,
+    damping = 0.85,
+    tolerance = 1e-6,
+    maxIterations = 100,
+    personalization,
+    maxNodes = DEFAULT_MAX_NODES,
+    signal,
+  }) {
+    if (!(damping >= 0 && damping <= 1)) {
+      throw new TraversalError(`damping must be between 0 and 1, got ${damping}`, {
+        code: 'E_INVALID_DAMPING',
+        context: { damping },
+      });
+    }
+    const rs = this._newRunStats();
+    const { nodeList, adjacency } = await this._loadAnalysisGraph({
+      start, direction, options, maxNodes, signal, rs, opName: 'pageRank',
+    });
+    const teleport = buildTeleportVector(nodeList, personalization);
+
+    let rank = new Map(teleport);
+    let iterations = 0;
+    let converged = nodeList.length === 0;
+    while (!converged && iterations < maxIterations) {
+      checkAborted(signal, 'pageRank');
+      iterations++;
+      /** @type {Map<string, number>} */
+      const next = new Map(nodeList.map((nodeId) => [nodeId, 0]));
+      let danglingRank = 0;
+      for (const nodeId of nodeList) {
+        const score = /** @type {number} */ (rank.get(nodeId));
+        const neighborIds = /** @type {string[]} */ (adjacency.get(nodeId));
+        if (neighborIds.length === 0) {
+          danglingRank += score;
+          continue;
+        }
+        const share = (damping * score) / neighborIds.length;
+        for (const neighborId of neighborIds) {
+          next.set(neighborId, /** @type {number} */ (next.get(neighborId)) + share);
+        }
+      }
+
+      const teleportMass = 1 - damping + damping * danglingRank;
+      let change = 0;
+      for (const nodeId of nodeList) {
+        const score = /** @type {number} */ (next.get(nodeId)) + teleportMass * /** @type {number} */ (teleport.get(nodeId));
+        change += Math.abs(score - /** @type {number} */ (rank.get(nodeId)));
+        next.set(nodeId, score);
+      }
+      rank = next;
+      converged = change < tolerance * nodeList.length;
+    }
+
+    return { scores: rank, iterations, converged, stats: this._stats(nodeList.length, rs) };
+  }
+
+  /**
+   * Degree centrality: each node's count of distinct neighbors in
+   * `direction`, self-loops excluded. Normalized scores (the default)
+   * divide by `nodeCount - 1`.
+   *
+   * @param {{ start: string | string[], direction?: Direction, options?: NeighborOptions, normalized?: boolean, maxNodes?: number, signal?: AbortSignal }} params
+   * @returns {Promise<{scores: Map<string, number>, stats: TraversalStats}>}
+   * @throws {TraversalError} code 'INVALID_START' if a start node is missing
+   */
+  async degreeCentrality({
+    start, direction = 'out', options,
+    normalized = true,
+    maxNodes = DEFAULT_MAX_NODES,
+    signal,
+  }) {
+    const rs = this._newRunStats();
+    const { nodeList, adjacency } = await this._loadAnalysisGraph({
+      start, direction, options, maxNodes, signal, rs, opName: 'degreeCentrality',
+    });
+    const scale = normalized && nodeList.length > 1 ? 1 / (nodeList.length - 1) : 1;
+
+    /** @type {Map<string, number>} */
+    const scores = new Map();
+    for (const nodeId of nodeList) {
+      const neighborIds = /** @type {string[]} */ (adjacency.get(nodeId));
+      scores.set(nodeId, neighborIds.filter((id) => id !== nodeId).length * scale);
+    }
+    return { scores, stats: this._stats(nodeList.length, rs) };
+  }
+
+  /**
+   * Closeness centrality with the Wasserman–Faust correction for graphs
+   * that are not strongly connected: `(r / (n - 1)) × (r / d)`, where `r`
+   * is the number of nodes reachable from the node in `direction`, `d` the
+   * sum of their hop distances, and `n` the node count. Nodes that reach
+   * nothing score 0.
+   *
+   * Runs one BFS per node: O(V·E).
+   *
+   * @param {{ start: string | string[], direction?: Direction, options?: NeighborOptions, maxNodes?: number, signal?: AbortSignal }} params
+   * @returns {Promise<{scores: Map<string, number>, stats: TraversalStats}>}
+   * @throws {TraversalError} code 'INVALID_START' if a start node is missing
+   */
+  async closenessCentrality({
+    start, direction = 'out', options,
+    maxNodes = DEFAULT_MAX_NODES,
+    signal,
+  }) {
+    const rs = this._newRunStats();
+    const { nodeList, adjacency } = await this._loadAnalysisGraph({
+      start, direction, options, maxNodes, signal, rs, opName: 'closenessCentrality',
+    });
+
+    /** @type {Map<string, number>} */
+    const scores = new Map();
+    for (const source of nodeList) {
+      checkAborted(signal, 'closenessCentrality');
+      const { reached, totalDistance } = sumHopDistances(source, adjacency);
+      scores.set(source, totalDistance > 0
+        ? (reached / (nodeList.length - 1)) * (reached / totalDistance)
+        : 0);
+    }
+    return { scores, stats: this._stats(nodeList.length, rs) };
+  }
+
+  /**
+   * Betweenness centrality (Brandes): for each node, the share of shortest
+   * paths between other pairs of nodes that pass through it. Paths follow
+   * `direction`; with 'both' each unordered pair is counted once.
+   * Normalized scores (the default) divide by the number of ordered pairs
+   * of other nodes, `(n - 1)(n - 2)`, so they fall in [0, 1].
+   *
+   * Runs one BFS per node: O(V·E).
+   *
+   * @param {{ start: string | string[], direction?: Direction, options?: NeighborOptions, normalized?: boolean, maxNodes?: number, signal?: AbortSignal }} params
+   * @returns {Promise<{scores: Map<string, number>, stats: TraversalStats}>}
+   * @throws {TraversalError} code 'INVALID_START' if a start node is missing
+   */
+  async betweennessCentrality({
+    start, direction = 'out', options,
+    normalized = true,
+    maxNodes = DEFAULT_MAX_NODES,
+    signal,
+  }) {
+    const rs = this._newRunStats();
+    const { nodeList, adjacency } = await this._loadAnalysisGraph({
+      start, direction, options, maxNodes, signal, rs, opName: 'betweennessCentrality',
+    });
+
+    /** @type {Map<string, number>} */
+    const scores = new Map(nodeList.map((nodeId) => [nodeId, 0]));
+    for (const source of nodeList) {
+      checkAborted(signal, 'betweennessCentrality');
+      accumulateDependencies(source, adjacency, scores);
+    }
+
+    const n = nodeList.length;
+    let scale = direction === 'both' ? 0.5 : 1;
+    if (normalized) {
+      scale = n > 2 ? 1 / ((n - 1) * (n - 2)) : 0;
+    }
+    for (const nodeId of nodeList) {
+      scores.set(nodeId, /** @type {number} */ (scores.get(nodeId)) * scale);
+    }
+    return { scores, stats: this._stats(n, rs) };
+  }
+
+  // ==== Section 7: Strongly Connected Components & Cycles ====
+
+  /**
+   * Strongly connected components (iterative Tarjan) of the nodes reachable
+   * from `start` along outgoing edges.
+   *
+   * Components are listed in topological order of the condensation: a
+   * component comes before every component it has edges into. Each
+   * component's node IDs are sorted. A node on no cycle forms a component
+   * of its own.
+   *
+   * @param {{ start: string | string[], options?: NeighborOptions, maxNodes?: number, signal?: AbortSignal }} params
+   * @returns {Promise<{components: string[][], stats: TraversalStats}>}
+   * @throws {TraversalError} code 'INVALID_START' if a start node is missing
+   */
+  async stronglyConnectedComponents({
+    start, options,
+    maxNodes = DEFAULT_MAX_NODES,
+    signal,
+  }) {
+    const rs = this._newRunStats();
+    const { nodeList, adjacency } = await this._loadAnalysisGraph({
+      start, direction: 'out', options, maxNodes, signal, rs, opName: 'stronglyConnectedComponents',
+    });
+    const components = findStrongComponents(nodeList, adjacency, () => checkAborted(signal, 'stronglyConnectedComponents'));
+    return { components, stats: this._stats(nodeList.length, rs) };
+  }
+
+  /**
+   * Condensation DAG: collapses each strongly connected component into a
+   * single vertex. Vertices are indices into `components`, which are in
+   * topological order, so every edge has `from < to`.
+   *
+   * @param {{ start: string | string[], options?: NeighborOptions, maxNodes?: number, signal?: AbortSignal }} params
+   * @returns {Promise<{components: string[][], componentOf: Map<string, number>, edges: Array<{from: number, to: number}>, stats: TraversalStats}>}
+   *   Components, each node's component index, and the DAG's edges sorted by (from, to)
+   * @throws {TraversalError} code 'INVALID_START' if a start node is missing
+   */
+  async condensation({
+    start, options,
+    maxNodes = DEFAULT_MAX_NODES,
+    signal,
+  }) {
+    const rs = this._newRunStats();
+    const { nodeList, adjacency } = await this._loadAnalysisGraph({
+      start, direction: 'out', options, maxNodes, signal, rs, opName: 'condensation',
+    });
+    const components = findStrongComponents(nodeList, adjacency, () => checkAborted(signal, 'condensation'));
+
+    /** @type {Map<string, number>} */
+    const componentOf = new Map();
+    components.forEach((component, index) => {
+      for (const nodeId of component) {
+        componentOf.set(nodeId, index);
+      }
+    });
+
+    /** @type {Array<{from: number, to: number}>} */
+    const edges = [];
+    components.forEach((component, from) => {
+      /** @type {Set<number>} */
+      const targets = new Set();
+      for (const nodeId of component) {
+        for (const neighborId of /** @type {string[]} */ (adjacency.get(nodeId))) {
+          const to = /** @type {number} */ (componentOf.get(neighborId));
+          if (to !== from) {
+            targets.add(to);
+          }
+        }
+      }
+      for (const to of [...targets].sort((a, b) => a - b)) {
+        edges.push({ from, to });
+      }
+    });
+
+    return {
+      components,
+      componentOf: new Map([...componentOf].sort(([a], [b]) => (a < b ? -1 : a > b ? 1 : 0))),
+      edges,
+      stats: this._stats(nodeList.length, rs),
+    };
+  }
+
+  /**
+   * Enumerates elementary cycles among the nodes reachable from `start`
+   * along outgoing edges.
+   *
+   * Each cycle is reported once, as the node IDs along it starting from its
+   * lexicographically smallest node, without repeating that node at the end
+   * (`['a', 'b']` is a → b → a; a self-loop is `['a']`). Cycles are found
+   * per strongly connected component with an iterative depth-first search,
+   * in order of their first node and then of neighbor IDs.
+   *
+   * A graph can hold exponentially many cycles: the search stops after
+   * `maxCycles`, and `maxLength` bounds the cycle length (in edges), which
+   * also bounds the search.
+   *
+   * @param {{ start: string | string[], options?: NeighborOptions, maxCycles?: number, maxLength?: number, maxNodes?: number, signal?: AbortSignal }} params
+   * @returns {Promise<{cycles: string[][], truncated: boolean, stats: TraversalStats}>}
+   *   Cycles found, and whether more cycles exist beyond maxCycles
+   * @throws {TraversalError} code 'INVALID_START' if a start node is missing
+   */
+  async findCycles({
+    start, options,
+    maxCycles = 100,
+    maxLength = Infinity,
+    maxNodes = DEFAULT_MAX_NODES,
+    signal,
+  }) {
+    const rs = this._newRunStats();
+    const { nodeList, adjacency } = await this._loadAnalysisGraph({
+      start, direction: 'out', options, maxNodes, signal, rs, opName: 'findCycles',
+    });
+    const components = findStrongComponents(nodeList, adjacency, () => checkAborted(signal, 'findCycles'));
+    /** @type {Map<string, number>} */
+    const componentOf = new Map();
+    components.forEach((component, index) => {
+      for (const nodeId of component) {
+        componentOf.set(nodeId, index);
+      }
+    });
+
+    /** @type {string[][]} */
+    const cycles = [];
+    let steps = 0;
+    for (const root of nodeList) {
+      const rootComponent = componentOf.get(root);
+      const path = [root];
+      const onPath = new Set(path);
+      const frames = [{ nodeId: root, next: 0 }];
+      while (frames.length > 0) {
+        if (++steps % 1000 === 0) {
+          checkAborted(signal, 'findCycles');
+        }
+        const frame = frames[frames.length - 1];
+        const neighborIds = /** @type {string[]} */ (adjacency.get(frame.nodeId));
+        if (frame.next >= neighborIds.length) {
+          frames.pop();
+          onPath.delete(/** @type {string} */ (path.pop()));
+          continue;
+        }
+        const w = neighborIds[frame.next++];
+        if (w === root) {
+          if (cycles.length === maxCycles) {
+            return { cycles, truncated: true, stats: this._stats(nodeList.length, rs) };
+          }
+          cycles.push([...path]);
+        } else if (w > root && componentOf.get(w) === rootComponent && !onPath.has(w) && path.length < maxLength) {
+          path.push(w);
+          onPath.add(w);
+          frames.push({ nodeId: w, next: 0 });
+        }
+      }
+    }
+    return { cycles, truncated: false, stats: this._stats(nodeList.length, rs) };
+  }
+
+  // ==== Section 8: Community Detection (label propagation, Louvain) ====
+
+  /**
+   * Community detection by seeded asynchronous label propagation over the
+   * nodes reachable from `start`, with edges treated as undirected.
+   *
+   * Every node starts in its own community and repeatedly adopts the most
+   * frequent community among its neighbors, visiting nodes in an order
+   * shuffled by `seed`; ties are broken by the same generator. Stops once
+   * every node already holds one of its neighbors' most frequent
+   * communities, or after `maxIterations` rounds.
+   *
+   * @param {{ start: string | string[], options?: NeighborOptions, seed?: number, maxIterations?: number, maxNodes?: number, signal?: AbortSignal }} params
+   * @returns {Promise<{communities: Map<string, number>, count: number, modularity: number, iterations: number, converged: boolean, stats: TraversalStats}>}
+   *   Community per node ID in sorted order, numbered by smallest member; the community count and modularity
+   * @throws {TraversalError} code 'INVALID_START' if a start node is missing
+   */
+  async labelPropagation({
+    start, options,
+    seed = 0,
+    maxIterations = 100,
+    maxNodes = DEFAULT_MAX_NODES,
+    signal,
+  }) {
+    const rs = this._newRunStats();
+    const { nodeList, adjacency } = await this._loadAnalysisGraph({
+      start, direction: 'both', options, maxNodes, signal, rs, opName: 'labelPropagation',
+    });
+    const graph = buildCommunityGraph(nodeList, adjacency);
+    const { labels, iterations, converged } = propagateLabels(
+      graph, mulberry32(seed), maxIterations, () => checkAborted(signal, 'labelPropagation'),
+    );
+    const { membership, count } = renumberLabels(labels);
+    return {
+      communities: new Map(nodeList.map((nodeId, u) => [nodeId, membership[u]])),
+      count,
+      modularity: computeModularity(graph, membership, count, 1),
+      iterations,
+      converged,
+      stats: this._stats(nodeList.length, rs),
+    };
+  }
+
+  /**
+   * Community detection by Louvain modularity optimization over the nodes
+   * reachable from `start`, with edges treated as undirected.
+   *
+   * Alternates local moving — each node, in an order shuffled by `seed`,
+   * joins the neighboring community that most increases modularity — with
+   * collapsing every community into a single node, until a level moves no
+   * node. `maxIterations` bounds the local-moving passes per level. Higher
+   * `resolution` yields more, smaller communities.
+   *
+   * @param {{ start: string | string[], options?: NeighborOptions, seed?: number, resolution?: number, maxIterations?: number, maxNodes?: number, signal?: AbortSignal }} params
+   * @returns {Promise<{communities: Map<string, number>, count: number, modularity: number, levels: number, stats: TraversalStats}>}
+   *   Community per node ID in sorted order, numbered by smallest member; the community count,
+   *   modularity at `resolution`, and the number of aggregation levels
+   * @throws {TraversalError} code 'INVALID_START' if a start node is missing
+   * @throws {TraversalError} code 'E_INVALID_RESOLUTION' if resolution is not a positive finite number
+   */
+  async louvain({
+    start, options,
+    seed = 0,
+    resolution = 1,
+    maxIterations = 100,
+    maxNodes = DEFAULT_MAX_NODES,
+    signal,
+  }) {
+    if (!(typeof resolution === 'number' && Number.isFinite(resolution) && resolution > 0)) {
+      throw new TraversalError(`resolution must be a positive finite number, got ${resolution}`, {
+        code: 'E_INVALID_RESOLUTION',
+        context: { resolution },
+      });
+    }
+    const rs = this._newRunStats();
+    const { nodeList, adjacency } = await this._loadAnalysisGraph({
+      start, direction: 'both', options, maxNodes, signal, rs, opName: 'louvain',
+    });
+    const base = buildCommunityGraph(nodeList, adjacency);
+    const rng = mulberry32(seed);
+    const onProgress = () => checkAborted(signal, 'louvain');
+
+    const membership = new Int32Array(base.size);
+    for (let u = 0; u < base.size; u++) {
+      membership[u] = u;
+    }
+    let levels = 0;
+    let graph = base;
+    while (graph.totalWeight > 0) {
+      const level = renumberLabels(moveVertices(graph, resolution, rng, maxIterations, onProgress));
+      if (level.count === graph.size) {
+        break;
+      }
+      levels++;
+      for (let u = 0; u < base.size; u++) {
+        membership[u] = level.membership[membership[u]];
+      }
+      graph = aggregateCommunities(graph, level.membership, level.count);
+    }
+    const { membership: final, count } = renumberLabels(membership);
+
+    return {
+      communities: new Map(nodeList.map((nodeId, u) => [nodeId, final[u]])),
+      count,
+      modularity: computeModularity(base, final, count, resolution),
+      levels,
+      stats: this._stats(nodeList.length, rs),
+    };
+  }
+
+  // ==== Section 9: Flow (max-flow, min-cut) ====
+
+  /**
+   * Maximum flow from `source` to `sink` along outgoing edges (Dinic's
+   * algorithm).
+   *
+   * Each edge's capacity comes from `capacityFn(from, to, label)`, or
+   * from the numeric edge property `capacityKey` read through
+   * `getEdgeProps`; an edge without that property has capacity 0. With
+   * neither, every edge has capacity 1 and the flow counts edge-disjoint
+   * paths. Parallel edges with different labels are separate edges, and
+   * self-loops carry no flow. The flow is 0 when `sink` is unreachable.
+   *
+   * @param {{ source: string, sink: string, options?: NeighborOptions, capacityFn?: (from: string, to: string, label: string) => number | Promise<number>, capacityKey?: string, getEdgeProps?: (from: string, to: string, label: string) => Promise<Record<string, unknown> | null>, maxNodes?: number, signal?: AbortSignal }} params
+   * @returns {Promise<{maxFlow: number, flows: Array<{from: string, to: string, label: string, flow: number}>, stats: TraversalStats}>}
+   *   The flow value, and every edge carrying flow sorted by (from, to, label)
+   * @throws {TraversalError} code 'INVALID_START' if the source node is missing
+   * @throws {TraversalError} code 'E_SOURCE_IS_SINK' if source and sink are the same node
+   * @throws {TraversalError} code 'E_CAPACITY_SOURCE' if both capacityFn and capacityKey are given, or capacityKey without getEdgeProps
+   * @throws {TraversalError} code 'E_INVALID_CAPACITY' if a capacity is not a finite non-negative number
+   */
+  async maxFlow({
+    source, sink, options,
+    capacityFn, capacityKey, getEdgeProps,
+    maxNodes = DEFAULT_MAX_NODES,
+    signal,
+  }) {
+    const { edges, network, edgeArcs, value, stats } = await this._solveMaxFlow({
+      source, sink, options, capacityFn, capacityKey, getEdgeProps, maxNodes, signal, opName: 'maxFlow',
+    });
+    /** @type {Array<{from: string, to: string, label: string, flow: number}>} */
+    const flows = [];
+    edges.forEach(({ from, to, label, capacity }, i) => {
+      const flow = capacity - network.residual[edgeArcs[i]];
+      if (flow > 0) {
+        flows.push({ from, to, label, flow });
+      }
+    });
+    return { maxFlow: value, flows, stats };
+  }
+
+  /**
+   * Minimum `source`–`sink` cut, from the maximum flow of `maxFlow`
+   * (same capacity rules).
+   *
+   * `sourceSide` is the set of nodes still reachable from `source` once
+   * the maximum flow is pushed; `cut` lists the edges from it to the other
+   * nodes, whose capacities sum to the maximum flow. These are the
+   * bottleneck edges closest to `source`.
+   *
+   * @param {{ source: string, sink: string, options?: NeighborOptions, capacityFn?: (from: string, to: string, label: string) => number | Promise<number>, capacityKey?: string, getEdgeProps?: (from: string, to: string, label: string) => Promise<Record<string, unknown> | null>, maxNodes?: number, signal?: AbortSignal }} params
+   * @returns {Promise<{capacity: number, cut: Array<{from: string, to: string, label: string, capacity: number}>, sourceSide: string[], stats: TraversalStats}>}
+   *   The cut capacity, its edges sorted by (from, to, label), and the sorted source-side node IDs
+   * @throws {TraversalError} code 'INVALID_START' if the source node is missing
+   * @throws {TraversalError} code 'E_SOURCE_IS_SINK' if source and sink are the same node
+   * @throws {TraversalError} code 'E_CAPACITY_SOURCE' if both capacityFn and capacityKey are given, or capacityKey without getEdgeProps
+   * @throws {TraversalError} code 'E_INVALID_CAPACITY' if a capacity is not a finite non-negative number
+   */
+  async minCut({
+    source, sink, options,
+    capacityFn, capacityKey, getEdgeProps,
+    maxNodes = DEFAULT_MAX_NODES,
+    signal,
+  }) {
+    const { nodeList, edges, value, sourceSide, stats } = await this._solveMaxFlow({
+      source, sink, options, capacityFn, capacityKey, getEdgeProps, maxNodes, signal, opName: 'minCut',
+    });
+    const inSource = new Set(nodeList.filter((_, u) => sourceSide[u] === 1));
+    return {
+      capacity: value,
+      cut: edges
+        .filter(({ from, to }) => inSource.has(from) && !inSource.has(to))
+        .map(({ from, to, label, capacity }) => ({ from, to, label, capacity })),
+      sourceSide: [...inSource],
+      stats,
+    };
+  }
+
   // ==== Private Helpers ====
 
+  /**
+   * Discovers the node set a whole-graph analysis (centrality, strongly
+   * connected components, cycles, communities) runs over and loads its neighbor lists.
+   *
+   * Nodes are discovered breadth-first from the sorted starts; discovery
+   * stops adding nodes once `maxNodes` are known. Each neighbor list holds
+   * distinct neighbor IDs (parallel edges with different labels count once)
+   * inside the discovered set, in provider order.
+   *
+   * @param {{ start: string | string[], direction: Direction, options?: NeighborOptions, maxNodes: number, signal?: AbortSignal, rs: RunStats, opName: string }} params
+   * @returns {Promise<{ nodeList: string[], adjacency: Map<string, string[]> }>}
+   * @throws {TraversalError} code 'INVALID_START' if a start node is missing
+   * @private
+   */
+  async _loadAnalysisGraph({
+    start, direction, options, maxNodes, signal, rs, opName,
+  }) {
+    const starts = [...new Set(Array.isArray(start) ? start : [start])].sort();
+    for (const s of starts) {
+      await this._validateStart(s);
+    }
+
+    const discovered = new Set(starts.slice(0, maxNodes));
+    const queue = [...discovered];
+    /** @type {Map<string, string[]>} */
+    const loaded = new Map();
+    for (let qHead = 0; qHead < queue.length; qHead++) {
+      if (qHead % 1000 === 0) {
+        checkAborted(signal, opName);
+      }
+      const nodeId = queue[qHead];
+      const neighbors = await this._getNeighbors(nodeId, direction, rs, options);
+      rs.edgesTraversed += neighbors.length;
+      const neighborIds = [...new Set(neighbors.map(({ neighborId }) => neighborId))];
+      for (const neighborId of neighborIds) {
+        if (!discovered.has(neighborId) && discovered.size < maxNodes) {
+          discovered.add(neighborId);
+          queue.push(neighborId);
+        }
+      }
+      loaded.set(nodeId, neighborIds);
+    }
+
+    const nodeList = [...discovered].sort();
+    /** @type {Map<string, string[]>} */
+    const adjacency = new Map();
+    for (const nodeId of nodeList) {
+      const neighborIds = /** @type {string[]} */ (loaded.get(nodeId));
+      adjacency.set(nodeId, neighborIds.filter((id) => discovered.has(id)));
+    }
+    return { nodeList, adjacency };
+  }
+
+  /**
+   * Dijkstra from `start` to `goal` with the tie-breaking rules of the
+   * module header, skipping `blockedNodes` and `blockedEdges` (keys
+   * `${from}\0${to}`). Shared by weightedShortestPath and kShortestPaths.
+   *
+   * @param {{ start: string, goal: string, direction: Direction, options?: NeighborOptions, weightFn: (from: string, to: string, label: string) => number | Promise<number>, blockedNodes?: Set<string>, blockedEdges?: Set<string>, maxNodes: number, signal?: AbortSignal, rs: RunStats, opName: string }} params
+   * @returns {Promise<{path: string[], totalCost: number, costs: number[], visited: number} | {path: null, visited: number}>}
+   *   The path with its cost and the cost to reach each node on it, or a null path when unreachable
+   * @private
+   */
+  async _dijkstra({
+    start, goal, direction, options, weightFn,
+    blockedNodes, blockedEdges,
+    maxNodes, signal, rs, opName,
+  }) {
+    /** @type {Map<string, number>} */
+    const dist = new Map([[start, 0]]);
+    /** @type {Map<string, string>} */
+    const prev = new Map();
+    const visited = new Set();
+
+    const pq = new MinHeap({ tieBreaker: lexTieBreaker });
+    pq.insert(start, 0);
+
+    while (!pq.isEmpty() && visited.size < maxNodes) {
+      checkAborted(signal, opName);
+
+      const current = /** @type {string} */ (pq.extractMin());
+      if (visited.has(current)) { continue; }
+      visited.add(current);
+
+      if (current === goal) {
+        const path = this._reconstructPath(prev, start, goal);
+        const costs = path.map((nodeId) => /** @type {number} */ (dist.get(nodeId)));
+        return { path, totalCost: costs[costs.length - 1], costs, visited: visited.size };
+      }
+
+      const neighbors = await this._getNeighbors(current, direction, rs, options);
+      rs.edgesTraversed += neighbors.length;
+
+      for (const { neighborId, label } of neighbors) {
+        if (visited.has(neighborId) || blockedNodes?.has(neighborId) || blockedEdges?.has(`${current}\0${neighborId}`)) { continue; }
+        const w = await weightFn(current, neighborId, label);
+        const alt = /** @type {number} */ (dist.get(current)) + w;
+        const best = dist.has(neighborId) ? /** @type {number} */ (dist.get(neighborId)) : Infinity;
+
+        if (alt < best || (alt === best && this._shouldUpdatePredecessor(prev, neighborId, current))) {
+          dist.set(neighborId, alt);
+          prev.set(neighborId, current);
+          pq.insert(neighborId, alt);
+        }
+      }
+    }
+
+    return { path: null, visited: visited.size };
+  }
+
+  /**
+   * Loads the flow network of the nodes reachable from `source` along
+   * outgoing edges (without expanding `sink`) and runs Dinic's algorithm
+   * over it. Shared by maxFlow and minCut.
+   *
+   * @param {{ source: string, sink: string, options?: NeighborOptions, capacityFn?: (from: string, to: string, label: string) => number | Promise<number>, capacityKey?: string, getEdgeProps?: (from: string, to: string, label: string) => Promise<Record<string, unknown> | null>, maxNodes: number, signal?: AbortSignal, opName: string }} params
+   * @returns {Promise<{nodeList: string[], edges: Array<{from: string, to: string, label: string, capacity: number}>, network: FlowNetwork, edgeArcs: Int32Array, value: number, sourceSide: Uint8Array, stats: TraversalStats}>}
+   *   Sorted node IDs, edges with positive capacity sorted by (from, to, label), the solved network,
+   *   the flow value, and 1 for each source-side vertex
+   * @private
+   */
+  async _solveMaxFlow({
+    source, sink, options,
+    capacityFn, capacityKey, getEdgeProps,
+    maxNodes, signal, opName,
+  }) {
+    if (source === sink) {
+      throw new TraversalError(`Source and sink must differ, got '${source}' for both`, {
+        code: 'E_SOURCE_IS_SINK',
+        context: { source, sink },
+      });
+    }
+    const capacityOf = this._resolveCapacityFn(capacityFn, capacityKey, getEdgeProps);
+    const rs = this._newRunStats();
+    await this._validateStart(source);
+
+    const discovered = new Set([source]);
+    const queue = [source];
+    /** @type {Map<string, NeighborEdge[]>} */
+    const loaded = new Map();
+    for (let qHead = 0; qHead < queue.length; qHead++) {
+      if (qHead % 1000 === 0) {
+        checkAborted(signal, opName);
+      }
+      const nodeId = queue[qHead];
+      if (nodeId === sink) {
+        continue;
+      }
+      const neighbors = await this._getNeighbors(nodeId, 'out', rs, options);
+      rs.edgesTraversed += neighbors.length;
+      for (const { neighborId } of neighbors) {
+        if (!discovered.has(neighborId) && discovered.size < maxNodes) {
+          discovered.add(neighborId);
+          queue.push(neighborId);
+        }
+      }
+      loaded.set(nodeId, neighbors);
+    }
+
+    const nodeList = [...discovered].sort();
+    const indexOf = new Map(nodeList.map((nodeId, u) => [nodeId, u]));
+    /** @type {Array<{from: string, to: string, label: string, capacity: number}>} */
+    const edges = [];
+    for (const from of nodeList) {
+      for (const { neighborId: to, label } of loaded.get(from) ?? []) {
+        if (to === from || !discovered.has(to)) {
+          continue;
+        }
+        const capacity = await capacityOf(from, to, label);
+        if (typeof capacity !== 'number' || !Number.isFinite(capacity) || capacity < 0) {
+          throw new TraversalError(`Capacity of edge ${from} -> ${to} (${label}) must be a finite non-negative number, got ${String(capacity)}`, {
+            code: 'E_INVALID_CAPACITY',
+            context: { from, to, label, capacity },
+          });
+        }
+        if (capacity > 0) {
+          edges.push({ from, to, label, capacity });
+        }
+      }
+    }
+
+    const { network, edgeArcs } = buildFlowNetwork(nodeList.length, edges.map(({ from, to, capacity }) => ({
+      from: /** @type {number} */ (indexOf.get(from)),
+      to: /** @type {number} */ (indexOf.get(to)),
+      capacity,
+    })));
+    const { value, sourceSide } = dinicMaxFlow(
+      network, /** @type {number} */ (indexOf.get(source)), indexOf.get(sink) ?? -1, () => checkAborted(signal, opName),
+    );
+
+    return { nodeList, edges, network, edgeArcs, value, sourceSide, stats: this._stats(nodeList.length, rs) };
+  }
+
   /**
    * Builds an edge-weight-shaped resolver from a nodeWeightFn.
    *
@@ -1499,6 +3055,32 @@ export default class GraphTraversal {
     return weightFn ?? DEFAULT_WEIGHT_FN;
   }
 
+  /**
+   * Resolves the edge capacity function from capacityFn / capacityKey
+   * options. Defaults to a capacity of 1 per edge.
+   *
+   * @param {((from: string, to: string, label: string) => number | Promise<number>) | undefined} capacityFn
+   * @param {string | undefined} capacityKey
+   * @param {((from: string, to: string, label: string) => Promise<Record<string, unknown> | null>) | undefined} getEdgeProps
+   * @returns {(from: string, to: string, label: string) => unknown}
+   * @private
+   */
+  _resolveCapacityFn(capacityFn, capacityKey, getEdgeProps) {
+    if (capacityKey === undefined) {
+      return capacityFn ?? DEFAULT_WEIGHT_FN;
+    }
+    if (capacityFn || !getEdgeProps) {
+      throw new TraversalError(
+        'capacityKey needs getEdgeProps and cannot be combined with capacityFn',
+        { code: 'E_CAPACITY_SOURCE', context: { capacityKey } },
+      );
+    }
+    return async (from, to, label) => {
+      const props = await getEdgeProps(from, to, label);
+      return props?.[capacityKey] ?? 0;
+    };
+  }
+
   /**
    * Validates that a start node exists in the provider.
    * Throws INVALID_START if the node is not alive.
@@ -20,7 +20,10 @@ import computeShardKey from '../utils/shardKey.js';
 import toBytes from '../utils/toBytes.js';
 import { getRoaringBitmap32 } from '../utils/roaring.js';
 import { orsetContains, orsetElements } from '../crdt/ORSet.js';
-import { decodeEdgeKey } from './KeyCodec.js';
+import { decodeEdgeKey, encodePropKey } from './KeyCodec.js';
+import PropertyValueIndexBuilder from './PropertyValueIndexBuilder.js';
+import TextIndexBuilder, { TEXT_META_PATH, decodeTextMeta, isTextMetaFor } from './TextIndexBuilder.js';
+import { createTextAnalyzer } from './TextAnalyzer.js';
 import { ShardIdOverflowError } from '../errors/index.js';
 
 /** Maximum local IDs per shard (2^24). */
@@ -44,11 +47,15 @@ export default class IncrementalIndexUpdater {
   /**
    * Create an incremental index updater.
    *
-   * @param {{ codec?: import('../../ports/CodecPort.js').default }} [options]
+   * @param {{ codec?: import('../../ports/CodecPort.js').default, valueIndexKeys?: string[], textIndex?: import('./TextAnalyzer.js').TextIndexConfig|null }} [options]
+   *   `valueIndexKeys` are the property keys whose value index is maintained;
+   *   `textIndex` configures the full-text index
    */
   constructor(options = undefined) {
-    const { codec } = options || {};
+    const { codec, valueIndexKeys = [], textIndex = null } = options || {};
     this._codec = codec || defaultCodec;
+    this._valueIndexKeys = new Set(valueIndexKeys);
+    this._textIndex = textIndex;
     /** @type {WeakMap<import('../crdt/ORSet.js').ORSet, Map<string, Set<string>>>} */
     this._edgeAdjacencyCache = new WeakMap();
     /**
@@ -162,6 +169,8 @@ export default class IncrementalIndexUpdater {
     }
 
     this._handleProps(diff.propsChanged, loadShard, out);
+    this._handleValueIndex({ diff, state, metaCache, loadShard, out });
+    this._handleTextIndex({ diff, state, loadShard, out });
 
     return out;
   }
@@ -562,6 +571,94 @@ export default class IncrementalIndexUpdater {
     }
   }
 
+  /**
+   * Moves nodes between value-index entries for the configured keys.
+   *
+   * The old value comes from the existing props shard rather than the
+   * diff's `prevValue`, which only reflects the last change when several
+   * patches are merged into one diff. Added nodes are re-indexed for every
+   * key, since a re-added node may carry values set while it was dead.
+   *
+   * @param {{ diff: import('../types/PatchDiff.js').PatchDiff, state: import('./JoinReducer.js').WarpStateV5, metaCache: Map<string, MetaShard>, loadShard: (path: string) => Uint8Array|undefined, out: Record<string, Uint8Array> }} params
+   * @private
+   */
+  _handleValueIndex({ diff, state, metaCache, loadShard, out }) {
+    /** @type {Map<string, Set<string>>} nodeId → keys to re-index */
+    const touched = new Map();
+    for (const nodeId of diff.nodesAdded) {
+      touched.set(nodeId, new Set(this._valueIndexKeys));
+    }
+    for (const { nodeId, key } of diff.propsChanged) {
+      if (this._valueIndexKeys.has(key)) {
+        touched.set(nodeId, (touched.get(nodeId) || new Set()).add(key));
+      }
+    }
+    if (this._valueIndexKeys.size === 0 || touched.size === 0) {
+      return;
+    }
+
+    const builder = new PropertyValueIndexBuilder({ codec: this._codec });
+    /** @type {Map<string, Map<string, Record<string, unknown>>>} */
+    const oldProps = new Map();
+    for (const [nodeId, keys] of touched) {
+      const shardKey = computeShardKey(nodeId);
+      const globalId = this._findGlobalId(this._getOrLoadMeta(shardKey, metaCache, loadShard), nodeId);
+      if (globalId === undefined) {
+        continue;
+      }
+      if (!oldProps.has(shardKey)) {
+        oldProps.set(shardKey, this._loadProps(shardKey, loadShard));
+      }
+      const previous = oldProps.get(shardKey)?.get(nodeId);
+      for (const key of keys) {
+        builder.load(key, loadShard);
+        if (previous && Object.hasOwn(previous, key)) {
+          builder.remove(key, previous[key], globalId);
+        }
+        builder.add(key, state.prop.get(encodePropKey(nodeId, key))?.value, globalId);
+      }
+    }
+    Object.assign(out, builder.serialize());
+  }
+
+  /**
+   * Re-indexes the full-text documents of added, removed, and edited nodes.
+   *
+   * Each node's previous terms come from its `text_docs` record, so a node
+   * is retracted exactly as it was indexed. An index that is missing or was
+   * built for another configuration (e.g. restored from a checkpoint) is
+   * left alone; readers detect it and rebuild.
+   *
+   * @param {{ diff: import('../types/PatchDiff.js').PatchDiff, state: import('./JoinReducer.js').WarpStateV5, loadShard: (path: string) => Uint8Array|undefined, out: Record<string, Uint8Array> }} params
+   * @private
+   */
+  _handleTextIndex({ diff, state, loadShard, out }) {
+    if (!this._textIndex) {
+      return;
+    }
+    const { fields } = this._textIndex;
+    const touched = new Set([...diff.nodesAdded, ...diff.nodesRemoved]);
+    for (const { nodeId, key } of diff.propsChanged) {
+      if (fields.includes(key)) {
+        touched.add(nodeId);
+      }
+    }
+    const metaBuf = loadShard(TEXT_META_PATH);
+    const analyzer = createTextAnalyzer(this._textIndex.analyzer);
+    if (touched.size === 0 || !metaBuf || !isTextMetaFor(decodeTextMeta(metaBuf, this._codec), { fields, analyzer: analyzer.name })) {
+      return;
+    }
+
+    const builder = new TextIndexBuilder({ codec: this._codec, fields, analyzer, loadShard });
+    for (const nodeId of [...touched].sort()) {
+      builder.removeDocument(nodeId);
+      if (orsetContains(state.nodeAlive, nodeId)) {
+        builder.addDocument(nodeId, (field) => state.prop.get(encodePropKey(nodeId, field))?.value);
+      }
+    }
+    Object.assign(out, builder.serialize());
+  }
+
   // ── Meta shard I/O ────────────────────────────────────────────────────────
 
   /**
@@ -5,17 +5,37 @@
  *   nodeAlive: ORSet<NodeId>,           // GLOBAL OR-Set
  *   edgeAlive: ORSet<EdgeKey>,          // GLOBAL OR-Set
  *   prop: Map<PropKey, LWWRegister>,    // Keep v4 LWW with EventId
- *   observedFrontier: VersionVector
+ *   observedFrontier: VersionVector,
+ *   counters: Map<PropKey, PNCounter>,  // PN-Counter props (value projected into prop)
+ *   sets: Map<PropKey, SetProperty>,    // OR-Set valued props (elements projected into prop)
+ *   sequences: Map<PropKey, SequenceProperty> // RGA ordered-list props (array projected into prop)
+ *   aliases: Map<NodeId, LWWRegister<NodeId>>  // merged node → survivor (folded on read, see NodeAliases)
+ *   mergePolicies?: MergePolicyRegistry         // runtime-only register join overrides
  * }
  */
 
 import { createORSet, orsetAdd, orsetRemove, orsetJoin, orsetContains, orsetClone } from '../crdt/ORSet.js';
 import { createVersionVector, vvMerge, vvClone, vvDeserialize } from '../crdt/VersionVector.js';
 import { lwwSet, lwwMax } from '../crdt/LWW.js';
+import {
+  createPNCounter, pncounterIncrement, pncounterWouldAbsorb, pncounterValue,
+  pncounterMaxEventId, pncounterJoin, pncounterClone,
+} from '../crdt/PNCounter.js';
+import {
+  createSetProperty, setPropertyAdd, setPropertyRemove, setPropertyStamp,
+  setPropertyValue, setPropertyJoin, setPropertyClone,
+} from '../crdt/SetProperty.js';
+import {
+  createSequenceProperty, sequenceInsert, sequenceRemove, sequenceMove,
+  sequenceValue, sequenceJoin, sequenceClone,
+} from '../crdt/SequenceProperty.js';
 import { createEventId, compareEventIds } from '../utils/EventId.js';
 import { createTickReceipt, OP_TYPES } from '../types/TickReceipt.js';
 import { encodeDot } from '../crdt/Dot.js';
-import { encodeEdgeKey, decodeEdgeKey, encodePropKey, encodeEdgePropKey, EDGE_PROP_PREFIX } from './KeyCodec.js';
+import {
+  encodeEdgeKey, decodeEdgeKey, encodePropKey, decodePropKey,
+  encodeEdgePropKey, isEdgePropKey, decodeEdgePropKey, EDGE_PROP_PREFIX,
+} from './KeyCodec.js';
 import { normalizeRawOp } from './OpNormalizer.js';
 import { createEmptyDiff, mergeDiffs } from '../types/PatchDiff.js';
 import PatchError from '../errors/PatchError.js';
@@ -42,6 +62,26 @@ export { normalizeRawOp, lowerCanonicalOp } from './OpNormalizer.js';
  *   deserializeFullStateV5). Edge birth events were introduced in a later schema
  *   version; older checkpoints serialize without this field, but the deserializer
  *   always produces an empty Map for them.
+ * @property {Map<string, import('../crdt/PNCounter.js').PNCounter>} counters - PropKey → PN-Counter for
+ *   properties written via `PropIncrement`. The summed value is projected into `prop` as a derived
+ *   LWW register, so every property reader sees counters as plain numbers. Always present at runtime;
+ *   checkpoints written before counters existed deserialize to an empty Map.
+ * @property {Map<string, import('../crdt/SetProperty.js').SetProperty>} sets - PropKey → OR-Set valued
+ *   property for keys written via `SetAdd`/`SetRemove` (node or edge props). The sorted element array
+ *   is projected into `prop` the same way as counters. Always present at runtime; checkpoints written
+ *   before set properties existed deserialize to an empty Map.
+ * @property {Map<string, import('../crdt/SequenceProperty.js').SequenceProperty>} sequences - PropKey →
+ *   ordered-list property for keys written via `SeqInsert`/`SeqRemove`/`SeqMove`. The converged array
+ *   is projected into `prop` the same way as counters. Always present at runtime; checkpoints written
+ *   before sequence properties existed deserialize to an empty Map.
+ * @property {Map<string, import('../crdt/LWW.js').LWWRegister<string>>} aliases - Absorbed node ID → LWW register
+ *   naming the node it was merged into via `NodeMerge`. The reducer keeps each node's data under its own ID;
+ *   reads fold alias classes together through `projectNodeAliases()` (see NodeAliases). Always present at
+ *   runtime; checkpoints written before node merges existed deserialize to an empty Map.
+ * @property {import('./MergePolicyRegistry.js').default} [mergePolicies] - Per-property register join
+ *   overrides consulted for `NodePropSet`/`EdgePropSet` and state joins; properties without a policy use
+ *   LWW. Runtime configuration only: never serialized or hashed, attached by `reduceV5({ mergePolicies })`
+ *   and carried through `cloneStateV5()` / `joinStates()`.
  */
 
 /**
@@ -55,7 +95,12 @@ export { normalizeRawOp, lowerCanonicalOp } from './OpNormalizer.js';
  * @property {string} [label] - Edge label (for EdgeAdd, EdgeRemove)
  * @property {string} [key] - Property key (for PropSet)
  * @property {unknown} [value] - Property value (for PropSet)
+ * @property {number} [delta] - Counter delta (for PropIncrement)
+ * @property {string} [element] - Set element (for SetAdd, SetRemove)
+ * @property {string} [item] - Sequence item ID (for SeqRemove, SeqMove)
+ * @property {string|null} [origin] - Sequence slot to insert after (for SeqInsert, SeqMove)
  * @property {string} [oid] - Blob object ID (for BlobValue)
+ * @property {string} [into] - Surviving node ID (for NodeMerge)
  */
 
 /**
@@ -75,6 +120,10 @@ export { normalizeRawOp, lowerCanonicalOp } from './OpNormalizer.js';
  * - Empty `prop` Map (no properties)
  * - Zero `observedFrontier` version vector (no patches observed)
  * - Empty `edgeBirthEvent` Map (no edge birth events tracked)
+ * - Empty `counters` Map (no PN-Counter properties)
+ * - Empty `sets` Map (no OR-Set valued properties)
+ * - Empty `sequences` Map (no ordered-list properties)
+ * - Empty `aliases` Map (no merged nodes)
  *
  * @returns {WarpStateV5} A fresh, empty WARP state ready for patch application
  */
@@ -85,6 +134,10 @@ export function createEmptyStateV5() {
     prop: new Map(),
     observedFrontier: createVersionVector(),
     edgeBirthEvent: new Map(),
+    counters: new Map(),
+    sets: new Map(),
+    sequences: new Map(),
+    aliases: new Map(),
   };
 }
 
@@ -97,6 +150,10 @@ export function createEmptyStateV5() {
  * - `EdgeAdd`: Adds an edge to the edgeAlive OR-Set and tracks its birth event
  * - `EdgeRemove`: Removes observed dots from the edgeAlive OR-Set (tombstoning)
  * - `PropSet`: Sets a property using LWW (Last-Write-Wins) semantics based on EventId
+ * - `PropIncrement`: Adds a delta to a per-writer PN-Counter property
+ * - `SetAdd` / `SetRemove`: Adds or observed-removes an element of an OR-Set valued property
+ * - `SeqInsert` / `SeqRemove` / `SeqMove`: Edits an RGA ordered-list property
+ * - `NodeMerge`: Points an absorbed node's alias register at its survivor (LWW)
  * - `BlobValue`: No-op in state; recorded in tick receipts for provenance tracking
  * - Unknown types: Silently ignored for forward compatibility
  *
@@ -109,23 +166,25 @@ export function createEmptyStateV5() {
  * @returns {void}
  */
 /**
- * Known raw (wire-format) V2 operation types. These are the 6 types that
+ * Known raw (wire-format) V2 operation types. These are the types that
  * appear in persisted patches and on the sync wire.
  * @type {ReadonlySet<string>}
  */
 export const RAW_KNOWN_OPS = new Set([
   'NodeAdd', 'NodeRemove', 'EdgeAdd', 'EdgeRemove',
-  'PropSet', 'BlobValue',
+  'PropSet', 'PropIncrement', 'SetAdd', 'SetRemove',
+  'SeqInsert', 'SeqRemove', 'SeqMove', 'NodeMerge', 'BlobValue',
 ]);
 
 /**
- * Known canonical (internal) V2 operation types. Includes the 6 raw types
+ * Known canonical (internal) V2 operation types. Includes the raw types
  * plus the ADR 1 canonical split types `NodePropSet` and `EdgePropSet`.
  * @type {ReadonlySet<string>}
  */
 export const CANONICAL_KNOWN_OPS = new Set([
   'NodeAdd', 'NodeRemove', 'EdgeAdd', 'EdgeRemove',
-  'PropSet', 'NodePropSet', 'EdgePropSet', 'BlobValue',
+  'PropSet', 'NodePropSet', 'EdgePropSet', 'PropIncrement', 'SetAdd', 'SetRemove',
+  'SeqInsert', 'SeqRemove', 'SeqMove', 'NodeMerge', 'BlobValue',
 ]);
 
 /**
@@ -177,6 +236,20 @@ function requireString(op, field) {
   }
 }
 
+/**
+ * Asserts that `op[field]` is a safe integer. Throws PatchError if not.
+ * @param {Record<string, unknown>} op
+ * @param {string} field
+ */
+function requireSafeInteger(op, field) {
+  if (!Number.isSafeInteger(op[field])) {
+    throw new PatchError(
+      `${op.type} op requires '${field}' to be a safe integer, got ${typeof op[field] === 'number' ? String(op[field]) : typeof op[field]}`,
+      { context: { opType: op.type, field, actual: typeof op[field] } },
+    );
+  }
+}
+
 /**
  * Asserts that `op[field]` is iterable (Array, Set, or any Symbol.iterator).
  * @param {Record<string, unknown>} op
@@ -224,6 +297,30 @@ function requireDot(op) {
   }
 }
 
+/**
+ * Asserts that a set-property op names its target: either `node`, or all of
+ * `from`/`to`/`label` for an edge property.
+ * @param {Record<string, unknown>} op
+ */
+function requirePropTarget(op) {
+  if (typeof op.node === 'string') {
+    return;
+  }
+  requireString(op, 'from');
+  requireString(op, 'to');
+  requireString(op, 'label');
+}
+
+/**
+ * Asserts that `op.origin` is a string or null (null anchors at the head).
+ * @param {Record<string, unknown>} op
+ */
+function requireOrigin(op) {
+  if (op.origin !== null) {
+    requireString(op, 'origin');
+  }
+}
+
 /**
  * Validates that an operation has the required fields for its type.
  * Throws PatchError for malformed ops. Unknown/BlobValue types pass through
@@ -272,6 +369,45 @@ function validateOp(op) {
       requireString(op, 'label');
       requireString(op, 'key');
       break;
+    case 'PropIncrement':
+      requireString(op, 'node');
+      requireString(op, 'key');
+      requireSafeInteger(op, 'delta');
+      break;
+    case 'SetAdd':
+      requirePropTarget(op);
+      requireString(op, 'key');
+      requireString(op, 'element');
+      requireDot(op);
+      break;
+    case 'SetRemove':
+      requirePropTarget(op);
+      requireString(op, 'key');
+      requireString(op, 'element');
+      requireIterable(op, 'observedDots');
+      break;
+    case 'SeqInsert':
+      requireString(op, 'node');
+      requireString(op, 'key');
+      requireOrigin(op);
+      requireDot(op);
+      break;
+    case 'SeqRemove':
+      requireString(op, 'node');
+      requireString(op, 'key');
+      requireString(op, 'item');
+      break;
+    case 'SeqMove':
+      requireString(op, 'node');
+      requireString(op, 'key');
+      requireString(op, 'item');
+      requireOrigin(op);
+      requireDot(op);
+      break;
+    case 'NodeMerge':
+      requireString(op, 'node');
+      requireString(op, 'into');
+      break;
     default:
       // BlobValue and unknown types: no validation (forward-compat)
       break;
@@ -282,7 +418,7 @@ function validateOp(op) {
  * Applies a single V2 operation to the given CRDT state.
  *
  * @param {WarpStateV5} state - The mutable CRDT state to update
- * @param {{type: string, node?: string, dot?: import('../crdt/Dot.js').Dot, observedDots?: string[], from?: string, to?: string, label?: string, key?: string, value?: unknown, oid?: string}} op - The operation to apply
+ * @param {{type: string, node?: string, dot?: import('../crdt/Dot.js').Dot, observedDots?: string[], from?: string, to?: string, label?: string, key?: string, value?: unknown, delta?: number, element?: string, item?: string, origin?: string|null, oid?: string, into?: string}} op - The operation to apply
  * @param {import('../utils/EventId.js').EventId} eventId - The event ID for LWW ordering
  */
 export function applyOpV2(state, op, eventId) {
@@ -313,8 +449,8 @@ export function applyOpV2(state, op, eventId) {
       break;
     case 'NodePropSet': {
       const key = encodePropKey(/** @type {string} */ (op.node), /** @type {string} */ (op.key));
-      const current = state.prop.get(key);
-      state.prop.set(key, /** @type {import('../crdt/LWW.js').LWWRegister<unknown>} */ (lwwMax(current, lwwSet(eventId, op.value))));
+      const policy = policyFor(state, /** @type {string} */ (op.key));
+      state.prop.set(key, joinRegister(policy, state.prop.get(key), lwwSet(eventId, op.value)));
       break;
     }
     case 'EdgePropSet': {
@@ -324,8 +460,8 @@ export function applyOpV2(state, op, eventId) {
         /** @type {string} */ (op.label),
         /** @type {string} */ (op.key),
       );
-      const current = state.prop.get(key);
-      state.prop.set(key, /** @type {import('../crdt/LWW.js').LWWRegister<unknown>} */ (lwwMax(current, lwwSet(eventId, op.value))));
+      const policy = policyFor(state, /** @type {string} */ (op.key));
+      state.prop.set(key, joinRegister(policy, state.prop.get(key), lwwSet(eventId, op.value)));
       break;
     }
     case 'PropSet': {
@@ -340,8 +476,48 @@ export function applyOpV2(state, op, eventId) {
       }
       // Plain node property (backward-compat for callers that bypass normalization)
       const key = encodePropKey(/** @type {string} */ (op.node), /** @type {string} */ (op.key));
-      const current = state.prop.get(key);
-      state.prop.set(key, /** @type {import('../crdt/LWW.js').LWWRegister<unknown>} */ (lwwMax(current, lwwSet(eventId, op.value))));
+      const policy = policyFor(state, /** @type {string} */ (op.key));
+      state.prop.set(key, joinRegister(policy, state.prop.get(key), lwwSet(eventId, op.value)));
+      break;
+    }
+    case 'PropIncrement': {
+      const key = encodePropKey(/** @type {string} */ (op.node), /** @type {string} */ (op.key));
+      let counter = state.counters.get(key);
+      if (!counter) {
+        counter = createPNCounter();
+        state.counters.set(key, counter);
+      }
+      if (pncounterIncrement(counter, eventId, /** @type {number} */ (op.delta))) {
+        projectCounter(state.prop, key, counter);
+      }
+      break;
+    }
+    case 'SetAdd':
+    case 'SetRemove': {
+      const key = setOpPropKey(/** @type {SetOpTarget} */ (op));
+      let setProp = state.sets.get(key);
+      if (!setProp) {
+        setProp = createSetProperty();
+        state.sets.set(key, setProp);
+      }
+      if (op.type === 'SetAdd') {
+        setPropertyAdd(setProp, /** @type {string} */ (op.element), /** @type {import('../crdt/Dot.js').Dot} */ (op.dot));
+      } else {
+        setPropertyRemove(setProp, /** @type {string[]} */ (op.observedDots));
+      }
+      setPropertyStamp(setProp, eventId);
+      projectSetProperty(state.prop, key, setProp);
+      break;
+    }
+    case 'SeqInsert':
+    case 'SeqRemove':
+    case 'SeqMove':
+      applySequenceOp(state, /** @type {SequenceOp} */ (op), eventId);
+      break;
+    case 'NodeMerge': {
+      const { node, into } = /** @type {{ node: string, into: string }} */ (op);
+      const alias = lwwMax(state.aliases.get(node), lwwSet(eventId, into));
+      state.aliases.set(node, /** @type {import('../crdt/LWW.js').LWWRegister<string>} */ (alias));
       break;
     }
     default:
@@ -350,6 +526,166 @@ export function applyOpV2(state, op, eventId) {
   }
 }
 
+/**
+ * Returns the merge policy registered for a property key, or null for LWW.
+ *
+ * @param {WarpStateV5} state
+ * @param {string} key - Property key (not the encoded prop key)
+ * @returns {import('../crdt/MergePolicy.js').MergePolicy|null}
+ */
+function policyFor(state, key) {
+  return state.mergePolicies ? state.mergePolicies.policyFor(key) : null;
+}
+
+/**
+ * Joins an incoming write into a property register: LWW by default, or the
+ * property's merge policy. A first write still goes through the policy so
+ * policies that normalize values (union) do so from the start.
+ *
+ * @param {import('../crdt/MergePolicy.js').MergePolicy|null} policy
+ * @param {import('../crdt/LWW.js').LWWRegister<unknown>|undefined} current
+ * @param {import('../crdt/LWW.js').LWWRegister<unknown>} incoming
+ * @returns {import('../crdt/LWW.js').LWWRegister<unknown>}
+ */
+function joinRegister(policy, current, incoming) {
+  if (!policy) {
+    return /** @type {import('../crdt/LWW.js').LWWRegister<unknown>} */ (lwwMax(current, incoming));
+  }
+  return policy.join(current || incoming, incoming);
+}
+
+/**
+ * Returns the property key of an encoded node or edge prop key.
+ *
+ * @param {string} encodedKey
+ * @returns {string}
+ */
+function propNameOf(encodedKey) {
+  return isEdgePropKey(encodedKey) ? decodeEdgePropKey(encodedKey).propKey : decodePropKey(encodedKey).propKey;
+}
+
+/**
+ * @typedef {{node?: string, from?: string, to?: string, label?: string, key: string}} SetOpTarget
+ */
+
+/**
+ * Encodes the property key targeted by a SetAdd/SetRemove op (node or edge).
+ *
+ * @param {SetOpTarget} op
+ * @returns {string}
+ */
+function setOpPropKey(op) {
+  return typeof op.node === 'string'
+    ? encodePropKey(op.node, op.key)
+    : encodeEdgePropKey(/** @type {string} */ (op.from), /** @type {string} */ (op.to), /** @type {string} */ (op.label), op.key);
+}
+
+/**
+ * @typedef {{type: string, node: string, key: string, value?: unknown, item?: string, origin?: string|null, dot?: import('../crdt/Dot.js').Dot}} SequenceOp
+ */
+
+/**
+ * Applies a SeqInsert/SeqRemove/SeqMove op and re-projects the sequence.
+ *
+ * @param {WarpStateV5} state
+ * @param {SequenceOp} op
+ * @param {import('../utils/EventId.js').EventId} eventId
+ */
+function applySequenceOp(state, op, eventId) {
+  const key = encodePropKey(op.node, op.key);
+  let seq = state.sequences.get(key);
+  if (!seq) {
+    seq = createSequenceProperty();
+    state.sequences.set(key, seq);
+  }
+  const { dot, origin, item } = /** @type {{dot: import('../crdt/Dot.js').Dot, origin: string|null, item: string}} */ (op);
+  if (op.type === 'SeqInsert') {
+    sequenceInsert(seq, { dot, origin, value: op.value }, eventId);
+  } else if (op.type === 'SeqMove') {
+    sequenceMove(seq, { item, dot, origin }, eventId);
+  } else {
+    sequenceRemove(seq, item, eventId);
+  }
+  projectSequence(state.prop, key, seq);
+}
+
+/**
+ * Writes a derived value into the property map as an LWW register stamped
+ * with `eventId`.
+ *
+ * The projection replaces the current register unless that register carries
+ * a strictly greater EventId (a later plain `PropSet` on the same key). This
+ * keeps the visible value order-independent: it is always whichever of
+ * {latest PropSet, derived value} has the greatest EventId.
+ *
+ * @param {Map<string, import('../crdt/LWW.js').LWWRegister<unknown>>} propMap
+ * @param {string} key - Encoded prop key
+ * @param {import('../utils/EventId.js').EventId|null} eventId
+ * @param {unknown} value
+ * @returns {boolean} True if the register was written
+ */
+function projectRegister(propMap, key, eventId, value) {
+  if (!eventId) {
+    return false;
+  }
+  const current = propMap.get(key);
+  if (current && compareEventIds(current.eventId, eventId) > 0) {
+    return false;
+  }
+  propMap.set(key, lwwSet(eventId, value));
+  return true;
+}
+
+/**
+ * Projects a PN-Counter's summed value into the property map, stamped with
+ * the counter's greatest contribution EventId.
+ *
+ * @param {Map<string, import('../crdt/LWW.js').LWWRegister<unknown>>} propMap
+ * @param {string} key - Encoded prop key
+ * @param {import('../crdt/PNCounter.js').PNCounter} counter
+ */
+function projectCounter(propMap, key, counter) {
+  projectRegister(propMap, key, pncounterMaxEventId(counter), pncounterValue(counter));
+}
+
+/**
+ * Projects a set property's sorted elements into the property map as a
+ * frozen array. The previous array instance is reused when membership is
+ * unchanged, so identity comparison in diff tracking stays meaningful.
+ *
+ * @param {Map<string, import('../crdt/LWW.js').LWWRegister<unknown>>} propMap
+ * @param {string} key - Encoded prop key
+ * @param {import('../crdt/SetProperty.js').SetProperty} setProp
+ */
+function projectSetProperty(propMap, key, setProp) {
+  const elements = setPropertyValue(setProp);
+  const previous = propMap.get(key)?.value;
+  const unchanged = Array.isArray(previous) &&
+    Object.isFrozen(previous) &&
+    previous.length === elements.length &&
+    previous.every((element, i) => element === elements[i]);
+  projectRegister(propMap, key, setProp.eventId, unchanged ? previous : Object.freeze(elements));
+}
+
+/**
+ * Projects a sequence property's converged values into the property map as
+ * a frozen array, reusing the previous array when the order and values are
+ * unchanged (same identity rule as {@link projectSetProperty}).
+ *
+ * @param {Map<string, import('../crdt/LWW.js').LWWRegister<unknown>>} propMap
+ * @param {string} key - Encoded prop key
+ * @param {import('../crdt/SequenceProperty.js').SequenceProperty} seq
+ */
+function projectSequence(propMap, key, seq) {
+  const values = sequenceValue(seq);
+  const previous = propMap.get(key)?.value;
+  const unchanged = Array.isArray(previous) &&
+    Object.isFrozen(previous) &&
+    previous.length === values.length &&
+    previous.every((value, i) => value === values[i]);
+  projectRegister(propMap, key, seq.eventId, unchanged ? previous : Object.freeze(values));
+}
+
 /**
  * Maps internal operation type names to TickReceipt-compatible operation type names.
  *
@@ -372,6 +708,13 @@ const RECEIPT_OP_TYPE = {
   PropSet: 'PropSet',
   NodePropSet: 'NodePropSet',
   EdgePropSet: 'EdgePropSet',
+  PropIncrement: 'PropIncrement',
+  SetAdd: 'SetAdd',
+  SetRemove: 'SetTombstone',
+  SeqInsert: 'SeqInsert',
+  SeqRemove: 'SeqTombstone',
+  SeqMove: 'SeqMove',
+  NodeMerge: 'NodeMerge',
   BlobValue: 'BlobValue',
 };
 
@@ -532,28 +875,156 @@ function propOutcomeForKey(propMap, key, eventId) {
   return { target: key, result: 'redundant' };
 }
 
+/**
+ * Determines the outcome of a property write governed by a merge policy.
+ *
+ * The incoming write is `superseded` only when the policy keeps the current
+ * register unchanged; a policy that merges both values (union) counts as
+ * `applied`.
+ *
+ * @param {import('../crdt/MergePolicy.js').MergePolicy} policy
+ * @param {import('../crdt/LWW.js').LWWRegister<unknown>|undefined} current
+ * @param {import('../crdt/LWW.js').LWWRegister<unknown>} incoming
+ * @returns {{result: 'applied'|'superseded'|'redundant', reason?: string}}
+ */
+function policyOutcome(policy, current, incoming) {
+  if (!current) {
+    return { result: 'applied' };
+  }
+  if (compareEventIds(current.eventId, incoming.eventId) === 0) {
+    return { result: 'redundant' };
+  }
+  if (policy.join(current, incoming) !== current) {
+    return { result: 'applied' };
+  }
+  const winner = current.eventId;
+  return { result: 'superseded', reason: `${policy.name}: writer ${winner.writerId} at lamport ${winner.lamport} wins` };
+}
+
+/**
+ * Determines the receipt outcome for a property write to an encoded key,
+ * honoring the property's merge policy.
+ *
+ * @param {WarpStateV5} state
+ * @param {string} key - Encoded prop key
+ * @param {{key: string, value: unknown, eventId: import('../utils/EventId.js').EventId}} write
+ * @returns {{target: string, result: 'applied'|'superseded'|'redundant', reason?: string}}
+ */
+function propWriteOutcome(state, key, write) {
+  const policy = policyFor(state, write.key);
+  if (!policy) {
+    return propOutcomeForKey(state.prop, key, write.eventId);
+  }
+  return { target: key, ...policyOutcome(policy, state.prop.get(key), lwwSet(write.eventId, write.value)) };
+}
+
 /**
  * Determines the receipt outcome for a PropSet/NodePropSet operation.
  *
- * @param {Map<string, import('../crdt/LWW.js').LWWRegister<unknown>>} propMap
- * @param {{node: string, key: string}} op - The PropSet or NodePropSet operation
+ * @param {WarpStateV5} state
+ * @param {{node: string, key: string, value: unknown}} op - The PropSet or NodePropSet operation
  * @param {import('../utils/EventId.js').EventId} eventId
  * @returns {{target: string, result: 'applied'|'superseded'|'redundant', reason?: string}}
  */
-function propSetOutcome(propMap, op, eventId) {
-  return propOutcomeForKey(propMap, encodePropKey(op.node, op.key), eventId);
+function propSetOutcome(state, op, eventId) {
+  return propWriteOutcome(state, encodePropKey(op.node, op.key), { key: op.key, value: op.value, eventId });
 }
 
 /**
  * Determines the receipt outcome for an EdgePropSet operation.
  *
- * @param {Map<string, import('../crdt/LWW.js').LWWRegister<unknown>>} propMap
- * @param {{from: string, to: string, label: string, key: string}} op - The EdgePropSet operation
+ * @param {WarpStateV5} state
+ * @param {{from: string, to: string, label: string, key: string, value: unknown}} op - The EdgePropSet operation
  * @param {import('../utils/EventId.js').EventId} eventId
  * @returns {{target: string, result: 'applied'|'superseded'|'redundant', reason?: string}}
  */
-function edgePropSetOutcome(propMap, op, eventId) {
-  return propOutcomeForKey(propMap, encodeEdgePropKey(op.from, op.to, op.label, op.key), eventId);
+function edgePropSetOutcome(state, op, eventId) {
+  return propWriteOutcome(state, encodeEdgePropKey(op.from, op.to, op.label, op.key), { key: op.key, value: op.value, eventId });
+}
+
+/**
+ * Determines the receipt outcome for a PropIncrement operation.
+ *
+ * Counter increments never supersede each other — concurrent deltas from
+ * different writers accumulate. An increment is `redundant` only when the
+ * writer's counter slot has already absorbed it (idempotent re-delivery).
+ *
+ * @param {Map<string, import('../crdt/PNCounter.js').PNCounter>} counters
+ * @param {{node: string, key: string}} op - The PropIncrement operation
+ * @param {import('../utils/EventId.js').EventId} eventId
+ * @returns {{target: string, result: 'applied'|'redundant'}}
+ */
+function propIncrementOutcome(counters, op, eventId) {
+  const key = encodePropKey(op.node, op.key);
+  return {
+    target: key,
+    result: pncounterWouldAbsorb(counters.get(key), eventId) ? 'applied' : 'redundant',
+  };
+}
+
+/**
+ * Determines the receipt outcome for a SetAdd or SetRemove operation.
+ *
+ * Mirrors the node/edge OR-Set outcomes, scoped to the element's dots within
+ * the property's own OR-Set: an add is `redundant` when its dot is already
+ * present, and a remove is `redundant` unless it tombstones at least one
+ * live dot of the element.
+ *
+ * @param {Map<string, import('../crdt/SetProperty.js').SetProperty>} sets
+ * @param {SetOpTarget & {type: string, element: string, dot?: import('../crdt/Dot.js').Dot, observedDots?: Iterable<string>}} op
+ * @returns {{target: string, result: 'applied'|'redundant'}}
+ */
+function setOpOutcome(sets, op) {
+  const target = setOpPropKey(op);
+  const orset = sets.get(target)?.elements;
+  const elementDots = orset?.entries.get(op.element);
+  if (op.type === 'SetAdd') {
+    const encoded = encodeDot(/** @type {import('../crdt/Dot.js').Dot} */ (op.dot));
+    return { target, result: elementDots && elementDots.has(encoded) ? 'redundant' : 'applied' };
+  }
+  let effective = false;
+  for (const encodedDot of /** @type {Iterable<string>} */ (op.observedDots)) {
+    if (elementDots && elementDots.has(encodedDot) && !orset?.tombstones.has(encodedDot)) {
+      effective = true;
+      break;
+    }
+  }
+  return { target, result: effective ? 'applied' : 'redundant' };
+}
+
+/**
+ * Determines the receipt outcome for a SeqInsert, SeqRemove, or SeqMove
+ * operation.
+ *
+ * Inserts and moves are `redundant` when their slot already exists
+ * (re-delivery). A move is `superseded` when the item already sits at a
+ * position written by a later EventId. A remove is `redundant` when the item
+ * is already removed.
+ *
+ * @param {Map<string, import('../crdt/SequenceProperty.js').SequenceProperty>} sequences
+ * @param {SequenceOp} op
+ * @param {import('../utils/EventId.js').EventId} eventId
+ * @returns {{target: string, result: 'applied'|'superseded'|'redundant', reason?: string}}
+ */
+function sequenceOpOutcome(sequences, op, eventId) {
+  const target = encodePropKey(op.node, op.key);
+  const seq = sequences.get(target);
+  if (op.type === 'SeqRemove') {
+    return { target, result: seq && seq.removed.has(/** @type {string} */ (op.item)) ? 'redundant' : 'applied' };
+  }
+  if (seq && seq.slots.has(encodeDot(/** @type {import('../crdt/Dot.js').Dot} */ (op.dot)))) {
+    return { target, result: 'redundant' };
+  }
+  const position = op.type === 'SeqMove' ? seq?.positions.get(/** @type {string} */ (op.item)) : undefined;
+  if (position && compareEventIds(position.eventId, eventId) > 0) {
+    const winner = position.eventId;
+    return {
+      target,
+      result: 'superseded',
+      reason: `LWW: move by writer ${winner.writerId} at lamport ${winner.lamport} wins`,
+    };
+  }
+  return { target, result: 'applied' };
 }
 
 /**
@@ -689,7 +1160,11 @@ function snapshotBeforeOp(state, op) {
       return { aliveBeforeEdges };
     }
     case 'PropSet':
-    case 'NodePropSet': {
+    case 'NodePropSet':
+    case 'PropIncrement':
+    case 'SeqInsert':
+    case 'SeqRemove':
+    case 'SeqMove': {
       const pk = encodePropKey(op.node, op.key);
       const reg = state.prop.get(pk);
       return { prevPropValue: reg ? reg.value : undefined, propKey: pk };
@@ -699,6 +1174,12 @@ function snapshotBeforeOp(state, op) {
       const ereg = state.prop.get(epk);
       return { prevPropValue: ereg ? ereg.value : undefined, propKey: epk };
     }
+    case 'SetAdd':
+    case 'SetRemove': {
+      const spk = setOpPropKey(op);
+      const sreg = state.prop.get(spk);
+      return { prevPropValue: sreg ? sreg.value : undefined, propKey: spk };
+    }
     default:
       return {};
   }
@@ -736,7 +1217,11 @@ function accumulateOpDiff(diff, state, op, before) {
       break;
     }
     case 'PropSet':
-    case 'NodePropSet': {
+    case 'NodePropSet':
+    case 'PropIncrement':
+    case 'SeqInsert':
+    case 'SeqRemove':
+    case 'SeqMove': {
       const reg = state.prop.get(/** @type {string} */ (before.propKey));
       const newVal = reg ? reg.value : undefined;
       if (newVal !== before.prevPropValue) {
@@ -762,6 +1247,22 @@ function accumulateOpDiff(diff, state, op, before) {
       }
       break;
     }
+    case 'SetAdd':
+    case 'SetRemove': {
+      const sreg = state.prop.get(/** @type {string} */ (before.propKey));
+      const sNewVal = sreg ? sreg.value : undefined;
+      if (sNewVal !== before.prevPropValue) {
+        diff.propsChanged.push({
+          nodeId: typeof op.node === 'string'
+            ? op.node
+            : encodeEdgeKey(/** @type {string} */ (op.from), /** @type {string} */ (op.to), /** @type {string} */ (op.label)),
+          key: op.key,
+          value: sNewVal,
+          prevValue: before.prevPropValue,
+        });
+      }
+      break;
+    }
     default:
       break;
   }
@@ -863,10 +1364,26 @@ export function applyWithReceipt(state, patch, patchSha) {
         break;
       case 'PropSet':
       case 'NodePropSet':
-        outcome = propSetOutcome(state.prop, /** @type {{node: string, key: string, value: unknown}} */ (canonOp), eventId);
+        outcome = propSetOutcome(state, /** @type {{node: string, key: string, value: unknown}} */ (canonOp), eventId);
         break;
       case 'EdgePropSet':
-        outcome = edgePropSetOutcome(state.prop, /** @type {{from: string, to: string, label: string, key: string, value: unknown}} */ (canonOp), eventId);
+        outcome = edgePropSetOutcome(state, /** @type {{from: string, to: string, label: string, key: string, value: unknown}} */ (canonOp), eventId);
+        break;
+      case 'PropIncrement':
+        outcome = propIncrementOutcome(state.counters, /** @type {{node: string, key: string}} */ (canonOp), eventId);
+        break;
+      case 'SetAdd':
+      case 'SetRemove':
+        outcome = setOpOutcome(state.sets, /** @type {Parameters<typeof setOpOutcome>[1]} */ (canonOp));
+        break;
+      case 'SeqInsert':
+      case 'SeqRemove':
+      case 'SeqMove':
+        outcome = sequenceOpOutcome(state.sequences, /** @type {SequenceOp} */ (canonOp), eventId);
+        break;
+      case 'NodeMerge':
+        // Alias registers are LWW, keyed by the absorbed node ID
+        outcome = propOutcomeForKey(state.aliases, canonOp.node, eventId);
         break;
       default: {
         // Unknown or BlobValue — always applied
@@ -939,9 +1456,13 @@ export function join(state, patch, patchSha, collectReceipts) {
  * This function implements the state-based CRDT join operation for WARP state.
  * Each component is merged using its appropriate CRDT join:
  * - `nodeAlive` and `edgeAlive`: OR-Set join (union of dots, tombstones)
- * - `prop`: LWW-Max per property key (higher EventId wins)
+ * - `prop`: LWW-Max per property key (higher EventId wins), or the key's merge policy
  * - `observedFrontier`: Version vector merge (component-wise max)
  * - `edgeBirthEvent`: EventId max per edge key
+ * - `counters`: PN-Counter join per key, re-projected into `prop`
+ * - `sets`: OR-Set join per key, re-projected into `prop`
+ * - `sequences`: RGA join per key, re-projected into `prop`
+ * - `aliases`: LWW-Max per absorbed node ID
  *
  * This is a pure function that does not mutate its inputs.
  * The result is deterministic regardless of the order of arguments (commutativity).
@@ -951,34 +1472,60 @@ export function join(state, patch, patchSha, collectReceipts) {
  * @returns {WarpStateV5} New state representing the join of a and b
  */
 export function joinStates(a, b) {
-  return {
+  const mergePolicies = a.mergePolicies || b.mergePolicies;
+  const prop = mergeProps(a.prop, b.prop, mergePolicies);
+  const counters = mergeCounters(a.counters, b.counters);
+  for (const [key, counter] of counters) {
+    projectCounter(prop, key, counter);
+  }
+  const sets = mergeSetProperties(a.sets, b.sets);
+  for (const [key, setProp] of sets) {
+    projectSetProperty(prop, key, setProp);
+  }
+  const sequences = mergeSequences(a.sequences, b.sequences);
+  for (const [key, seq] of sequences) {
+    projectSequence(prop, key, seq);
+  }
+  /** @type {WarpStateV5} */
+  const joined = {
     nodeAlive: orsetJoin(a.nodeAlive, b.nodeAlive),
     edgeAlive: orsetJoin(a.edgeAlive, b.edgeAlive),
-    prop: mergeProps(a.prop, b.prop),
+    prop,
     observedFrontier: vvMerge(a.observedFrontier, b.observedFrontier),
     edgeBirthEvent: mergeEdgeBirthEvent(a.edgeBirthEvent, b.edgeBirthEvent),
+    counters,
+    sets,
+    sequences,
+    aliases: /** @type {Map<string, import('../crdt/LWW.js').LWWRegister<string>>} */ (mergeProps(a.aliases || new Map(), b.aliases || new Map())),
   };
+  if (mergePolicies) {
+    joined.mergePolicies = mergePolicies;
+  }
+  return joined;
 }
 
 /**
  * Merges two property maps using LWW-Max semantics per key.
  *
  * For each property key present in either map, the resulting map contains
- * the register with the greater EventId (using LWW comparison). This ensures
- * deterministic merge regardless of the order in which states are joined.
+ * the register with the greater EventId (using LWW comparison), or the join
+ * of both registers under the key's merge policy. This ensures deterministic
+ * merge regardless of the order in which states are joined.
  *
  * This is a pure function that does not mutate its inputs.
  *
  * @param {Map<string, import('../crdt/LWW.js').LWWRegister<unknown>>} a - First property map
  * @param {Map<string, import('../crdt/LWW.js').LWWRegister<unknown>>} b - Second property map
+ * @param {import('./MergePolicyRegistry.js').default} [mergePolicies] - Register join overrides
  * @returns {Map<string, import('../crdt/LWW.js').LWWRegister<unknown>>} New map containing merged properties
  */
-function mergeProps(a, b) {
+function mergeProps(a, b, mergePolicies) {
   const result = new Map(a);
 
   for (const [key, regB] of b) {
     const regA = result.get(key);
-    result.set(key, /** @type {import('../crdt/LWW.js').LWWRegister<unknown>} */ (lwwMax(regA, regB)));
+    const policy = mergePolicies && regA ? mergePolicies.policyFor(propNameOf(key)) : null;
+    result.set(key, policy && regA ? policy.join(regA, regB) : /** @type {import('../crdt/LWW.js').LWWRegister<unknown>} */ (lwwMax(regA, regB)));
   }
 
   return result;
@@ -1015,6 +1562,75 @@ function mergeEdgeBirthEvent(a, b) {
   return result;
 }
 
+/**
+ * Merges two counter maps using PN-Counter join per property key.
+ *
+ * Handles null/undefined inputs gracefully (states produced before counters
+ * existed). This is a pure function that does not mutate its inputs.
+ *
+ * @param {Map<string, import('../crdt/PNCounter.js').PNCounter>|null|undefined} a
+ * @param {Map<string, import('../crdt/PNCounter.js').PNCounter>|null|undefined} b
+ * @returns {Map<string, import('../crdt/PNCounter.js').PNCounter>}
+ */
+function mergeCounters(a, b) {
+  /** @type {Map<string, import('../crdt/PNCounter.js').PNCounter>} */
+  const result = new Map();
+  for (const [key, counter] of a || []) {
+    result.set(key, pncounterClone(counter));
+  }
+  for (const [key, counter] of b || []) {
+    const existing = result.get(key);
+    result.set(key, existing ? pncounterJoin(existing, counter) : pncounterClone(counter));
+  }
+  return result;
+}
+
+/**
+ * Merges two set-property maps using OR-Set join per property key.
+ *
+ * Handles null/undefined inputs gracefully (states produced before set
+ * properties existed). This is a pure function that does not mutate its inputs.
+ *
+ * @param {Map<string, import('../crdt/SetProperty.js').SetProperty>|null|undefined} a
+ * @param {Map<string, import('../crdt/SetProperty.js').SetProperty>|null|undefined} b
+ * @returns {Map<string, import('../crdt/SetProperty.js').SetProperty>}
+ */
+function mergeSetProperties(a, b) {
+  /** @type {Map<string, import('../crdt/SetProperty.js').SetProperty>} */
+  const result = new Map();
+  for (const [key, setProp] of a || []) {
+    result.set(key, setPropertyClone(setProp));
+  }
+  for (const [key, setProp] of b || []) {
+    const existing = result.get(key);
+    result.set(key, existing ? setPropertyJoin(existing, setProp) : setPropertyClone(setProp));
+  }
+  return result;
+}
+
+/**
+ * Merges two sequence-property maps using RGA join per property key.
+ *
+ * Handles null/undefined inputs gracefully (states produced before sequence
+ * properties existed). This is a pure function that does not mutate its inputs.
+ *
+ * @param {Map<string, import('../crdt/SequenceProperty.js').SequenceProperty>|null|undefined} a
+ * @param {Map<string, import('../crdt/SequenceProperty.js').SequenceProperty>|null|undefined} b
+ * @returns {Map<string, import('../crdt/SequenceProperty.js').SequenceProperty>}
+ */
+function mergeSequences(a, b) {
+  /** @type {Map<string, import('../crdt/SequenceProperty.js').SequenceProperty>} */
+  const result = new Map();
+  for (const [key, seq] of a || []) {
+    result.set(key, sequenceClone(seq));
+  }
+  for (const [key, seq] of b || []) {
+    const existing = result.get(key);
+    result.set(key, existing ? sequenceJoin(existing, seq) : sequenceClone(seq));
+  }
+  return result;
+}
+
 /**
  * Reduces an array of patches to a V5 state by applying them sequentially.
  *
@@ -1031,7 +1647,8 @@ function mergeEdgeBirthEvent(a, b) {
  *
  * @param {Array<{patch: PatchLike, sha: string}>} patches - Array of patch objects with their Git SHAs
  * @param {WarpStateV5} [initialState] - Optional starting state (for incremental materialization from checkpoint)
- * @param {{receipts?: boolean, trackDiff?: boolean}} [options] - Optional configuration
+ * @param {{receipts?: boolean, trackDiff?: boolean, mergePolicies?: import('./MergePolicyRegistry.js').default|null}} [options] - Optional configuration.
+ *   `mergePolicies` is attached to the resulting state (see {@link WarpStateV5}).
  * @returns {WarpStateV5|{state: WarpStateV5, receipts: import('../types/TickReceipt.js').TickReceipt[]}|{state: WarpStateV5, diff: import('../types/PatchDiff.js').PatchDiff}}
  *          Returns state directly when no options;
  *          returns {state, receipts} when receipts is true;
@@ -1043,6 +1660,9 @@ function mergeEdgeBirthEvent(a, b) {
  */
 export function reduceV5(patches, initialState, options) {
   const state = initialState ? cloneStateV5(initialState) : createEmptyStateV5();
+  if (options && options.mergePolicies) {
+    state.mergePolicies = options.mergePolicies;
+  }
 
   // ZERO-COST: only check options when provided and truthy
   if (options && options.receipts) {
@@ -1085,11 +1705,20 @@ export function reduceV5(patches, initialState, options) {
  * @returns {WarpStateV5} A new state with identical contents but independent data structures
  */
 export function cloneStateV5(state) {
-  return {
+  /** @type {WarpStateV5} */
+  const clone = {
     nodeAlive: orsetClone(state.nodeAlive),
     edgeAlive: orsetClone(state.edgeAlive),
     prop: new Map(state.prop),
     observedFrontier: vvClone(state.observedFrontier),
     edgeBirthEvent: new Map(state.edgeBirthEvent || []),
+    counters: mergeCounters(state.counters, null),
+    sets: mergeSetProperties(state.sets, null),
+    sequences: mergeSequences(state.sequences, null),
+    aliases: new Map(state.aliases || []),
   };
+  if (state.mergePolicies) {
+    clone.mergePolicies = state.mergePolicies;
+  }
+  return clone;
 }
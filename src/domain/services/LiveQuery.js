@@ -0,0 +1,225 @@
+/**
+ * LiveQuery - Keeps a query's result current as the graph changes.
+ *
+ * `QueryBuilder.live()` runs the query once, then again after every
+ * `materialize()` that changes the graph, and reports each new result as
+ * the rows added, removed, and changed since the previous one, keyed by
+ * node ID.
+ *
+ * Queries whose result for a node depends on that node alone — a glob
+ * `match()` followed by `where()` filters, without hops, `search()`, or
+ * paging — are re-evaluated only for the nodes the change touched: those
+ * added or removed, those whose properties changed, and the endpoints of
+ * edges added or removed. Other queries are re-run in full and compared
+ * row by row with the previous result.
+ *
+ * Changes arriving while an evaluation is in flight are collected and
+ * handled by a single follow-up evaluation, so results are reported in
+ * order and never for a state older than one already reported.
+ *
+ * @module domain/services/LiveQuery
+ */
+
+import { canonicalStringify } from '../utils/canonicalStringify.js';
+import { touchedNodes } from './StateDiff.js';
+
+/**
+ * @typedef {Object} LiveQueryRow
+ * @property {string} id - Node ID
+ * @property {Record<string, unknown>} [props] - Node properties, as select() shapes them
+ */
+
+/**
+ * @typedef {Object} LiveQueryDelta
+ * @property {string} stateHash - Hash of the materialized state the rows were read from
+ * @property {LiveQueryRow[]} added - Rows that entered the result, sorted by ID
+ * @property {LiveQueryRow[]} removed - Rows that left the result, as last reported, sorted by ID
+ * @property {LiveQueryRow[]} changed - Rows still in the result whose content changed, sorted by ID
+ */
+
+/**
+ * @typedef {Object} LiveQueryOptions
+ * @property {(delta: LiveQueryDelta) => void} onResult - Receives the first result and every change to it
+ * @property {(error: unknown) => void} [onError] - Receives re-evaluation failures and errors thrown by onResult
+ */
+
+/**
+ * @typedef {(scope: Set<string>|null) => Promise<{ stateHash: string, rows: LiveQueryRow[] }>} LiveQueryEvaluator
+ *   Runs the query over the given nodes only, or over the whole graph when scope is null
+ */
+
+/**
+ * Compares two results for the given node IDs.
+ *
+ * @param {Map<string, LiveQueryRow>} before
+ * @param {Map<string, LiveQueryRow>} after
+ * @param {Iterable<string>} ids - Node IDs whose rows may differ
+ * @returns {Omit<LiveQueryDelta, 'stateHash'>}
+ */
+function compareRows(before, after, ids) {
+  /** @type {Omit<LiveQueryDelta, 'stateHash'>} */
+  const delta = { added: [], removed: [], changed: [] };
+  for (const id of [...ids].sort()) {
+    const previous = before.get(id);
+    const current = after.get(id);
+    if (previous && current) {
+      if (canonicalStringify(previous) !== canonicalStringify(current)) {
+        delta.changed.push(current);
+      }
+    } else if (current) {
+      delta.added.push(current);
+    } else if (previous) {
+      delta.removed.push(previous);
+    }
+  }
+  return delta;
+}
+
+export default class LiveQuery {
+  /**
+   * Creates a live query. Use `QueryBuilder.live()` rather than calling
+   * this directly.
+   *
+   * @param {{ subscribe: import('../WarpGraph.js').default['subscribe'] }} graph - The graph whose changes drive re-evaluation
+   * @param {{ evaluate: LiveQueryEvaluator, local: boolean }} source - Runs the query; `local` when a node's
+   *   row depends on that node alone
+   * @param {LiveQueryOptions} options
+   */
+  constructor(graph, { evaluate, local }, { onResult, onError }) {
+    this._graph = graph;
+    this._evaluate = evaluate;
+    this._local = local;
+    this._onResult = onResult;
+    this._onError = onError ?? null;
+    /** @type {Map<string, LiveQueryRow>} */
+    this._rows = new Map();
+    /** @type {Set<string>} Nodes touched since the last evaluation (local queries only) */
+    this._touched = new Set();
+    this._scheduled = false;
+    this._closed = false;
+    /** @type {Promise<void>} */
+    this._queue = Promise.resolve();
+    /** @type {{ unsubscribe: () => void }|null} */
+    this._subscription = null;
+  }
+
+  /**
+   * Subscribes to the graph and delivers the first result, with every row
+   * reported as added.
+   *
+   * @returns {Promise<{ unsubscribe: () => void }>} Handle that stops the live query
+   * @throws {unknown} Whatever the first evaluation throws; the subscription is then dropped
+   */
+  async start() {
+    // Subscribe first so changes made while the first result is computed are not missed
+    this._subscription = this._graph.subscribe({ onChange: (diff) => this._enqueue(diff) });
+    const first = this._evaluate(null).then(({ stateHash, rows }) => {
+      const after = new Map(rows.map((row) => [row.id, row]));
+      this._commit(stateHash, after, { ids: after.keys(), always: true });
+    });
+    this._queue = first.catch(() => {});
+    try {
+      await first;
+    } catch (err) {
+      this.unsubscribe();
+      throw err;
+    }
+    return { unsubscribe: () => this.unsubscribe() };
+  }
+
+  /**
+   * Stops the live query. Evaluations already under way finish without
+   * reporting.
+   */
+  unsubscribe() {
+    this._closed = true;
+    this._subscription?.unsubscribe();
+    this._subscription = null;
+  }
+
+  /**
+   * Records a graph change and schedules an evaluation unless one is
+   * already waiting.
+   *
+   * @param {import('./StateDiff.js').StateDiffResult} diff
+   * @private
+   */
+  _enqueue(diff) {
+    if (this._local) {
+      for (const id of touchedNodes(diff)) {
+        this._touched.add(id);
+      }
+    }
+    if (!this._scheduled) {
+      this._scheduled = true;
+      this._queue = this._queue.then(() => this._refresh());
+    }
+  }
+
+  /**
+   * Re-evaluates the query for the nodes touched since the last
+   * evaluation, or in full, and reports the difference.
+   *
+   * @returns {Promise<void>}
+   * @private
+   */
+  async _refresh() {
+    this._scheduled = false;
+    const scope = this._local ? this._touched : null;
+    this._touched = new Set();
+    if (this._closed) {
+      return;
+    }
+    try {
+      const { stateHash, rows } = await this._evaluate(scope);
+      const after = scope ? new Map(this._rows) : new Map();
+      for (const id of scope ?? []) {
+        after.delete(id);
+      }
+      for (const row of rows) {
+        after.set(row.id, row);
+      }
+      this._commit(stateHash, after, { ids: scope ?? new Set([...this._rows.keys(), ...after.keys()]) });
+    } catch (err) {
+      this._report(err);
+    }
+  }
+
+  /**
+   * Replaces the current rows and reports what changed, if anything.
+   *
+   * @param {string} stateHash
+   * @param {Map<string, LiveQueryRow>} after
+   * @param {{ ids: Iterable<string>, always?: boolean }} options - Node IDs whose rows may
+   *   differ, and whether to report an unchanged result
+   * @private
+   */
+  _commit(stateHash, after, { ids, always = false }) {
+    const delta = compareRows(this._rows, after, ids);
+    this._rows = after;
+    const empty = delta.added.length === 0 && delta.removed.length === 0 && delta.changed.length === 0;
+    if (this._closed || (empty && !always)) {
+      return;
+    }
+    try {
+      this._onResult({ stateHash, ...delta });
+    } catch (err) {
+      this._report(err);
+    }
+  }
+
+  /**
+   * @param {unknown} err
+   * @private
+   */
+  _report(err) {
+    if (!this._onError) {
+      return;
+    }
+    try {
+      this._onError(err);
+    } catch {
+      // onError itself threw — swallow to prevent cascade
+    }
+  }
+}
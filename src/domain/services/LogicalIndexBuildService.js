@@ -2,7 +2,8 @@
  * Orchestrates a full logical bitmap index build from WarpStateV5.
  *
  * Extracts the visible projection (nodes, edges, properties) from materialized
- * state and delegates to LogicalBitmapIndexBuilder + PropertyIndexBuilder.
+ * state and delegates to LogicalBitmapIndexBuilder + PropertyIndexBuilder,
+ * plus PropertyValueIndexBuilder for the configured value-index keys.
  *
  * @module domain/services/LogicalIndexBuildService
  */
@@ -11,18 +12,25 @@ import defaultCodec from '../utils/defaultCodec.js';
 import nullLogger from '../utils/nullLogger.js';
 import LogicalBitmapIndexBuilder from './LogicalBitmapIndexBuilder.js';
 import PropertyIndexBuilder from './PropertyIndexBuilder.js';
+import PropertyValueIndexBuilder from './PropertyValueIndexBuilder.js';
+import TextIndexBuilder from './TextIndexBuilder.js';
+import { createTextAnalyzer } from './TextAnalyzer.js';
 import { orsetElements } from '../crdt/ORSet.js';
-import { decodeEdgeKey, decodePropKey, isEdgePropKey } from './KeyCodec.js';
+import { decodeEdgeKey, decodePropKey, encodePropKey, isEdgePropKey } from './KeyCodec.js';
 import { nodeVisibleV5, edgeVisibleV5 } from './StateSerializerV5.js';
 
 export default class LogicalIndexBuildService {
   /**
-   * @param {{ codec?: import('../../ports/CodecPort.js').default, logger?: import('../../ports/LoggerPort.js').default }} [options]
+   * @param {{ codec?: import('../../ports/CodecPort.js').default, logger?: import('../../ports/LoggerPort.js').default, valueIndexKeys?: string[], textIndex?: import('./TextAnalyzer.js').TextIndexConfig|null }} [options]
+   *   `valueIndexKeys` are the property keys to build a value index for;
+   *   `textIndex` configures the full-text index
    */
   constructor(options = undefined) {
-    const { codec, logger } = options || {};
+    const { codec, logger, valueIndexKeys = [], textIndex = null } = options || {};
     this._codec = codec || defaultCodec;
     this._logger = logger || nullLogger;
+    this._valueIndexKeys = valueIndexKeys;
+    this._textIndex = textIndex;
   }
 
   /**
@@ -35,6 +43,8 @@ export default class LogicalIndexBuildService {
   build(state, options = {}) {
     const indexBuilder = new LogicalBitmapIndexBuilder({ codec: this._codec });
     const propBuilder = new PropertyIndexBuilder({ codec: this._codec });
+    const valueBuilder = new PropertyValueIndexBuilder({ codec: this._codec, keys: this._valueIndexKeys });
+    const valueKeys = new Set(this._valueIndexKeys);
 
     // Seed existing data for stability
     if (options.existingMeta) {
@@ -48,8 +58,10 @@ export default class LogicalIndexBuildService {
 
     // 1. Register and mark alive all visible nodes (sorted for deterministic ID assignment)
     const aliveNodes = [...orsetElements(state.nodeAlive)].sort();
+    /** @type {Map<string, number>} */
+    const globalIds = new Map();
     for (const nodeId of aliveNodes) {
-      indexBuilder.registerNode(nodeId);
+      globalIds.set(nodeId, indexBuilder.registerNode(nodeId));
       indexBuilder.markAlive(nodeId);
     }
 
@@ -82,7 +94,7 @@ export default class LogicalIndexBuildService {
       indexBuilder.addEdge(from, to, label);
     }
 
-    // 4. Build property index from visible props
+    // 4. Build property and value indexes from visible props
     for (const [propKey, register] of state.prop) {
       if (isEdgePropKey(propKey)) {
         continue;
@@ -90,16 +102,41 @@ export default class LogicalIndexBuildService {
       const { nodeId, propKey: key } = decodePropKey(propKey);
       if (nodeVisibleV5(state, nodeId)) {
         propBuilder.addProperty(nodeId, key, register.value);
+        if (valueKeys.has(key)) {
+          valueBuilder.add(key, register.value, /** @type {number} */ (globalIds.get(nodeId)));
+        }
       }
     }
 
-    // 5. Serialize
+    // 5. Serialize, with the full-text index over the configured fields
     const indexTree = indexBuilder.serialize();
     const propTree = propBuilder.serialize();
-    const tree = { ...indexTree, ...propTree };
+    const tree = { ...indexTree, ...propTree, ...valueBuilder.serialize(), ...this.buildTextTree(state) };
 
     const receipt = /** @type {Record<string, unknown>} */ (this._codec.decode(indexTree['receipt.cbor']));
 
     return { tree, receipt };
   }
+
+  /**
+   * Builds the full-text index shards alone: the string values of the
+   * configured text fields of every alive node.
+   *
+   * @param {import('./JoinReducer.js').WarpStateV5} state
+   * @returns {Record<string, Uint8Array>} Text shards, empty when no text index is configured
+   */
+  buildTextTree(state) {
+    if (!this._textIndex) {
+      return {};
+    }
+    const builder = new TextIndexBuilder({
+      codec: this._codec,
+      fields: this._textIndex.fields,
+      analyzer: createTextAnalyzer(this._textIndex.analyzer),
+    });
+    for (const nodeId of [...orsetElements(state.nodeAlive)].sort()) {
+      builder.addDocument(nodeId, (field) => state.prop.get(encodePropKey(nodeId, field))?.value);
+    }
+    return builder.serialize();
+  }
 }
@@ -5,14 +5,17 @@
  * internally. The public API is unchanged for backward compatibility.
  * New code should use GraphTraversal directly.
  *
- * Provides deterministic BFS/DFS/shortestPath/connectedComponent over
- * the materialized logical graph (node/edge OR-Sets), not the Git DAG.
+ * Provides deterministic BFS/DFS/shortestPath/connectedComponent,
+ * centrality measures, cycle analysis, and community detection over the materialized logical graph (node/edge OR-Sets), not the Git DAG.
+ * Node IDs merged into another node resolve to the survivor.
  */
 
 import TraversalError from '../errors/TraversalError.js';
 import GraphTraversal from './GraphTraversal.js';
 import AdjacencyNeighborProvider from './AdjacencyNeighborProvider.js';
 import { orsetElements } from '../crdt/ORSet.js';
+import { resolveNodeAlias } from './NodeAliases.js';
+import { encodePropKey } from './KeyCodec.js';
 
 const DEFAULT_MAX_DEPTH = 1000;
 
@@ -84,7 +87,7 @@ export default class LogicalTraversal {
    *
    * @private
    * @param {{ dir?: 'out'|'in'|'both', labelFilter?: string|string[], maxDepth?: number }} opts - The traversal options
-   * @returns {Promise<{engine: GraphTraversal, direction: 'out'|'in'|'both', options: {labels?: Set<string>}|undefined, depthLimit: number}>}
+   * @returns {Promise<{engine: GraphTraversal, direction: 'out'|'in'|'both', options: {labels?: Set<string>}|undefined, depthLimit: number, resolve: (nodeId: string) => string, aliveNodes: Set<string>, state: import('./JoinReducer.js').WarpStateV5}>}
    * @throws {TraversalError} If the direction is invalid (INVALID_DIRECTION)
    * @throws {TraversalError} If the labelFilter is invalid (INVALID_LABEL_FILTER)
    */
@@ -92,24 +95,28 @@ export default class LogicalTraversal {
     // Private access: _materializeGraph is a WarpGraph internal.
     // This coupling will be removed when the LogicalTraversal facade is sunset
     // and callers migrate to GraphTraversal + NeighborProvider directly.
-    const materialized = await /** @type {{ _materializeGraph: () => Promise<{state: {nodeAlive: import('../crdt/ORSet.js').ORSet}, adjacency: {outgoing: Map<string, Array<{neighborId: string, label: string}>>, incoming: Map<string, Array<{neighborId: string, label: string}>>}}> }} */ (this._graph)._materializeGraph();
+    const materialized = await /** @type {{ _materializeGraph: () => Promise<{state: import('./JoinReducer.js').WarpStateV5, adjacency: {outgoing: Map<string, Array<{neighborId: string, label: string}>>, incoming: Map<string, Array<{neighborId: string, label: string}>>}}> }} */ (this._graph)._materializeGraph();
 
     const direction = assertDirection(dir);
     const labelSet = normalizeLabelFilter(labelFilter);
     const { adjacency, state } = materialized;
     const depthLimit = maxDepth ?? DEFAULT_MAX_DEPTH;
 
+    const aliveNodes = new Set(orsetElements(state.nodeAlive));
     const provider = new AdjacencyNeighborProvider({
       outgoing: adjacency.outgoing,
       incoming: adjacency.incoming,
-      aliveNodes: new Set(orsetElements(state.nodeAlive)),
+      aliveNodes,
     });
     const engine = new GraphTraversal({ provider });
 
     /** @type {{labels?: Set<string>}|undefined} */
     const options = labelSet ? { labels: labelSet } : undefined;
 
-    return { engine, direction, options, depthLimit };
+    /** @param {string} nodeId */
+    const resolve = (nodeId) => resolveNodeAlias(state, nodeId);
+
+    return { engine, direction, options, depthLimit, resolve, aliveNodes, state };
   }
 
   /**
@@ -118,7 +125,7 @@ export default class LogicalTraversal {
    * @private
    * @param {string} start - The starting node ID for traversal
    * @param {{ dir?: 'out'|'in'|'both', labelFilter?: string|string[], maxDepth?: number }} opts - The traversal options
-   * @returns {Promise<{engine: GraphTraversal, direction: 'out'|'in'|'both', options: {labels?: Set<string>}|undefined, depthLimit: number}>}
+   * @returns {Promise<{engine: GraphTraversal, direction: 'out'|'in'|'both', options: {labels?: Set<string>}|undefined, depthLimit: number, resolve: (nodeId: string) => string, aliveNodes: Set<string>, state: import('./JoinReducer.js').WarpStateV5}>}
    * @throws {TraversalError} If the start node is not found (NODE_NOT_FOUND)
    * @throws {TraversalError} If the direction is invalid (INVALID_DIRECTION)
    * @throws {TraversalError} If the labelFilter is invalid (INVALID_LABEL_FILTER)
@@ -145,9 +152,9 @@ export default class LogicalTraversal {
    * @throws {TraversalError} If the start node is not found or direction is invalid
    */
   async bfs(start, options = {}) {
-    const { engine, direction, options: opts, depthLimit } = await this._prepare(start, options);
+    const { engine, direction, options: opts, depthLimit, resolve } = await this._prepare(start, options);
     const { nodes } = await engine.bfs({
-      start,
+      start: resolve(start),
       direction,
       options: opts,
       maxDepth: depthLimit,
@@ -165,9 +172,9 @@ export default class LogicalTraversal {
    * @throws {TraversalError} If the start node is not found or direction is invalid
    */
   async dfs(start, options = {}) {
-    const { engine, direction, options: opts, depthLimit } = await this._prepare(start, options);
+    const { engine, direction, options: opts, depthLimit, resolve } = await this._prepare(start, options);
     const { nodes } = await engine.dfs({
-      start,
+      start: resolve(start),
       direction,
       options: opts,
       maxDepth: depthLimit,
@@ -188,10 +195,10 @@ export default class LogicalTraversal {
    * @throws {TraversalError} If the start node is not found or direction is invalid
    */
   async shortestPath(from, to, options = {}) {
-    const { engine, direction, options: opts, depthLimit } = await this._prepare(from, options);
+    const { engine, direction, options: opts, depthLimit, resolve } = await this._prepare(from, options);
     const { found, path, length } = await engine.shortestPath({
-      start: from,
-      goal: to,
+      start: resolve(from),
+      goal: resolve(to),
       direction,
       options: opts,
       maxDepth: depthLimit,
@@ -223,10 +230,10 @@ export default class LogicalTraversal {
    * @returns {Promise<{reachable: boolean}>}
    */
   async isReachable(from, to, options = {}) {
-    const { engine, direction, options: opts, depthLimit } = await this._prepareEngine(options);
+    const { engine, direction, options: opts, depthLimit, resolve } = await this._prepareEngine(options);
     const { reachable } = await engine.isReachable({
-      start: from,
-      goal: to,
+      start: resolve(from),
+      goal: resolve(to),
       direction,
       options: opts,
       maxDepth: depthLimit,
@@ -247,10 +254,10 @@ export default class LogicalTraversal {
    * @throws {TraversalError} code 'E_WEIGHT_FN_CONFLICT' if both weightFn and nodeWeightFn provided
    */
   async weightedShortestPath(from, to, options = {}) {
-    const { engine, direction, options: opts } = await this._prepare(from, options);
+    const { engine, direction, options: opts, resolve } = await this._prepare(from, options);
     const { path, totalCost } = await engine.weightedShortestPath({
-      start: from,
-      goal: to,
+      start: resolve(from),
+      goal: resolve(to),
       direction,
       options: opts,
       weightFn: options.weightFn,
@@ -261,6 +268,57 @@ export default class LogicalTraversal {
     return { path, totalCost };
   }
 
+  /**
+   * K shortest loopless paths (Yen's algorithm), cheapest first.
+   *
+   * @param {string} from - Source node ID
+   * @param {string} to - Target node ID
+   * @param {{ k?: number, dir?: 'out'|'in'|'both', labelFilter?: string|string[], weightFn?: (from: string, to: string, label: string) => number | Promise<number>, nodeWeightFn?: (nodeId: string) => number | Promise<number>, signal?: AbortSignal }} [options] - Traversal options
+   * @returns {Promise<{paths: Array<{path: string[], totalCost: number}>}>}
+   *   Up to `k` (default 1) paths; empty when `to` is unreachable
+   * @throws {TraversalError} code 'NODE_NOT_FOUND' if the start node does not exist
+   * @throws {TraversalError} code 'E_INVALID_K' if k is not a positive integer
+   * @throws {TraversalError} code 'E_WEIGHT_FN_CONFLICT' if both weightFn and nodeWeightFn provided
+   */
+  async kShortestPaths(from, to, options = {}) {
+    const { engine, direction, options: opts, resolve } = await this._prepare(from, options);
+    const { paths } = await engine.kShortestPaths({
+      start: resolve(from),
+      goal: resolve(to),
+      k: options.k,
+      direction,
+      options: opts,
+      weightFn: options.weightFn,
+      nodeWeightFn: options.nodeWeightFn,
+      maxNodes: Infinity,
+      signal: options.signal,
+    });
+    return { paths };
+  }
+
+  /**
+   * Simple paths from `from` to `to`, yielded in lexicographic order of
+   * their node IDs.
+   *
+   * @param {string} from - Source node ID
+   * @param {string} to - Target node ID
+   * @param {{ dir?: 'out'|'in'|'both', labelFilter?: string|string[], maxDepth?: number, maxPaths?: number, signal?: AbortSignal }} [options] - Traversal options
+   * @returns {AsyncGenerator<string[], void, undefined>} Node IDs of each path, at most `maxPaths` (default 1000)
+   * @throws {TraversalError} code 'NODE_NOT_FOUND' if the start node does not exist
+   */
+  async *allSimplePaths(from, to, options = {}) {
+    const { engine, direction, options: opts, depthLimit, resolve } = await this._prepare(from, options);
+    yield* engine.allSimplePaths({
+      start: resolve(from),
+      goal: resolve(to),
+      direction,
+      options: opts,
+      maxDepth: depthLimit,
+      maxPaths: options.maxPaths,
+      signal: options.signal,
+    });
+  }
+
   /**
    * A* search with heuristic guidance.
    *
@@ -272,10 +330,10 @@ export default class LogicalTraversal {
    * @throws {TraversalError} code 'E_WEIGHT_FN_CONFLICT' if both weightFn and nodeWeightFn provided
    */
   async aStarSearch(from, to, options = {}) {
-    const { engine, direction, options: opts } = await this._prepare(from, options);
+    const { engine, direction, options: opts, resolve } = await this._prepare(from, options);
     const { path, totalCost, nodesExplored } = await engine.aStarSearch({
-      start: from,
-      goal: to,
+      start: resolve(from),
+      goal: resolve(to),
       direction,
       options: opts,
       weightFn: options.weightFn,
@@ -300,7 +358,7 @@ export default class LogicalTraversal {
    * @throws {TraversalError} code 'E_WEIGHT_FN_CONFLICT' if both weightFn and nodeWeightFn provided
    */
   async bidirectionalAStar(from, to, options = {}) {
-    const { engine, options: opts } = await this._prepareEngine(options);
+    const { engine, options: opts, resolve } = await this._prepareEngine(options);
 
     if (!(await this._graph.hasNode(from))) {
       throw new TraversalError(`Start node not found: ${from}`, {
@@ -310,8 +368,8 @@ export default class LogicalTraversal {
     }
 
     const { path, totalCost, nodesExplored } = await engine.bidirectionalAStar({
-      start: from,
-      goal: to,
+      start: resolve(from),
+      goal: resolve(to),
       options: opts,
       weightFn: options.weightFn,
       nodeWeightFn: options.nodeWeightFn,
@@ -333,7 +391,7 @@ export default class LogicalTraversal {
    * @throws {TraversalError} code 'NODE_NOT_FOUND' if a start node does not exist
    */
   async topologicalSort(start, options = {}) {
-    const { engine, direction, options: opts } = await this._prepareEngine(options);
+    const { engine, direction, options: opts, resolve } = await this._prepareEngine(options);
 
     // Validate each start node
     const starts = Array.isArray(start) ? start : [start];
@@ -347,7 +405,7 @@ export default class LogicalTraversal {
     }
 
     const { sorted, hasCycle } = await engine.topologicalSort({
-      start,
+      start: starts.map(resolve),
       direction,
       options: opts,
       maxNodes: Infinity,
@@ -368,7 +426,7 @@ export default class LogicalTraversal {
    * @throws {TraversalError} code 'NODE_NOT_FOUND' if a node does not exist
    */
   async commonAncestors(nodes, options = {}) {
-    const { engine, options: opts, depthLimit } = await this._prepareEngine(options);
+    const { engine, options: opts, depthLimit, resolve } = await this._prepareEngine(options);
 
     // Validate each node
     for (const n of nodes) {
@@ -381,7 +439,7 @@ export default class LogicalTraversal {
     }
 
     const { ancestors } = await engine.commonAncestors({
-      nodes,
+      nodes: nodes.map(resolve),
       options: opts,
       maxDepth: depthLimit,
       maxResults: options.maxResults,
@@ -404,10 +462,10 @@ export default class LogicalTraversal {
    * @throws {TraversalError} code 'E_WEIGHT_FN_CONFLICT' if both weightFn and nodeWeightFn provided
    */
   async weightedLongestPath(from, to, options = {}) {
-    const { engine, direction, options: opts } = await this._prepare(from, options);
+    const { engine, direction, options: opts, resolve } = await this._prepare(from, options);
     const { path, totalCost } = await engine.weightedLongestPath({
-      start: from,
-      goal: to,
+      start: resolve(from),
+      goal: resolve(to),
       direction,
       options: opts,
       weightFn: options.weightFn,
@@ -428,7 +486,7 @@ export default class LogicalTraversal {
    * @throws {TraversalError} code 'NODE_NOT_FOUND' if a start node does not exist
    */
   async levels(start, options = {}) {
-    const { engine, direction, options: opts } = await this._prepareEngine(options);
+    const { engine, direction, options: opts, resolve } = await this._prepareEngine(options);
 
     const starts = Array.isArray(start) ? start : [start];
     for (const s of starts) {
@@ -441,7 +499,7 @@ export default class LogicalTraversal {
     }
 
     const { levels, maxLevel } = await engine.levels({
-      start,
+      start: starts.map(resolve),
       direction,
       options: opts,
       maxNodes: Infinity,
@@ -460,7 +518,7 @@ export default class LogicalTraversal {
    * @throws {TraversalError} code 'NODE_NOT_FOUND' if a start node does not exist
    */
   async transitiveReduction(start, options = {}) {
-    const { engine, direction, options: opts } = await this._prepareEngine(options);
+    const { engine, direction, options: opts, resolve } = await this._prepareEngine(options);
 
     const starts = Array.isArray(start) ? start : [start];
     for (const s of starts) {
@@ -473,7 +531,7 @@ export default class LogicalTraversal {
     }
 
     const { edges, removed } = await engine.transitiveReduction({
-      start,
+      start: starts.map(resolve),
       direction,
       options: opts,
       maxNodes: Infinity,
@@ -492,7 +550,7 @@ export default class LogicalTraversal {
    * @throws {TraversalError} code 'NODE_NOT_FOUND' if a start node does not exist
    */
   async transitiveClosure(start, options = {}) {
-    const { engine, direction, options: opts } = await this._prepareEngine(options);
+    const { engine, direction, options: opts, resolve } = await this._prepareEngine(options);
 
     const starts = Array.isArray(start) ? start : [start];
     for (const s of starts) {
@@ -505,7 +563,7 @@ export default class LogicalTraversal {
     }
 
     const { edges } = await engine.transitiveClosure({
-      start,
+      start: starts.map(resolve),
       direction,
       options: opts,
       maxNodes: Infinity,
@@ -525,7 +583,7 @@ export default class LogicalTraversal {
    * @throws {TraversalError} code 'NODE_NOT_FOUND' if a start node does not exist
    */
   async *transitiveClosureStream(start, options = {}) {
-    const { engine, direction, options: opts } = await this._prepareEngine(options);
+    const { engine, direction, options: opts, resolve } = await this._prepareEngine(options);
 
     const starts = Array.isArray(start) ? start : [start];
     for (const s of starts) {
@@ -538,7 +596,7 @@ export default class LogicalTraversal {
     }
 
     yield* engine.transitiveClosureStream({
-      start,
+      start: starts.map(resolve),
       direction,
       options: opts,
       maxNodes: Infinity,
@@ -556,10 +614,10 @@ export default class LogicalTraversal {
    * @throws {TraversalError} code 'NODE_NOT_FOUND' if start node does not exist
    */
   async rootAncestors(start, options = {}) {
-    const { engine, options: opts, depthLimit } = await this._prepare(start, options);
+    const { engine, options: opts, depthLimit, resolve } = await this._prepare(start, options);
 
     const { roots } = await engine.rootAncestors({
-      start,
+      start: resolve(start),
       options: opts,
       maxNodes: Infinity,
       maxDepth: options.maxDepth ?? depthLimit,
@@ -567,4 +625,331 @@ export default class LogicalTraversal {
     });
     return { roots };
   }
+
+  /**
+   * PageRank over the whole graph.
+   *
+   * @param {{ dir?: 'out'|'in'|'both', labelFilter?: string|string[], damping?: number, tolerance?: number, maxIterations?: number, maxNodes?: number, signal?: AbortSignal }} [options] - Traversal options
+   * @returns {Promise<{scores: Map<string, number>, iterations: number, converged: boolean}>}
+   *   Scores summing to 1, keyed by node ID in sorted order
+   * @throws {TraversalError} code 'E_INVALID_DAMPING' if damping is outside [0, 1]
+   */
+  async pageRank(options = {}) {
+    const { engine, direction, options: opts, aliveNodes } = await this._prepareEngine(options);
+    const { scores, iterations, converged } = await engine.pageRank({
+      start: [...aliveNodes],
+      direction,
+      options: opts,
+      damping: options.damping,
+      tolerance: options.tolerance,
+      maxIterations: options.maxIterations,
+      maxNodes: options.maxNodes ?? Infinity,
+      signal: options.signal,
+    });
+    return { scores, iterations, converged };
+  }
+
+  /**
+   * Personalized PageRank: PageRank whose random jumps land on the seed
+   * nodes, ranking nodes by their proximity to the seeds. Scores cover the
+   * nodes reachable from the seeds.
+   *
+   * @param {string|string[]} seeds - One or more seed nodes
+   * @param {{ dir?: 'out'|'in'|'both', labelFilter?: string|string[], damping?: number, tolerance?: number, maxIterations?: number, maxNodes?: number, signal?: AbortSignal }} [options] - Traversal options
+   * @returns {Promise<{scores: Map<string, number>, iterations: number, converged: boolean}>}
+   *   Scores summing to 1, keyed by node ID in sorted order
+   * @throws {TraversalError} code 'NODE_NOT_FOUND' if a seed node does not exist
+   * @throws {TraversalError} code 'E_INVALID_DAMPING' if damping is outside [0, 1]
+   */
+  async personalizedPageRank(seeds, options = {}) {
+    const { engine, direction, options: opts, resolve } = await this._prepareEngine(options);
+
+    const starts = Array.isArray(seeds) ? seeds : [seeds];
+    for (const s of starts) {
+      if (!(await this._graph.hasNode(s))) {
+        throw new TraversalError(`Start node not found: ${s}`, {
+          code: 'NODE_NOT_FOUND',
+          context: { start: s },
+        });
+      }
+    }
+
+    const resolved = starts.map(resolve);
+    const { scores, iterations, converged } = await engine.pageRank({
+      start: resolved,
+      direction,
+      options: opts,
+      damping: options.damping,
+      tolerance: options.tolerance,
+      maxIterations: options.maxIterations,
+      personalization: Object.fromEntries(resolved.map((s) => [s, 1])),
+      maxNodes: options.maxNodes ?? Infinity,
+      signal: options.signal,
+    });
+    return { scores, iterations, converged };
+  }
+
+  /**
+   * Degree centrality over the whole graph: distinct neighbors in `dir`.
+   *
+   * @param {{ dir?: 'out'|'in'|'both', labelFilter?: string|string[], normalized?: boolean, maxNodes?: number, signal?: AbortSignal }} [options] - Traversal options
+   * @returns {Promise<{scores: Map<string, number>}>} Scores keyed by node ID in sorted order
+   */
+  async degreeCentrality(options = {}) {
+    const { engine, direction, options: opts, aliveNodes } = await this._prepareEngine(options);
+    const { scores } = await engine.degreeCentrality({
+      start: [...aliveNodes],
+      direction,
+      options: opts,
+      normalized: options.normalized,
+      maxNodes: options.maxNodes ?? Infinity,
+      signal: options.signal,
+    });
+    return { scores };
+  }
+
+  /**
+   * Closeness centrality over the whole graph (Wasserman–Faust).
+   *
+   * @param {{ dir?: 'out'|'in'|'both', labelFilter?: string|string[], maxNodes?: number, signal?: AbortSignal }} [options] - Traversal options
+   * @returns {Promise<{scores: Map<string, number>}>} Scores keyed by node ID in sorted order
+   */
+  async closenessCentrality(options = {}) {
+    const { engine, direction, options: opts, aliveNodes } = await this._prepareEngine(options);
+    const { scores } = await engine.closenessCentrality({
+      start: [...aliveNodes],
+      direction,
+      options: opts,
+      maxNodes: options.maxNodes ?? Infinity,
+      signal: options.signal,
+    });
+    return { scores };
+  }
+
+  /**
+   * Betweenness centrality over the whole graph (Brandes).
+   *
+   * @param {{ dir?: 'out'|'in'|'both', labelFilter?: string|string[], normalized?: boolean, maxNodes?: number, signal?: AbortSignal }} [options] - Traversal options
+   * @returns {Promise<{scores: Map<string, number>}>} Scores keyed by node ID in sorted order
+   */
+  async betweennessCentrality(options = {}) {
+    const { engine, direction, options: opts, aliveNodes } = await this._prepareEngine(options);
+    const { scores } = await engine.betweennessCentrality({
+      start: [...aliveNodes],
+      direction,
+      options: opts,
+      normalized: options.normalized,
+      maxNodes: options.maxNodes ?? Infinity,
+      signal: options.signal,
+    });
+    return { scores };
+  }
+
+  /**
+   * Strongly connected components of the whole graph (iterative Tarjan).
+   *
+   * @param {{ labelFilter?: string|string[], maxNodes?: number, signal?: AbortSignal }} [options] - Traversal options
+   * @returns {Promise<{components: string[][]}>} Components in topological order, each sorted
+   */
+  async stronglyConnectedComponents(options = {}) {
+    const { engine, options: opts, aliveNodes } = await this._prepareEngine(options);
+    const { components } = await engine.stronglyConnectedComponents({
+      start: [...aliveNodes],
+      options: opts,
+      maxNodes: options.maxNodes ?? Infinity,
+      signal: options.signal,
+    });
+    return { components };
+  }
+
+  /**
+   * Condensation DAG of the whole graph: one vertex per strongly connected
+   * component, identified by its index in `components`.
+   *
+   * @param {{ labelFilter?: string|string[], maxNodes?: number, signal?: AbortSignal }} [options] - Traversal options
+   * @returns {Promise<{components: string[][], componentOf: Map<string, number>, edges: Array<{from: number, to: number}>}>}
+   */
+  async condensation(options = {}) {
+    const { engine, options: opts, aliveNodes } = await this._prepareEngine(options);
+    const { components, componentOf, edges } = await engine.condensation({
+      start: [...aliveNodes],
+      options: opts,
+      maxNodes: options.maxNodes ?? Infinity,
+      signal: options.signal,
+    });
+    return { components, componentOf, edges };
+  }
+
+  /**
+   * Elementary cycles of the whole graph, each starting from its smallest node ID.
+   *
+   * @param {{ labelFilter?: string|string[], maxCycles?: number, maxLength?: number, maxNodes?: number, signal?: AbortSignal }} [options] - Traversal options
+   * @returns {Promise<{cycles: string[][], truncated: boolean}>}
+   *   Cycles found, and whether more exist beyond maxCycles
+   */
+  async findCycles(options = {}) {
+    const { engine, options: opts, aliveNodes } = await this._prepareEngine(options);
+    const { cycles, truncated } = await engine.findCycles({
+      start: [...aliveNodes],
+      options: opts,
+      maxCycles: options.maxCycles,
+      maxLength: options.maxLength,
+      maxNodes: options.maxNodes ?? Infinity,
+      signal: options.signal,
+    });
+    return { cycles, truncated };
+  }
+
+  /**
+   * Community detection over the whole graph by seeded label propagation,
+   * edges treated as undirected. The same graph state and `seed` give the
+   * same communities on every replica.
+   *
+   * With `writeProperty`, each node's community number is written to that
+   * property in one patch (nodes already holding it are skipped).
+   *
+   * @param {{ labelFilter?: string|string[], seed?: number, maxIterations?: number, maxNodes?: number, writeProperty?: string, signal?: AbortSignal }} [options] - Traversal options
+   * @returns {Promise<{communities: Map<string, number>, count: number, modularity: number, iterations: number, converged: boolean, patchSha: string|null}>}
+   *   Community per node ID in sorted order, numbered by smallest member; `patchSha` is the
+   *   write-back patch, or null when nothing was written
+   */
+  async labelPropagation(options = {}) {
+    const { engine, options: opts, aliveNodes, state } = await this._prepareEngine(options);
+    const { communities, count, modularity, iterations, converged } = await engine.labelPropagation({
+      start: [...aliveNodes],
+      options: opts,
+      seed: options.seed,
+      maxIterations: options.maxIterations,
+      maxNodes: options.maxNodes ?? Infinity,
+      signal: options.signal,
+    });
+    const patchSha = await this._writeCommunities(state, communities, options.writeProperty);
+    return { communities, count, modularity, iterations, converged, patchSha };
+  }
+
+  /**
+   * Community detection over the whole graph by Louvain modularity
+   * optimization, edges treated as undirected. The same graph state and
+   * `seed` give the same communities on every replica.
+   *
+   * With `writeProperty`, each node's community number is written to that
+   * property in one patch (nodes already holding it are skipped).
+   *
+   * @param {{ labelFilter?: string|string[], seed?: number, resolution?: number, maxIterations?: number, maxNodes?: number, writeProperty?: string, signal?: AbortSignal }} [options] - Traversal options
+   * @returns {Promise<{communities: Map<string, number>, count: number, modularity: number, levels: number, patchSha: string|null}>}
+   *   Community per node ID in sorted order, numbered by smallest member; `patchSha` is the
+   *   write-back patch, or null when nothing was written
+   * @throws {TraversalError} code 'E_INVALID_RESOLUTION' if resolution is not a positive finite number
+   */
+  async louvain(options = {}) {
+    const { engine, options: opts, aliveNodes, state } = await this._prepareEngine(options);
+    const { communities, count, modularity, levels } = await engine.louvain({
+      start: [...aliveNodes],
+      options: opts,
+      seed: options.seed,
+      resolution: options.resolution,
+      maxIterations: options.maxIterations,
+      maxNodes: options.maxNodes ?? Infinity,
+      signal: options.signal,
+    });
+    const patchSha = await this._writeCommunities(state, communities, options.writeProperty);
+    return { communities, count, modularity, levels, patchSha };
+  }
+
+  /**
+   * Maximum flow from `source` to `sink` along outgoing edges (Dinic's
+   * algorithm).
+   *
+   * Capacities come from `capacityFn`, or from the numeric edge property
+   * `capacityKey` (edges without it have capacity 0); with neither, every
+   * edge has capacity 1.
+   *
+   * @param {string} source - Source node ID
+   * @param {string} sink - Sink node ID
+   * @param {{ labelFilter?: string|string[], capacityFn?: (from: string, to: string, label: string) => number | Promise<number>, capacityKey?: string, maxNodes?: number, signal?: AbortSignal }} [options] - Traversal options
+   * @returns {Promise<{maxFlow: number, flows: Array<{from: string, to: string, label: string, flow: number}>}>}
+   *   The flow value, and every edge carrying flow sorted by (from, to, label)
+   * @throws {TraversalError} code 'NODE_NOT_FOUND' if the source node does not exist
+   * @throws {TraversalError} code 'E_SOURCE_IS_SINK' if source and sink are the same node
+   * @throws {TraversalError} code 'E_CAPACITY_SOURCE' if both capacityFn and capacityKey are given
+   * @throws {TraversalError} code 'E_INVALID_CAPACITY' if a capacity is not a finite non-negative number
+   */
+  async maxFlow(source, sink, options = {}) {
+    const { engine, options: opts, resolve } = await this._prepare(source, options);
+    const { maxFlow, flows } = await engine.maxFlow({
+      ...this._flowParams(resolve(source), resolve(sink), options),
+      options: opts,
+    });
+    return { maxFlow, flows };
+  }
+
+  /**
+   * Minimum `source`–`sink` cut along outgoing edges, with the capacities
+   * of `maxFlow`. The cut edges are the bottleneck: their capacities sum
+   * to the maximum flow.
+   *
+   * @param {string} source - Source node ID
+   * @param {string} sink - Sink node ID
+   * @param {{ labelFilter?: string|string[], capacityFn?: (from: string, to: string, label: string) => number | Promise<number>, capacityKey?: string, maxNodes?: number, signal?: AbortSignal }} [options] - Traversal options
+   * @returns {Promise<{capacity: number, cut: Array<{from: string, to: string, label: string, capacity: number}>, sourceSide: string[]}>}
+   *   The cut capacity, its edges sorted by (from, to, label), and the sorted source-side node IDs
+   * @throws {TraversalError} code 'NODE_NOT_FOUND' if the source node does not exist
+   * @throws {TraversalError} code 'E_SOURCE_IS_SINK' if source and sink are the same node
+   * @throws {TraversalError} code 'E_CAPACITY_SOURCE' if both capacityFn and capacityKey are given
+   * @throws {TraversalError} code 'E_INVALID_CAPACITY' if a capacity is not a finite non-negative number
+   */
+  async minCut(source, sink, options = {}) {
+    const { engine, options: opts, resolve } = await this._prepare(source, options);
+    const { capacity, cut, sourceSide } = await engine.minCut({
+      ...this._flowParams(resolve(source), resolve(sink), options),
+      options: opts,
+    });
+    return { capacity, cut, sourceSide };
+  }
+
+  /**
+   * Engine parameters shared by maxFlow and minCut. `capacityKey` is read
+   * through `graph.getEdgeProps()`.
+   *
+   * @private
+   * @param {string} source - Resolved source node ID
+   * @param {string} sink - Resolved sink node ID
+   * @param {{ capacityFn?: (from: string, to: string, label: string) => number | Promise<number>, capacityKey?: string, maxNodes?: number, signal?: AbortSignal }} options - Traversal options
+   */
+  _flowParams(source, sink, options) {
+    return {
+      source,
+      sink,
+      capacityFn: options.capacityFn,
+      capacityKey: options.capacityKey,
+      getEdgeProps: (/** @type {string} */ from, /** @type {string} */ to, /** @type {string} */ label) => this._graph.getEdgeProps(from, to, label),
+      maxNodes: options.maxNodes ?? Infinity,
+      signal: options.signal,
+    };
+  }
+
+  /**
+   * Commits one patch setting `key` to each node's community, skipping
+   * nodes whose property already holds it.
+   *
+   * @private
+   * @param {import('./JoinReducer.js').WarpStateV5} state - State the communities were computed from
+   * @param {Map<string, number>} communities
+   * @param {string|undefined} key - Property to write; nothing is written when undefined
+   * @returns {Promise<string|null>} The patch SHA, or null when nothing changed
+   */
+  async _writeCommunities(state, communities, key) {
+    if (key === undefined) {
+      return null;
+    }
+    const changed = [...communities].filter(([nodeId, community]) => state.prop.get(encodePropKey(nodeId, key))?.value !== community);
+    if (changed.length === 0) {
+      return null;
+    }
+    return await this._graph.patch((p) => {
+      for (const [nodeId, community] of changed) {
+        p.setProperty(nodeId, key, community);
+      }
+    });
+  }
 }
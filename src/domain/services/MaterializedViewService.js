@@ -1,6 +1,7 @@
 /**
  * Orchestrates building, persisting, and loading a MaterializedView
- * composed of a LogicalIndex + PropertyIndexReader.
+ * composed of a LogicalIndex + PropertyIndexReader + PropertyValueIndexReader
+ * + TextIndexReader.
  *
  * Five entry points:
  * - `build(state)` — from a WarpStateV5 (in-memory)
@@ -14,9 +15,12 @@
 
 import defaultCodec from '../utils/defaultCodec.js';
 import nullLogger from '../utils/nullLogger.js';
+import { mulberry32 } from '../utils/mulberry32.js';
 import LogicalIndexBuildService from './LogicalIndexBuildService.js';
 import LogicalIndexReader from './LogicalIndexReader.js';
 import PropertyIndexReader from './PropertyIndexReader.js';
+import PropertyValueIndexReader from './PropertyValueIndexReader.js';
+import TextIndexReader from './TextIndexReader.js';
 import IncrementalIndexUpdater from './IncrementalIndexUpdater.js';
 import { orsetElements, orsetContains } from '../crdt/ORSet.js';
 import { decodeEdgeKey } from './KeyCodec.js';
@@ -24,6 +28,12 @@ import { decodeEdgeKey } from './KeyCodec.js';
 /** Prefix for property shard paths in the index tree. */
 const PROPS_PREFIX = 'props_';
 
+/** Prefix for property-value shard paths in the index tree. */
+const VALUES_PREFIX = 'values_';
+
+/** Prefix for full-text shard paths in the index tree. */
+const TEXT_PREFIX = 'text_';
+
 /**
  * @typedef {import('./BitmapNeighborProvider.js').LogicalIndex} LogicalIndex
  */
@@ -33,6 +43,8 @@ const PROPS_PREFIX = 'props_';
  * @property {Record<string, Uint8Array>} tree
  * @property {LogicalIndex} logicalIndex
  * @property {PropertyIndexReader} propertyReader
+ * @property {PropertyValueIndexReader} valueIndex
+ * @property {TextIndexReader|null} textIndex - Null when no text index is configured
  * @property {Record<string, unknown>} receipt
  */
 
@@ -40,6 +52,8 @@ const PROPS_PREFIX = 'props_';
  * @typedef {Object} LoadResult
  * @property {LogicalIndex} logicalIndex
  * @property {PropertyIndexReader} propertyReader
+ * @property {PropertyValueIndexReader} valueIndex
+ * @property {TextIndexReader|null} textIndex - Null when no text index is configured
  */
 
 /**
@@ -59,69 +73,84 @@ const PROPS_PREFIX = 'props_';
  */
 
 /**
- * Creates a PropertyIndexReader backed by an in-memory tree map.
+ * Returns index storage that serves blobs from an in-memory tree map, with
+ * each path standing in for its OID.
  *
  * @param {Record<string, Uint8Array>} tree
- * @param {import('../../ports/CodecPort.js').default} codec
- * @returns {PropertyIndexReader}
+ * @returns {{ storage: import('../../ports/IndexStoragePort.js').default, shardOids: Record<string, string> }}
  */
-function buildInMemoryPropertyReader(tree, codec) {
+function inMemoryStorage(tree) {
   /** @type {Record<string, string>} */
-  const propShardOids = {};
+  const shardOids = {};
   for (const path of Object.keys(tree)) {
-    if (path.startsWith(PROPS_PREFIX)) {
-      propShardOids[path] = path;
-    }
+    shardOids[path] = path;
   }
+  const storage = /** @type {import('../../ports/IndexStoragePort.js').default} */ (/** @type {unknown} */ ({
+    readBlob: (/** @type {string} */ oid) => Promise.resolve(tree[oid]),
+  }));
+  return { storage, shardOids };
+}
 
-  const storage = /** @type {{ readBlob(oid: string): Promise<Uint8Array> }} */ ({
-    readBlob: (oid) => Promise.resolve(tree[oid]),
-  });
+/**
+ * Creates the property, property-value, and full-text readers backed by an
+ * in-memory tree map.
+ *
+ * @param {Record<string, Uint8Array>} tree
+ * @param {{ codec: import('../../ports/CodecPort.js').default, logicalIndex: LogicalIndex, textIndex: import('./TextAnalyzer.js').TextIndexConfig|null }} deps
+ * @returns {{ propertyReader: PropertyIndexReader, valueIndex: PropertyValueIndexReader, textIndex: TextIndexReader|null }}
+ */
+function buildInMemoryReaders(tree, { codec, logicalIndex, textIndex }) {
+  const { storage, shardOids } = inMemoryStorage(tree);
+  const { propOids, valueOids, textOids } = partitionShardOids(shardOids);
+
+  const propertyReader = new PropertyIndexReader({ storage, codec });
+  propertyReader.setup(propOids);
+  const valueIndex = new PropertyValueIndexReader({ storage, codec, logicalIndex });
+  valueIndex.setup(valueOids);
+  return { propertyReader, valueIndex, textIndex: createTextReader({ storage, codec, config: textIndex, textOids }) };
+}
 
-  const reader = new PropertyIndexReader({ storage, codec });
-  reader.setup(propShardOids);
+/**
+ * @param {{ storage: import('../../ports/IndexStoragePort.js').default, codec: import('../../ports/CodecPort.js').default, config: import('./TextAnalyzer.js').TextIndexConfig|null, textOids: Record<string, string> }} params
+ * @returns {TextIndexReader|null} Null when no text index is configured
+ */
+function createTextReader({ storage, codec, config, textOids }) {
+  if (!config) {
+    return null;
+  }
+  const reader = new TextIndexReader({ storage, codec, config });
+  reader.setup(textOids);
   return reader;
 }
 
 /**
- * Partitions shard OID entries into index vs property buckets.
+ * Partitions shard OID entries into index, property, value, and text buckets.
  *
  * @param {Record<string, string>} shardOids
- * @returns {{ indexOids: Record<string, string>, propOids: Record<string, string> }}
+ * @returns {{ indexOids: Record<string, string>, propOids: Record<string, string>, valueOids: Record<string, string>, textOids: Record<string, string> }}
  */
 function partitionShardOids(shardOids) {
   /** @type {Record<string, string>} */
   const indexOids = {};
   /** @type {Record<string, string>} */
   const propOids = {};
+  /** @type {Record<string, string>} */
+  const valueOids = {};
+  /** @type {Record<string, string>} */
+  const textOids = {};
 
   for (const [path, oid] of Object.entries(shardOids)) {
     if (path.startsWith(PROPS_PREFIX)) {
       propOids[path] = oid;
+    } else if (path.startsWith(VALUES_PREFIX)) {
+      valueOids[path] = oid;
+    } else if (path.startsWith(TEXT_PREFIX)) {
+      textOids[path] = oid;
     } else {
       indexOids[path] = oid;
     }
   }
-  return { indexOids, propOids };
-}
-
-/**
- * Mulberry32 PRNG — deterministic 32-bit generator from a seed.
- *
- * mulberry32 is a fast 32-bit PRNG by Tommy Ettinger. The magic constants
- * (0x6D2B79F5, shifts 15/13/16) are part of the published algorithm.
- * See: https://gist.github.com/tommyettinger/46a874533244883189143505d203312c
- *
- * @param {number} seed
- * @returns {() => number} Returns values in [0, 1)
- */
-function mulberry32(seed) {
-  let t = (seed | 0) + 0x6D2B79F5;
-  return () => {
-    t = Math.imul(t ^ (t >>> 15), t | 1);
-    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
-    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
-  };
+  return { indexOids, propOids, valueOids, textOids };
 }
 
 /**
@@ -228,12 +257,16 @@ function compareNodeDirection({ nodeId, direction, logicalIndex, truthMap }) {
 
 export default class MaterializedViewService {
   /**
-   * @param {{ codec?: import('../../ports/CodecPort.js').default, logger?: import('../../ports/LoggerPort.js').default }} [options]
+   * @param {{ codec?: import('../../ports/CodecPort.js').default, logger?: import('../../ports/LoggerPort.js').default, valueIndexKeys?: string[], textIndex?: import('./TextAnalyzer.js').TextIndexConfig|null }} [options]
+   *   `valueIndexKeys` are the property keys to build a value index for;
+   *   `textIndex` configures the full-text index
    */
   constructor(options = undefined) {
-    const { codec, logger } = options || {};
+    const { codec, logger, valueIndexKeys = [], textIndex = null } = options || {};
     this._codec = codec || defaultCodec;
     this._logger = logger || nullLogger;
+    this._valueIndexKeys = valueIndexKeys;
+    this._textIndex = textIndex;
   }
 
   /**
@@ -246,6 +279,8 @@ export default class MaterializedViewService {
     const svc = new LogicalIndexBuildService({
       codec: this._codec,
       logger: this._logger,
+      valueIndexKeys: this._valueIndexKeys,
+      textIndex: this._textIndex,
     });
     const { tree, receipt } = svc.build(state);
 
@@ -253,9 +288,25 @@ export default class MaterializedViewService {
       .loadFromTree(tree)
       .toLogicalIndex();
 
-    const propertyReader = buildInMemoryPropertyReader(tree, this._codec);
+    const { propertyReader, valueIndex, textIndex } = buildInMemoryReaders(tree, { codec: this._codec, logicalIndex, textIndex: this._textIndex });
 
-    return { tree, logicalIndex, propertyReader, receipt };
+    return { tree, logicalIndex, propertyReader, valueIndex, textIndex, receipt };
+  }
+
+  /**
+   * Builds only the full-text index for a state, in memory. Used when the
+   * index at hand was built for another configuration.
+   *
+   * @param {import('./JoinReducer.js').WarpStateV5} state
+   * @returns {TextIndexReader|null} Null when no text index is configured
+   */
+  buildTextIndex(state) {
+    if (!this._textIndex) {
+      return null;
+    }
+    const svc = new LogicalIndexBuildService({ codec: this._codec, logger: this._logger, textIndex: this._textIndex });
+    const { storage, shardOids } = inMemoryStorage(svc.buildTextTree(state));
+    return createTextReader({ storage, codec: this._codec, config: this._textIndex, textOids: shardOids });
   }
 
   /**
@@ -285,7 +336,7 @@ export default class MaterializedViewService {
    * @returns {Promise<LoadResult>}
    */
   async loadFromOids(shardOids, storage) {
-    const { indexOids, propOids } = partitionShardOids(shardOids);
+    const { indexOids, propOids, valueOids, textOids } = partitionShardOids(shardOids);
 
     const reader = new LogicalIndexReader({ codec: this._codec });
     await reader.loadFromOids(indexOids, storage);
@@ -297,7 +348,21 @@ export default class MaterializedViewService {
     });
     propertyReader.setup(propOids);
 
-    return { logicalIndex, propertyReader };
+    const valueIndex = new PropertyValueIndexReader({
+      storage: /** @type {import('../../ports/IndexStoragePort.js').default} */ (storage),
+      codec: this._codec,
+      logicalIndex,
+    });
+    valueIndex.setup(valueOids);
+
+    const textIndex = createTextReader({
+      storage: /** @type {import('../../ports/IndexStoragePort.js').default} */ (storage),
+      codec: this._codec,
+      config: this._textIndex,
+      textOids,
+    });
+
+    return { logicalIndex, propertyReader, valueIndex, textIndex };
   }
 
   /**
@@ -307,7 +372,11 @@ export default class MaterializedViewService {
    * @returns {BuildResult}
    */
   applyDiff({ existingTree, diff, state }) {
-    const updater = new IncrementalIndexUpdater({ codec: this._codec });
+    const updater = new IncrementalIndexUpdater({
+      codec: this._codec,
+      valueIndexKeys: this._valueIndexKeys,
+      textIndex: this._textIndex,
+    });
     const loadShard = (/** @type {string} */ path) => existingTree[path];
     const dirtyShards = updater.computeDirtyShards({ diff, state, loadShard });
     const tree = { ...existingTree, ...dirtyShards };
@@ -315,7 +384,7 @@ export default class MaterializedViewService {
     const logicalIndex = new LogicalIndexReader({ codec: this._codec })
       .loadFromTree(tree)
       .toLogicalIndex();
-    const propertyReader = buildInMemoryPropertyReader(tree, this._codec);
+    const { propertyReader, valueIndex, textIndex } = buildInMemoryReaders(tree, { codec: this._codec, logicalIndex, textIndex: this._textIndex });
 
     // Note: receipt.cbor is written only by the full build (LogicalIndexBuildService).
     // IncrementalIndexUpdater never writes a receipt, so the receipt returned here
@@ -329,6 +398,8 @@ export default class MaterializedViewService {
       tree,
       logicalIndex,
       propertyReader,
+      valueIndex,
+      textIndex,
       receipt: /** @type {Record<string, unknown>} */ (receipt),
     };
   }
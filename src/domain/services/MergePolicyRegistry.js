@@ -0,0 +1,244 @@
+/**
+ * MergePolicyRegistry - Per-property register merge policies
+ *
+ * Maps property-name globs (matched with {@link matchGlob}) to the
+ * {@link module:crdt/MergePolicy} used to join that property's register.
+ * Properties that match no pattern keep LWW semantics.
+ *
+ * A graph's registry is configured once via `WarpGraph.open({ mergePolicies })`
+ * and consulted by the JoinReducer for every `NodePropSet` / `EdgePropSet`
+ * and every state join. Because two replicas with different registries
+ * would materialize different values from the same patches, the registry's
+ * {@link MergePolicyRegistry#describe descriptor} is recorded in every
+ * checkpoint and compared on load ({@link mergePoliciesMatch}). The
+ * comparison ignores declaration order; custom policies are compared by
+ * name and params, so version a custom join through its params.
+ *
+ * ## Precedence
+ *
+ * Patterns are tried in declaration order and the first match wins, so
+ * list specific names before broad globs:
+ *
+ * ```javascript
+ * { closedAt: 'min', '*At': 'max' }
+ * ```
+ *
+ * @module domain/services/MergePolicyRegistry
+ */
+
+import { matchGlob } from '../utils/matchGlob.js';
+import { canonicalStringify } from '../utils/canonicalStringify.js';
+import { BUILTIN_MERGE_POLICIES, writerPriority } from '../crdt/MergePolicy.js';
+import MergePolicyError from '../errors/MergePolicyError.js';
+
+/**
+ * A policy as accepted in `mergePolicies` config: a built-in policy name
+ * or a policy object.
+ *
+ * @typedef {string|import('../crdt/MergePolicy.js').MergePolicy} MergePolicyConfigValue
+ */
+
+/**
+ * Serializable record of one registry entry, as stored in checkpoints.
+ *
+ * @typedef {Object} MergePolicyDescriptor
+ * @property {string} pattern - Property-name glob
+ * @property {string} policy - Policy name
+ * @property {unknown} [params] - Policy parameters, if any
+ */
+
+/**
+ * Resolves a config value to a policy object.
+ *
+ * @param {string} pattern
+ * @param {unknown} value
+ * @returns {import('../crdt/MergePolicy.js').MergePolicy}
+ * @throws {MergePolicyError} If the value is neither a built-in name nor a policy object
+ */
+function resolvePolicy(pattern, value) {
+  if (typeof value === 'string') {
+    const builtin = BUILTIN_MERGE_POLICIES[value];
+    if (!builtin) {
+      throw new MergePolicyError(
+        `Unknown merge policy "${value}" for "${pattern}". Built-in policies: ${Object.keys(BUILTIN_MERGE_POLICIES).join(', ')}, writerPriority([...])`,
+        { code: 'E_MERGE_POLICY_INVALID', context: { pattern, policy: value } },
+      );
+    }
+    return builtin;
+  }
+  const candidate = /** @type {{name?: unknown, join?: unknown}|null} */ (value);
+  if (!candidate || typeof candidate !== 'object' || typeof candidate.name !== 'string' || candidate.name.length === 0 || typeof candidate.join !== 'function') {
+    throw new MergePolicyError(
+      `Merge policy for "${pattern}" must be a policy name or an object with a name and a join(a, b) function`,
+      { code: 'E_MERGE_POLICY_INVALID', context: { pattern } },
+    );
+  }
+  return /** @type {import('../crdt/MergePolicy.js').MergePolicy} */ (value);
+}
+
+/**
+ * Formats descriptors for error messages.
+ *
+ * @param {MergePolicyDescriptor[]} descriptors
+ * @returns {string}
+ */
+function formatDescriptors(descriptors) {
+  if (descriptors.length === 0) {
+    return 'none (LWW)';
+  }
+  return descriptors
+    .map(({ pattern, policy, params }) => `${pattern}=${policy}${params === undefined ? '' : canonicalStringify(params)}`)
+    .join(', ');
+}
+
+/**
+ * Serializes descriptors sorted by pattern, so that two policy sets compare
+ * equal whatever order their patterns were declared in.
+ *
+ * @param {MergePolicyDescriptor[]} descriptors
+ * @returns {string}
+ */
+function canonicalDescriptors(descriptors) {
+  return canonicalStringify([...descriptors].sort((a, b) => a.pattern.localeCompare(b.pattern)));
+}
+
+/**
+ * Ordered glob → merge policy lookup.
+ */
+export default class MergePolicyRegistry {
+  /** @type {ReadonlyArray<{pattern: string, policy: import('../crdt/MergePolicy.js').MergePolicy}>} */
+  #entries;
+
+  /** @type {Map<string, import('../crdt/MergePolicy.js').MergePolicy|null>} */
+  #resolved = new Map();
+
+  /**
+   * @param {Array<{pattern: string, policy: import('../crdt/MergePolicy.js').MergePolicy}>} entries - In precedence order
+   */
+  constructor(entries) {
+    this.#entries = Object.freeze([...entries]);
+  }
+
+  /**
+   * Builds a registry from `WarpGraph.open({ mergePolicies })` config.
+   *
+   * @param {Record<string, MergePolicyConfigValue>|undefined|null} config - Property-name glob → policy
+   * @returns {MergePolicyRegistry|null} The registry, or null when no policies are configured
+   * @throws {MergePolicyError} If config is not an object or any entry is invalid
+   */
+  static from(config) {
+    if (config === undefined || config === null) {
+      return null;
+    }
+    if (typeof config !== 'object' || Array.isArray(config)) {
+      throw new MergePolicyError('mergePolicies must be an object mapping property-name globs to policies', {
+        code: 'E_MERGE_POLICY_INVALID',
+      });
+    }
+    const entries = Object.entries(config).map(([pattern, value]) => {
+      if (pattern.length === 0) {
+        throw new MergePolicyError('mergePolicies patterns must be non-empty', { code: 'E_MERGE_POLICY_INVALID' });
+      }
+      return { pattern, policy: resolvePolicy(pattern, value) };
+    });
+    return entries.length > 0 ? new MergePolicyRegistry(entries) : null;
+  }
+
+  /**
+   * Returns the policy for a property key, or null for LWW.
+   *
+   * @param {string} key - Property key (not the encoded prop key)
+   * @returns {import('../crdt/MergePolicy.js').MergePolicy|null}
+   */
+  policyFor(key) {
+    let policy = this.#resolved.get(key);
+    if (policy === undefined) {
+      policy = this.#entries.find((entry) => matchGlob(entry.pattern, key))?.policy ?? null;
+      this.#resolved.set(key, policy);
+    }
+    return policy;
+  }
+
+  /**
+   * Returns the registry as `mergePolicies` config (used to open forks with
+   * the same policies).
+   *
+   * @returns {Record<string, import('../crdt/MergePolicy.js').MergePolicy>}
+   */
+  toConfig() {
+    return Object.fromEntries(this.#entries.map(({ pattern, policy }) => [pattern, policy]));
+  }
+
+  /**
+   * Returns the serializable descriptor recorded in checkpoints.
+   *
+   * @returns {MergePolicyDescriptor[]}
+   */
+  describe() {
+    return this.#entries.map(({ pattern, policy }) => (
+      policy.params === undefined
+        ? { pattern, policy: policy.name }
+        : { pattern, policy: policy.name, params: policy.params }
+    ));
+  }
+}
+
+/**
+ * Returns whether a checkpoint was written under the same merge policies as
+ * the reading graph. A missing record means the checkpoint was written
+ * without policies. Declaration order is not compared.
+ *
+ * @param {MergePolicyRegistry|null} registry - The reading graph's registry
+ * @param {MergePolicyDescriptor[]|null|undefined} recorded - Descriptor stored in the checkpoint
+ * @returns {boolean}
+ */
+export function mergePoliciesMatch(registry, recorded) {
+  return canonicalDescriptors(registry ? registry.describe() : []) === canonicalDescriptors(recorded || []);
+}
+
+/**
+ * Verifies that a checkpoint was written under the same merge policies as
+ * the reading graph (see {@link mergePoliciesMatch}).
+ *
+ * @param {MergePolicyRegistry|null} registry - The reading graph's registry
+ * @param {MergePolicyDescriptor[]|null|undefined} recorded - Descriptor stored in the checkpoint
+ * @param {string} checkpointSha - For the error message
+ * @throws {MergePolicyError} With code `E_MERGE_POLICY_MISMATCH` if they differ
+ */
+export function assertMergePoliciesMatch(registry, recorded, checkpointSha) {
+  if (mergePoliciesMatch(registry, recorded)) {
+    return;
+  }
+  const configured = registry ? registry.describe() : [];
+  const stored = recorded || [];
+  throw new MergePolicyError(
+    `Checkpoint ${checkpointSha} was written with merge policies [${formatDescriptors(stored)}] ` +
+      `but this graph is configured with [${formatDescriptors(configured)}]. ` +
+      'Open the graph with the same mergePolicies as the replicas that share it.',
+    { code: 'E_MERGE_POLICY_MISMATCH', context: { checkpointSha, recorded: stored, configured } },
+  );
+}
+
+/**
+ * Rebuilds `mergePolicies` config from descriptors recorded in a
+ * checkpoint, so tools that don't know a graph's policies can open it
+ * with them. Only built-in policies and writerPriority can be rebuilt.
+ *
+ * @param {MergePolicyDescriptor[]} descriptors - Recorded descriptors
+ * @returns {Record<string, MergePolicyConfigValue>}
+ * @throws {MergePolicyError} With code `E_MERGE_POLICY_INVALID` if a descriptor names a custom policy
+ */
+export function configFromDescriptors(descriptors) {
+  return Object.fromEntries(descriptors.map(({ pattern, policy, params }) => {
+    if (policy === 'writerPriority') {
+      return [pattern, writerPriority(/** @type {string[]} */ (params))];
+    }
+    if (!BUILTIN_MERGE_POLICIES[policy]) {
+      throw new MergePolicyError(
+        `Merge policy "${policy}" for "${pattern}" is custom and cannot be rebuilt from its descriptor; pass the policy object to WarpGraph.open({ mergePolicies })`,
+        { code: 'E_MERGE_POLICY_INVALID', context: { pattern, policy } },
+      );
+    }
+    return [pattern, policy];
+  }));
+}
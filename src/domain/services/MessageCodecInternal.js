@@ -48,6 +48,8 @@ export const TRAILER_KEYS = {
   dataCommit: 'eg-data-commit',
   opsDigest: 'eg-ops-digest',
   encrypted: 'eg-encrypted',
+  revertOf: 'eg-revert-of',
+  mergedFrom: 'eg-merged-from',
 };
 
 /**
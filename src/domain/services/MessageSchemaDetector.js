@@ -31,6 +31,13 @@ export const SCHEMA_V2 = 2;
  */
 export const SCHEMA_V3 = 3;
 
+/**
+ * Patch schema version for patches that may contain CRDT property ops
+ * (counters, OR-Sets, sequences) or node merges.
+ * @type {number}
+ */
+export const SCHEMA_V4 = 4;
+
 /**
  * Alias: patch schema v2 (classic node-only patches).
  * Use this when you need to be explicit that you mean *patch* schema,
@@ -47,38 +54,77 @@ export const PATCH_SCHEMA_V2 = SCHEMA_V2;
  */
 export const PATCH_SCHEMA_V3 = SCHEMA_V3;
 
+/**
+ * Alias: patch schema v4 (CRDT-property-aware patches).
+ * Use this when you need to be explicit that you mean *patch* schema,
+ * not checkpoint schema.
+ * @type {number}
+ */
+export const PATCH_SCHEMA_V4 = SCHEMA_V4;
+
+/**
+ * Op types introduced by schema v4. Readers before v4 drop these ops
+ * silently in the reducer, so they must reject patches carrying them.
+ * @type {ReadonlySet<string>}
+ */
+const SCHEMA_V4_OP_TYPES = new Set([
+  'PropIncrement',
+  'SetAdd',
+  'SetRemove',
+  'SeqInsert',
+  'SeqRemove',
+  'SeqMove',
+  'NodeMerge',
+]);
+
 // -----------------------------------------------------------------------------
 // Schema Version Detection
 // -----------------------------------------------------------------------------
 
+/**
+ * Returns true if the op is an edge property write (the schema v3 feature).
+ *
+ * @param {{type: string, node?: string}} op
+ * @returns {boolean}
+ * @private
+ */
+function isEdgePropOp(op) {
+  // Canonical EdgePropSet always implies schema 3
+  if (op.type === 'EdgePropSet') {
+    return true;
+  }
+  // Legacy raw PropSet with edge-property encoding
+  return op.type === 'PropSet' && typeof op.node === 'string' && op.node.startsWith(EDGE_PROP_PREFIX);
+}
+
 /**
  * Detects the appropriate schema version for a set of patch operations.
  *
- * Returns schema 3 if ANY PropSet op has a `node` field starting with the
- * edge property prefix (`\x01`), indicating edge property support is required.
- * Otherwise returns schema 2 for backward compatibility.
+ * Returns schema 4 if ANY op is a counter, set, sequence, or node-merge op.
+ * Otherwise returns schema 3 if ANY PropSet op has a `node` field starting
+ * with the edge property prefix (`\x01`), indicating edge property support
+ * is required. Otherwise returns schema 2 for backward compatibility.
  *
  * @param {Array<{type: string, node?: string}>} ops - Array of patch operations
- * @returns {number} The schema version (2 or 3)
+ * @returns {number} The schema version (2, 3, or 4)
  */
 export function detectSchemaVersion(ops) {
   if (!Array.isArray(ops)) {
     return SCHEMA_V2;
   }
+  let schema = SCHEMA_V2;
   for (const op of ops) {
     if (!op || typeof op !== 'object') {
       continue;
     }
-    // Canonical EdgePropSet always implies schema 3
-    if (op.type === 'EdgePropSet') {
-      return SCHEMA_V3;
+    if (SCHEMA_V4_OP_TYPES.has(op.type)) {
+      return SCHEMA_V4;
     }
-    // Legacy raw PropSet with edge-property encoding
-    if (op.type === 'PropSet' && typeof op.node === 'string' && op.node.startsWith(EDGE_PROP_PREFIX)) {
-      return SCHEMA_V3;
+    if (isEdgePropOp(op)) {
+      schema = SCHEMA_V3;
     }
   }
-  return SCHEMA_V2;
+  return schema;
 }
 
 // -----------------------------------------------------------------------------
@@ -90,12 +136,13 @@ export function detectSchemaVersion(ops) {
  * maximum supported schema version. Throws {@link SchemaUnsupportedError} if
  * any operation requires a higher schema version than `maxSchema`.
  *
- * Currently the only schema boundary is v2 -> v3:
+ * Schema boundaries:
  * - Schema v3 introduces edge property PropSet ops (node starts with `\x01`).
- * - A v2-only reader MUST reject patches containing such ops to prevent
- *   silent data loss.
- * - A v3 patch that contains only classic node/edge ops is accepted by v2
- *   readers — the schema number alone is NOT a rejection criterion.
+ * - Schema v4 introduces counter, set, sequence, and node-merge ops.
+ * - A reader MUST reject patches containing ops from a newer schema to
+ *   prevent silent data loss.
+ * - A patch that contains only ops an older reader understands is accepted
+ *   by it — the schema number alone is NOT a rejection criterion.
  *
  * @param {Array<{type: string, node?: string}>} ops - Decoded patch operations
  * @param {number} maxSchema - Maximum schema version the reader supports
@@ -103,13 +150,12 @@ export function detectSchemaVersion(ops) {
  *
  * @example
  * import { assertOpsCompatible, SCHEMA_V2 } from './MessageSchemaDetector.js';
- * assertOpsCompatible(patch.ops, SCHEMA_V2); // throws if edge prop ops found
+ * assertOpsCompatible(patch.ops, SCHEMA_V2); // throws if edge prop or v4 ops found
  */
 export function assertOpsCompatible(ops, maxSchema) {
-  if (maxSchema >= SCHEMA_V3) {
-    return; // v3 readers understand everything up to v3
+  if (maxSchema >= SCHEMA_V4) {
+    return; // v4 readers understand everything up to v4
   }
-  // For v2 readers: scan for edge property ops (the v3 feature)
   if (!Array.isArray(ops)) {
     return;
   }
@@ -117,14 +163,20 @@ export function assertOpsCompatible(ops, maxSchema) {
     if (!op || typeof op !== 'object') {
       continue;
     }
-    if (
-      // Canonical EdgePropSet (ADR 1) — should never appear on wire pre-ADR 2,
-      // but reject defensively for v2 readers
-      op.type === 'EdgePropSet' ||
-      (op.type === 'PropSet' &&
-        typeof op.node === 'string' &&
-        op.node.startsWith(EDGE_PROP_PREFIX))
-    ) {
+    if (SCHEMA_V4_OP_TYPES.has(op.type)) {
+      throw new SchemaUnsupportedError(
+        `Upgrade to a reader that supports patch schema 4 to sync ${op.type} ops.`,
+        {
+          context: {
+            requiredSchema: SCHEMA_V4,
+            maxSupportedSchema: maxSchema,
+          },
+        }
+      );
+    }
+    // Canonical EdgePropSet (ADR 1) — should never appear on wire pre-ADR 2,
+    // but reject defensively for v2 readers
+    if (maxSchema < SCHEMA_V3 && isEdgePropOp(op)) {
       throw new SchemaUnsupportedError(
         'Upgrade to >=7.3.0 (WEIGHTED) to sync edge properties.',
         {
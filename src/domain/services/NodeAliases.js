@@ -0,0 +1,298 @@
+/**
+ * NodeAliases - Folds merged nodes into their survivors
+ *
+ * `builder.mergeNodes(survivor, absorbed)` records an alias: an LWW register
+ * in `state.aliases` naming the node the absorbed ID now resolves to. The
+ * reducer never moves data between nodes — patches keep writing under the
+ * ID they name — so merges commute with every other op and with state
+ * joins. Reads instead go through a projection of the state in which every
+ * alias class is folded into its canonical ID:
+ *
+ * - node and edge OR-Set entries are re-keyed and their dots unioned
+ *   (tombstones are global, so they carry over unchanged);
+ * - property registers are joined per re-keyed key under the property's
+ *   merge policy (LWW by default);
+ * - counters are summed and set/sequence properties joined, and their
+ *   values projected over the joined register the way the reducer does.
+ *
+ * Alias chains resolve transitively. Concurrent merges that form a cycle
+ * (a into b while b into a) resolve to the smallest ID in the cycle, so
+ * every replica picks the same survivor.
+ *
+ * @module domain/services/NodeAliases
+ */
+
+import { orsetContains } from '../crdt/ORSet.js';
+import { lwwSet, lwwMax } from '../crdt/LWW.js';
+import { pncounterValue, pncounterMaxEventId } from '../crdt/PNCounter.js';
+import { setPropertyJoin, setPropertyValue } from '../crdt/SetProperty.js';
+import { sequenceJoin, sequenceValue } from '../crdt/SequenceProperty.js';
+import { compareEventIds } from '../utils/EventId.js';
+import {
+  encodeEdgeKey, decodeEdgeKey, encodePropKey, decodePropKey,
+  encodeEdgePropKey, isEdgePropKey, decodeEdgePropKey,
+} from './KeyCodec.js';
+
+/** @typedef {import('./JoinReducer.js').WarpStateV5} WarpStateV5 */
+/** @typedef {import('../crdt/LWW.js').LWWRegister<unknown>} Register */
+/** @typedef {(id: string) => string} Rekey */
+
+/**
+ * Resolves a node ID through an alias table to its canonical ID.
+ *
+ * @param {(nodeId: string) => string|undefined} targetOf - Node an ID was merged into, if any
+ * @param {string} nodeId
+ * @returns {string}
+ */
+export function resolveAlias(targetOf, nodeId) {
+  const path = [nodeId];
+  let current = targetOf(nodeId);
+  while (current !== undefined) {
+    const seen = path.indexOf(current);
+    if (seen !== -1) {
+      return path.slice(seen).sort()[0];
+    }
+    path.push(current);
+    current = targetOf(current);
+  }
+  return path[path.length - 1];
+}
+
+/**
+ * Resolves a node ID through the state's alias table.
+ *
+ * @param {WarpStateV5} state
+ * @param {string} nodeId
+ * @returns {string} The canonical ID; `nodeId` itself when it was never merged
+ */
+export function resolveNodeAlias(state, nodeId) {
+  const { aliases } = state;
+  if (!aliases || aliases.size === 0) {
+    return nodeId;
+  }
+  return resolveAlias((id) => aliases.get(id)?.value, nodeId);
+}
+
+/**
+ * Lists every ID that resolves to the same canonical node as `nodeId`,
+ * canonical ID included.
+ *
+ * @param {WarpStateV5} state
+ * @param {string} nodeId
+ * @returns {string[]} Sorted IDs
+ */
+export function aliasClass(state, nodeId) {
+  const canonical = resolveNodeAlias(state, nodeId);
+  const members = new Set([canonical]);
+  for (const id of state.aliases?.keys() || []) {
+    if (resolveNodeAlias(state, id) === canonical) {
+      members.add(id);
+    }
+  }
+  return [...members].sort();
+}
+
+/**
+ * Projects the state with every merged node folded into its canonical ID.
+ * Returns `state` itself when nothing was merged. The projection shares
+ * unchanged structures with `state` and must be treated as read-only.
+ *
+ * @param {WarpStateV5} state
+ * @returns {WarpStateV5}
+ */
+export function projectNodeAliases(state) {
+  if (!state.aliases || state.aliases.size === 0) {
+    return state;
+  }
+  /** @type {Map<string, string>} */
+  const canonical = new Map();
+  for (const id of state.aliases.keys()) {
+    canonical.set(id, resolveNodeAlias(state, id));
+  }
+  /** @type {Rekey} */
+  const node = (id) => canonical.get(id) ?? id;
+  /** @type {Rekey} */
+  const edge = (key) => rekeyEdge(key, node);
+  /** @type {Rekey} */
+  const prop = (key) => rekeyProp(key, node);
+
+  /** @type {WarpStateV5} */
+  const view = {
+    nodeAlive: foldORSet(state.nodeAlive, node),
+    edgeAlive: foldORSet(state.edgeAlive, edge),
+    prop: foldRegisters(state, prop),
+    observedFrontier: state.observedFrontier,
+    edgeBirthEvent: foldBirthEvents(state, edge),
+    counters: new Map(),
+    sets: new Map(),
+    sequences: new Map(),
+    aliases: state.aliases,
+  };
+  if (state.mergePolicies) {
+    view.mergePolicies = state.mergePolicies;
+  }
+  foldDerived(groupBy(state.counters, prop), { target: view.counters, propMap: view.prop }, {
+    combine: sumCounters,
+    project: (counter) => [pncounterMaxEventId(counter), pncounterValue(counter)],
+  });
+  foldDerived(groupBy(state.sets, prop), { target: view.sets, propMap: view.prop }, {
+    combine: setPropertyJoin,
+    project: (setProp) => [setProp.eventId, Object.freeze(setPropertyValue(setProp))],
+  });
+  foldDerived(groupBy(state.sequences, prop), { target: view.sequences, propMap: view.prop }, {
+    combine: sequenceJoin,
+    project: (seq) => [seq.eventId, Object.freeze(sequenceValue(seq))],
+  });
+  return view;
+}
+
+/**
+ * @param {string} edgeKey
+ * @param {Rekey} node
+ * @returns {string}
+ */
+function rekeyEdge(edgeKey, node) {
+  const { from, to, label } = decodeEdgeKey(edgeKey);
+  return encodeEdgeKey(node(from), node(to), label);
+}
+
+/**
+ * @param {string} propKey - Encoded node or edge prop key
+ * @param {Rekey} node
+ * @returns {string}
+ */
+function rekeyProp(propKey, node) {
+  if (isEdgePropKey(propKey)) {
+    const { from, to, label, propKey: key } = decodeEdgePropKey(propKey);
+    return encodeEdgePropKey(node(from), node(to), label, key);
+  }
+  const { nodeId, propKey: key } = decodePropKey(propKey);
+  return encodePropKey(node(nodeId), key);
+}
+
+/**
+ * Groups map values by re-keyed key, in iteration order.
+ *
+ * @template V
+ * @param {Map<string, V>|undefined} map
+ * @param {Rekey} rekey
+ * @returns {Map<string, V[]>}
+ */
+function groupBy(map, rekey) {
+  /** @type {Map<string, V[]>} */
+  const groups = new Map();
+  for (const [key, value] of map || []) {
+    const target = rekey(key);
+    const group = groups.get(target);
+    if (group) {
+      group.push(value);
+    } else {
+      groups.set(target, [value]);
+    }
+  }
+  return groups;
+}
+
+/**
+ * Re-keys OR-Set entries, unioning the dots of elements that fold together.
+ *
+ * @param {import('../crdt/ORSet.js').ORSet} orset
+ * @param {Rekey} rekey
+ * @returns {import('../crdt/ORSet.js').ORSet}
+ */
+function foldORSet(orset, rekey) {
+  /** @type {Map<string, Set<string>>} */
+  const entries = new Map();
+  for (const [element, dots] of groupBy(orset.entries, rekey)) {
+    entries.set(element, dots.length === 1 ? dots[0] : new Set(dots.flatMap((d) => [...d])));
+  }
+  return { entries, tombstones: orset.tombstones };
+}
+
+/**
+ * Joins the property registers of keys that fold together.
+ *
+ * @param {WarpStateV5} state
+ * @param {Rekey} rekey
+ * @returns {Map<string, Register>}
+ */
+function foldRegisters(state, rekey) {
+  /** @type {Map<string, Register>} */
+  const prop = new Map();
+  for (const [key, registers] of groupBy(state.prop, rekey)) {
+    const name = isEdgePropKey(key) ? decodeEdgePropKey(key).propKey : decodePropKey(key).propKey;
+    const policy = state.mergePolicies ? state.mergePolicies.policyFor(name) : null;
+    prop.set(key, registers.reduce((acc, reg) => (
+      policy ? policy.join(acc, reg) : /** @type {Register} */ (lwwMax(acc, reg))
+    )));
+  }
+  return prop;
+}
+
+/**
+ * Picks the birth event of each folded edge: the earliest among incarnations
+ * that are still alive, so the properties of every merged edge stay visible,
+ * or the latest when none is alive.
+ *
+ * @param {WarpStateV5} state
+ * @param {Rekey} rekey
+ * @returns {Map<string, import('../utils/EventId.js').EventId>}
+ */
+function foldBirthEvents(state, rekey) {
+  /** @type {Map<string, import('../utils/EventId.js').EventId>} */
+  const births = new Map();
+  const edgeKeys = new Map([...state.edgeBirthEvent.keys()].map((k) => [k, k]));
+  for (const [key, members] of groupBy(edgeKeys, rekey)) {
+    const alive = members.filter((k) => orsetContains(state.edgeAlive, k));
+    const events = (alive.length > 0 ? alive : members)
+      .map((k) => /** @type {import('../utils/EventId.js').EventId} */ (state.edgeBirthEvent.get(k)))
+      .sort(compareEventIds);
+    births.set(key, alive.length > 0 ? events[0] : events[events.length - 1]);
+  }
+  return births;
+}
+
+/**
+ * Combines derived-property CRDTs (counters, sets, sequences) that fold
+ * together and projects each combined value into the property map, unless
+ * the joined register carries a later plain write.
+ *
+ * @template V
+ * @param {Map<string, V[]>} groups
+ * @param {{ target: Map<string, V>, propMap: Map<string, Register> }} into
+ * @param {{ combine: (a: V, b: V) => V, project: (value: V) => [import('../utils/EventId.js').EventId|null, unknown] }} ops
+ */
+function foldDerived(groups, { target, propMap }, { combine, project }) {
+  for (const [key, members] of groups) {
+    if (members.length === 1) {
+      target.set(key, members[0]);
+      continue;
+    }
+    const combined = members.reduce(combine);
+    target.set(key, combined);
+    const [eventId, value] = project(combined);
+    const current = propMap.get(key);
+    if (eventId && (!current || compareEventIds(current.eventId, eventId) <= 0)) {
+      propMap.set(key, lwwSet(eventId, value));
+    }
+  }
+}
+
+/**
+ * Adds two PN-Counters slot by slot. Unlike a join, the result counts the
+ * contributions of both: the counters belong to different nodes.
+ *
+ * @param {import('../crdt/PNCounter.js').PNCounter} a
+ * @param {import('../crdt/PNCounter.js').PNCounter} b
+ * @returns {import('../crdt/PNCounter.js').PNCounter}
+ */
+function sumCounters(a, b) {
+  const result = new Map(a);
+  for (const [writerId, slot] of b) {
+    const other = result.get(writerId);
+    result.set(writerId, other
+      ? { p: other.p + slot.p, n: other.n + slot.n, eventId: compareEventIds(other.eventId, slot.eventId) >= 0 ? other.eventId : slot.eventId }
+      : slot);
+  }
+  return result;
+}
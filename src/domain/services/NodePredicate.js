@@ -0,0 +1,328 @@
+/**
+ * NodePredicate - Declarative, JSON-serializable node predicates.
+ *
+ * A predicate is a plain object whose keys are all required to hold:
+ *
+ * ```
+ * predicate := { id?: condition, props?: { [key]: condition },
+ *                and?: predicate[], or?: predicate[], not?: predicate }
+ * condition := { eq?, ne?, gt?, gte?, lt?, lte?, in?: value[],
+ *                exists?: boolean, prefix?: string, regex?: string, flags?: string }
+ *            | value                       (shorthand for { eq: value })
+ * ```
+ *
+ * The shorthand covers every value except objects, which are always read
+ * as conditions; write `{ eq: { ... } }` to compare with an object.
+ *
+ * Every operator except `exists` is false for a missing property. Equality
+ * compares arrays and objects structurally; ordering operators only hold
+ * between two numbers or two strings.
+ *
+ * Predicates are validated when compiled, so a malformed one fails up front
+ * rather than silently matching nothing. The same compiled form backs
+ * `QueryBuilder.where()`, observer `where` filters, and `watch()`.
+ *
+ * @module domain/services/NodePredicate
+ */
+
+import QueryError from '../errors/QueryError.js';
+import { valuesEqual } from './PatchPreconditions.js';
+
+/**
+ * A JSON value: null, boolean, finite number, string, or an array or plain
+ * object of JSON values.
+ *
+ * @typedef {null|boolean|number|string|unknown[]|Record<string, unknown>} PredicateValue
+ */
+
+/**
+ * @typedef {Object} ValueCondition
+ * @property {PredicateValue} [eq] - Equal to the value
+ * @property {PredicateValue} [ne] - Present and not equal to the value
+ * @property {number|string} [gt] - Greater than
+ * @property {number|string} [gte] - Greater than or equal
+ * @property {number|string} [lt] - Less than
+ * @property {number|string} [lte] - Less than or equal
+ * @property {PredicateValue[]} [in] - Equal to one of the values
+ * @property {boolean} [exists] - Present (`true`) or missing (`false`)
+ * @property {string} [prefix] - A string starting with the prefix
+ * @property {string} [regex] - A string matching the regular expression
+ * @property {string} [flags] - Flags for `regex` (any of `imsu`)
+ */
+
+/**
+ * @typedef {Object} NodePredicateSpec
+ * @property {ValueCondition|string} [id] - Condition on the node ID
+ * @property {Record<string, ValueCondition|null|boolean|number|string|unknown[]>} [props] - Conditions on properties, all required
+ * @property {NodePredicateSpec[]} [and] - Every predicate holds
+ * @property {NodePredicateSpec[]} [or] - At least one predicate holds
+ * @property {NodePredicateSpec} [not] - The predicate does not hold
+ */
+
+/** @typedef {{ id: string, props: Record<string, unknown> }} PredicateNode */
+/** @typedef {(node: PredicateNode) => boolean} CompiledPredicate */
+/** @typedef {(value: unknown) => boolean} ValueTest */
+
+const REGEX_FLAGS = /^[imsu]*$/;
+
+/**
+ * @param {string} path
+ * @param {string} reason
+ * @returns {QueryError}
+ */
+function predicateError(path, reason) {
+  return new QueryError(path ? `Invalid predicate at ${path}: ${reason}` : `Invalid predicate: ${reason}`, {
+    code: 'E_QUERY_PREDICATE',
+    context: { path },
+  });
+}
+
+/**
+ * @param {unknown} value
+ * @returns {value is Record<string, unknown>}
+ */
+function isPlainObject(value) {
+  if (value === null || typeof value !== 'object') {
+    return false;
+  }
+  const proto = Object.getPrototypeOf(value);
+  return proto === Object.prototype || proto === null;
+}
+
+/**
+ * Checks that a value survives a JSON round trip unchanged.
+ *
+ * @param {unknown} value
+ * @returns {value is PredicateValue}
+ */
+function isJsonValue(value) {
+  if (value === null || typeof value === 'string' || typeof value === 'boolean') {
+    return true;
+  }
+  if (typeof value === 'number') {
+    return Number.isFinite(value);
+  }
+  if (Array.isArray(value)) {
+    return value.every(isJsonValue);
+  }
+  return isPlainObject(value) && Object.values(value).every(isJsonValue);
+}
+
+/**
+ * Ordering comparisons only hold between two numbers or two strings.
+ *
+ * @param {unknown} a
+ * @param {unknown} b
+ * @returns {boolean}
+ */
+function comparable(a, b) {
+  return typeof a === typeof b && (typeof a === 'number' || typeof a === 'string');
+}
+
+/** @type {Record<string, (operand: unknown, path: string) => ValueTest>} */
+const OPERATORS = {
+  eq: (operand, path) => {
+    const expected = jsonOperand(operand, path);
+    return (value) => valuesEqual(value, expected);
+  },
+  ne: (operand, path) => {
+    const expected = jsonOperand(operand, path);
+    return (value) => !valuesEqual(value, expected);
+  },
+  gt: (operand, path) => ordered(operand, path, (value) => /** @type {number} */ (value) > /** @type {number} */ (operand)),
+  gte: (operand, path) => ordered(operand, path, (value) => /** @type {number} */ (value) >= /** @type {number} */ (operand)),
+  lt: (operand, path) => ordered(operand, path, (value) => /** @type {number} */ (value) < /** @type {number} */ (operand)),
+  lte: (operand, path) => ordered(operand, path, (value) => /** @type {number} */ (value) <= /** @type {number} */ (operand)),
+  in: (operand, path) => {
+    if (!Array.isArray(operand)) {
+      throw predicateError(path, 'expected an array of values');
+    }
+    const values = /** @type {PredicateValue[]} */ (jsonOperand(operand, path));
+    return (value) => values.some((candidate) => valuesEqual(value, candidate));
+  },
+  prefix: (operand, path) => {
+    if (typeof operand !== 'string') {
+      throw predicateError(path, 'expected a string');
+    }
+    return (value) => typeof value === 'string' && value.startsWith(operand);
+  },
+};
+
+/**
+ * @param {unknown} operand
+ * @param {string} path
+ * @returns {PredicateValue}
+ */
+function jsonOperand(operand, path) {
+  if (!isJsonValue(operand)) {
+    throw predicateError(path, 'expected a JSON value');
+  }
+  return operand;
+}
+
+/**
+ * @param {unknown} operand
+ * @param {string} path
+ * @param {ValueTest} test
+ * @returns {ValueTest}
+ */
+function ordered(operand, path, test) {
+  if (typeof operand !== 'string' && (typeof operand !== 'number' || !Number.isFinite(operand))) {
+    throw predicateError(path, 'expected a number or string');
+  }
+  return (value) => comparable(value, operand) && test(value);
+}
+
+/**
+ * Compiles `regex` (with its optional `flags`) into a value test.
+ *
+ * @param {Record<string, unknown>} condition
+ * @param {string} path
+ * @returns {ValueTest}
+ */
+function compileRegex({ regex, flags = '' }, path) {
+  if (typeof regex !== 'string') {
+    throw predicateError(`${path}.regex`, 'expected a string');
+  }
+  if (typeof flags !== 'string' || !REGEX_FLAGS.test(flags)) {
+    throw predicateError(`${path}.flags`, 'expected a string of regex flags (i, m, s, u)');
+  }
+  let re;
+  try {
+    re = new RegExp(regex, flags);
+  } catch (err) {
+    throw predicateError(`${path}.regex`, /** @type {Error} */ (err).message);
+  }
+  return (value) => typeof value === 'string' && re.test(value);
+}
+
+/**
+ * Compiles a condition on a single value. The value is `undefined` when
+ * the property is missing.
+ *
+ * @param {unknown} condition
+ * @param {string} path
+ * @returns {ValueTest}
+ */
+function compileCondition(condition, path) {
+  if (!isPlainObject(condition)) {
+    const expected = jsonOperand(condition, path);
+    return (value) => valuesEqual(value, expected);
+  }
+  if ('flags' in condition && !('regex' in condition)) {
+    throw predicateError(`${path}.flags`, 'flags requires regex');
+  }
+  const { exists = true } = condition;
+  if (typeof exists !== 'boolean') {
+    throw predicateError(`${path}.exists`, 'expected a boolean');
+  }
+  const tests = Object.entries(condition)
+    .filter(([op]) => op !== 'exists' && op !== 'flags')
+    .map(([op, operand]) => {
+      if (op === 'regex') {
+        return compileRegex(condition, path);
+      }
+      if (!Object.hasOwn(OPERATORS, op)) {
+        throw predicateError(path, `unknown operator '${op}'`);
+      }
+      return OPERATORS[op](operand, `${path}.${op}`);
+    });
+  return (value) => (value !== undefined) === exists && tests.every((test) => test(value));
+}
+
+/**
+ * Compiles a list of predicates for `and`/`or`.
+ *
+ * @param {unknown} operand
+ * @param {string} path
+ * @returns {CompiledPredicate[]}
+ */
+function compileList(operand, path) {
+  if (!Array.isArray(operand) || operand.length === 0) {
+    throw predicateError(path, 'expected a non-empty array of predicates');
+  }
+  return operand.map((item, i) => compileAt(item, `${path}[${i}]`));
+}
+
+/**
+ * Compiles the `props` map into one test per property.
+ *
+ * @param {unknown} operand
+ * @param {string} path
+ * @returns {CompiledPredicate}
+ */
+function compileProps(operand, path) {
+  if (!isPlainObject(operand)) {
+    throw predicateError(path, 'expected an object of property conditions');
+  }
+  const tests = Object.entries(operand).map(([key, condition]) => {
+    const test = compileCondition(condition, `${path}.${key}`);
+    return (/** @type {PredicateNode} */ { props }) => test(Object.hasOwn(props, key) ? props[key] : undefined);
+  });
+  return (node) => tests.every((test) => test(node));
+}
+
+/**
+ * Compilers for each top-level predicate key.
+ *
+ * @type {Record<string, (operand: unknown, path: string) => CompiledPredicate>}
+ */
+const KEY_COMPILERS = {
+  id: (operand, path) => {
+    const test = compileCondition(operand, path);
+    return ({ id }) => test(id);
+  },
+  props: compileProps,
+  and: (operand, path) => {
+    const parts = compileList(operand, path);
+    return (node) => parts.every((part) => part(node));
+  },
+  or: (operand, path) => {
+    const parts = compileList(operand, path);
+    return (node) => parts.some((part) => part(node));
+  },
+  not: (operand, path) => {
+    const inner = compileAt(operand, path);
+    return (node) => !inner(node);
+  },
+};
+
+/** Keys allowed at the top level of a predicate. */
+export const NODE_PREDICATE_KEYS = Object.freeze(Object.keys(KEY_COMPILERS));
+
+/**
+ * @param {unknown} spec
+ * @param {string} path
+ * @returns {CompiledPredicate}
+ */
+function compileAt(spec, path) {
+  if (!isPlainObject(spec)) {
+    throw predicateError(path, 'expected a predicate object');
+  }
+  const parts = Object.entries(spec).map(([key, operand]) => {
+    if (!Object.hasOwn(KEY_COMPILERS, key)) {
+      throw predicateError(path, `unknown key '${key}' (expected ${NODE_PREDICATE_KEYS.join(', ')})`);
+    }
+    return KEY_COMPILERS[key](operand, path ? `${path}.${key}` : key);
+  });
+  return (node) => parts.every((part) => part(node));
+}
+
+/**
+ * Validates a declarative predicate and compiles it into a function over
+ * `{ id, props }`. The empty predicate `{}` matches every node.
+ *
+ * @param {unknown} spec - The predicate object
+ * @returns {CompiledPredicate} Test for a node and its properties
+ * @throws {QueryError} If the predicate is malformed (code: E_QUERY_PREDICATE);
+ *   `context.path` names the offending part, e.g. `props.age.gte`
+ *
+ * @example
+ * const isOpenAdult = compileNodePredicate({
+ *   props: { status: { eq: 'open' }, age: { gte: 18 } },
+ * });
+ * isOpenAdult({ id: 'user:1', props: { status: 'open', age: 30 } }); // true
+ */
+export function compileNodePredicate(spec) {
+  return compileAt(spec, '');
+}
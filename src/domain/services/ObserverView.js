@@ -1,9 +1,11 @@
 /**
  * ObserverView - Read-only filtered view of a materialized WarpGraph.
  *
- * Provides an observer that sees only nodes matching a glob pattern,
- * with property visibility controlled by expose/redact lists.
- * Edges are only visible when both endpoints pass the match filter.
+ * Provides an observer that sees only nodes matching a glob pattern and,
+ * optionally, a declarative `where` predicate, with property visibility
+ * controlled by expose/redact lists. The predicate sees only the properties
+ * the observer may read, so it cannot reveal redacted values.
+ * Edges are only visible when both endpoints pass the node filter.
  *
  * @module domain/services/ObserverView
  * @see Paper IV, Section 3 -- Observers as resource-bounded functors
@@ -11,9 +13,10 @@
 
 import QueryBuilder from './QueryBuilder.js';
 import LogicalTraversal from './LogicalTraversal.js';
-import { orsetContains, orsetElements } from '../crdt/ORSet.js';
+import { orsetElements } from '../crdt/ORSet.js';
 import { decodeEdgeKey } from './KeyCodec.js';
 import { matchGlob } from '../utils/matchGlob.js';
+import { compileNodePredicate } from './NodePredicate.js';
 
 /**
  * Filters a properties Record based on expose and redact lists.
@@ -67,20 +70,17 @@ function sortNeighbors(list) {
  * Builds filtered adjacency maps by scanning all edges in the OR-Set.
  *
  * @param {import('./JoinReducer.js').WarpStateV5} state
- * @param {string|string[]} pattern
+ * @param {Set<string>} visibleSet - Live nodes visible to the observer
  * @returns {{ outgoing: Map<string, NeighborEntry[]>, incoming: Map<string, NeighborEntry[]> }}
  */
-function buildAdjacencyFromEdges(state, pattern) {
+function buildAdjacencyFromEdges(state, visibleSet) {
   const outgoing = /** @type {Map<string, NeighborEntry[]>} */ (new Map());
   const incoming = /** @type {Map<string, NeighborEntry[]>} */ (new Map());
 
   for (const edgeKey of orsetElements(state.edgeAlive)) {
     const { from, to, label } = decodeEdgeKey(edgeKey);
 
-    if (!orsetContains(state.nodeAlive, from) || !orsetContains(state.nodeAlive, to)) {
-      continue;
-    }
-    if (!matchGlob(pattern, from) || !matchGlob(pattern, to)) {
+    if (!visibleSet.has(from) || !visibleSet.has(to)) {
       continue;
     }
 
@@ -118,7 +118,7 @@ function collectNodeEdges(id, edges, ctx) {
  * Builds filtered adjacency maps using a BitmapNeighborProvider.
  *
  * For each visible node, queries the provider for outgoing neighbors,
- * then post-filters by glob match. Incoming maps are derived from
+ * then post-filters to visible neighbors. Incoming maps are derived from
  * the outgoing results to avoid duplicate provider calls.
  *
  * @param {import('./BitmapNeighborProvider.js').default} provider
@@ -151,13 +151,14 @@ async function buildAdjacencyViaProvider(provider, visibleNodes) {
  * Read-only observer view of a materialized WarpGraph state.
  *
  * Provides the same query/traverse API as WarpGraph, but filtered
- * by observer configuration (match pattern, expose, redact).
+ * by observer configuration (match pattern, where predicate, expose, redact).
  */
 export default class ObserverView {
   /**
    * Creates a new ObserverView.
    *
-   * @param {{ name: string, config: { match: string|string[], expose?: string[], redact?: string[] }, graph: import('../WarpGraph.js').default }} options
+   * @param {{ name: string, config: { match: string|string[], where?: import('./NodePredicate.js').NodePredicateSpec, expose?: string[], redact?: string[] }, graph: import('../WarpGraph.js').default }} options
+   * @throws {import('../errors/QueryError.js').default} If `config.where` is malformed (code: E_QUERY_PREDICATE)
    */
   constructor({ name, config, graph }) {
     /** @type {string} */
@@ -166,6 +167,9 @@ export default class ObserverView {
     /** @type {string|string[]} */
     this._matchPattern = config.match;
 
+    /** @type {import('./NodePredicate.js').CompiledPredicate|null} */
+    this._where = config.where === undefined ? null : compileNodePredicate(config.where);
+
     /** @type {string[]|undefined} */
     this._expose = config.expose;
 
@@ -216,17 +220,52 @@ export default class ObserverView {
     /** @type {{ outgoing: Map<string, NeighborEntry[]>, incoming: Map<string, NeighborEntry[]> }} */
     let adjacency;
 
+    const visibleNodes = await this._filterVisible(orsetElements(state.nodeAlive));
     if (materialized.provider) {
-      const visibleNodes = orsetElements(state.nodeAlive)
-        .filter((id) => matchGlob(this._matchPattern, id));
       adjacency = await buildAdjacencyViaProvider(materialized.provider, visibleNodes);
     } else {
-      adjacency = buildAdjacencyFromEdges(state, this._matchPattern);
+      adjacency = buildAdjacencyFromEdges(state, new Set(visibleNodes));
     }
 
     return { state, stateHash, adjacency };
   }
 
+  /**
+   * Keeps the node IDs that match the observer pattern and `where` predicate.
+   *
+   * @param {string[]} nodeIds - IDs of live nodes
+   * @returns {Promise<string[]>} The visible subset, in input order
+   * @private
+   */
+  async _filterVisible(nodeIds) {
+    const matched = nodeIds.filter((id) => matchGlob(this._matchPattern, id));
+    if (!this._where) {
+      return matched;
+    }
+    const visible = await Promise.all(matched.map(async (id) => (await this._visibleProps(id)) !== null));
+    return matched.filter((_, i) => visible[i]);
+  }
+
+  /**
+   * Reads the properties this observer may see on a node, or null when the
+   * node is missing or filtered out. Assumes the ID matches the pattern.
+   *
+   * @param {string} nodeId
+   * @returns {Promise<Record<string, unknown>|null>}
+   * @private
+   */
+  async _visibleProps(nodeId) {
+    const propsRecord = await this._graph.getNodeProps(nodeId);
+    if (!propsRecord) {
+      return null;
+    }
+    const props = filterProps(propsRecord, this._expose, this._redact);
+    if (this._where && !this._where({ id: nodeId, props })) {
+      return null;
+    }
+    return props;
+  }
+
   // ===========================================================================
   // Node API
   // ===========================================================================
@@ -235,30 +274,43 @@ export default class ObserverView {
    * Checks if a node exists and is visible to this observer.
    *
    * @param {string} nodeId - The node ID to check
-   * @returns {Promise<boolean>} True if the node exists and matches the observer pattern
+   * @returns {Promise<boolean>} True if the node exists and passes the observer filter
    */
   async hasNode(nodeId) {
     if (!matchGlob(this._matchPattern, nodeId)) {
       return false;
     }
+    if (this._where) {
+      return (await this._visibleProps(nodeId)) !== null;
+    }
     return await this._graph.hasNode(nodeId);
   }
 
   /**
-   * Gets all visible nodes that match the observer pattern.
+   * Resolves a node ID through the graph's alias table (see
+   * `WarpGraph.resolveNode()`).
+   *
+   * @param {string} nodeId - The node ID to resolve
+   * @returns {Promise<string>} The surviving node's ID
+   */
+  async resolveNode(nodeId) {
+    return await this._graph.resolveNode(nodeId);
+  }
+
+  /**
+   * Gets all visible nodes that pass the observer filter.
    *
    * @returns {Promise<string[]>} Array of visible node IDs
    */
   async getNodes() {
-    const allNodes = await this._graph.getNodes();
-    return allNodes.filter((id) => matchGlob(this._matchPattern, id));
+    return await this._filterVisible(await this._graph.getNodes());
   }
 
   /**
    * Gets filtered properties for a node.
    *
-   * Returns null if the node does not exist or does not match
-   * the observer pattern.
+   * Returns null if the node does not exist or does not pass
+   * the observer filter.
    *
    * @param {string} nodeId - The node ID to get properties for
    * @returns {Promise<Record<string, unknown>|null>} Filtered properties object, or null
@@ -267,11 +319,7 @@ export default class ObserverView {
     if (!matchGlob(this._matchPattern, nodeId)) {
       return null;
     }
-    const propsRecord = await this._graph.getNodeProps(nodeId);
-    if (!propsRecord) {
-      return null;
-    }
-    return filterProps(propsRecord, this._expose, this._redact);
+    return await this._visibleProps(nodeId);
   }
 
   // ===========================================================================
@@ -281,16 +329,17 @@ export default class ObserverView {
   /**
    * Gets all visible edges.
    *
-   * An edge is visible only when both endpoints match the observer pattern.
+   * An edge is visible only when both endpoints pass the observer filter.
    *
    * @returns {Promise<Array<{from: string, to: string, label: string, props: Record<string, unknown>}>>}
    */
   async getEdges() {
     const allEdges = await this._graph.getEdges();
+    const visible = this._where
+      ? new Set(await this.getNodes())
+      : { has: (/** @type {string} */ id) => matchGlob(this._matchPattern, id) };
     return allEdges
-      .filter(
-        (e) => matchGlob(this._matchPattern, e.from) && matchGlob(this._matchPattern, e.to)
-      )
+      .filter((e) => visible.has(e.from) && visible.has(e.to))
       .map((e) => {
         const filtered = filterProps(e.props, this._expose, this._redact);
         return { ...e, props: filtered };
@@ -312,9 +361,10 @@ export default class ObserverView {
      * graph-like object it wraps:
      *   - getNodes(): Promise<string[]>                  (line ~680 in QueryBuilder)
      *   - getNodeProps(nodeId): Promise<Record|null>       (lines ~691, ~757, ~806 in QueryBuilder)
+     *   - resolveNode(nodeId): Promise<string>             (resolveExactPatterns in QueryBuilder)
      *   - _materializeGraph(): Promise<{adjacency, stateHash}>  (line ~678 in QueryBuilder)
-     * ObserverView implements all three: getNodes() at line ~254, getNodeProps() at line ~268,
-     * _materializeGraph() at line ~214.
+     * ObserverView implements all four: getNodes() at line ~254, getNodeProps() at line ~268,
+     * resolveNode() after hasNode(), _materializeGraph() at line ~214.
      */
     return new QueryBuilder(/** @type {import('../WarpGraph.js').default} */ (/** @type {unknown} */ (this)));
   }
@@ -22,10 +22,31 @@ import {
   createEdgeRemoveV2,
   createNodePropSetV2,
   createEdgePropSetV2,
+  createPropIncrementV2,
+  createNodeSetAddV2,
+  createEdgeSetAddV2,
+  createNodeSetRemoveV2,
+  createEdgeSetRemoveV2,
+  createSeqInsertV2,
+  createSeqRemoveV2,
+  createSeqMoveV2,
+  createNodeMergeV2,
   createPatchV2,
 } from '../types/WarpTypesV2.js';
+import {
+  createSequenceProperty,
+  sequenceInsert,
+  sequenceRemove,
+  sequenceMove,
+  sequenceEntries,
+  sequenceClone,
+} from '../crdt/SequenceProperty.js';
+import { createEventId } from '../utils/EventId.js';
 import {
   encodeEdgeKey,
+  decodeEdgeKey,
+  encodePropKey,
+  encodeEdgePropKey,
   FIELD_SEPARATOR,
   EDGE_PROP_PREFIX,
   CONTENT_PROPERTY_KEY,
@@ -33,9 +54,14 @@ import {
   CONTENT_SIZE_PROPERTY_KEY,
 } from './KeyCodec.js';
 import { lowerCanonicalOp } from './OpNormalizer.js';
-import { encodePatchMessage, decodePatchMessage, detectMessageKind } from './WarpMessageCodec.js';
+import { encodePatchMessage, decodePatchMessage, detectMessageKind, detectSchemaVersion } from './WarpMessageCodec.js';
 import { buildWriterRef } from '../utils/RefLayout.js';
 import WriterError from '../errors/WriterError.js';
+import SchemaViolationError from '../errors/SchemaViolationError.js';
+import PreconditionError from '../errors/PreconditionError.js';
+import { checkPreconditions } from './PatchPreconditions.js';
+import { cloneStateV5, createEmptyStateV5, join } from './JoinReducer.js';
+import { resolveAlias, resolveNodeAlias, projectNodeAliases } from './NodeAliases.js';
 
 /**
  * Inspects materialized state for edges and properties attached to a node.
@@ -99,6 +125,54 @@ function _assertNoReservedBytes(value, label) {
   }
 }
 
+/**
+ * Validates a set-property element. Elements are plain strings so that
+ * OR-Set membership and the sorted read-back order are unambiguous.
+ *
+ * @param {unknown} element
+ * @throws {Error} If the element is not a string
+ */
+function _assertSetElement(element) {
+  if (typeof element !== 'string') {
+    throw new Error(`set element must be a string, got ${typeof element}`);
+  }
+}
+
+/**
+ * Describes a node (`{ node }`) or edge (`{ from, to, label }`) property
+ * target for error messages.
+ *
+ * @param {{node?: string, from?: string, to?: string, label?: string}} target
+ * @returns {string}
+ */
+function describeTarget(target) {
+  return target.node !== undefined
+    ? `node "${target.node}"`
+    : `edge (${target.from} → ${target.to} [${target.label}])`;
+}
+
+/**
+ * Placeholder patch SHA for EventIds in the builder's sequence drafts and
+ * schema-validation draft state. The real SHA is unknown until commit;
+ * drafts only compare EventIds from this patch against each other and
+ * against strictly older state.
+ * @const {string}
+ */
+const DRAFT_PATCH_SHA = '0000';
+
+/**
+ * Validates a sequence index against an inclusive upper bound.
+ *
+ * @param {unknown} index
+ * @param {number} max - Largest valid index
+ * @throws {Error} If the index is not an integer in `[0, max]`
+ */
+function _assertSequenceIndex(index, max) {
+  if (typeof index !== 'number' || !Number.isInteger(index) || index < 0 || index > max) {
+    throw new Error(`sequence index out of range: ${String(index)} (valid range 0..${max})`);
+  }
+}
+
 /**
  * Calculates the persisted byte length of attached content.
  *
@@ -160,9 +234,9 @@ export class PatchBuilderV2 {
   /**
    * Creates a new PatchBuilderV2.
    *
-   * @param {{ persistence: import('../../ports/CommitPort.js').default & import('../../ports/BlobPort.js').default & import('../../ports/TreePort.js').default & import('../../ports/RefPort.js').default, graphName: string, writerId: string, lamport: number, versionVector: import('../crdt/VersionVector.js').VersionVector, getCurrentState: () => import('../services/JoinReducer.js').WarpStateV5 | null, expectedParentSha?: string|null, onCommitSuccess?: ((result: {patch: import('../types/WarpTypesV2.js').PatchV2, sha: string}) => void | Promise<void>)|null, onDeleteWithData?: 'reject'|'cascade'|'warn', codec?: import('../../ports/CodecPort.js').default, logger?: import('../../ports/LoggerPort.js').default, blobStorage?: import('../../ports/BlobStoragePort.js').default, patchBlobStorage?: import('../../ports/BlobStoragePort.js').default }} options
+   * @param {{ persistence: import('../../ports/CommitPort.js').default & import('../../ports/BlobPort.js').default & import('../../ports/TreePort.js').default & import('../../ports/RefPort.js').default, graphName: string, writerId: string, lamport: number, versionVector: import('../crdt/VersionVector.js').VersionVector, getCurrentState: () => import('../services/JoinReducer.js').WarpStateV5 | null, getFreshState?: (() => Promise<import('../services/JoinReducer.js').WarpStateV5 | null>)|null, expectedParentSha?: string|null, onCommitSuccess?: ((result: {patch: import('../types/WarpTypesV2.js').PatchV2, sha: string}) => void | Promise<void>)|null, onDeleteWithData?: 'reject'|'cascade'|'warn', codec?: import('../../ports/CodecPort.js').default, logger?: import('../../ports/LoggerPort.js').default, blobStorage?: import('../../ports/BlobStoragePort.js').default, patchBlobStorage?: import('../../ports/BlobStoragePort.js').default, graphSchema?: import('./GraphSchema.js').default|null }} options
    */
-  constructor({ persistence, graphName, writerId, lamport, versionVector, getCurrentState, expectedParentSha = null, onCommitSuccess = null, onDeleteWithData = 'warn', codec, logger, blobStorage, patchBlobStorage }) {
+  constructor({ persistence, graphName, writerId, lamport, versionVector, getCurrentState, getFreshState = null, expectedParentSha = null, onCommitSuccess = null, onDeleteWithData = 'warn', codec, logger, blobStorage, patchBlobStorage, graphSchema = null }) {
     /** @type {import('../../ports/CommitPort.js').default & import('../../ports/BlobPort.js').default & import('../../ports/TreePort.js').default & import('../../ports/RefPort.js').default} */
     this._persistence = /** @type {import('../../ports/CommitPort.js').default & import('../../ports/BlobPort.js').default & import('../../ports/TreePort.js').default & import('../../ports/RefPort.js').default} */ (persistence);
 
@@ -181,6 +255,13 @@ export class PatchBuilderV2 {
     /** @type {() => import('../services/JoinReducer.js').WarpStateV5 | null} */
     this._getCurrentState = getCurrentState;
 
+    /**
+     * Resolves up-to-date state for schema and precondition checks at commit time.
+     * Falls back to `getCurrentState` when not provided.
+     * @type {(() => Promise<import('../services/JoinReducer.js').WarpStateV5 | null>)|null}
+     */
+    this._getFreshState = getFreshState;
+
     /**
      * Snapshot of state captured at construction time (C4).
      * Lazily populated on first call to _getSnapshotState().
@@ -227,6 +308,22 @@ export class PatchBuilderV2 {
     /** @type {import('../../ports/BlobStoragePort.js').default|null} */
     this._patchBlobStorage = patchBlobStorage || null;
 
+    /** @type {import('./GraphSchema.js').default|null} */
+    this._graphSchema = graphSchema;
+
+    /**
+     * Expectations checked against fresh state before the ref CAS.
+     * Not persisted in the patch.
+     * @type {import('./PatchPreconditions.js').PatchPrecondition[]}
+     */
+    this._preconditions = [];
+
+    /**
+     * SHA of the patch this one reverts, recorded as a commit trailer.
+     * @type {string|null}
+     */
+    this._revertOf = null;
+
     /**
      * Observed operands — entities whose current state was consulted to build
      * this patch.
@@ -236,8 +333,15 @@ export class PatchBuilderV2 {
      * - removeEdge(from, to, label): observes the edge key
      * - addEdge(from, to, label): observes both endpoint nodes `from` and `to`
      * - setProperty(nodeId, key, value): observes node `nodeId`
+     * - incrementProperty(nodeId, key, delta): observes node `nodeId`
+     * - addToSet / removeFromSet: observes node `nodeId`
+     * - addToEdgeSet / removeFromEdgeSet: observes the edge key
+     * - insertAt / removeAt / move: observes node `nodeId`
      * - setEdgeProperty(from, to, label, key, value): observes the edge key
      * - cascade-generated EdgeRemove: observes the edge key
+     * - mergeNodes(survivor, absorbed): observes and writes both nodes
+     * - expectNode / expectProp / expectAbsent(nodeId): observes node `nodeId`
+     * - expectEdge / expectAbsent(from, to, label): observes the edge key
      *
      * The public getter `.reads` and the serialized patch field `reads` retain
      * the historical name for backward compatibility.
@@ -257,8 +361,21 @@ export class PatchBuilderV2 {
      */
     this._writes = new Set();
 
-    /** @type {boolean} Whether any edge-property ops have been added (schema 3 flag cache). */
-    this._hasEdgeProps = false;
+    /**
+     * Working copies of sequence properties touched by this patch, keyed by
+     * prop key. Each starts as a clone of the snapshot state and has this
+     * patch's sequence ops applied, so indices in later calls resolve
+     * against the list as the caller sees it.
+     * @type {Map<string, import('../crdt/SequenceProperty.js').SequenceProperty>}
+     */
+    this._sequenceDrafts = new Map();
+
+    /**
+     * Node merges recorded by this patch: absorbed ID → survivor ID. Lets
+     * later calls resolve IDs as if the merge had already landed.
+     * @type {Map<string, string>}
+     */
+    this._pendingAliases = new Map();
 
     /** @type {boolean} */
     this._committed = false;
@@ -284,6 +401,58 @@ export class PatchBuilderV2 {
     return this._snapshotState;
   }
 
+  /**
+   * Resolves a node ID through this patch's merges and the snapshot's alias
+   * table, so reads of existing data find the node it was merged into.
+   *
+   * @param {string} nodeId
+   * @returns {string}
+   * @private
+   */
+  _resolveNode(nodeId) {
+    const aliases = this._getSnapshotState()?.aliases;
+    return resolveAlias((id) => this._pendingAliases.get(id) ?? aliases?.get(id)?.value, nodeId);
+  }
+
+  /**
+   * Validates the nodes and edges this patch writes against the graph
+   * schema, as they would stand after the patch is applied to fresh state,
+   * so endpoint and cardinality rules see pre-existing data whether or not
+   * the graph was materialized before the patch was built.
+   *
+   * @returns {Promise<void>}
+   * @throws {SchemaViolationError} If the patch would violate the schema
+   * @private
+   */
+  async _assertSchema() {
+    if (!this._graphSchema) {
+      return;
+    }
+    const base = this._getFreshState ? await this._getFreshState() : this._getSnapshotState();
+    const raw = base ? cloneStateV5(base) : createEmptyStateV5();
+    join(raw, this.build(), DRAFT_PATCH_SHA);
+    const draft = projectNodeAliases(raw);
+
+    /** @type {{nodes: string[], edges: string[]}} */
+    const scope = { nodes: [], edges: [] };
+    for (const written of this._writes) {
+      if (written.includes(FIELD_SEPARATOR)) {
+        const { from, to, label } = decodeEdgeKey(written);
+        scope.edges.push(encodeEdgeKey(resolveNodeAlias(draft, from), resolveNodeAlias(draft, to), label));
+      } else {
+        scope.nodes.push(resolveNodeAlias(draft, written));
+      }
+    }
+    const violations = this._graphSchema.validateState(draft, scope);
+    if (violations.length > 0) {
+      const more = violations.length > 1 ? ` (and ${violations.length - 1} more)` : '';
+      throw new SchemaViolationError(`Patch violates the graph schema: ${violations[0].message}${more}`, {
+        violations,
+        context: { graphName: this._graphName, writerId: this._writerId },
+      });
+    }
+  }
+
   /**
    * Throws if this builder is no longer open for mutation.
    * @private
@@ -356,11 +525,13 @@ export class PatchBuilderV2 {
     this._assertNotCommitted();
     // Get observed dots from current state (orsetGetDots returns already-encoded dot strings)
     const state = this._getSnapshotState();
+    // A merged node is removed together with everything merged into it
+    const target = this._resolveNode(nodeId);
 
     // Cascade mode: auto-generate EdgeRemove ops for all connected edges before NodeRemove.
     // Generated ops appear in the patch for auditability.
     if (this._onDeleteWithData === 'cascade' && state) {
-      const { edges } = findAttachedData(state, nodeId);
+      const { edges } = findAttachedData(state, target);
       for (const edgeKey of edges) {
         const [from, to, label] = edgeKey.split('\0');
         const edgeDots = [...orsetGetDots(state.edgeAlive, edgeKey)];
@@ -372,7 +543,7 @@ export class PatchBuilderV2 {
 
     // Best-effort delete-guard validation at build time (reject/warn modes)
     if (state && this._onDeleteWithData !== 'cascade') {
-      const { edges, props, hasData } = findAttachedData(state, nodeId);
+      const { edges, props, hasData } = findAttachedData(state, target);
       if (hasData) {
         const details = [];
         if (edges.length > 0) {
@@ -399,7 +570,7 @@ export class PatchBuilderV2 {
       }
     }
 
-    const observedDots = state ? [...orsetGetDots(state.nodeAlive, nodeId)] : [];
+    const observedDots = state ? [...orsetGetDots(state.nodeAlive, target)] : [];
     this._ops.push(createNodeRemoveV2(nodeId, observedDots));
     // Provenance: NodeRemove reads the node (to observe its dots)
     this._observedOperands.add(nodeId);
@@ -478,7 +649,8 @@ export class PatchBuilderV2 {
     // Get observed dots from current state (orsetGetDots returns already-encoded dot strings)
     const state = this._getSnapshotState();
     const edgeKey = encodeEdgeKey(from, to, label);
-    const observedDots = state ? [...orsetGetDots(state.edgeAlive, edgeKey)] : [];
+    const observed = encodeEdgeKey(this._resolveNode(from), this._resolveNode(to), label);
+    const observedDots = state ? [...orsetGetDots(state.edgeAlive, observed)] : [];
     this._ops.push(createEdgeRemoveV2(from, to, label, observedDots));
     // Provenance: EdgeRemove reads the edge key (to observe its dots)
     this._observedOperands.add(edgeKey);
@@ -503,6 +675,8 @@ export class PatchBuilderV2 {
    *   numbers, booleans, arrays, plain objects, or null). Use `null` to
    *   effectively delete a property (LWW semantics).
    * @returns {PatchBuilderV2} This builder instance for method chaining
+   * @throws {Error} If `key` holds a counter or a set (see
+   *   {@link PatchBuilderV2#incrementProperty}, {@link PatchBuilderV2#addToSet})
    *
    * @example
    * builder.setProperty('user:alice', 'name', 'Alice');
@@ -518,6 +692,8 @@ export class PatchBuilderV2 {
     this._assertNotCommitted();
     _assertNoReservedBytes(nodeId, 'nodeId');
     _assertNoReservedBytes(key, 'property key');
+    this._assertNotCounter(nodeId, key);
+    this._assertNotSet('setProperty', { node: nodeId }, key);
     // Canonical NodePropSet — lowered to raw PropSet at commit time
     this._ops.push(createNodePropSetV2(nodeId, key, value));
     // Provenance: NodePropSet reads the node (implicit existence check) and writes the node
@@ -526,6 +702,465 @@ export class PatchBuilderV2 {
     return this;
   }
 
+  /**
+   * Adds a delta to a counter property on a node.
+   *
+   * Counter properties use PN-Counter semantics: each writer accumulates its
+   * own positive and negative deltas, and the visible value is the sum across
+   * all writers. Concurrent increments from different writers therefore
+   * never clobber each other, unlike `setProperty` where the last write wins.
+   *
+   * The counter value is read back as a plain number via `getNodeProps()`.
+   * Once a key carries a counter, `setProperty` on it is rejected: the
+   * per-writer totals outlive a plain write, so the next increment would
+   * resume from the old total. Change the value with a negative delta.
+   *
+   * A counter always starts from 0; it never absorbs a value written by
+   * `setProperty`. Incrementing a key that holds a plain (non-null) value in
+   * the materialized state, or that this patch has already set, is rejected
+   * rather than silently discarding that value. Use a fresh key, or set the
+   * key to `null` first.
+   *
+   * @param {string} nodeId - The node ID holding the counter
+   * @param {string} key - Property key (should not contain null bytes)
+   * @param {number} [delta=1] - Safe integer to add (negative to decrement)
+   * @returns {PatchBuilderV2} This builder instance for method chaining
+   * @throws {Error} If `delta` is not a safe integer, or `key` holds a
+   *   plain value that is not a counter
+   *
+   * @example
+   * builder.incrementProperty('post:1', 'likes');
+   *
+   * @example
+   * builder.incrementProperty('item:sku-7', 'stock', -3);
+   */
+  incrementProperty(nodeId, key, delta = 1) {
+    this._assertNotCommitted();
+    _assertNoReservedBytes(nodeId, 'nodeId');
+    _assertNoReservedBytes(key, 'property key');
+    if (!Number.isSafeInteger(delta)) {
+      throw new Error(`incrementProperty delta must be a safe integer, got ${String(delta)}`);
+    }
+    this._assertCounterKey(nodeId, key);
+    this._ops.push(createPropIncrementV2(nodeId, key, delta));
+    // Provenance: same read/write footprint as setProperty
+    this._observedOperands.add(nodeId);
+    this._writes.add(nodeId);
+    return this;
+  }
+
+  /**
+   * Rejects an increment on a key that holds a plain register value, either
+   * in the snapshot state or from an earlier `setProperty` in this patch.
+   * Keys that already carry a counter, or whose value is `null`, are fine.
+   *
+   * @param {string} nodeId
+   * @param {string} key
+   * @throws {Error} If the key holds a non-counter value
+   * @private
+   */
+  _assertCounterKey(nodeId, key) {
+    const setInPatch = this._ops.some((op) =>
+      op.type === 'NodePropSet' && op.node === nodeId && op.key === key && op.value !== null);
+    const state = this._getSnapshotState();
+    const propKey = encodePropKey(this._resolveNode(nodeId), key);
+    const current = state?.prop.get(propKey)?.value;
+    const plainInState = current !== undefined && current !== null && !state?.counters.has(propKey);
+    if (setInPatch || plainInState) {
+      throw new Error(
+        `incrementProperty: property "${key}" on node "${nodeId}" holds a plain value, not a counter; ` +
+        'set it to null before counting from 0',
+      );
+    }
+  }
+
+  /**
+   * Rejects a plain write to a key that carries a counter, either in the
+   * snapshot state or from an earlier `incrementProperty` in this patch.
+   *
+   * @param {string} nodeId
+   * @param {string} key
+   * @throws {Error} If the key holds a counter
+   * @private
+   */
+  _assertNotCounter(nodeId, key) {
+    const incrementedInPatch = this._ops.some((op) =>
+      op.type === 'PropIncrement' && op.node === nodeId && op.key === key);
+    const propKey = encodePropKey(this._resolveNode(nodeId), key);
+    if (incrementedInPatch || this._getSnapshotState()?.counters?.has(propKey)) {
+      throw new Error(
+        `setProperty: property "${key}" on node "${nodeId}" is a counter; ` +
+        'change it with incrementProperty (a negative delta to decrease it)',
+      );
+    }
+  }
+
+  /**
+   * Returns the earlier ops in this patch of one of `types` that target
+   * `key` on the node (`{ node }`) or edge (`{ from, to, label }`) named by
+   * `target`.
+   *
+   * @param {ReadonlyArray<string>} types - Op types to look for
+   * @param {{node?: string, from?: string, to?: string, label?: string}} target
+   * @param {string} key
+   * @returns {Array<{type: string, value?: unknown}>}
+   * @private
+   */
+  _opsOnKey(types, target, key) {
+    return this._ops.filter((o) => {
+      const op = /** @type {{type: string, key?: string, node?: string, from?: string, to?: string, label?: string}} */ (o);
+      if (!types.includes(op.type) || op.key !== key) {
+        return false;
+      }
+      return target.node !== undefined
+        ? op.node === target.node
+        : op.from === target.from && op.to === target.to && op.label === target.label;
+    });
+  }
+
+  /**
+   * Encodes the property key for `key` on a node or edge target, resolving
+   * node aliases.
+   *
+   * @param {{node?: string, from?: string, to?: string, label?: string}} target
+   * @param {string} key
+   * @returns {string}
+   * @private
+   */
+  _targetPropKey(target, key) {
+    if (target.node !== undefined) {
+      return encodePropKey(this._resolveNode(target.node), key);
+    }
+    return encodeEdgePropKey(
+      this._resolveNode(/** @type {string} */ (target.from)),
+      this._resolveNode(/** @type {string} */ (target.to)),
+      /** @type {string} */ (target.label),
+      key,
+    );
+  }
+
+  /**
+   * Rejects a set operation on a key that holds a plain value, either in the
+   * snapshot state or from an earlier non-null `setProperty` in this patch.
+   * The set would otherwise replace that value on the next set operation.
+   * Keys that already carry a set, or whose value is `null`, are fine.
+   *
+   * @param {string} method - Calling method, for the error message
+   * @param {{node?: string, from?: string, to?: string, label?: string}} target
+   * @param {string} key
+   * @throws {Error} If the key holds a non-set value
+   * @private
+   */
+  _assertSetKey(method, target, key) {
+    const setInPatch = this._opsOnKey(['NodePropSet', 'EdgePropSet'], target, key).some((op) => op.value !== null);
+    const state = this._getSnapshotState();
+    const propKey = this._targetPropKey(target, key);
+    const current = state?.prop.get(propKey)?.value;
+    const plainInState = current !== undefined && current !== null && !state?.sets?.has(propKey);
+    if (setInPatch || plainInState) {
+      throw new Error(
+        `${method}: property "${key}" on ${describeTarget(target)} holds a plain value, not a set; ` +
+        'set it to null before adding elements',
+      );
+    }
+  }
+
+  /**
+   * Rejects a plain write to a key that carries a set, either in the
+   * snapshot state or from an earlier set operation in this patch. The
+   * set's element dots outlive a plain write, so the next set operation
+   * would bring every old element back.
+   *
+   * @param {string} method - Calling method, for the error message
+   * @param {{node?: string, from?: string, to?: string, label?: string}} target
+   * @param {string} key
+   * @throws {Error} If the key holds a set
+   * @private
+   */
+  _assertNotSet(method, target, key) {
+    const setOpInPatch = this._opsOnKey(['SetAdd', 'SetRemove'], target, key).length > 0;
+    if (setOpInPatch || this._getSnapshotState()?.sets?.has(this._targetPropKey(target, key))) {
+      const setMethods = target.node !== undefined ? 'addToSet/removeFromSet' : 'addToEdgeSet/removeFromEdgeSet';
+      throw new Error(`${method}: property "${key}" on ${describeTarget(target)} is a set; change it with ${setMethods}`);
+    }
+  }
+
+  /**
+   * Adds an element to an OR-Set valued property on a node.
+   *
+   * Set properties model collections such as tags or roles. Each add gets a
+   * fresh dot, so concurrent adds from different writers all survive, and an
+   * add concurrent with a remove of the same element wins (add-wins OR-Set,
+   * the same semantics as node and edge liveness).
+   *
+   * The property reads back as a sorted array of strings via `getNodeProps()`.
+   * Set operations are rejected on a key holding a plain value, and once a
+   * key carries a set, `setProperty` on it is rejected: the element dots
+   * outlive a plain write, so the next set operation would bring every old
+   * element back.
+   *
+   * @param {string} nodeId - The node ID holding the set
+   * @param {string} key - Property key (should not contain null bytes)
+   * @param {string} element - Element to add
+   * @returns {PatchBuilderV2} This builder instance for method chaining
+   * @throws {Error} If `element` is not a string, or `key` holds a plain value
+   *
+   * @example
+   * builder.addToSet('user:alice', 'roles', 'admin');
+   */
+  addToSet(nodeId, key, element) {
+    this._assertNotCommitted();
+    _assertNoReservedBytes(nodeId, 'nodeId');
+    _assertNoReservedBytes(key, 'property key');
+    _assertSetElement(element);
+    this._assertSetKey('addToSet', { node: nodeId }, key);
+    const dot = vvIncrement(this._vv, this._writerId);
+    this._ops.push(createNodeSetAddV2(nodeId, key, element, dot));
+    // Provenance: same read/write footprint as setProperty
+    this._observedOperands.add(nodeId);
+    this._writes.add(nodeId);
+    return this;
+  }
+
+  /**
+   * Removes an element from an OR-Set valued property on a node.
+   *
+   * Only the add events observed in the current materialized state are
+   * removed; a concurrent add of the same element by another writer
+   * survives. Removing an element that is not present is a no-op.
+   *
+   * @param {string} nodeId - The node ID holding the set
+   * @param {string} key - Property key (should not contain null bytes)
+   * @param {string} element - Element to remove
+   * @returns {PatchBuilderV2} This builder instance for method chaining
+   * @throws {Error} If `element` is not a string, or `key` holds a plain value
+   *
+   * @example
+   * builder.removeFromSet('user:alice', 'roles', 'admin');
+   */
+  removeFromSet(nodeId, key, element) {
+    this._assertNotCommitted();
+    _assertNoReservedBytes(nodeId, 'nodeId');
+    _assertNoReservedBytes(key, 'property key');
+    _assertSetElement(element);
+    this._assertSetKey('removeFromSet', { node: nodeId }, key);
+    const observedDots = this._observedSetDots(encodePropKey(this._resolveNode(nodeId), key), element);
+    this._ops.push(createNodeSetRemoveV2(nodeId, key, element, observedDots));
+    // Provenance: reads the node's set to observe element dots
+    this._observedOperands.add(nodeId);
+    this._writes.add(nodeId);
+    return this;
+  }
+
+  /**
+   * Adds an element to an OR-Set valued property on an edge.
+   *
+   * Same semantics as {@link PatchBuilderV2#addToSet}; the property reads
+   * back as a sorted array via `getEdgeProps()`. Like `setEdgeProperty`,
+   * the edge must exist in this patch or in the materialized state.
+   *
+   * @param {string} from - Source node ID
+   * @param {string} to - Target node ID
+   * @param {string} label - Edge label
+   * @param {string} key - Property key (should not contain null bytes)
+   * @param {string} element - Element to add
+   * @returns {PatchBuilderV2} This builder instance for method chaining
+   * @throws {Error} If `element` is not a string, the edge does not exist, or
+   *   `key` holds a plain value
+   *
+   * @example
+   * builder.addToEdgeSet('user:alice', 'repo:1', 'member', 'perms', 'write');
+   */
+  addToEdgeSet(from, to, label, key, element) {
+    this._assertNotCommitted();
+    _assertNoReservedBytes(from, 'from node ID');
+    _assertNoReservedBytes(to, 'to node ID');
+    _assertNoReservedBytes(label, 'edge label');
+    _assertNoReservedBytes(key, 'property key');
+    _assertSetElement(element);
+    const ek = this._assertEdgeExists(from, to, label);
+    this._assertSetKey('addToEdgeSet', { from, to, label }, key);
+    const dot = vvIncrement(this._vv, this._writerId);
+    this._ops.push(createEdgeSetAddV2(from, to, label, key, element, dot));
+    this._observedOperands.add(ek);
+    this._writes.add(ek);
+    return this;
+  }
+
+  /**
+   * Removes an element from an OR-Set valued property on an edge.
+   *
+   * @param {string} from - Source node ID
+   * @param {string} to - Target node ID
+   * @param {string} label - Edge label
+   * @param {string} key - Property key (should not contain null bytes)
+   * @param {string} element - Element to remove
+   * @returns {PatchBuilderV2} This builder instance for method chaining
+   * @throws {Error} If `element` is not a string, or `key` holds a plain value
+   *
+   * @example
+   * builder.removeFromEdgeSet('user:alice', 'repo:1', 'member', 'perms', 'write');
+   */
+  removeFromEdgeSet(from, to, label, key, element) {
+    this._assertNotCommitted();
+    _assertNoReservedBytes(from, 'from node ID');
+    _assertNoReservedBytes(to, 'to node ID');
+    _assertNoReservedBytes(label, 'edge label');
+    _assertNoReservedBytes(key, 'property key');
+    _assertSetElement(element);
+    this._assertSetKey('removeFromEdgeSet', { from, to, label }, key);
+    const observedDots = this._observedSetDots(encodeEdgePropKey(this._resolveNode(from), this._resolveNode(to), label, key), element);
+    this._ops.push(createEdgeSetRemoveV2(from, to, label, key, element, observedDots));
+    const ek = encodeEdgeKey(from, to, label);
+    this._observedOperands.add(ek);
+    this._writes.add(ek);
+    return this;
+  }
+
+  /**
+   * Returns the encoded dots of `element` in the set property stored under
+   * `propKey` in the current materialized state.
+   *
+   * @param {string} propKey - Encoded node or edge property key
+   * @param {string} element
+   * @returns {string[]}
+   * @private
+   */
+  _observedSetDots(propKey, element) {
+    const setProp = this._getSnapshotState()?.sets?.get(propKey);
+    return setProp ? [...orsetGetDots(setProp.elements, element)] : [];
+  }
+
+  /**
+   * Inserts a value into an ordered-list (sequence) property on a node.
+   *
+   * Indices resolve against the materialized state plus any earlier sequence
+   * operations in this patch, so consecutive calls behave like edits to a
+   * local array. Concurrent inserts at the same position from different
+   * writers all survive in a deterministic order (RGA). The property reads
+   * back as a plain array via `getNodeProps()`.
+   *
+   * @param {string} nodeId - The node ID
+   * @param {string} key - Property key (should not contain null bytes)
+   * @param {number} index - Insert position, from 0 to the current length
+   * @param {unknown} value - Value to insert. Must be JSON-serializable.
+   * @returns {PatchBuilderV2} This builder instance for method chaining
+   * @throws {Error} If `index` is not an integer in range
+   *
+   * @example
+   * builder
+   *   .insertAt('doc:1', 'sections', 0, 'Introduction')
+   *   .insertAt('doc:1', 'sections', 1, 'Methods');
+   */
+  insertAt(nodeId, key, index, value) {
+    this._assertNotCommitted();
+    _assertNoReservedBytes(nodeId, 'nodeId');
+    _assertNoReservedBytes(key, 'property key');
+    const draft = this._sequenceDraft(nodeId, key);
+    const entries = sequenceEntries(draft);
+    _assertSequenceIndex(index, entries.length);
+    const origin = index === 0 ? null : entries[index - 1].slot;
+    const dot = vvIncrement(this._vv, this._writerId);
+    sequenceInsert(draft, { dot, origin, value }, this._draftEventId());
+    this._ops.push(createSeqInsertV2(nodeId, key, value, origin, dot));
+    // Provenance: same read/write footprint as setProperty
+    this._observedOperands.add(nodeId);
+    this._writes.add(nodeId);
+    return this;
+  }
+
+  /**
+   * Removes the item at `index` from a sequence property on a node.
+   *
+   * A remove wins over a concurrent move of the same item.
+   *
+   * @param {string} nodeId - The node ID
+   * @param {string} key - Property key
+   * @param {number} index - Position of the item to remove
+   * @returns {PatchBuilderV2} This builder instance for method chaining
+   * @throws {Error} If `index` is not an integer in range
+   *
+   * @example
+   * builder.removeAt('doc:1', 'sections', 2);
+   */
+  removeAt(nodeId, key, index) {
+    this._assertNotCommitted();
+    const draft = this._sequenceDraft(nodeId, key);
+    const entries = sequenceEntries(draft);
+    _assertSequenceIndex(index, entries.length - 1);
+    const { item } = entries[index];
+    sequenceRemove(draft, item, this._draftEventId());
+    this._ops.push(createSeqRemoveV2(nodeId, key, item));
+    this._observedOperands.add(nodeId);
+    this._writes.add(nodeId);
+    return this;
+  }
+
+  /**
+   * Moves the item at `fromIndex` so that it ends up at `toIndex` in a
+   * sequence property on a node.
+   *
+   * The item keeps its identity: concurrent moves of the same item resolve
+   * by EventId (the later move wins) and never duplicate it.
+   *
+   * @param {string} nodeId - The node ID
+   * @param {string} key - Property key
+   * @param {number} fromIndex - Current position of the item
+   * @param {number} toIndex - Position of the item after the move
+   * @returns {PatchBuilderV2} This builder instance for method chaining
+   * @throws {Error} If either index is not an integer in range
+   *
+   * @example
+   * // Move the last of three sections to the front
+   * builder.move('doc:1', 'sections', 2, 0);
+   */
+  move(nodeId, key, fromIndex, toIndex) {
+    this._assertNotCommitted();
+    const draft = this._sequenceDraft(nodeId, key);
+    const entries = sequenceEntries(draft);
+    _assertSequenceIndex(fromIndex, entries.length - 1);
+    _assertSequenceIndex(toIndex, entries.length - 1);
+    const { item } = entries[fromIndex];
+    const rest = entries.filter((_, i) => i !== fromIndex);
+    const origin = toIndex === 0 ? null : rest[toIndex - 1].slot;
+    const dot = vvIncrement(this._vv, this._writerId);
+    sequenceMove(draft, { item, dot, origin }, this._draftEventId());
+    this._ops.push(createSeqMoveV2(nodeId, key, item, origin, dot));
+    this._observedOperands.add(nodeId);
+    this._writes.add(nodeId);
+    return this;
+  }
+
+  /**
+   * Returns this patch's working copy of a node's sequence property,
+   * cloning it from the snapshot state on first use.
+   *
+   * @param {string} nodeId
+   * @param {string} key
+   * @returns {import('../crdt/SequenceProperty.js').SequenceProperty}
+   * @private
+   */
+  _sequenceDraft(nodeId, key) {
+    const propKey = encodePropKey(this._resolveNode(nodeId), key);
+    let draft = this._sequenceDrafts.get(propKey);
+    if (!draft) {
+      const current = this._getSnapshotState()?.sequences?.get(propKey);
+      draft = current ? sequenceClone(current) : createSequenceProperty();
+      this._sequenceDrafts.set(propKey, draft);
+    }
+    return draft;
+  }
+
+  /**
+   * EventId for the next op of this patch, as applied to sequence drafts.
+   *
+   * @returns {import('../utils/EventId.js').EventId}
+   * @private
+   */
+  _draftEventId() {
+    return createEventId(this._lamport, this._writerId, DRAFT_PATCH_SHA, this._ops.length);
+  }
+
   /**
    * Sets a property on an edge.
    *
@@ -552,6 +1187,7 @@ export class PatchBuilderV2 {
    * @throws {Error} When the edge `(from, to, label)` does not exist in
    *   either this patch or the current materialized state. Message format:
    *   `"Cannot set property on unknown edge (from -> to [label]): add the edge first"`
+   * @throws {Error} If `key` holds a set (see {@link PatchBuilderV2#addToEdgeSet})
    *
    * @example
    * builder.setEdgeProperty('user:alice', 'user:bob', 'follows', 'since', '2025-01-01');
@@ -570,10 +1206,10 @@ export class PatchBuilderV2 {
     _assertNoReservedBytes(label, 'edge label');
     _assertNoReservedBytes(key, 'property key');
     const ek = this._assertEdgeExists(from, to, label);
+    this._assertNotSet('setEdgeProperty', { from, to, label }, key);
 
     // Canonical EdgePropSet — lowered to legacy raw PropSet at commit time
     this._ops.push(createEdgePropSetV2(from, to, label, key, value));
-    this._hasEdgeProps = true;
     // Provenance: EdgePropSet reads the edge (implicit existence check) and writes the edge
     this._observedOperands.add(ek);
     this._writes.add(ek);
@@ -653,7 +1289,7 @@ export class PatchBuilderV2 {
       return;
     }
     const state = this._getSnapshotState();
-    if (!state || !orsetContains(state.nodeAlive, nodeId)) {
+    if (!state || !orsetContains(state.nodeAlive, this._resolveNode(nodeId))) {
       throw new Error(`Cannot attach content to unknown node '${nodeId}': add the node first`);
     }
   }
@@ -669,33 +1305,205 @@ export class PatchBuilderV2 {
     const ek = encodeEdgeKey(from, to, label);
     if (!this._edgesAdded.has(ek)) {
       const state = this._getSnapshotState();
-      if (!state || !orsetContains(state.edgeAlive, ek)) {
+      const observed = encodeEdgeKey(this._resolveNode(from), this._resolveNode(to), label);
+      if (!state || !orsetContains(state.edgeAlive, observed)) {
         throw new Error(`Cannot set property on unknown edge (${from} → ${to} [${label}]): add the edge first`);
       }
     }
     return ek;
   }
 
+  /**
+   * Merges one node into another to deduplicate an entity.
+   *
+   * The absorbed node's edges and properties surface on the survivor, and
+   * reads of the absorbed ID resolve to the survivor. Patches that keep
+   * writing under the absorbed ID land on the survivor too. Both nodes
+   * keep their own provenance; `graph.patchesFor()` reports both.
+   *
+   * Properties set on both nodes resolve by their merge policy (LWW by
+   * default); counters add up and set and sequence properties are unioned.
+   * Concurrent merges in opposite directions converge on the smaller ID.
+   *
+   * @param {string} survivorId - The node that remains
+   * @param {string} absorbedId - The node merged into it
+   * @returns {PatchBuilderV2} This builder instance for method chaining
+   * @throws {Error} If both IDs already resolve to the same node
+   *
+   * @example
+   * builder.mergeNodes('user:alice', 'user:alice-dup');
+   */
+  mergeNodes(survivorId, absorbedId) {
+    this._assertNotCommitted();
+    _assertNoReservedBytes(survivorId, 'survivor node ID');
+    _assertNoReservedBytes(absorbedId, 'absorbed node ID');
+    const survivor = this._resolveNode(survivorId);
+    const absorbed = this._resolveNode(absorbedId);
+    if (survivor === absorbed) {
+      throw new Error(`Cannot merge '${absorbedId}' into '${survivorId}': they are already the same node`);
+    }
+    this._ops.push(createNodeMergeV2(absorbed, survivor));
+    this._pendingAliases.set(absorbed, survivor);
+    // Provenance: reads and rewrites both nodes
+    this._observedOperands.add(survivorId);
+    this._observedOperands.add(absorbedId);
+    this._writes.add(survivorId);
+    this._writes.add(absorbedId);
+    return this;
+  }
+
+  /**
+   * Requires a node to exist when the patch commits.
+   *
+   * Preconditions are checked against freshly materialized state right
+   * before the writer-ref CAS; if any fails, `commit()` throws
+   * `PreconditionError` and writes nothing. They add no operations, so a
+   * patch still needs at least one mutation.
+   *
+   * @param {string} nodeId - The node ID
+   * @returns {PatchBuilderV2} This builder instance for method chaining
+   */
+  expectNode(nodeId) {
+    this._assertNotCommitted();
+    this._preconditions.push({ type: 'nodeExists', nodeId });
+    this._observedOperands.add(nodeId);
+    return this;
+  }
+
+  /**
+   * Requires an edge (and both its endpoints) to exist when the patch commits.
+   *
+   * @param {string} from - Source node ID
+   * @param {string} to - Target node ID
+   * @param {string} label - Edge label
+   * @returns {PatchBuilderV2} This builder instance for method chaining
+   */
+  expectEdge(from, to, label) {
+    this._assertNotCommitted();
+    this._preconditions.push({ type: 'edgeExists', from, to, label });
+    this._observedOperands.add(encodeEdgeKey(from, to, label));
+    return this;
+  }
+
+  /**
+   * Requires a node — or, with three arguments, an edge — to be absent when
+   * the patch commits.
+   *
+   * @param {string} nodeIdOrFrom - Node ID, or the edge's source node ID
+   * @param {string} [to] - Edge target node ID
+   * @param {string} [label] - Edge label
+   * @returns {PatchBuilderV2} This builder instance for method chaining
+   * @throws {Error} If only one of `to` and `label` is given
+   *
+   * @example
+   * builder.expectAbsent('user:alice').addNode('user:alice');
+   * builder.expectAbsent('user:alice', 'user:bob', 'follows').addEdge('user:alice', 'user:bob', 'follows');
+   */
+  expectAbsent(nodeIdOrFrom, to, label) {
+    this._assertNotCommitted();
+    if (to === undefined && label === undefined) {
+      this._preconditions.push({ type: 'nodeAbsent', nodeId: nodeIdOrFrom });
+      this._observedOperands.add(nodeIdOrFrom);
+      return this;
+    }
+    if (typeof to !== 'string' || typeof label !== 'string') {
+      throw new Error('expectAbsent() takes a node ID, or an edge as (from, to, label)');
+    }
+    this._preconditions.push({ type: 'edgeAbsent', from: nodeIdOrFrom, to, label });
+    this._observedOperands.add(encodeEdgeKey(nodeIdOrFrom, to, label));
+    return this;
+  }
+
+  /**
+   * Requires a node property to hold `value` when the patch commits.
+   * Arrays and objects compare structurally; pass `undefined` to require
+   * the property to be unset (or the node to be absent).
+   *
+   * @param {string} nodeId - The node ID
+   * @param {string} key - Property key
+   * @param {unknown} value - Expected value
+   * @returns {PatchBuilderV2} This builder instance for method chaining
+   *
+   * @example
+   * await (await graph.createPatch())
+   *   .expectProp('issue:1', 'status', 'open')
+   *   .setProperty('issue:1', 'status', 'closed')
+   *   .commit();
+   */
+  expectProp(nodeId, key, value) {
+    this._assertNotCommitted();
+    this._preconditions.push({ type: 'propEquals', nodeId, key, value });
+    this._observedOperands.add(nodeId);
+    return this;
+  }
+
+  /**
+   * Checks this patch's preconditions against fresh state.
+   *
+   * @returns {Promise<void>}
+   * @throws {PreconditionError} If any precondition fails
+   * @private
+   */
+  async _assertPreconditions() {
+    if (this._preconditions.length === 0) {
+      return;
+    }
+    const state = this._getFreshState ? await this._getFreshState() : this._getCurrentState();
+    const failures = checkPreconditions(state && projectNodeAliases(state), this._preconditions);
+    if (failures.length > 0) {
+      const more = failures.length > 1 ? ` (and ${failures.length - 1} more)` : '';
+      throw new PreconditionError(`Patch precondition failed: ${failures[0].message}${more}`, {
+        failures,
+        context: { graphName: this._graphName, writerId: this._writerId },
+      });
+    }
+  }
+
+  /**
+   * Marks this patch as the revert of an earlier one. Used by
+   * `graph.revert()`; the SHA is written as the `eg-revert-of` trailer.
+   *
+   * @param {string} sha - The reverted patch's commit SHA
+   * @returns {PatchBuilderV2} This builder instance for method chaining
+   * @internal
+   */
+  _markRevertOf(sha) {
+    this._assertNotCommitted();
+    this._revertOf = sha;
+    return this;
+  }
+
+  /**
+   * Patch schema version required by the queued ops, so readers that
+   * predate an op type reject the patch instead of dropping the op.
+   *
+   * @returns {2|3|4}
+   * @private
+   */
+  _schemaVersion() {
+    return /** @type {2|3|4} */ (detectSchemaVersion(this._ops));
+  }
+
   /**
    * Builds the PatchV2 object without committing.
    *
    * This method constructs the patch structure from all queued operations.
-   * The patch includes the schema version (2 or 3 depending on whether edge
-   * properties are present), writer ID, lamport timestamp, version vector
-   * context, and all operations.
+   * The patch includes the schema version (see `detectSchemaVersion()`),
+   * writer ID, lamport timestamp, version vector context, and all operations.
    *
    * Note: This method is primarily for testing and inspection. For normal
    * usage, prefer `commit()` which builds and persists the patch atomically.
    *
    * @returns {import('../types/WarpTypesV2.js').PatchV2} The constructed patch object containing:
-   *   - `schema`: Version number (2 for node/edge ops, 3 if edge properties present)
+   *   - `schema`: Version number (2 for node/edge ops, 3 if edge properties
+   *     present, 4 if counter, set, sequence, or node-merge ops present)
    *   - `writer`: Writer ID string
    *   - `lamport`: Lamport timestamp for ordering
    *   - `context`: Version vector for causal context
    *   - `ops`: Array of operations (NodeAdd, NodeRemove, EdgeAdd, EdgeRemove, PropSet)
    */
   build() {
-    const schema = this._hasEdgeProps ? 3 : 2;
+    const schema = this._schemaVersion();
     // Lower canonical ops to raw form for the persisted patch
     const rawOps = /** @type {import('../types/WarpTypesV2.js').RawOpV2[]} */ (this._ops.map(lowerCanonicalOp));
     return createPatchV2({
@@ -733,6 +1541,11 @@ export class PatchBuilderV2 {
    *   Message: `"PatchBuilder already committed — create a new builder"`
    * @throws {Error} If the patch is empty (no operations were added).
    *   Message: `"Cannot commit empty patch: no operations added"`
+   * @throws {SchemaViolationError} If the graph has a schema and a node or
+   *   edge written by this patch would violate it against fresh state.
+   *   Nothing is written.
+   * @throws {PreconditionError} If an `expect*()` precondition does not hold
+   *   against fresh state. Nothing is written.
    * @throws {WriterError} If a concurrent commit was detected (another process
    *   advanced the writer ref since this builder was created). Error has
    *   `code: 'WRITER_CAS_CONFLICT'` and properties `expectedSha`, `actualSha`.
@@ -766,6 +1579,12 @@ export class PatchBuilderV2 {
         throw new Error('Cannot commit empty patch: no operations added');
       }
 
+      // 2b. Enforce the graph schema against fresh state before anything is written
+      await this._assertSchema();
+
+      // 2c. Check preconditions against fresh state, just before the CAS
+      await this._assertPreconditions();
+
       // 3. Race detection: check if writer ref has advanced since builder creation
       const writerRef = buildWriterRef(this._graphName, this._writerId);
       const currentRefSha = await this._persistence.readRef(writerRef);
@@ -816,7 +1635,7 @@ export class PatchBuilderV2 {
       // Note: Dots were assigned using constructor lamport, but commit lamport may differ.
       // For now, we use the calculated lamport for the patch metadata.
       // The dots themselves are independent of patch lamport (they use VV counters).
-      const schema = this._hasEdgeProps ? 3 : 2;
+      const schema = this._schemaVersion();
       // Lower canonical ops to raw form for the persisted patch
       const rawOps = /** @type {import('../types/WarpTypesV2.js').RawOpV2[]} */ (this._ops.map(lowerCanonicalOp));
       const patch = createPatchV2({
@@ -855,6 +1674,7 @@ export class PatchBuilderV2 {
         // via patchBlobStorage" (see ADR-0002). The flag tells readers to retrieve
         // the blob via BlobStoragePort instead of reading it directly from Git.
         encrypted: !!this._patchBlobStorage,
+        revertOf: this._revertOf,
       });
       const parents = parentCommit ? [parentCommit] : [];
       const newCommitSha = await this._persistence.commitNodeWithTree({
@@ -896,6 +1716,12 @@ export class PatchBuilderV2 {
    *   - `EdgeAdd`: `{ type: 'EdgeAdd', from, to, label, dot }`
    *   - `EdgeRemove`: `{ type: 'EdgeRemove', from, to, label, observed }`
    *   - `PropSet`: `{ type: 'PropSet', node, key, value }`
+   *   - `PropIncrement`: `{ type: 'PropIncrement', node, key, delta }`
+   *   - `SetAdd`: `{ type: 'SetAdd', node | from/to/label, key, element, dot }`
+   *   - `SetRemove`: `{ type: 'SetRemove', node | from/to/label, key, element, observedDots }`
+   *   - `SeqInsert`: `{ type: 'SeqInsert', node, key, value, origin, dot }`
+   *   - `SeqRemove`: `{ type: 'SeqRemove', node, key, item }`
+   *   - `SeqMove`: `{ type: 'SeqMove', node, key, item, origin, dot }`
    */
   get ops() {
     return this._ops;
@@ -932,7 +1758,7 @@ export class PatchBuilderV2 {
    * Returns a copy of the writes tracked for provenance. This includes:
    * - Nodes written via `addNode`
    * - Edge keys written via `addEdge`
-   * - Nodes written via `setProperty`
+   * - Nodes written via `setProperty` or `incrementProperty`
    * - Edge keys written via `setEdgeProperty`
    *
    * Note: Returns a defensive copy to prevent external mutation of internal state.
@@ -30,7 +30,9 @@ import {
 /**
  * Encodes a patch commit message.
  *
- * @param {{ graph: string, writer: string, lamport: number, patchOid: string, schema?: number, encrypted?: boolean }} options - The patch message options
+ * @param {{ graph: string, writer: string, lamport: number, patchOid: string, schema?: number, encrypted?: boolean, revertOf?: string|null, mergedFrom?: string|null }} options - The patch message options.
+ *   `revertOf` records the SHA of the patch this one reverts (see `graph.revert()`);
+ *   `mergedFrom` records the fork patch this one was landed from (see `graph.mergeFork()`).
  * @returns {string} The encoded commit message
  * @throws {Error} If any validation fails
  *
@@ -42,7 +44,7 @@ import {
  *   patchOid: 'abc123...' // 40-char hex
  * });
  */
-export function encodePatchMessage({ graph, writer, lamport, patchOid, schema = 2, encrypted = false }) {
+export function encodePatchMessage({ graph, writer, lamport, patchOid, schema = 2, encrypted = false, revertOf = null, mergedFrom = null }) {
   // Validate inputs
   validateGraphName(graph);
   validateWriterId(writer);
@@ -63,12 +65,47 @@ export function encodePatchMessage({ graph, writer, lamport, patchOid, schema =
   if (encrypted) {
     trailers[TRAILER_KEYS.encrypted] = 'true';
   }
+  Object.assign(trailers, linkTrailers({ revertOf, mergedFrom }));
   return codec.encode({
     title: MESSAGE_TITLES.patch,
     trailers,
   });
 }
 
+/**
+ * Validates the optional trailers that link a patch to another patch commit
+ * and returns the ones that are set.
+ *
+ * @param {{ revertOf: string|null, mergedFrom: string|null }} links
+ * @returns {Record<string, string>}
+ */
+function linkTrailers(links) {
+  /** @type {Record<string, string>} */
+  const trailers = {};
+  for (const [name, oid] of Object.entries(links)) {
+    if (oid !== null) {
+      validateOid(oid, name);
+      trailers[TRAILER_KEYS[name]] = oid;
+    }
+  }
+  return trailers;
+}
+
+/**
+ * Reads an optional OID trailer, or null when absent.
+ *
+ * @param {Record<string, string>} trailers
+ * @param {'revertOf'|'mergedFrom'} name
+ * @returns {string|null}
+ */
+function optionalOidTrailer(trailers, name) {
+  const oid = trailers[TRAILER_KEYS[name]] ?? null;
+  if (oid !== null) {
+    validateOid(oid, name);
+  }
+  return oid;
+}
+
 // -----------------------------------------------------------------------------
 // Decoder
 // -----------------------------------------------------------------------------
@@ -77,7 +114,7 @@ export function encodePatchMessage({ graph, writer, lamport, patchOid, schema =
  * Decodes a patch commit message.
  *
  * @param {string} message - The raw commit message
- * @returns {{ kind: 'patch', graph: string, writer: string, lamport: number, patchOid: string, schema: number, encrypted: boolean }} The decoded patch message
+ * @returns {{ kind: 'patch', graph: string, writer: string, lamport: number, patchOid: string, schema: number, encrypted: boolean, revertOf: string|null, mergedFrom: string|null }} The decoded patch message
  * @throws {Error} If the message is not a valid patch message
  *
  * @example
@@ -108,5 +145,7 @@ export function decodePatchMessage(message) {
     patchOid,
     schema,
     encrypted,
+    revertOf: optionalOidTrailer(trailers, 'revertOf'),
+    mergedFrom: optionalOidTrailer(trailers, 'mergedFrom'),
   };
 }
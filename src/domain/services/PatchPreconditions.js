@@ -0,0 +1,145 @@
+/**
+ * PatchPreconditions - Compare-and-set checks for patch commits
+ *
+ * A patch can carry expectations about the graph it is written against
+ * (`expectNode`, `expectEdge`, `expectAbsent`, `expectProp` on
+ * PatchBuilderV2). They are not part of the persisted patch: the builder
+ * checks them against fresh materialized state immediately before the
+ * writer-ref CAS and refuses to commit if any fails.
+ *
+ * This gives optimistic concurrency for code sharing one writer. It does
+ * not coordinate writers — concurrent patches from other writers still
+ * merge by CRDT rules once they are synced.
+ *
+ * @module domain/services/PatchPreconditions
+ */
+
+import { orsetContains } from '../crdt/ORSet.js';
+import { lwwValue } from '../crdt/LWW.js';
+import { canonicalStringify } from '../utils/canonicalStringify.js';
+import { encodeEdgeKey, encodePropKey } from './KeyCodec.js';
+import { createEmptyStateV5 } from './JoinReducer.js';
+import { resolveNodeAlias } from './NodeAliases.js';
+
+/**
+ * A single expectation. Node preconditions carry `nodeId`; edge
+ * preconditions carry `from`, `to`, `label`; `propEquals` also carries
+ * `key` and the expected `value` (`undefined` = the property is unset).
+ *
+ * @typedef {Object} PatchPrecondition
+ * @property {'nodeExists'|'nodeAbsent'|'edgeExists'|'edgeAbsent'|'propEquals'} type
+ * @property {string} [nodeId]
+ * @property {string} [from]
+ * @property {string} [to]
+ * @property {string} [label]
+ * @property {string} [key]
+ * @property {unknown} [value]
+ */
+
+/**
+ * A precondition that did not hold, with the observed value (`propEquals`)
+ * or presence (the others) and a human-readable message.
+ *
+ * @typedef {PatchPrecondition & { actual: unknown, message: string }} PreconditionFailure
+ */
+
+/**
+ * Compares property values. Structured values (arrays from set and
+ * sequence properties, objects) compare by canonical JSON; `undefined`
+ * (unset) only equals itself.
+ *
+ * @param {unknown} a
+ * @param {unknown} b
+ * @returns {boolean}
+ */
+export function valuesEqual(a, b) {
+  if (a === b) {
+    return true;
+  }
+  if (a === null || b === null || typeof a !== 'object' || typeof b !== 'object') {
+    return false;
+  }
+  return canonicalStringify(a) === canonicalStringify(b);
+}
+
+/**
+ * @param {unknown} value
+ * @returns {string}
+ */
+function formatValue(value) {
+  return value === undefined ? 'unset' : canonicalStringify(value);
+}
+
+/**
+ * @param {import('./JoinReducer.js').WarpStateV5} state
+ * @param {PatchPrecondition} p
+ * @returns {PreconditionFailure|null}
+ */
+function checkNode(state, p) {
+  const nodeId = p.nodeId ?? '';
+  const actual = orsetContains(state.nodeAlive, resolveNodeAlias(state, nodeId));
+  return actual === (p.type === 'nodeExists') ? null
+    : { ...p, actual, message: `expected node ${nodeId} to ${actual ? 'be absent' : 'exist'}` };
+}
+
+/**
+ * An edge counts as present only when it and both endpoints are alive.
+ *
+ * @param {import('./JoinReducer.js').WarpStateV5} state
+ * @param {PatchPrecondition} p
+ * @returns {PreconditionFailure|null}
+ */
+function checkEdge(state, p) {
+  const { from = '', to = '', label = '' } = p;
+  const source = resolveNodeAlias(state, from);
+  const target = resolveNodeAlias(state, to);
+  const actual = orsetContains(state.edgeAlive, encodeEdgeKey(source, target, label))
+    && orsetContains(state.nodeAlive, source)
+    && orsetContains(state.nodeAlive, target);
+  return actual === (p.type === 'edgeExists') ? null
+    : { ...p, actual, message: `expected edge ${from} -> ${to} [${label}] to ${actual ? 'be absent' : 'exist'}` };
+}
+
+/**
+ * @param {import('./JoinReducer.js').WarpStateV5} state
+ * @param {PatchPrecondition} p
+ * @returns {PreconditionFailure|null}
+ */
+function checkProp(state, p) {
+  const { nodeId = '', key = '' } = p;
+  const node = resolveNodeAlias(state, nodeId);
+  const actual = orsetContains(state.nodeAlive, node) ? lwwValue(state.prop.get(encodePropKey(node, key))) : undefined;
+  return valuesEqual(actual, p.value) ? null
+    : { ...p, actual, message: `expected ${nodeId}.${key} to be ${formatValue(p.value)}, got ${formatValue(actual)}` };
+}
+
+/** Checker per precondition type. */
+const CHECKS = Object.freeze({
+  nodeExists: checkNode,
+  nodeAbsent: checkNode,
+  edgeExists: checkEdge,
+  edgeAbsent: checkEdge,
+  propEquals: checkProp,
+});
+
+/**
+ * Evaluates preconditions against materialized state — the read view, with
+ * merged nodes folded into their survivors. A missing state (no patches yet)
+ * is treated as the empty graph.
+ *
+ * @param {import('./JoinReducer.js').WarpStateV5|null} state
+ * @param {ReadonlyArray<PatchPrecondition>} preconditions
+ * @returns {PreconditionFailure[]} Every failed precondition, in declaration order
+ */
+export function checkPreconditions(state, preconditions) {
+  const view = state || createEmptyStateV5();
+  /** @type {PreconditionFailure[]} */
+  const failures = [];
+  for (const p of preconditions) {
+    const failure = CHECKS[p.type](view, p);
+    if (failure) {
+      failures.push(failure);
+    }
+  }
+  return failures;
+}
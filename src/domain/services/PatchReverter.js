@@ -0,0 +1,403 @@
+/**
+ * PatchReverter - Plans the inverse of a committed patch
+ *
+ * `graph.revert(sha)` undoes a patch by committing a new one. The plan
+ * compares the current state with the state replayed from the patches
+ * ordered before the reverted one and, for each node, edge, and property
+ * the reverted patch wrote, emits the builder calls that bring the current
+ * value back to the replayed one: removed nodes and edges are re-added
+ * (edges with the properties they had), added ones are removed, and
+ * properties get their prior value back (`null` when they were unset).
+ * Counters are restored by negating the patch's own increments, so other
+ * writers' increments survive, and set properties by adding or removing
+ * the differing elements.
+ *
+ * Only keys the reverted patch wrote are compared, so unrelated changes
+ * made since are left alone. A later patch that also wrote one of those
+ * keys would be overwritten too; `findSupersedingPatches()` reports them
+ * so the caller can refuse.
+ *
+ * @module domain/services/PatchReverter
+ */
+
+import { orsetContains } from '../crdt/ORSet.js';
+import { lwwValue } from '../crdt/LWW.js';
+import { compareEventIds, createEventId } from '../utils/EventId.js';
+import { encodeEdgeKey, encodeEdgePropKey, encodePropKey } from './KeyCodec.js';
+import { normalizeRawOp } from './OpNormalizer.js';
+import { valuesEqual } from './PatchPreconditions.js';
+import RevertError from '../errors/RevertError.js';
+
+/**
+ * Something a patch wrote. `id` is the node ID, edge key, or property key
+ * as stored in state; `kind` says how a property merges (LWW register,
+ * counter, set, or sequence).
+ *
+ * @typedef {Object} RevertTarget
+ * @property {'node'|'edge'|'prop'} type
+ * @property {string} id
+ * @property {'value'|'counter'|'set'|'sequence'} [kind]
+ * @property {string} [nodeId]
+ * @property {string} [from]
+ * @property {string} [to]
+ * @property {string} [label]
+ * @property {string} [key]
+ * @property {number} [delta] - Counters only: sum of the patch's own increments
+ */
+
+/**
+ * One PatchBuilderV2 call of the inverse patch.
+ *
+ * @typedef {Object} RevertStep
+ * @property {'addNode'|'removeNode'|'addEdge'|'removeEdge'|'setProperty'|'setEdgeProperty'|'incrementProperty'|'addToSet'|'removeFromSet'|'addToEdgeSet'|'removeFromEdgeSet'} method
+ * @property {unknown[]} args
+ */
+
+/**
+ * A later patch that wrote keys the reverted patch also wrote.
+ *
+ * @typedef {Object} SupersedingPatch
+ * @property {string} sha
+ * @property {string} writer
+ * @property {number} lamport
+ * @property {string[]} targets - The shared keys, formatted like `node`, `from -> to [label]`, or `node.key`
+ */
+
+/**
+ * @typedef {Object} RevertPlan
+ * @property {Map<string, boolean>} nodes - Node ID → alive after the revert (changed nodes only)
+ * @property {Map<string, boolean>} edges - Edge key → alive after the revert (changed edges only)
+ * @property {Set<string>} restored - Property keys already restored with a re-added edge
+ * @property {RevertStep[]} adds
+ * @property {RevertStep[]} props
+ * @property {RevertStep[]} removes
+ */
+
+/** @typedef {import('./JoinReducer.js').WarpStateV5} WarpStateV5 */
+/** @typedef {{ current: WarpStateV5, before: WarpStateV5 }} RevertStates */
+/** @typedef {{ type: string, node?: string, into?: string, from?: string, to?: string, label?: string, key?: string, delta?: number }} OpFields */
+
+/**
+ * @param {OpFields} op
+ * @returns {RevertTarget}
+ */
+function nodeTarget(op) {
+  const nodeId = op.node ?? '';
+  return { type: 'node', id: nodeId, nodeId };
+}
+
+/**
+ * @param {OpFields} op
+ * @returns {RevertTarget}
+ */
+function edgeTarget({ from = '', to = '', label = '' }) {
+  return { type: 'edge', id: encodeEdgeKey(from, to, label), from, to, label };
+}
+
+/**
+ * @param {'value'|'counter'|'set'|'sequence'} kind
+ * @returns {(op: OpFields) => RevertTarget}
+ */
+function propTarget(kind) {
+  return ({ node, from = '', to = '', label = '', key = '' }) => (node !== undefined
+    ? { type: 'prop', kind, id: encodePropKey(node, key), nodeId: node, key }
+    : { type: 'prop', kind, id: encodeEdgePropKey(from, to, label, key), from, to, label, key });
+}
+
+/** Target extractor per canonical op type; ops without state effect are absent. */
+const TARGETS = Object.freeze({
+  NodeAdd: nodeTarget,
+  NodeRemove: nodeTarget,
+  EdgeAdd: edgeTarget,
+  EdgeRemove: edgeTarget,
+  NodePropSet: propTarget('value'),
+  EdgePropSet: propTarget('value'),
+  PropIncrement: propTarget('counter'),
+  SetAdd: propTarget('set'),
+  SetRemove: propTarget('set'),
+  SeqInsert: propTarget('sequence'),
+  SeqRemove: propTarget('sequence'),
+  SeqMove: propTarget('sequence'),
+});
+
+/**
+ * Lists what a patch wrote, deduplicated, in first-write order.
+ *
+ * @param {import('../types/WarpTypesV2.js').PatchV2} patch
+ * @returns {RevertTarget[]}
+ */
+function targetsOf(patch) {
+  /** @type {Map<string, RevertTarget>} */
+  const targets = new Map();
+  for (const raw of patch.ops) {
+    const op = /** @type {OpFields} */ (normalizeRawOp(raw));
+    const extract = TARGETS[/** @type {keyof typeof TARGETS} */ (op.type)];
+    if (!extract) {
+      continue;
+    }
+    const target = extract(op);
+    const mapKey = `${target.type}:${target.id}`;
+    if (!targets.has(mapKey)) {
+      targets.set(mapKey, target);
+    }
+    if (op.type === 'PropIncrement') {
+      const counter = /** @type {RevertTarget} */ (targets.get(mapKey));
+      counter.delta = (counter.delta ?? 0) + (op.delta ?? 0);
+    }
+  }
+  return [...targets.values()];
+}
+
+/**
+ * Formats a target for messages.
+ *
+ * @param {RevertTarget} target
+ * @returns {string}
+ */
+export function describeTarget(target) {
+  const owner = target.nodeId ?? `${target.from} -> ${target.to} [${target.label}]`;
+  return target.type === 'prop' ? `${owner}.${target.key}` : owner;
+}
+
+/**
+ * Lists the nodes, edges, and properties a patch wrote.
+ *
+ * @param {import('../types/WarpTypesV2.js').PatchV2} patch
+ * @returns {RevertTarget[]}
+ * @throws {RevertError} If the patch edits a sequence property or merges
+ *   nodes (code: `E_REVERT_UNSUPPORTED`)
+ */
+export function collectRevertTargets(patch) {
+  const merges = /** @type {OpFields[]} */ (patch.ops).filter((op) => op.type === 'NodeMerge')
+    .map((op) => `${op.node} -> ${op.into}`);
+  if (merges.length > 0) {
+    throw new RevertError(`Cannot revert node merges (${merges.join(', ')})`, {
+      code: 'E_REVERT_UNSUPPORTED',
+      context: { merges },
+    });
+  }
+  const targets = targetsOf(patch);
+  const sequences = targets.filter((t) => t.kind === 'sequence');
+  if (sequences.length > 0) {
+    throw new RevertError(`Cannot revert sequence edits (${sequences.map(describeTarget).join(', ')})`, {
+      code: 'E_REVERT_UNSUPPORTED',
+      context: { targets: sequences.map(describeTarget) },
+    });
+  }
+  return targets;
+}
+
+/**
+ * Finds patches ordered after `reverted` (by Lamport tick, then writer,
+ * then SHA — the order LWW resolves by) that wrote any of `targets`.
+ *
+ * @param {RevertTarget[]} targets - From `collectRevertTargets(reverted.patch)`
+ * @param {{ patch: import('../types/WarpTypesV2.js').PatchV2, sha: string }} reverted
+ * @param {Array<{ patch: import('../types/WarpTypesV2.js').PatchV2, sha: string }>} entries - Every patch in the graph
+ * @returns {SupersedingPatch[]} In the order of `entries`
+ */
+export function findSupersedingPatches(targets, reverted, entries) {
+  const wanted = new Set(targets.map((t) => `${t.type}:${t.id}`));
+  const after = createEventId(reverted.patch.lamport, reverted.patch.writer, reverted.sha, 0);
+  /** @type {SupersedingPatch[]} */
+  const superseding = [];
+  for (const { patch, sha } of entries) {
+    if (compareEventIds(createEventId(patch.lamport, patch.writer, sha, 0), after) <= 0) {
+      continue;
+    }
+    const shared = targetsOf(patch).filter((t) => wanted.has(`${t.type}:${t.id}`));
+    if (shared.length > 0) {
+      superseding.push({ sha, writer: patch.writer, lamport: patch.lamport, targets: shared.map(describeTarget) });
+    }
+  }
+  return superseding;
+}
+
+/**
+ * @param {RevertStep['method']} method
+ * @param {unknown[]} args
+ * @returns {RevertStep}
+ */
+function step(method, args) {
+  return { method, args };
+}
+
+/**
+ * @param {WarpStateV5} state
+ * @param {string} edgeKey
+ * @param {string} propKey
+ * @returns {unknown} The edge property value, or undefined if it predates the edge's last add
+ */
+function edgePropValue(state, edgeKey, propKey) {
+  const reg = state.prop.get(propKey);
+  const birth = state.edgeBirthEvent?.get(edgeKey);
+  if (!reg || (birth && reg.eventId && compareEventIds(reg.eventId, birth) < 0)) {
+    return undefined;
+  }
+  return reg.value;
+}
+
+/**
+ * Property value as the target's owner would see it once alive.
+ *
+ * @param {WarpStateV5} state
+ * @param {RevertTarget} t
+ * @returns {unknown}
+ */
+function propValue(state, t) {
+  return t.nodeId !== undefined
+    ? lwwValue(state.prop.get(t.id))
+    : edgePropValue(state, encodeEdgeKey(t.from ?? '', t.to ?? '', t.label ?? ''), t.id);
+}
+
+/**
+ * @param {RevertPlan} plan
+ * @param {RevertTarget} t
+ * @param {RevertStates} states
+ */
+function planNode(plan, t, { current, before }) {
+  const wasAlive = orsetContains(before.nodeAlive, t.id);
+  if (wasAlive === orsetContains(current.nodeAlive, t.id)) {
+    return;
+  }
+  plan.nodes.set(t.id, wasAlive);
+  (wasAlive ? plan.adds : plan.removes).push(step(wasAlive ? 'addNode' : 'removeNode', [t.id]));
+}
+
+/**
+ * @param {RevertPlan} plan
+ * @param {RevertTarget} t
+ * @param {RevertStates} states
+ */
+function planEdge(plan, t, { current, before }) {
+  const wasAlive = orsetContains(before.edgeAlive, t.id);
+  if (wasAlive === orsetContains(current.edgeAlive, t.id)) {
+    return;
+  }
+  plan.edges.set(t.id, wasAlive);
+  const { from, to, label } = t;
+  if (!wasAlive) {
+    plan.removes.unshift(step('removeEdge', [from, to, label]));
+    return;
+  }
+  plan.adds.push(step('addEdge', [from, to, label]));
+  restoreEdgeProps(plan, t, before);
+}
+
+/**
+ * A re-added edge starts with no visible properties; queues the ones it
+ * had in `before`.
+ *
+ * @param {RevertPlan} plan
+ * @param {RevertTarget} t
+ * @param {WarpStateV5} before
+ */
+function restoreEdgeProps(plan, t, before) {
+  const { from = '', to = '', label = '' } = t;
+  const prefix = encodeEdgePropKey(from, to, label, '');
+  for (const propKey of before.prop.keys()) {
+    const value = propKey.startsWith(prefix) ? edgePropValue(before, t.id, propKey) : undefined;
+    if (value === undefined) {
+      continue;
+    }
+    const key = propKey.slice(prefix.length);
+    plan.restored.add(propKey);
+    if (before.sets.has(propKey)) {
+      for (const element of /** @type {string[]} */ (value)) {
+        plan.props.push(step('addToEdgeSet', [from, to, label, key, element]));
+      }
+    } else {
+      plan.props.push(step('setEdgeProperty', [from, to, label, key, value]));
+    }
+  }
+}
+
+/**
+ * Whether the target's owner (node or edge) is alive once the plan applies.
+ *
+ * @param {RevertPlan} plan
+ * @param {RevertTarget} t
+ * @param {WarpStateV5} current
+ * @returns {boolean}
+ */
+function ownerAliveAfter(plan, t, current) {
+  /** @param {string} nodeId */
+  const nodeAlive = (nodeId) => plan.nodes.get(nodeId) ?? orsetContains(current.nodeAlive, nodeId);
+  if (t.nodeId !== undefined) {
+    return nodeAlive(t.nodeId);
+  }
+  const { from = '', to = '', label = '' } = t;
+  const edgeKey = encodeEdgeKey(from, to, label);
+  return (plan.edges.get(edgeKey) ?? orsetContains(current.edgeAlive, edgeKey)) && nodeAlive(from) && nodeAlive(to);
+}
+
+/**
+ * @param {RevertTarget} t
+ * @param {unknown} was
+ * @param {unknown} is
+ * @returns {RevertStep[]}
+ */
+function setSteps(t, was, is) {
+  const prior = new Set(Array.isArray(was) ? was : []);
+  const now = new Set(Array.isArray(is) ? is : []);
+  const owner = t.nodeId !== undefined ? [t.nodeId] : [t.from, t.to, t.label];
+  const [add, remove] = t.nodeId !== undefined ? ['addToSet', 'removeFromSet'] : ['addToEdgeSet', 'removeFromEdgeSet'];
+  return [
+    ...[...prior].filter((e) => !now.has(e)).map((e) => step(/** @type {RevertStep['method']} */ (add), [...owner, t.key, e])),
+    ...[...now].filter((e) => !prior.has(e)).map((e) => step(/** @type {RevertStep['method']} */ (remove), [...owner, t.key, e])),
+  ];
+}
+
+/**
+ * @param {RevertPlan} plan
+ * @param {RevertTarget} t
+ * @param {RevertStates} states
+ */
+function planProp(plan, t, { current, before }) {
+  if (plan.restored.has(t.id) || !ownerAliveAfter(plan, t, current)) {
+    return;
+  }
+  if (t.kind === 'counter') {
+    if (t.delta) {
+      plan.props.push(step('incrementProperty', [t.nodeId, t.key, -t.delta]));
+    }
+    return;
+  }
+  const was = propValue(before, t);
+  const is = propValue(current, t);
+  if (valuesEqual(was, is)) {
+    return;
+  }
+  if (t.kind === 'set') {
+    plan.props.push(...setSteps(t, was, is));
+  } else {
+    const value = was === undefined ? null : was;
+    plan.props.push(t.nodeId !== undefined
+      ? step('setProperty', [t.nodeId, t.key, value])
+      : step('setEdgeProperty', [t.from, t.to, t.label, t.key, value]));
+  }
+}
+
+/**
+ * Plans the builder calls that make every target match its value in
+ * `before`. Adds come first (nodes, then edges), then property writes,
+ * then removals (edges, then nodes), so each call sees its owner alive.
+ *
+ * @param {RevertTarget[]} targets - From `collectRevertTargets()`
+ * @param {RevertStates} states - `current`: the graph now; `before`: the patches ordered before the reverted one, replayed
+ * @returns {RevertStep[]} Empty when the current state already matches
+ */
+export function planRevert(targets, states) {
+  /** @type {RevertPlan} */
+  const plan = { nodes: new Map(), edges: new Map(), restored: new Set(), adds: [], props: [], removes: [] };
+  for (const t of targets.filter((x) => x.type === 'node')) {
+    planNode(plan, t, states);
+  }
+  for (const t of targets.filter((x) => x.type === 'edge')) {
+    planEdge(plan, t, states);
+  }
+  for (const t of targets.filter((x) => x.type === 'prop')) {
+    planProp(plan, t, states);
+  }
+  return [...plan.adds, ...plan.props, ...plan.removes];
+}
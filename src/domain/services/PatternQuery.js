@@ -0,0 +1,566 @@
+/**
+ * PatternQuery - Subgraph pattern matching over named variables.
+ *
+ * Where QueryBuilder follows one working set through its hops, a pattern
+ * query binds several nodes at once: each variable has an ID pattern,
+ * edge constraints relate pairs of variables, and every assignment of
+ * nodes to variables that satisfies all of them is a result row.
+ *
+ * Execution:
+ * 1. Candidates — each variable's nodes are those matching its pattern and
+ *    where() predicates (narrowed by the value index when one applies).
+ * 2. Pruning — candidates with no neighbor among the candidates at the
+ *    other end of one of their edge constraints are dropped, repeating until
+ *    nothing changes. Neighbors come from the bitmap index of the current
+ *    view (`BitmapNeighborProvider`), or the adjacency maps when the index
+ *    is unavailable.
+ * 3. Join — variables are bound one at a time, most constrained first, each
+ *    drawing its candidates from a neighbor of a variable already bound.
+ *
+ * A variable may appear in any number of constraints, including both ends
+ * of one (a self-loop), so cycles such as `a → b → c → a` are expressible.
+ * Distinct variables may bind the same node; exclude that with a row
+ * predicate when it matters.
+ *
+ * @module domain/services/PatternQuery
+ */
+
+import QueryError from '../errors/QueryError.js';
+import { matchGlob } from '../utils/matchGlob.js';
+import { createViewNeighbors } from './ViewNeighbors.js';
+import {
+  assertCount,
+  assertLabel,
+  assertMatchPattern,
+  compileWhere,
+  createNodeSnapshot,
+  narrowByValueIndex,
+  resolveExactPatterns,
+} from './QueryBuilder.js';
+
+/**
+ * @typedef {Object} PatternEdge
+ * @property {string} from - Variable at the edge's source
+ * @property {string|undefined} label - Edge label, or undefined for any label
+ * @property {string} to - Variable at the edge's target
+ */
+
+/**
+ * @typedef {Object} PatternMatchResult
+ * @property {string} stateHash - Hash of the materialized state at query time
+ * @property {Array<Record<string, string>>} rows - One node ID per selected variable, sorted by
+ *   the selected variables' IDs in declaration order
+ */
+
+/**
+ * @typedef {Object} MatchContext
+ * @property {Map<string, Set<string>>} candidates - Remaining candidates per variable
+ * @property {(nodeId: string, direction: 'out'|'in', label: string|undefined) => Promise<Set<string>>} neighbors -
+ *   Memoized neighbor lookup
+ */
+
+/**
+ * @param {unknown} variables
+ * @throws {QueryError} If variables is not a non-empty object of patterns (code: E_QUERY_MATCH_TYPE)
+ * @private
+ */
+function assertVariables(variables) {
+  if (variables === null || typeof variables !== 'object' || Array.isArray(variables) || Object.keys(variables).length === 0) {
+    throw new QueryError('match() expects an object mapping variable names to patterns', {
+      code: 'E_QUERY_MATCH_TYPE',
+      context: { receivedType: Array.isArray(variables) ? 'array' : typeof variables },
+    });
+  }
+  for (const pattern of Object.values(variables)) {
+    assertMatchPattern(pattern);
+  }
+}
+
+/**
+ * Builds a memoized neighbor lookup over a materialized view.
+ *
+ * @param {import('./ViewNeighbors.js').ViewNeighborLookup} lookup
+ * @returns {MatchContext['neighbors']}
+ * @private
+ */
+function memoizeNeighbors(lookup) {
+  /** @type {Map<string, Set<string>>} */
+  const memo = new Map();
+  return async (nodeId, direction, label) => {
+    const key = `${direction}\0${label === undefined ? '*' : `=${label}`}\0${nodeId}`;
+    let ids = memo.get(key);
+    if (!ids) {
+      const edges = await lookup(nodeId, direction, label === undefined ? undefined : new Set([label]));
+      ids = new Set(edges.map(({ neighborId }) => neighborId));
+      memo.set(key, ids);
+    }
+    return ids;
+  };
+}
+
+/**
+ * Whether a node has a neighbor among the candidates at the other end of
+ * an edge constraint.
+ *
+ * @param {string} nodeId
+ * @param {{ edge: PatternEdge, direction: 'out'|'in' }} side - The constraint, seen from `from` (out) or `to` (in)
+ * @param {MatchContext} ctx
+ * @returns {Promise<boolean>}
+ * @private
+ */
+async function hasSupport(nodeId, { edge, direction }, ctx) {
+  const ids = await ctx.neighbors(nodeId, direction, edge.label);
+  if (edge.from === edge.to) {
+    return ids.has(nodeId);
+  }
+  const others = /** @type {Set<string>} */ (ctx.candidates.get(direction === 'out' ? edge.to : edge.from));
+  for (const id of ids) {
+    if (others.has(id)) {
+      return true;
+    }
+  }
+  return false;
+}
+
+/**
+ * Drops the candidates of one end of an edge constraint that have no
+ * support at the other end.
+ *
+ * @param {PatternEdge} edge
+ * @param {'out'|'in'} direction - `out` prunes `edge.from`, `in` prunes `edge.to`
+ * @param {MatchContext} ctx
+ * @returns {Promise<boolean>} True when a candidate was dropped
+ * @private
+ */
+async function pruneSide(edge, direction, ctx) {
+  const own = /** @type {Set<string>} */ (ctx.candidates.get(direction === 'out' ? edge.from : edge.to));
+  let changed = false;
+  for (const nodeId of [...own]) {
+    if (!(await hasSupport(nodeId, { edge, direction }, ctx))) {
+      own.delete(nodeId);
+      changed = true;
+    }
+  }
+  return changed;
+}
+
+/**
+ * Prunes candidates until every remaining one is supported by each of its
+ * edge constraints (arc consistency), or some variable runs out.
+ *
+ * @param {PatternEdge[]} edges
+ * @param {MatchContext} ctx
+ * @returns {Promise<void>}
+ * @private
+ */
+async function pruneCandidates(edges, ctx) {
+  let changed = edges.length > 0;
+  while (changed) {
+    changed = false;
+    for (const edge of edges) {
+      const droppedFrom = await pruneSide(edge, 'out', ctx);
+      const droppedTo = await pruneSide(edge, 'in', ctx);
+      changed = changed || droppedFrom || droppedTo;
+    }
+    if ([...ctx.candidates.values()].some((set) => set.size === 0)) {
+      return;
+    }
+  }
+}
+
+/**
+ * Orders variables for the join: each next variable is one connected to
+ * those already placed if possible, with the fewest candidates, ties going
+ * to declaration order.
+ *
+ * @param {string[]} variables - In declaration order
+ * @param {PatternEdge[]} edges
+ * @param {Map<string, Set<string>>} candidates
+ * @returns {string[]}
+ * @private
+ */
+function joinOrder(variables, edges, candidates) {
+  /** @type {string[]} */
+  const order = [];
+  const placed = new Set();
+  /** @param {string} v */
+  const connected = (v) => edges.some((e) => (e.from === v && placed.has(e.to)) || (e.to === v && placed.has(e.from)));
+  /** @param {string} v */
+  const rank = (v) => [connected(v) ? 0 : 1, /** @type {Set<string>} */ (candidates.get(v)).size];
+  while (order.length < variables.length) {
+    let best = /** @type {string} */ (variables.find((v) => !placed.has(v)));
+    for (const v of variables) {
+      const [c, n] = rank(v);
+      const [bc, bn] = rank(best);
+      if (!placed.has(v) && (c < bc || (c === bc && n < bn))) {
+        best = v;
+      }
+    }
+    order.push(best);
+    placed.add(best);
+  }
+  return order;
+}
+
+/**
+ * Lists the nodes a variable may bind given the variables already bound:
+ * the neighbors of a bound variable it shares a constraint with, or all
+ * of its candidates when it has none.
+ *
+ * @param {string} variable
+ * @param {{ binding: Record<string, string>, edges: PatternEdge[] }} state
+ * @param {MatchContext} ctx
+ * @returns {Promise<string[]>} Sorted node IDs
+ * @private
+ */
+async function bindingOptions(variable, { binding, edges }, ctx) {
+  const own = /** @type {Set<string>} */ (ctx.candidates.get(variable));
+  const anchor = edges.find((e) => (e.to === variable && e.from !== variable && e.from in binding)
+    || (e.from === variable && e.to !== variable && e.to in binding));
+  if (!anchor) {
+    return [...own].sort();
+  }
+  const ids = anchor.to === variable
+    ? await ctx.neighbors(binding[anchor.from], 'out', anchor.label)
+    : await ctx.neighbors(binding[anchor.to], 'in', anchor.label);
+  return [...ids].filter((id) => own.has(id)).sort();
+}
+
+/**
+ * Checks every constraint between a newly bound variable and itself or
+ * the variables bound before it.
+ *
+ * @param {string} variable
+ * @param {{ binding: Record<string, string>, edges: PatternEdge[] }} state - Binding including `variable`
+ * @param {MatchContext} ctx
+ * @returns {Promise<boolean>}
+ * @private
+ */
+async function satisfiesEdges(variable, { binding, edges }, ctx) {
+  for (const edge of edges) {
+    const touches = edge.from === variable || edge.to === variable;
+    if (touches && edge.from in binding && edge.to in binding) {
+      const ids = await ctx.neighbors(binding[edge.from], 'out', edge.label);
+      if (!ids.has(binding[edge.to])) {
+        return false;
+      }
+    }
+  }
+  return true;
+}
+
+/**
+ * Enumerates every binding of the variables, in join order, that satisfies
+ * the edge constraints.
+ *
+ * @param {string[]} order - Variables in join order
+ * @param {PatternEdge[]} edges
+ * @param {MatchContext} ctx
+ * @returns {Promise<Array<Record<string, string>>>}
+ * @private
+ */
+async function enumerateBindings(order, edges, ctx) {
+  /** @type {Array<Record<string, string>>} */
+  const bindings = [];
+  /** @type {Record<string, string>} */
+  const binding = {};
+
+  /** @param {number} depth */
+  const extend = async (depth) => {
+    if (depth === order.length) {
+      bindings.push({ ...binding });
+      return;
+    }
+    const variable = order[depth];
+    for (const nodeId of await bindingOptions(variable, { binding, edges }, ctx)) {
+      binding[variable] = nodeId;
+      if (await satisfiesEdges(variable, { binding, edges }, ctx)) {
+        await extend(depth + 1);
+      }
+    }
+    delete binding[variable];
+  };
+
+  await extend(0);
+  return bindings;
+}
+
+/**
+ * Projects bindings onto the selected variables, dropping duplicate rows,
+ * and sorts them by ID in variable order.
+ *
+ * @param {Array<Record<string, string>>} bindings
+ * @param {string[]} selected
+ * @returns {Array<Record<string, string>>}
+ * @private
+ */
+function projectRows(bindings, selected) {
+  /** @type {Map<string, string[]>} */
+  const tuples = new Map();
+  for (const binding of bindings) {
+    const ids = selected.map((v) => binding[v]);
+    tuples.set(JSON.stringify(ids), ids);
+  }
+  return [...tuples.values()]
+    .sort(compareTuples)
+    .map((ids) => Object.fromEntries(selected.map((v, i) => [v, ids[i]])));
+}
+
+/**
+ * @param {string[]} a
+ * @param {string[]} b
+ * @returns {number}
+ * @private
+ */
+function compareTuples(a, b) {
+  for (let i = 0; i < a.length; i++) {
+    if (a[i] !== b[i]) {
+      return a[i] < b[i] ? -1 : 1;
+    }
+  }
+  return 0;
+}
+
+export default class PatternQuery {
+  /**
+   * Creates a pattern query. Use `graph.match()` rather than calling this
+   * directly.
+   *
+   * @param {import('../WarpGraph.js').default} graph - The WarpGraph instance to query
+   * @param {Record<string, string|string[]>} variables - Variable name → node ID pattern(s)
+   * @throws {QueryError} If variables is not a non-empty object of patterns (code: E_QUERY_MATCH_TYPE)
+   */
+  constructor(graph, variables) {
+    assertVariables(variables);
+    this._graph = graph;
+    /** @type {Map<string, string|string[]>} */
+    this._variables = new Map(Object.entries(variables));
+    /** @type {PatternEdge[]} */
+    this._edges = [];
+    /** @type {Map<string, Array<{ fn: (node: import('./QueryBuilder.js').QueryNodeSnapshot) => boolean, predicate?: Record<string, unknown> }>>} */
+    this._nodeFilters = new Map();
+    /** @type {Array<(row: Record<string, import('./QueryBuilder.js').QueryNodeSnapshot>) => boolean>} */
+    this._rowFilters = [];
+    /** @type {string[]|null} */
+    this._select = null;
+    /** @type {number|null} */
+    this._limit = null;
+  }
+
+  /**
+   * Requires an edge from the node bound to `from` to the node bound to
+   * `to`. `from` and `to` may name the same variable (a self-loop), and a
+   * variable may appear in any number of edges.
+   *
+   * @param {string} from - Source variable
+   * @param {string|undefined} label - Edge label, or undefined for any label
+   * @param {string} to - Target variable
+   * @returns {PatternQuery} This query for chaining
+   * @throws {QueryError} If from or to is not a declared variable (code: E_QUERY_PATTERN_VARIABLE)
+   * @throws {QueryError} If label is defined but not a string (code: E_QUERY_LABEL_TYPE)
+   */
+  edge(from, label, to) {
+    this._assertVariable('edge', from);
+    this._assertVariable('edge', to);
+    assertLabel(label);
+    this._edges.push({ from, label, to });
+    return this;
+  }
+
+  /**
+   * Filters the nodes a variable may bind, or whole rows.
+   *
+   * - `where('a', predicate)` takes anything `QueryBuilder.where()` does —
+   *   a function of the node snapshot, a declarative predicate, or object
+   *   shorthand — and applies it to variable `a`'s candidates before
+   *   matching. Declarative predicates use the value index when it covers
+   *   the properties they test.
+   * - `where((row) => …)` receives one node snapshot per variable and keeps
+   *   the bindings it returns true for, e.g. `row.a.id !== row.b.id` or a
+   *   comparison of two nodes' properties.
+   *
+   * @param {string|((row: Record<string, import('./QueryBuilder.js').QueryNodeSnapshot>) => boolean)} variableOrFn -
+   *   The variable to filter, or a row predicate
+   * @param {((node: import('./QueryBuilder.js').QueryNodeSnapshot) => boolean) | import('./NodePredicate.js').NodePredicateSpec | Record<string, unknown>} [predicate] -
+   *   Node predicate when filtering a variable
+   * @returns {PatternQuery} This query for chaining
+   * @throws {QueryError} If the variable is not declared (code: E_QUERY_PATTERN_VARIABLE)
+   * @throws {QueryError} If the predicate is neither a function nor a plain object (code: E_QUERY_WHERE_TYPE)
+   * @throws {QueryError} If a declarative predicate is malformed (code: E_QUERY_PREDICATE)
+   * @throws {QueryError} If object shorthand contains non-primitive values (code: E_QUERY_WHERE_VALUE_TYPE)
+   */
+  where(variableOrFn, predicate) {
+    if (typeof variableOrFn === 'function' && predicate === undefined) {
+      this._rowFilters.push(variableOrFn);
+      return this;
+    }
+    this._assertVariable('where', variableOrFn);
+    const variable = /** @type {string} */ (variableOrFn);
+    const { fn, predicate: declarative } = compileWhere(predicate);
+    const filters = this._nodeFilters.get(variable) ?? [];
+    filters.push(declarative ? { fn, predicate: declarative } : { fn });
+    this._nodeFilters.set(variable, filters);
+    return this;
+  }
+
+  /**
+   * Selects the variables each row reports; rows that differ only in other
+   * variables collapse into one. Defaults to every variable.
+   *
+   * @param {string[]} variables - Variables to report, in row order
+   * @returns {PatternQuery} This query for chaining
+   * @throws {QueryError} If variables is not a non-empty array (code: E_QUERY_SELECT_TYPE)
+   * @throws {QueryError} If a variable is not declared (code: E_QUERY_PATTERN_VARIABLE)
+   */
+  select(variables) {
+    if (!Array.isArray(variables) || variables.length === 0) {
+      throw new QueryError('select() expects a non-empty array of variable names', {
+        code: 'E_QUERY_SELECT_TYPE',
+        context: { receivedType: typeof variables },
+      });
+    }
+    for (const variable of variables) {
+      this._assertVariable('select', variable);
+    }
+    this._select = [...variables];
+    return this;
+  }
+
+  /**
+   * Caps the number of rows, keeping the first in result order.
+   *
+   * @param {number} n - Maximum number of rows (non-negative integer)
+   * @returns {PatternQuery} This query for chaining
+   * @throws {QueryError} If n is not a non-negative integer (code: E_QUERY_LIMIT_TYPE)
+   */
+  limit(n) {
+    assertCount('limit', n);
+    this._limit = n;
+    return this;
+  }
+
+  /**
+   * Finds every binding of the variables that satisfies the edges and
+   * where() filters.
+   *
+   * @returns {Promise<PatternMatchResult>} The matching rows, deterministically ordered
+   *
+   * @example
+   * // Users who follow someone who owns a repo they also starred
+   * const { rows } = await graph
+   *   .match({ u: 'user:*', f: 'user:*', r: 'repo:*' })
+   *   .edge('u', 'follows', 'f')
+   *   .edge('f', 'owns', 'r')
+   *   .edge('u', 'starred', 'r')
+   *   .run();
+   * // [{ u: 'user:alice', f: 'user:bob', r: 'repo:warp' }, ...]
+   */
+  async run() {
+    const graph = /** @type {{ _cachedViewHash?: string|null, _indexDegraded?: boolean, _materializeGraph: () => Promise<{ stateHash: string, adjacency: import('./QueryBuilder.js').AdjacencyMaps, provider?: import('../../ports/NeighborProviderPort.js').default }> }} */ (/** @type {unknown} */ (this._graph));
+    const materialized = await graph._materializeGraph();
+    const { stateHash, adjacency } = materialized;
+    const allNodes = [...(await this._graph.getNodes())].sort();
+
+    /** @type {Map<string, import('./QueryBuilder.js').QueryNodeSnapshot>} */
+    const snapshots = new Map();
+    const snapshotOf = async (/** @type {string} */ nodeId) => {
+      let snapshot = snapshots.get(nodeId);
+      if (!snapshot) {
+        snapshot = createNodeSnapshot({
+          id: nodeId,
+          propsRecord: (await this._graph.getNodeProps(nodeId)) || Object.create(null),
+          edgesOut: adjacency.outgoing.get(nodeId) || [],
+          edgesIn: adjacency.incoming.get(nodeId) || [],
+        });
+        snapshots.set(nodeId, snapshot);
+      }
+      return snapshot;
+    };
+
+    /** @type {MatchContext} */
+    const ctx = {
+      candidates: await this._candidates(allNodes, { stateHash, snapshotOf }),
+      neighbors: memoizeNeighbors(createViewNeighbors(graph, materialized, allNodes)),
+    };
+    await pruneCandidates(this._edges, ctx);
+    if ([...ctx.candidates.values()].some((set) => set.size === 0)) {
+      return { stateHash, rows: [] };
+    }
+
+    const variables = [...this._variables.keys()];
+    const bindings = await enumerateBindings(joinOrder(variables, this._edges, ctx.candidates), this._edges, ctx);
+    const kept = await this._filterRows(bindings, snapshotOf);
+    const rows = projectRows(kept, this._select ?? variables);
+    return { stateHash, rows: this._limit === null ? rows : rows.slice(0, this._limit) };
+  }
+
+  /**
+   * Computes each variable's candidates from its pattern and where()
+   * filters.
+   *
+   * @param {string[]} allNodes - Every node in the view, sorted
+   * @param {{ stateHash: string, snapshotOf: (nodeId: string) => Promise<import('./QueryBuilder.js').QueryNodeSnapshot> }} view
+   * @returns {Promise<Map<string, Set<string>>>}
+   * @private
+   */
+  async _candidates(allNodes, { stateHash, snapshotOf }) {
+    const { _valueIndex: index, _cachedViewHash: viewHash } = /** @type {{ _valueIndex?: import('./PropertyValueIndexReader.js').default|null, _cachedViewHash?: string|null }} */ (/** @type {unknown} */ (this._graph));
+    const valueIndex = index && viewHash === stateHash ? index : null;
+    /** @type {Map<string, Set<string>>} */
+    const candidates = new Map();
+    for (const [variable, rawPattern] of this._variables) {
+      const pattern = await resolveExactPatterns(this._graph, rawPattern);
+      let ids = allNodes.filter((nodeId) => matchGlob(pattern, nodeId));
+      for (const { fn, predicate } of this._nodeFilters.get(variable) ?? []) {
+        if (predicate && valueIndex) {
+          ids = await narrowByValueIndex(ids, predicate, valueIndex);
+        }
+        const keep = await Promise.all(ids.map(async (nodeId) => fn(await snapshotOf(nodeId))));
+        ids = ids.filter((_, i) => keep[i]);
+      }
+      candidates.set(variable, new Set(ids));
+    }
+    return candidates;
+  }
+
+  /**
+   * Applies the row predicates to complete bindings.
+   *
+   * @param {Array<Record<string, string>>} bindings
+   * @param {(nodeId: string) => Promise<import('./QueryBuilder.js').QueryNodeSnapshot>} snapshotOf
+   * @returns {Promise<Array<Record<string, string>>>}
+   * @private
+   */
+  async _filterRows(bindings, snapshotOf) {
+    if (this._rowFilters.length === 0) {
+      return bindings;
+    }
+    const kept = [];
+    for (const binding of bindings) {
+      /** @type {Record<string, import('./QueryBuilder.js').QueryNodeSnapshot>} */
+      const row = {};
+      for (const [variable, nodeId] of Object.entries(binding)) {
+        row[variable] = await snapshotOf(nodeId);
+      }
+      if (this._rowFilters.every((fn) => fn(row))) {
+        kept.push(binding);
+      }
+    }
+    return kept;
+  }
+
+  /**
+   * @param {string} method - Name of the method being called
+   * @param {unknown} variable - The variable name passed to it
+   * @throws {QueryError} If variable is not declared (code: E_QUERY_PATTERN_VARIABLE)
+   * @private
+   */
+  _assertVariable(method, variable) {
+    if (typeof variable !== 'string' || !this._variables.has(variable)) {
+      throw new QueryError(`${method}() references an undeclared variable: ${String(variable)}`, {
+        code: 'E_QUERY_PATTERN_VARIABLE',
+        context: { variable: typeof variable === 'string' ? variable : null, declared: [...this._variables.keys()] },
+      });
+    }
+  }
+}
@@ -0,0 +1,236 @@
+/**
+ * Builds secondary property-value index shards.
+ *
+ * Inverts node properties for a configured set of keys: each value maps to
+ * a bitmap of the global IDs (see LogicalBitmapIndexBuilder) of the nodes
+ * holding it. Entries are sorted by value — numbers, then strings, then
+ * booleans, then null — so equality lookups and numeric or string range
+ * scans both resolve to a few bitmaps.
+ *
+ * Produces `values_XX.cbor` shards keyed by the shard key of the property
+ * key, each an array of `[key, [[value, bitmap], ...]]` pairs. Every
+ * configured key is written even when no node holds it, so readers can tell
+ * an indexed key with no matches from a key that is not indexed.
+ *
+ * Only scalar values (strings, finite numbers, booleans, null) are indexed;
+ * structured values are left to the scan.
+ *
+ * @module domain/services/PropertyValueIndexBuilder
+ */
+
+import defaultCodec from '../utils/defaultCodec.js';
+import computeShardKey from '../utils/shardKey.js';
+import toBytes from '../utils/toBytes.js';
+import { getRoaringBitmap32 } from '../utils/roaring.js';
+
+/** @typedef {string|number|boolean|null} IndexedValue */
+/** @typedef {import('../utils/roaring.js').RoaringBitmapSubset} Bitmap */
+/** @typedef {{ value: IndexedValue, bitmap: Bitmap }} ValueEntry */
+
+/** @type {Record<string, number>} */
+const TYPE_RANK = { number: 0, string: 1, boolean: 2 };
+
+/**
+ * @param {unknown} value
+ * @returns {boolean} True for the scalar values the index holds
+ */
+export function isIndexedValue(value) {
+  return value === null
+    || typeof value === 'string'
+    || typeof value === 'boolean'
+    || (typeof value === 'number' && Number.isFinite(value));
+}
+
+/**
+ * @param {IndexedValue} value
+ * @returns {number}
+ */
+export function valueTypeRank(value) {
+  return value === null ? 3 : TYPE_RANK[typeof value];
+}
+
+/**
+ * Orders indexed values: numbers, strings, booleans, then null.
+ *
+ * @param {IndexedValue} a
+ * @param {IndexedValue} b
+ * @returns {number}
+ */
+export function compareIndexedValues(a, b) {
+  const rank = valueTypeRank(a) - valueTypeRank(b);
+  if (rank !== 0) {
+    return rank;
+  }
+  if (a === b) {
+    return 0;
+  }
+  return /** @type {string|number} */ (a) < /** @type {string|number} */ (b) ? -1 : 1;
+}
+
+/**
+ * Map key for a value, distinguishing `1` from `'1'`.
+ *
+ * @param {IndexedValue} value
+ * @returns {string}
+ */
+export function indexedValueKey(value) {
+  return value === null ? 'null' : `${typeof value}:${value}`;
+}
+
+/**
+ * @param {string} key - Property key
+ * @returns {string} Path of the shard holding the key
+ */
+export function valueShardPath(key) {
+  return `values_${computeShardKey(key)}.cbor`;
+}
+
+/**
+ * Decodes a `values_XX.cbor` shard into property key → value entries.
+ *
+ * @param {Uint8Array} buf
+ * @param {import('../../ports/CodecPort.js').default} codec
+ * @returns {Map<string, ValueEntry[]>} Entries per key, in value order
+ */
+export function decodeValueShard(buf, codec) {
+  const Ctor = getRoaringBitmap32();
+  const decoded = codec.decode(buf);
+  if (!Array.isArray(decoded)) {
+    const shape = decoded === null ? 'null' : typeof decoded;
+    throw new Error(`PropertyValueIndex: invalid shard format (expected array, got ${shape})`);
+  }
+  /** @type {Map<string, ValueEntry[]>} */
+  const keys = new Map();
+  for (const [key, entries] of /** @type {Array<[string, Array<[IndexedValue, Uint8Array]>]>} */ (decoded)) {
+    keys.set(key, entries.map(([value, bytes]) => ({
+      value,
+      bitmap: /** @type {Bitmap} */ (Ctor.deserialize(toBytes(bytes), true)),
+    })));
+  }
+  return keys;
+}
+
+export default class PropertyValueIndexBuilder {
+  /**
+   * @param {{ codec?: import('../../ports/CodecPort.js').default, keys?: string[] }} [options]
+   *   `keys` are written even if no value is added for them
+   */
+  constructor(options = undefined) {
+    const { codec, keys = [] } = options || {};
+    this._codec = codec || defaultCodec;
+    /** @type {Map<string, Map<string, Map<string, ValueEntry>>>} shardKey → (key → (valueKey → entry)) */
+    this._shards = new Map();
+    for (const key of keys) {
+      this._entriesFor(key);
+    }
+  }
+
+  /**
+   * Seeds the shard holding `key` from an existing tree, once per shard.
+   * Shards that are loaded are written back in full by serialize().
+   *
+   * @param {string} key
+   * @param {(path: string) => Uint8Array|undefined} loadShard
+   */
+  load(key, loadShard) {
+    const shardKey = computeShardKey(key);
+    if (this._shards.has(shardKey)) {
+      return;
+    }
+    /** @type {Map<string, Map<string, ValueEntry>>} */
+    const shard = new Map();
+    this._shards.set(shardKey, shard);
+    const buf = loadShard(valueShardPath(key));
+    if (!buf) {
+      return;
+    }
+    for (const [loadedKey, entries] of decodeValueShard(buf, this._codec)) {
+      shard.set(loadedKey, new Map(entries.map((entry) => [indexedValueKey(entry.value), entry])));
+    }
+  }
+
+  /**
+   * Records that a node holds a value. Non-scalar values are ignored.
+   *
+   * @param {string} key
+   * @param {unknown} value
+   * @param {number} globalId
+   */
+  add(key, value, globalId) {
+    if (!isIndexedValue(value)) {
+      return;
+    }
+    const indexed = /** @type {IndexedValue} */ (value);
+    const entries = this._entriesFor(key);
+    const valueKey = indexedValueKey(indexed);
+    let entry = entries.get(valueKey);
+    if (!entry) {
+      const RoaringBitmap32 = getRoaringBitmap32();
+      entry = { value: indexed, bitmap: new RoaringBitmap32() };
+      entries.set(valueKey, entry);
+    }
+    entry.bitmap.add(globalId);
+  }
+
+  /**
+   * Forgets that a node holds a value.
+   *
+   * @param {string} key
+   * @param {unknown} value
+   * @param {number} globalId
+   */
+  remove(key, value, globalId) {
+    if (!isIndexedValue(value)) {
+      return;
+    }
+    const entries = this._entriesFor(key);
+    const valueKey = indexedValueKey(/** @type {IndexedValue} */ (value));
+    const entry = entries.get(valueKey);
+    if (!entry) {
+      return;
+    }
+    entry.bitmap.remove(globalId);
+    if (entry.bitmap.size === 0) {
+      entries.delete(valueKey);
+    }
+  }
+
+  /**
+   * Serializes every shard that was declared, loaded, or written to.
+   *
+   * @returns {Record<string, Uint8Array>}
+   */
+  serialize() {
+    /** @type {Record<string, Uint8Array>} */
+    const tree = {};
+    for (const [shardKey, shard] of this._shards) {
+      const keys = [...shard.entries()]
+        .sort(([a], [b]) => (a < b ? -1 : a > b ? 1 : 0))
+        .map(([key, entries]) => [key, [...entries.values()]
+          .sort((a, b) => compareIndexedValues(a.value, b.value))
+          .map(({ value, bitmap }) => [value, bitmap.serialize(true)])]);
+      tree[`values_${shardKey}.cbor`] = this._codec.encode(keys).slice();
+    }
+    return tree;
+  }
+
+  /**
+   * @param {string} key
+   * @returns {Map<string, ValueEntry>}
+   * @private
+   */
+  _entriesFor(key) {
+    const shardKey = computeShardKey(key);
+    let shard = this._shards.get(shardKey);
+    if (!shard) {
+      shard = new Map();
+      this._shards.set(shardKey, shard);
+    }
+    let entries = shard.get(key);
+    if (!entries) {
+      entries = new Map();
+      shard.set(key, entries);
+    }
+    return entries;
+  }
+}
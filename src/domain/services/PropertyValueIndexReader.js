@@ -0,0 +1,339 @@
+/**
+ * Reads property-value index shards lazily with LRU caching.
+ *
+ * Loads `values_XX.cbor` shards on demand via IndexStoragePort.readBlob and
+ * answers equality, membership, range, and prefix lookups with the IDs of
+ * the live nodes holding matching values.
+ *
+ * Lookups narrow rather than decide: `candidates()` returns a superset of
+ * the nodes a declarative predicate matches, or null when no part of it can
+ * be answered from the index, and callers still apply the predicate itself.
+ *
+ * @module domain/services/PropertyValueIndexReader
+ */
+
+import defaultCodec from '../utils/defaultCodec.js';
+import LRUCache from '../utils/LRUCache.js';
+import {
+  compareIndexedValues,
+  decodeValueShard,
+  indexedValueKey,
+  isIndexedValue,
+  valueShardPath,
+  valueTypeRank,
+} from './PropertyValueIndexBuilder.js';
+
+/** @typedef {import('./PropertyValueIndexBuilder.js').IndexedValue} IndexedValue */
+/** @typedef {import('./PropertyValueIndexBuilder.js').ValueEntry} ValueEntry */
+/** @typedef {{ entries: ValueEntry[], byValue: Map<string, ValueEntry> }} KeyIndex */
+/** @typedef {(index: KeyIndex, operand: unknown) => ValueEntry[]|null} OperatorLookup */
+
+/**
+ * Index of the first entry not ordered before `value` (or, when `strict`,
+ * the first entry ordered after it).
+ *
+ * @param {ValueEntry[]} entries
+ * @param {IndexedValue} value
+ * @param {boolean} strict
+ * @returns {number}
+ */
+function lowerBound(entries, value, strict) {
+  let lo = 0;
+  let hi = entries.length;
+  while (lo < hi) {
+    const mid = (lo + hi) >>> 1;
+    const cmp = compareIndexedValues(entries[mid].value, value);
+    if (cmp < 0 || (strict && cmp === 0)) {
+      lo = mid + 1;
+    } else {
+      hi = mid;
+    }
+  }
+  return lo;
+}
+
+/**
+ * Index of the first entry whose type ranks at or after `rank`.
+ *
+ * @param {ValueEntry[]} entries
+ * @param {number} rank
+ * @returns {number}
+ */
+function rankBound(entries, rank) {
+  let lo = 0;
+  let hi = entries.length;
+  while (lo < hi) {
+    const mid = (lo + hi) >>> 1;
+    if (valueTypeRank(entries[mid].value) < rank) {
+      lo = mid + 1;
+    } else {
+      hi = mid;
+    }
+  }
+  return lo;
+}
+
+/**
+ * @param {unknown} operand
+ * @returns {boolean}
+ */
+function isRangeOperand(operand) {
+  return typeof operand === 'string' || (typeof operand === 'number' && Number.isFinite(operand));
+}
+
+/**
+ * Builds a range lookup. Ranges stay within the operand's type, matching
+ * the predicate rule that ordering only holds between two numbers or two
+ * strings.
+ *
+ * @param {(entries: ValueEntry[], operand: IndexedValue) => [number, number]} bounds
+ * @returns {OperatorLookup}
+ */
+function range(bounds) {
+  return ({ entries }, operand) => {
+    if (!isRangeOperand(operand)) {
+      return null;
+    }
+    const [from, to] = bounds(entries, /** @type {IndexedValue} */ (operand));
+    return entries.slice(from, to);
+  };
+}
+
+/**
+ * @param {ValueEntry[]} entries
+ * @param {IndexedValue} operand
+ * @returns {[number, number]} Bounds of the entries sharing the operand's type
+ */
+function typeBlock(entries, operand) {
+  const rank = valueTypeRank(operand);
+  return [rankBound(entries, rank), rankBound(entries, rank + 1)];
+}
+
+/** @type {Record<string, OperatorLookup>} */
+const OPERATOR_LOOKUPS = {
+  eq: ({ byValue }, operand) => {
+    if (!isIndexedValue(operand)) {
+      return null;
+    }
+    const entry = byValue.get(indexedValueKey(/** @type {IndexedValue} */ (operand)));
+    return entry ? [entry] : [];
+  },
+  in: ({ byValue }, operand) => {
+    if (!Array.isArray(operand) || !operand.every(isIndexedValue)) {
+      return null;
+    }
+    return operand
+      .map((value) => byValue.get(indexedValueKey(value)))
+      .filter((entry) => entry !== undefined);
+  },
+  gt: range((entries, operand) => [lowerBound(entries, operand, true), typeBlock(entries, operand)[1]]),
+  gte: range((entries, operand) => [lowerBound(entries, operand, false), typeBlock(entries, operand)[1]]),
+  lt: range((entries, operand) => [typeBlock(entries, operand)[0], lowerBound(entries, operand, false)]),
+  lte: range((entries, operand) => [typeBlock(entries, operand)[0], lowerBound(entries, operand, true)]),
+  prefix: ({ entries }, operand) => {
+    if (typeof operand !== 'string') {
+      return null;
+    }
+    const matches = [];
+    for (let i = lowerBound(entries, operand, false); i < entries.length; i++) {
+      const { value } = entries[i];
+      if (typeof value !== 'string' || !value.startsWith(operand)) {
+        break;
+      }
+      matches.push(entries[i]);
+    }
+    return matches;
+  },
+};
+
+/**
+ * @param {unknown} value
+ * @returns {value is Record<string, unknown>}
+ */
+function isPlainObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+/**
+ * Intersects candidate sets; null stands for "unconstrained".
+ *
+ * @param {Array<Set<string>|null>} sets
+ * @returns {Set<string>|null}
+ */
+function intersectAll(sets) {
+  const constrained = /** @type {Set<string>[]} */ (sets.filter((set) => set !== null));
+  if (constrained.length === 0) {
+    return null;
+  }
+  const [first, ...rest] = constrained;
+  return new Set([...first].filter((id) => rest.every((set) => set.has(id))));
+}
+
+export default class PropertyValueIndexReader {
+  /**
+   * @param {{ storage?: import('../../ports/IndexStoragePort.js').default, codec?: import('../../ports/CodecPort.js').default, logicalIndex: import('./BitmapNeighborProvider.js').LogicalIndex, maxCachedShards?: number }} options
+   *   `logicalIndex` resolves the global IDs held in the bitmaps
+   */
+  constructor({ storage, codec, logicalIndex, maxCachedShards = 64 }) {
+    this._storage = storage;
+    this._codec = codec || defaultCodec;
+    this._logicalIndex = logicalIndex;
+    /** @type {Map<string, string>} path → oid */
+    this._shardOids = new Map();
+    /** @type {LRUCache<string, Map<string, KeyIndex>>} */
+    this._cache = new LRUCache(maxCachedShards);
+  }
+
+  /**
+   * Configures OID mappings for lazy loading.
+   *
+   * @param {Record<string, string>} shardOids - path → blob OID
+   */
+  setup(shardOids) {
+    this._shardOids = new Map(Object.entries(shardOids));
+    this._cache.clear();
+  }
+
+  /**
+   * Returns whether a property key is indexed.
+   *
+   * @param {string} key
+   * @returns {Promise<boolean>}
+   */
+  async hasKey(key) {
+    return (await this._loadKey(key)) !== null;
+  }
+
+  /**
+   * Finds the nodes whose value for `key` may satisfy a predicate condition
+   * (see NodePredicate). Uses `eq`, `in`, `gt`, `gte`, `lt`, `lte`, and
+   * `prefix`; other operators do not narrow.
+   *
+   * @param {string} key
+   * @param {unknown} condition - A condition or a bare value (shorthand for `eq`)
+   * @returns {Promise<Set<string>|null>} Candidate node IDs, or null if the key is not
+   *   indexed or the condition cannot use the index
+   */
+  async lookup(key, condition) {
+    const index = await this._loadKey(key);
+    if (!index) {
+      return null;
+    }
+    const ops = isPlainObject(condition) ? condition : { eq: condition };
+    if (ops.exists === false) {
+      return null;
+    }
+    /** @type {Array<Set<string>|null>} */
+    const sets = Object.entries(ops).map(([op, operand]) => {
+      const entries = Object.hasOwn(OPERATOR_LOOKUPS, op) ? OPERATOR_LOOKUPS[op](index, operand) : null;
+      return entries && this._toNodeIds(entries);
+    });
+    return intersectAll(sets);
+  }
+
+  /**
+   * Finds a superset of the nodes a declarative predicate matches.
+   *
+   * @param {import('./NodePredicate.js').NodePredicateSpec} predicate - A validated predicate
+   * @returns {Promise<Set<string>|null>} Candidate node IDs, or null if the index cannot narrow
+   */
+  async candidates(predicate) {
+    /** @type {Array<Set<string>|null>} */
+    const sets = [];
+    for (const [key, condition] of Object.entries(predicate.props || {})) {
+      sets.push(await this.lookup(key, condition));
+    }
+    for (const part of predicate.and || []) {
+      sets.push(await this.candidates(part));
+    }
+    if (predicate.or) {
+      sets.push(await this._union(predicate.or));
+    }
+    return intersectAll(sets);
+  }
+
+  /**
+   * @param {import('./NodePredicate.js').NodePredicateSpec[]} parts
+   * @returns {Promise<Set<string>|null>} Null unless every part narrows
+   * @private
+   */
+  async _union(parts) {
+    /** @type {Set<string>} */
+    const union = new Set();
+    for (const part of parts) {
+      const set = await this.candidates(part);
+      if (set === null) {
+        return null;
+      }
+      for (const id of set) {
+        union.add(id);
+      }
+    }
+    return union;
+  }
+
+  /**
+   * Resolves bitmap entries to live node IDs.
+   *
+   * @param {ValueEntry[]} entries
+   * @returns {Set<string>}
+   * @private
+   */
+  _toNodeIds(entries) {
+    /** @type {Set<string>} */
+    const ids = new Set();
+    for (const { bitmap } of entries) {
+      for (const globalId of bitmap.toArray()) {
+        const nodeId = this._logicalIndex.getNodeId(globalId);
+        if (nodeId !== undefined && this._logicalIndex.isAlive(nodeId)) {
+          ids.add(nodeId);
+        }
+      }
+    }
+    return ids;
+  }
+
+  /**
+   * @param {string} key
+   * @returns {Promise<KeyIndex|null>}
+   * @private
+   */
+  async _loadKey(key) {
+    const shard = await this._loadShard(key);
+    return shard?.get(key) ?? null;
+  }
+
+  /**
+   * @param {string} key
+   * @returns {Promise<Map<string, KeyIndex>|null>}
+   * @private
+   */
+  async _loadShard(key) {
+    const path = valueShardPath(key);
+    const cached = this._cache.get(path);
+    if (cached !== undefined) {
+      return cached;
+    }
+
+    const oid = this._shardOids.get(path);
+    if (!oid || !this._storage) {
+      return null;
+    }
+
+    const buffer = await /** @type {{ readBlob(oid: string): Promise<Uint8Array|undefined|null> }} */ (this._storage).readBlob(oid);
+    if (buffer === null || buffer === undefined) {
+      throw new Error(`PropertyValueIndexReader: missing blob for OID '${oid}' (${path})`);
+    }
+
+    /** @type {Map<string, KeyIndex>} */
+    const shard = new Map();
+    for (const [propKey, entries] of decodeValueShard(buffer, this._codec)) {
+      shard.set(propKey, {
+        entries,
+        byValue: new Map(entries.map((entry) => [indexedValueKey(entry.value), entry])),
+      });
+    }
+    this._cache.set(path, shard);
+    return shard;
+  }
+}
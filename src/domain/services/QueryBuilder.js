@@ -6,6 +6,14 @@
 
 import QueryError from '../errors/QueryError.js';
 import { matchGlob } from '../utils/matchGlob.js';
+import { canonicalStringify } from '../utils/canonicalStringify.js';
+import { compileNodePredicate, NODE_PREDICATE_KEYS } from './NodePredicate.js';
+import { decodeQueryCursor, encodeQueryCursor } from './QueryCursor.js';
+import QueryProfiler from './QueryProfiler.js';
+import { normalizeTextSearch } from './TextIndexReader.js';
+import { collectEdgeProps } from './EdgeProps.js';
+import LiveQuery from './LiveQuery.js';
+import { encodeEdgeKey } from './KeyCodec.js';
 
 const DEFAULT_PATTERN = '*';
 
@@ -38,12 +46,26 @@ async function batchMap(items, fn, limit = 100) {
  * @property {ReadonlyArray<{label: string, to?: string, from?: string}>} edgesIn - Incoming edges sorted by label then source
  */
 
+/**
+ * @typedef {Object} QueryEdgeSnapshot
+ * @property {string} from - Source node ID
+ * @property {string} to - Target node ID
+ * @property {string} label - Edge label
+ * @property {Record<string, unknown>} props - Frozen snapshot of edge properties
+ */
+
 /**
  * @typedef {Object} AdjacencyMaps
  * @property {Map<string, Array<{label: string, neighborId: string}>>} outgoing - Map of node ID to outgoing edges
  * @property {Map<string, Array<{label: string, neighborId: string}>>} incoming - Map of node ID to incoming edges
  */
 
+/**
+ * @typedef {Object} PercentileSpec
+ * @property {string} path - Property path of the numeric values
+ * @property {number[]} p - Percentiles to compute, each in [0, 100] (e.g. `[50, 95]`)
+ */
+
 /**
  * @typedef {Object} AggregateSpec
  * @property {boolean} [count] - If true, include count of matched nodes
@@ -51,12 +73,16 @@ async function batchMap(items, fn, limit = 100) {
  * @property {string} [avg] - Property path to average
  * @property {string} [min] - Property path to find minimum
  * @property {string} [max] - Property path to find maximum
+ * @property {string} [countDistinct] - Property path whose distinct non-null values to count
+ * @property {string} [collect] - Property path whose values to collect, in result order
+ * @property {PercentileSpec} [percentiles] - Percentiles of a numeric property
  */
 
 /**
  * @typedef {Object} QueryResult
  * @property {string} stateHash - Hash of the materialized state at query time
  * @property {Array<{id?: string, props?: Record<string, unknown>}>} nodes - Matched nodes (absent when aggregating)
+ * @property {string|null} [nextCursor] - Cursor for the next page, or null on the last page (present when limit() is set)
  */
 
 /**
@@ -67,27 +93,76 @@ async function batchMap(items, fn, limit = 100) {
  * @property {number} [avg] - Average of property values (if requested)
  * @property {number} [min] - Minimum property value (if requested)
  * @property {number} [max] - Maximum property value (if requested)
+ * @property {number} [countDistinct] - Number of distinct non-null values (if requested)
+ * @property {unknown[]} [collect] - Collected property values (if requested)
+ * @property {Record<string, number|null>} [percentiles] - Percentiles keyed `p<n>`, e.g. `p95` (if requested)
+ */
+
+/**
+ * @typedef {Omit<AggregateResult, 'stateHash'> & { key: unknown }} AggregateGroup
+ */
+
+/**
+ * @typedef {Object} GroupedAggregateResult
+ * @property {string} stateHash - Hash of the materialized state at query time
+ * @property {AggregateGroup[]} groups - One entry per group key, sorted by key (null last)
  */
 
 /**
  * Asserts that a match pattern is a string or array of strings.
  *
  * @param {unknown} pattern - The pattern to validate
+ * @param {string} [method='match'] - Name of the method receiving it, for the error message
  * @throws {QueryError} If pattern is not a string or array of strings (code: E_QUERY_MATCH_TYPE)
- * @private
  */
-function assertMatchPattern(pattern) {
+export function assertMatchPattern(pattern, method = 'match') {
   const isString = typeof pattern === 'string';
   const isStringArray = Array.isArray(pattern) && pattern.every((p) => typeof p === 'string');
 
   if (!isString && !isStringArray) {
-    throw new QueryError('match() expects a string pattern or array of string patterns', {
+    throw new QueryError(`${method}() expects a string pattern or array of string patterns`, {
       code: 'E_QUERY_MATCH_TYPE',
       context: { receivedType: typeof pattern },
     });
   }
 }
 
+/**
+ * Resolves exact node IDs in a match pattern through the graph's alias
+ * table, so matching a merged node's old ID finds the surviving node.
+ * Glob patterns are left alone.
+ *
+ * @param {{ resolveNode: (nodeId: string) => Promise<string> }} graph
+ * @param {string|string[]} pattern
+ * @returns {Promise<string|string[]>}
+ */
+export async function resolveExactPatterns(graph, pattern) {
+  /** @param {string} p */
+  const resolve = async (p) => (p.includes('*') ? p : await graph.resolveNode(p));
+  return Array.isArray(pattern) ? await Promise.all(pattern.map(resolve)) : await resolve(pattern);
+}
+
+/**
+ * Drops working-set nodes the value index rules out for a declarative
+ * predicate. The predicate is still applied afterwards; the index only
+ * saves fetching the nodes it cannot match. Index read failures leave the
+ * working set as it was.
+ *
+ * @param {string[]} workingSet - Node IDs, sorted
+ * @param {import('./NodePredicate.js').NodePredicateSpec} predicate
+ * @param {import('./PropertyValueIndexReader.js').default} valueIndex
+ * @returns {Promise<string[]>}
+ */
+export async function narrowByValueIndex(workingSet, predicate, valueIndex) {
+  let candidates;
+  try {
+    candidates = await valueIndex.candidates(predicate);
+  } catch {
+    return workingSet;
+  }
+  return candidates ? workingSet.filter((nodeId) => candidates.has(nodeId)) : workingSet;
+}
+
 /**
  * Asserts that a predicate is either a function or a plain object.
  *
@@ -126,6 +201,20 @@ function isPrimitive(value) {
   return value === null || (typeof value !== 'object' && typeof value !== 'function');
 }
 
+/**
+ * Tells a declarative predicate (`{ props: { age: { gte: 18 } } }`) from the
+ * legacy equality shorthand (`{ role: 'admin' }`): an object is declarative
+ * when it has a predicate key with a non-primitive value. Shorthand objects
+ * keep their meaning even when a property is called `id` or `props`.
+ *
+ * @param {Record<string, unknown>} obj
+ * @returns {boolean}
+ * @private
+ */
+function isDeclarativePredicate(obj) {
+  return NODE_PREDICATE_KEYS.some((key) => Object.hasOwn(obj, key) && !isPrimitive(obj[key]));
+}
+
 /**
  * Converts a plain object to a predicate function for use in where() clauses.
  *
@@ -160,14 +249,38 @@ function objectToPredicate(obj) {
   };
 }
 
+/**
+ * Compiles the argument of `where()` — a predicate function, declarative
+ * predicate, or object shorthand — into a node predicate. Declarative
+ * predicates are also returned, frozen, for value-index lookups.
+ *
+ * @param {unknown} fn - The where() argument
+ * @returns {{ fn: (node: QueryNodeSnapshot) => boolean, predicate?: Record<string, unknown>, summary: string }}
+ *   The predicate, the declarative form if any, and a summary for query plans
+ * @throws {QueryError} If fn is neither a function nor a plain object (code: E_QUERY_WHERE_TYPE)
+ * @throws {QueryError} If a declarative predicate is malformed (code: E_QUERY_PREDICATE)
+ * @throws {QueryError} If object shorthand contains non-primitive values (code: E_QUERY_WHERE_VALUE_TYPE)
+ */
+export function compileWhere(fn) {
+  assertPredicate(fn);
+  if (typeof fn === 'function') {
+    return { fn: /** @type {(node: QueryNodeSnapshot) => boolean} */ (fn), summary: 'function' };
+  }
+  const obj = /** @type {Record<string, unknown>} */ (fn);
+  if (isDeclarativePredicate(obj)) {
+    const predicate = deepFreeze(cloneValue(obj));
+    return { fn: compileNodePredicate(obj), predicate, summary: canonicalStringify(predicate) };
+  }
+  return { fn: objectToPredicate(obj), summary: canonicalStringify(obj) };
+}
+
 /**
  * Asserts that an edge label is either undefined or a string.
  *
  * @param {unknown} label - The label to validate
  * @throws {QueryError} If label is defined but not a string (code: E_QUERY_LABEL_TYPE)
- * @private
  */
-function assertLabel(label) {
+export function assertLabel(label) {
   if (label === undefined) {
     return;
   }
@@ -309,9 +422,8 @@ function buildEdgesSnapshot(edges, directionKey) {
  *
  * @param {{ id: string, propsRecord: Record<string, unknown>, edgesOut: Array<{label: string, neighborId: string}>, edgesIn: Array<{label: string, neighborId: string}> }} params - Node data
  * @returns {Readonly<QueryNodeSnapshot>} Frozen node snapshot
- * @private
  */
-function createNodeSnapshot({ id, propsRecord, edgesOut, edgesIn }) {
+export function createNodeSnapshot({ id, propsRecord, edgesOut, edgesIn }) {
   const props = buildPropsSnapshot(propsRecord);
   const edgesOutSnapshot = buildEdgesSnapshot(edgesOut, 'to');
   const edgesInSnapshot = buildEdgesSnapshot(edgesIn, 'from');
@@ -324,6 +436,16 @@ function createNodeSnapshot({ id, propsRecord, edgesOut, edgesIn }) {
   });
 }
 
+/**
+ * Creates a frozen snapshot of an edge for use in edge predicates.
+ *
+ * @param {{ from: string, to: string, label: string, propsRecord: Record<string, unknown> }} params - Edge data
+ * @returns {Readonly<QueryEdgeSnapshot>} Frozen edge snapshot
+ */
+export function createEdgeSnapshot({ from, to, label, propsRecord }) {
+  return deepFreeze({ from, to, label, props: buildPropsSnapshot(propsRecord) });
+}
+
 /**
  * Normalizes a depth specification into a [min, max] tuple.
  *
@@ -375,17 +497,68 @@ function normalizeDepth(depth) {
   });
 }
 
+/**
+ * @typedef {Object} HopOptions
+ * @property {number | [number, number]} [depth] - Number of hops or [min, max] range (default: 1)
+ * @property {((edge: QueryEdgeSnapshot) => boolean) | import('./NodePredicate.js').NodePredicateSpec | Record<string, unknown>} [where] -
+ *   Edge predicate: a function of the edge snapshot, a declarative predicate over the edge's `props`,
+ *   or object shorthand; only matching edges are followed
+ */
+
+/**
+ * Validates a hop and builds its operation.
+ *
+ * @param {'outgoing' | 'incoming'} type - Hop direction
+ * @param {unknown} label - Edge label filter
+ * @param {HopOptions} [options]
+ * @returns {{ type: string, label: string|undefined, depth: [number, number], edgeWhere?: {fn: (edge: QueryEdgeSnapshot) => boolean, summary: string} }}
+ * @private
+ */
+function hopOperation(type, label, options) {
+  assertLabel(label);
+  const depth = normalizeDepth(options?.depth);
+  const op = { type, label: /** @type {string|undefined} */ (label), depth };
+  if (options?.where === undefined) {
+    return op;
+  }
+  const { fn, summary } = compileWhere(options.where);
+  return { ...op, edgeWhere: { fn: /** @type {(edge: QueryEdgeSnapshot) => boolean} */ (/** @type {unknown} */ (fn)), summary } };
+}
+
+/**
+ * Decides whether a hop may follow an edge, given the node it leaves from.
+ *
+ * @typedef {(nodeId: string, edge: {label: string, neighborId: string}) => boolean} EdgeFilter
+ */
+
+/**
+ * Builds the edge filter for a hop's `where` option.
+ *
+ * @param {'outgoing' | 'incoming'} direction - Hop direction; incoming hops leave from the edge's target
+ * @param {(edge: QueryEdgeSnapshot) => boolean} predicate - Compiled edge predicate
+ * @param {Map<string, Record<string, unknown>>} edgeProps - From collectEdgeProps()
+ * @returns {EdgeFilter}
+ * @private
+ */
+function edgeFilter(direction, predicate, edgeProps) {
+  return (nodeId, { label, neighborId }) => {
+    const [from, to] = direction === 'outgoing' ? [nodeId, neighborId] : [neighborId, nodeId];
+    const propsRecord = edgeProps.get(encodeEdgeKey(from, to, label)) ?? {};
+    return predicate(createEdgeSnapshot({ from, to, label, propsRecord }));
+  };
+}
+
 /**
  * Applies a single-hop traversal from a working set of nodes.
  *
  * Collects all neighbors reachable via one edge in the specified direction,
  * optionally filtered by edge label.
  *
- * @param {{ direction: 'outgoing' | 'incoming', label: string | undefined, workingSet: string[], adjacency: AdjacencyMaps }} params - Traversal parameters
+ * @param {{ direction: 'outgoing' | 'incoming', label: string | undefined, workingSet: string[], adjacency: AdjacencyMaps, accept?: EdgeFilter|null }} params - Traversal parameters
  * @returns {string[]} Sorted array of neighbor node IDs
  * @private
  */
-function applyHop({ direction, label, workingSet, adjacency }) {
+function applyHop({ direction, label, workingSet, adjacency, accept = null }) {
   const next = new Set();
   const source = direction === 'outgoing' ? adjacency.outgoing : adjacency.incoming;
   const labelFilter = label === undefined ? null : label;
@@ -393,7 +566,7 @@ function applyHop({ direction, label, workingSet, adjacency }) {
   for (const nodeId of workingSet) {
     const edges = source.get(nodeId) || [];
     for (const edge of edges) {
-      if (labelFilter && edge.label !== labelFilter) {
+      if ((labelFilter && edge.label !== labelFilter) || (accept && !accept(nodeId, edge))) {
         continue;
       }
       next.add(edge.neighborId);
@@ -412,11 +585,11 @@ function applyHop({ direction, label, workingSet, adjacency }) {
  *
  * If minDepth is 0, the starting nodes themselves are included in the result.
  *
- * @param {{ direction: 'outgoing' | 'incoming', label: string | undefined, workingSet: string[], adjacency: AdjacencyMaps, depth: [number, number] }} params - Traversal parameters
+ * @param {{ direction: 'outgoing' | 'incoming', label: string | undefined, workingSet: string[], adjacency: AdjacencyMaps, depth: [number, number], accept?: EdgeFilter|null }} params - Traversal parameters
  * @returns {string[]} Sorted array of reachable node IDs within the depth range
  * @private
  */
-function applyMultiHop({ direction, label, workingSet, adjacency, depth }) {
+function applyMultiHop({ direction, label, workingSet, adjacency, depth, accept = null }) {
   const [minDepth, maxDepth] = depth;
   const source = direction === 'outgoing' ? adjacency.outgoing : adjacency.incoming;
   const labelFilter = label === undefined ? null : label;
@@ -436,7 +609,7 @@ function applyMultiHop({ direction, label, workingSet, adjacency, depth }) {
     for (const nodeId of currentLevel) {
       const edges = source.get(nodeId) || [];
       for (const edge of edges) {
-        if (labelFilter && edge.label !== labelFilter) {
+        if ((labelFilter && edge.label !== labelFilter) || (accept && !accept(nodeId, edge))) {
           continue;
         }
         const neighbor = edge.neighborId;
@@ -459,13 +632,402 @@ function applyMultiHop({ direction, label, workingSet, adjacency, depth }) {
   return sortIds(result);
 }
 
+/**
+ * @typedef {Object} OrderKey
+ * @property {string} path - Canonical path: `id` or `props.<name>[.<nested>...]`
+ * @property {string[]|null} segments - Property path segments (null for the node ID)
+ * @property {'asc'|'desc'} direction - Sort direction
+ */
+
+/**
+ * Reads a (possibly nested) property path from a props record.
+ *
+ * @param {Record<string, unknown>} propsRecord - The node's properties
+ * @param {string[]} segments - Path segments, e.g. `['meta', 'createdAt']`
+ * @returns {unknown} The value, or undefined if any segment is missing
+ * @private
+ */
+function readPropPath(propsRecord, segments) {
+  /** @type {unknown} */
+  let value = propsRecord[segments[0]];
+  for (let i = 1; i < segments.length; i++) {
+    if (!value || typeof value !== 'object') {
+      return undefined;
+    }
+    value = /** @type {Record<string, unknown>} */ (value)[segments[i]];
+  }
+  return value;
+}
+
+/**
+ * Parses a node path: `id` names the node ID; any other path names a
+ * property, with an optional `props.` prefix and dots for nested values.
+ *
+ * @param {unknown} path
+ * @returns {{path: string, segments: string[]|null}|null} Canonical path and
+ *   property segments (null for the node ID), or null if the path is invalid
+ * @private
+ */
+function parseNodePath(path) {
+  if (path === 'id') {
+    return { path, segments: null };
+  }
+  const segments = typeof path === 'string' ? path.replace(/^props\./, '').split('.') : [];
+  if (segments.length === 0 || segments.includes('')) {
+    return null;
+  }
+  return { path: `props.${segments.join('.')}`, segments };
+}
+
+/**
+ * Validates orderBy() arguments and normalizes them into a sort key.
+ *
+ * @param {unknown} path - Property path or `id`
+ * @param {unknown} direction - `asc` or `desc`
+ * @returns {OrderKey}
+ * @throws {QueryError} If path or direction is invalid (code: E_QUERY_ORDER_TYPE)
+ * @private
+ */
+function normalizeOrderKey(path, direction) {
+  if (direction !== 'asc' && direction !== 'desc') {
+    throw new QueryError("orderBy() direction must be 'asc' or 'desc'", {
+      code: 'E_QUERY_ORDER_TYPE',
+      context: { direction },
+    });
+  }
+  const parsed = parseNodePath(path);
+  if (!parsed) {
+    throw new QueryError('orderBy() expects a property path such as "props.createdAt", or "id"', {
+      code: 'E_QUERY_ORDER_TYPE',
+      context: { path },
+    });
+  }
+  return { ...parsed, direction };
+}
+
+/**
+ * Ranks value types so mixed-type properties still sort deterministically:
+ * numbers, then strings, then booleans, then arrays and objects.
+ *
+ * @param {unknown} value
+ * @returns {number}
+ * @private
+ */
+function orderTypeRank(value) {
+  if (typeof value === 'number') {
+    return 0;
+  }
+  if (typeof value === 'string') {
+    return 1;
+  }
+  return typeof value === 'boolean' ? 2 : 3;
+}
+
+/**
+ * Compares two present sort values in ascending order.
+ *
+ * @param {unknown} a
+ * @param {unknown} b
+ * @returns {number}
+ * @private
+ */
+function compareOrderValues(a, b) {
+  const rank = orderTypeRank(a) - orderTypeRank(b);
+  if (rank !== 0) {
+    return rank;
+  }
+  const left = orderTypeRank(a) === 3 ? canonicalStringify(a) : a;
+  const right = orderTypeRank(b) === 3 ? canonicalStringify(b) : b;
+  if (/** @type {number} */ (left) < /** @type {number} */ (right)) {
+    return -1;
+  }
+  return /** @type {number} */ (left) > /** @type {number} */ (right) ? 1 : 0;
+}
+
+/**
+ * Adds the search() scores of the nodes a search step kept to their running
+ * relevance.
+ *
+ * @param {Map<string, number>|null} relevance - Scores so far, or null before the first search
+ * @param {string[]} nodeIds - Nodes the search kept
+ * @param {Map<string, number>} scores - Scores of the search's hits
+ * @returns {Map<string, number>}
+ */
+function addRelevance(relevance, nodeIds, scores) {
+  const next = relevance || new Map();
+  for (const nodeId of nodeIds) {
+    next.set(nodeId, (next.get(nodeId) ?? 0) + /** @type {number} */ (scores.get(nodeId)));
+  }
+  return next;
+}
+
+/**
+ * Orders node IDs by relevance, most relevant first. Nodes without a score
+ * rank last; ties keep the input order, which is by node ID.
+ *
+ * @param {string[]} ids - Node IDs, sorted by ID
+ * @param {Map<string, number>} relevance
+ * @returns {string[]} New array of ranked IDs
+ */
+function rankByRelevance(ids, relevance) {
+  return [...ids].sort((a, b) => (relevance.get(b) ?? 0) - (relevance.get(a) ?? 0));
+}
+
+/**
+ * Estimates how many nodes a match pattern selects: one per exact ID, or
+ * every node when a pattern has a wildcard.
+ *
+ * @param {string|string[]} pattern
+ * @param {number} nodeCount - Nodes in the graph
+ * @returns {number}
+ * @private
+ */
+function estimateMatch(pattern, nodeCount) {
+  const patterns = Array.isArray(pattern) ? pattern : [pattern];
+  return patterns.some((p) => p.includes('*')) ? nodeCount : Math.min(nodeCount, new Set(patterns).size);
+}
+
+/**
+ * Estimates how many nodes a hop reaches: the working set times the mean
+ * number of matching edges per node, summed over the levels in the depth
+ * range and capped at the node count.
+ *
+ * @param {{ type: string, label?: string, depth?: [number, number] }} op - An outgoing or incoming operation
+ * @param {number} inputSize - Nodes in the working set
+ * @param {AdjacencyMaps} adjacency
+ * @param {number} nodeCount - Nodes in the graph
+ * @returns {number}
+ * @private
+ */
+function estimateHop({ type, label, depth }, inputSize, adjacency, nodeCount) {
+  const source = type === 'outgoing' ? adjacency.outgoing : adjacency.incoming;
+  let edgeCount = 0;
+  for (const edges of source.values()) {
+    edgeCount += label === undefined ? edges.length : edges.filter((edge) => edge.label === label).length;
+  }
+  const fanOut = nodeCount > 0 ? edgeCount / nodeCount : 0;
+  const [minDepth, maxDepth] = /** @type {[number, number]} */ (depth);
+  let estimate = 0;
+  let level = inputSize;
+  for (let hop = 0; hop <= maxDepth && level > 0; hop++) {
+    if (hop >= minDepth) {
+      estimate += level;
+    }
+    level *= fanOut;
+  }
+  return Math.min(nodeCount, Math.ceil(estimate));
+}
+
+/**
+ * Describes an operation's arguments for a query plan.
+ *
+ * @param {{ type: string, summary?: string, label?: string, depth?: [number, number], edgeWhere?: {summary: string}, search?: import('./TextIndexReader.js').TextSearch }} op
+ * @returns {string}
+ * @private
+ */
+function describeOperation(op) {
+  if (op.search) {
+    const { text, fields, match, limit } = op.search;
+    return `${JSON.stringify(text)} in ${fields.join(', ')} (${match}${limit === undefined ? '' : `, limit ${limit}`})`;
+  }
+  if (op.type === 'where') {
+    return op.summary ?? '';
+  }
+  const [minDepth, maxDepth] = /** @type {[number, number]} */ (op.depth);
+  const depth = minDepth === 1 && maxDepth === 1 ? '' : ` depth ${minDepth}..${maxDepth}`;
+  const where = op.edgeWhere ? ` where ${op.edgeWhere.summary}` : '';
+  return `${op.label ?? '*'}${depth}${where}`;
+}
+
+/**
+ * Sorts node IDs by the given keys. Nodes missing a key (undefined, null,
+ * or NaN) sort after the others in either direction. Ties keep the input
+ * order, which is by node ID.
+ *
+ * @param {string[]} ids - Node IDs, sorted by ID
+ * @param {OrderKey[]} keys - Sort keys, most significant first
+ * @param {(nodeId: string) => Promise<Record<string, unknown>>} getProps - Memoized props fetcher
+ * @returns {Promise<string[]>} New array of sorted IDs
+ * @private
+ */
+async function sortByKeys(ids, keys, getProps) {
+  const rows = await batchMap(ids, async (id) => {
+    const propsRecord = await getProps(id);
+    const values = keys.map(({ segments }) => {
+      const value = segments ? readPropPath(propsRecord, segments) : id;
+      return value === null || Number.isNaN(value) ? undefined : value;
+    });
+    return { id, values };
+  });
+  rows.sort((a, b) => {
+    for (let i = 0; i < keys.length; i++) {
+      const [x, y] = [a.values[i], b.values[i]];
+      if (x === undefined || y === undefined) {
+        if (x !== y) {
+          return x === undefined ? 1 : -1;
+        }
+        continue;
+      }
+      const cmp = compareOrderValues(x, y);
+      if (cmp !== 0) {
+        return keys[i].direction === 'desc' ? -cmp : cmp;
+      }
+    }
+    return 0;
+  });
+  return rows.map(({ id }) => id);
+}
+
+/**
+ * Asserts that a limit() or offset() argument is a non-negative integer.
+ *
+ * @param {string} method - `limit` or `offset`
+ * @param {unknown} n - The argument
+ * @throws {QueryError} If n is not a non-negative integer (code: E_QUERY_LIMIT_TYPE or E_QUERY_OFFSET_TYPE)
+ */
+export function assertCount(method, n) {
+  if (!Number.isSafeInteger(n) || /** @type {number} */ (n) < 0) {
+    throw new QueryError(`${method}() expects a non-negative integer`, {
+      code: method === 'limit' ? 'E_QUERY_LIMIT_TYPE' : 'E_QUERY_OFFSET_TYPE',
+      context: { value: n },
+    });
+  }
+}
+
+/** Aggregations over numeric property values. */
+const NUMERIC_AGGREGATES = ['sum', 'avg', 'min', 'max'];
+
+/** Aggregations over property values of any type. */
+const VALUE_AGGREGATES = ['countDistinct', 'collect'];
+
+/** @type {Record<string, (values: number[]) => number>} */
+const NUMERIC_REDUCERS = {
+  sum: (values) => values.reduce((a, b) => a + b, 0),
+  avg: (values) => (values.length > 0 ? values.reduce((a, b) => a + b, 0) / values.length : 0),
+  min: (values) => (values.length > 0 ? values.reduce((m, v) => (v < m ? v : m), Infinity) : 0),
+  max: (values) => (values.length > 0 ? values.reduce((m, v) => (v > m ? v : m), -Infinity) : 0),
+};
+
+/**
+ * Splits an aggregation path ("price", "props.nested.value") into segments.
+ *
+ * @param {string} path
+ * @returns {string[]}
+ * @private
+ */
+function aggregatePathSegments(path) {
+  return path.replace(/^props\./, '').split('.');
+}
+
+/**
+ * Validates the `percentiles` entry of an aggregate spec.
+ *
+ * @param {unknown} spec
+ * @throws {QueryError} If spec is not `{ path: string, p: number[] }` with p in [0, 100] (code: E_QUERY_AGGREGATE_TYPE)
+ * @private
+ */
+function assertPercentileSpec(spec) {
+  const { path, p } = isPlainObject(spec) ? /** @type {Record<string, unknown>} */ (spec) : {};
+  const valid = typeof path === 'string'
+    && Array.isArray(p)
+    && p.length > 0
+    && p.every((q) => typeof q === 'number' && q >= 0 && q <= 100);
+  if (!valid) {
+    throw new QueryError('aggregate() expects percentiles to be { path: string, p: number[] } with each p in [0, 100]', {
+      code: 'E_QUERY_AGGREGATE_TYPE',
+      context: { key: 'percentiles' },
+    });
+  }
+}
+
+/**
+ * Computes percentiles by linear interpolation between the closest ranks.
+ *
+ * @param {number[]} values - Numeric values, in any order
+ * @param {number[]} ps - Percentiles to compute, each in [0, 100]
+ * @returns {Record<string, number|null>} Values keyed `p<percentile>` (e.g. `p95`), null when there are no values
+ * @private
+ */
+function computePercentiles(values, ps) {
+  const sorted = [...values].sort((a, b) => a - b);
+  /** @type {Record<string, number|null>} */
+  const result = {};
+  for (const p of ps) {
+    if (sorted.length === 0) {
+      result[`p${p}`] = null;
+      continue;
+    }
+    const rank = (p / 100) * (sorted.length - 1);
+    const lo = Math.floor(rank);
+    const hi = Math.ceil(rank);
+    result[`p${p}`] = sorted[lo] + (sorted[hi] - sorted[lo]) * (rank - lo);
+  }
+  return result;
+}
+
+/**
+ * Computes the aggregations of a spec over one set of nodes.
+ *
+ * Numeric aggregations skip non-numeric values; `countDistinct` and
+ * `collect` skip missing values, and `countDistinct` also skips null.
+ *
+ * @param {AggregateSpec} spec - Aggregation specification
+ * @param {Array<Record<string, unknown>>} propsList - Properties of each node, in result order
+ * @returns {Omit<AggregateResult, 'stateHash'>}
+ * @private
+ */
+function computeAggregates(spec, propsList) {
+  const specRec = /** @type {Record<string, unknown>} */ (/** @type {unknown} */ (spec));
+  /** @type {Record<string, unknown>} */
+  const result = {};
+  const valuesAt = (/** @type {string} */ path) => {
+    const segments = aggregatePathSegments(path);
+    return propsList.map((propsRecord) => readPropPath(propsRecord, segments)).filter((value) => value !== undefined);
+  };
+  const numbersAt = (/** @type {string} */ path) => /** @type {number[]} */ (valuesAt(path).filter((value) => typeof value === 'number' && !Number.isNaN(value)));
+
+  if (spec.count) {
+    result.count = propsList.length;
+  }
+  for (const key of NUMERIC_AGGREGATES.filter((k) => specRec[k])) {
+    result[key] = NUMERIC_REDUCERS[key](numbersAt(/** @type {string} */ (specRec[key])));
+  }
+  if (spec.countDistinct) {
+    const distinct = new Set(valuesAt(spec.countDistinct).filter((value) => value !== null).map((value) => canonicalStringify(value)));
+    result.countDistinct = distinct.size;
+  }
+  if (spec.collect) {
+    result.collect = valuesAt(spec.collect).map((value) => cloneValue(value));
+  }
+  if (spec.percentiles) {
+    result.percentiles = computePercentiles(numbersAt(spec.percentiles.path), spec.percentiles.p);
+  }
+  return result;
+}
+
+/**
+ * Sorts group keys with the orderBy() value ordering; the null group comes last.
+ *
+ * @param {unknown} a
+ * @param {unknown} b
+ * @returns {number}
+ * @private
+ */
+function compareGroupKeys(a, b) {
+  if (a === null || b === null) {
+    return a === b ? 0 : (a === null ? 1 : -1);
+  }
+  return compareOrderValues(a, b);
+}
+
 /**
  * Fluent query builder for materialized WARP state.
  *
  * Supports pattern matching, predicate filtering, multi-hop traversal
- * over outgoing/incoming edges, and field selection.
+ * over outgoing/incoming edges, field selection, ordering, and cursor
+ * pagination.
  *
- * @throws {QueryError} On invalid match patterns, where predicates, label types, or select fields
+ * @throws {QueryError} On invalid match patterns, where predicates, label types, select fields, or pagination
  */
 export default class QueryBuilder {
   /**
@@ -477,12 +1039,22 @@ export default class QueryBuilder {
     this._graph = graph;
     /** @type {string|string[]|null} */
     this._pattern = null;
-    /** @type {Array<{type: string, fn?: (node: QueryNodeSnapshot) => boolean, label?: string, depth?: [number, number]}>} */
+    /** @type {Array<{type: string, fn?: (node: QueryNodeSnapshot) => boolean, predicate?: Record<string, unknown>, summary?: string, label?: string, depth?: [number, number], edgeWhere?: {fn: (edge: QueryEdgeSnapshot) => boolean, summary: string}, search?: import('./TextIndexReader.js').TextSearch}>} */
     this._operations = [];
     /** @type {string[]|null} */
     this._select = null;
     /** @type {AggregateSpec|null} */
     this._aggregate = null;
+    /** @type {OrderKey[]} */
+    this._orderBy = [];
+    /** @type {number|null} */
+    this._limit = null;
+    /** @type {number} */
+    this._offset = 0;
+    /** @type {import('./QueryCursor.js').QueryCursorState|null} */
+    this._after = null;
+    /** @type {{segments: string[]|null, fn: ((node: QueryNodeSnapshot) => unknown)|null}|null} */
+    this._groupBy = null;
   }
 
   /**
@@ -494,6 +1066,9 @@ export default class QueryBuilder {
    * - `*:admin` matches all nodes ending with ":admin"
    * - Array of patterns: `['campaign:*', 'milestone:*']` (OR semantics)
    *
+   * A pattern without `*` is an exact node ID; IDs of merged nodes match
+   * the node they were merged into.
+   *
    * @param {string|string[]} pattern - Glob pattern or array of patterns to match node IDs against
    * @returns {QueryBuilder} This builder for chaining
    * @throws {QueryError} If pattern is not a string or array of strings (code: E_QUERY_MATCH_TYPE)
@@ -506,21 +1081,59 @@ export default class QueryBuilder {
   }
 
   /**
-   * Filters nodes by predicate function or object shorthand.
+   * Filters nodes by predicate function, declarative predicate, or object shorthand.
    *
-   * Object form: `where({ role: 'admin' })` filters nodes where `props.role === 'admin'`.
+   * Declarative form: `where({ props: { status: { eq: 'open' }, age: { gte: 18 } } })`.
+   * Supports `and`/`or`/`not`, an `id` condition, and the operators eq, ne,
+   * gt, gte, lt, lte, in, exists, prefix, and regex. Declarative predicates
+   * are plain JSON, so they can be stored or sent over the wire and passed
+   * to `where()` as they are (see `NodePredicate` for the full grammar).
+   * When the graph was opened with a value index on a property the predicate
+   * tests (`WarpGraph.open({ valueIndex: { keys } })`), candidates come from
+   * the index instead of a scan of every node.
+   * Object shorthand: `where({ role: 'admin' })` filters nodes where `props.role === 'admin'`.
    * Multiple properties in the object = AND semantics.
    * Function form: `where(n => n.props.age > 18)` for arbitrary predicates.
    *
-   * @param {((node: QueryNodeSnapshot) => boolean) | Record<string, unknown>} fn - Predicate function or object with property constraints
+   * @param {((node: QueryNodeSnapshot) => boolean) | import('./NodePredicate.js').NodePredicateSpec | Record<string, unknown>} fn - Predicate function, declarative predicate, or object with property constraints
    * @returns {QueryBuilder} This builder for chaining
    * @throws {QueryError} If fn is neither a function nor a plain object (code: E_QUERY_WHERE_TYPE)
+   * @throws {QueryError} If a declarative predicate is malformed (code: E_QUERY_PREDICATE)
    * @throws {QueryError} If object shorthand contains non-primitive values (code: E_QUERY_WHERE_VALUE_TYPE)
    */
   where(fn) {
-    assertPredicate(fn);
-    const predicate = isPlainObject(fn) ? objectToPredicate(/** @type {Record<string, unknown>} */ (fn)) : /** @type {(node: QueryNodeSnapshot) => boolean} */ (fn);
-    this._operations.push({ type: 'where', fn: predicate });
+    this._operations.push({ type: 'where', ...compileWhere(fn) });
+    return this;
+  }
+
+  /**
+   * Keeps the nodes matching a full-text search (see `WarpGraph.search()`).
+   *
+   * Requires the graph to be opened with `textIndex: { fields }`. Without
+   * orderBy(), results are ranked by relevance — the summed BM25 scores of
+   * the node's search() matches — then by node ID; nodes reached by a hop
+   * after the search carry no score.
+   *
+   * @param {string} text - Query text; a term followed by `*` matches as a prefix
+   * @param {{ fields?: string[], match?: 'or'|'and', limit?: number }} [options] - `fields` defaults to
+   *   every indexed field; `limit` keeps only the best hits
+   * @returns {QueryBuilder} This builder for chaining
+   * @throws {QueryError} If called after aggregate() (code: E_QUERY_AGGREGATE_TERMINAL)
+   * @throws {QueryError} If text or options are malformed (code: E_QUERY_SEARCH_TYPE)
+   * @throws {QueryError} If no text index is configured or a field is not indexed (code: E_QUERY_SEARCH_FIELD)
+   *
+   * @example
+   * const { nodes } = await graph.query()
+   *   .match('issue:*')
+   *   .search('crash on startup', { fields: ['title', 'body'] })
+   *   .where({ props: { status: 'open' } })
+   *   .limit(10)
+   *   .run();
+   */
+  search(text, options = {}) {
+    this._assertNotAggregated('search');
+    const search = normalizeTextSearch(text, options, this._graph._textIndexConfig);
+    this._operations.push({ type: 'search', search });
     return this;
   }
 
@@ -531,11 +1144,13 @@ export default class QueryBuilder {
    * Use the depth option for multi-hop traversal.
    *
    * @param {string} [label] - Edge label filter (undefined = all labels)
-   * @param {{ depth?: number | [number, number] }} [options] - Traversal options. depth can be a number (exactly N hops) or [min, max] range
+   * @param {HopOptions} [options] - Traversal options. depth can be a number (exactly N hops) or [min, max] range;
+   *   where keeps only the edges matching an edge predicate
    * @returns {QueryBuilder} This builder for chaining
    * @throws {QueryError} If called after aggregate() (code: E_QUERY_AGGREGATE_TERMINAL)
    * @throws {QueryError} If label is defined but not a string (code: E_QUERY_LABEL_TYPE)
    * @throws {QueryError} If depth is invalid (code: E_QUERY_DEPTH_TYPE or E_QUERY_DEPTH_RANGE)
+   * @throws {QueryError} If where is malformed (code: E_QUERY_WHERE_TYPE, E_QUERY_PREDICATE, or E_QUERY_WHERE_VALUE_TYPE)
    */
   outgoing(label, options) {
     if (this._aggregate) {
@@ -543,9 +1158,7 @@ export default class QueryBuilder {
         code: 'E_QUERY_AGGREGATE_TERMINAL',
       });
     }
-    assertLabel(label);
-    const depth = normalizeDepth(options?.depth);
-    this._operations.push({ type: 'outgoing', label, depth });
+    this._operations.push(hopOperation('outgoing', label, options));
     return this;
   }
 
@@ -556,11 +1169,13 @@ export default class QueryBuilder {
    * Use the depth option for multi-hop traversal.
    *
    * @param {string} [label] - Edge label filter (undefined = all labels)
-   * @param {{ depth?: number | [number, number] }} [options] - Traversal options. depth can be a number (exactly N hops) or [min, max] range
+   * @param {HopOptions} [options] - Traversal options. depth can be a number (exactly N hops) or [min, max] range;
+   *   where keeps only the edges matching an edge predicate
    * @returns {QueryBuilder} This builder for chaining
    * @throws {QueryError} If called after aggregate() (code: E_QUERY_AGGREGATE_TERMINAL)
    * @throws {QueryError} If label is defined but not a string (code: E_QUERY_LABEL_TYPE)
    * @throws {QueryError} If depth is invalid (code: E_QUERY_DEPTH_TYPE or E_QUERY_DEPTH_RANGE)
+   * @throws {QueryError} If where is malformed (code: E_QUERY_WHERE_TYPE, E_QUERY_PREDICATE, or E_QUERY_WHERE_VALUE_TYPE)
    */
   incoming(label, options) {
     if (this._aggregate) {
@@ -568,9 +1183,7 @@ export default class QueryBuilder {
         code: 'E_QUERY_AGGREGATE_TERMINAL',
       });
     }
-    assertLabel(label);
-    const depth = normalizeDepth(options?.depth);
-    this._operations.push({ type: 'incoming', label, depth });
+    this._operations.push(hopOperation('incoming', label, options));
     return this;
   }
 
@@ -606,20 +1219,150 @@ export default class QueryBuilder {
     return this;
   }
 
+  /**
+   * Sorts the results by a property or by node ID.
+   *
+   * Call repeatedly to add tie-breakers; the first call is the primary key.
+   * Paths accept an optional `props.` prefix and dots for nested values;
+   * `id` sorts by node ID. Nodes without the property sort last in either
+   * direction, and remaining ties are broken by node ID. Values of mixed
+   * types order numbers before strings before booleans.
+   *
+   * @param {string} path - Property path (e.g. `props.createdAt`) or `id`
+   * @param {'asc'|'desc'} [direction='asc'] - Sort direction
+   * @returns {QueryBuilder} This builder for chaining
+   * @throws {QueryError} If called after aggregate() (code: E_QUERY_AGGREGATE_TERMINAL)
+   * @throws {QueryError} If path or direction is invalid (code: E_QUERY_ORDER_TYPE)
+   *
+   * @example
+   * const { nodes, nextCursor } = await graph.query()
+   *   .match('issue:*')
+   *   .orderBy('props.createdAt', 'desc')
+   *   .limit(50)
+   *   .run();
+   */
+  orderBy(path, direction = 'asc') {
+    this._assertNotAggregated('orderBy');
+    this._orderBy.push(normalizeOrderKey(path, direction));
+    return this;
+  }
+
+  /**
+   * Returns at most `n` nodes. The result then carries a `nextCursor` to
+   * pass to `after()` for the following page (null on the last page).
+   *
+   * @param {number} n - Maximum number of nodes
+   * @returns {QueryBuilder} This builder for chaining
+   * @throws {QueryError} If called after aggregate() (code: E_QUERY_AGGREGATE_TERMINAL)
+   * @throws {QueryError} If n is not a non-negative integer (code: E_QUERY_LIMIT_TYPE)
+   */
+  limit(n) {
+    this._assertNotAggregated('limit');
+    assertCount('limit', n);
+    this._limit = n;
+    return this;
+  }
+
+  /**
+   * Skips the first `n` nodes of the ordered results (counted from the
+   * cursor position when combined with `after()`).
+   *
+   * @param {number} n - Number of nodes to skip
+   * @returns {QueryBuilder} This builder for chaining
+   * @throws {QueryError} If called after aggregate() (code: E_QUERY_AGGREGATE_TERMINAL)
+   * @throws {QueryError} If n is not a non-negative integer (code: E_QUERY_OFFSET_TYPE)
+   */
+  offset(n) {
+    this._assertNotAggregated('offset');
+    assertCount('offset', n);
+    this._offset = n;
+    return this;
+  }
+
+  /**
+   * Continues from the `nextCursor` of a previous page.
+   *
+   * The cursor is tied to the state the previous page was read from, so
+   * pages stay consistent while the graph is unchanged. If the graph has
+   * changed since, `run()` throws `E_QUERY_CURSOR_STALE` rather than
+   * returning a page that may skip or repeat nodes; start again from the
+   * first page. The query must use the same `orderBy()` keys as the one
+   * that issued the cursor.
+   *
+   * @param {string} cursor - A `nextCursor` from a previous result
+   * @returns {QueryBuilder} This builder for chaining
+   * @throws {QueryError} If called after aggregate() (code: E_QUERY_AGGREGATE_TERMINAL)
+   * @throws {QueryError} If the cursor is malformed (code: E_QUERY_CURSOR_INVALID)
+   *
+   * @example
+   * const first = await graph.query().match('issue:*').limit(50).run();
+   * const second = await graph.query().match('issue:*').limit(50).after(first.nextCursor).run();
+   */
+  after(cursor) {
+    this._assertNotAggregated('after');
+    this._after = decodeQueryCursor(cursor);
+    return this;
+  }
+
+  /**
+   * Groups the matched nodes so that `aggregate()` computes its values once
+   * per group instead of over the whole working set.
+   *
+   * The key is a property path (optional `props.` prefix, dots for nested
+   * values), `id`, or a function of the node snapshot returning a JSON value;
+   * return an array to group by several values at once. Nodes without the
+   * property, or for which the function returns undefined, form the `null`
+   * group. Must be followed by `aggregate()`.
+   *
+   * @param {string | ((node: QueryNodeSnapshot) => unknown)} key - Property path, `id`, or key function
+   * @returns {QueryBuilder} This builder for chaining
+   * @throws {QueryError} If called after aggregate() (code: E_QUERY_AGGREGATE_TERMINAL)
+   * @throws {QueryError} If key is neither a valid path nor a function (code: E_QUERY_GROUP_TYPE)
+   *
+   * @example
+   * const { groups } = await graph.query()
+   *   .match('issue:*')
+   *   .groupBy('props.status')
+   *   .aggregate({ count: true, sum: 'props.estimate' })
+   *   .run();
+   * // [{ key: 'closed', count: 12, sum: 40 }, { key: 'open', count: 3, sum: 8 }]
+   */
+  groupBy(key) {
+    this._assertNotAggregated('groupBy');
+    if (typeof key === 'function') {
+      this._groupBy = { segments: null, fn: key };
+      return this;
+    }
+    const parsed = parseNodePath(key);
+    if (!parsed) {
+      throw new QueryError('groupBy() expects a property path such as "props.status", "id", or a function', {
+        code: 'E_QUERY_GROUP_TYPE',
+        context: { receivedType: typeof key },
+      });
+    }
+    this._groupBy = { segments: parsed.segments, fn: null };
+    return this;
+  }
+
   /**
    * Computes aggregations over the matched nodes.
    *
-   * This is a terminal operation - calling `select()`, `outgoing()`, or `incoming()` after
-   * `aggregate()` throws. The result of `run()` will contain aggregation values instead of nodes.
+   * This is a terminal operation - calling `select()`, `outgoing()`, `incoming()`, or the
+   * ordering and pagination methods after `aggregate()` throws. The result of `run()` will
+   * contain aggregation values instead of nodes, or one entry per group after `groupBy()`.
    *
-   * Numeric aggregations (sum, avg, min, max) accept property paths like "price" or "nested.value".
-   * The "props." prefix is optional and will be stripped automatically.
+   * Numeric aggregations (sum, avg, min, max, percentiles) accept property paths like "price"
+   * or "nested.value". The "props." prefix is optional and will be stripped automatically.
+   * `countDistinct` counts distinct non-null values of any type, and `collect` gathers the
+   * values in result order (node ID, or `orderBy()` when set).
    *
    * @param {AggregateSpec} spec - Aggregation specification
    * @returns {QueryBuilder} This builder for chaining
    * @throws {QueryError} If spec is not a plain object (code: E_QUERY_AGGREGATE_TYPE)
-   * @throws {QueryError} If numeric aggregation keys are not strings (code: E_QUERY_AGGREGATE_TYPE)
+   * @throws {QueryError} If path-valued aggregation keys are not strings (code: E_QUERY_AGGREGATE_TYPE)
    * @throws {QueryError} If count is not a boolean (code: E_QUERY_AGGREGATE_TYPE)
+   * @throws {QueryError} If percentiles is not `{ path, p }` with p in [0, 100] (code: E_QUERY_AGGREGATE_TYPE)
+   * @throws {QueryError} If limit(), offset(), or after() was called (code: E_QUERY_AGGREGATE_TERMINAL)
    */
   aggregate(spec) {
     if (!isPlainObject(spec)) {
@@ -628,9 +1371,8 @@ export default class QueryBuilder {
         context: { receivedType: typeof spec },
       });
     }
-    const numericKeys = ['sum', 'avg', 'min', 'max'];
     const specAny = /** @type {Record<string, unknown>} */ (/** @type {unknown} */ (spec));
-    for (const key of numericKeys) {
+    for (const key of [...NUMERIC_AGGREGATES, ...VALUE_AGGREGATES]) {
       if (specAny[key] !== undefined && typeof specAny[key] !== 'string') {
         throw new QueryError(`aggregate() expects ${key} to be a string path`, {
           code: 'E_QUERY_AGGREGATE_TYPE',
@@ -644,6 +1386,14 @@ export default class QueryBuilder {
         context: { key: 'count', receivedType: typeof spec.count },
       });
     }
+    if (spec.percentiles !== undefined) {
+      assertPercentileSpec(spec.percentiles);
+    }
+    if (this._limit !== null || this._offset > 0 || this._after) {
+      throw new QueryError('aggregate() cannot be combined with limit(), offset(), or after()', {
+        code: 'E_QUERY_AGGREGATE_TERMINAL',
+      });
+    }
     this._aggregate = spec;
     return this;
   }
@@ -652,23 +1402,136 @@ export default class QueryBuilder {
    * Executes the query and returns matching nodes or aggregation results.
    *
    * The returned stateHash can be used to detect if the graph has changed
-   * between queries. Results are deterministically ordered by node ID.
+   * between queries. Results are deterministically ordered by node ID unless
+   * orderBy() is used. With limit(), the result also carries `nextCursor`.
    *
-   * @returns {Promise<QueryResult | AggregateResult>} Query results with stateHash. Contains `nodes` array for regular queries, or aggregation values (count, sum, avg, min, max) if aggregate() was called.
+   * @returns {Promise<QueryResult | AggregateResult | GroupedAggregateResult>} Query results with stateHash. Contains `nodes` array for regular queries, aggregation values if aggregate() was called, or `groups` if groupBy() was also called.
    * @throws {QueryError} If an unknown select field is specified (code: E_QUERY_SELECT_FIELD)
+   * @throws {QueryError} If groupBy() was called without aggregate() (code: E_QUERY_GROUP_TYPE)
+   * @throws {QueryError} If the after() cursor was issued for a different ordering (code: E_QUERY_CURSOR_INVALID)
+   * @throws {QueryError} If the graph changed since the after() cursor was issued (code: E_QUERY_CURSOR_STALE)
    */
   async run() {
-    const materialized = await /** @type {{ _materializeGraph: () => Promise<{adjacency: AdjacencyMaps, stateHash: string}> }} */ (this._graph)._materializeGraph();
+    return await this._execute(null);
+  }
+
+  /**
+   * Runs the query and reports what it did instead of its results.
+   *
+   * The plan lists each step in execution order — materialize, match, every
+   * where/search/hop, then ranking, ordering, paging, and the projection or
+   * aggregation — with how the step found its nodes (a full scan, the value
+   * or text index, or the adjacency maps), the estimated and actual
+   * working-set sizes, the property records it loaded or found in the
+   * per-run memo, and the time it took. `caches` sums the memo lookups and
+   * the adjacency-cache lookups made while materializing.
+   *
+   * @returns {Promise<import('./QueryProfiler.js').QueryPlan>}
+   * @throws {QueryError} Whatever run() would throw for this query
+   *
+   * @example
+   * const plan = await graph.query().match('user:*').where({ props: { age: { gte: 18 } } }).outgoing('follows').explain();
+   * for (const step of plan.steps) {
+   *   console.log(step.op, step.access, step.estimated, step.actual, step.durationMs);
+   * }
+   */
+  async explain() {
+    const { _clock: clock, _adjacencyCache: adjacencyCache } = /** @type {{ _clock: import('../../ports/ClockPort.js').default, _adjacencyCache?: import('../utils/LRUCache.js').default<string, unknown>|null }} */ (/** @type {unknown} */ (this._graph));
+    const before = adjacencyCache ? { hits: adjacencyCache.hits, misses: adjacencyCache.misses } : null;
+    const profiler = new QueryProfiler(clock);
+    const result = /** @type {Partial<QueryResult & GroupedAggregateResult>} */ (await this._execute(profiler));
+    return profiler.finish({
+      stateHash: /** @type {string} */ (result.stateHash),
+      rows: result.nodes?.length ?? result.groups?.length ?? 1,
+      adjacency: adjacencyCache && before
+        ? { hits: adjacencyCache.hits - before.hits, misses: adjacencyCache.misses - before.misses }
+        : null,
+    });
+  }
+
+  /**
+   * Keeps the query's result current. Runs the query now, then again after
+   * each `materialize()` that changes the graph, and passes `onResult` the
+   * rows added, removed, and changed since the previous result, keyed by
+   * node ID. The first result reports every row as added.
+   *
+   * A query that matches by glob and filters with where() only is
+   * re-evaluated for the nodes each change touched; hops, search(), and
+   * paging make it re-run in full. Either way `onResult` is called only
+   * when the rows differ.
+   *
+   * @param {import('./LiveQuery.js').LiveQueryOptions} options - Result and error handlers
+   * @returns {Promise<{ unsubscribe: () => void }>} Resolves once the first result was delivered
+   * @throws {QueryError} If onResult is not a function (code: E_QUERY_LIVE_TYPE)
+   * @throws {QueryError} If the query aggregates, resumes from a cursor, or selects rows without `id` (code: E_QUERY_LIVE_UNSUPPORTED)
+   * @throws {QueryError} Whatever run() would throw for this query
+   *
+   * @example
+   * const { unsubscribe } = await graph.query()
+   *   .match('ticket:*')
+   *   .where({ props: { status: 'open' } })
+   *   .live({
+   *     onResult: ({ added, removed, changed }) => dashboard.apply(added, removed, changed),
+   *   });
+   */
+  async live(options) {
+    if (typeof options?.onResult !== 'function') {
+      throw new QueryError('live() expects an onResult function', {
+        code: 'E_QUERY_LIVE_TYPE',
+        context: { receivedType: typeof options?.onResult },
+      });
+    }
+    const unsupported = this._aggregate ? 'aggregate()'
+      : this._after ? 'after()'
+        : this._select && this._select.length > 0 && !this._select.includes('id') ? 'select() without id'
+          : null;
+    if (unsupported) {
+      throw new QueryError(`live() cannot follow a query using ${unsupported}: its rows are tracked by node ID`, {
+        code: 'E_QUERY_LIVE_UNSUPPORTED',
+        context: { feature: unsupported },
+      });
+    }
+    const patterns = [this._pattern ?? DEFAULT_PATTERN].flat();
+    const local = patterns.every((p) => p.includes('*'))
+      && this._operations.every(({ type }) => type === 'where')
+      && this._limit === null && this._offset === 0;
+    /** @type {import('./LiveQuery.js').LiveQueryEvaluator} */
+    const evaluate = async (scope) => {
+      const { stateHash, nodes } = /** @type {QueryResult} */ (await this._execute(null, scope));
+      return { stateHash, rows: /** @type {import('./LiveQuery.js').LiveQueryRow[]} */ (nodes) };
+    };
+    return await new LiveQuery(this._graph, { evaluate, local }, options).start();
+  }
+
+  /**
+   * Runs the query, reporting each step to the profiler when one is given.
+   *
+   * @param {import('./QueryProfiler.js').default|null} profiler
+   * @param {Set<string>|null} [scope] - When set, only these nodes are matched
+   * @returns {Promise<QueryResult | AggregateResult | GroupedAggregateResult>}
+   * @private
+   */
+  async _execute(profiler, scope = null) {
+    const graph = /** @type {{ _stateDirty?: boolean, _materializedGraph?: unknown, _materializeGraph: () => Promise<{adjacency: AdjacencyMaps, stateHash: string, state: import('./JoinReducer.js').WarpStateV5}> }} */ (/** @type {unknown} */ (this._graph));
+    const reused = !graph._stateDirty && Boolean(graph._materializedGraph);
+    const materialized = await graph._materializeGraph();
     const { adjacency, stateHash } = materialized;
     const allNodes = sortIds(await this._graph.getNodes());
+    profiler?.step('materialize', {
+      detail: '',
+      access: reused ? 'cached' : 'materialized',
+      estimated: allNodes.length,
+      actual: allNodes.length,
+    });
 
-    const pattern = this._pattern ?? DEFAULT_PATTERN;
+    const pattern = await resolveExactPatterns(this._graph, this._pattern ?? DEFAULT_PATTERN);
 
     // Per-run props memo to avoid redundant getNodeProps calls
     /** @type {Map<string, Record<string, unknown>>} */
     const propsMemo = new Map();
     const getProps = async (/** @type {string} */ nodeId) => {
       const cached = propsMemo.get(nodeId);
+      profiler?.propsRead(cached !== undefined);
       if (cached !== undefined) {
         return cached;
       }
@@ -676,54 +1539,46 @@ export default class QueryBuilder {
       propsMemo.set(nodeId, propsRecord);
       return propsRecord;
     };
+    const snapshotOf = async (/** @type {string} */ nodeId) => createNodeSnapshot({
+      id: nodeId,
+      propsRecord: await getProps(nodeId),
+      edgesOut: adjacency.outgoing.get(nodeId) || [],
+      edgesIn: adjacency.incoming.get(nodeId) || [],
+    });
 
-    let workingSet;
-    workingSet = allNodes.filter((nodeId) => matchGlob(pattern, nodeId));
-
-    for (const op of this._operations) {
-      if (op.type === 'where') {
-        const snapshots = await batchMap(workingSet, async (nodeId) => {
-          const propsRecord = await getProps(nodeId);
-          const edgesOut = adjacency.outgoing.get(nodeId) || [];
-          const edgesIn = adjacency.incoming.get(nodeId) || [];
-          return {
-            nodeId,
-            snapshot: createNodeSnapshot({ id: nodeId, propsRecord, edgesOut, edgesIn }),
-          };
-        });
-        const predicate = /** @type {(node: QueryNodeSnapshot) => boolean} */ (op.fn);
-        const filtered = snapshots
-          .filter(({ snapshot }) => predicate(snapshot))
-          .map(({ nodeId }) => nodeId);
-        workingSet = sortIds(filtered);
-        continue;
-      }
+    const matched = allNodes.filter((nodeId) => (scope === null || scope.has(nodeId)) && matchGlob(pattern, nodeId));
+    profiler?.step('match', {
+      detail: Array.isArray(pattern) ? pattern.join(', ') : pattern,
+      access: 'scan',
+      estimated: estimateMatch(pattern, allNodes.length),
+      actual: matched.length,
+    });
+    const context = { materialized, snapshotOf, nodeCount: allNodes.length, profiler };
+    const { workingSet: remaining, relevance } = await this._applyOperations(matched, context);
+    let workingSet = remaining;
 
-      if (op.type === 'outgoing' || op.type === 'incoming') {
-        const [minD, maxD] = /** @type {[number, number]} */ (op.depth);
-        if (minD === 1 && maxD === 1) {
-          workingSet = applyHop({
-            direction: op.type,
-            label: op.label,
-            workingSet,
-            adjacency,
-          });
-        } else {
-          workingSet = applyMultiHop({
-            direction: op.type,
-            label: op.label,
-            workingSet,
-            adjacency,
-            depth: /** @type {[number, number]} */ (op.depth),
-          });
-        }
-      }
+    if (this._groupBy && !this._aggregate) {
+      throw new QueryError('groupBy() must be followed by aggregate()', {
+        code: 'E_QUERY_GROUP_TYPE',
+      });
     }
-
     if (this._aggregate) {
-      return await this._runAggregate(workingSet, stateHash, getProps);
+      const result = await this._runAggregate(workingSet, stateHash, { getProps, snapshotOf });
+      profiler?.step('aggregate', {
+        detail: [...Object.keys(this._aggregate), ...(this._groupBy ? ['groupBy'] : [])].join(', '),
+        access: 'memory',
+        estimated: workingSet.length,
+        actual: 'groups' in result ? result.groups.length : 1,
+      });
+      return result;
     }
 
+    if (relevance && this._orderBy.length === 0) {
+      workingSet = rankByRelevance(workingSet, relevance);
+      profiler?.step('rank', { detail: 'relevance', access: 'memory', estimated: workingSet.length, actual: workingSet.length });
+    }
+    const { ids: pageIds, nextCursor } = await this._paginate(workingSet, stateHash, getProps, profiler);
+
     const selected = this._select;
     const selectFields = Array.isArray(selected) && selected.length > 0 ? selected : null;
     const allowedFields = new Set(['id', 'props']);
@@ -741,7 +1596,7 @@ export default class QueryBuilder {
     const includeId = !selectFields || selectFields.includes('id');
     const includeProps = !selectFields || selectFields.includes('props');
 
-    const nodes = await batchMap(workingSet, async (nodeId) => {
+    const nodes = await batchMap(pageIds, async (nodeId) => {
       const entry = {};
       if (includeId) {
         entry.id = nodeId;
@@ -755,82 +1610,223 @@ export default class QueryBuilder {
       }
       return entry;
     });
+    profiler?.step('select', {
+      detail: (selectFields ?? ['id', 'props']).join(', '),
+      access: 'memory',
+      estimated: pageIds.length,
+      actual: nodes.length,
+    });
 
-    return { stateHash, nodes };
+    return nextCursor === undefined ? { stateHash, nodes } : { stateHash, nodes, nextCursor };
   }
 
   /**
-   * Executes aggregate computations over the matched node set.
+   * Applies the where(), search(), and hop operations in order.
    *
-   * Supports count, sum, avg, min, and max aggregations. Numeric aggregations
-   * (sum, avg, min, max) operate on property paths like "price" or "props.nested.value".
-   * Non-numeric values are silently ignored in numeric aggregations.
-   *
-   * @param {string[]} workingSet - Array of matched node IDs
-   * @param {string} stateHash - Hash of the materialized state
-   * @param {(nodeId: string) => Promise<Record<string, unknown>>} getProps - Memoized props fetcher
-   * @returns {Promise<AggregateResult>} Object containing stateHash and requested aggregation values
+   * @param {string[]} matched - Node IDs selected by match(), sorted
+   * @param {{ materialized: { adjacency: AdjacencyMaps, stateHash: string, state: import('./JoinReducer.js').WarpStateV5 }, snapshotOf: (nodeId: string) => Promise<QueryNodeSnapshot>, nodeCount: number, profiler: import('./QueryProfiler.js').default|null }} context
+   * @returns {Promise<{ workingSet: string[], relevance: Map<string, number>|null }>} The remaining nodes,
+   *   sorted by ID, and their summed search() scores (null without search())
    * @private
    */
-  async _runAggregate(workingSet, stateHash, getProps) {
-    const spec = /** @type {AggregateSpec} */ (this._aggregate);
-    /** @type {AggregateResult} */
-    const result = { stateHash };
-    const specRec = /** @type {Record<string, unknown>} */ (/** @type {unknown} */ (spec));
-
-    if (spec.count) {
-      result.count = workingSet.length;
-    }
+  async _applyOperations(matched, { materialized, snapshotOf, nodeCount, profiler }) {
+    const { adjacency, stateHash } = materialized;
+    const valueIndex = this._valueIndexFor(stateHash);
+    let workingSet = matched;
+    /** @type {Map<string, number>|null} Summed search() scores */
+    let relevance = null;
+    /** @type {Map<string, Record<string, unknown>>|null} Edge props, collected for the first hop that filters on them */
+    let edgeProps = null;
 
-    const numericAggs = ['sum', 'avg', 'min', 'max'];
-    const activeAggs = numericAggs.filter((key) => specRec[key]);
+    for (const op of this._operations) {
+      /** @type {import('./QueryProfiler.js').QueryPlanAccess} */
+      let access = 'scan';
+      let estimated = workingSet.length;
 
-    if (activeAggs.length > 0) {
-      /** @type {Map<string, {segments: string[], values: number[]}>} */
-      const propsByAgg = new Map();
-      for (const key of activeAggs) {
-        propsByAgg.set(key, {
-          segments: /** @type {string} */ (specRec[key]).replace(/^props\./, '').split('.'),
-          values: [],
-        });
+      if (op.type === 'search') {
+        const hits = await this._graph._searchText(/** @type {import('./TextIndexReader.js').TextSearch} */ (op.search), materialized);
+        const scores = new Map(hits.map(({ id, score }) => [id, score]));
+        workingSet = workingSet.filter((nodeId) => scores.has(nodeId));
+        relevance = addRelevance(relevance, workingSet, scores);
+        access = 'text-index';
+        estimated = hits.length;
       }
 
-      // Pre-fetch all props with bounded concurrency
-      const propsList = await batchMap(workingSet, getProps);
-
-      for (const propsRecord of propsList) {
-        for (const { segments, values } of propsByAgg.values()) {
-          /** @type {unknown} */
-          let value = propsRecord[segments[0]];
-          for (let i = 1; i < segments.length; i++) {
-            if (value && typeof value === 'object') {
-              value = /** @type {Record<string, unknown>} */ (value)[segments[i]];
-            } else {
-              value = undefined;
-              break;
-            }
-          }
-          if (typeof value === 'number' && !Number.isNaN(value)) {
-            values.push(value);
-          }
+      if (op.type === 'where') {
+        if (op.predicate && valueIndex) {
+          const narrowed = await narrowByValueIndex(workingSet, op.predicate, valueIndex);
+          access = narrowed === workingSet ? 'scan' : 'value-index';
+          workingSet = narrowed;
+          estimated = narrowed.length;
         }
+        const snapshots = await batchMap(workingSet, async (nodeId) => ({
+          nodeId,
+          snapshot: await snapshotOf(nodeId),
+        }));
+        const predicate = /** @type {(node: QueryNodeSnapshot) => boolean} */ (op.fn);
+        const filtered = snapshots
+          .filter(({ snapshot }) => predicate(snapshot))
+          .map(({ nodeId }) => nodeId);
+        workingSet = sortIds(filtered);
       }
 
-      for (const [key, { values }] of propsByAgg) {
-        if (key === 'sum') {
-          result.sum = values.length > 0 ? values.reduce((/** @type {number} */ a, /** @type {number} */ b) => a + b, 0) : 0;
-        } else if (key === 'avg') {
-          result.avg = values.length > 0 ? values.reduce((/** @type {number} */ a, /** @type {number} */ b) => a + b, 0) / values.length : 0;
-        } else if (key === 'min') {
-          result.min =
-            values.length > 0 ? values.reduce((/** @type {number} */ m, /** @type {number} */ v) => (v < m ? v : m), Infinity) : 0;
-        } else if (key === 'max') {
-          result.max =
-            values.length > 0 ? values.reduce((/** @type {number} */ m, /** @type {number} */ v) => (v > m ? v : m), -Infinity) : 0;
+      if (op.type === 'outgoing' || op.type === 'incoming') {
+        access = 'adjacency';
+        estimated = profiler ? estimateHop(op, workingSet.length, adjacency, nodeCount) : 0;
+        const [minD, maxD] = /** @type {[number, number]} */ (op.depth);
+        if (op.edgeWhere) {
+          edgeProps ??= collectEdgeProps(materialized.state);
+        }
+        const accept = op.edgeWhere ? edgeFilter(op.type, op.edgeWhere.fn, /** @type {Map<string, Record<string, unknown>>} */ (edgeProps)) : null;
+        if (minD === 1 && maxD === 1) {
+          workingSet = applyHop({
+            direction: op.type,
+            label: op.label,
+            workingSet,
+            adjacency,
+            accept,
+          });
+        } else {
+          workingSet = applyMultiHop({
+            direction: op.type,
+            label: op.label,
+            workingSet,
+            adjacency,
+            depth: /** @type {[number, number]} */ (op.depth),
+            accept,
+          });
         }
       }
+
+      profiler?.step(op.type, { detail: describeOperation(op), access, estimated, actual: workingSet.length });
     }
 
-    return result;
+    return { workingSet, relevance };
+  }
+
+  /**
+   * Returns the graph's value index when it was built for the state being
+   * queried, or null.
+   *
+   * @param {string} stateHash - Hash of the materialized state
+   * @returns {import('./PropertyValueIndexReader.js').default|null}
+   * @private
+   */
+  _valueIndexFor(stateHash) {
+    const { _valueIndex: index, _cachedViewHash: viewHash } = /** @type {{ _valueIndex?: import('./PropertyValueIndexReader.js').default|null, _cachedViewHash?: string|null }} */ (/** @type {unknown} */ (this._graph));
+    return index && viewHash === stateHash ? index : null;
+  }
+
+  /**
+   * Orders the matched nodes and cuts out the requested page.
+   *
+   * @param {string[]} workingSet - Matched node IDs, sorted by ID
+   * @param {string} stateHash - Hash of the materialized state
+   * @param {(nodeId: string) => Promise<Record<string, unknown>>} getProps - Memoized props fetcher
+   * @param {import('./QueryProfiler.js').default|null} [profiler] - Receives the orderBy and paginate steps
+   * @returns {Promise<{ids: string[], nextCursor: string|null|undefined}>} Page IDs, and the cursor
+   *   for the next page when limit() is set
+   * @throws {QueryError} If the cursor was issued for a different ordering (code: E_QUERY_CURSOR_INVALID)
+   * @throws {QueryError} If the graph changed since the cursor was issued (code: E_QUERY_CURSOR_STALE)
+   * @private
+   */
+  async _paginate(workingSet, stateHash, getProps, profiler = null) {
+    const order = this._orderBy.map(({ path, direction }) => /** @type {[string, 'asc'|'desc']} */ ([path, direction]));
+    let start = this._offset;
+    if (this._after) {
+      if (canonicalStringify(this._after.order) !== canonicalStringify(order)) {
+        throw new QueryError('Query cursor was issued for a different orderBy()', {
+          code: 'E_QUERY_CURSOR_INVALID',
+          context: { cursorOrder: this._after.order, order },
+        });
+      }
+      if (this._after.stateHash !== stateHash) {
+        throw new QueryError('Query cursor is stale: the graph has changed since it was issued', {
+          code: 'E_QUERY_CURSOR_STALE',
+          context: { cursorStateHash: this._after.stateHash, stateHash },
+        });
+      }
+      start += this._after.offset;
+    }
+    const ordered = this._orderBy.length > 0 ? await sortByKeys(workingSet, this._orderBy, getProps) : workingSet;
+    if (this._orderBy.length > 0) {
+      profiler?.step('orderBy', {
+        detail: order.map(([path, direction]) => `${path} ${direction}`).join(', '),
+        access: 'memory',
+        estimated: workingSet.length,
+        actual: ordered.length,
+      });
+    }
+    const end = this._limit === null ? ordered.length : start + this._limit;
+    const ids = ordered.slice(start, end);
+    if (start > 0 || this._limit !== null) {
+      profiler?.step('paginate', {
+        detail: [start > 0 ? `offset ${start}` : '', this._limit === null ? '' : `limit ${this._limit}`].filter(Boolean).join(', '),
+        access: 'memory',
+        estimated: Math.max(0, Math.min(end, ordered.length) - start),
+        actual: ids.length,
+      });
+    }
+    if (this._limit === null) {
+      return { ids, nextCursor: undefined };
+    }
+    const nextCursor = end < ordered.length ? encodeQueryCursor({ stateHash, offset: end, order }) : null;
+    return { ids, nextCursor };
+  }
+
+  /**
+   * @param {string} method - Name of the method being called
+   * @throws {QueryError} If aggregate() was already called (code: E_QUERY_AGGREGATE_TERMINAL)
+   * @private
+   */
+  _assertNotAggregated(method) {
+    if (this._aggregate) {
+      throw new QueryError(`${method}() cannot be called after aggregate()`, {
+        code: 'E_QUERY_AGGREGATE_TERMINAL',
+      });
+    }
+  }
+
+  /**
+   * Executes aggregate computations over the matched node set.
+   *
+   * Without groupBy(), aggregates over all matched nodes; with it, once per
+   * group. Nodes are visited in orderBy() order when one is set, which
+   * determines the order of `collect` values.
+   *
+   * @param {string[]} workingSet - Array of matched node IDs, sorted by ID
+   * @param {string} stateHash - Hash of the materialized state
+   * @param {{getProps: (nodeId: string) => Promise<Record<string, unknown>>, snapshotOf: (nodeId: string) => Promise<QueryNodeSnapshot>}} fetchers - Memoized props and snapshot fetchers
+   * @returns {Promise<AggregateResult|GroupedAggregateResult>} Object containing stateHash and requested aggregation values
+   * @private
+   */
+  async _runAggregate(workingSet, stateHash, { getProps, snapshotOf }) {
+    const spec = /** @type {AggregateSpec} */ (this._aggregate);
+    const ordered = this._orderBy.length > 0 ? await sortByKeys(workingSet, this._orderBy, getProps) : workingSet;
+    const propsList = await batchMap(ordered, getProps);
+    if (!this._groupBy) {
+      return { stateHash, ...computeAggregates(spec, propsList) };
+    }
+
+    const { segments, fn } = this._groupBy;
+    const keyOf = fn
+      ? async (/** @type {string} */ nodeId) => fn(await snapshotOf(nodeId))
+      : async (/** @type {string} */ nodeId) => (segments ? readPropPath(await getProps(nodeId), segments) : nodeId);
+    const keys = await batchMap(ordered, keyOf);
+
+    /** @type {Map<string, {key: unknown, members: Array<Record<string, unknown>>}>} */
+    const groups = new Map();
+    keys.forEach((rawKey, i) => {
+      const key = rawKey === undefined ? null : rawKey;
+      const groupId = canonicalStringify(key);
+      const group = groups.get(groupId) || { key, members: [] };
+      group.members.push(propsList[i]);
+      groups.set(groupId, group);
+    });
+    const sorted = [...groups.values()].sort((a, b) => compareGroupKeys(a.key, b.key));
+    return {
+      stateHash,
+      groups: sorted.map(({ key, members }) => ({ key: cloneValue(key), ...computeAggregates(spec, members) })),
+    };
   }
 }
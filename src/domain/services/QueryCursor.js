@@ -0,0 +1,99 @@
+/**
+ * QueryCursor - Opaque pagination cursors for QueryBuilder results.
+ *
+ * A cursor records where the next page starts in a query's ordered result,
+ * together with the `stateHash` the page was computed against and the
+ * ordering that produced it. Because results are deterministic for a given
+ * state, an offset into them is a stable position as long as the graph is
+ * unchanged; once the state moves on, the recorded hash no longer matches
+ * and the cursor is reported stale instead of silently skipping or
+ * repeating nodes.
+ *
+ * Cursors are base64url-encoded JSON. Callers should treat them as opaque
+ * strings: the layout is versioned and may change.
+ *
+ * @module domain/services/QueryCursor
+ */
+
+import QueryError from '../errors/QueryError.js';
+import { base64Decode, base64Encode, textDecode, textEncode } from '../utils/bytes.js';
+
+const CURSOR_VERSION = 1;
+
+/**
+ * @typedef {Object} QueryCursorState
+ * @property {string} stateHash - State hash of the page that issued the cursor
+ * @property {number} offset - Index of the first node of the next page
+ * @property {Array<[string, 'asc'|'desc']>} order - Sort keys of the issuing query
+ */
+
+/**
+ * @param {string} reason
+ * @returns {QueryError}
+ */
+function invalidCursor(reason) {
+  return new QueryError(`Invalid query cursor: ${reason}`, {
+    code: 'E_QUERY_CURSOR_INVALID',
+  });
+}
+
+/**
+ * @param {unknown} order
+ * @returns {order is Array<[string, 'asc'|'desc']>}
+ */
+function isOrder(order) {
+  return Array.isArray(order) && order.every((key) => Array.isArray(key)
+    && key.length === 2
+    && typeof key[0] === 'string'
+    && (key[1] === 'asc' || key[1] === 'desc'));
+}
+
+/**
+ * @param {Record<string, unknown>} parsed
+ * @returns {boolean}
+ */
+function isCursorState({ stateHash, offset, order }) {
+  return typeof stateHash === 'string'
+    && Number.isSafeInteger(offset)
+    && /** @type {number} */ (offset) >= 0
+    && isOrder(order);
+}
+
+/**
+ * Encodes a pagination position as an opaque cursor string.
+ *
+ * @param {QueryCursorState} state
+ * @returns {string} URL-safe cursor
+ */
+export function encodeQueryCursor({ stateHash, offset, order }) {
+  const json = JSON.stringify({ v: CURSOR_VERSION, stateHash, offset, order });
+  return base64Encode(textEncode(json)).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+}
+
+/**
+ * Decodes a cursor produced by {@link encodeQueryCursor}.
+ *
+ * @param {unknown} cursor
+ * @returns {QueryCursorState}
+ * @throws {QueryError} If the cursor is not a string this module produced (code: E_QUERY_CURSOR_INVALID)
+ */
+export function decodeQueryCursor(cursor) {
+  if (typeof cursor !== 'string' || !/^[A-Za-z0-9_-]+$/.test(cursor)) {
+    throw invalidCursor('expected a cursor string from a previous result');
+  }
+  /** @type {Record<string, unknown>} */
+  let parsed;
+  try {
+    parsed = JSON.parse(textDecode(base64Decode(cursor.replace(/-/g, '+').replace(/_/g, '/'))));
+  } catch {
+    throw invalidCursor('not a cursor from a previous result');
+  }
+  if (parsed === null || typeof parsed !== 'object' || parsed.v !== CURSOR_VERSION) {
+    throw invalidCursor('unsupported cursor version');
+  }
+  if (!isCursorState(parsed)) {
+    throw invalidCursor('malformed cursor');
+  }
+  const { stateHash, offset, order } = /** @type {QueryCursorState} */ (/** @type {unknown} */ (parsed));
+  return { stateHash, offset, order };
+}
@@ -0,0 +1,128 @@
+/**
+ * QueryProfiler - Records what a QueryBuilder run did, step by step.
+ *
+ * `QueryBuilder.explain()` runs the query with a profiler attached. Each
+ * step of the pipeline reports how it found its nodes (`access`), how many
+ * it expected before running (`estimated`) and how many it produced
+ * (`actual`); the profiler adds the time spent since the previous step and
+ * the property reads the step caused, split into loads and hits in the
+ * per-run props memo.
+ *
+ * Access methods:
+ * - `cached` / `materialized` — the state was reused or materialized
+ * - `scan` — every node in the input was tested
+ * - `value-index` — candidates came from the property-value index
+ * - `text-index` — hits came from the full-text index
+ * - `adjacency` — neighbors came from the in-memory adjacency maps
+ * - `memory` — ordering, ranking, paging, projection, or aggregation of
+ *   nodes already in the working set
+ *
+ * @module domain/services/QueryProfiler
+ */
+
+/**
+ * @typedef {'cached'|'materialized'|'scan'|'value-index'|'text-index'|'adjacency'|'memory'} QueryPlanAccess
+ */
+
+/**
+ * @typedef {Object} QueryPlanStep
+ * @property {string} op - Step name: materialize, match, where, search, outgoing, incoming, rank, orderBy, paginate, select, aggregate
+ * @property {string} detail - The step's arguments, e.g. the pattern or predicate
+ * @property {QueryPlanAccess} access - How the step found its nodes
+ * @property {number} estimated - Nodes the step was expected to produce, from its input and any index
+ * @property {number} actual - Nodes the step produced
+ * @property {number} propsLoaded - Node property records read from the graph
+ * @property {number} propsCacheHits - Property reads answered by the per-run memo
+ * @property {number} durationMs - Time spent in the step
+ */
+
+/**
+ * @typedef {Object} QueryPlan
+ * @property {string} stateHash - Hash of the materialized state the query ran against
+ * @property {QueryPlanStep[]} steps - Steps in execution order
+ * @property {number} rows - Nodes, or groups, in the result
+ * @property {{ props: { hits: number, misses: number }, adjacency: { hits: number, misses: number }|null }} caches -
+ *   Lookups in the per-run props memo, and in the graph's adjacency cache while materializing
+ *   (null when the graph has no adjacency cache)
+ * @property {number} durationMs - Time for the whole run
+ */
+
+/**
+ * @param {number} ms
+ * @returns {number} Milliseconds rounded to microseconds
+ */
+function roundMs(ms) {
+  return Math.round(ms * 1000) / 1000;
+}
+
+export default class QueryProfiler {
+  /**
+   * @param {import('../../ports/ClockPort.js').default} clock - Clock for step timings
+   */
+  constructor(clock) {
+    this._clock = clock;
+    this._start = clock.now();
+    this._mark = this._start;
+    /** @type {QueryPlanStep[]} */
+    this._steps = [];
+    this._loads = 0;
+    this._hits = 0;
+    this._stepLoads = 0;
+    this._stepHits = 0;
+  }
+
+  /**
+   * Records a node property read.
+   *
+   * @param {boolean} cached - True when the per-run memo answered it
+   */
+  propsRead(cached) {
+    if (cached) {
+      this._hits++;
+      this._stepHits++;
+    } else {
+      this._loads++;
+      this._stepLoads++;
+    }
+  }
+
+  /**
+   * Records a finished step. Its duration runs from the end of the
+   * previous step.
+   *
+   * @param {string} op - Step name
+   * @param {{ detail: string, access: QueryPlanAccess, estimated: number, actual: number }} outcome
+   */
+  step(op, { detail, access, estimated, actual }) {
+    const now = this._clock.now();
+    this._steps.push({
+      op,
+      detail,
+      access,
+      estimated,
+      actual,
+      propsLoaded: this._stepLoads,
+      propsCacheHits: this._stepHits,
+      durationMs: roundMs(now - this._mark),
+    });
+    this._mark = now;
+    this._stepLoads = 0;
+    this._stepHits = 0;
+  }
+
+  /**
+   * Builds the plan once the run is done.
+   *
+   * @param {{ stateHash: string, rows: number, adjacency: { hits: number, misses: number }|null }} run
+   * @returns {QueryPlan}
+   */
+  finish({ stateHash, rows, adjacency }) {
+    return {
+      stateHash,
+      steps: this._steps,
+      rows,
+      caches: { props: { hits: this._hits, misses: this._loads }, adjacency },
+      durationMs: roundMs(this._clock.now() - this._start),
+    };
+  }
+}
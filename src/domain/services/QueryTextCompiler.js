@@ -0,0 +1,357 @@
+/**
+ * QueryTextCompiler - Compiles text queries onto the QueryBuilder pipeline.
+ *
+ * QueryBuilder follows one working set of nodes through a chain of steps, so
+ * a MATCH path compiles to `match()` on its first node and
+ * `outgoing()`/`incoming()` steps per hop, with each node's ID pattern and
+ * inline properties applied as `where()` steps right after the hop that
+ * reaches it.
+ * The WHERE clause is split at its top-level ANDs and each part filters the
+ * node it names, so a single condition may refer to one variable only.
+ * RETURN projects or aggregates the last node of the path. Projections next
+ * to aggregates become the `groupBy()` key, as in Cypher's implicit grouping.
+ *
+ * Queries that parse but cannot be expressed this way fail with
+ * `E_QUERY_UNSUPPORTED`, pointing at the offending clause.
+ *
+ * @module domain/services/QueryTextCompiler
+ */
+
+import { matchGlob } from '../utils/matchGlob.js';
+import { parseQueryText, queryTextError } from './QueryTextParser.js';
+
+/** @typedef {import('./QueryBuilder.js').default} QueryBuilder */
+/** @typedef {import('./QueryBuilder.js').QueryNodeSnapshot} QueryNodeSnapshot */
+/** @typedef {import('./QueryBuilder.js').AggregateSpec} AggregateSpec */
+/** @typedef {import('./QueryTextParser.js').QueryTextAst} QueryTextAst */
+/** @typedef {import('./QueryTextParser.js').QueryTextExpr} QueryTextExpr */
+/** @typedef {import('./QueryTextParser.js').QueryLiteral} QueryLiteral */
+/** @typedef {(node: QueryNodeSnapshot) => boolean} Predicate */
+/** @typedef {(message: string, position: number, code?: string) => Error} Fail */
+
+/** @type {Record<string, (a: unknown, b: QueryLiteral) => boolean>} */
+const COMPARATORS = {
+  '=': (a, b) => a === b,
+  '<>': (a, b) => a !== b,
+  '<': (a, b) => comparable(a, b) && /** @type {number} */ (a) < /** @type {number} */ (b),
+  '<=': (a, b) => comparable(a, b) && /** @type {number} */ (a) <= /** @type {number} */ (b),
+  '>': (a, b) => comparable(a, b) && /** @type {number} */ (a) > /** @type {number} */ (b),
+  '>=': (a, b) => comparable(a, b) && /** @type {number} */ (a) >= /** @type {number} */ (b),
+};
+
+/**
+ * Ordering comparisons only hold between two numbers or two strings.
+ *
+ * @param {unknown} a
+ * @param {unknown} b
+ * @returns {boolean}
+ */
+function comparable(a, b) {
+  return typeof a === typeof b && (typeof a === 'number' || typeof a === 'string');
+}
+
+/**
+ * Returns a reader for a property path; `['id']` reads the node ID.
+ *
+ * @param {string[]} path
+ * @returns {(node: QueryNodeSnapshot) => unknown}
+ */
+function accessor(path) {
+  if (path.length === 1 && path[0] === 'id') {
+    return (node) => node.id;
+  }
+  return (node) => {
+    /** @type {unknown} */
+    let value = node.props;
+    for (const segment of path) {
+      if (value === null || typeof value !== 'object') {
+        return undefined;
+      }
+      value = /** @type {Record<string, unknown>} */ (value)[segment];
+    }
+    return value;
+  };
+}
+
+/**
+ * Turns a WHERE expression into a node predicate. Comparisons and IN are
+ * false for missing properties; use IS NULL to test for them.
+ *
+ * @param {QueryTextExpr} expr
+ * @returns {Predicate}
+ */
+function toPredicate(expr) {
+  if (expr.type === 'and' || expr.type === 'or') {
+    const left = toPredicate(expr.left);
+    const right = toPredicate(expr.right);
+    return expr.type === 'and' ? (node) => left(node) && right(node) : (node) => left(node) || right(node);
+  }
+  if (expr.type === 'not') {
+    const operand = toPredicate(expr.operand);
+    return (node) => !operand(node);
+  }
+  const read = accessor(expr.ref.path);
+  if (expr.type === 'null') {
+    const { negated } = expr;
+    return (node) => (read(node) === undefined || read(node) === null) !== negated;
+  }
+  if (expr.type === 'in') {
+    const { values } = expr;
+    return (node) => {
+      const value = read(node);
+      return value !== undefined && values.includes(/** @type {QueryLiteral} */ (value));
+    };
+  }
+  const test = COMPARATORS[expr.op];
+  const { value: literal } = expr;
+  return (node) => {
+    const value = read(node);
+    return value !== undefined && test(value, literal);
+  };
+}
+
+/**
+ * Lists the variables an expression refers to.
+ *
+ * @param {QueryTextExpr} expr
+ * @param {Set<string>} [into]
+ * @returns {Set<string>}
+ */
+function variablesOf(expr, into = new Set()) {
+  if (expr.type === 'and' || expr.type === 'or') {
+    variablesOf(expr.left, into);
+    variablesOf(expr.right, into);
+  } else if (expr.type === 'not') {
+    variablesOf(expr.operand, into);
+  } else {
+    into.add(expr.ref.variable);
+  }
+  return into;
+}
+
+/**
+ * Splits an expression at its top-level ANDs.
+ *
+ * @param {QueryTextExpr} expr
+ * @returns {QueryTextExpr[]}
+ */
+function conjuncts(expr) {
+  return expr.type === 'and' ? [...conjuncts(expr.left), ...conjuncts(expr.right)] : [expr];
+}
+
+/**
+ * Maps each variable to the index of the node that binds it.
+ *
+ * @param {QueryTextAst} ast
+ * @param {Fail} fail
+ * @returns {Map<string, number>}
+ */
+function bindVariables(ast, fail) {
+  /** @type {Map<string, number>} */
+  const variables = new Map();
+  ast.nodes.forEach(({ variable, position }, index) => {
+    if (variable === null) {
+      return;
+    }
+    if (variables.has(variable)) {
+      throw fail(`Variable '${variable}' appears twice in the pattern; cycles are not supported`, position);
+    }
+    variables.set(variable, index);
+  });
+  return variables;
+}
+
+/**
+ * Assigns each WHERE condition to the node whose variable it filters.
+ *
+ * @param {QueryTextExpr|null} where
+ * @param {{ variables: Map<string, number>, fail: Fail }} scope
+ * @returns {Map<number, Predicate[]>} Predicates by node index
+ */
+function assignConditions(where, { variables, fail }) {
+  /** @type {Map<number, Predicate[]>} */
+  const byNode = new Map();
+  for (const condition of where ? conjuncts(where) : []) {
+    const names = [...variablesOf(condition)];
+    for (const name of names) {
+      if (!variables.has(name)) {
+        throw fail(`Unknown variable '${name}'`, condition.position, 'E_QUERY_SYNTAX');
+      }
+    }
+    if (names.length > 1) {
+      throw fail(`A WHERE condition can only refer to one node, but this one uses ${names.join(' and ')}`, condition.position);
+    }
+    const index = /** @type {number} */ (variables.get(names[0]));
+    byNode.set(index, [...(byNode.get(index) || []), toPredicate(condition)]);
+  }
+  return byNode;
+}
+
+/**
+ * Checks that a RETURN item refers to the last node of the pattern.
+ *
+ * @param {import('./QueryTextParser.js').QueryTextReturnItem} item
+ * @param {{ variables: Map<string, number>, last: string|null, fail: Fail }} scope
+ */
+function assertReturnVariable(item, { variables, last, fail }) {
+  const variable = item.kind === 'all' ? null : item.variable;
+  if (variable === null) {
+    return;
+  }
+  if (!variables.has(variable)) {
+    throw fail(`Unknown variable '${variable}'`, item.position, 'E_QUERY_SYNTAX');
+  }
+  if (variable !== last) {
+    throw fail(`RETURN can only refer to the last node of the pattern${last ? ` ('${last}')` : ''}`, item.position);
+  }
+}
+
+/**
+ * Adds an aggregate RETURN item to an `aggregate()` spec.
+ *
+ * @param {Record<string, string|boolean>} spec
+ * @param {Extract<import('./QueryTextParser.js').QueryTextReturnItem, { kind: 'aggregate' }>} item
+ * @param {Fail} fail
+ * @returns {Record<string, string|boolean>}
+ */
+function addAggregate(spec, item, fail) {
+  if (item.fn in spec) {
+    throw fail(`${item.fn}() can only appear once in RETURN`, item.position);
+  }
+  spec[item.fn] = item.ref ? item.ref.path.join('.') : true;
+  return spec;
+}
+
+/**
+ * Builds the `groupBy()` key for the fields projected next to aggregates.
+ * A whole node groups by its ID; several fields group by an array of their
+ * values, in RETURN order.
+ *
+ * @param {string[]|null} fields - Projected fields, `null` for the whole node
+ * @returns {string | ((node: QueryNodeSnapshot) => unknown)}
+ */
+function groupKey(fields) {
+  if (fields === null || (fields.length === 1 && fields[0] === 'id')) {
+    return 'id';
+  }
+  const keys = /** @type {Array<'id'|'props'>} */ (fields);
+  return keys.length === 1
+    ? (node) => node[keys[0]]
+    : (node) => keys.map((field) => node[field]);
+}
+
+/**
+ * Compiles the RETURN clause into `select()` fields, or an `aggregate()`
+ * spec grouped by any fields projected alongside it.
+ *
+ * @param {QueryTextAst} ast
+ * @param {{ variables: Map<string, number>, fail: Fail }} scope
+ * @returns {{ select: string[]|null, aggregate: AggregateSpec|null, groupBy: string | ((node: QueryNodeSnapshot) => unknown) | null }}
+ */
+function compileReturn(ast, { variables, fail }) {
+  const { variable: last } = ast.nodes[ast.nodes.length - 1];
+  /** @type {Set<string>|null} */
+  let fields = new Set();
+  /** @type {Record<string, string|boolean>|null} */
+  let aggregate = null;
+  let projects = false;
+
+  for (const item of ast.returns) {
+    assertReturnVariable(item, { variables, last, fail });
+    if (item.kind === 'aggregate') {
+      aggregate = addAggregate(aggregate || {}, item, fail);
+    } else {
+      fields = returnFields(item, { fields, fail });
+      projects = true;
+    }
+  }
+  const select = fields && [...fields];
+  if (aggregate) {
+    return { select: null, aggregate: /** @type {AggregateSpec} */ (aggregate), groupBy: projects ? groupKey(select) : null };
+  }
+  return { select, aggregate: null, groupBy: null };
+}
+
+/**
+ * Adds the fields a RETURN item projects. `null` means all fields.
+ *
+ * @param {import('./QueryTextParser.js').QueryTextReturnItem} item
+ * @param {{ fields: Set<string>|null, fail: Fail }} state
+ * @returns {Set<string>|null}
+ */
+function returnFields(item, { fields, fail }) {
+  if (item.kind === 'all' || (item.kind === 'node' && item.path.length === 0)) {
+    return null;
+  }
+  const { variable, path } = /** @type {{ variable: string, path: string[] }} */ (item);
+  const field = path.join('.');
+  if (field !== 'id' && field !== 'props') {
+    throw fail(`RETURN ${variable}.${field} is not supported; return ${variable}, ${variable}.id, or ${variable}.props`, item.position);
+  }
+  return fields && fields.add(field);
+}
+
+/**
+ * Applies one hop of the pattern. A `*min..max` hop keeps every node some
+ * walk of `min` to `max` edges reaches from the working set, including nodes
+ * of the working set itself. QueryBuilder's multi-hop BFS never re-enters
+ * its start set and keeps only each node's shortest distance, so the first
+ * `min` levels are single hops and only the rest is one `[0, max - min]`
+ * traversal.
+ *
+ * @param {QueryBuilder} builder
+ * @param {import('./QueryTextParser.js').QueryTextHop} hop
+ */
+function applyHop(builder, { direction, label, depth: [min, max] }) {
+  for (let level = 0; level < min; level++) {
+    builder[direction](label);
+  }
+  if (max > min) {
+    builder[direction](label, { depth: [0, max - min] });
+  }
+}
+
+/**
+ * Parses a text query and applies it to a fresh query builder.
+ *
+ * @param {QueryBuilder} builder - Builder with no steps yet
+ * @param {string} text - The query text
+ * @returns {QueryBuilder} The same builder, ready to `run()`
+ * @throws {import('../errors/QueryError.js').default} On syntax errors (code: E_QUERY_SYNTAX)
+ *   or queries the pipeline cannot express (code: E_QUERY_UNSUPPORTED)
+ */
+export function compileQueryText(builder, text) {
+  const ast = parseQueryText(text);
+  /** @type {Fail} */
+  const fail = (message, position, code = 'E_QUERY_UNSUPPORTED') => queryTextError(text, message, { position, code });
+  const variables = bindVariables(ast, fail);
+  const conditions = assignConditions(ast.where, { variables, fail });
+  const { select, aggregate, groupBy } = compileReturn(ast, { variables, fail });
+
+  builder.match(ast.nodes[0].patterns ?? '*');
+  ast.nodes.forEach((node, index) => {
+    if (index > 0) {
+      applyHop(builder, ast.hops[index - 1]);
+      if (node.patterns) {
+        const { patterns } = node;
+        builder.where(({ id }) => matchGlob(patterns, id));
+      }
+    }
+    for (const [key, value] of Object.entries(node.props || {})) {
+      builder.where(toPredicate({ type: 'compare', op: '=', ref: { variable: '', path: [key], position: node.position }, value, position: node.position }));
+    }
+    for (const predicate of conditions.get(index) || []) {
+      builder.where(predicate);
+    }
+  });
+
+  if (groupBy) {
+    builder.groupBy(groupBy);
+  }
+  if (aggregate) {
+    builder.aggregate(aggregate);
+  } else if (select) {
+    builder.select(select);
+  }
+  return builder;
+}
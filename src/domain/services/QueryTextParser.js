@@ -0,0 +1,615 @@
+/**
+ * QueryTextParser - Parses the text query language into a syntax tree.
+ *
+ * The language is a small, Cypher-like subset:
+ *
+ * ```text
+ * MATCH (u:user:*)-[:follows*1..3]->(v {active: true})
+ * WHERE u.age > 30 AND NOT v.role IN ['bot', 'system']
+ * RETURN v.id
+ * ```
+ *
+ * - A node is `(variable:idPattern {prop: literal, ...})`, every part optional.
+ *   The ID pattern is a `match()` glob; alternatives are separated by `|`
+ *   and may be quoted (`(n:'team:a b'|team:c*)`).
+ * - A hop is `-[:label*min..max]->` or `<-[:label*min..max]-`, label and
+ *   depth optional (`-->`, `<--`). `*n` is exactly n hops, `*..max` is
+ *   1 to max hops; an upper bound is required.
+ * - WHERE combines `var.path op literal` comparisons (`=`, `<>`, `!=`, `<`,
+ *   `<=`, `>`, `>=`), `IN [...]`, and `IS [NOT] NULL` with AND, OR, NOT,
+ *   and parentheses. `var.id` is the node ID.
+ * - RETURN lists `*`, `var`, `var.id`, `var.props`, or the aggregates
+ *   `count(*)`, `count(var)`, `sum|avg|min|max(var.path)`.
+ *
+ * Keywords are case-insensitive; identifiers may be backtick-quoted.
+ * Syntax errors are reported as {@link QueryError} with code
+ * `E_QUERY_SYNTAX` and the offending `position`, `line`, and `column`.
+ *
+ * @module domain/services/QueryTextParser
+ */
+
+import QueryError from '../errors/QueryError.js';
+
+/**
+ * @typedef {string|number|boolean|null} QueryLiteral
+ */
+
+/**
+ * @typedef {Object} QueryTextNode
+ * @property {string|null} variable - Variable name, null when anonymous
+ * @property {string[]|null} patterns - ID glob alternatives, null when unconstrained
+ * @property {Record<string, QueryLiteral>|null} props - Inline property equalities
+ * @property {number} position - Offset of the opening parenthesis
+ */
+
+/**
+ * @typedef {Object} QueryTextHop
+ * @property {'outgoing'|'incoming'} direction
+ * @property {string|undefined} label - Edge label, undefined for any label
+ * @property {[number, number]} depth - Hop range, as accepted by `outgoing()`
+ * @property {number} position - Offset of the hop
+ */
+
+/**
+ * @typedef {Object} QueryTextPropRef
+ * @property {string} variable
+ * @property {string[]} path - Property path segments; `['id']` is the node ID
+ * @property {number} position
+ */
+
+/**
+ * @typedef {{ type: 'and', left: QueryTextExpr, right: QueryTextExpr, position: number }
+ *   | { type: 'or', left: QueryTextExpr, right: QueryTextExpr, position: number }
+ *   | { type: 'not', operand: QueryTextExpr, position: number }
+ *   | { type: 'compare', op: '='|'<>'|'<'|'<='|'>'|'>=', ref: QueryTextPropRef, value: QueryLiteral, position: number }
+ *   | { type: 'in', ref: QueryTextPropRef, values: QueryLiteral[], position: number }
+ *   | { type: 'null', ref: QueryTextPropRef, negated: boolean, position: number }} QueryTextExpr
+ */
+
+/**
+ * @typedef {{ kind: 'all', position: number }
+ *   | { kind: 'node', variable: string, path: string[], position: number }
+ *   | { kind: 'aggregate', fn: 'count'|'sum'|'avg'|'min'|'max', ref: QueryTextPropRef|null, variable: string|null, position: number }} QueryTextReturnItem
+ */
+
+/**
+ * @typedef {Object} QueryTextAst
+ * @property {QueryTextNode[]} nodes - Node patterns in path order
+ * @property {QueryTextHop[]} hops - Hops between consecutive nodes (`nodes.length - 1` entries)
+ * @property {QueryTextExpr|null} where
+ * @property {QueryTextReturnItem[]} returns
+ */
+
+const AGGREGATE_FNS = new Set(['count', 'sum', 'avg', 'min', 'max']);
+const COMPARISON_OPS = ['<>', '!=', '<=', '>=', '=', '<', '>'];
+const PATTERN_CHAR = /[^\s(){}|,]/;
+const IDENT_START = /[A-Za-z_]/;
+const IDENT_CHAR = /[A-Za-z0-9_]/;
+const DIGIT = /[0-9]/;
+const ESCAPES = /** @type {Record<string, string>} */ ({ n: '\n', t: '\t', r: '\r', '0': '\0' });
+
+/**
+ * Converts an offset into a 1-based line and column.
+ *
+ * @param {string} text
+ * @param {number} position
+ * @returns {{ line: number, column: number }}
+ */
+function lineAndColumn(text, position) {
+  const before = text.slice(0, position).split('\n');
+  return { line: before.length, column: before[before.length - 1].length + 1 };
+}
+
+/**
+ * Builds a QueryError pointing at a position in the query text.
+ *
+ * @param {string} text - The full query text
+ * @param {string} message - What went wrong
+ * @param {{ position: number, code?: string }} where - Offset and error code (default `E_QUERY_SYNTAX`)
+ * @returns {QueryError}
+ */
+export function queryTextError(text, message, { position, code = 'E_QUERY_SYNTAX' }) {
+  const { line, column } = lineAndColumn(text, position);
+  return new QueryError(`${message} at line ${line}, column ${column}`, {
+    code,
+    context: { position, line, column },
+  });
+}
+
+/**
+ * Recursive-descent parser over the raw query text.
+ *
+ * @private
+ */
+class Parser {
+  /**
+   * @param {string} text
+   */
+  constructor(text) {
+    this.text = text;
+    this.pos = 0;
+  }
+
+  /**
+   * @param {string} message
+   * @param {number} [position]
+   * @returns {QueryError}
+   */
+  error(message, position = this.pos) {
+    return queryTextError(this.text, message, { position });
+  }
+
+  /** @returns {string} Description of the input at the current position */
+  found() {
+    this.skipSpace();
+    if (this.pos >= this.text.length) {
+      return 'end of input';
+    }
+    return `'${this.text[this.pos]}'`;
+  }
+
+  skipSpace() {
+    while (this.pos < this.text.length && /\s/.test(this.text[this.pos])) {
+      this.pos++;
+    }
+  }
+
+  /**
+   * Consumes `token` if the input continues with it.
+   *
+   * @param {string} token
+   * @returns {boolean}
+   */
+  eat(token) {
+    this.skipSpace();
+    if (this.text.startsWith(token, this.pos)) {
+      this.pos += token.length;
+      return true;
+    }
+    return false;
+  }
+
+  /**
+   * @param {string} token
+   */
+  expect(token) {
+    if (!this.eat(token)) {
+      throw this.error(`Expected '${token}' but found ${this.found()}`);
+    }
+  }
+
+  /**
+   * Consumes a keyword (case-insensitive, whole word) if present.
+   *
+   * @param {string} keyword
+   * @returns {boolean}
+   */
+  eatKeyword(keyword) {
+    this.skipSpace();
+    const end = this.pos + keyword.length;
+    const candidate = this.text.slice(this.pos, end);
+    if (candidate.toUpperCase() !== keyword || IDENT_CHAR.test(this.text[end] ?? '')) {
+      return false;
+    }
+    this.pos = end;
+    return true;
+  }
+
+  /**
+   * @param {string} keyword
+   */
+  expectKeyword(keyword) {
+    if (!this.eatKeyword(keyword)) {
+      throw this.error(`Expected ${keyword} but found ${this.found()}`);
+    }
+  }
+
+  /** @returns {boolean} */
+  atIdentifier() {
+    this.skipSpace();
+    return IDENT_START.test(this.text[this.pos] ?? '') || this.text[this.pos] === '`';
+  }
+
+  /** @returns {string} */
+  identifier() {
+    this.skipSpace();
+    if (this.text[this.pos] === '`') {
+      return this.quoted('`');
+    }
+    const start = this.pos;
+    if (!IDENT_START.test(this.text[this.pos] ?? '')) {
+      throw this.error(`Expected a name but found ${this.found()}`);
+    }
+    while (IDENT_CHAR.test(this.text[this.pos] ?? '')) {
+      this.pos++;
+    }
+    return this.text.slice(start, this.pos);
+  }
+
+  /**
+   * Reads a quoted string starting at the current position. Backslash
+   * escapes `\n`, `\t`, `\r`, `\0`, and `\uXXXX`; any other escaped
+   * character stands for itself.
+   *
+   * @param {string} quote - The quote character
+   * @returns {string}
+   */
+  quoted(quote) {
+    const start = this.pos;
+    this.pos++;
+    let value = '';
+    while (this.pos < this.text.length && this.text[this.pos] !== quote) {
+      if (this.text[this.pos] === '\\') {
+        value += this.escape();
+      } else {
+        value += this.text[this.pos++];
+      }
+    }
+    if (this.pos >= this.text.length) {
+      throw this.error('Unterminated string', start);
+    }
+    this.pos++;
+    return value;
+  }
+
+  /** @returns {string} The character an escape sequence stands for */
+  escape() {
+    const next = this.text[this.pos + 1];
+    if (next === 'u') {
+      const hex = this.text.slice(this.pos + 2, this.pos + 6);
+      if (!/^[0-9a-fA-F]{4}$/.test(hex)) {
+        throw this.error('Invalid \\u escape');
+      }
+      this.pos += 6;
+      return String.fromCharCode(parseInt(hex, 16));
+    }
+    if (next === undefined) {
+      throw this.error('Unterminated string');
+    }
+    this.pos += 2;
+    return ESCAPES[next] ?? next;
+  }
+
+  /** @returns {number} */
+  integer() {
+    this.skipSpace();
+    const start = this.pos;
+    while (DIGIT.test(this.text[this.pos] ?? '')) {
+      this.pos++;
+    }
+    if (start === this.pos) {
+      throw this.error(`Expected a number but found ${this.found()}`);
+    }
+    return Number(this.text.slice(start, this.pos));
+  }
+
+  /** @returns {QueryLiteral} */
+  literal() {
+    this.skipSpace();
+    const ch = this.text[this.pos];
+    if (ch === "'" || ch === '"') {
+      return this.quoted(ch);
+    }
+    const number = /^-?(?:\d+\.?\d*|\.\d+)(?:[eE][+-]?\d+)?/.exec(this.text.slice(this.pos));
+    if (number) {
+      this.pos += number[0].length;
+      return Number(number[0]);
+    }
+    for (const [keyword, value] of /** @type {Array<[string, QueryLiteral]>} */ ([['TRUE', true], ['FALSE', false], ['NULL', null]])) {
+      if (this.eatKeyword(keyword)) {
+        return value;
+      }
+    }
+    throw this.error(`Expected a string, number, true, false, or null but found ${this.found()}`);
+  }
+
+  /** @returns {QueryTextAst} */
+  query() {
+    this.expectKeyword('MATCH');
+    const { nodes, hops } = this.path();
+    const where = this.eatKeyword('WHERE') ? this.expression() : null;
+    this.expectKeyword('RETURN');
+    const returns = this.returnItems();
+    this.skipSpace();
+    if (this.pos < this.text.length) {
+      throw this.error(`Unexpected ${this.found()} after RETURN`);
+    }
+    return { nodes, hops, where, returns };
+  }
+
+  /** @returns {{ nodes: QueryTextNode[], hops: QueryTextHop[] }} */
+  path() {
+    const nodes = [this.node()];
+    /** @type {QueryTextHop[]} */
+    const hops = [];
+    for (;;) {
+      this.skipSpace();
+      const ch = this.text[this.pos];
+      if (ch !== '-' && ch !== '<') {
+        break;
+      }
+      hops.push(this.hop());
+      nodes.push(this.node());
+    }
+    return { nodes, hops };
+  }
+
+  /** @returns {QueryTextNode} */
+  node() {
+    this.skipSpace();
+    const position = this.pos;
+    this.expect('(');
+    const variable = this.atIdentifier() ? this.identifier() : null;
+    const patterns = this.eat(':') ? this.idPatterns() : null;
+    const props = this.eat('{') ? this.propMap() : null;
+    this.expect(')');
+    return { variable, patterns, props, position };
+  }
+
+  /** @returns {string[]} */
+  idPatterns() {
+    const patterns = [this.idPattern()];
+    while (this.eat('|')) {
+      patterns.push(this.idPattern());
+    }
+    return patterns;
+  }
+
+  /** @returns {string} */
+  idPattern() {
+    this.skipSpace();
+    const ch = this.text[this.pos];
+    if (ch === "'" || ch === '"') {
+      return this.quoted(ch);
+    }
+    const start = this.pos;
+    while (PATTERN_CHAR.test(this.text[this.pos] ?? '')) {
+      this.pos++;
+    }
+    if (start === this.pos) {
+      throw this.error(`Expected a node ID pattern but found ${this.found()}`);
+    }
+    return this.text.slice(start, this.pos);
+  }
+
+  /** @returns {Record<string, QueryLiteral>} Entries after the opening brace */
+  propMap() {
+    /** @type {Record<string, QueryLiteral>} */
+    const props = {};
+    if (this.eat('}')) {
+      return props;
+    }
+    do {
+      const key = this.identifier();
+      this.expect(':');
+      props[key] = this.literal();
+    } while (this.eat(','));
+    this.expect('}');
+    return props;
+  }
+
+  /** @returns {QueryTextHop} */
+  hop() {
+    this.skipSpace();
+    const position = this.pos;
+    const incoming = this.eat('<-');
+    if (!incoming) {
+      this.expect('-');
+    }
+    const { label, depth } = this.eat('[') ? this.hopBody() : { label: undefined, depth: /** @type {[number, number]} */ ([1, 1]) };
+    if (incoming) {
+      this.expect('-');
+      if (this.text[this.pos] === '>') {
+        throw this.error('Hops must have exactly one direction', position);
+      }
+      return { direction: 'incoming', label, depth, position };
+    }
+    if (!this.eat('->')) {
+      throw this.error('Undirected hops are not supported; use -[...]-> or <-[...]-', position);
+    }
+    return { direction: 'outgoing', label, depth, position };
+  }
+
+  /** @returns {{ label: string|undefined, depth: [number, number] }} Hop contents after the opening bracket */
+  hopBody() {
+    if (this.atIdentifier()) {
+      throw this.error('Hop variables are not supported; write -[:label]->');
+    }
+    let label;
+    if (this.eat(':')) {
+      this.skipSpace();
+      const ch = this.text[this.pos];
+      label = ch === "'" || ch === '"' ? this.quoted(ch) : this.identifier();
+    }
+    const depth = this.eat('*') ? this.depthRange() : /** @type {[number, number]} */ ([1, 1]);
+    this.expect(']');
+    return { label, depth };
+  }
+
+  /** @returns {[number, number]} */
+  depthRange() {
+    this.skipSpace();
+    const position = this.pos;
+    if (this.eat('..')) {
+      return this.depthUpperBound(1, position);
+    }
+    if (!DIGIT.test(this.text[this.pos] ?? '')) {
+      throw this.error('Variable-length hops need an upper bound, e.g. *1..3', position);
+    }
+    const min = this.integer();
+    return this.eat('..') ? this.depthUpperBound(min, position) : [min, min];
+  }
+
+  /**
+   * @param {number} min
+   * @param {number} position - Offset of the range, for errors
+   * @returns {[number, number]}
+   */
+  depthUpperBound(min, position) {
+    this.skipSpace();
+    if (!DIGIT.test(this.text[this.pos] ?? '')) {
+      throw this.error('Variable-length hops need an upper bound, e.g. *1..3', position);
+    }
+    const max = this.integer();
+    if (min > max) {
+      throw this.error(`Hop range *${min}..${max} is empty`, position);
+    }
+    return [min, max];
+  }
+
+  /** @returns {QueryTextExpr} */
+  expression() {
+    let left = this.conjunction();
+    for (;;) {
+      const position = this.pos;
+      if (!this.eatKeyword('OR')) {
+        return left;
+      }
+      left = { type: 'or', left, right: this.conjunction(), position };
+    }
+  }
+
+  /** @returns {QueryTextExpr} */
+  conjunction() {
+    let left = this.negation();
+    for (;;) {
+      const position = this.pos;
+      if (!this.eatKeyword('AND')) {
+        return left;
+      }
+      left = { type: 'and', left, right: this.negation(), position };
+    }
+  }
+
+  /** @returns {QueryTextExpr} */
+  negation() {
+    this.skipSpace();
+    const position = this.pos;
+    if (this.eatKeyword('NOT')) {
+      return { type: 'not', operand: this.negation(), position };
+    }
+    if (this.eat('(')) {
+      const inner = this.expression();
+      this.expect(')');
+      return inner;
+    }
+    return this.condition();
+  }
+
+  /** @returns {QueryTextExpr} */
+  condition() {
+    const ref = this.propRef();
+    const { position } = ref;
+    if (this.eatKeyword('IS')) {
+      const negated = this.eatKeyword('NOT');
+      this.expectKeyword('NULL');
+      return { type: 'null', ref, negated, position };
+    }
+    if (this.eatKeyword('IN')) {
+      return { type: 'in', ref, values: this.list(), position };
+    }
+    this.skipSpace();
+    const op = COMPARISON_OPS.find((candidate) => this.text.startsWith(candidate, this.pos));
+    if (!op) {
+      throw this.error(`Expected a comparison, IN, or IS NULL but found ${this.found()}`);
+    }
+    this.pos += op.length;
+    const normalized = /** @type {'='|'<>'|'<'|'<='|'>'|'>='} */ (op === '!=' ? '<>' : op);
+    return { type: 'compare', op: normalized, ref, value: this.literal(), position };
+  }
+
+  /** @returns {QueryLiteral[]} */
+  list() {
+    this.expect('[');
+    /** @type {QueryLiteral[]} */
+    const values = [];
+    if (this.eat(']')) {
+      return values;
+    }
+    do {
+      values.push(this.literal());
+    } while (this.eat(','));
+    this.expect(']');
+    return values;
+  }
+
+  /** @returns {QueryTextPropRef} */
+  propRef() {
+    this.skipSpace();
+    const position = this.pos;
+    if (!this.atIdentifier()) {
+      throw this.error(`Expected a property like n.name but found ${this.found()}`);
+    }
+    const variable = this.identifier();
+    this.expect('.');
+    const path = [this.identifier()];
+    while (this.eat('.')) {
+      path.push(this.identifier());
+    }
+    return { variable, path, position };
+  }
+
+  /** @returns {QueryTextReturnItem[]} */
+  returnItems() {
+    const items = [this.returnItem()];
+    while (this.eat(',')) {
+      items.push(this.returnItem());
+    }
+    return items;
+  }
+
+  /** @returns {QueryTextReturnItem} */
+  returnItem() {
+    this.skipSpace();
+    const position = this.pos;
+    if (this.eat('*')) {
+      return { kind: 'all', position };
+    }
+    const name = this.identifier();
+    if (this.eat('(')) {
+      return this.aggregate(name, position);
+    }
+    const path = [];
+    while (this.eat('.')) {
+      path.push(this.identifier());
+    }
+    return { kind: 'node', variable: name, path, position };
+  }
+
+  /**
+   * @param {string} name - Function name as written
+   * @param {number} position
+   * @returns {QueryTextReturnItem} Aggregate call after the opening parenthesis
+   */
+  aggregate(name, position) {
+    const fn = /** @type {'count'|'sum'|'avg'|'min'|'max'} */ (name.toLowerCase());
+    if (!AGGREGATE_FNS.has(fn)) {
+      throw this.error(`Unknown function '${name}'`, position);
+    }
+    if (fn === 'count') {
+      const variable = this.eat('*') ? null : this.identifier();
+      this.expect(')');
+      return { kind: 'aggregate', fn, ref: null, variable, position };
+    }
+    const ref = this.propRef();
+    this.expect(')');
+    return { kind: 'aggregate', fn, ref, variable: ref.variable, position };
+  }
+}
+
+/**
+ * Parses a text query into its syntax tree.
+ *
+ * @param {string} text - The query text
+ * @returns {QueryTextAst}
+ * @throws {QueryError} On syntax errors (code: E_QUERY_SYNTAX)
+ */
+export function parseQueryText(text) {
+  if (typeof text !== 'string') {
+    throw new QueryError('Query text must be a string', {
+      code: 'E_QUERY_SYNTAX',
+      context: { receivedType: typeof text },
+    });
+  }
+  return new Parser(text).query();
+}
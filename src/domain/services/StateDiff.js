@@ -283,6 +283,25 @@ export function isEmptyDiff(diff) {
   );
 }
 
+/**
+ * Lists the distinct node IDs a diff touches: nodes added or removed,
+ * endpoints of edges added or removed, and nodes whose properties changed.
+ *
+ * @param {StateDiffResult} diff
+ * @returns {string[]}
+ */
+export function touchedNodes(diff) {
+  const ids = new Set([...diff.nodes.added, ...diff.nodes.removed]);
+  for (const { from, to } of [...diff.edges.added, ...diff.edges.removed]) {
+    ids.add(from);
+    ids.add(to);
+  }
+  for (const { nodeId } of [...diff.props.set, ...diff.props.removed]) {
+    ids.add(nodeId);
+  }
+  return [...ids];
+}
+
 /**
  * Creates an empty diff result.
  *
@@ -38,7 +38,7 @@
 
 import defaultCodec from '../utils/defaultCodec.js';
 import nullLogger from '../utils/nullLogger.js';
-import { decodePatchMessage, assertOpsCompatible, SCHEMA_V3 } from './WarpMessageCodec.js';
+import { decodePatchMessage, assertOpsCompatible, SCHEMA_V4 } from './WarpMessageCodec.js';
 import { join, cloneStateV5, isKnownRawOp } from './JoinReducer.js';
 import SchemaUnsupportedError from '../errors/SchemaUnsupportedError.js';
 import EncryptionError from '../errors/EncryptionError.js';
@@ -523,7 +523,7 @@ export async function processSyncRequest(request, localFrontier, persistence, gr
  * state will be identical. However, applying in chronological order (as
  * provided) is slightly more efficient.
  *
- * **Schema validation**: Patches are checked against SCHEMA_V3 before apply.
+ * **Schema validation**: Patches are checked against SCHEMA_V4 before apply.
  * If a patch contains op types we don't understand (from a newer schema),
  * assertOpsCompatible throws to prevent silent data loss. The caller should
  * upgrade their client before retrying.
@@ -576,7 +576,7 @@ export function applySyncResponse(response, state, frontier) {
       // Normalize patch context (in case it came from network serialization)
       const normalizedPatch = normalizePatch(patch);
       // Guard: reject patches with genuinely unknown op types (B106 / C2 fix).
-      // Uses isKnownRawOp to accept only the 6 wire-format types. Canonical-only
+      // Uses isKnownRawOp to accept only the wire-format types. Canonical-only
       // types (NodePropSet, EdgePropSet) must never appear on the wire before
       // ADR 2 capability cutover — reject them here to fail closed.
       for (const op of normalizedPatch.ops) {
@@ -588,8 +588,8 @@ export function applySyncResponse(response, state, frontier) {
       }
       // Guard: reject patches exceeding our maximum supported schema version.
       // isKnownRawOp() above checks op-type recognition; this checks the schema
-      // version ceiling. Currently SCHEMA_V3 is the max.
-      assertOpsCompatible(normalizedPatch.ops, SCHEMA_V3);
+      // version ceiling. Currently SCHEMA_V4 is the max.
+      assertOpsCompatible(normalizedPatch.ops, SCHEMA_V4);
       // Apply patch to state
       join(newState, /** @type {Parameters<typeof join>[1]} */ (normalizedPatch), sha);
       applied++;
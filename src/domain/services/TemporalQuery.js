@@ -139,13 +139,15 @@ function evaluateEventuallyCheckpointBoundary({
  */
 export class TemporalQuery {
   /**
-   * @param {{ loadAllPatches: () => Promise<Array<{patch: import('../types/WarpTypesV2.js').PatchV2, sha: string}>>, loadCheckpoint?: () => Promise<{state: import('./JoinReducer.js').WarpStateV5, maxLamport: number}|null> }} options
+   * @param {{ loadAllPatches: () => Promise<Array<{patch: import('../types/WarpTypesV2.js').PatchV2, sha: string}>>, loadCheckpoint?: () => Promise<{state: import('./JoinReducer.js').WarpStateV5, maxLamport: number}|null>, mergePolicies?: import('./MergePolicyRegistry.js').default|null }} options
    */
-  constructor({ loadAllPatches, loadCheckpoint }) {
+  constructor({ loadAllPatches, loadCheckpoint, mergePolicies }) {
     /** @type {() => Promise<Array<{patch: import('../types/WarpTypesV2.js').PatchV2, sha: string}>>} */
     this._loadAllPatches = loadAllPatches;
     /** @type {(() => Promise<{state: import('./JoinReducer.js').WarpStateV5, maxLamport: number}|null>)|null} */
     this._loadCheckpoint = loadCheckpoint || null;
+    /** @type {import('./MergePolicyRegistry.js').default|null} */
+    this._mergePolicies = mergePolicies || null;
   }
 
   /**
@@ -293,9 +295,24 @@ export class TemporalQuery {
         );
         const startIdx = idx < 0 ? allPatches.length : idx;
         // Replay mutates state in-place; isolate checkpoint provider caches from query runs.
-        return { state: cloneStateV5(ck.state), startIdx, checkpointMaxLamport: ck.maxLamport };
+        return { state: this._withMergePolicies(cloneStateV5(ck.state)), startIdx, checkpointMaxLamport: ck.maxLamport };
       }
     }
-    return { state: createEmptyStateV5(), startIdx: 0, checkpointMaxLamport: null };
+    return { state: this._withMergePolicies(createEmptyStateV5()), startIdx: 0, checkpointMaxLamport: null };
+  }
+
+  /**
+   * Attaches the graph's merge policies so replay resolves properties the
+   * same way materialization does.
+   *
+   * @param {import('./JoinReducer.js').WarpStateV5} state
+   * @returns {import('./JoinReducer.js').WarpStateV5}
+   * @private
+   */
+  _withMergePolicies(state) {
+    if (this._mergePolicies) {
+      state.mergePolicies = this._mergePolicies;
+    }
+    return state;
   }
 }
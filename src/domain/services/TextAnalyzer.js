@@ -0,0 +1,115 @@
+/**
+ * Text analyzers and configuration for the full-text index.
+ *
+ * An analyzer turns a string into the tokens the index stores and queries
+ * match against. Built-in analyzers:
+ * - `standard` — Unicode-aware: folds diacritics, lowercases, and splits on
+ *   anything that is not a letter or digit
+ * - `whitespace` — lowercases and splits on whitespace only
+ * - `keyword` — the whole trimmed, lowercased value as a single token
+ *
+ * A custom analyzer is a function from text to tokens. Indexes record the
+ * analyzer's name so one built with a different analyzer is not read with
+ * this one; all custom functions share the name `custom`.
+ *
+ * @module domain/services/TextAnalyzer
+ */
+
+/** @typedef {(text: string) => string[]} AnalyzeFn */
+/** @typedef {'standard'|'whitespace'|'keyword'|AnalyzeFn} TextAnalyzerSpec */
+
+/**
+ * @typedef {Object} TextIndexConfig
+ * @property {string[]} fields - Indexed property keys, sorted
+ * @property {TextAnalyzerSpec} analyzer - Analyzer for both documents and queries
+ */
+
+/**
+ * @typedef {Object} TextAnalyzer
+ * @property {string} name - Analyzer name recorded in the index
+ * @property {AnalyzeFn} analyze
+ */
+
+/** @type {Record<string, AnalyzeFn>} */
+const ANALYZERS = {
+  standard: (text) => text
+    .normalize('NFKD')
+    .replace(/\p{M}/gu, '')
+    .toLowerCase()
+    .split(/[^\p{L}\p{N}]+/u)
+    .filter(Boolean),
+  whitespace: (text) => text.toLowerCase().split(/\s+/u).filter(Boolean),
+  keyword: (text) => {
+    const token = text.trim().toLowerCase();
+    return token ? [token] : [];
+  },
+};
+
+/**
+ * Resolves an analyzer spec to a named analyzer.
+ *
+ * @param {TextAnalyzerSpec} spec
+ * @returns {TextAnalyzer}
+ */
+export function createTextAnalyzer(spec) {
+  if (typeof spec === 'function') {
+    return {
+      name: 'custom',
+      analyze: (text) => spec(text).filter((token) => typeof token === 'string' && token.length > 0),
+    };
+  }
+  return { name: spec, analyze: ANALYZERS[spec] };
+}
+
+/**
+ * @param {unknown} analyzer
+ * @returns {boolean} True for a function or the name of a built-in analyzer
+ */
+function isAnalyzerSpec(analyzer) {
+  return typeof analyzer === 'function' || (typeof analyzer === 'string' && Object.hasOwn(ANALYZERS, analyzer));
+}
+
+/**
+ * Validates and normalizes the `textIndex` option of `WarpGraph.open()`.
+ *
+ * @param {{ fields: string[], analyzer?: TextAnalyzerSpec }|null|undefined} options
+ * @returns {TextIndexConfig|null} Normalized config, or null when no text index is configured
+ * @throws {Error} If fields is not a non-empty array of non-empty strings, or analyzer is unknown
+ */
+export function normalizeTextIndexConfig(options) {
+  if (options === undefined || options === null) {
+    return null;
+  }
+  const fields = typeof options === 'object' ? options.fields : undefined;
+  if (!Array.isArray(fields) || fields.length === 0 || !fields.every((field) => typeof field === 'string' && field.length > 0)) {
+    throw new Error('textIndex must be an object with { fields: string[] } of non-empty property keys');
+  }
+  const { analyzer = 'standard' } = options;
+  if (!isAnalyzerSpec(analyzer)) {
+    throw new Error(`textIndex.analyzer must be a function or one of: ${Object.keys(ANALYZERS).join(', ')}`);
+  }
+  return { fields: [...new Set(fields)].sort(), analyzer };
+}
+
+/**
+ * Splits a search query into analyzed terms. A `*` directly after a term
+ * marks it as a prefix (`graph*` matches `graphs` and `graphql`).
+ *
+ * @param {string} text
+ * @param {TextAnalyzer} analyzer
+ * @returns {Array<{ term: string, prefix: boolean }>} Distinct terms in query order
+ */
+export function analyzeQuery(text, analyzer) {
+  /** @type {Map<string, { term: string, prefix: boolean }>} */
+  const terms = new Map();
+  const segments = text.split('*');
+  segments.forEach((segment, i) => {
+    const tokens = analyzer.analyze(segment);
+    const starred = i < segments.length - 1 && segment.length > 0 && !/\s$/u.test(segment);
+    tokens.forEach((term, j) => {
+      const prefix = starred && j === tokens.length - 1;
+      terms.set(`${prefix ? '*' : '='}${term}`, { term, prefix });
+    });
+  });
+  return [...terms.values()];
+}
@@ -0,0 +1,282 @@
+/**
+ * Builds full-text index shards over string properties.
+ *
+ * Tokenizes the configured fields of each node with a TextAnalyzer and
+ * inverts them into postings: for every (field, term) pair, the nodes whose
+ * field holds the term, with the term frequency and the field's length in
+ * tokens — the inputs BM25 ranking needs.
+ *
+ * Produces three shard families:
+ * - `text_meta.cbor` — the analyzer name and, per field, the document count,
+ *   total token count, and sorted term dictionary (used for prefix matching)
+ * - `text_terms_XX.cbor` — postings keyed by the shard key of the term, an
+ *   array of `[field, term, [[nodeId, tf, length], ...]]`
+ * - `text_docs_XX.cbor` — keyed by the shard key of the node ID, the terms
+ *   each node contributed, an array of
+ *   `[nodeId, [[field, length, [[term, tf], ...]], ...]]`
+ *
+ * The per-node records let incremental updates retract exactly what a node
+ * contributed before re-indexing it, without consulting older state.
+ *
+ * @module domain/services/TextIndexBuilder
+ */
+
+import defaultCodec from '../utils/defaultCodec.js';
+import computeShardKey from '../utils/shardKey.js';
+
+/** Path of the shard holding analyzer and per-field statistics. */
+export const TEXT_META_PATH = 'text_meta.cbor';
+
+/** @typedef {{ docCount: number, totalLength: number, terms: string[] }} TextFieldStats */
+/** @typedef {{ analyzer: string, fields: Map<string, TextFieldStats> }} TextMeta */
+/** @typedef {[string, number, number]} Posting - [nodeId, tf, length] */
+/** @typedef {[string, number, Array<[string, number]>]} DocField - [field, length, [[term, tf], ...]] */
+/** @typedef {{ field: string, term: string, postings: Map<string, [number, number]> }} TermEntry */
+/** @typedef {{ docCount: number, totalLength: number, terms: Set<string> }} MutableFieldStats */
+
+/**
+ * @param {string} term
+ * @returns {string} Path of the shard holding the term's postings
+ */
+export function termShardPath(term) {
+  return `text_terms_${computeShardKey(term)}.cbor`;
+}
+
+/**
+ * @param {string} nodeId
+ * @returns {string} Path of the shard holding the node's indexed terms
+ */
+export function docShardPath(nodeId) {
+  return `text_docs_${computeShardKey(nodeId)}.cbor`;
+}
+
+/**
+ * @param {string} a
+ * @param {string} b
+ * @returns {number}
+ */
+function compareStrings(a, b) {
+  return a < b ? -1 : a > b ? 1 : 0;
+}
+
+/**
+ * @param {unknown} decoded
+ * @param {string} path
+ * @returns {unknown[]}
+ */
+function assertArrayShard(decoded, path) {
+  if (!Array.isArray(decoded)) {
+    const shape = decoded === null ? 'null' : typeof decoded;
+    throw new Error(`TextIndex: invalid shard format for ${path} (expected array, got ${shape})`);
+  }
+  return decoded;
+}
+
+/**
+ * Decodes `text_meta.cbor`.
+ *
+ * @param {Uint8Array} buf
+ * @param {import('../../ports/CodecPort.js').default} codec
+ * @returns {TextMeta}
+ */
+export function decodeTextMeta(buf, codec) {
+  const decoded = /** @type {{ analyzer?: unknown, fields?: unknown }|null} */ (codec.decode(buf));
+  if (!decoded || typeof decoded.analyzer !== 'string' || !Array.isArray(decoded.fields)) {
+    throw new Error(`TextIndex: invalid shard format for ${TEXT_META_PATH}`);
+  }
+  /** @type {Map<string, TextFieldStats>} */
+  const fields = new Map();
+  for (const [field, docCount, totalLength, terms] of /** @type {Array<[string, number, number, string[]]>} */ (decoded.fields)) {
+    fields.set(field, { docCount, totalLength, terms });
+  }
+  return { analyzer: decoded.analyzer, fields };
+}
+
+/**
+ * Decodes a `text_terms_XX.cbor` shard, keyed by `field\0term`.
+ *
+ * @param {Uint8Array} buf
+ * @param {import('../../ports/CodecPort.js').default} codec
+ * @returns {Map<string, { field: string, term: string, postings: Posting[] }>}
+ */
+export function decodeTermShard(buf, codec) {
+  /** @type {Map<string, { field: string, term: string, postings: Posting[] }>} */
+  const entries = new Map();
+  for (const [field, term, postings] of /** @type {Array<[string, string, Posting[]]>} */ (assertArrayShard(codec.decode(buf), 'text_terms'))) {
+    entries.set(`${field}\0${term}`, { field, term, postings });
+  }
+  return entries;
+}
+
+/**
+ * Returns whether an index was built for the given fields and analyzer.
+ *
+ * @param {TextMeta|null} meta
+ * @param {{ fields: string[], analyzer: string }} expected
+ * @returns {boolean}
+ */
+export function isTextMetaFor(meta, { fields, analyzer }) {
+  return meta !== null
+    && meta.analyzer === analyzer
+    && meta.fields.size === fields.length
+    && fields.every((field) => meta.fields.has(field));
+}
+
+export default class TextIndexBuilder {
+  /**
+   * @param {{ codec?: import('../../ports/CodecPort.js').default, fields: string[], analyzer: import('./TextAnalyzer.js').TextAnalyzer, loadShard?: (path: string) => Uint8Array|undefined }} options
+   *   `loadShard` reads an existing tree to update; without it the builder starts empty
+   */
+  constructor({ codec, fields, analyzer, loadShard }) {
+    this._codec = codec || defaultCodec;
+    this._fields = fields;
+    this._analyzer = analyzer;
+    this._loadShard = loadShard || (() => undefined);
+    /** @type {Map<string, MutableFieldStats>} */
+    this._stats = new Map();
+    const buf = this._loadShard(TEXT_META_PATH);
+    const meta = buf ? decodeTextMeta(buf, this._codec) : null;
+    for (const field of fields) {
+      const { docCount, totalLength, terms } = meta?.fields.get(field) || { docCount: 0, totalLength: 0, terms: [] };
+      this._stats.set(field, { docCount, totalLength, terms: new Set(terms) });
+    }
+    /** @type {Map<string, Map<string, TermEntry>>} path → (field\0term → entry) */
+    this._termShards = new Map();
+    /** @type {Map<string, Map<string, DocField[]>>} path → (nodeId → fields) */
+    this._docShards = new Map();
+  }
+
+  /**
+   * Indexes a node's string values for the configured fields.
+   * Call removeDocument() first when the node may already be indexed.
+   *
+   * @param {string} nodeId
+   * @param {(field: string) => unknown} getValue - Current value of a property
+   */
+  addDocument(nodeId, getValue) {
+    /** @type {DocField[]} */
+    const doc = [];
+    for (const field of this._fields) {
+      const value = getValue(field);
+      const tokens = typeof value === 'string' ? this._analyzer.analyze(value) : [];
+      if (tokens.length === 0) {
+        continue;
+      }
+      /** @type {Map<string, number>} */
+      const freqs = new Map();
+      for (const token of tokens) {
+        freqs.set(token, (freqs.get(token) ?? 0) + 1);
+      }
+      const stats = /** @type {MutableFieldStats} */ (this._stats.get(field));
+      stats.docCount++;
+      stats.totalLength += tokens.length;
+      for (const [term, tf] of freqs) {
+        this._termEntry(field, term).postings.set(nodeId, [tf, tokens.length]);
+        stats.terms.add(term);
+      }
+      doc.push([field, tokens.length, [...freqs].sort(([a], [b]) => compareStrings(a, b))]);
+    }
+    if (doc.length > 0) {
+      this._docShard(nodeId).set(nodeId, doc);
+    }
+  }
+
+  /**
+   * Retracts everything a node contributed to the index.
+   *
+   * @param {string} nodeId
+   */
+  removeDocument(nodeId) {
+    const shard = this._docShard(nodeId);
+    for (const [field, length, terms] of shard.get(nodeId) || []) {
+      const stats = this._stats.get(field);
+      if (!stats) {
+        continue;
+      }
+      stats.docCount--;
+      stats.totalLength -= length;
+      for (const [term] of terms) {
+        const entry = this._termEntry(field, term);
+        entry.postings.delete(nodeId);
+        if (entry.postings.size === 0) {
+          this._termShards.get(termShardPath(term))?.delete(`${field}\0${term}`);
+          stats.terms.delete(term);
+        }
+      }
+    }
+    shard.delete(nodeId);
+  }
+
+  /**
+   * Serializes the meta shard and every term or document shard that was
+   * loaded or written to.
+   *
+   * @returns {Record<string, Uint8Array>}
+   */
+  serialize() {
+    /** @type {Record<string, Uint8Array>} */
+    const tree = {};
+    const fields = [...this._stats].map(([field, { docCount, totalLength, terms }]) => [field, docCount, totalLength, [...terms].sort(compareStrings)]);
+    tree[TEXT_META_PATH] = this._codec.encode({ analyzer: this._analyzer.name, fields }).slice();
+    for (const [path, shard] of this._termShards) {
+      const entries = [...shard.values()]
+        .sort((a, b) => compareStrings(a.field, b.field) || compareStrings(a.term, b.term))
+        .map(({ field, term, postings }) => [field, term, [...postings]
+          .sort(([a], [b]) => compareStrings(a, b))
+          .map(([nodeId, [tf, length]]) => [nodeId, tf, length])]);
+      tree[path] = this._codec.encode(entries).slice();
+    }
+    for (const [path, shard] of this._docShards) {
+      const docs = [...shard].sort(([a], [b]) => compareStrings(a, b));
+      tree[path] = this._codec.encode(docs).slice();
+    }
+    return tree;
+  }
+
+  /**
+   * @param {string} field
+   * @param {string} term
+   * @returns {TermEntry}
+   * @private
+   */
+  _termEntry(field, term) {
+    const path = termShardPath(term);
+    let shard = this._termShards.get(path);
+    if (!shard) {
+      shard = new Map();
+      const buf = this._loadShard(path);
+      for (const [key, loaded] of buf ? decodeTermShard(buf, this._codec) : []) {
+        shard.set(key, {
+          field: loaded.field,
+          term: loaded.term,
+          postings: new Map(loaded.postings.map(([nodeId, tf, length]) => [nodeId, [tf, length]])),
+        });
+      }
+      this._termShards.set(path, shard);
+    }
+    const key = `${field}\0${term}`;
+    let entry = shard.get(key);
+    if (!entry) {
+      entry = { field, term, postings: new Map() };
+      shard.set(key, entry);
+    }
+    return entry;
+  }
+
+  /**
+   * @param {string} nodeId
+   * @returns {Map<string, DocField[]>}
+   * @private
+   */
+  _docShard(nodeId) {
+    const path = docShardPath(nodeId);
+    let shard = this._docShards.get(path);
+    if (!shard) {
+      const buf = this._loadShard(path);
+      const docs = buf ? /** @type {Array<[string, DocField[]]>} */ (assertArrayShard(this._codec.decode(buf), path)) : [];
+      shard = new Map(docs);
+      this._docShards.set(path, shard);
+    }
+    return shard;
+  }
+}
@@ -0,0 +1,293 @@
+/**
+ * Reads full-text index shards lazily with LRU caching and ranks matches
+ * with BM25.
+ *
+ * Loads `text_meta.cbor` once and `text_terms_XX.cbor` shards on demand via
+ * IndexStoragePort.readBlob. Query text goes through the same analyzer the
+ * index was built with; a term followed by `*` expands to every indexed term
+ * it prefixes, using the sorted term dictionary in the meta shard.
+ *
+ * Scores sum BM25 (k1 = 1.2, b = 0.75) over the searched fields and the
+ * expanded query terms, so a node matching in several fields ranks above
+ * one matching in a single field.
+ *
+ * @module domain/services/TextIndexReader
+ */
+
+import QueryError from '../errors/QueryError.js';
+import defaultCodec from '../utils/defaultCodec.js';
+import LRUCache from '../utils/LRUCache.js';
+import { analyzeQuery, createTextAnalyzer } from './TextAnalyzer.js';
+import {
+  TEXT_META_PATH,
+  decodeTermShard,
+  decodeTextMeta,
+  isTextMetaFor,
+  termShardPath,
+} from './TextIndexBuilder.js';
+
+/** BM25 term-frequency saturation. */
+const K1 = 1.2;
+
+/** BM25 length normalization. */
+const B = 0.75;
+
+/** @typedef {import('./TextIndexBuilder.js').Posting} Posting */
+/** @typedef {import('./TextIndexBuilder.js').TextFieldStats} TextFieldStats */
+
+/**
+ * @typedef {Object} TextSearchOptions
+ * @property {string[]} fields - Fields to search; each must be indexed
+ * @property {'or'|'and'} [match='or'] - Whether a node must hold one query term (`or`) or every one (`and`)
+ * @property {number} [limit] - Maximum number of hits
+ */
+
+/**
+ * @typedef {Object} TextSearch
+ * @property {string} text - Query text
+ * @property {string[]} fields - Fields to search
+ * @property {'or'|'and'} match
+ * @property {number|undefined} limit
+ */
+
+/**
+ * @typedef {Object} TextSearchHit
+ * @property {string} id - Node ID
+ * @property {number} score - BM25 relevance, higher is better
+ */
+
+/**
+ * @param {string} message
+ * @param {Record<string, unknown>} context
+ * @returns {QueryError}
+ */
+function searchTypeError(message, context) {
+  return new QueryError(message, { code: 'E_QUERY_SEARCH_TYPE', context });
+}
+
+/**
+ * Validates the fields of a search against the configured text fields.
+ *
+ * @param {unknown} fields
+ * @param {string[]} indexed - Configured text fields
+ * @returns {string[]}
+ */
+function normalizeSearchFields(fields, indexed) {
+  if (!Array.isArray(fields) || fields.length === 0 || !fields.every((field) => typeof field === 'string')) {
+    throw searchTypeError('search() fields must be a non-empty array of property keys', { fields });
+  }
+  const unindexed = fields.find((field) => !indexed.includes(field));
+  if (unindexed !== undefined) {
+    throw new QueryError(`search() field is not text-indexed: ${unindexed}`, {
+      code: 'E_QUERY_SEARCH_FIELD',
+      context: { field: unindexed, indexed },
+    });
+  }
+  return [...new Set(fields)];
+}
+
+/**
+ * @param {unknown} match
+ * @param {unknown} limit
+ */
+function assertSearchMatch(match, limit) {
+  if (match !== 'or' && match !== 'and') {
+    throw searchTypeError("search() match must be 'or' or 'and'", { match });
+  }
+  if (limit !== undefined && (!Number.isInteger(limit) || /** @type {number} */ (limit) < 0)) {
+    throw searchTypeError('search() limit must be a non-negative integer', { limit });
+  }
+}
+
+/**
+ * Validates the arguments of `graph.search()` and `QueryBuilder.search()`.
+ *
+ * @param {unknown} text - Query text
+ * @param {{ fields?: string[], match?: 'or'|'and', limit?: number }|undefined} options
+ * @param {import('./TextAnalyzer.js').TextIndexConfig|null} config - The graph's text index configuration
+ * @returns {TextSearch}
+ * @throws {QueryError} If text or an option is malformed (code: E_QUERY_SEARCH_TYPE)
+ * @throws {QueryError} If no text index is configured or a field is not indexed (code: E_QUERY_SEARCH_FIELD)
+ */
+export function normalizeTextSearch(text, options, config) {
+  if (typeof text !== 'string') {
+    throw searchTypeError('search() expects a query string', { receivedType: typeof text });
+  }
+  if (options === null || typeof options !== 'object' || Array.isArray(options)) {
+    throw searchTypeError('search() options must be an object', { receivedType: typeof options });
+  }
+  if (!config) {
+    throw new QueryError('search() needs a text index: open the graph with { textIndex: { fields } }', {
+      code: 'E_QUERY_SEARCH_FIELD',
+    });
+  }
+  const { fields = config.fields, match = 'or', limit } = options;
+  assertSearchMatch(match, limit);
+  return { text, fields: normalizeSearchFields(fields, config.fields), match, limit };
+}
+
+/**
+ * Indexed terms a query term matches: itself, or every term it prefixes.
+ *
+ * @param {string[]} dictionary - Sorted terms of a field
+ * @param {{ term: string, prefix: boolean }} query
+ * @returns {string[]}
+ */
+function expandTerm(dictionary, { term, prefix }) {
+  let lo = 0;
+  let hi = dictionary.length;
+  while (lo < hi) {
+    const mid = (lo + hi) >>> 1;
+    if (dictionary[mid] < term) {
+      lo = mid + 1;
+    } else {
+      hi = mid;
+    }
+  }
+  if (!prefix) {
+    return dictionary[lo] === term ? [term] : [];
+  }
+  const matches = [];
+  for (let i = lo; i < dictionary.length && dictionary[i].startsWith(term); i++) {
+    matches.push(dictionary[i]);
+  }
+  return matches;
+}
+
+/**
+ * Scores one posting list into `scores`.
+ *
+ * @param {Posting[]} postings
+ * @param {TextFieldStats} stats
+ * @param {Map<string, number>} scores - Accumulated score per node
+ */
+function scorePostings(postings, { docCount, totalLength }, scores) {
+  const idf = Math.log(1 + (docCount - postings.length + 0.5) / (postings.length + 0.5));
+  const avgLength = totalLength / docCount;
+  for (const [nodeId, tf, length] of postings) {
+    const weight = idf * (tf * (K1 + 1)) / (tf + K1 * (1 - B + B * (length / avgLength)));
+    scores.set(nodeId, (scores.get(nodeId) ?? 0) + weight);
+  }
+}
+
+export default class TextIndexReader {
+  /**
+   * @param {{ storage?: import('../../ports/IndexStoragePort.js').default, codec?: import('../../ports/CodecPort.js').default, config: import('./TextAnalyzer.js').TextIndexConfig, maxCachedShards?: number }} options
+   *   `config` is the text index configuration of the graph reading the index
+   */
+  constructor({ storage, codec, config, maxCachedShards = 64 }) {
+    this._storage = storage;
+    this._codec = codec || defaultCodec;
+    this._fields = config.fields;
+    this._analyzer = createTextAnalyzer(config.analyzer);
+    /** @type {Map<string, string>} path → oid */
+    this._shardOids = new Map();
+    /** @type {LRUCache<string, Map<string, { postings: Posting[] }>>} */
+    this._cache = new LRUCache(maxCachedShards);
+    /** @type {Promise<import('./TextIndexBuilder.js').TextMeta|null>|null} */
+    this._meta = null;
+  }
+
+  /**
+   * Configures OID mappings for lazy loading.
+   *
+   * @param {Record<string, string>} shardOids - path → blob OID
+   */
+  setup(shardOids) {
+    this._shardOids = new Map(Object.entries(shardOids));
+    this._cache.clear();
+    this._meta = null;
+  }
+
+  /**
+   * Returns whether the index was built for this reader's fields and
+   * analyzer. Indexes restored from a checkpoint or seek cache written
+   * under a different configuration are not.
+   *
+   * @returns {Promise<boolean>}
+   */
+  async isCurrent() {
+    return isTextMetaFor(await this._loadMeta(), { fields: this._fields, analyzer: this._analyzer.name });
+  }
+
+  /**
+   * Finds the nodes matching a text query, best first.
+   *
+   * @param {string} text - Query text
+   * @param {TextSearchOptions} options
+   * @returns {Promise<TextSearchHit[]>} Hits sorted by score (descending), then node ID
+   */
+  async search(text, { fields, match = 'or', limit = Infinity }) {
+    const meta = await this._loadMeta();
+    const terms = analyzeQuery(text, this._analyzer);
+    /** @type {Map<string, number>} */
+    const scores = new Map();
+    /** @type {Set<string>[]} nodes matching each query term */
+    const matched = terms.map(() => new Set());
+    for (const field of fields) {
+      const stats = meta?.fields.get(field);
+      if (!stats || stats.docCount === 0) {
+        continue;
+      }
+      for (const [i, query] of terms.entries()) {
+        for (const term of expandTerm(stats.terms, query)) {
+          const postings = await this._postings(field, term);
+          scorePostings(postings, stats, scores);
+          postings.forEach(([nodeId]) => matched[i].add(nodeId));
+        }
+      }
+    }
+    const ids = match === 'and'
+      ? [...scores.keys()].filter((id) => matched.every((set) => set.has(id)))
+      : [...scores.keys()];
+    return ids
+      .map((id) => ({ id, score: /** @type {number} */ (scores.get(id)) }))
+      .sort((a, b) => b.score - a.score || (a.id < b.id ? -1 : a.id > b.id ? 1 : 0))
+      .slice(0, limit);
+  }
+
+  /**
+   * @returns {Promise<import('./TextIndexBuilder.js').TextMeta|null>}
+   * @private
+   */
+  _loadMeta() {
+    if (!this._meta) {
+      this._meta = this._readBlob(TEXT_META_PATH).then((buf) => (buf ? decodeTextMeta(buf, this._codec) : null));
+    }
+    return this._meta;
+  }
+
+  /**
+   * @param {string} field
+   * @param {string} term
+   * @returns {Promise<Posting[]>}
+   * @private
+   */
+  async _postings(field, term) {
+    const path = termShardPath(term);
+    let shard = this._cache.get(path);
+    if (shard === undefined) {
+      const buf = await this._readBlob(path);
+      shard = buf ? decodeTermShard(buf, this._codec) : new Map();
+      this._cache.set(path, shard);
+    }
+    return shard.get(`${field}\0${term}`)?.postings ?? [];
+  }
+
+  /**
+   * @param {string} path
+   * @returns {Promise<Uint8Array|null>} Shard bytes, or null if the tree has no such shard
+   * @private
+   */
+  async _readBlob(path) {
+    const oid = this._shardOids.get(path);
+    if (!oid || !this._storage) {
+      return null;
+    }
+    const buffer = await /** @type {{ readBlob(oid: string): Promise<Uint8Array|undefined|null> }} */ (this._storage).readBlob(oid);
+    if (buffer === null || buffer === undefined) {
+      throw new Error(`TextIndexReader: missing blob for OID '${oid}' (${path})`);
+    }
+    return buffer;
+  }
+}
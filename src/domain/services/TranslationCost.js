@@ -14,10 +14,12 @@
  */
 
 import { orsetElements, orsetContains } from '../crdt/ORSet.js';
-import { decodeEdgeKey, decodePropKey, isEdgePropKey } from './KeyCodec.js';
+import { decodeEdgeKey, decodePropKey, encodePropKey, isEdgePropKey } from './KeyCodec.js';
 import { matchGlob } from '../utils/matchGlob.js';
+import { compileNodePredicate } from './NodePredicate.js';
 
 /** @typedef {import('./JoinReducer.js').WarpStateV5} WarpStateV5 */
+/** @typedef {{ match: string|string[], where?: import('./NodePredicate.js').NodePredicateSpec, expose?: string[], redact?: string[] }} ObserverConfig */
 
 /**
  * Computes the set of property keys visible under an observer config.
@@ -65,6 +67,31 @@ function collectNodePropKeys(state, nodeId) {
   return props;
 }
 
+/**
+ * Lists the nodes an observer config admits: those matching its pattern
+ * and, when it has one, its `where` predicate over the exposed properties.
+ *
+ * @param {string[]} allNodes - Live node IDs
+ * @param {ObserverConfig} config
+ * @param {WarpStateV5} state
+ * @returns {string[]}
+ */
+function visibleNodes(allNodes, config, state) {
+  const matched = allNodes.filter((id) => matchGlob(config.match, id));
+  if (config.where === undefined) {
+    return matched;
+  }
+  const where = compileNodePredicate(config.where);
+  return matched.filter((id) => {
+    /** @type {Record<string, unknown>} */
+    const props = {};
+    for (const key of visiblePropKeys(collectNodePropKeys(state, id), config.expose, config.redact)) {
+      props[key] = state.prop.get(encodePropKey(id, key))?.value;
+    }
+    return where({ id, props });
+  });
+}
+
 // Weights for MDL cost components
 const NODE_WEIGHT = 0.5;
 const EDGE_WEIGHT = 0.3;
@@ -169,10 +196,11 @@ function computePropLoss(state, { nodesA, nodesBSet, configA, configB }) {
  * The cost measures how much information is lost when translating from
  * A's view to B's view. It is asymmetric: cost(A->B) != cost(B->A) in general.
  *
- * @param {{ match: string|string[], expose?: string[], redact?: string[] }} configA - Observer configuration for A
- * @param {{ match: string|string[], expose?: string[], redact?: string[] }} configB - Observer configuration for B
+ * @param {ObserverConfig} configA - Observer configuration for A
+ * @param {ObserverConfig} configB - Observer configuration for B
  * @param {WarpStateV5} state - WarpStateV5 materialized state
  * @returns {{ cost: number, breakdown: { nodeLoss: number, edgeLoss: number, propLoss: number } }}
+ * @throws {import('../errors/QueryError.js').default} If a `where` predicate is malformed (code: E_QUERY_PREDICATE)
  */
 export function computeTranslationCost(configA, configB, state) {
   /** @param {unknown} m */
@@ -182,14 +210,14 @@ export function computeTranslationCost(configA, configB, state) {
     throw new Error('configA.match and configB.match must be non-empty strings or non-empty arrays of strings');
   }
   const allNodes = [...orsetElements(state.nodeAlive)];
-  const nodesA = allNodes.filter((id) => matchGlob(configA.match, id));
+  const nodesA = visibleNodes(allNodes, configA, state);
 
   if (nodesA.length === 0) {
     return zeroCost();
   }
 
   const nodesASet = new Set(nodesA);
-  const nodesBSet = new Set(allNodes.filter((id) => matchGlob(configB.match, id)));
+  const nodesBSet = new Set(visibleNodes(allNodes, configB, state));
 
   const nodeLoss = countMissing(nodesA, nodesBSet) / Math.max(nodesA.length, 1);
   const edgeLoss = computeEdgeLoss(state, nodesASet, nodesBSet);
@@ -0,0 +1,56 @@
+/**
+ * ViewNeighbors - Neighbor lookups against a materialized view.
+ *
+ * Reads from the view's `BitmapNeighborProvider` — the logical index's
+ * per-label bitmaps — when the index was built for the state being
+ * queried, and from the in-memory adjacency maps otherwise. An index read
+ * failure switches the lookup to the adjacency maps for the rest of its
+ * life, the same fallback `graph.neighbors()` makes per call.
+ *
+ * @module domain/services/ViewNeighbors
+ */
+
+import AdjacencyNeighborProvider from './AdjacencyNeighborProvider.js';
+
+/**
+ * @typedef {Object} MaterializedView
+ * @property {string} stateHash - Hash of the materialized state
+ * @property {import('./QueryBuilder.js').AdjacencyMaps} adjacency - In-memory adjacency maps
+ * @property {import('../../ports/NeighborProviderPort.js').default} [provider] - Bitmap provider attached by the index build
+ */
+
+/**
+ * @typedef {(nodeId: string, direction: 'out'|'in', labels?: Set<string>) => Promise<import('../../ports/NeighborProviderPort.js').NeighborEdge[]>} ViewNeighborLookup
+ */
+
+/**
+ * Creates a neighbor lookup for a materialized view.
+ *
+ * @param {{ _cachedViewHash?: string|null, _indexDegraded?: boolean }} graph - The graph the view belongs to
+ * @param {MaterializedView} view
+ * @param {Iterable<string>} aliveNodes - Every node in the view, for the adjacency fallback
+ * @returns {ViewNeighborLookup}
+ */
+export function createViewNeighbors(graph, { stateHash, adjacency, provider }, aliveNodes) {
+  /** @type {import('../../ports/NeighborProviderPort.js').default|null} */
+  let indexed = provider && !graph._indexDegraded && graph._cachedViewHash === stateHash ? provider : null;
+  /** @type {import('../../ports/NeighborProviderPort.js').default|null} */
+  let scan = null;
+
+  return async (nodeId, direction, labels) => {
+    const options = labels ? { labels } : undefined;
+    if (indexed) {
+      try {
+        return await indexed.getNeighbors(nodeId, direction, options);
+      } catch {
+        indexed = null;
+      }
+    }
+    scan ??= new AdjacencyNeighborProvider({
+      outgoing: adjacency.outgoing,
+      incoming: adjacency.incoming,
+      aliveNodes: new Set(aliveNodes),
+    });
+    return await scan.getNeighbors(nodeId, direction, options);
+  };
+}
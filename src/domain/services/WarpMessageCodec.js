@@ -29,6 +29,8 @@ export {
   assertOpsCompatible,
   SCHEMA_V2,
   SCHEMA_V3,
+  SCHEMA_V4,
   PATCH_SCHEMA_V2,
   PATCH_SCHEMA_V3,
+  PATCH_SCHEMA_V4,
 } from './MessageSchemaDetector.js';
@@ -7,6 +7,7 @@
  * - Sends materialized state on `open` requests
  * - Forwards graph diffs to subscribed clients in real-time
  * - Applies mutations (addNode, removeNode, addEdge, etc.) from clients
+ * - Keeps live queries current, pushing result deltas as the graph changes
  * - Supports time-travel (seek) and node inspection
  *
  * @module domain/services/WarpServeService
@@ -112,6 +113,7 @@ function validateMutateArgs(op, args) {
  * @typedef {Object} ClientSession
  * @property {WsConnection} conn
  * @property {Set<string>} openGraphs - Graph names this client has opened
+ * @property {Map<string, { unsubscribe: () => void }>} liveQueries - Live queries by the ID of the request that started them
  */
 
 /**
@@ -221,6 +223,18 @@ function errorEnvelope(code, message, id) {
   return envelope('error', { code, message }, id);
 }
 
+/**
+ * Stops every live query a client started.
+ *
+ * @param {ClientSession} session
+ */
+function stopLiveQueries(session) {
+  for (const [, live] of session.liveQueries) {
+    live.unsubscribe();
+  }
+  session.liveQueries.clear();
+}
+
 /**
  * Validates payload graph name and resolves the graph object.
  * Sends an error envelope and returns null on failure.
@@ -334,6 +348,7 @@ export default class WarpServeService {
     this._subscriptions.clear();
 
     for (const client of this._clients) {
+      stopLiveQueries(client);
       try {
         client.conn.close();
       } catch {
@@ -359,6 +374,7 @@ export default class WarpServeService {
     const session = {
       conn,
       openGraphs: new Set(),
+      liveQueries: new Map(),
     };
     this._clients.add(session);
 
@@ -387,7 +403,10 @@ export default class WarpServeService {
         ));
       });
     });
-    conn.onClose(() => this._clients.delete(session));
+    conn.onClose(() => {
+      stopLiveQueries(session);
+      this._clients.delete(session);
+    });
   }
 
   /**
@@ -442,6 +461,12 @@ export default class WarpServeService {
       case 'seek':
         await this._handleSeek(session, msg);
         break;
+      case 'live':
+        await this._handleLive(session, msg);
+        break;
+      case 'unlive':
+        this._handleUnlive(session, msg);
+        break;
       default:
         session.conn.send(errorEnvelope(
           'E_UNKNOWN_TYPE',
@@ -630,6 +655,84 @@ export default class WarpServeService {
     }
   }
 
+  /**
+   * Handle 'live' — client starts a live query, written in the
+   * `graph.queryText()` language. The first result and every later change
+   * to it arrive as 'live' messages carrying the request's ID, which also
+   * names the query for 'unlive'.
+   *
+   * @param {ClientSession} session
+   * @param {Envelope} msg
+   * @private
+   */
+  async _handleLive(session, msg) {
+    const query = /** @type {Record<string, unknown>} */ (msg.payload)?.query;
+    if (typeof msg.id !== 'string' || msg.id.length === 0) {
+      session.conn.send(errorEnvelope('E_INVALID_PAYLOAD', 'live: id must be a non-empty string'));
+      return;
+    }
+    if (typeof query !== 'string' || query.length === 0) {
+      session.conn.send(errorEnvelope('E_INVALID_PAYLOAD', 'live: query must be a non-empty string', msg.id));
+      return;
+    }
+    const { id } = msg;
+    if (session.liveQueries.has(id)) {
+      session.conn.send(errorEnvelope('E_INVALID_PAYLOAD', `live: a live query with id ${id} is already running`, id));
+      return;
+    }
+
+    const resolved = resolveGraph(session, msg, { graphs: this._graphs });
+    if (!resolved) { return; }
+    const { graphName, graph } = resolved;
+
+    // Reserve the ID while the first result is computed
+    const pending = { unsubscribe: () => {} };
+    session.liveQueries.set(id, pending);
+    try {
+      const live = await graph.queryText(query).live({
+        onResult: (delta) => session.conn.send(envelope('live', { graph: graphName, ...delta }, id)),
+        onError: (err) => session.conn.send(errorEnvelope(
+          'E_LIVE_FAILED',
+          err instanceof Error ? err.message : 'Live query failed',
+          id,
+        )),
+      });
+      if (session.liveQueries.get(id) === pending) {
+        session.liveQueries.set(id, live);
+      } else {
+        // Stopped (unlive or disconnect) before the first result arrived
+        live.unsubscribe();
+      }
+    } catch (err) {
+      if (session.liveQueries.get(id) === pending) {
+        session.liveQueries.delete(id);
+      }
+      session.conn.send(errorEnvelope(
+        'E_LIVE_FAILED',
+        err instanceof Error ? err.message : 'Live query failed',
+        id,
+      ));
+    }
+  }
+
+  /**
+   * Handle 'unlive' — client stops a live query it started.
+   *
+   * @param {ClientSession} session
+   * @param {Envelope} msg
+   * @private
+   */
+  _handleUnlive(session, msg) {
+    const liveId = /** @type {Record<string, unknown>} */ (msg.payload)?.live;
+    if (typeof liveId !== 'string' || !session.liveQueries.has(liveId)) {
+      session.conn.send(errorEnvelope('E_UNKNOWN_LIVE', `unlive: no live query with id ${String(liveId)}`, msg.id));
+      return;
+    }
+    /** @type {{ unsubscribe: () => void }} */ (session.liveQueries.get(liveId)).unsubscribe();
+    session.liveQueries.delete(liveId);
+    session.conn.send(envelope('ack', { live: liveId }, msg.id));
+  }
+
   /**
    * Broadcast a diff to all clients subscribed to the given graph.
    *
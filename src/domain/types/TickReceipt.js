@@ -27,6 +27,13 @@ export const OP_TYPES = Object.freeze([
   'PropSet',
   'NodePropSet',
   'EdgePropSet',
+  'PropIncrement',
+  'SetAdd',
+  'SetTombstone',
+  'SeqInsert',
+  'SeqTombstone',
+  'SeqMove',
+  'NodeMerge',
   'BlobValue',
 ]);
 
@@ -82,9 +89,10 @@ function validateOp(op, index) {
 /**
  * Validates that an operation type is one of the allowed OP_TYPES.
  *
- * Valid operation types correspond to the eight receipt operation types:
+ * Valid operation types correspond to the fifteen receipt operation types:
  * NodeAdd, NodeTombstone, EdgeAdd, EdgeTombstone, PropSet, NodePropSet,
- * EdgePropSet, and BlobValue.
+ * EdgePropSet, PropIncrement, SetAdd, SetTombstone, SeqInsert, SeqTombstone,
+ * SeqMove, NodeMerge, and BlobValue.
  *
  * @param {unknown} value - The operation type to validate
  * @param {number} i - Index of the operation in the ops array (for error messages)
@@ -158,7 +166,7 @@ function validateOpResult(value, i) {
 
 /**
  * @typedef {Object} OpOutcome
- * @property {string} op - Operation type ('NodeAdd' | 'NodeTombstone' | 'EdgeAdd' | 'EdgeTombstone' | 'PropSet' | 'NodePropSet' | 'EdgePropSet' | 'BlobValue')
+ * @property {string} op - Operation type ('NodeAdd' | 'NodeTombstone' | 'EdgeAdd' | 'EdgeTombstone' | 'PropSet' | 'NodePropSet' | 'EdgePropSet' | 'PropIncrement' | 'SetAdd' | 'SetTombstone' | 'SeqInsert' | 'SeqTombstone' | 'SeqMove' | 'NodeMerge' | 'BlobValue')
  * @property {string} target - Node ID or edge key
  * @property {'applied' | 'superseded' | 'redundant'} result - Outcome of the operation
  * @property {string} [reason] - Human-readable explanation (e.g., "LWW: writer bob at lamport 43 wins")
@@ -108,6 +108,105 @@
  * @property {unknown} value - Property value (any JSON-serializable type)
  */
 
+/**
+ * Counter increment operation - adds a signed delta to a PN-Counter property.
+ * Concurrent increments from different writers accumulate instead of
+ * overwriting each other (see {@link module:crdt/PNCounter}).
+ *
+ * Raw and canonical forms are identical.
+ *
+ * @typedef {Object} OpV2PropIncrement
+ * @property {'PropIncrement'} type - Operation type discriminator
+ * @property {NodeId} node - Node ID owning the counter
+ * @property {string} key - Property key
+ * @property {number} delta - Safe integer delta (negative to decrement)
+ */
+
+/**
+ * Set element add operation - adds a string element to an OR-Set valued
+ * property. Targets a node property (`node`) or an edge property
+ * (`from`/`to`/`label`). Each add carries its own dot, so concurrent adds of
+ * different elements all survive (see {@link module:crdt/SetProperty}).
+ *
+ * Raw and canonical forms are identical.
+ *
+ * @typedef {Object} OpV2SetAdd
+ * @property {'SetAdd'} type - Operation type discriminator
+ * @property {NodeId} [node] - Node ID owning the property (node target)
+ * @property {NodeId} [from] - Source node ID (edge target)
+ * @property {NodeId} [to] - Target node ID (edge target)
+ * @property {string} [label] - Edge label (edge target)
+ * @property {string} key - Property key
+ * @property {string} element - Element to add
+ * @property {Dot} dot - Causal identifier for this add
+ */
+
+/**
+ * Set element remove operation - tombstones the observed dots of an element
+ * in an OR-Set valued property. Same targeting rules as {@link OpV2SetAdd}.
+ *
+ * @typedef {Object} OpV2SetRemove
+ * @property {'SetRemove'} type - Operation type discriminator
+ * @property {NodeId} [node] - Node ID owning the property (node target)
+ * @property {NodeId} [from] - Source node ID (edge target)
+ * @property {NodeId} [to] - Target node ID (edge target)
+ * @property {string} [label] - Edge label (edge target)
+ * @property {string} key - Property key
+ * @property {string} element - Element to remove
+ * @property {string[]} observedDots - Encoded dot strings being removed (add events observed)
+ */
+
+/**
+ * Sequence insert operation - inserts a value into an ordered-list property
+ * in a new slot after `origin` (see {@link module:crdt/SequenceProperty}).
+ * The item's ID is the encoded `dot`.
+ *
+ * Raw and canonical forms are identical (as for all Seq* ops).
+ *
+ * @typedef {Object} OpV2SeqInsert
+ * @property {'SeqInsert'} type - Operation type discriminator
+ * @property {NodeId} node - Node ID owning the property
+ * @property {string} key - Property key
+ * @property {unknown} value - Value to insert (must be JSON-serializable)
+ * @property {string|null} origin - Encoded slot to insert after, or null for the head
+ * @property {Dot} dot - Causal identifier for the new slot and item
+ */
+
+/**
+ * Sequence remove operation - removes an item from an ordered-list property.
+ *
+ * @typedef {Object} OpV2SeqRemove
+ * @property {'SeqRemove'} type - Operation type discriminator
+ * @property {NodeId} node - Node ID owning the property
+ * @property {string} key - Property key
+ * @property {string} item - ID of the item to remove
+ */
+
+/**
+ * Sequence move operation - moves an item into a new slot after `origin`.
+ * Concurrent moves of the same item resolve by EventId.
+ *
+ * @typedef {Object} OpV2SeqMove
+ * @property {'SeqMove'} type - Operation type discriminator
+ * @property {NodeId} node - Node ID owning the property
+ * @property {string} key - Property key
+ * @property {string} item - ID of the item to move
+ * @property {string|null} origin - Encoded slot to move after, or null for the head
+ * @property {Dot} dot - Causal identifier for the new slot
+ */
+
+/**
+ * Node merge operation - records that `node` has been merged into `into`.
+ * Reads resolve `node` to `into` and fold its edges and properties into the
+ * survivor (see {@link module:domain/services/NodeAliases}). Concurrent
+ * merges of the same node resolve by EventId.
+ *
+ * @typedef {Object} OpV2NodeMerge
+ * @property {'NodeMerge'} type - Operation type discriminator
+ * @property {NodeId} node - ID of the absorbed node
+ * @property {NodeId} into - ID of the surviving node
+ */
+
 /**
  * Blob value reference operation.
  * @typedef {Object} OpV2BlobValue
@@ -118,13 +217,13 @@
 
 /**
  * Union of all raw (persisted) v2 operation types.
- * @typedef {OpV2NodeAdd | OpV2NodeRemove | OpV2EdgeAdd | OpV2EdgeRemove | OpV2PropSet | OpV2BlobValue} RawOpV2
+ * @typedef {OpV2NodeAdd | OpV2NodeRemove | OpV2EdgeAdd | OpV2EdgeRemove | OpV2PropSet | OpV2PropIncrement | OpV2SetAdd | OpV2SetRemove | OpV2SeqInsert | OpV2SeqRemove | OpV2SeqMove | OpV2NodeMerge | OpV2BlobValue} RawOpV2
  */
 
 /**
  * Union of all canonical (internal) v2 operation types.
  * Reducers, provenance, receipts, and queries operate on canonical ops only.
- * @typedef {OpV2NodeAdd | OpV2NodeRemove | OpV2EdgeAdd | OpV2EdgeRemove | OpV2NodePropSet | OpV2EdgePropSet | OpV2BlobValue} CanonicalOpV2
+ * @typedef {OpV2NodeAdd | OpV2NodeRemove | OpV2EdgeAdd | OpV2EdgeRemove | OpV2NodePropSet | OpV2EdgePropSet | OpV2PropIncrement | OpV2SetAdd | OpV2SetRemove | OpV2SeqInsert | OpV2SeqRemove | OpV2SeqMove | OpV2NodeMerge | OpV2BlobValue} CanonicalOpV2
  */
 
 /**
@@ -141,7 +240,7 @@
 /**
  * PatchV2 - A batch of ordered operations from a single writer
  * @typedef {Object} PatchV2
- * @property {2|3} schema - Schema version (2 for node-only, 3 for edge properties)
+ * @property {2|3|4} schema - Schema version (2 for node-only, 3 for edge properties, 4 for CRDT property ops and node merges)
  * @property {string} writer - Writer ID (identifies the source of the patch)
  * @property {number} lamport - Lamport timestamp for ordering
  * @property {VersionVector} context - Writer's observed frontier (NOT global stability)
@@ -235,13 +334,123 @@ export function createEdgePropSetV2(from, to, label, key, value) {
   return { type: 'EdgePropSet', from, to, label, key, value };
 }
 
+/**
+ * Creates a PropIncrement operation (raw and canonical form are identical).
+ * @param {NodeId} node - Node ID owning the counter
+ * @param {string} key - Property key
+ * @param {number} delta - Safe integer delta (negative to decrement)
+ * @returns {OpV2PropIncrement} PropIncrement operation
+ */
+export function createPropIncrementV2(node, key, delta) {
+  return { type: 'PropIncrement', node, key, delta };
+}
+
+/**
+ * Creates a SetAdd operation targeting a node property.
+ * @param {NodeId} node - Node ID owning the property
+ * @param {string} key - Property key
+ * @param {string} element - Element to add
+ * @param {Dot} dot - Causal identifier for this add
+ * @returns {OpV2SetAdd} SetAdd operation
+ */
+export function createNodeSetAddV2(node, key, element, dot) {
+  return { type: 'SetAdd', node, key, element, dot };
+}
+
+/**
+ * Creates a SetAdd operation targeting an edge property.
+ * @param {NodeId} from - Source node ID
+ * @param {NodeId} to - Target node ID
+ * @param {string} label - Edge label
+ * @param {string} key - Property key
+ * @param {string} element - Element to add
+ * @param {Dot} dot - Causal identifier for this add
+ * @returns {OpV2SetAdd} SetAdd operation
+ */
+export function createEdgeSetAddV2(from, to, label, key, element, dot) {
+  return { type: 'SetAdd', from, to, label, key, element, dot };
+}
+
+/**
+ * Creates a SetRemove operation targeting a node property.
+ * @param {NodeId} node - Node ID owning the property
+ * @param {string} key - Property key
+ * @param {string} element - Element to remove
+ * @param {string[]} observedDots - Encoded dot strings being removed
+ * @returns {OpV2SetRemove} SetRemove operation
+ */
+export function createNodeSetRemoveV2(node, key, element, observedDots) {
+  return { type: 'SetRemove', node, key, element, observedDots };
+}
+
+/**
+ * Creates a SetRemove operation targeting an edge property.
+ * @param {NodeId} from - Source node ID
+ * @param {NodeId} to - Target node ID
+ * @param {string} label - Edge label
+ * @param {string} key - Property key
+ * @param {string} element - Element to remove
+ * @param {string[]} observedDots - Encoded dot strings being removed
+ * @returns {OpV2SetRemove} SetRemove operation
+ */
+export function createEdgeSetRemoveV2(from, to, label, key, element, observedDots) {
+  return { type: 'SetRemove', from, to, label, key, element, observedDots };
+}
+
+/**
+ * Creates a SeqInsert operation.
+ * @param {NodeId} node - Node ID owning the property
+ * @param {string} key - Property key
+ * @param {unknown} value - Value to insert
+ * @param {string|null} origin - Encoded slot to insert after, or null for the head
+ * @param {Dot} dot - Causal identifier for the new slot and item
+ * @returns {OpV2SeqInsert} SeqInsert operation
+ */
+export function createSeqInsertV2(node, key, value, origin, dot) {
+  return { type: 'SeqInsert', node, key, value, origin, dot };
+}
+
+/**
+ * Creates a SeqRemove operation.
+ * @param {NodeId} node - Node ID owning the property
+ * @param {string} key - Property key
+ * @param {string} item - ID of the item to remove
+ * @returns {OpV2SeqRemove} SeqRemove operation
+ */
+export function createSeqRemoveV2(node, key, item) {
+  return { type: 'SeqRemove', node, key, item };
+}
+
+/**
+ * Creates a SeqMove operation.
+ * @param {NodeId} node - Node ID owning the property
+ * @param {string} key - Property key
+ * @param {string} item - ID of the item to move
+ * @param {string|null} origin - Encoded slot to move after, or null for the head
+ * @param {Dot} dot - Causal identifier for the new slot
+ * @returns {OpV2SeqMove} SeqMove operation
+ */
+export function createSeqMoveV2(node, key, item, origin, dot) {
+  return { type: 'SeqMove', node, key, item, origin, dot };
+}
+
+/**
+ * Creates a NodeMerge operation.
+ * @param {NodeId} node - ID of the absorbed node
+ * @param {NodeId} into - ID of the surviving node
+ * @returns {OpV2NodeMerge} NodeMerge operation
+ */
+export function createNodeMergeV2(node, into) {
+  return { type: 'NodeMerge', node, into };
+}
+
 // ============================================================================
 // Factory Functions - Patch
 // ============================================================================
 
 /**
  * Creates a PatchV2
- * @param {{ schema?: 2|3, writer: string, lamport: number, context: VersionVector, ops: OpV2[], reads?: string[], writes?: string[] }} options - Patch options
+ * @param {{ schema?: 2|3|4, writer: string, lamport: number, context: VersionVector, ops: OpV2[], reads?: string[], writes?: string[] }} options - Patch options
  * @returns {PatchV2} PatchV2 object
  */
 export function createPatchV2({ schema = 2, writer, lamport, context, ops, reads, writes }) {
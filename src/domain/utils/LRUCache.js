@@ -22,6 +22,10 @@ class LRUCache {
     this.maxSize = maxSize;
     /** @type {Map<K, V>} */
     this._cache = new Map();
+    /** @type {number} Number of get() calls that found their key */
+    this.hits = 0;
+    /** @type {number} Number of get() calls that did not */
+    this.misses = 0;
   }
 
   /**
@@ -32,8 +36,10 @@ class LRUCache {
    */
   get(key) {
     if (!this._cache.has(key)) {
+      this.misses++;
       return undefined;
     }
+    this.hits++;
     // Delete-reinsert maintains insertion order in the underlying Map, which
     // serves as the LRU eviction order. This is O(1) amortized in V8's Map
     // implementation despite appearing wasteful (2x Map ops per get).
@@ -0,0 +1,24 @@
+/**
+ * Mulberry32 PRNG — deterministic 32-bit generator from a seed.
+ *
+ * mulberry32 is a fast 32-bit PRNG by Tommy Ettinger. The magic constants
+ * (0x6D2B79F5, shifts 15/13/16) are part of the published algorithm.
+ * See: https://gist.github.com/tommyettinger/46a874533244883189143505d203312c
+ *
+ * @module domain/utils/mulberry32
+ */
+
+/**
+ * Creates a seeded generator. The same seed always yields the same sequence.
+ *
+ * @param {number} seed
+ * @returns {() => number} Returns values in [0, 1)
+ */
+export function mulberry32(seed) {
+  let t = (seed | 0) + 0x6D2B79F5;
+  return () => {
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
@@ -5,12 +5,15 @@
  * where frontierHash = hex SHA-256 of sorted writerId:tipSha pairs.
  *
  * The `v1` prefix ensures future schema/codec changes produce distinct keys
- * without needing to flush existing caches.
+ * without needing to flush existing caches. Graphs with merge policies fold
+ * the policy descriptor into the hash, since the same patches materialize
+ * differently under different policies.
  *
  * @module domain/utils/seekCacheKey
  */
 
 import defaultCrypto from './defaultCrypto.js';
+import { canonicalStringify } from './canonicalStringify.js';
 
 const KEY_VERSION = 'v1';
 
@@ -23,13 +26,17 @@ const KEY_VERSION = 'v1';
  *
  * @param {number} ceiling - Lamport ceiling tick
  * @param {Map<string, string>} frontier - Map of writerId → tip SHA
+ * @param {{describe(): unknown}|null} [mergePolicies] - The graph's merge policy registry, if any
  * @returns {Promise<string>} Cache key, e.g. `v1:t42-a1b2c3d4...` (32+ hex chars in hash)
  */
-export async function buildSeekCacheKey(ceiling, frontier) {
+export async function buildSeekCacheKey(ceiling, frontier, mergePolicies) {
   const sorted = [...frontier.entries()].sort((a, b) =>
     a[0] < b[0] ? -1 : a[0] > b[0] ? 1 : 0
   );
-  const payload = sorted.map(([w, sha]) => `${w}:${sha}`).join('\n');
+  let payload = sorted.map(([w, sha]) => `${w}:${sha}`).join('\n');
+  if (mergePolicies) {
+    payload += `\npolicies:${canonicalStringify(mergePolicies.describe())}`;
+  }
   const hash = await defaultCrypto.hash('sha256', payload);
   return `${KEY_VERSION}:t${ceiling}-${hash}`;
 }
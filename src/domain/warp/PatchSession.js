@@ -10,6 +10,8 @@
  */
 
 import WriterError from '../errors/WriterError.js';
+import SchemaViolationError from '../errors/SchemaViolationError.js';
+import PreconditionError from '../errors/PreconditionError.js';
 import { buildWriterRef } from '../utils/RefLayout.js';
 
 /**
@@ -125,6 +127,21 @@ export class PatchSession {
     return this;
   }
 
+  /**
+   * Adds a delta to a PN-Counter property on a node.
+   *
+   * @param {string} nodeId - The node ID
+   * @param {string} key - Property key
+   * @param {number} [delta=1] - Safe integer delta (negative to decrement)
+   * @returns {this} This session for chaining
+   * @throws {WriterError} SESSION_COMMITTED if already committed
+   */
+  incrementProperty(nodeId, key, delta = 1) {
+    this._ensureNotCommitted();
+    this._builder.incrementProperty(nodeId, key, delta);
+    return this;
+  }
+
   /**
    * Sets a property on an edge.
    *
@@ -143,6 +160,195 @@ export class PatchSession {
     return this;
   }
 
+  /**
+   * Adds an element to an OR-Set valued property on a node.
+   *
+   * @param {string} nodeId - The node ID
+   * @param {string} key - Property key
+   * @param {string} element - Element to add
+   * @returns {this} This session for chaining
+   * @throws {WriterError} SESSION_COMMITTED if already committed
+   */
+  addToSet(nodeId, key, element) {
+    this._ensureNotCommitted();
+    this._builder.addToSet(nodeId, key, element);
+    return this;
+  }
+
+  /**
+   * Removes an element from an OR-Set valued property on a node.
+   *
+   * @param {string} nodeId - The node ID
+   * @param {string} key - Property key
+   * @param {string} element - Element to remove
+   * @returns {this} This session for chaining
+   * @throws {WriterError} SESSION_COMMITTED if already committed
+   */
+  removeFromSet(nodeId, key, element) {
+    this._ensureNotCommitted();
+    this._builder.removeFromSet(nodeId, key, element);
+    return this;
+  }
+
+  /**
+   * Adds an element to an OR-Set valued property on an edge.
+   *
+   * @param {string} from - Source node ID
+   * @param {string} to - Target node ID
+   * @param {string} label - Edge label/type
+   * @param {string} key - Property key
+   * @param {string} element - Element to add
+   * @returns {this} This session for chaining
+   * @throws {WriterError} SESSION_COMMITTED if already committed
+   */
+  // eslint-disable-next-line max-params -- direct delegate matching PatchBuilderV2 signature
+  addToEdgeSet(from, to, label, key, element) {
+    this._ensureNotCommitted();
+    this._builder.addToEdgeSet(from, to, label, key, element);
+    return this;
+  }
+
+  /**
+   * Removes an element from an OR-Set valued property on an edge.
+   *
+   * @param {string} from - Source node ID
+   * @param {string} to - Target node ID
+   * @param {string} label - Edge label/type
+   * @param {string} key - Property key
+   * @param {string} element - Element to remove
+   * @returns {this} This session for chaining
+   * @throws {WriterError} SESSION_COMMITTED if already committed
+   */
+  // eslint-disable-next-line max-params -- direct delegate matching PatchBuilderV2 signature
+  removeFromEdgeSet(from, to, label, key, element) {
+    this._ensureNotCommitted();
+    this._builder.removeFromEdgeSet(from, to, label, key, element);
+    return this;
+  }
+
+  /**
+   * Inserts a value into an ordered-list (sequence) property on a node.
+   *
+   * @param {string} nodeId - The node ID
+   * @param {string} key - Property key
+   * @param {number} index - Insert position, from 0 to the current length
+   * @param {unknown} value - Value to insert (must be JSON-serializable)
+   * @returns {this} This session for chaining
+   * @throws {WriterError} SESSION_COMMITTED if already committed
+   */
+  // eslint-disable-next-line max-params -- direct delegate matching PatchBuilderV2 signature
+  insertAt(nodeId, key, index, value) {
+    this._ensureNotCommitted();
+    this._builder.insertAt(nodeId, key, index, value);
+    return this;
+  }
+
+  /**
+   * Removes the item at `index` from a sequence property on a node.
+   *
+   * @param {string} nodeId - The node ID
+   * @param {string} key - Property key
+   * @param {number} index - Position of the item to remove
+   * @returns {this} This session for chaining
+   * @throws {WriterError} SESSION_COMMITTED if already committed
+   */
+  removeAt(nodeId, key, index) {
+    this._ensureNotCommitted();
+    this._builder.removeAt(nodeId, key, index);
+    return this;
+  }
+
+  /**
+   * Moves an item of a sequence property on a node to a new position.
+   *
+   * @param {string} nodeId - The node ID
+   * @param {string} key - Property key
+   * @param {number} fromIndex - Current position of the item
+   * @param {number} toIndex - Position of the item after the move
+   * @returns {this} This session for chaining
+   * @throws {WriterError} SESSION_COMMITTED if already committed
+   */
+  // eslint-disable-next-line max-params -- direct delegate matching PatchBuilderV2 signature
+  move(nodeId, key, fromIndex, toIndex) {
+    this._ensureNotCommitted();
+    this._builder.move(nodeId, key, fromIndex, toIndex);
+    return this;
+  }
+
+  /**
+   * Merges one node into another. Reads of the absorbed ID resolve to the
+   * survivor, which shows the edges and properties of both.
+   *
+   * @param {string} survivorId - The node that remains
+   * @param {string} absorbedId - The node merged into it
+   * @returns {this} This session for chaining
+   * @throws {WriterError} SESSION_COMMITTED if already committed
+   */
+  mergeNodes(survivorId, absorbedId) {
+    this._ensureNotCommitted();
+    this._builder.mergeNodes(survivorId, absorbedId);
+    return this;
+  }
+
+  /**
+   * Requires a node to exist when the session commits.
+   *
+   * @param {string} nodeId - The node ID
+   * @returns {this} This session for chaining
+   * @throws {WriterError} SESSION_COMMITTED if already committed
+   */
+  expectNode(nodeId) {
+    this._ensureNotCommitted();
+    this._builder.expectNode(nodeId);
+    return this;
+  }
+
+  /**
+   * Requires an edge (and both its endpoints) to exist when the session commits.
+   *
+   * @param {string} from - Source node ID
+   * @param {string} to - Target node ID
+   * @param {string} label - Edge label/type
+   * @returns {this} This session for chaining
+   * @throws {WriterError} SESSION_COMMITTED if already committed
+   */
+  expectEdge(from, to, label) {
+    this._ensureNotCommitted();
+    this._builder.expectEdge(from, to, label);
+    return this;
+  }
+
+  /**
+   * Requires a node — or, with three arguments, an edge — to be absent when
+   * the session commits.
+   *
+   * @param {string} nodeIdOrFrom - Node ID, or the edge's source node ID
+   * @param {string} [to] - Edge target node ID
+   * @param {string} [label] - Edge label/type
+   * @returns {this} This session for chaining
+   * @throws {WriterError} SESSION_COMMITTED if already committed
+   */
+  expectAbsent(nodeIdOrFrom, to, label) {
+    this._ensureNotCommitted();
+    this._builder.expectAbsent(nodeIdOrFrom, to, label);
+    return this;
+  }
+
+  /**
+   * Requires a node property to hold `value` when the session commits.
+   *
+   * @param {string} nodeId - The node ID
+   * @param {string} key - Property key
+   * @param {unknown} value - Expected value (`undefined` = unset)
+   * @returns {this} This session for chaining
+   * @throws {WriterError} SESSION_COMMITTED if already committed
+   */
+  expectProp(nodeId, key, value) {
+    this._ensureNotCommitted();
+    this._builder.expectProp(nodeId, key, value);
+    return this;
+  }
+
   /**
    * Attaches content to a node.
    *
@@ -192,6 +398,8 @@ export class PatchSession {
    * @throws {WriterError} EMPTY_PATCH if no operations were added
    * @throws {WriterError} WRITER_REF_ADVANCED if CAS fails (ref moved since beginPatch)
    * @throws {WriterError} PERSIST_WRITE_FAILED if git operations fail
+   * @throws {SchemaViolationError} If the patch would violate the graph schema (nothing is written)
+   * @throws {PreconditionError} If a precondition does not hold (nothing is written)
    *
    * @example
    * const sha = await patch.commit();
@@ -211,6 +419,9 @@ export class PatchSession {
       this._committed = true;
       return sha;
     } catch (err) {
+      if (err instanceof SchemaViolationError || err instanceof PreconditionError) {
+        throw err;
+      }
       const errMsg = err instanceof Error ? err.message : String(err);
       const cause = err instanceof Error ? err : undefined;
       const casError = /** @type {{code?: unknown, expectedSha?: unknown, actualSha?: unknown}|null} */ (
@@ -36,9 +36,9 @@ export class Writer {
   /**
    * Creates a new Writer instance.
    *
-   * @param {{ persistence: import('../../ports/CommitPort.js').default & import('../../ports/BlobPort.js').default & import('../../ports/TreePort.js').default & import('../../ports/RefPort.js').default, graphName: string, writerId: string, versionVector: import('../crdt/VersionVector.js').VersionVector, getCurrentState: () => import('../services/JoinReducer.js').WarpStateV5 | null, onCommitSuccess?: (result: {patch: import('../types/WarpTypesV2.js').PatchV2, sha: string}) => void | Promise<void>, onDeleteWithData?: 'reject'|'cascade'|'warn', codec?: import('../../ports/CodecPort.js').default, logger?: import('../../ports/LoggerPort.js').default, blobStorage?: import('../../ports/BlobStoragePort.js').default, patchBlobStorage?: import('../../ports/BlobStoragePort.js').default }} options
+   * @param {{ persistence: import('../../ports/CommitPort.js').default & import('../../ports/BlobPort.js').default & import('../../ports/TreePort.js').default & import('../../ports/RefPort.js').default, graphName: string, writerId: string, versionVector: import('../crdt/VersionVector.js').VersionVector, getCurrentState: () => import('../services/JoinReducer.js').WarpStateV5 | null, getFreshState?: (() => Promise<import('../services/JoinReducer.js').WarpStateV5 | null>)|null, onCommitSuccess?: (result: {patch: import('../types/WarpTypesV2.js').PatchV2, sha: string}) => void | Promise<void>, onDeleteWithData?: 'reject'|'cascade'|'warn', codec?: import('../../ports/CodecPort.js').default, logger?: import('../../ports/LoggerPort.js').default, blobStorage?: import('../../ports/BlobStoragePort.js').default, patchBlobStorage?: import('../../ports/BlobStoragePort.js').default, graphSchema?: import('../services/GraphSchema.js').default|null }} options
    */
-  constructor({ persistence, graphName, writerId, versionVector, getCurrentState, onCommitSuccess, onDeleteWithData = 'warn', codec, logger, blobStorage, patchBlobStorage }) {
+  constructor({ persistence, graphName, writerId, versionVector, getCurrentState, getFreshState = null, onCommitSuccess, onDeleteWithData = 'warn', codec, logger, blobStorage, patchBlobStorage, graphSchema = null }) {
     validateWriterId(writerId);
 
     /** @type {import('../../ports/CommitPort.js').default & import('../../ports/BlobPort.js').default & import('../../ports/TreePort.js').default & import('../../ports/RefPort.js').default} Wider than Writer's own calls; satisfies PatchBuilderV2 constructor. */
@@ -56,6 +56,9 @@ export class Writer {
     /** @type {() => import('../services/JoinReducer.js').WarpStateV5 | null} */
     this._getCurrentState = getCurrentState;
 
+    /** @type {(() => Promise<import('../services/JoinReducer.js').WarpStateV5 | null>)|null} */
+    this._getFreshState = getFreshState;
+
     /** @type {((result: {patch: import('../types/WarpTypesV2.js').PatchV2, sha: string}) => void | Promise<void>)|undefined} */
     this._onCommitSuccess = onCommitSuccess;
 
@@ -74,6 +77,9 @@ export class Writer {
     /** @type {import('../../ports/BlobStoragePort.js').default|null} */
     this._patchBlobStorage = patchBlobStorage || null;
 
+    /** @type {import('../services/GraphSchema.js').default|null} */
+    this._graphSchema = graphSchema;
+
     /** @type {boolean} */
     this._commitInProgress = false;
   }
@@ -149,6 +155,7 @@ export class Writer {
       lamport,
       versionVector: vvClone(this._versionVector),
       getCurrentState: this._getCurrentState,
+      getFreshState: this._getFreshState,
       expectedParentSha: expectedOldHead,
       onCommitSuccess: this._onCommitSuccess,
       onDeleteWithData: this._onDeleteWithData,
@@ -156,6 +163,7 @@ export class Writer {
       logger: this._logger,
       blobStorage: this._blobStorage || undefined,
       patchBlobStorage: this._patchBlobStorage || undefined,
+      graphSchema: this._graphSchema,
     });
 
     // Return PatchSession wrapping the builder
@@ -177,6 +185,8 @@ export class Writer {
    * @throws {WriterError} EMPTY_PATCH if no operations were added
    * @throws {WriterError} WRITER_REF_ADVANCED if CAS fails (ref moved since beginPatch)
    * @throws {WriterError} PERSIST_WRITE_FAILED if git operations fail
+   * @throws {SchemaViolationError} If the patch would violate the graph schema
+   * @throws {PreconditionError} If a precondition does not hold
    *
    * @example
    * const sha = await writer.commitPatch(p => {
@@ -10,6 +10,7 @@ import type { Writer } from './Writer.js';
 import type { WarpStateV5 } from '../services/JoinReducer.js';
 import type { PatchV2 } from '../types/WarpTypesV2.js';
 import type { StateDiffResult } from '../services/StateDiff.js';
+import type { NodePredicateSpec } from '../services/NodePredicate.js';
 import type { TickReceipt } from '../types/TickReceipt.js';
 
 /**
@@ -17,6 +18,7 @@ import type { TickReceipt } from '../types/TickReceipt.js';
  */
 interface ObserverConfig {
   match: string;
+  where?: NodePredicateSpec;
   expose?: string[];
   redact?: string[];
 }
@@ -172,6 +174,7 @@ declare module '../WarpGraph.js' {
   export default interface WarpGraph {
     // ── query.methods.js ──────────────────────────────────────────────────
     hasNode(nodeId: string): Promise<boolean>;
+    resolveNode(nodeId: string): Promise<string>;
     getNodeProps(nodeId: string): Promise<Record<string, unknown> | null>;
     getEdgeProps(from: string, to: string, label: string): Promise<Record<string, unknown> | null>;
     getContentMeta(nodeId: string): Promise<ContentMeta | null>;
@@ -181,18 +184,25 @@ declare module '../WarpGraph.js' {
     getNodes(): Promise<string[]>;
     getEdges(): Promise<Array<{ from: string; to: string; label: string; props: Record<string, unknown> }>>;
     getPropertyCount(): Promise<number>;
+    validateSchema(): Promise<import('../services/GraphSchema.js').SchemaViolation[]>;
     query(): import('../services/QueryBuilder.js').default;
+    queryText(text: string): import('../services/QueryBuilder.js').default;
+    match(variables: Record<string, string | string[]>): import('../services/PatternQuery.js').default;
+    queryEdges(): import('../services/EdgeQuery.js').default;
+    search(text: string, options?: { fields?: string[]; match?: 'or' | 'and'; limit?: number }): Promise<{ stateHash: string; hits: import('../services/TextIndexReader.js').TextSearchHit[] }>;
+    _searchText(spec: import('../services/TextIndexReader.js').TextSearch, materialized: { state: WarpStateV5; stateHash: string }): Promise<import('../services/TextIndexReader.js').TextSearchHit[]>;
     observer(name: string, config: ObserverConfig): Promise<import('../services/ObserverView.js').default>;
     translationCost(configA: ObserverConfig, configB: ObserverConfig): Promise<TranslationCostResult>;
 
     // ── subscribe.methods.js ──────────────────────────────────────────────
     subscribe(options: { onChange: (diff: StateDiffResult) => void; onError?: (error: unknown) => void; replay?: boolean }): { unsubscribe: () => void };
-    watch(pattern: string | string[], options: { onChange: (diff: StateDiffResult) => void; onError?: (error: unknown) => void; poll?: number }): { unsubscribe: () => void };
+    watch(pattern: string | string[], options: { onChange: (diff: StateDiffResult) => void; onError?: (error: unknown) => void; poll?: number; where?: NodePredicateSpec }): { unsubscribe: () => void };
     _notifySubscribers(diff: StateDiffResult, currentState: WarpStateV5): void;
 
     // ── provenance.methods.js ─────────────────────────────────────────────
     patchesFor(entityId: string): Promise<string[]>;
     materializeSlice(nodeId: string, options?: { receipts?: boolean }): Promise<{ state: WarpStateV5; patchCount: number; receipts?: TickReceipt[] }>;
+    getConflicts(options?: import('../services/ConflictAnalyzer.js').ConflictFilter): Promise<import('../services/ConflictAnalyzer.js').PropertyConflict[]>;
     _computeBackwardCone(nodeId: string): Promise<Map<string, PatchV2>>;
     loadPatchBySha(sha: string): Promise<PatchV2>;
     _loadPatchBySha(sha: string): Promise<PatchV2>;
@@ -201,6 +211,7 @@ declare module '../WarpGraph.js' {
 
     // ── fork.methods.js ───────────────────────────────────────────────────
     fork(options: { from: string; at: string; forkName?: string; forkWriterId?: string }): Promise<WarpGraph>;
+    mergeFork(forkName: string, options?: { writerMapping?: Record<string, string> }): Promise<{ forkName: string; writers: import('../services/ForkMerger.js').MergedForkWriter[]; receipts: TickReceipt[]; conflicts: import('../services/ConflictAnalyzer.js').PropertyConflict[] }>;
     createWormhole(fromSha: string, toSha: string): Promise<WormholeEdge>;
     _isAncestor(ancestorSha: string, descendantSha: string): Promise<boolean>;
     _relationToCheckpointHead(ckHead: string, incomingSha: string): Promise<string>;
@@ -239,7 +250,8 @@ declare module '../WarpGraph.js' {
 
     // ── patch.methods.js ──────────────────────────────────────────────────
     createPatch(): Promise<PatchBuilderV2>;
-    patch(build: (p: PatchBuilderV2) => void | Promise<void>): Promise<string>;
+    patch(build: (p: PatchBuilderV2) => void | Promise<void>, options?: { retries?: number }): Promise<string>;
+    revert(sha: string, options?: { force?: boolean }): Promise<string>;
     patchMany(...builds: Array<(p: PatchBuilderV2) => void | Promise<void>>): Promise<string[]>;
     _nextLamport(): Promise<{ lamport: number; parentSha: string | null }>;
     _loadWriterPatches(writerId: string, stopAtSha?: string | null): Promise<Array<{ patch: PatchV2; sha: string }>>;
@@ -248,6 +260,7 @@ declare module '../WarpGraph.js' {
     writer(writerId?: string): Promise<Writer>;
     createWriter(opts?: { persist?: 'config' | 'none'; alias?: string }): Promise<Writer>;
     _ensureFreshState(): Promise<void>;
+    _freshState(): Promise<WarpStateV5 | null>;
     discoverWriters(): Promise<string[]>;
     discoverTicks(): Promise<{ ticks: number[]; maxTick: number; perWriter: Map<string, { ticks: number[]; tipSha: string | null; tickShas: Record<number, string> }> }>;
     join(otherState: WarpStateV5): { state: WarpStateV5; receipt: JoinReceipt };
@@ -262,6 +275,7 @@ declare module '../WarpGraph.js' {
     _resolveCeiling(options?: { ceiling?: number | null }): number | null;
     _buildAdjacency(state: WarpStateV5): { outgoing: Map<string, Array<{ neighborId: string; label: string }>>; incoming: Map<string, Array<{ neighborId: string; label: string }>> };
     _buildView(state: WarpStateV5, stateHash: string, diff?: import('../types/PatchDiff.js').PatchDiff): void;
+    _logicalState(): WarpStateV5 | null;
     _setMaterializedState(state: WarpStateV5, optionsOrDiff?: import('../types/PatchDiff.js').PatchDiff | { diff?: import('../types/PatchDiff.js').PatchDiff | null }): Promise<{ state: WarpStateV5; stateHash: string; adjacency: unknown }>;
     _materializeWithCeiling(ceiling: number, collectReceipts: boolean, t0: number): Promise<WarpStateV5 | { state: WarpStateV5; receipts: TickReceipt[] }>;
     _persistSeekCacheEntry(cacheKey: string, buf: Uint8Array, state: WarpStateV5): Promise<void>;
@@ -16,6 +16,7 @@ import { shouldRunGC, executeGC } from '../services/GCPolicy.js';
 import { collectGCMetrics } from '../services/GCMetrics.js';
 import { computeAppliedVV } from '../services/CheckpointSerializerV5.js';
 import { cloneStateV5 } from '../services/JoinReducer.js';
+import { mergePoliciesMatch } from '../services/MergePolicyRegistry.js';
 
 /** @typedef {import('../types/WarpPersistence.js').CorePersistence} CorePersistence */
 
@@ -89,6 +90,7 @@ export async function createCheckpoint() {
       crypto: this._crypto,
       codec: this._codec,
       indexTree: indexTree || undefined,
+      mergePolicies: this._mergePolicies,
     });
 
     // 6. Update checkpoint ref
@@ -151,22 +153,22 @@ export async function syncCoverage() {
 }
 
 /**
- * Loads the latest checkpoint for this graph.
+ * Reads the latest checkpoint ref and loads the checkpoint it points to,
+ * whatever merge policies it was written under.
  *
- * @this {import('../WarpGraph.js').default}
- * @returns {Promise<{state: import('../services/JoinReducer.js').WarpStateV5, frontier: Map<string, string>, stateHash: string, schema: number, provenanceIndex?: import('../services/ProvenanceIndex.js').ProvenanceIndex, indexShardOids?: Record<string, string>|null}|null>} The checkpoint or null
- * @private
+ * @param {import('../WarpGraph.js').default} graph
+ * @returns {Promise<{sha: string, checkpoint: Awaited<ReturnType<typeof loadCheckpoint>>}|null>} The checkpoint and its SHA, or null
  */
-export async function _loadLatestCheckpoint() {
-  const checkpointRef = buildCheckpointRef(this._graphName);
-  const checkpointSha = await this._persistence.readRef(checkpointRef);
+async function readLatestCheckpoint(graph) {
+  const checkpointRef = buildCheckpointRef(graph._graphName);
+  const checkpointSha = await graph._persistence.readRef(checkpointRef);
 
   if (!checkpointSha) {
     return null;
   }
 
   try {
-    return await loadCheckpoint(this._persistence, checkpointSha, { codec: this._codec });
+    return { sha: checkpointSha, checkpoint: await loadCheckpoint(graph._persistence, checkpointSha, { codec: graph._codec }) };
   } catch (err) {
     // "Not found" conditions (missing tree entries, missing blobs) are expected
     // when a checkpoint ref exists but the objects have been pruned or are
@@ -192,6 +194,34 @@ export async function _loadLatestCheckpoint() {
   }
 }
 
+/**
+ * Loads the latest checkpoint for this graph.
+ *
+ * A checkpoint written under different merge policies holds state this
+ * graph would not have reduced, so it is skipped with a warning and the
+ * caller replays from patches instead.
+ *
+ * @this {import('../WarpGraph.js').default}
+ * @returns {Promise<{state: import('../services/JoinReducer.js').WarpStateV5, frontier: Map<string, string>, stateHash: string, schema: number, provenanceIndex?: import('../services/ProvenanceIndex.js').ProvenanceIndex, indexShardOids?: Record<string, string>|null}|null>} The checkpoint or null
+ * @private
+ */
+export async function _loadLatestCheckpoint() {
+  const latest = await readLatestCheckpoint(this);
+  if (!latest) {
+    return null;
+  }
+  const { sha, checkpoint } = latest;
+  if (!mergePoliciesMatch(this._mergePolicies, checkpoint.mergePolicies)) {
+    this._logger?.warn('[warp] checkpoint written under different merge policies; replaying from patches', {
+      checkpointSha: sha,
+      recorded: checkpoint.mergePolicies || [],
+      configured: this._mergePolicies?.describe() || [],
+    });
+    return null;
+  }
+  return checkpoint;
+}
+
 /**
  * Loads patches since a checkpoint for incremental materialization.
  *
@@ -235,7 +265,7 @@ export async function _loadPatchesSince(checkpoint) {
  * @private
  */
 export async function _validateMigrationBoundary() {
-  const checkpoint = await this._loadLatestCheckpoint();
+  const checkpoint = (await readLatestCheckpoint(this))?.checkpoint;
   if (checkpoint?.schema === 2 || checkpoint?.schema === 3 || checkpoint?.schema === 4) {
     return;  // Already migrated
   }
@@ -8,9 +8,13 @@
  */
 
 import { ForkError, DEFAULT_ADJACENCY_CACHE_SIZE } from './_internal.js';
-import { validateGraphName, validateWriterId, buildWriterRef, buildWritersPrefix } from '../utils/RefLayout.js';
+import { validateGraphName, validateWriterId, buildWriterRef, buildWritersPrefix, parseWriterIdFromRef } from '../utils/RefLayout.js';
 import { generateWriterId } from '../utils/WriterId.js';
 import { createWormhole as createWormholeImpl } from '../services/WormholeService.js';
+import { decodePatchMessage, detectMessageKind, encodePatchMessage } from '../services/WarpMessageCodec.js';
+import { assignDots, rebasePatch, recordLandedDots } from '../services/ForkMerger.js';
+import { findConflicts } from '../services/ConflictAnalyzer.js';
+import WriterError from '../errors/WriterError.js';
 
 // ============================================================================
 // Fork API
@@ -152,6 +156,10 @@ export async function fork({ from, at, forkName, forkWriterId }) {
       clock: this._clock,
       crypto: this._crypto,
       codec: this._codec,
+      mergePolicies: this._mergePolicies?.toConfig(),
+      graphSchema: this._graphSchema?.definition,
+      valueIndex: this._valueIndexKeys.length > 0 ? { keys: this._valueIndexKeys } : undefined,
+      textIndex: this._textIndexConfig || undefined,
     });
 
     this._logTiming('fork', t0, {
@@ -165,6 +173,431 @@ export async function fork({ from, at, forkName, forkWriterId }) {
   }
 }
 
+// ============================================================================
+// Fork Merge API
+// ============================================================================
+
+/**
+ * A fork-local patch commit.
+ *
+ * @typedef {Object} ForkPatchEntry
+ * @property {string} sha - Commit SHA on the fork
+ * @property {ReturnType<typeof decodePatchMessage>} meta - Decoded commit message
+ * @property {import('../types/WarpTypesV2.js').PatchV2} patch - Decoded patch
+ */
+
+/**
+ * One fork writer's chain and where it lands in the base graph.
+ *
+ * @typedef {Object} ForkLane
+ * @property {string} forkWriter - Writer ID in the fork
+ * @property {string} writer - Writer ID in the base graph
+ * @property {'adopted'|'rebased'} mode - Whether patches land unchanged or rebased
+ * @property {ForkPatchEntry[]} entries - Fork-local patches, oldest first
+ * @property {ForkPatchEntry[]} pending - Entries not landed by an earlier merge
+ */
+
+/**
+ * Merges a fork's work back into this graph.
+ *
+ * Every fork writer's patches after the fork point are landed on a writer
+ * chain of this graph, stamped with an `eg-merged-from` trailer naming the
+ * fork commit. A fork writer whose ID (after `writerMapping`) is not yet a
+ * writer here is adopted: its patches land unchanged, Lamport ticks and
+ * all. Otherwise the patches are rebased onto the existing writer's chain
+ * with fresh dots and Lamport ticks that keep the chain monotonic (see
+ * ForkMerger). Patches landed by an earlier merge are skipped, so a fork
+ * can be merged repeatedly as work continues on it.
+ *
+ * Landed patches merge by the usual CRDT rules. The result carries their
+ * tick receipts and the property conflicts in which a landed patch won or
+ * lost. Unlike `getConflicts()`, which sees a rebased patch as a later
+ * write on its target writer's chain, these judge each rebased patch by
+ * what the fork patch had observed, so a write the base made on the same
+ * writer after the fork point is reported as overwritten.
+ *
+ * @this {import('../WarpGraph.js').default}
+ * @param {string} forkName - Graph name of the fork
+ * @param {{ writerMapping?: Record<string, string> }} [options] - `writerMapping` maps fork writer IDs to the writer IDs to land them as (default: unchanged)
+ * @returns {Promise<{ forkName: string, writers: import('../services/ForkMerger.js').MergedForkWriter[], receipts: import('../types/TickReceipt.js').TickReceipt[], conflicts: import('../services/ConflictAnalyzer.js').PropertyConflict[] }>} Landed writers, their receipts, and conflicts involving landed patches
+ * @throws {ForkError} If forkName is missing or names this graph (code: `E_FORK_INVALID_ARGS`)
+ * @throws {ForkError} If forkName is invalid (code: `E_FORK_NAME_INVALID`)
+ * @throws {ForkError} If the fork has no writers (code: `E_FORK_NOT_FOUND`)
+ * @throws {ForkError} If a fork chain continues another graph's history (code: `E_FORK_NOT_A_FORK`)
+ * @throws {ForkError} If writerMapping names a writer the fork lacks (code: `E_FORK_WRITER_NOT_FOUND`)
+ * @throws {ForkError} If writerMapping maps to an invalid writer ID (code: `E_FORK_WRITER_ID_INVALID`)
+ * @throws {WriterError} If a target writer ref moved during the merge (code: `WRITER_CAS_CONFLICT`)
+ *
+ * @example
+ * const fork = await graph.fork({ from: 'alice', at: tipSha, forkName: 'events-exp', forkWriterId: 'exp' });
+ * await fork.patch((p) => p.addNode('idea:1'));
+ * const { writers, conflicts } = await graph.mergeFork('events-exp', { writerMapping: { exp: 'alice' } });
+ */
+export async function mergeFork(forkName, { writerMapping = {} } = {}) {
+  const t0 = this._clock.now();
+
+  try {
+    const shaMap = await findLandedForkPatches(this);
+    const lanes = planForkLanes(await loadForkLanes(this, forkName), {
+      forkName,
+      writerMapping,
+      baseWriters: new Set(await this.discoverWriters()),
+      shaMap,
+    });
+    const writers = await landForkLanes(this, lanes, shaMap);
+    const landed = new Set(writers.flatMap((w) => w.patches));
+
+    let receipts = /** @type {import('../types/TickReceipt.js').TickReceipt[]} */ ([]);
+    let conflicts = /** @type {import('../services/ConflictAnalyzer.js').PropertyConflict[]} */ ([]);
+    if (landed.size > 0) {
+      const result = /** @type {{ receipts: import('../types/TickReceipt.js').TickReceipt[] }} */ (await this.materialize({ receipts: true }));
+      receipts = result.receipts.filter((r) => landed.has(r.patchSha));
+      conflicts = (await findLandedConflicts(this, lanes, { forkName, shaMap }))
+        .filter((c) => [c.winner, ...c.overwritten].some((w) => landed.has(w.patchSha)));
+    }
+
+    this._logTiming('mergeFork', t0, { metrics: `${landed.size} patches from=${forkName}` });
+    return { forkName, writers, receipts, conflicts };
+  } catch (err) {
+    this._logTiming('mergeFork', t0, { error: /** @type {Error} */ (err) });
+    throw err;
+  }
+}
+
+/**
+ * Finds property conflicts across every writer chain, judging patches
+ * rebased from this fork by what the fork had observed.
+ *
+ * @param {import('../WarpGraph.js').default} graph
+ * @param {ForkLane[]} lanes
+ * @param {{ forkName: string, shaMap: Map<string, string> }} fork - `shaMap`: fork SHA → landed SHA
+ * @returns {Promise<import('../services/ConflictAnalyzer.js').PropertyConflict[]>}
+ */
+async function findLandedConflicts(graph, lanes, { forkName, shaMap }) {
+  /** @type {import('../services/ConflictAnalyzer.js').LandedFork} */
+  const landedFork = { rebased: new Map(), history: new Set() };
+  for (const lane of lanes) {
+    for (const entry of lane.mode === 'rebased' ? lane.entries : []) {
+      const landedSha = shaMap.get(entry.sha);
+      if (landedSha) {
+        landedFork.rebased.set(landedSha, entry.patch);
+      }
+    }
+    await walkPatchChain(graph, await graph._persistence.readRef(buildWriterRef(forkName, lane.forkWriter)), (sha, meta) => {
+      if (meta.graph === graph._graphName) {
+        landedFork.history.add(sha);
+      }
+      return true;
+    });
+  }
+  const patches = [];
+  for (const writerId of await graph.discoverWriters()) {
+    patches.push(...await graph._loadWriterPatches(writerId));
+  }
+  return findConflicts(patches, {}, { mergePolicies: graph._mergePolicies, landedFork });
+}
+
+/**
+ * Maps fork commit SHAs to the SHAs they were landed as, from the
+ * `eg-merged-from` trailers on this graph's writer chains.
+ *
+ * @param {import('../WarpGraph.js').default} graph
+ * @returns {Promise<Map<string, string>>}
+ */
+async function findLandedForkPatches(graph) {
+  /** @type {Map<string, string>} */
+  const shaMap = new Map();
+  for (const writerId of await graph.discoverWriters()) {
+    await walkPatchChain(graph, await graph._persistence.readRef(buildWriterRef(graph._graphName, writerId)), (sha, meta) => {
+      if (meta.mergedFrom) {
+        shaMap.set(meta.mergedFrom, sha);
+      }
+      return true;
+    });
+  }
+  return shaMap;
+}
+
+/**
+ * Walks a writer chain from its tip while `visit` returns true.
+ *
+ * @param {import('../WarpGraph.js').default} graph
+ * @param {string|null} tip
+ * @param {(sha: string, meta: ReturnType<typeof decodePatchMessage>) => boolean} visit
+ * @returns {Promise<void>}
+ */
+async function walkPatchChain(graph, tip, visit) {
+  let sha = tip;
+  while (sha) {
+    const nodeInfo = await graph._persistence.getNodeInfo(sha);
+    if (detectMessageKind(nodeInfo.message) !== 'patch' || !visit(sha, decodePatchMessage(nodeInfo.message))) {
+      return;
+    }
+    sha = nodeInfo.parents?.[0] ?? null;
+  }
+}
+
+/**
+ * Loads every fork writer's fork-local patches: the commits at the top of
+ * its chain written to the fork, down to the fork point.
+ *
+ * @param {import('../WarpGraph.js').default} graph
+ * @param {string} forkName
+ * @returns {Promise<Array<{ forkWriter: string, entries: ForkPatchEntry[] }>>}
+ */
+async function loadForkLanes(graph, forkName) {
+  validateForkToMerge(graph, forkName);
+  const refs = await graph._persistence.listRefs(buildWritersPrefix(forkName));
+  if (refs.length === 0) {
+    throw new ForkError(`Fork '${forkName}' has no writers`, {
+      code: 'E_FORK_NOT_FOUND',
+      context: { forkName },
+    });
+  }
+
+  const lanes = [];
+  for (const ref of [...refs].sort()) {
+    const forkWriter = parseWriterIdFromRef(ref);
+    if (forkWriter) {
+      lanes.push({ forkWriter, entries: await loadForkLocalPatches(graph, forkName, await graph._persistence.readRef(ref)) });
+    }
+  }
+  return lanes;
+}
+
+/**
+ * @param {import('../WarpGraph.js').default} graph
+ * @param {string} forkName
+ */
+function validateForkToMerge(graph, forkName) {
+  if (!forkName || typeof forkName !== 'string' || forkName === graph._graphName) {
+    throw new ForkError('mergeFork requires the name of another graph', {
+      code: 'E_FORK_INVALID_ARGS',
+      context: { forkName, graphName: graph._graphName },
+    });
+  }
+  try {
+    validateGraphName(forkName);
+  } catch (err) {
+    throw new ForkError(`Invalid fork name: ${/** @type {Error} */ (err).message}`, {
+      code: 'E_FORK_NAME_INVALID',
+      context: { forkName, originalError: /** @type {Error} */ (err).message },
+    });
+  }
+}
+
+/**
+ * @param {import('../WarpGraph.js').default} graph
+ * @param {string} forkName
+ * @param {string|null} tip
+ * @returns {Promise<ForkPatchEntry[]>} Oldest first
+ */
+async function loadForkLocalPatches(graph, forkName, tip) {
+  /** @type {Array<{ sha: string, meta: ReturnType<typeof decodePatchMessage> }>} */
+  const commits = [];
+  await walkPatchChain(graph, tip, (sha, meta) => {
+    if (meta.graph === forkName) {
+      commits.push({ sha, meta });
+      return true;
+    }
+    if (meta.graph !== graph._graphName) {
+      throw new ForkError(`Graph '${forkName}' is not a fork of '${graph._graphName}': commit ${sha} belongs to '${meta.graph}'`, {
+        code: 'E_FORK_NOT_A_FORK',
+        context: { forkName, graphName: graph._graphName, sha, foundGraph: meta.graph },
+      });
+    }
+    return false;
+  });
+
+  const entries = [];
+  for (const { sha, meta } of commits.reverse()) {
+    entries.push({ sha, meta, patch: await graph.loadPatchBySha(sha) });
+  }
+  return entries;
+}
+
+/**
+ * Resolves each lane's target writer and landing mode. A lane is adopted
+ * when it keeps its writer ID, that ID is not a writer here, and no other
+ * lane lands on it.
+ *
+ * @param {Array<{ forkWriter: string, entries: ForkPatchEntry[] }>} lanes
+ * @param {{ forkName: string, writerMapping: Record<string, string>, baseWriters: Set<string>, shaMap: Map<string, string> }} options
+ * @returns {ForkLane[]}
+ */
+function planForkLanes(lanes, { forkName, writerMapping, baseWriters, shaMap }) {
+  validateWriterMapping(lanes, forkName, writerMapping);
+  const targets = lanes.map((lane) => writerMapping[lane.forkWriter] ?? lane.forkWriter);
+  return lanes.map((lane, i) => {
+    const writer = targets[i];
+    const adopted = writer === lane.forkWriter
+      && !baseWriters.has(writer)
+      && targets.indexOf(writer) === targets.lastIndexOf(writer);
+    return {
+      ...lane,
+      writer,
+      mode: adopted ? 'adopted' : 'rebased',
+      pending: lane.entries.filter((e) => !shaMap.has(e.sha)),
+    };
+  });
+}
+
+/**
+ * @param {Array<{ forkWriter: string }>} lanes
+ * @param {string} forkName
+ * @param {Record<string, string>} writerMapping
+ */
+function validateWriterMapping(lanes, forkName, writerMapping) {
+  for (const [forkWriter, writer] of Object.entries(writerMapping)) {
+    if (!lanes.some((lane) => lane.forkWriter === forkWriter)) {
+      throw new ForkError(`Writer '${forkWriter}' does not exist in fork '${forkName}'`, {
+        code: 'E_FORK_WRITER_NOT_FOUND',
+        context: { writerId: forkWriter, forkName, forkWriters: lanes.map((lane) => lane.forkWriter) },
+      });
+    }
+    try {
+      validateWriterId(writer);
+    } catch (err) {
+      throw new ForkError(`Invalid target writer ID for '${forkWriter}': ${/** @type {Error} */ (err).message}`, {
+        code: 'E_FORK_WRITER_ID_INVALID',
+        context: { forkWriter, writer, originalError: /** @type {Error} */ (err).message },
+      });
+    }
+  }
+}
+
+/**
+ * Rebuilds the dot renames of earlier merges, issues dots for the pending
+ * rebased patches, and lands every lane.
+ *
+ * @param {import('../WarpGraph.js').default} graph
+ * @param {ForkLane[]} lanes
+ * @param {Map<string, string>} shaMap - Fork SHA → landed SHA; extended with this merge's landings
+ * @returns {Promise<import('../services/ForkMerger.js').MergedForkWriter[]>} Lanes that landed patches
+ */
+async function landForkLanes(graph, lanes, shaMap) {
+  const active = lanes.filter((lane) => lane.pending.length > 0);
+  if (active.length === 0) {
+    return [];
+  }
+
+  /** @type {Map<string, string>} */
+  const dotMap = new Map();
+  for (const entry of lanes.flatMap((lane) => lane.entries)) {
+    const landedSha = shaMap.get(entry.sha);
+    if (landedSha) {
+      recordLandedDots(entry.patch, await graph.loadPatchBySha(landedSha), dotMap);
+    }
+  }
+  const state = /** @type {import('../services/JoinReducer.js').WarpStateV5} */ (await graph.materialize());
+  const counters = new Map(state.observedFrontier);
+  for (const lane of active.filter((l) => l.mode === 'rebased')) {
+    for (const entry of lane.pending) {
+      assignDots(entry.patch, lane.writer, { counters, dotMap });
+    }
+  }
+
+  const writers = [];
+  for (const lane of active) {
+    const patches = await landLane(graph, lane, { dotMap, shaMap });
+    writers.push({ forkWriter: lane.forkWriter, writer: lane.writer, mode: lane.mode, patches });
+  }
+  return writers;
+}
+
+/**
+ * Commits a lane's pending patches on top of its target writer's chain,
+ * then moves the writer ref with a compare-and-swap.
+ *
+ * @param {import('../WarpGraph.js').default} graph
+ * @param {ForkLane} lane
+ * @param {{ dotMap: Map<string, string>, shaMap: Map<string, string> }} maps
+ * @returns {Promise<string[]>} Landed commit SHAs, oldest first
+ */
+async function landLane(graph, lane, { dotMap, shaMap }) {
+  const ref = buildWriterRef(graph._graphName, lane.writer);
+  const tip = await graph._persistence.readRef(ref);
+  let lamport = 0;
+  await walkPatchChain(graph, tip, (_sha, meta) => {
+    lamport = meta.lamport;
+    return false;
+  });
+
+  let parent = tip;
+  const landed = [];
+  for (const entry of lane.pending) {
+    const patch = lane.mode === 'adopted'
+      ? entry.patch
+      : rebasePatch(entry.patch, { writer: lane.writer, lamport: Math.max(lamport + 1, entry.patch.lamport), dotMap });
+    lamport = patch.lamport;
+    parent = await commitLandedPatch(graph, { entry, patch, parent, adopted: lane.mode === 'adopted', shaMap });
+    shaMap.set(entry.sha, parent);
+    landed.push(parent);
+  }
+
+  try {
+    await graph._persistence.compareAndSwapRef(ref, /** @type {string} */ (parent), tip);
+  } catch (err) {
+    throw new WriterError(
+      'WRITER_CAS_CONFLICT',
+      `mergeFork failed: writer ref ${ref} was updated by another process. Retry the merge.`,
+      /** @type {Error} */ (err),
+    );
+  }
+  return landed;
+}
+
+/**
+ * Writes the commit for one landed patch. Adopted patches reuse the fork
+ * commit's tree; rebased ones get a new patch blob alongside the original
+ * content blobs.
+ *
+ * @param {import('../WarpGraph.js').default} graph
+ * @param {{ entry: ForkPatchEntry, patch: import('../types/WarpTypesV2.js').PatchV2, parent: string|null, adopted: boolean, shaMap: Map<string, string> }} landing
+ * @returns {Promise<string>} The new commit SHA
+ */
+async function commitLandedPatch(graph, { entry, patch, parent, adopted, shaMap }) {
+  const { meta } = entry;
+  const forkTree = await graph._persistence.getCommitTree(entry.sha);
+  const blob = adopted
+    ? { treeOid: forkTree, patchOid: meta.patchOid, encrypted: meta.encrypted }
+    : await writeRebasedTree(graph, patch, forkTree);
+
+  const message = encodePatchMessage({
+    graph: graph._graphName,
+    writer: patch.writer,
+    lamport: patch.lamport,
+    patchOid: blob.patchOid,
+    schema: meta.schema,
+    encrypted: blob.encrypted,
+    revertOf: meta.revertOf && (shaMap.get(meta.revertOf) ?? meta.revertOf),
+    mergedFrom: entry.sha,
+  });
+  return await graph._persistence.commitNodeWithTree({
+    treeOid: blob.treeOid,
+    parents: parent ? [parent] : [],
+    message,
+  });
+}
+
+/**
+ * @param {import('../WarpGraph.js').default} graph
+ * @param {import('../types/WarpTypesV2.js').PatchV2} patch
+ * @param {string} forkTree - Tree of the fork commit, for its content blobs
+ * @returns {Promise<{ treeOid: string, patchOid: string, encrypted: boolean }>}
+ */
+async function writeRebasedTree(graph, patch, forkTree) {
+  const patchCbor = graph._codec.encode(patch);
+  const patchOid = graph._patchBlobStorage
+    ? await graph._patchBlobStorage.store(patchCbor, { slug: `${graph._graphName}/${patch.writer}/patch` })
+    : await graph._persistence.writeBlob(patchCbor);
+  const contentEntries = Object.entries(await graph._persistence.readTreeOids(forkTree))
+    .filter(([path]) => path.startsWith('_content_'))
+    .map(([path, oid]) => `100644 blob ${oid}\t${path}`);
+  const treeOid = await graph._persistence.writeTree([`100644 blob ${patchOid}\tpatch.cbor`, ...contentEntries]);
+  return { treeOid, patchOid, encrypted: !!graph._patchBlobStorage };
+}
+
 // ============================================================================
 // Wormhole API (HOLOGRAM)
 // ============================================================================
@@ -9,6 +9,7 @@
 import { reduceV5, createEmptyStateV5, cloneStateV5 } from '../services/JoinReducer.js';
 import { ProvenanceIndex } from '../services/ProvenanceIndex.js';
 import { diffStates, isEmptyDiff } from '../services/StateDiff.js';
+import { projectNodeAliases } from '../services/NodeAliases.js';
 import { decodePatchMessage, detectMessageKind } from '../services/WarpMessageCodec.js';
 
 /**
@@ -145,15 +146,15 @@ export async function materialize(options) {
       }
       scanPatchesForMaxLamport(this, patches);
       if (collectReceipts) {
-        const result = /** @type {{state: import('../services/JoinReducer.js').WarpStateV5, receipts: import('../types/TickReceipt.js').TickReceipt[]}} */ (reduceV5(/** @type {Parameters<typeof reduceV5>[0]} */ (patches), checkpoint.state, { receipts: true }));
+        const result = /** @type {{state: import('../services/JoinReducer.js').WarpStateV5, receipts: import('../types/TickReceipt.js').TickReceipt[]}} */ (reduceV5(/** @type {Parameters<typeof reduceV5>[0]} */ (patches), checkpoint.state, { receipts: true, mergePolicies: this._mergePolicies }));
         state = result.state;
         receipts = result.receipts;
       } else if (wantDiff) {
-        const result = /** @type {{state: import('../services/JoinReducer.js').WarpStateV5, diff: import('../types/PatchDiff.js').PatchDiff}} */ (reduceV5(/** @type {Parameters<typeof reduceV5>[0]} */ (patches), checkpoint.state, { trackDiff: true }));
+        const result = /** @type {{state: import('../services/JoinReducer.js').WarpStateV5, diff: import('../types/PatchDiff.js').PatchDiff}} */ (reduceV5(/** @type {Parameters<typeof reduceV5>[0]} */ (patches), checkpoint.state, { trackDiff: true, mergePolicies: this._mergePolicies }));
         state = result.state;
         diff = result.diff;
       } else {
-        state = /** @type {import('../services/JoinReducer.js').WarpStateV5} */ (reduceV5(/** @type {Parameters<typeof reduceV5>[0]} */ (patches), checkpoint.state));
+        state = /** @type {import('../services/JoinReducer.js').WarpStateV5} */ (reduceV5(/** @type {Parameters<typeof reduceV5>[0]} */ (patches), checkpoint.state, { mergePolicies: this._mergePolicies }));
       }
       patchCount = patches.length;
 
@@ -198,15 +199,15 @@ export async function materialize(options) {
           scanPatchesForMaxLamport(this, allPatches);
           // 5. Reduce all patches to state
           if (collectReceipts) {
-            const result = /** @type {{state: import('../services/JoinReducer.js').WarpStateV5, receipts: import('../types/TickReceipt.js').TickReceipt[]}} */ (reduceV5(/** @type {Parameters<typeof reduceV5>[0]} */ (allPatches), undefined, { receipts: true }));
+            const result = /** @type {{state: import('../services/JoinReducer.js').WarpStateV5, receipts: import('../types/TickReceipt.js').TickReceipt[]}} */ (reduceV5(/** @type {Parameters<typeof reduceV5>[0]} */ (allPatches), undefined, { receipts: true, mergePolicies: this._mergePolicies }));
             state = result.state;
             receipts = result.receipts;
           } else if (wantDiff) {
-            const result = /** @type {{state: import('../services/JoinReducer.js').WarpStateV5, diff: import('../types/PatchDiff.js').PatchDiff}} */ (reduceV5(/** @type {Parameters<typeof reduceV5>[0]} */ (allPatches), undefined, { trackDiff: true }));
+            const result = /** @type {{state: import('../services/JoinReducer.js').WarpStateV5, diff: import('../types/PatchDiff.js').PatchDiff}} */ (reduceV5(/** @type {Parameters<typeof reduceV5>[0]} */ (allPatches), undefined, { trackDiff: true, mergePolicies: this._mergePolicies }));
             state = result.state;
             diff = result.diff;
           } else {
-            state = /** @type {import('../services/JoinReducer.js').WarpStateV5} */ (reduceV5(/** @type {Parameters<typeof reduceV5>[0]} */ (allPatches)));
+            state = /** @type {import('../services/JoinReducer.js').WarpStateV5} */ (reduceV5(/** @type {Parameters<typeof reduceV5>[0]} */ (allPatches), undefined, { mergePolicies: this._mergePolicies }));
           }
           patchCount = allPatches.length;
 
@@ -241,15 +242,17 @@ export async function materialize(options) {
 
     // Notify subscribers if state changed since last notification
     // Also handles deferred replay for subscribers added with replay: true before cached state
+    // Subscribers see merged nodes folded into their survivors, like reads do
+    const view = projectNodeAliases(state);
     if (this._subscribers.length > 0) {
       const hasPendingReplay = this._subscribers.some(s => s.pendingReplay);
-      const stateDelta = diffStates(this._lastNotifiedState, state);
+      const stateDelta = diffStates(this._lastNotifiedState, view);
       if (!isEmptyDiff(stateDelta) || hasPendingReplay) {
-        this._notifySubscribers(stateDelta, state);
+        this._notifySubscribers(stateDelta, view);
       }
     }
     // Clone state to prevent eager path mutations from affecting the baseline
-    this._lastNotifiedState = cloneStateV5(state);
+    this._lastNotifiedState = cloneStateV5(view);
 
     this._logTiming('materialize', t0, { metrics: `${patchCount} patches` });
 
@@ -285,7 +288,7 @@ export async function _materializeGraph() {
   if (!state) {
     return /** @type {object} */ (this._materializedGraph);
   }
-  if (!this._materializedGraph || this._materializedGraph.state !== state) {
+  if (!this._materializedGraph || (this._materializedGraph.source ?? this._materializedGraph.state) !== state) {
     await this._setMaterializedState(/** @type {import('../services/JoinReducer.js').WarpStateV5} */ (state));
   }
   return /** @type {object} */ (this._materializedGraph);
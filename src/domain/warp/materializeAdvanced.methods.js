@@ -19,6 +19,7 @@ import { buildSeekCacheKey } from '../utils/seekCacheKey.js';
 import { materializeIncremental } from '../services/CheckpointService.js';
 import { createFrontier, updateFrontier } from '../services/Frontier.js';
 import BitmapNeighborProvider from '../services/BitmapNeighborProvider.js';
+import { projectNodeAliases } from '../services/NodeAliases.js';
 
 /** @typedef {import('../types/WarpPersistence.js').CorePersistence} CorePersistence */
 /** @typedef {import('../services/JoinReducer.js').WarpStateV5} WarpStateV5 */
@@ -149,28 +150,51 @@ export async function _setMaterializedState(state, optionsOrDiff) {
   } else {
     diff = /** @type {import('../types/PatchDiff.js').PatchDiff|undefined} */ (optionsOrDiff ?? undefined);
   }
+  if (this._mergePolicies && !state.mergePolicies) {
+    // States restored from caches or built empty do not carry runtime config
+    state.mergePolicies = this._mergePolicies;
+  }
   this._cachedState = state;
   this._stateDirty = false;
   this._versionVector = vvClone(state.observedFrontier);
 
-  const stateHash = await computeStateHashV5(state, { crypto: this._crypto, codec: this._codec });
+  // Reads see merged nodes folded into their survivors; the diff describes
+  // the raw state, so a projected view is rebuilt rather than patched.
+  const view = projectNodeAliases(state);
+  const stateHash = await computeStateHashV5(view, { crypto: this._crypto, codec: this._codec });
   let adjacency;
 
   if (this._adjacencyCache) {
     adjacency = this._adjacencyCache.get(stateHash);
     if (!adjacency) {
-      adjacency = this._buildAdjacency(state);
+      adjacency = this._buildAdjacency(view);
       this._adjacencyCache.set(stateHash, adjacency);
     }
   } else {
-    adjacency = this._buildAdjacency(state);
+    adjacency = this._buildAdjacency(view);
   }
 
-  this._materializedGraph = { state, stateHash, adjacency };
-  this._buildView(state, stateHash, diff);
+  this._materializedGraph = { state: view, source: state, stateHash, adjacency };
+  this._buildView(view, stateHash, view === state ? diff : undefined);
   return this._materializedGraph;
 }
 
+/**
+ * Returns the state reads should see: the cached state with merged nodes
+ * folded into their survivors. Same object as `_cachedState` when no node
+ * was ever merged.
+ *
+ * @this {import('../WarpGraph.js').default}
+ * @returns {WarpStateV5|null}
+ * @private
+ */
+export function _logicalState() {
+  if (this._materializedGraph && this._materializedGraph.source === this._cachedState) {
+    return this._materializedGraph.state;
+  }
+  return this._cachedState && projectNodeAliases(this._cachedState);
+}
+
 /**
  * Builds the MaterializedView (logicalIndex + propertyReader) and attaches
  * a BitmapNeighborProvider to the materialized graph. Skips rebuild when
@@ -202,6 +226,8 @@ export function _buildView(state, stateHash, diff) {
 
     this._logicalIndex = result.logicalIndex;
     this._propertyReader = result.propertyReader;
+    this._valueIndex = result.valueIndex;
+    this._textIndex = result.textIndex;
     this._cachedViewHash = stateHash;
     this._cachedIndexTree = result.tree;
     this._indexDegraded = false;
@@ -217,6 +243,8 @@ export function _buildView(state, stateHash, diff) {
     this._indexDegraded = true;
     this._logicalIndex = null;
     this._propertyReader = null;
+    this._valueIndex = null;
+    this._textIndex = null;
     this._cachedIndexTree = null;
   }
 }
@@ -282,7 +310,7 @@ export async function _materializeWithCeiling(ceiling, collectReceipts, t0) {
   let cacheKey;
   if (this._seekCache && !collectReceipts) {
     try {
-      cacheKey = await buildSeekCacheKey(ceiling, frontier);
+      cacheKey = await buildSeekCacheKey(ceiling, frontier, this._mergePolicies);
     } catch {
       // crypto unavailable (e.g., browser) — treat as cache miss
     }
@@ -334,11 +362,11 @@ export async function _materializeWithCeiling(ceiling, collectReceipts, t0) {
       receipts = [];
     }
   } else if (collectReceipts) {
-    const result = /** @type {{state: import('../services/JoinReducer.js').WarpStateV5, receipts: import('../types/TickReceipt.js').TickReceipt[]}} */ (reduceV5(/** @type {Parameters<typeof reduceV5>[0]} */ (allPatches), undefined, { receipts: true }));
+    const result = /** @type {{state: import('../services/JoinReducer.js').WarpStateV5, receipts: import('../types/TickReceipt.js').TickReceipt[]}} */ (reduceV5(/** @type {Parameters<typeof reduceV5>[0]} */ (allPatches), undefined, { receipts: true, mergePolicies: this._mergePolicies }));
     state = result.state;
     receipts = result.receipts;
   } else {
-    state = /** @type {import('../services/JoinReducer.js').WarpStateV5} */ (reduceV5(/** @type {Parameters<typeof reduceV5>[0]} */ (allPatches)));
+    state = /** @type {import('../services/JoinReducer.js').WarpStateV5} */ (reduceV5(/** @type {Parameters<typeof reduceV5>[0]} */ (allPatches), undefined, { mergePolicies: this._mergePolicies }));
   }
 
   this._provenanceIndex = new ProvenanceIndex();
@@ -355,7 +383,7 @@ export async function _materializeWithCeiling(ceiling, collectReceipts, t0) {
   if (this._seekCache && !collectReceipts && allPatches.length > 0) {
     try {
       if (!cacheKey) {
-        cacheKey = await buildSeekCacheKey(ceiling, frontier);
+        cacheKey = await buildSeekCacheKey(ceiling, frontier, this._mergePolicies);
       }
       const buf = serializeFullStateV5(state, { codec: this._codec });
       this._persistSeekCacheEntry(cacheKey, buf, state)
@@ -424,10 +452,12 @@ export async function _persistSeekCacheEntry(cacheKey, buf, state) {
 export async function _restoreIndexFromCache(indexTreeOid) {
   try {
     const shardOids = await this._persistence.readTreeOids(indexTreeOid);
-    const { logicalIndex, propertyReader } =
+    const { logicalIndex, propertyReader, valueIndex, textIndex } =
       await this._viewService.loadFromOids(shardOids, this._persistence);
     this._logicalIndex = logicalIndex;
     this._propertyReader = propertyReader;
+    this._valueIndex = valueIndex;
+    this._textIndex = textIndex;
   } catch {
     // Non-fatal — fall back to in-memory index from _buildView
   }
@@ -507,6 +537,7 @@ export async function materializeAt(checkpointSha) {
     targetFrontier,
     patchLoader,
     codec: this._codec,
+    mergePolicies: this._mergePolicies,
   });
   await this._setMaterializedState(state);
   return freezePublicState(state);
@@ -520,11 +551,12 @@ export async function materializeAt(checkpointSha) {
  * @returns {{ passed: number, failed: number, errors: Array<{nodeId: string, direction: string, expected: string[], actual: string[]}> }}
  */
 export function verifyIndex(options) {
-  if (!this._logicalIndex || !this._cachedState || !this._viewService) {
+  const state = this._logicalState();
+  if (!this._logicalIndex || !state || !this._viewService) {
     throw new Error('Cannot verify index: graph not materialized or index not built');
   }
   return this._viewService.verifyIndex({
-    state: this._cachedState,
+    state,
     logicalIndex: this._logicalIndex,
     options,
   });
@@ -10,14 +10,19 @@
 
 import { QueryError, E_NO_STATE_MSG, E_STALE_STATE_MSG } from './_internal.js';
 import { PatchBuilderV2 } from '../services/PatchBuilderV2.js';
-import { joinStates, applyWithDiff, applyWithReceipt } from '../services/JoinReducer.js';
+import { joinStates, applyWithDiff, applyWithReceipt, createEmptyStateV5, reduceV5 } from '../services/JoinReducer.js';
+import { collectRevertTargets, findSupersedingPatches, planRevert } from '../services/PatchReverter.js';
 import { orsetElements } from '../crdt/ORSet.js';
+import { projectNodeAliases } from '../services/NodeAliases.js';
 import { vvIncrement, vvClone } from '../crdt/VersionVector.js';
 import { buildWriterRef, buildWritersPrefix, parseWriterIdFromRef } from '../utils/RefLayout.js';
 import { decodePatchMessage, detectMessageKind } from '../services/WarpMessageCodec.js';
 import { Writer } from './Writer.js';
 import { generateWriterId, resolveWriterId } from '../utils/WriterId.js';
 import EncryptionError from '../errors/EncryptionError.js';
+import PreconditionError from '../errors/PreconditionError.js';
+import RevertError from '../errors/RevertError.js';
+import WriterError from '../errors/WriterError.js';
 import PersistenceError from '../errors/PersistenceError.js';
 
 /** @typedef {import('../types/WarpPersistence.js').CorePersistence} CorePersistence */
@@ -44,7 +49,8 @@ export async function createPatch() {
     writerId: this._writerId,
     lamport,
     versionVector: this._versionVector,
-    getCurrentState: () => this._cachedState,
+    getCurrentState: () => this._logicalState(),
+    getFreshState: () => this._freshState(),
     expectedParentSha: parentSha,
     onDeleteWithData: this._onDeleteWithData,
     onCommitSuccess: (/** @type {{patch?: import('../types/WarpTypesV2.js').PatchV2, sha?: string}} */ opts) => this._onPatchCommitted(this._writerId, opts),
@@ -52,6 +58,7 @@ export async function createPatch() {
     logger: this._logger || undefined,
     blobStorage: this._blobStorage || undefined,
     patchBlobStorage: this._patchBlobStorage || undefined,
+    graphSchema: this._graphSchema,
   });
 }
 
@@ -69,32 +76,68 @@ export async function createPatch() {
  * **Multi-writer note:** call `materialize()` before `patch()` so that
  * `_maxObservedLamport` is up-to-date. See `createPatch()` for details.
  *
+ * With `retries`, a commit that fails with `PreconditionError` or a
+ * `WRITER_CAS_CONFLICT` is retried up to that many times: the graph is
+ * re-materialized and `build` runs again on a fresh builder, so the
+ * callback should derive its preconditions and writes from current state.
+ *
  * @this {import('../WarpGraph.js').default}
  * @param {(p: PatchBuilderV2) => void | Promise<void>} build - Callback that adds operations to the patch
+ * @param {{ retries?: number }} [options]
  * @returns {Promise<string>} The commit SHA of the new patch
+ * @throws {PreconditionError} If a precondition still fails after all retries
  *
  * @example
  * const sha = await graph.patch(p => {
  *   p.addNode('user:alice');
  *   p.setProperty('user:alice', 'name', 'Alice');
  * });
+ *
+ * @example
+ * // Close the issue only if it is still open; retry twice on contention.
+ * await graph.patch(p => {
+ *   p.expectProp('issue:1', 'status', 'open').setProperty('issue:1', 'status', 'closed');
+ * }, { retries: 2 });
  */
-export async function patch(build) {
+export async function patch(build, { retries = 0 } = {}) {
   if (this._patchInProgress) {
     throw new Error(
       'graph.patch() is not reentrant. Use createPatch() for nested or concurrent patches.',
     );
   }
+  if (!Number.isInteger(retries) || retries < 0) {
+    throw new Error(`retries must be a non-negative integer, got ${String(retries)}`);
+  }
   this._patchInProgress = true;
   try {
-    const p = await this.createPatch();
-    await build(p);
-    return await p.commit();
+    for (let attempt = 0; ; attempt++) {
+      try {
+        const p = await this.createPatch();
+        await build(p);
+        return await p.commit();
+      } catch (err) {
+        if (attempt >= retries || !isRetryableCommitError(err)) {
+          throw err;
+        }
+        await this.materialize();
+      }
+    }
   } finally {
     this._patchInProgress = false;
   }
 }
 
+/**
+ * Whether a failed `graph.patch()` commit is worth retrying on fresh state.
+ *
+ * @param {unknown} err
+ * @returns {boolean}
+ */
+function isRetryableCommitError(err) {
+  return err instanceof PreconditionError
+    || (err instanceof WriterError && err.code === 'WRITER_CAS_CONFLICT');
+}
+
 /**
  * Applies multiple patches sequentially.
  *
@@ -127,6 +170,82 @@ export async function patchMany(...builds) {
   return shas;
 }
 
+/**
+ * Reverts a committed patch by committing its inverse as a new patch.
+ *
+ * The inverse is computed by replaying the patches ordered before the
+ * reverted one (by Lamport tick, writer, then SHA) and, for each node,
+ * edge, and property the reverted patch wrote, restoring that value in
+ * the current state: nodes and edges it removed are re-added (edges with
+ * their old properties), nodes and edges it added are removed, and
+ * properties it set get their prior value, or `null` if they were unset.
+ * Counter and set properties are restored by incrementing the difference
+ * and re-adding or removing elements. Keys the patch did not write are
+ * left alone.
+ *
+ * If a later patch also wrote one of those keys — including an earlier
+ * revert of the same patch — the revert is refused, since it would
+ * overwrite that later change. With `{ force: true }` it logs a warning
+ * and restores the keys anyway.
+ *
+ * The new patch is written by this graph's writer and carries an
+ * `eg-revert-of` trailer naming the reverted SHA. Replays full history,
+ * so cost grows with the number of patches.
+ *
+ * @this {import('../WarpGraph.js').default}
+ * @param {string} sha - Commit SHA of the patch to revert
+ * @param {{ force?: boolean }} [options]
+ * @returns {Promise<string>} The commit SHA of the revert patch
+ * @throws {RevertError} If the patch is not in this graph (`E_REVERT_UNKNOWN_PATCH`),
+ *   edits a sequence property (`E_REVERT_UNSUPPORTED`), has been superseded
+ *   (`E_REVERT_SUPERSEDED`), or has nothing left to undo (`E_REVERT_EMPTY`)
+ *
+ * @example
+ * const sha = await graph.patch(p => p.removeNode('user:alice'));
+ * await graph.revert(sha); // user:alice and its props are back
+ */
+export async function revert(sha, { force = false } = {}) {
+  const reverted = { patch: await this.loadPatchBySha(sha), sha };
+  const targets = collectRevertTargets(reverted.patch);
+  const context = { graphName: this._graphName, sha };
+
+  const entries = [];
+  for (const writerId of await this.discoverWriters()) {
+    entries.push(...await this._loadWriterPatches(writerId));
+  }
+  if (!entries.some((e) => e.sha === sha)) {
+    throw new RevertError(`Patch ${sha} is not part of graph ${this._graphName}`, { code: 'E_REVERT_UNKNOWN_PATCH', context });
+  }
+
+  const ordered = this._sortPatchesCausally(entries);
+  const superseded = findSupersedingPatches(targets, reverted, ordered);
+  if (superseded.length > 0) {
+    const [first] = superseded;
+    const more = superseded.length > 1 ? ` (and ${superseded.length - 1} more)` : '';
+    const message = `Patch ${sha} has been superseded: ${first.sha} also wrote ${first.targets.join(', ')}${more}`;
+    if (!force) {
+      throw new RevertError(`${message}; pass { force: true } to revert anyway`, { code: 'E_REVERT_SUPERSEDED', superseded, context });
+    }
+    this._logger?.warn(`[warp] revert: ${message}`, { sha, superseded });
+  }
+
+  const current = await this._freshState() || createEmptyStateV5();
+  const before = /** @type {import('../services/JoinReducer.js').WarpStateV5} */ (reduceV5(
+    ordered.slice(0, ordered.findIndex((e) => e.sha === sha)), undefined, { mergePolicies: this._mergePolicies },
+  ));
+  const steps = planRevert(targets, { current, before });
+  if (steps.length === 0) {
+    throw new RevertError(`Patch ${sha} has no effect left to revert`, { code: 'E_REVERT_EMPTY', context });
+  }
+
+  const builder = (await this.createPatch())._markRevertOf(sha);
+  const calls = /** @type {Record<string, (...args: unknown[]) => unknown>} */ (/** @type {unknown} */ (builder));
+  for (const { method, args } of steps) {
+    calls[method](...args);
+  }
+  return await builder.commit();
+}
+
 /**
  * Gets the next lamport timestamp and current parent SHA for this writer.
  * Reads from the current ref chain to determine values.
@@ -236,6 +355,28 @@ export async function getWriterPatches(writerId, stopAtSha = null) {
   return await this._loadWriterPatches(writerId, stopAtSha);
 }
 
+/**
+ * Advances a writer's version-vector entry past every dot its committed
+ * patch allocated. A patch allocates one dot per add (nodes, edges, set
+ * elements), and its context records the writer's last one; bumping the
+ * entry by one per patch would let the next patch reuse a dot whenever
+ * the cached state is not eagerly updated. The context is a VersionVector
+ * before encoding and a plain object once serialized.
+ *
+ * @param {import('../crdt/VersionVector.js').VersionVector} vv - Mutated in place
+ * @param {string} writerId
+ * @param {import('../types/WarpTypesV2.js').PatchV2|undefined} committed
+ * @private
+ */
+function advancePastAllocatedDots(vv, writerId, committed) {
+  vvIncrement(vv, writerId);
+  const context = /** @type {Map<string, number>|Record<string, number>|undefined} */ (committed?.context);
+  const lastDot = context instanceof Map ? context.get(writerId) : context?.[writerId];
+  if (typeof lastDot === 'number' && lastDot > (vv.get(writerId) || 0)) {
+    vv.set(writerId, lastDot);
+  }
+}
+
 /**
  * Post-commit hook: updates version vector, eager re-materialize,
  * provenance index, frontier, and audit service.
@@ -246,7 +387,7 @@ export async function getWriterPatches(writerId, stopAtSha = null) {
  * @returns {Promise<void>}
  */
 export async function _onPatchCommitted(writerId, { patch: committed, sha } = {}) {
-  vvIncrement(this._versionVector, writerId);
+  advancePastAllocatedDots(this._versionVector, writerId, committed);
   // Keep _maxObservedLamport up to date so _nextLamport() issues globally-monotonic ticks.
   if (committed?.lamport !== undefined && committed.lamport > this._maxObservedLamport) {
     this._maxObservedLamport = committed.lamport;
@@ -325,13 +466,15 @@ export async function writer(writerId) {
     graphName: this._graphName,
     writerId: resolvedWriterId,
     versionVector: this._versionVector,
-    getCurrentState: () => this._cachedState,
+    getCurrentState: () => this._logicalState(),
+    getFreshState: () => this._freshState(),
     onDeleteWithData: this._onDeleteWithData,
     onCommitSuccess: /** @type {(result: {patch: import('../types/WarpTypesV2.js').PatchV2, sha: string}) => void} */ ((/** @type {{patch?: import('../types/WarpTypesV2.js').PatchV2, sha?: string}} */ opts) => this._onPatchCommitted(resolvedWriterId, opts)),
     codec: this._codec,
     logger: this._logger || undefined,
     blobStorage: this._blobStorage || undefined,
     patchBlobStorage: this._patchBlobStorage || undefined,
+    graphSchema: this._graphSchema,
   });
 }
 
@@ -384,13 +527,15 @@ export async function createWriter(opts = {}) {
     graphName: this._graphName,
     writerId: freshWriterId,
     versionVector: this._versionVector,
-    getCurrentState: () => this._cachedState,
+    getCurrentState: () => this._logicalState(),
+    getFreshState: () => this._freshState(),
     onDeleteWithData: this._onDeleteWithData,
     onCommitSuccess: /** @type {(result: {patch: import('../types/WarpTypesV2.js').PatchV2, sha: string}) => void} */ ((/** @type {{patch?: import('../types/WarpTypesV2.js').PatchV2, sha?: string}} */ commitOpts) => this._onPatchCommitted(freshWriterId, commitOpts)),
     codec: this._codec,
     logger: this._logger || undefined,
     blobStorage: this._blobStorage || undefined,
     patchBlobStorage: this._patchBlobStorage || undefined,
+    graphSchema: this._graphSchema,
   });
 }
 
@@ -422,6 +567,25 @@ export async function _ensureFreshState() {
   }
 }
 
+/**
+ * Returns the cached state after `_ensureFreshState()`. Patch builders call
+ * this at commit time to check preconditions, so a clean cache is also
+ * re-materialized when any writer tip has moved since it was built (e.g.
+ * another handle committed as the same writer).
+ *
+ * @this {import('../WarpGraph.js').default}
+ * @returns {Promise<import('../services/JoinReducer.js').WarpStateV5|null>}
+ * @throws {QueryError} If no cached state and autoMaterialize is off (code: `E_NO_STATE`)
+ * @throws {QueryError} If cached state is dirty and autoMaterialize is off (code: `E_STALE_STATE`)
+ */
+export async function _freshState() {
+  if (this._cachedState && !this._stateDirty && await this.hasFrontierChanged()) {
+    await this.materialize();
+  }
+  await this._ensureFreshState();
+  return this._cachedState;
+}
+
 /**
  * Reads a patch blob, using patchBlobStorage for encrypted patches
  * and falling back to persistence.readBlob() for plain patches.
@@ -604,12 +768,15 @@ export function join(otherState) {
   this._versionVector = vvClone(mergedState.observedFrontier);
 
   // Build adjacency synchronously (crypto hash deferred to next _buildView)
-  const adjacency = this._buildAdjacency(mergedState);
-  this._materializedGraph = { state: mergedState, stateHash: null, adjacency };
+  const view = projectNodeAliases(mergedState);
+  const adjacency = this._buildAdjacency(view);
+  this._materializedGraph = { state: view, source: mergedState, stateHash: null, adjacency };
 
   // Clear index caches — queries degrade to linear scan until next _buildView
   this._logicalIndex = null;
   this._propertyReader = null;
+  this._valueIndex = null;
+  this._textIndex = null;
   this._cachedViewHash = null;
   this._cachedIndexTree = null;
 
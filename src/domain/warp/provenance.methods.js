@@ -1,6 +1,6 @@
 /**
  * Provenance methods for WarpGraph — patch lookups, slice materialization,
- * backward causal cone computation, and causal sorting.
+ * backward causal cone computation, conflict reporting, and causal sorting.
  *
  * Every function uses `this` bound to a WarpGraph instance at runtime
  * via wireWarpMethods().
@@ -12,6 +12,8 @@ import { QueryError } from './_internal.js';
 import { createEmptyStateV5, reduceV5 } from '../services/JoinReducer.js';
 import { ProvenancePayload } from '../services/ProvenancePayload.js';
 import { decodePatchMessage, detectMessageKind } from '../services/WarpMessageCodec.js';
+import { findConflicts } from '../services/ConflictAnalyzer.js';
+import { aliasClass } from '../services/NodeAliases.js';
 
 /** @typedef {import('../types/WarpTypesV2.js').PatchV2} PatchV2 */
 
@@ -19,7 +21,9 @@ import { decodePatchMessage, detectMessageKind } from '../services/WarpMessageCo
  * Returns all patch SHAs that affected a given node or edge.
  *
  * "Affected" means the patch either read from or wrote to the entity
- * (based on the patch's I/O declarations from HG/IO/1).
+ * (based on the patch's I/O declarations from HG/IO/1). For a node that
+ * was merged with others (`builder.mergeNodes()`), the patches of every
+ * node in the merge are included.
  *
  * If `autoMaterialize` is enabled, this will automatically materialize
  * the state if dirty. Otherwise, call `materialize()` first.
@@ -43,7 +47,13 @@ export async function patchesFor(entityId) {
       code: 'E_NO_STATE',
     });
   }
-  return this._provenanceIndex.patchesFor(entityId);
+  const index = this._provenanceIndex;
+  const state = /** @type {import('../services/JoinReducer.js').WarpStateV5} */ (this._logicalState());
+  const members = aliasClass(state, entityId);
+  if (members.length === 1) {
+    return index.patchesFor(entityId);
+  }
+  return [...new Set(members.flatMap((id) => index.patchesFor(id)))].sort();
 }
 
 /**
@@ -118,7 +128,7 @@ export async function materializeSlice(nodeId, options) {
     this._logTiming('materializeSlice', t0, { metrics: `${sortedPatches.length} patches` });
 
     if (collectReceipts) {
-      const result = /** @type {{state: import('../services/JoinReducer.js').WarpStateV5, receipts: import('../types/TickReceipt.js').TickReceipt[]}} */ (reduceV5(sortedPatches, undefined, { receipts: true }));
+      const result = /** @type {{state: import('../services/JoinReducer.js').WarpStateV5, receipts: import('../types/TickReceipt.js').TickReceipt[]}} */ (reduceV5(sortedPatches, undefined, { receipts: true, mergePolicies: this._mergePolicies }));
       return {
         state: result.state,
         patchCount: sortedPatches.length,
@@ -126,9 +136,13 @@ export async function materializeSlice(nodeId, options) {
       };
     }
 
+    const initialState = createEmptyStateV5();
+    if (this._mergePolicies) {
+      initialState.mergePolicies = this._mergePolicies;
+    }
     const payload = new ProvenancePayload(sortedPatches);
     return {
-      state: payload.replay(),
+      state: payload.replay(initialState),
       patchCount: sortedPatches.length,
     };
   } catch (err) {
@@ -200,6 +214,36 @@ export async function _computeBackwardCone(nodeId) {
   return cone;
 }
 
+/**
+ * Lists concurrent property writes that lost Last-Write-Wins resolution.
+ *
+ * Replays the property writes of every writer's patch chain in the same
+ * EventId order the reducer uses and reports each run of overwrites where
+ * the winning patch had not observed the value it replaced. Sequential
+ * overwrites (the later writer had materialized the earlier value) are not
+ * conflicts. Works directly from the patch chains, so no materialized state
+ * is required. Properties governed by a merge policy are not reported.
+ *
+ * @this {import('../WarpGraph.js').default}
+ * @param {import('../services/ConflictAnalyzer.js').ConflictFilter} [options] - Optional node, key, and Lamport filters
+ * @returns {Promise<import('../services/ConflictAnalyzer.js').PropertyConflict[]>} Conflicts sorted by property, then winning EventId
+ * @throws {Error} If patch loading fails
+ *
+ * @example
+ * const conflicts = await graph.getConflicts({ nodeId: 'doc:1', key: 'title' });
+ * for (const c of conflicts) {
+ *   console.log(`${c.winner.writerId} overwrote ${c.overwritten.map((w) => w.writerId).join(', ')}`);
+ * }
+ */
+export async function getConflicts(options = {}) {
+  const writerIds = await this.discoverWriters();
+  const patches = [];
+  for (const writerId of writerIds) {
+    patches.push(...await this._loadWriterPatches(writerId));
+  }
+  return findConflicts(patches, options, { mergePolicies: this._mergePolicies });
+}
+
 /**
  * Loads a single patch by its SHA.
  *
@@ -23,11 +23,18 @@ import {
 import { compareEventIds } from '../utils/EventId.js';
 import { cloneStateV5 } from '../services/JoinReducer.js';
 import QueryBuilder from '../services/QueryBuilder.js';
+import PatternQuery from '../services/PatternQuery.js';
+import EdgeQuery from '../services/EdgeQuery.js';
+import { compileQueryText } from '../services/QueryTextCompiler.js';
 import ObserverView from '../services/ObserverView.js';
 import { computeTranslationCost } from '../services/TranslationCost.js';
+import { resolveNodeAlias } from '../services/NodeAliases.js';
+import { normalizeTextSearch } from '../services/TextIndexReader.js';
+import { collectEdgeProps } from '../services/EdgeProps.js';
 
 /**
- * Checks if a node exists in the materialized graph state.
+ * Checks if a node exists in the materialized graph state. IDs of nodes
+ * merged into another (`builder.mergeNodes()`) resolve to the survivor.
  *
  * **Requires a cached state.** Call materialize() first if not already cached.
  *
@@ -39,20 +46,41 @@ import { computeTranslationCost } from '../services/TranslationCost.js';
  */
 export async function hasNode(nodeId) {
   await this._ensureFreshState();
-  const s = /** @type {import('../services/JoinReducer.js').WarpStateV5} */ (this._cachedState);
-  return orsetContains(s.nodeAlive, nodeId);
+  const s = /** @type {import('../services/JoinReducer.js').WarpStateV5} */ (this._logicalState());
+  return orsetContains(s.nodeAlive, resolveNodeAlias(s, nodeId));
+}
+
+/**
+ * Resolves a node ID through the alias table written by
+ * `builder.mergeNodes()`, following merge chains to the surviving node.
+ *
+ * @this {import('../WarpGraph.js').default}
+ * @param {string} nodeId - The node ID to resolve
+ * @returns {Promise<string>} The surviving node's ID; `nodeId` itself when it was never merged
+ * @throws {import('../errors/QueryError.js').default} If no cached state exists (code: `E_NO_STATE`)
+ *
+ * @example
+ * await graph.patch((p) => p.mergeNodes('user:alice', 'user:alice-dup'));
+ * await graph.resolveNode('user:alice-dup'); // 'user:alice'
+ */
+export async function resolveNode(nodeId) {
+  await this._ensureFreshState();
+  const s = /** @type {import('../services/JoinReducer.js').WarpStateV5} */ (this._logicalState());
+  return resolveNodeAlias(s, nodeId);
 }
 
 /**
  * Gets all properties for a node from the materialized state.
  *
  * @this {import('../WarpGraph.js').default}
- * @param {string} nodeId - The node ID to get properties for
+ * @param {string} requestedId - The node ID to get properties for; merged IDs resolve to the survivor
  * @returns {Promise<Record<string, unknown>|null>} Object of property key → value, or null if node doesn't exist
  * @throws {import('../errors/QueryError.js').default} If no cached state exists (code: `E_NO_STATE`)
  */
-export async function getNodeProps(nodeId) {
+export async function getNodeProps(requestedId) {
   await this._ensureFreshState();
+  const s = /** @type {import('../services/JoinReducer.js').WarpStateV5} */ (this._logicalState());
+  const nodeId = resolveNodeAlias(s, requestedId);
 
   // ── Indexed fast path (positive results only; stale index falls through) ──
   if (this._propertyReader && this._logicalIndex?.isAlive(nodeId)) {
@@ -68,8 +96,6 @@ export async function getNodeProps(nodeId) {
   }
 
   // ── Linear scan fallback ─────────────────────────────────────────────
-  const s = /** @type {import('../services/JoinReducer.js').WarpStateV5} */ (this._cachedState);
-
   if (!orsetContains(s.nodeAlive, nodeId)) {
     return null;
   }
@@ -90,15 +116,17 @@ export async function getNodeProps(nodeId) {
  * Gets all properties for an edge from the materialized state.
  *
  * @this {import('../WarpGraph.js').default}
- * @param {string} from - Source node ID
- * @param {string} to - Target node ID
+ * @param {string} source - Source node ID
+ * @param {string} target - Target node ID
  * @param {string} label - Edge label
  * @returns {Promise<Record<string, unknown>|null>} Object of property key → value, or null if edge doesn't exist
  * @throws {import('../errors/QueryError.js').default} If no cached state exists (code: `E_NO_STATE`)
  */
-export async function getEdgeProps(from, to, label) {
+export async function getEdgeProps(source, target, label) {
   await this._ensureFreshState();
-  const s = /** @type {import('../services/JoinReducer.js').WarpStateV5} */ (this._cachedState);
+  const s = /** @type {import('../services/JoinReducer.js').WarpStateV5} */ (this._logicalState());
+  const from = resolveNodeAlias(s, source);
+  const to = resolveNodeAlias(s, target);
 
   const edgeKey = encodeEdgeKey(from, to, label);
   if (!orsetContains(s.edgeAlive, edgeKey)) {
@@ -145,14 +173,16 @@ function tagDirection(edges, dir) {
  * Gets neighbors of a node from the materialized state.
  *
  * @this {import('../WarpGraph.js').default}
- * @param {string} nodeId - The node ID to get neighbors for
+ * @param {string} requestedId - The node ID to get neighbors for; merged IDs resolve to the survivor
  * @param {'outgoing' | 'incoming' | 'both'} [direction='both'] - Edge direction to follow
  * @param {string} [edgeLabel] - Optional edge label filter
  * @returns {Promise<Array<{nodeId: string, label: string, direction: 'outgoing' | 'incoming'}>>} Array of neighbor info
  * @throws {import('../errors/QueryError.js').default} If no cached state exists (code: `E_NO_STATE`)
  */
-export async function neighbors(nodeId, direction = 'both', edgeLabel = undefined) {
+export async function neighbors(requestedId, direction = 'both', edgeLabel = undefined) {
   await this._ensureFreshState();
+  const s = /** @type {import('../services/JoinReducer.js').WarpStateV5} */ (this._logicalState());
+  const nodeId = resolveNodeAlias(s, requestedId);
 
   // ── Indexed fast path (only when node is in index; stale falls through) ──
   const provider = this._materializedGraph?.provider;
@@ -166,7 +196,7 @@ export async function neighbors(nodeId, direction = 'both', edgeLabel = undefine
   }
 
   // ── Linear scan fallback ─────────────────────────────────────────────
-  return _linearNeighbors(/** @type {import('../services/JoinReducer.js').WarpStateV5} */ (this._cachedState), nodeId, direction, edgeLabel);
+  return _linearNeighbors(s, nodeId, direction, edgeLabel);
 }
 
 /**
@@ -250,7 +280,7 @@ export async function getStateSnapshot() {
  */
 export async function getNodes() {
   await this._ensureFreshState();
-  const s = /** @type {import('../services/JoinReducer.js').WarpStateV5} */ (this._cachedState);
+  const s = /** @type {import('../services/JoinReducer.js').WarpStateV5} */ (this._logicalState());
   return [...orsetElements(s.nodeAlive)];
 }
 
@@ -263,28 +293,9 @@ export async function getNodes() {
  */
 export async function getEdges() {
   await this._ensureFreshState();
-  const s = /** @type {import('../services/JoinReducer.js').WarpStateV5} */ (this._cachedState);
+  const s = /** @type {import('../services/JoinReducer.js').WarpStateV5} */ (this._logicalState());
 
-  const edgePropsByKey = new Map();
-  for (const [propKey, register] of s.prop) {
-    if (!isEdgePropKey(propKey)) {
-      continue;
-    }
-    const decoded = decodeEdgePropKey(propKey);
-    const ek = encodeEdgeKey(decoded.from, decoded.to, decoded.label);
-
-    const birthEvent = s.edgeBirthEvent?.get(ek);
-    if (birthEvent && register.eventId && compareEventIds(register.eventId, birthEvent) < 0) {
-      continue;
-    }
-
-    let bag = edgePropsByKey.get(ek);
-    if (!bag) {
-      bag = Object.create(null);
-      edgePropsByKey.set(ek, bag);
-    }
-    bag[decoded.propKey] = register.value;
-  }
+  const edgePropsByKey = collectEdgeProps(s);
 
   const edges = [];
   for (const edgeKey of orsetElements(s.edgeAlive)) {
@@ -307,10 +318,35 @@ export async function getEdges() {
  */
 export async function getPropertyCount() {
   await this._ensureFreshState();
-  const s = /** @type {import('../services/JoinReducer.js').WarpStateV5} */ (this._cachedState);
+  const s = /** @type {import('../services/JoinReducer.js').WarpStateV5} */ (this._logicalState());
   return s.prop.size;
 }
 
+/**
+ * Validates the materialized graph against the schema passed to
+ * `WarpGraph.open({ graphSchema })`.
+ *
+ * Commits are validated before they are written, but patches from other
+ * writers (e.g. via `syncWith()`) cannot be rejected after the fact. This
+ * reports every violation in the current state, wherever it came from.
+ *
+ * @this {import('../WarpGraph.js').default}
+ * @returns {Promise<import('../services/GraphSchema.js').SchemaViolation[]>} Violations, node violations
+ *   first (by node ID), then edge violations (by edge); empty when the graph has no schema
+ * @throws {import('../errors/QueryError.js').default} If no cached state exists (code: `E_NO_STATE`)
+ *
+ * @example
+ * await graph.syncWith(remote);
+ * for (const v of await graph.validateSchema()) {
+ *   console.warn(v.code, v.message);
+ * }
+ */
+export async function validateSchema() {
+  await this._ensureFreshState();
+  const s = /** @type {import('../services/JoinReducer.js').WarpStateV5} */ (this._logicalState());
+  return this._graphSchema ? this._graphSchema.validateState(s) : [];
+}
+
 /**
  * Creates a fluent query builder for the logical graph.
  *
@@ -321,13 +357,158 @@ export function query() {
   return new QueryBuilder(this);
 }
 
+/**
+ * Creates a query builder from a text query.
+ *
+ * The text is a Cypher-like subset compiled onto the same pipeline as
+ * {@link query}: a MATCH path of node patterns and hops, an optional WHERE
+ * clause, and a RETURN clause projecting or aggregating the last node
+ * (grouped by any projection next to the aggregates).
+ *
+ * @this {import('../WarpGraph.js').default}
+ * @param {string} text - The query text
+ * @returns {import('../services/QueryBuilder.js').default} A query builder ready to `run()`
+ * @throws {import('../errors/QueryError.js').default} On syntax errors (code: E_QUERY_SYNTAX)
+ *   or queries the pipeline cannot express (code: E_QUERY_UNSUPPORTED)
+ *
+ * @example
+ * const { nodes } = await graph
+ *   .queryText("MATCH (u:user:*)-[:follows*1..3]->(v) WHERE u.age > 30 RETURN v.id")
+ *   .run();
+ *
+ * @example
+ * const { groups } = await graph
+ *   .queryText('MATCH (u:user:*)-[:follows*1..3]->(v) WHERE u.age > 30 RETURN v.id, count(*)')
+ *   .run();
+ */
+export function queryText(text) {
+  return compileQueryText(new QueryBuilder(this), text);
+}
+
+/**
+ * Creates a fluent query over edges.
+ *
+ * Edges are selected by label, by ID patterns for their endpoints, and by
+ * predicates over their properties; results carry each edge's properties.
+ * Label filtering reads the logical index's per-label bitmaps.
+ *
+ * @this {import('../WarpGraph.js').default}
+ * @returns {import('../services/EdgeQuery.js').default} A fluent edge query
+ *
+ * @example
+ * const { edges } = await graph.queryEdges()
+ *   .label('assigned')
+ *   .where({ props: { weight: { gt: 3 } } })
+ *   .from('user:*')
+ *   .run();
+ */
+export function queryEdges() {
+  return new EdgeQuery(this);
+}
+
+/**
+ * Creates a pattern query binding several named variables at once.
+ *
+ * Each variable gets a node ID pattern (the same globs as
+ * `query().match()`); `edge()` constrains pairs of variables and `where()`
+ * filters a variable's nodes or whole rows. `run()` returns one row per
+ * binding that satisfies every constraint. Variables may repeat across
+ * edges, so cycles and self-loops can be expressed.
+ *
+ * @this {import('../WarpGraph.js').default}
+ * @param {Record<string, string|string[]>} variables - Variable name → node ID pattern(s)
+ * @returns {import('../services/PatternQuery.js').default} A pattern query
+ * @throws {import('../errors/QueryError.js').default} If variables is not a non-empty object of
+ *   patterns (code: E_QUERY_MATCH_TYPE)
+ *
+ * @example
+ * const { rows } = await graph.match({ a: 'user:*', b: 'repo:*' })
+ *   .edge('a', 'owns', 'b')
+ *   .where('b', { props: { stars: { gte: 100 } } })
+ *   .run();
+ * // [{ a: 'user:alice', b: 'repo:warp' }, ...]
+ */
+export function match(variables) {
+  return new PatternQuery(this, variables);
+}
+
+/**
+ * Searches the string properties covered by the full-text index, ranking
+ * matches with BM25.
+ *
+ * Requires the graph to be opened with `textIndex: { fields }`. Query text
+ * is tokenized with the index's analyzer; a term followed by `*` matches as
+ * a prefix. With `match: 'or'` (default) a node matches if it holds one of
+ * the query terms, with `match: 'and'` only if it holds every one.
+ *
+ * Results describe the state queries currently see, including a
+ * `seek`/`materialize({ ceiling })` ceiling or a `materializeAt()` state.
+ *
+ * @this {import('../WarpGraph.js').default}
+ * @param {string} text - Query text
+ * @param {{ fields?: string[], match?: 'or'|'and', limit?: number }} [options] - `fields` defaults to
+ *   every indexed field; `limit` caps the number of hits
+ * @returns {Promise<{ stateHash: string, hits: import('../services/TextIndexReader.js').TextSearchHit[] }>}
+ *   Hits sorted by score (descending), then node ID
+ * @throws {import('../errors/QueryError.js').default} If text or options are malformed (code: E_QUERY_SEARCH_TYPE)
+ * @throws {import('../errors/QueryError.js').default} If no text index is configured or a field is not
+ *   indexed (code: E_QUERY_SEARCH_FIELD)
+ *
+ * @example
+ * const { hits } = await graph.search('replicat* git', { fields: ['title'], match: 'and' });
+ * // [{ id: 'doc:42', score: 3.17 }, ...]
+ */
+export async function search(text, options = {}) {
+  const spec = normalizeTextSearch(text, options, this._textIndexConfig);
+  const materialized = await this._materializeGraph();
+  const hits = await this._searchText(spec, materialized);
+  return { stateHash: materialized.stateHash, hits };
+}
+
+/**
+ * Runs a validated text search against a materialized view.
+ *
+ * Uses the text index built alongside the view when it matches the graph's
+ * text index configuration; otherwise (an index restored from a checkpoint
+ * or seek cache written under other settings) indexes the view in memory
+ * and keeps that index until the state changes.
+ *
+ * @this {import('../WarpGraph.js').default}
+ * @param {import('../services/TextIndexReader.js').TextSearch} spec - From normalizeTextSearch()
+ * @param {{ state: import('../services/JoinReducer.js').WarpStateV5, stateHash: string }} materialized - View being queried
+ * @returns {Promise<import('../services/TextIndexReader.js').TextSearchHit[]>}
+ * @private
+ */
+export async function _searchText({ text, fields, match: mode, limit }, { state, stateHash }) {
+  const sameView = this._cachedViewHash === stateHash;
+  let reader = sameView ? this._textIndex : null;
+  if (!reader || !(await reader.isCurrent().catch(() => false))) {
+    reader = /** @type {import('../services/TextIndexReader.js').default} */ (this._viewService.buildTextIndex(state));
+    if (sameView) {
+      this._textIndex = reader;
+    }
+  }
+  return await reader.search(text, { fields, match: mode, limit });
+}
+
 /**
  * Creates a read-only observer view of the current materialized state.
  *
+ * `config.where` narrows the view to nodes satisfying a declarative
+ * predicate (the object form of `QueryBuilder.where()`), evaluated over
+ * the properties the observer can see.
+ *
  * @this {import('../WarpGraph.js').default}
  * @param {string} name - Observer name
- * @param {{ match: string|string[], expose?: string[], redact?: string[] }} config - Observer configuration
+ * @param {import('../services/TranslationCost.js').ObserverConfig} config - Observer configuration
  * @returns {Promise<import('../services/ObserverView.js').default>} A read-only observer view
+ * @throws {import('../errors/QueryError.js').default} If `config.where` is malformed (code: E_QUERY_PREDICATE)
+ *
+ * @example
+ * const open = await graph.observer('open-tickets', {
+ *   match: 'ticket:*',
+ *   where: { props: { status: { in: ['open', 'triage'] } } },
+ * });
  */
 export async function observer(name, config) {
   /** @param {unknown} m */
@@ -343,13 +524,13 @@ export async function observer(name, config) {
  * Computes the directed MDL translation cost from observer A to observer B.
  *
  * @this {import('../WarpGraph.js').default}
- * @param {{ match: string|string[], expose?: string[], redact?: string[] }} configA - Observer configuration for A
- * @param {{ match: string|string[], expose?: string[], redact?: string[] }} configB - Observer configuration for B
+ * @param {import('../services/TranslationCost.js').ObserverConfig} configA - Observer configuration for A
+ * @param {import('../services/TranslationCost.js').ObserverConfig} configB - Observer configuration for B
  * @returns {Promise<{cost: number, breakdown: {nodeLoss: number, edgeLoss: number, propLoss: number}}>}
  */
 export async function translationCost(configA, configB) {
   await this._ensureFreshState();
-  const s = /** @type {import('../services/JoinReducer.js').WarpStateV5} */ (this._cachedState);
+  const s = /** @type {import('../services/JoinReducer.js').WarpStateV5} */ (this._logicalState());
   return computeTranslationCost(configA, configB, s);
 }
 
@@ -396,10 +577,11 @@ function visibleEdgeRegister(register, birthEvent) {
  * Looks up the current node attachment registers directly from materialized state.
  *
  * @param {import('../services/JoinReducer.js').WarpStateV5} state
- * @param {string} nodeId
+ * @param {string} requestedId
  * @returns {{ contentRegister: { eventId: import('../utils/EventId.js').EventId|null, value: string }, mimeRegister: { eventId: import('../utils/EventId.js').EventId|null, value: unknown }|null, sizeRegister: { eventId: import('../utils/EventId.js').EventId|null, value: unknown }|null }|null}
  */
-function getNodeContentRegisters(state, nodeId) {
+function getNodeContentRegisters(state, requestedId) {
+  const nodeId = resolveNodeAlias(state, requestedId);
   if (!orsetContains(state.nodeAlive, nodeId)) {
     return null;
   }
@@ -418,12 +600,14 @@ function getNodeContentRegisters(state, nodeId) {
  * Looks up the current edge attachment registers directly from materialized state.
  *
  * @param {import('../services/JoinReducer.js').WarpStateV5} state
- * @param {string} from
- * @param {string} to
+ * @param {string} source
+ * @param {string} target
  * @param {string} label
  * @returns {{ contentRegister: { eventId: import('../utils/EventId.js').EventId|null, value: string }, mimeRegister: { eventId: import('../utils/EventId.js').EventId|null, value: unknown }|null, sizeRegister: { eventId: import('../utils/EventId.js').EventId|null, value: unknown }|null }|null}
  */
-function getEdgeContentRegisters(state, from, to, label) {
+function getEdgeContentRegisters(state, source, target, label) {
+  const from = resolveNodeAlias(state, source);
+  const to = resolveNodeAlias(state, target);
   const edgeKey = encodeEdgeKey(from, to, label);
   if (!orsetContains(state.edgeAlive, edgeKey)) {
     return null;
@@ -493,7 +677,7 @@ function extractContentMeta(contentRegister, mimeRegister, sizeRegister) {
  */
 export async function getContentOid(nodeId) {
   await this._ensureFreshState();
-  const s = /** @type {import('../services/JoinReducer.js').WarpStateV5} */ (this._cachedState);
+  const s = /** @type {import('../services/JoinReducer.js').WarpStateV5} */ (this._logicalState());
   const registers = getNodeContentRegisters(s, nodeId);
   return registers?.contentRegister.value ?? null;
 }
@@ -508,7 +692,7 @@ export async function getContentOid(nodeId) {
  */
 export async function getContentMeta(nodeId) {
   await this._ensureFreshState();
-  const s = /** @type {import('../services/JoinReducer.js').WarpStateV5} */ (this._cachedState);
+  const s = /** @type {import('../services/JoinReducer.js').WarpStateV5} */ (this._logicalState());
   const registers = getNodeContentRegisters(s, nodeId);
   return registers
     ? extractContentMeta(registers.contentRegister, registers.mimeRegister, registers.sizeRegister)
@@ -531,7 +715,7 @@ export async function getContentMeta(nodeId) {
  */
 export async function getContent(nodeId) {
   await this._ensureFreshState();
-  const s = /** @type {import('../services/JoinReducer.js').WarpStateV5} */ (this._cachedState);
+  const s = /** @type {import('../services/JoinReducer.js').WarpStateV5} */ (this._logicalState());
   const registers = getNodeContentRegisters(s, nodeId);
   if (!registers) {
     return null;
@@ -555,7 +739,7 @@ export async function getContent(nodeId) {
  */
 export async function getEdgeContentOid(from, to, label) {
   await this._ensureFreshState();
-  const s = /** @type {import('../services/JoinReducer.js').WarpStateV5} */ (this._cachedState);
+  const s = /** @type {import('../services/JoinReducer.js').WarpStateV5} */ (this._logicalState());
   const registers = getEdgeContentRegisters(s, from, to, label);
   return registers?.contentRegister.value ?? null;
 }
@@ -572,7 +756,7 @@ export async function getEdgeContentOid(from, to, label) {
  */
 export async function getEdgeContentMeta(from, to, label) {
   await this._ensureFreshState();
-  const s = /** @type {import('../services/JoinReducer.js').WarpStateV5} */ (this._cachedState);
+  const s = /** @type {import('../services/JoinReducer.js').WarpStateV5} */ (this._logicalState());
   const registers = getEdgeContentRegisters(s, from, to, label);
   return registers
     ? extractContentMeta(registers.contentRegister, registers.mimeRegister, registers.sizeRegister)
@@ -597,7 +781,7 @@ export async function getEdgeContentMeta(from, to, label) {
  */
 export async function getEdgeContent(from, to, label) {
   await this._ensureFreshState();
-  const s = /** @type {import('../services/JoinReducer.js').WarpStateV5} */ (this._cachedState);
+  const s = /** @type {import('../services/JoinReducer.js').WarpStateV5} */ (this._logicalState());
   const registers = getEdgeContentRegisters(s, from, to, label);
   if (!registers) {
     return null;
@@ -5,8 +5,62 @@
  * Each function is bound to a WarpGraph instance at runtime via `this`.
  */
 
-import { diffStates, isEmptyDiff } from '../services/StateDiff.js';
+import { diffStates, isEmptyDiff, touchedNodes } from '../services/StateDiff.js';
 import { matchGlob } from '../utils/matchGlob.js';
+import { compileNodePredicate } from '../services/NodePredicate.js';
+import { decodePropKey, isEdgePropKey } from '../services/KeyCodec.js';
+
+/** @typedef {import('../services/StateDiff.js').StateDiffResult} StateDiffResult */
+
+/**
+ * Reads the properties of the given nodes from a state.
+ *
+ * @param {import('../services/JoinReducer.js').WarpStateV5|null} state
+ * @param {string[]} nodeIds
+ * @returns {Map<string, Record<string, unknown>>}
+ */
+function collectNodeProps(state, nodeIds) {
+  /** @type {Map<string, Record<string, unknown>>} */
+  const props = new Map(nodeIds.map((id) => [id, {}]));
+  for (const [key, register] of state ? state.prop : []) {
+    if (isEdgePropKey(key)) {
+      continue;
+    }
+    const { nodeId, propKey } = decodePropKey(key);
+    const record = props.get(nodeId);
+    if (record) {
+      record[propKey] = register.value;
+    }
+  }
+  return props;
+}
+
+/**
+ * Finds the nodes a watch predicate admits: those satisfying it before or
+ * after the change, so nodes entering and leaving the filtered set are
+ * both reported. Properties after the change are the ones before it with
+ * the diff applied.
+ *
+ * @param {import('../services/NodePredicate.js').CompiledPredicate} where
+ * @param {{ diff: StateDiffResult, before: import('../services/JoinReducer.js').WarpStateV5|null, nodeIds: string[] }} change
+ * @returns {Set<string>}
+ */
+function admittedNodes(where, { diff, before, nodeIds }) {
+  const beforeProps = collectNodeProps(before, nodeIds);
+  const afterProps = new Map([...beforeProps].map(([id, props]) => [id, { ...props }]));
+  for (const { nodeId, propKey, newValue } of diff.props.set) {
+    const props = afterProps.get(nodeId);
+    if (props) {
+      props[propKey] = newValue;
+    }
+  }
+  for (const { nodeId, propKey } of diff.props.removed) {
+    delete afterProps.get(nodeId)?.[propKey];
+  }
+  return new Set(nodeIds.filter((id) =>
+    where({ id, props: /** @type {Record<string, unknown>} */ (beforeProps.get(id)) })
+    || where({ id, props: /** @type {Record<string, unknown>} */ (afterProps.get(id)) })));
+}
 
 /**
  * Subscribes to graph changes.
@@ -59,7 +113,7 @@ export function subscribe({ onChange, onError, replay = false }) {
 
   // Immediate replay if requested and cached state is available
   if (replay && this._cachedState) {
-    const diff = diffStates(null, this._cachedState);
+    const diff = diffStates(null, /** @type {import('../services/JoinReducer.js').WarpStateV5} */ (this._logicalState()));
     if (!isEmptyDiff(diff)) {
       try {
         onChange(diff);
@@ -95,6 +149,11 @@ export function subscribe({ onChange, onError, replay = false }) {
  * - Edges: filters to edges where `from` or `to` matches the pattern
  * - Props: filters to properties where `nodeId` matches the pattern
  *
+ * With `where`, a declarative node predicate (the object form of
+ * `QueryBuilder.where()`), changes are further limited to nodes that
+ * satisfy it before or after the change, so a node that stops matching
+ * (e.g. a ticket closing) is still reported once.
+ *
  * If all changes are filtered out, the handler is not called.
  *
  * When `poll` is set, periodically checks `hasFrontierChanged()` and auto-materializes
@@ -106,11 +165,12 @@ export function subscribe({ onChange, onError, replay = false }) {
  * @stability stable
  * @this {import('../WarpGraph.js').default}
  * @param {string|string[]} pattern - Glob pattern(s) (e.g., 'user:*', 'order:123', '*')
- * @param {{ onChange: (diff: import('../services/StateDiff.js').StateDiffResult) => void, onError?: (error: unknown) => void, poll?: number }} options - Watch options
+ * @param {{ onChange: (diff: StateDiffResult) => void, onError?: (error: unknown) => void, poll?: number, where?: import('../services/NodePredicate.js').NodePredicateSpec }} options - Watch options
  * @returns {{unsubscribe: () => void}} Subscription handle
  * @throws {Error} If pattern is not a string or array of strings
  * @throws {Error} If onChange is not a function
  * @throws {Error} If poll is provided but less than 1000
+ * @throws {import('../errors/QueryError.js').default} If `where` is malformed (code: E_QUERY_PREDICATE)
  *
  * @example
  * const { unsubscribe } = graph.watch('user:*', {
@@ -129,8 +189,15 @@ export function subscribe({ onChange, onError, replay = false }) {
  *
  * // Later, to stop receiving updates:
  * unsubscribe();
+ *
+ * @example
+ * // Only tickets that are (or just stopped being) high priority
+ * graph.watch('ticket:*', {
+ *   where: { props: { priority: { gte: 3 } } },
+ *   onChange: (diff) => console.log(diff.props.set),
+ * });
  */
-export function watch(pattern, { onChange, onError, poll }) {
+export function watch(pattern, { onChange, onError, poll, where: whereSpec }) {
   const isValidPattern = (/** @type {string|string[]} */ p) => typeof p === 'string' || (Array.isArray(p) && p.length > 0 && p.every(i => typeof i === 'string'));
   if (!isValidPattern(pattern)) {
     throw new Error('pattern must be a non-empty string or non-empty array of strings');
@@ -144,12 +211,18 @@ export function watch(pattern, { onChange, onError, poll }) {
     }
   }
 
-  // Pattern matching logic
-  /** @type {(nodeId: string) => boolean} */
-  const matchesPattern = (nodeId) => matchGlob(pattern, nodeId);
+  const where = whereSpec === undefined ? null : compileNodePredicate(whereSpec);
 
   // Filtered onChange that only passes matching changes
-  const filteredOnChange = (/** @type {import('../services/StateDiff.js').StateDiffResult} */ diff) => {
+  const filteredOnChange = (/** @type {StateDiffResult} */ diff) => {
+    /** @type {(nodeId: string) => boolean} */
+    let matchesPattern = (nodeId) => matchGlob(pattern, nodeId);
+    if (where) {
+      const nodeIds = touchedNodes(diff).filter(matchesPattern);
+      const admitted = admittedNodes(where, { diff, before: this._lastNotifiedState, nodeIds });
+      matchesPattern = (nodeId) => admitted.has(nodeId);
+    }
+
     const filteredDiff = {
       nodes: {
         added: diff.nodes.added.filter(matchesPattern),
@@ -166,15 +239,7 @@ export function watch(pattern, { onChange, onError, poll }) {
     };
 
     // Only call handler if there are matching changes
-    const hasChanges =
-      filteredDiff.nodes.added.length > 0 ||
-      filteredDiff.nodes.removed.length > 0 ||
-      filteredDiff.edges.added.length > 0 ||
-      filteredDiff.edges.removed.length > 0 ||
-      filteredDiff.props.set.length > 0 ||
-      filteredDiff.props.removed.length > 0;
-
-    if (hasChanges) {
+    if (!isEmptyDiff(filteredDiff)) {
       onChange(filteredDiff);
     }
   };
@@ -1,6 +1,7 @@
 /**
  * ASCII renderer for the `path --view` command.
- * Displays the shortest path between two nodes as a connected chain.
+ * Displays the shortest path between two nodes as a connected chain, or
+ * with `path --k` the ranked shortest paths one below the other.
  */
 
 import stringWidth from 'string-width';
@@ -191,9 +192,40 @@ function renderFoundPath(payload, terminalWidth = DEFAULT_TERMINAL_WIDTH) {
   });
 }
 
+/**
+ * Renders several ranked paths, shortest first.
+ * @param {{ graph: string, from: string, to: string, paths: Array<{path: string[], length: number}> }} payload - Path payload
+ * @param {number} [terminalWidth] - Terminal width for wrapping
+ * @returns {string} Formatted ASCII output
+ */
+function renderRankedPaths(payload, terminalWidth = DEFAULT_TERMINAL_WIDTH) {
+  const { graph, from, to, paths } = payload;
+  const maxWidth = Math.max(40, terminalWidth - BOX_PADDING - 6);
+  const rankWidth = String(paths.length).length + 1;
+
+  const lines = [
+    `  Graph:  ${colors.muted(graph || 'unknown')}`,
+    `  Paths:  ${colors.success(String(paths.length))}`,
+  ];
+
+  paths.forEach(({ path, length }, i) => {
+    const hopLabel = length === 1 ? 'hop' : 'hops';
+    lines.push('', `  ${colors.primary(`#${i + 1}`.padEnd(rankWidth))} ${colors.muted(`${length} ${hopLabel}`)}`);
+    for (const line of buildPathLines(path, undefined, maxWidth)) {
+      lines.push(`    ${line}`);
+    }
+  });
+
+  return createBox(lines.join('\n'), {
+    title: `PATHS: ${from || '?'} ${ARROW.right} ${to || '?'}`,
+    titleAlignment: 'center',
+    borderColor: 'green',
+  });
+}
+
 /**
  * Renders the path view.
- * @param {{ graph: string, from: string, to: string, found: boolean, path: string[], length: number, edges?: string[] }} payload - The path command payload
+ * @param {{ graph: string, from: string, to: string, found: boolean, path: string[], length: number, edges?: string[], paths?: Array<{path: string[], length: number}> }} payload - The path command payload
  * @param {{ terminalWidth?: number }} [options] - Rendering options
  * @returns {string} Formatted ASCII output
  */
@@ -215,6 +247,11 @@ export function renderPathView(payload, options = {}) {
     return `${renderSameNode(path[0])}\n`;
   }
 
+  // Render several ranked paths (path --k)
+  if (payload.paths && payload.paths.length > 1) {
+    return `${renderRankedPaths({ ...payload, paths: payload.paths }, terminalWidth)}\n`;
+  }
+
   // Render the found path
   return `${renderFoundPath(payload, terminalWidth)}\n`;
 }
@@ -0,0 +1,64 @@
+/**
+ * ASCII renderer for `query --explain`.
+ *
+ * Renders the plan returned by `QueryBuilder.explain()` as a table, one row
+ * per step, followed by the cache summary and total time.
+ */
+
+import { createTable } from './table.js';
+import { truncate } from '../../utils/truncate.js';
+import { formatNumber } from './formatters.js';
+
+/** Widest the detail column may grow before it is truncated. */
+const DETAIL_WIDTH = 48;
+
+/**
+ * @param {number} ms
+ * @returns {string} Milliseconds with two decimals
+ */
+function formatMs(ms) {
+  return ms.toFixed(2);
+}
+
+/**
+ * @param {{ hits: number, misses: number }} counts
+ * @returns {string} e.g. "3 hits, 1 miss"
+ */
+function formatLookups({ hits, misses }) {
+  return `${formatNumber(hits)} ${hits === 1 ? 'hit' : 'hits'}, ${formatNumber(misses)} ${misses === 1 ? 'miss' : 'misses'}`;
+}
+
+/**
+ * Renders a query plan as a table with a cache and timing summary.
+ *
+ * @param {import('../../../domain/services/QueryProfiler.js').QueryPlan} plan
+ * @returns {string} The table and summary lines, without a trailing newline
+ */
+export function renderQueryPlan(plan) {
+  const table = createTable({
+    head: ['#', 'Step', 'Detail', 'Access', 'Est.', 'Rows', 'Props', 'Memo hits', 'ms'],
+    colAligns: ['right', 'left', 'left', 'left', 'right', 'right', 'right', 'right', 'right'],
+  });
+  plan.steps.forEach((step, i) => {
+    table.push([
+      String(i + 1),
+      step.op,
+      truncate(step.detail, DETAIL_WIDTH),
+      step.access,
+      formatNumber(step.estimated),
+      formatNumber(step.actual),
+      formatNumber(step.propsLoaded),
+      formatNumber(step.propsCacheHits),
+      formatMs(step.durationMs),
+    ]);
+  });
+
+  const { props, adjacency } = plan.caches;
+  return [
+    table.toString(),
+    `Rows: ${formatNumber(plan.rows)}`,
+    `Props memo: ${formatLookups(props)}`,
+    `Adjacency cache: ${adjacency ? formatLookups(adjacency) : 'disabled'}`,
+    `Total: ${formatMs(plan.durationMs)} ms`,
+  ].join('\n');
+}
@@ -0,0 +1,69 @@
+#!/usr/bin/env bats
+
+load helpers/setup.bash
+
+setup() {
+  setup_test_repo
+  seed_graph "seed-graph.js"
+}
+
+teardown() {
+  teardown_test_repo
+}
+
+@test "analyze ranks nodes by PageRank by default" {
+  run git warp --repo "${TEST_REPO}" --graph demo --json analyze
+  assert_success
+
+  JSON="$output" python3 - <<'PY'
+import json, os
+data = json.loads(os.environ["JSON"])
+assert data["measure"] == "pagerank"
+assert data["converged"] is True
+assert data["nodeCount"] == 3
+assert [s["id"] for s in data["scores"]] == ["user:carol", "user:bob", "user:alice"]
+assert abs(sum(s["score"] for s in data["scores"]) - 1) < 1e-9
+PY
+}
+
+@test "analyze --measure betweenness finds the node in the middle" {
+  run git warp --repo "${TEST_REPO}" --graph demo --json analyze \
+    --measure betweenness --label follows --top 1
+  assert_success
+
+  JSON="$output" python3 - <<'PY'
+import json, os
+data = json.loads(os.environ["JSON"])
+assert data["labels"] == ["follows"]
+assert data["scores"] == [{"id": "user:bob", "score": 0.5}]
+PY
+}
+
+@test "analyze --seed personalizes PageRank" {
+  run git warp --repo "${TEST_REPO}" --graph demo --json analyze --seed user:bob
+  assert_success
+
+  JSON="$output" python3 - <<'PY'
+import json, os
+data = json.loads(os.environ["JSON"])
+assert data["seeds"] == ["user:bob"]
+assert sorted(s["id"] for s in data["scores"]) == ["user:bob", "user:carol"]
+PY
+}
+
+@test "analyze text output lists ranked scores" {
+  run git warp --repo "${TEST_REPO}" --graph demo analyze --measure closeness --dir in
+  assert_success
+  echo "$output" | grep -q "Measure: closeness (dir: in)"
+  echo "$output" | grep -q "1. user:carol"
+}
+
+@test "analyze rejects --seed with other measures" {
+  run git warp --repo "${TEST_REPO}" --graph demo analyze --measure degree --seed user:bob
+  assert_failure
+}
+
+@test "analyze --seed on a missing node exits 2" {
+  run git warp --repo "${TEST_REPO}" --graph demo analyze --seed user:nobody
+  [ "$status" -eq 2 ]
+}
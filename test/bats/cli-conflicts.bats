@@ -0,0 +1,54 @@
+#!/usr/bin/env bats
+
+load helpers/setup.bash
+
+setup() {
+  setup_test_repo
+  seed_graph "seed-conflicts.js"
+}
+
+teardown() {
+  teardown_test_repo
+}
+
+@test "conflicts --json lists concurrent writes" {
+  run git warp --repo "${TEST_REPO}" --graph demo --json conflicts
+  assert_success
+
+  JSON="$output" python3 - <<'PY'
+import json, os
+data = json.loads(os.environ["JSON"])
+assert len(data["conflicts"]) == 1
+c = data["conflicts"][0]
+assert c["nodeId"] == "doc:1"
+assert c["key"] == "title"
+assert c["winner"]["writerId"] == "bob"
+assert c["winner"]["value"] == "Final"
+assert [w["value"] for w in c["overwritten"]] == ["Draft"]
+PY
+}
+
+@test "conflicts --key filters by property key" {
+  run git warp --repo "${TEST_REPO}" --graph demo --json conflicts --key status
+  assert_success
+
+  JSON="$output" python3 - <<'PY'
+import json, os
+data = json.loads(os.environ["JSON"])
+assert data["conflicts"] == []
+assert data["filter"]["key"] == "status"
+PY
+}
+
+@test "conflicts text output shows kept and lost values" {
+  run git warp --repo "${TEST_REPO}" --graph demo conflicts --node doc:1
+  assert_success
+  echo "$output" | grep -q "Conflicts: 1"
+  echo "$output" | grep -q 'kept  "Final" by bob'
+  echo "$output" | grep -q 'lost  "Draft" by alice'
+}
+
+@test "conflicts rejects a negative --since" {
+  run git warp --repo "${TEST_REPO}" --graph demo conflicts --since=-1
+  assert_failure
+}
@@ -97,3 +97,20 @@ PY
   _run_json git warp --repo "${TEST_REPO}" --graph demo --json doctor --strict
   [ "$status" -eq 4 ]
 }
+
+@test "doctor --cycles adds a graph-acyclic finding" {
+  run git warp --repo "${TEST_REPO}" install-hooks
+  assert_success
+
+  _run_json git warp --repo "${TEST_REPO}" --graph demo --json doctor --cycles --label follows
+  [ "$status" -eq 0 ]
+
+  JSON="$output" python3 - <<'PY'
+import json, os
+data = json.loads(os.environ["JSON"])
+assert data["summary"]["checksRun"] == 8
+finding = next(f for f in data["findings"] if f["id"] == "graph-acyclic")
+assert finding["code"] == "GRAPH_ACYCLIC"
+assert finding["evidence"]["labels"] == ["follows"]
+PY
+}
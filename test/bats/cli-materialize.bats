@@ -58,3 +58,19 @@ assert len(data["graphs"]) == 1
 assert data["graphs"][0]["graph"] == "demo"
 PY
 }
+
+@test "materialize keeps the merge policies recorded in the checkpoint" {
+  seed_graph "seed-merge-policies.js"
+
+  run git warp --repo "${TEST_REPO}" --graph policies --json materialize
+  assert_success
+
+  run git warp --repo "${TEST_REPO}" --graph policies --json query --match doc --select props
+  assert_success
+
+  JSON="$output" python3 - <<'PY'
+import json, os
+data = json.loads(os.environ["JSON"])
+assert data["nodes"][0]["props"] == {"version": 7}, data
+PY
+}
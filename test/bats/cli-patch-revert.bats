@@ -0,0 +1,49 @@
+#!/usr/bin/env bats
+
+load helpers/setup.bash
+
+setup() {
+  setup_test_repo
+  seed_graph "seed-revert.js"
+}
+
+teardown() {
+  teardown_test_repo
+}
+
+last_patch_sha() {
+  git warp --repo "${TEST_REPO}" --graph demo --json patch list \
+    | python3 -c 'import json, sys; print(json.load(sys.stdin)["entries"][-1]["fullSha"])'
+}
+
+@test "patch revert restores the previous value" {
+  SHA="$(last_patch_sha)"
+  run git warp --repo "${TEST_REPO}" --graph demo --json patch revert "${SHA:0:8}"
+  assert_success
+
+  JSON="$output" SHA="$SHA" python3 - <<'PY'
+import json, os
+data = json.loads(os.environ["JSON"])
+assert data["reverted"] == os.environ["SHA"]
+assert len(data["sha"]) == 40
+PY
+
+  run git warp --repo "${TEST_REPO}" --graph demo --json query --match 'doc:*' --select props
+  assert_success
+  echo "$output" | grep -q '"title": "Draft"'
+}
+
+@test "patch revert refuses a superseded patch without --force" {
+  SHA="$(last_patch_sha)"
+  run git warp --repo "${TEST_REPO}" --graph demo patch revert "$SHA"
+  assert_success
+
+  run git warp --repo "${TEST_REPO}" --graph demo patch revert "$SHA"
+  assert_failure
+  echo "$output" | grep -q "Use --force"
+}
+
+@test "patch revert requires a sha" {
+  run git warp --repo "${TEST_REPO}" --graph demo patch revert
+  assert_failure
+}
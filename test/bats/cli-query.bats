@@ -110,3 +110,110 @@ PY
   assert_success
   [ -n "$output" ]
 }
+
+@test "query --q runs a text query" {
+  run git warp --repo "${TEST_REPO}" --graph demo --json query \
+    --q "MATCH (u:user:*)-[:manages]->(r)-[:follows]->(f) WHERE u.level = 'senior' RETURN f.id"
+  assert_success
+
+  JSON="$output" python3 - <<'PY'
+import json, os
+data = json.loads(os.environ["JSON"])
+ids = [n["id"] for n in data["nodes"]]
+assert ids == ["user:carol"], f"expected [user:carol], got {ids}"
+PY
+}
+
+@test "query --q returns aggregates" {
+  run git warp --repo "${TEST_REPO}" --graph demo --json query \
+    --q "MATCH (u:user:*) WHERE u.role = 'engineering' RETURN count(*)"
+  assert_success
+
+  JSON="$output" python3 - <<'PY'
+import json, os
+data = json.loads(os.environ["JSON"])
+assert data["aggregate"] == {"count": 2}, data
+PY
+}
+
+@test "query --q groups aggregates by the returned nodes" {
+  run git warp --repo "${TEST_REPO}" --graph demo --json query \
+    --q "MATCH (u:user:*) WHERE u.role = 'engineering' RETURN u.id, count(*)"
+  assert_success
+
+  JSON="$output" python3 - <<'PY'
+import json, os
+data = json.loads(os.environ["JSON"])
+groups = data["aggregate"]["groups"]
+assert len(groups) == 2 and all(g["count"] == 1 for g in groups), data
+PY
+}
+
+@test "query --q reports syntax errors with their position" {
+  run git warp --repo "${TEST_REPO}" --graph demo query --q "MATCH (u:user:* RETURN u"
+  [ "$status" -eq 1 ]
+  echo "$output" | grep -q "line 1, column 17"
+}
+
+@test "query --q cannot be combined with --match" {
+  run git warp --repo "${TEST_REPO}" --graph demo query --q "MATCH (u) RETURN u" --match "user:*"
+  [ "$status" -eq 1 ]
+}
+
+@test "query --order-by --limit pages through results with --cursor" {
+  run git warp --repo "${TEST_REPO}" --graph demo --json query \
+    --match "user:*" --order-by id:desc --limit 2
+  assert_success
+
+  CURSOR="$(JSON="$output" python3 - <<'PY'
+import json, os
+data = json.loads(os.environ["JSON"])
+ids = [n["id"] for n in data["nodes"]]
+assert ids == ["user:carol", "user:bob"], f"unexpected first page {ids}"
+print(data["nextCursor"])
+PY
+)"
+
+  run git warp --repo "${TEST_REPO}" --graph demo --json query \
+    --match "user:*" --order-by id:desc --limit 2 --cursor "${CURSOR}"
+  assert_success
+
+  JSON="$output" python3 - <<'PY'
+import json, os
+data = json.loads(os.environ["JSON"])
+ids = [n["id"] for n in data["nodes"]]
+assert ids == ["user:alice"], f"unexpected second page {ids}"
+assert data["nextCursor"] is None, data
+PY
+}
+
+@test "query --cursor rejects a cursor from a different ordering" {
+  run git warp --repo "${TEST_REPO}" --graph demo --json query --match "user:*" --order-by id:desc --limit 1
+  assert_success
+  CURSOR="$(JSON="$output" python3 -c 'import json, os; print(json.loads(os.environ["JSON"])["nextCursor"])')"
+
+  run git warp --repo "${TEST_REPO}" --graph demo query --match "user:*" --limit 1 --cursor "${CURSOR}"
+  [ "$status" -eq 1 ]
+  echo "$output" | grep -q "different orderBy"
+}
+
+@test "query --explain reports the plan instead of the results" {
+  run git warp --repo "${TEST_REPO}" --graph demo --json query \
+    --match "user:*" --outgoing manages --order-by id --explain
+  assert_success
+
+  JSON="$output" python3 - <<'PY'
+import json, os
+data = json.loads(os.environ["JSON"])
+assert "nodes" not in data, data
+plan = data["explain"]
+steps = [(s["op"], s["access"]) for s in plan["steps"]]
+assert steps == [("materialize", "materialized"), ("match", "scan"), ("outgoing", "adjacency"), ("orderBy", "memory"), ("select", "memory")], steps
+assert plan["stateHash"] == data["stateHash"]
+PY
+
+  run git warp --repo "${TEST_REPO}" --graph demo query --match "user:*" --explain
+  assert_success
+  echo "$output" | grep -q "Props memo:"
+  echo "$output" | grep -q "match"
+}
@@ -0,0 +1,18 @@
+/**
+ * Seeds a graph where alice and bob set the same property concurrently.
+ * Used by BATS tests. Expects REPO_PATH env var.
+ */
+import { WarpGraph, persistence, crypto } from './seed-setup.js';
+
+const alice = await WarpGraph.open({ persistence, graphName: 'demo', writerId: 'alice', crypto });
+await (await alice.createPatch())
+  .addNode('doc:1')
+  .setProperty('doc:1', 'title', 'Draft')
+  .setProperty('doc:1', 'status', 'open')
+  .commit();
+
+// Bob never materializes alice's patch, so his writes are concurrent
+const bob = await WarpGraph.open({ persistence, graphName: 'demo', writerId: 'bob', crypto });
+await (await bob.createPatch())
+  .setProperty('doc:1', 'title', 'Final')
+  .commit();
@@ -0,0 +1,20 @@
+/**
+ * Seeds a graph whose `version` property is merged with the `max` policy:
+ * two writers set it concurrently (7 and 3), then a checkpoint records the
+ * policy. An LWW replay would keep the tie-break winner's 3.
+ * Used by BATS tests. Expects REPO_PATH env var.
+ */
+import { WarpGraph, persistence, crypto } from './seed-setup.js';
+
+const mergePolicies = { version: 'max' };
+const admin = await WarpGraph.open({ persistence, graphName: 'policies', writerId: 'admin', crypto, mergePolicies });
+const bot = await WarpGraph.open({ persistence, graphName: 'policies', writerId: 'bot', crypto, mergePolicies });
+
+const adminPatch = await admin.createPatch();
+await adminPatch.addNode('doc').setProperty('doc', 'version', 7).commit();
+
+const botPatch = await bot.createPatch();
+await botPatch.setProperty('doc', 'version', 3).commit();
+
+await admin.materialize();
+await admin.createCheckpoint();
@@ -0,0 +1,14 @@
+/**
+ * Seeds a graph where alice renames doc:1 in a second patch, so that
+ * patch can be reverted. Used by BATS tests. Expects REPO_PATH env var.
+ */
+import { WarpGraph, persistence, crypto } from './seed-setup.js';
+
+const alice = await WarpGraph.open({ persistence, graphName: 'demo', writerId: 'alice', crypto });
+await (await alice.createPatch())
+  .addNode('doc:1')
+  .setProperty('doc:1', 'title', 'Draft')
+  .commit();
+await (await alice.createPatch())
+  .setProperty('doc:1', 'title', 'Final')
+  .commit();
@@ -542,6 +542,139 @@ export const F18_TRANSITIVE_CLOSURE_CHAIN = makeFixture({
   ],
 });
 
+/**
+ * F19 — CENTRALITY_CYCLE_WITH_TAIL
+ *
+ * A→B→C→A cycle, tail C→D→E, shortcut A→E, and a parallel
+ * A —uses→ B edge that must count once. E is a sink. C lies on the
+ * most shortest paths (4 of the 12 ordered pairs of other nodes);
+ * E collects the most rank.
+ */
+export const F19_CENTRALITY_CYCLE_WITH_TAIL = makeFixture({
+  nodes: ['A', 'B', 'C', 'D', 'E'],
+  edges: [
+    { from: 'A', to: 'B' },
+    { from: 'A', to: 'B', label: 'uses' },
+    { from: 'A', to: 'E' },
+    { from: 'B', to: 'C' },
+    { from: 'C', to: 'A' },
+    { from: 'C', to: 'D' },
+    { from: 'D', to: 'E' },
+  ],
+});
+
+/**
+ * F20 — SCC_TWO_CYCLES_AND_SELF_LOOP
+ *
+ * Components {A, B, C} (cycles A→B→A and A→B→C→A), {D, E} (D→E→D),
+ * {F} with a self-loop, and {G} on no cycle. C→D and E→F link them:
+ * condensation {A,B,C} → {D,E} → {F}, with G → {A,B,C}.
+ */
+export const F20_SCC_TWO_CYCLES_AND_SELF_LOOP = makeFixture({
+  nodes: ['A', 'B', 'C', 'D', 'E', 'F', 'G'],
+  edges: [
+    { from: 'A', to: 'B' },
+    { from: 'B', to: 'A' },
+    { from: 'B', to: 'C' },
+    { from: 'C', to: 'A' },
+    { from: 'C', to: 'D' },
+    { from: 'D', to: 'E' },
+    { from: 'E', to: 'D' },
+    { from: 'E', to: 'F' },
+    { from: 'F', to: 'F' },
+    { from: 'G', to: 'A' },
+  ],
+});
+
+/**
+ * F21 — COMMUNITY_TWO_TRIANGLES
+ *
+ * Triangles {A, B, C} and {D, E, F} joined by the bridge C→D. The best
+ * split is the two triangles, with modularity 5/14.
+ */
+export const F21_COMMUNITY_TWO_TRIANGLES = makeFixture({
+  nodes: ['A', 'B', 'C', 'D', 'E', 'F'],
+  edges: [
+    { from: 'A', to: 'B' },
+    { from: 'B', to: 'C' },
+    { from: 'C', to: 'A' },
+    { from: 'C', to: 'D' },
+    { from: 'D', to: 'E' },
+    { from: 'E', to: 'F' },
+    { from: 'F', to: 'D' },
+  ],
+});
+
+/**
+ * F22 — YEN_K_SHORTEST
+ *
+ * The textbook Yen example. With F22_WEIGHTS the ranked C→H paths are
+ * C-E-F-H (5), C-E-G-H (7), then three of cost 8: C-D-F-H, C-E-D-F-H,
+ * C-E-F-G-H. There are seven simple paths in all.
+ */
+export const F22_YEN_K_SHORTEST = makeFixture({
+  nodes: ['C', 'D', 'E', 'F', 'G', 'H'],
+  edges: [
+    { from: 'C', to: 'D' },
+    { from: 'C', to: 'E' },
+    { from: 'D', to: 'F' },
+    { from: 'E', to: 'D' },
+    { from: 'E', to: 'F' },
+    { from: 'E', to: 'G' },
+    { from: 'F', to: 'G' },
+    { from: 'F', to: 'H' },
+    { from: 'G', to: 'H' },
+  ],
+});
+
+/** Weight map for F22 */
+export const F22_WEIGHTS = new Map([
+  ['C\0D\0', 3],
+  ['C\0E\0', 2],
+  ['D\0F\0', 4],
+  ['E\0D\0', 1],
+  ['E\0F\0', 2],
+  ['E\0G\0', 3],
+  ['F\0G\0', 2],
+  ['F\0H\0', 1],
+  ['G\0H\0', 2],
+]);
+
+/**
+ * F23 — FLOW_NETWORK
+ *
+ * The textbook (CLRS) flow network. With F23_CAPACITIES the maximum s→t
+ * flow is 23, and the minimum cut {s, v1, v2, v4} | {v3, t} crosses
+ * v1→v3 (12), v4→t (4), and v4→v3 (7).
+ */
+export const F23_FLOW_NETWORK = makeFixture({
+  nodes: ['s', 't', 'v1', 'v2', 'v3', 'v4'],
+  edges: [
+    { from: 's', to: 'v1' },
+    { from: 's', to: 'v2' },
+    { from: 'v1', to: 'v3' },
+    { from: 'v2', to: 'v1' },
+    { from: 'v2', to: 'v4' },
+    { from: 'v3', to: 't' },
+    { from: 'v3', to: 'v2' },
+    { from: 'v4', to: 't' },
+    { from: 'v4', to: 'v3' },
+  ],
+});
+
+/** Capacity map for F23 */
+export const F23_CAPACITIES = new Map([
+  ['s\0v1\0', 16],
+  ['s\0v2\0', 13],
+  ['v1\0v3\0', 12],
+  ['v2\0v1\0', 4],
+  ['v2\0v4\0', 14],
+  ['v3\0t\0', 20],
+  ['v3\0v2\0', 9],
+  ['v4\0t\0', 4],
+  ['v4\0v3\0', 7],
+]);
+
 // ── Utility: weight function from a Map ─────────────────────────────────────
 
 /**
@@ -17,6 +17,8 @@ import WarpGraph, {
   HttpServerPort,
   WebSocketServerPort,
   QueryBuilder,
+  PatternQuery,
+  EdgeQuery,
   ObserverView,
   PatchBuilderV2,
   PatchSession,
@@ -34,6 +36,8 @@ import WarpGraph, {
   CommitDagTraversalService,
   ContentAttachmentOptions,
   ContentMeta,
+  ConflictWrite,
+  PropertyConflict,
   NoOpLogger,
   ConsoleLogger,
   ClockAdapter,
@@ -50,6 +54,11 @@ import WarpGraph, {
   ShardCorruptionError,
   ShardValidationError,
   StorageError,
+  MergePolicyError,
+  MergePolicies,
+  SchemaViolationError,
+  PreconditionError,
+  RevertError,
   checkAborted,
   createTimeoutSignal,
   WarpServeService,
@@ -113,7 +122,22 @@ import type {
   PathOptions,
   PathResult,
   QueryNodeSnapshot,
+  NodePredicate,
+  ValueCondition,
+  TextSearchOptions,
+  TextSearchResult,
+  QueryPlan,
+  QueryPlanStep,
+  LiveQueryDelta,
+  LiveQueryOptions,
+  LiveQueryRow,
+  PatternMatchResult,
+  EdgeQueryResult,
+  QueryEdgeSnapshot,
   QueryResultV1,
+  AggregateResult,
+  GroupedAggregateResult,
+  AggregateSpec,
   TemporalQuery,
   SyncAuthServerOptions,
   SyncAuthClientOptions,
@@ -137,6 +161,13 @@ import type {
   WsServerHandle,
   TickReceiptOpType,
   TickReceiptResult,
+  MergePolicy,
+  SchemaDefinition,
+  SchemaViolation,
+  PreconditionFailure,
+  SupersedingPatch,
+  MergeForkResult,
+  MergedForkWriter,
 } from '../../index.js';
 
 // ---------------------------------------------------------------------------
@@ -376,11 +407,133 @@ const slice = await graph.materializeSlice('n1');
 const sliceState: WarpStateV5 = slice.state;
 const slicePatchCount: number = slice.patchCount;
 const sliceWithReceipts = await graph.materializeSlice('n1', { receipts: true });
+const conflicts: PropertyConflict[] = await graph.getConflicts({ nodeId: 'n1', key: 'title', since: 3 });
+const allConflicts: PropertyConflict[] = await graph.getConflicts();
+if (conflicts[0]?.kind === 'node') {
+  const conflictNode: string = conflicts[0].nodeId;
+  const overwritten: ConflictWrite[] = conflicts[0].overwritten;
+}
+
+// ---- merge policies ----
+const adminFirst: MergePolicy = MergePolicies.writerPriority(['admin', 'bot']);
+const policyGraph: WarpGraph = await WarpGraph.open({
+  graphName: 'policies',
+  persistence,
+  writerId: 'w1',
+  mergePolicies: { version: 'max', closedAt: MergePolicies.min, owner: adminFirst },
+});
+declare const _mergePolicyErr: MergePolicyError;
+const _mergePolicyCode: string = _mergePolicyErr.code;
+
+// ---- schema ----
+const graphSchema: SchemaDefinition = {
+  nodes: { user: { match: 'user:*', props: { email: { type: 'string', required: true }, age: 'integer' } } },
+  edges: { follows: { from: 'user', to: ['user'], cardinality: 'many-to-many' } },
+};
+const schemaGraph: WarpGraph = await WarpGraph.open({ graphName: 'schema', persistence, writerId: 'w1', graphSchema });
+const indexedGraph: WarpGraph = await WarpGraph.open({ graphName: 'indexed', persistence, writerId: 'w1', valueIndex: { keys: ['email', 'age'] } });
+const indexedResult = await indexedGraph.query().match('user:*').where({ props: { age: { gte: 18 } } }).run();
+const textGraph: WarpGraph = await WarpGraph.open({ graphName: 'docs', persistence, writerId: 'w1', textIndex: { fields: ['title', 'body'], analyzer: 'standard' } });
+const textSearchOptions: TextSearchOptions = { fields: ['title'], match: 'and', limit: 10 };
+const textSearch: TextSearchResult = await textGraph.search('graph* crdt', textSearchOptions);
+const textSearchScore: number = textSearch.hits[0].score;
+const textSearchQuery: QueryBuilder = textGraph.query().match('doc:*').search('crdt').limit(5);
+const schemaViolations: SchemaViolation[] = await schemaGraph.validateSchema();
+declare const _schemaViolationErr: SchemaViolationError;
+const _schemaErrViolations: SchemaViolation[] = _schemaViolationErr.violations;
+
+// ---- preconditions ----
+const casSha: string = await graph.patch((p) => {
+  p.expectNode('n1').expectAbsent('n2').expectAbsent('n1', 'n2', 'rel').expectEdge('n1', 'n3', 'rel')
+    .expectProp('n1', 'status', 'open').setProperty('n1', 'status', 'closed');
+}, { retries: 2 });
+declare const _preconditionErr: PreconditionError;
+const _preconditionFailures: PreconditionFailure[] = _preconditionErr.failures;
+
+// ---- text queries ----
+const textQuery: QueryBuilder = graph.queryText("MATCH (u:user:*)-[:follows*1..3]->(v) WHERE u.age > 30 RETURN v.id");
+const textResult: QueryResultV1 | AggregateResult | GroupedAggregateResult = await textQuery.run();
+
+// ---- declarative predicates ----
+const openAdults: NodePredicate = { props: { status: { eq: 'open' }, age: { gte: 18 } } };
+const ownerCondition: ValueCondition = { regex: '^u', flags: 'i' };
+const predicateQuery: QueryBuilder = graph.query().match('user:*').where({ or: [openAdults, { props: { owner: ownerCondition } }], not: { id: { prefix: 'user:bot' } } });
+const predicateObserver: ObserverView = await graph.observer('open', { match: 'user:*', where: openAdults });
+const predicateWatcher = graph.watch('user:*', { onChange: (diff: StateDiffResult) => {}, where: openAdults });
+
+// ---- ordering and pagination ----
+const firstPage = await graph.query().match('user:*').orderBy('props.createdAt', 'desc').orderBy('id').limit(50).run();
+const pageCursor: string | null | undefined = 'nodes' in firstPage ? firstPage.nextCursor : undefined;
+const nextPage: QueryBuilder = graph.query().match('user:*').offset(10).after(pageCursor ?? '');
+
+// ---- query plans ----
+const queryPlan: QueryPlan = await graph.query().match('user:*').where({ props: { age: { gte: 18 } } }).outgoing('follows').explain();
+const planSteps: QueryPlanStep[] = queryPlan.steps;
+const planIndexed: boolean = planSteps.some((step) => step.access === 'value-index');
+const planAdjacencyHits: number | undefined = queryPlan.caches.adjacency?.hits;
+
+// ---- pattern matching ----
+const patternQuery: PatternQuery = graph.match({ u: 'user:*', f: 'user:*', r: ['repo:*', 'gist:*'] })
+  .edge('u', 'follows', 'f')
+  .edge('f', 'owns', 'r')
+  .edge('u', undefined, 'r')
+  .where('r', { props: { stars: { gte: 10 } } })
+  .where((row) => row.u.id !== row.f.id)
+  .select(['u', 'r'])
+  .limit(20);
+const patternMatches: PatternMatchResult = await patternQuery.run();
+const patternOwner: string | undefined = patternMatches.rows[0]?.u;
+
+// ---- edge queries ----
+const edgeQuery: EdgeQuery = graph.queryEdges().label(['assigned', 'reviews']).from('user:*').to('task:*').where({ props: { weight: { gt: 3 } } });
+const edgeResult: EdgeQueryResult = await edgeQuery.where((edge: QueryEdgeSnapshot) => edge.label !== 'reviews').run();
+const firstEdgeWeight: unknown = edgeResult.edges[0]?.props.weight;
+const heavyHop: QueryBuilder = graph.query().match('user:*').outgoing('assigned', { depth: [1, 2], where: (edge) => edge.props.weight !== 0 });
+
+// ---- live queries ----
+const liveOptions: LiveQueryOptions = {
+  onResult: ({ stateHash, added, removed, changed }: LiveQueryDelta) => {
+    const touched: LiveQueryRow[] = [...added, ...removed, ...changed];
+    const liveHash: string = stateHash;
+  },
+  onError: (err: unknown) => {},
+};
+const liveHandle: { unsubscribe: () => void } = await graph.query().match('ticket:*').where({ props: { status: 'open' } }).live(liveOptions);
+liveHandle.unsubscribe();
+
+// ---- grouped aggregation ----
+const perStatusSpec: AggregateSpec = { count: true, countDistinct: 'assignee', collect: 'title', percentiles: { path: 'estimate', p: [50, 95] } };
+const grouped = await graph.query().match('issue:*').groupBy('props.status').aggregate(perStatusSpec).run();
+if ('groups' in grouped) {
+  const groupKey: unknown = grouped.groups[0].key;
+  const p95: number | null | undefined = grouped.groups[0].percentiles?.p95;
+}
+const byFn: QueryBuilder = graph.query().groupBy((node: QueryNodeSnapshot) => [node.props.assignee, node.props.status]);
+
+// ---- node merge ----
+const nodeMergeSha: string = await graph.patch((p) => {
+  p.mergeNodes('n1', 'n2').setProperty('n2', 'status', 'merged');
+});
+const canonicalId: string = await graph.resolveNode('n2');
+const obsCanonicalId: string = await obs.resolveNode('n2');
+
+// ---- revert ----
+const revertSha: string = await graph.revert(casSha);
+const forcedRevertSha: string = await graph.revert(casSha, { force: true });
+declare const _revertErr: RevertError;
+const _revertSuperseded: SupersedingPatch[] = _revertErr.superseded;
 
 // ---- fork ----
 const forked: WarpGraph = await graph.fork({ from: 'w1', at: 'abc123' });
 const forkedCustom: WarpGraph = await graph.fork({ from: 'w1', at: 'abc123', forkName: 'my-fork', forkWriterId: 'w2' });
 
+// ---- mergeFork ----
+const mergeResult: MergeForkResult = await graph.mergeFork('my-fork', { writerMapping: { w2: 'w1' } });
+const mergedWriters: MergedForkWriter[] = mergeResult.writers;
+const mergedMode: 'adopted' | 'rebased' = mergedWriters[0].mode;
+const mergeConflicts: PropertyConflict[] = mergeResult.conflicts;
+const mergeReceipts: TickReceipt[] = (await graph.mergeFork('my-fork')).receipts;
+
 // ---- createWormhole (instance method) ----
 const wormhole: WormholeEdge = await graph.createWormhole('sha1', 'sha2');
 
@@ -421,6 +574,39 @@ for await (const edge of gClosureStream) {
   const _: [string, string] = [edge.from, edge.to];
   break;
 }
+const gRank = await gTraverse.pageRank({ dir: 'out', labelFilter: 'dependsOn', damping: 0.9 });
+const gRankScore: number | undefined = gRank.scores.get('pkg:core');
+const gRankConverged: boolean = gRank.converged;
+const gPersonalRank = await gTraverse.personalizedPageRank(['user:alice'], { maxNodes: 1000 });
+const gPersonalIterations: number = gPersonalRank.iterations;
+const gBetweenness: Map<string, number> = (await gTraverse.betweennessCentrality({ normalized: false })).scores;
+const gCloseness: Map<string, number> = (await gTraverse.closenessCentrality({ dir: 'in' })).scores;
+const gDegree: Map<string, number> = (await gTraverse.degreeCentrality({ dir: 'both' })).scores;
+const gSccs: string[][] = (await gTraverse.stronglyConnectedComponents({ labelFilter: ['dependsOn'] })).components;
+const gDag = await gTraverse.condensation({ maxNodes: 1000 });
+const gDagEdge: { from: number; to: number } | undefined = gDag.edges[0];
+const gDagIndex: number | undefined = gDag.componentOf.get('pkg:core');
+const gCycles = await gTraverse.findCycles({ maxCycles: 10, maxLength: 5 });
+const gCyclesTruncated: boolean = gCycles.truncated;
+const gFirstCycle: string[] | undefined = gCycles.cycles[0];
+const gLpa = await gTraverse.labelPropagation({ seed: 42, labelFilter: 'collaborates' });
+const gLpaCommunity: number | undefined = gLpa.communities.get('user:alice');
+const gLpaConverged: boolean = gLpa.converged;
+const gLouvain = await gTraverse.louvain({ seed: 42, resolution: 1.5, writeProperty: 'community' });
+const gModularity: number = gLouvain.modularity;
+const gLouvainSha: string | null = gLouvain.patchSha;
+const gRoutes = await gTraverse.kShortestPaths('user:alice', 'user:bob', { k: 3, weightFn: () => 1 });
+const gRouteCost: number | undefined = gRoutes.paths[0]?.totalCost;
+for await (const gSimple of gTraverse.allSimplePaths('user:alice', 'user:bob', { maxDepth: 4, maxPaths: 10 })) {
+  const _: string[] = gSimple;
+  break;
+}
+const gFlow = await gTraverse.maxFlow('svc:gw', 'svc:db', { capacityKey: 'capacity', labelFilter: 'calls' });
+const gFlowValue: number = gFlow.maxFlow;
+const gEdgeFlow: number | undefined = gFlow.flows[0]?.flow;
+const gCut = await gTraverse.minCut('svc:gw', 'svc:db', { capacityFn: (_from, _to, label) => (label === 'calls' ? 10 : 1) });
+const gCutEdges: Array<{ from: string; to: string; label: string; capacity: number }> = gCut.cut;
+const gSourceSide: string[] = gCut.sourceSide;
 const gProvIdx: ProvenanceIndex | null = graph.provenanceIndex;
 
 // ---------------------------------------------------------------------------
@@ -586,5 +772,44 @@ await WarpGraph.open({ graphName: 'test', writerId: 'w1' });
 // @ts-expect-error -- createNodeAdd requires string, not number
 createNodeAdd(42);
 
+// @ts-expect-error -- mergePolicies values must be a built-in name or a policy object
+await WarpGraph.open({ graphName: 'x', persistence, writerId: 'w', mergePolicies: { version: 'newest' } });
+
+// @ts-expect-error -- expectAbsent takes a node ID or a full (from, to, label) edge
+(await graph.createPatch()).expectAbsent('n1', 'n2');
+
+// @ts-expect-error -- exists takes a boolean
+const _badPredicate: NodePredicate = { props: { status: { exists: 'yes' } } };
+
+// @ts-expect-error -- orderBy direction is 'asc' or 'desc'
+graph.query().orderBy('props.createdAt', 'down');
+
+// @ts-expect-error -- percentiles needs a path and a list of percentiles
+graph.query().aggregate({ percentiles: 'props.estimate' });
+
+// @ts-expect-error -- revert takes a commit SHA string
+await graph.revert(42);
+
+// @ts-expect-error -- writerMapping maps writer IDs to writer IDs
+await graph.mergeFork('my-fork', { writerMapping: { w2: 7 } });
+
+// @ts-expect-error -- schema cardinality must be one of the four named forms
+await WarpGraph.open({ graphName: 'x', persistence, writerId: 'w', graphSchema: { edges: { owns: { cardinality: 'one' } } } });
+
+// @ts-expect-error -- valueIndex keys are property names
+await WarpGraph.open({ graphName: 'x', persistence, writerId: 'w', valueIndex: { keys: 'email' } });
+
+// @ts-expect-error -- textIndex fields is a list of property names
+await WarpGraph.open({ graphName: 'x', persistence, writerId: 'w', textIndex: { fields: 'title' } });
+
+// @ts-expect-error -- match() maps variable names to node ID patterns
+graph.match(['user:*', 'repo:*']);
+
+// @ts-expect-error -- hop where predicates receive edges, which have no id
+graph.query().outgoing('assigned', { where: (edge: QueryEdgeSnapshot) => edge.id === 'x' });
+
+// @ts-expect-error -- live() requires an onResult handler
+graph.query().live({ onError: () => {} });
+
 // @ts-expect-error -- getContent requires string, not number
 await graph.getContent(42);
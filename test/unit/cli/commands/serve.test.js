@@ -4,6 +4,7 @@ import { describe, it, expect, vi, beforeEach } from 'vitest';
 vi.mock('../../../../bin/cli/shared.js', () => ({
   createPersistence: vi.fn(),
   listGraphNames: vi.fn(),
+  readRecordedMergePolicies: vi.fn(),
 }));
 
 vi.mock('../../../../src/domain/WarpGraph.js', () => ({
@@ -55,7 +56,7 @@ vi.mock('../../../../src/domain/services/WarpServeService.js', () => ({
 }));
 
 // Must import AFTER mocks are set up
-const { createPersistence, listGraphNames } = await import('../../../../bin/cli/shared.js');
+const { createPersistence, listGraphNames, readRecordedMergePolicies } = await import('../../../../bin/cli/shared.js');
 const WarpGraph = (await import('../../../../src/domain/WarpGraph.js')).default;
 const handleServe = (await import('../../../../bin/cli/commands/serve.js')).default;
 
@@ -67,6 +68,7 @@ describe('handleServe', () => {
     const mockPersistence = { ping: vi.fn().mockResolvedValue({ ok: true }) };
     /** @type {any} */ (createPersistence).mockResolvedValue({ persistence: mockPersistence });
     /** @type {any} */ (listGraphNames).mockResolvedValue(['default']);
+    /** @type {any} */ (readRecordedMergePolicies).mockResolvedValue(undefined);
 
     /** @type {any} */ (WarpGraph.open).mockResolvedValue({
       graphName: 'default',
@@ -114,6 +116,18 @@ describe('handleServe', () => {
     expect(result.payload.graphs).toEqual(['alpha']);
   });
 
+  it('opens graphs with the merge policies recorded in their checkpoints', async () => {
+    /** @type {any} */ (readRecordedMergePolicies).mockResolvedValue({ version: 'max' });
+
+    await handleServe({
+      options: /** @type {any} */ ({ repo: '.', graph: 'default', writer: 'cli' }),
+      args: [],
+    });
+
+    expect(readRecordedMergePolicies).toHaveBeenCalledWith(expect.anything(), 'default');
+    expect(/** @type {any} */ (WarpGraph.open).mock.calls[0][0].mergePolicies).toEqual({ version: 'max' });
+  });
+
   it('throws when specified graph does not exist', async () => {
     /** @type {any} */ (listGraphNames).mockResolvedValue(['alpha']);
 
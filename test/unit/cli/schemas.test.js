@@ -1,5 +1,6 @@
 import { describe, it, expect } from 'vitest';
 import {
+  analyzeSchema,
   bisectSchema,
   doctorSchema,
   historySchema,
@@ -62,6 +63,16 @@ describe('doctorSchema', () => {
   it('rejects unknown keys', () => {
     expect(() => doctorSchema.parse({ unknown: true })).toThrow();
   });
+
+  it('accepts --cycles with repeated --label', () => {
+    const result = doctorSchema.parse({ cycles: true, label: ['dependsOn', 'imports'] });
+    expect(result.cycles).toBe(true);
+    expect(result.labels).toEqual(['dependsOn', 'imports']);
+  });
+
+  it('rejects --label without --cycles', () => {
+    expect(() => doctorSchema.parse({ label: 'dependsOn' })).toThrow(/--cycles/);
+  });
 });
 
 describe('historySchema', () => {
@@ -132,6 +143,15 @@ describe('pathSchema', () => {
     expect(() => pathSchema.parse({ from: 'a', to: 'b', dir: 'up' })).toThrow();
   });
 
+  it('coerces --k and rejects non-positive values', () => {
+    expect(pathSchema.parse({ from: 'a', to: 'b', k: '5' }).k).toBe(5);
+    expect(() => pathSchema.parse({ from: 'a', to: 'b', k: '0' })).toThrow(/--k must be a positive integer/);
+  });
+
+  it('rejects --k with --max-depth', () => {
+    expect(() => pathSchema.parse({ from: 'a', to: 'b', k: '2', 'max-depth': '3' })).toThrow(/--max-depth/);
+  });
+
   it('coerces --max-depth to number', () => {
     const result = pathSchema.parse({ from: 'a', to: 'b', 'max-depth': '5' });
     expect(result.maxDepth).toBe(5);
@@ -152,6 +172,35 @@ describe('pathSchema', () => {
   });
 });
 
+describe('analyzeSchema', () => {
+  it('transforms to expected shape', () => {
+    const result = analyzeSchema.parse({});
+    expect(result).toEqual({
+      measure: 'pagerank', dir: 'out', labels: [], seeds: [], top: 10, maxNodes: undefined, damping: undefined,
+    });
+  });
+
+  it('coerces numeric options and collects repeated flags', () => {
+    const result = analyzeSchema.parse({ seed: ['a', 'b'], label: 'dependsOn', top: '0', 'max-nodes': '500', damping: '0.9' });
+    expect(result.seeds).toEqual(['a', 'b']);
+    expect(result.labels).toEqual(['dependsOn']);
+    expect(result.top).toBe(0);
+    expect(result.maxNodes).toBe(500);
+    expect(result.damping).toBe(0.9);
+  });
+
+  it('rejects unknown measures and out-of-range values', () => {
+    expect(() => analyzeSchema.parse({ measure: 'eigenvector' })).toThrow();
+    expect(() => analyzeSchema.parse({ damping: '1.5' })).toThrow();
+    expect(() => analyzeSchema.parse({ 'max-nodes': '0' })).toThrow();
+  });
+
+  it('rejects --seed and --damping outside pagerank', () => {
+    expect(() => analyzeSchema.parse({ measure: 'degree', seed: 'a' })).toThrow(/require --measure pagerank/);
+    expect(() => analyzeSchema.parse({ measure: 'closeness', damping: '0.5' })).toThrow(/require --measure pagerank/);
+  });
+});
+
 describe('querySchema', () => {
   it('transforms to expected shape', () => {
     const result = querySchema.parse({});
@@ -174,6 +223,27 @@ describe('querySchema', () => {
     const result = querySchema.parse({ 'where-prop': ['role=admin', 'active=true'] });
     expect(result.whereProp).toEqual(['role=admin', 'active=true']);
   });
+
+  it('passes through --q as text', () => {
+    expect(querySchema.parse({}).text).toBeNull();
+    expect(querySchema.parse({ q: 'MATCH (n) RETURN n' }).text).toBe('MATCH (n) RETURN n');
+  });
+
+  it('parses pagination flags', () => {
+    expect(querySchema.parse({})).toMatchObject({ limit: null, orderBy: [], cursor: null });
+    const result = querySchema.parse({ limit: '25', 'order-by': 'props.createdAt:desc', cursor: 'abc' });
+    expect(result).toMatchObject({ limit: 25, orderBy: ['props.createdAt:desc'], cursor: 'abc' });
+  });
+
+  it('parses --explain', () => {
+    expect(querySchema.parse({}).explain).toBe(false);
+    expect(querySchema.parse({ explain: true }).explain).toBe(true);
+  });
+
+  it('rejects a negative or fractional --limit', () => {
+    expect(() => querySchema.parse({ limit: '-1' })).toThrow(/non-negative integer/);
+    expect(() => querySchema.parse({ limit: '2.5' })).toThrow(/non-negative integer/);
+  });
 });
 
 describe('viewSchema', () => {
@@ -0,0 +1,85 @@
+/**
+ * End-to-end tests for getConflicts().
+ *
+ * Writers share one in-memory repository; a write made without having
+ * materialized a competing write is a conflict, a write made after
+ * materializing it is not.
+ */
+import { describe, it, expect, beforeEach } from 'vitest';
+import WarpGraph from '../../../src/domain/WarpGraph.js';
+import { createInMemoryRepo } from '../../helpers/warpGraphTestUtils.js';
+
+describe('WarpGraph.getConflicts', () => {
+  /** @type {ReturnType<typeof createInMemoryRepo>} */
+  let repo;
+
+  beforeEach(() => {
+    repo = createInMemoryRepo();
+  });
+
+  /** @param {string} writerId */
+  function open(writerId) {
+    return WarpGraph.open({ persistence: repo.persistence, graphName: 'conflicts', writerId });
+  }
+
+  it('reports concurrent writes with the value that was lost', async () => {
+    const alice = await open('alice');
+    const bob = await open('bob');
+
+    const aliceSha = await alice.patch((p) => {
+      p.addNode('doc').setProperty('doc', 'title', 'Draft');
+    });
+    const bobSha = await bob.patch((p) => {
+      p.setProperty('doc', 'title', 'Final');
+    });
+
+    await alice.materialize();
+    expect(await alice.getNodeProps('doc')).toEqual({ title: 'Final' });
+
+    const conflicts = await alice.getConflicts();
+
+    expect(conflicts).toHaveLength(1);
+    expect(conflicts[0]).toMatchObject({
+      kind: 'node',
+      nodeId: 'doc',
+      key: 'title',
+      winner: { value: 'Final', writerId: 'bob', patchSha: bobSha },
+      overwritten: [{ value: 'Draft', writerId: 'alice', patchSha: aliceSha }],
+    });
+    expect(conflicts[0].winner.eventId).toMatchObject({ writerId: 'bob', patchSha: bobSha });
+  });
+
+  it('does not report an overwrite made after materializing', async () => {
+    const alice = await open('alice');
+    const bob = await open('bob');
+
+    await alice.patch((p) => {
+      p.addNode('doc').addNode('other').setProperty('doc', 'title', 'Draft');
+    });
+    await bob.materialize();
+    await bob.patch((p) => {
+      p.setProperty('doc', 'title', 'Final');
+    });
+
+    expect(await bob.getConflicts()).toEqual([]);
+  });
+
+  it('filters by node, key, and Lamport tick', async () => {
+    const alice = await open('alice');
+    const bob = await open('bob');
+
+    await alice.patch((p) => {
+      p.addNode('a').setProperty('a', 'x', 1).setProperty('a', 'y', 1);
+    });
+    await bob.patch((p) => {
+      p.addNode('b').setProperty('a', 'x', 2).setProperty('a', 'y', 2).setProperty('b', 'x', 2);
+    });
+    await alice.patch((p) => {
+      p.setProperty('b', 'x', 3);
+    });
+
+    expect((await alice.getConflicts()).map((c) => `${c.nodeId}.${c.key}`)).toEqual(['a.x', 'a.y', 'b.x']);
+    expect((await alice.getConflicts({ nodeId: 'a', key: 'y' })).map((c) => c.key)).toEqual(['y']);
+    expect((await alice.getConflicts({ since: 2 })).map((c) => c.nodeId)).toEqual(['b']);
+  });
+});
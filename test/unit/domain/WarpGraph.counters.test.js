@@ -0,0 +1,119 @@
+/**
+ * End-to-end tests for PN-Counter properties (incrementProperty).
+ *
+ * Two writers share one in-memory repository and increment the same
+ * counter concurrently; every replica must converge on the sum.
+ */
+import { describe, it, expect, beforeEach } from 'vitest';
+import WarpGraph from '../../../src/domain/WarpGraph.js';
+import { createInMemoryRepo } from '../../helpers/warpGraphTestUtils.js';
+
+describe('WarpGraph counter properties', () => {
+  /** @type {ReturnType<typeof createInMemoryRepo>} */
+  let repo;
+
+  beforeEach(() => {
+    repo = createInMemoryRepo();
+  });
+
+  /** @param {string} writerId */
+  function open(writerId) {
+    return WarpGraph.open({ persistence: repo.persistence, graphName: 'counters', writerId });
+  }
+
+  it('sums concurrent increments from two writers', async () => {
+    const alice = await open('alice');
+    const bob = await open('bob');
+
+    await alice.patch((p) => {
+      p.addNode('post:1').incrementProperty('post:1', 'likes');
+    });
+    await bob.patch((p) => {
+      p.incrementProperty('post:1', 'likes', 2);
+    });
+
+    await alice.materialize();
+    await bob.materialize();
+
+    expect(await alice.getNodeProps('post:1')).toEqual({ likes: 3 });
+    expect(await bob.getNodeProps('post:1')).toEqual({ likes: 3 });
+  });
+
+  it('supports decrements through the writer session API', async () => {
+    const graph = await open('alice');
+    const writer = await graph.writer();
+
+    await writer.commitPatch((p) => {
+      p.addNode('item').incrementProperty('item', 'stock', 10);
+    });
+    await writer.commitPatch((p) => {
+      p.incrementProperty('item', 'stock', -4);
+    });
+
+    await graph.materialize();
+    expect(await graph.getNodeProps('item')).toEqual({ stock: 6 });
+  });
+
+  it('refuses to start a counter on a key written by setProperty', async () => {
+    const graph = await open('alice');
+    await graph.patch((p) => {
+      p.addNode('post:1').setProperty('post:1', 'likes', 100);
+    });
+    await graph.materialize();
+
+    await expect(graph.patch((p) => {
+      p.incrementProperty('post:1', 'likes');
+    })).rejects.toThrow(/holds a plain value/);
+
+    await graph.patch((p) => {
+      p.setProperty('post:1', 'likes', null);
+    });
+    await graph.patch((p) => {
+      p.incrementProperty('post:1', 'likes');
+    });
+    await graph.materialize();
+    expect(await graph.getNodeProps('post:1')).toEqual({ likes: 1 });
+  });
+
+  it('refuses to overwrite a counter with setProperty', async () => {
+    const graph = await open('alice');
+    await graph.patch((p) => {
+      p.addNode('post:1').incrementProperty('post:1', 'likes', 5);
+    });
+    await graph.materialize();
+
+    await expect(graph.patch((p) => {
+      p.setProperty('post:1', 'likes', 0);
+    })).rejects.toThrow(/is a counter/);
+
+    await graph.patch((p) => {
+      p.incrementProperty('post:1', 'likes', -5);
+    });
+    await graph.patch((p) => {
+      p.incrementProperty('post:1', 'likes');
+    });
+    await graph.materialize();
+    expect(await graph.getNodeProps('post:1')).toEqual({ likes: 1 });
+  });
+
+  it('keeps counting correctly after a checkpoint', async () => {
+    const alice = await open('alice');
+    await alice.patch((p) => {
+      p.addNode('n').incrementProperty('n', 'hits', 5);
+    });
+    await alice.materialize();
+    await alice.createCheckpoint();
+
+    const bob = await open('bob');
+    await bob.patch((p) => {
+      p.incrementProperty('n', 'hits', 1);
+    });
+    await alice.patch((p) => {
+      p.incrementProperty('n', 'hits', 1);
+    });
+
+    const reader = await open('carol');
+    await reader.materialize();
+    expect(await reader.getNodeProps('n')).toEqual({ hits: 7 });
+  });
+});
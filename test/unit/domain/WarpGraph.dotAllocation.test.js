@@ -0,0 +1,64 @@
+import { describe, it, expect } from 'vitest';
+import WarpGraph from '../../../src/domain/WarpGraph.js';
+import { createInMemoryRepo } from '../../helpers/warpGraphTestUtils.js';
+
+describe('WarpGraph dot allocation across consecutive patches', () => {
+  it('does not reuse a dot after a patch that allocated several', async () => {
+    const graph = await WarpGraph.open({ persistence: createInMemoryRepo().persistence, graphName: 'test', writerId: 'alice' });
+
+    // No materialized cache: the post-commit hook alone advances the version vector
+    await graph.patch((p) => { p.addNode('a').addNode('b'); });
+    const second = await (await graph.createPatch()).addNode('c');
+    const addC = /** @type {any} */ (second.build().ops[0]);
+
+    expect(addC.dot).toEqual({ writerId: 'alice', counter: 3 });
+  });
+
+  it('keeps earlier adds alive when a later add is removed', async () => {
+    const graph = await WarpGraph.open({ persistence: createInMemoryRepo().persistence, graphName: 'test', writerId: 'alice' });
+
+    await graph.patch((p) => { p.addNode('a').addNode('b'); });
+    await graph.patch((p) => { p.addNode('c'); });
+    await graph.materialize();
+    await graph.patch((p) => { p.removeNode('c'); });
+    await graph.materialize();
+
+    expect((await graph.getNodes()).sort()).toEqual(['a', 'b']);
+  });
+
+  it('does not reuse a dot after a patch that added several edges', async () => {
+    const graph = await WarpGraph.open({ persistence: createInMemoryRepo().persistence, graphName: 'test', writerId: 'alice' });
+
+    await graph.patch((p) => { p.addNode('a').addNode('b'); });
+    await graph.patch((p) => { p.addEdge('a', 'b', 'x').addEdge('a', 'b', 'y'); });
+    await graph.patch((p) => { p.addEdge('a', 'b', 'z'); });
+    await graph.materialize();
+    await graph.patch((p) => { p.removeEdge('a', 'b', 'z'); });
+    await graph.materialize();
+
+    expect((await graph.getEdges()).map((e) => e.label).sort()).toEqual(['x', 'y']);
+  });
+
+  it('does not reuse a dot across writer sessions', async () => {
+    const graph = await WarpGraph.open({ persistence: createInMemoryRepo().persistence, graphName: 'test', writerId: 'alice' });
+    const writer = await graph.writer();
+
+    await writer.commitPatch((p) => { p.addNode('a').addNode('b'); });
+    await writer.commitPatch((p) => { p.addNode('c'); });
+    await graph.materialize();
+    await writer.commitPatch((p) => { p.removeNode('c'); });
+    await graph.materialize();
+
+    expect((await graph.getNodes()).sort()).toEqual(['a', 'b']);
+  });
+
+  it('advances the version vector to the committed patch context in the post-commit hook', async () => {
+    const graph = await WarpGraph.open({ persistence: createInMemoryRepo().persistence, graphName: 'test', writerId: 'alice' });
+
+    await /** @type {any} */ (graph)._onPatchCommitted('alice', {
+      patch: { lamport: 1, context: { alice: 3 } },
+    });
+
+    expect(/** @type {any} */ (graph)._versionVector.get('alice')).toBe(3);
+  });
+});
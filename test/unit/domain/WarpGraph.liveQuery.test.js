@@ -0,0 +1,161 @@
+/**
+ * End-to-end tests for QueryBuilder.live() incremental result deltas.
+ */
+import { describe, it, expect, beforeEach, vi } from 'vitest';
+import WarpGraph from '../../../src/domain/WarpGraph.js';
+import QueryBuilder from '../../../src/domain/services/QueryBuilder.js';
+import { createInMemoryRepo } from '../../helpers/warpGraphTestUtils.js';
+
+/**
+ * Collects live deltas and lets a test wait for the next one.
+ */
+function createCollector() {
+  /** @type {import('../../../src/domain/services/LiveQuery.js').LiveQueryDelta[]} */
+  const deltas = [];
+  return {
+    deltas,
+    onResult: vi.fn((/** @type {import('../../../src/domain/services/LiveQuery.js').LiveQueryDelta} */ delta) => {
+      deltas.push(delta);
+    }),
+    /** @param {number} count */
+    async waitFor(count) {
+      await vi.waitFor(() => expect(deltas).toHaveLength(count));
+      return deltas[count - 1];
+    },
+  };
+}
+
+/**
+ * @param {import('../../../src/domain/services/LiveQuery.js').LiveQueryRow[]} rows
+ * @returns {string[]}
+ */
+function ids(rows) {
+  return rows.map((row) => row.id);
+}
+
+describe('QueryBuilder.live()', () => {
+  /** @type {WarpGraph} */
+  let graph;
+
+  beforeEach(async () => {
+    const repo = createInMemoryRepo();
+    graph = await WarpGraph.open({ persistence: repo.persistence, graphName: 'tickets', writerId: 'w1' });
+    await graph.patch((p) => {
+      p.addNode('ticket:1').setProperty('ticket:1', 'status', 'open')
+        .addNode('ticket:2').setProperty('ticket:2', 'status', 'closed')
+        .addNode('user:ann')
+        .addEdge('user:ann', 'ticket:1', 'assigned');
+    });
+    await graph.materialize();
+  });
+
+  it('reports the first result with every row added', async () => {
+    const collector = createCollector();
+
+    await graph.query().match('ticket:*').where({ status: 'open' }).live(collector);
+
+    expect(collector.deltas).toEqual([{
+      stateHash: (await graph.query().run()).stateHash,
+      added: [{ id: 'ticket:1', props: { status: 'open' } }],
+      removed: [],
+      changed: [],
+    }]);
+  });
+
+  it('emits added, removed, and changed rows after each materialize', async () => {
+    const collector = createCollector();
+    await graph.query().match('ticket:*').where({ props: { status: { in: ['open', 'review'] } } }).live(collector);
+
+    await graph.patch((p) => {
+      p.setProperty('ticket:1', 'status', 'review')
+        .setProperty('ticket:2', 'status', 'open')
+        .addNode('ticket:3').setProperty('ticket:3', 'status', 'closed');
+    });
+    await graph.materialize();
+    const second = await collector.waitFor(2);
+    await graph.patch((p) => {
+      p.removeNode('ticket:2');
+    });
+    await graph.materialize();
+    const third = await collector.waitFor(3);
+
+    expect(ids(second.added)).toEqual(['ticket:2']);
+    expect(second.changed).toEqual([{ id: 'ticket:1', props: { status: 'review' } }]);
+    expect(second.removed).toEqual([]);
+    expect(third).toMatchObject({ added: [], changed: [], removed: [{ id: 'ticket:2', props: { status: 'open' } }] });
+  });
+
+  it('re-evaluates only the nodes a change touched for node-local queries', async () => {
+    const collector = createCollector();
+    await graph.query().match('ticket:*').where({ status: 'open' }).live(collector);
+    const execute = vi.spyOn(/** @type {any} */ (QueryBuilder.prototype), '_execute');
+
+    await graph.patch((p) => {
+      p.setProperty('ticket:2', 'status', 'open');
+    });
+    await graph.materialize();
+    await collector.waitFor(2);
+
+    expect(execute).toHaveBeenCalledWith(null, new Set(['ticket:2']));
+    expect(ids(collector.deltas[1].added)).toEqual(['ticket:2']);
+    execute.mockRestore();
+  });
+
+  it('re-runs traversals in full and reports the difference', async () => {
+    const collector = createCollector();
+    await graph.query().match('user:ann').outgoing('assigned').select(['id']).live(collector);
+
+    await graph.patch((p) => {
+      p.removeEdge('user:ann', 'ticket:1', 'assigned').addEdge('user:ann', 'ticket:2', 'assigned');
+    });
+    await graph.materialize();
+    const delta = await collector.waitFor(2);
+
+    expect(delta).toMatchObject({ added: [{ id: 'ticket:2' }], removed: [{ id: 'ticket:1' }], changed: [] });
+  });
+
+  it('stays quiet when the rows did not change and after unsubscribe', async () => {
+    const collector = createCollector();
+    const onError = vi.fn();
+    const { unsubscribe } = await graph.query().match('ticket:*').where({ status: 'open' }).live({ ...collector, onError });
+
+    await graph.patch((p) => {
+      p.addNode('user:bob');
+    });
+    await graph.materialize();
+    await graph.patch((p) => {
+      p.setProperty('ticket:1', 'status', 'done');
+    });
+    await graph.materialize();
+    await collector.waitFor(2);
+    unsubscribe();
+    await graph.patch((p) => {
+      p.setProperty('ticket:2', 'status', 'open');
+    });
+    await graph.materialize();
+    await new Promise((resolve) => setTimeout(resolve, 10));
+
+    expect(collector.deltas).toHaveLength(2);
+    expect(ids(collector.deltas[1].removed)).toEqual(['ticket:1']);
+    expect(onError).not.toHaveBeenCalled();
+  });
+
+  it('forwards errors thrown by onResult to onError', async () => {
+    const onError = vi.fn();
+
+    await graph.query().match('ticket:*').live({ onResult: () => { throw new Error('render failed'); }, onError });
+
+    expect(onError).toHaveBeenCalledWith(expect.objectContaining({ message: 'render failed' }));
+  });
+
+  it('rejects missing handlers and queries it cannot track by node', async () => {
+    const onResult = vi.fn();
+
+    await expect(graph.query().live(/** @type {any} */ ({}))).rejects.toMatchObject({ code: 'E_QUERY_LIVE_TYPE' });
+    await expect(graph.query().aggregate({ count: true }).live({ onResult })).rejects.toMatchObject({ code: 'E_QUERY_LIVE_UNSUPPORTED' });
+    await expect(graph.query().select(['props']).live({ onResult })).rejects.toMatchObject({ code: 'E_QUERY_LIVE_UNSUPPORTED' });
+    await expect(graph.query().select(['id', 'bogus']).live({ onResult })).rejects.toMatchObject({ code: 'E_QUERY_SELECT_FIELD' });
+    expect(onResult).not.toHaveBeenCalled();
+    expect(/** @type {any} */ (graph)._subscribers).toHaveLength(0);
+  });
+});
@@ -0,0 +1,150 @@
+/**
+ * End-to-end tests for graph.mergeFork(forkName, options).
+ */
+import { describe, it, expect, beforeEach } from 'vitest';
+import WarpGraph from '../../../src/domain/WarpGraph.js';
+import ForkError from '../../../src/domain/errors/ForkError.js';
+import { decodePatchMessage } from '../../../src/domain/services/WarpMessageCodec.js';
+import { createInMemoryRepo } from '../../helpers/warpGraphTestUtils.js';
+
+describe('WarpGraph mergeFork', () => {
+  /** @type {ReturnType<typeof createInMemoryRepo>} */
+  let repo;
+  /** @type {WarpGraph} */
+  let graph;
+  /** @type {string} */
+  let forkPoint;
+
+  /**
+   * @param {string} graphName
+   * @param {string} writerId
+   */
+  function open(graphName, writerId) {
+    return WarpGraph.open({ persistence: repo.persistence, graphName, writerId });
+  }
+
+  beforeEach(async () => {
+    repo = createInMemoryRepo();
+    graph = await open('base', 'w1');
+    forkPoint = await graph.patch((p) => {
+      p.addNode('doc:a').setProperty('doc:a', 'title', 'Draft').addNode('doc:b');
+    });
+    await graph.materialize();
+  });
+
+  it('adopts a fork writer whose ID is free in the base graph', async () => {
+    const fork = await graph.fork({ from: 'w1', at: forkPoint, forkName: 'exp', forkWriterId: 'lab' });
+    const forkSha = await fork.patch((p) => {
+      p.addNode('doc:c').setProperty('doc:a', 'title', 'Final');
+    });
+
+    const result = await graph.mergeFork('exp');
+
+    expect(result.writers).toEqual([
+      { forkWriter: 'lab', writer: 'lab', mode: 'adopted', patches: [expect.any(String)] },
+    ]);
+    const landedSha = result.writers[0].patches[0];
+    const landed = decodePatchMessage(await repo.persistence.showNode(landedSha));
+    const original = decodePatchMessage(await repo.persistence.showNode(forkSha));
+    expect(landed).toMatchObject({ graph: 'base', writer: 'lab', lamport: original.lamport, patchOid: original.patchOid, mergedFrom: forkSha });
+    expect(result.receipts.map((r) => r.patchSha)).toEqual([landedSha]);
+    expect(await graph.hasNode('doc:c')).toBe(true);
+    expect(await graph.getNodeProps('doc:a')).toEqual({ title: 'Final' });
+  });
+
+  it('rebases onto a colliding writer without clashing dots', async () => {
+    const fork = await graph.fork({ from: 'w1', at: forkPoint, forkName: 'exp', forkWriterId: 'w1' });
+    await fork.materialize();
+    await fork.patch((p) => {
+      p.addNode('doc:fork');
+    });
+    await fork.patch((p) => {
+      p.removeNode('doc:fork').removeNode('doc:b');
+    });
+    await graph.patch((p) => {
+      p.addNode('doc:base');
+    });
+
+    const result = await graph.mergeFork('exp');
+
+    expect(result.writers).toMatchObject([{ forkWriter: 'w1', writer: 'w1', mode: 'rebased' }]);
+    expect(result.writers[0].patches).toHaveLength(2);
+    expect((await graph.getNodes()).sort()).toEqual(['doc:a', 'doc:base']);
+    const lamports = [];
+    for (const sha of result.writers[0].patches) {
+      lamports.push(decodePatchMessage(await repo.persistence.showNode(sha)).lamport);
+    }
+    expect(lamports).toEqual([3, 4]);
+  });
+
+  it('lands only new fork patches on a repeated merge', async () => {
+    const fork = await graph.fork({ from: 'w1', at: forkPoint, forkName: 'exp', forkWriterId: 'lab' });
+    await fork.materialize();
+    await fork.patch((p) => {
+      p.addNode('doc:c');
+    });
+    await graph.mergeFork('exp', { writerMapping: { lab: 'w1' } });
+    await fork.patch((p) => {
+      p.removeNode('doc:c');
+    });
+
+    const result = await graph.mergeFork('exp', { writerMapping: { lab: 'w1' } });
+
+    expect(result.writers[0].patches).toHaveLength(1);
+    expect(await graph.hasNode('doc:c')).toBe(false);
+    expect(await graph.mergeFork('exp', { writerMapping: { lab: 'w1' } }))
+      .toEqual({ forkName: 'exp', writers: [], receipts: [], conflicts: [] });
+  });
+
+  it('reports conflicts involving landed patches', async () => {
+    const fork = await graph.fork({ from: 'w1', at: forkPoint, forkName: 'exp', forkWriterId: 'lab' });
+    await fork.patch((p) => {
+      p.setProperty('doc:a', 'title', 'Fork');
+    });
+    await graph.patch((p) => {
+      p.setProperty('doc:a', 'title', 'Base');
+    });
+
+    const { writers, conflicts } = await graph.mergeFork('exp');
+
+    expect(conflicts).toHaveLength(1);
+    expect(conflicts[0]).toMatchObject({ nodeId: 'doc:a', key: 'title' });
+    expect([conflicts[0].winner, ...conflicts[0].overwritten].map((w) => w.patchSha)).toContain(writers[0].patches[0]);
+  });
+
+  it('reports a base write on the target writer that a rebased fork patch overwrote', async () => {
+    const fork = await graph.fork({ from: 'w1', at: forkPoint, forkName: 'exp', forkWriterId: 'lab' });
+    await fork.materialize();
+    await fork.patch((p) => {
+      p.setProperty('doc:a', 'title', 'Fork');
+    });
+    const baseSha = await graph.patch((p) => {
+      p.setProperty('doc:a', 'title', 'Base');
+    });
+
+    const { writers, conflicts } = await graph.mergeFork('exp', { writerMapping: { lab: 'w1' } });
+
+    expect(writers).toMatchObject([{ writer: 'w1', mode: 'rebased' }]);
+    expect(await graph.getNodeProps('doc:a')).toEqual({ title: 'Fork' });
+    expect(conflicts).toHaveLength(1);
+    expect(conflicts[0].winner).toMatchObject({ value: 'Fork', patchSha: writers[0].patches[0] });
+    expect(conflicts[0].overwritten).toEqual([expect.objectContaining({ value: 'Base', patchSha: baseSha })]);
+  });
+
+  it('validates the fork and writer mapping', async () => {
+    await graph.fork({ from: 'w1', at: forkPoint, forkName: 'exp', forkWriterId: 'lab' });
+    const other = await open('other', 'w1');
+    const otherSha = await other.patch((p) => {
+      p.addNode('x');
+    });
+    await other.fork({ from: 'w1', at: otherSha, forkName: 'other-exp', forkWriterId: 'lab' });
+
+    await expect(graph.mergeFork('base')).rejects.toMatchObject({ code: 'E_FORK_INVALID_ARGS' });
+    await expect(graph.mergeFork('missing')).rejects.toMatchObject({ code: 'E_FORK_NOT_FOUND' });
+    await expect(graph.mergeFork('other-exp')).rejects.toMatchObject({ code: 'E_FORK_NOT_A_FORK' });
+    await expect(graph.mergeFork('exp', { writerMapping: { nobody: 'w1' } })).rejects.toMatchObject({ code: 'E_FORK_WRITER_NOT_FOUND' });
+    const err = await graph.mergeFork('exp', { writerMapping: { lab: 'bad writer' } }).catch((e) => e);
+    expect(err).toBeInstanceOf(ForkError);
+    expect(err.code).toBe('E_FORK_WRITER_ID_INVALID');
+  });
+});
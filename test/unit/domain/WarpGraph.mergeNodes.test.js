@@ -0,0 +1,143 @@
+/**
+ * End-to-end tests for builder.mergeNodes(survivor, absorbed).
+ */
+import { describe, it, expect, beforeEach } from 'vitest';
+import WarpGraph from '../../../src/domain/WarpGraph.js';
+import { createInMemoryRepo } from '../../helpers/warpGraphTestUtils.js';
+
+describe('WarpGraph mergeNodes', () => {
+  /** @type {ReturnType<typeof createInMemoryRepo>} */
+  let repo;
+  /** @type {WarpGraph} */
+  let graph;
+  /** @type {string} */
+  let aliceSha;
+  /** @type {string} */
+  let dupSha;
+
+  /** @param {string} writerId */
+  function open(writerId) {
+    return WarpGraph.open({ persistence: repo.persistence, graphName: 'people', writerId });
+  }
+
+  beforeEach(async () => {
+    repo = createInMemoryRepo();
+    graph = await open('w1');
+    aliceSha = await graph.patch((p) => {
+      p.addNode('user:alice').setProperty('user:alice', 'name', 'Alice')
+        .addNode('user:bob')
+        .addEdge('user:alice', 'user:bob', 'follows');
+    });
+    dupSha = await graph.patch((p) => {
+      p.addNode('user:alice-dup').setProperty('user:alice-dup', 'email', 'alice@example.com')
+        .incrementProperty('user:alice-dup', 'logins', 2)
+        .addNode('org:acme')
+        .addEdge('user:alice-dup', 'org:acme', 'worksAt')
+        .setEdgeProperty('user:alice-dup', 'org:acme', 'worksAt', 'since', 2020);
+    });
+    await graph.materialize();
+  });
+
+  it('surfaces the absorbed node\'s props and edges on the survivor', async () => {
+    await graph.patch((p) => {
+      p.incrementProperty('user:alice', 'logins', 1).mergeNodes('user:alice', 'user:alice-dup');
+    });
+
+    expect((await graph.getNodes()).sort()).toEqual(['org:acme', 'user:alice', 'user:bob']);
+    expect(await graph.getNodeProps('user:alice')).toEqual({ name: 'Alice', email: 'alice@example.com', logins: 3 });
+    expect(await graph.getEdgeProps('user:alice', 'org:acme', 'worksAt')).toEqual({ since: 2020 });
+    expect((await graph.neighbors('user:alice', 'outgoing')).map((n) => n.nodeId).sort()).toEqual(['org:acme', 'user:bob']);
+  });
+
+  it('resolves the absorbed ID in lookups, traversal, and queries', async () => {
+    await graph.patch((p) => {
+      p.mergeNodes('user:alice', 'user:alice-dup');
+    });
+
+    expect(await graph.resolveNode('user:alice-dup')).toBe('user:alice');
+    expect(await graph.resolveNode('user:bob')).toBe('user:bob');
+    expect(await graph.hasNode('user:alice-dup')).toBe(true);
+    expect(await graph.getNodeProps('user:alice-dup')).toEqual(await graph.getNodeProps('user:alice'));
+    expect(await graph.traverse.bfs('user:alice-dup')).toEqual(['user:alice', 'org:acme', 'user:bob']);
+    expect((await graph.traverse.shortestPath('user:bob', 'user:alice-dup', { dir: 'in' })).path)
+      .toEqual(['user:bob', 'user:alice']);
+    const result = await graph.query().match('user:alice-dup').outgoing('worksAt').run();
+    expect(/** @type {{nodes: Array<{id: string}>}} */ (result).nodes.map((n) => n.id)).toEqual(['org:acme']);
+  });
+
+  it('keeps both histories in provenance', async () => {
+    const mergeSha = await graph.patch((p) => {
+      p.mergeNodes('user:alice', 'user:alice-dup');
+    });
+
+    const expected = [aliceSha, dupSha, mergeSha].sort();
+    expect(await graph.patchesFor('user:alice')).toEqual(expected);
+    expect(await graph.patchesFor('user:alice-dup')).toEqual(expected);
+  });
+
+  it('lands later writes under the absorbed ID on the survivor', async () => {
+    await graph.patch((p) => {
+      p.mergeNodes('user:alice', 'user:alice-dup');
+    });
+    await graph.patch((p) => {
+      p.setProperty('user:alice-dup', 'name', 'Alice A.').addToSet('user:alice-dup', 'tags', 'vip');
+    });
+
+    expect(await graph.getNodeProps('user:alice')).toMatchObject({ name: 'Alice A.', tags: ['vip'] });
+  });
+
+  it('removes the absorbed node together with the survivor', async () => {
+    await graph.patch((p) => {
+      p.mergeNodes('user:alice', 'user:alice-dup');
+    });
+    await graph.patch((p) => {
+      p.removeEdge('user:alice-dup', 'org:acme', 'worksAt').removeNode('user:alice');
+    });
+
+    expect(await graph.hasNode('user:alice')).toBe(false);
+    expect(await graph.hasNode('user:alice-dup')).toBe(false);
+    expect(await graph.getEdges()).toEqual([]);
+  });
+
+  it('rejects merging a node into itself or a node already merged into it', async () => {
+    await graph.patch((p) => {
+      p.mergeNodes('user:alice', 'user:alice-dup');
+    });
+
+    const builder = await graph.createPatch();
+    expect(() => builder.mergeNodes('user:alice', 'user:alice')).toThrow(/already the same node/);
+    expect(() => builder.mergeNodes('user:alice-dup', 'user:alice')).toThrow(/already the same node/);
+  });
+
+  it('converges when writers merge the same pair in opposite directions', async () => {
+    const other = await open('w2');
+    await other.materialize();
+    await graph.patch((p) => {
+      p.mergeNodes('user:alice-dup', 'user:alice');
+    });
+    await other.patch((p) => {
+      p.mergeNodes('user:alice', 'user:alice-dup');
+    });
+
+    await graph.materialize();
+    await other.materialize();
+
+    expect(await graph.getNodes()).toEqual(await other.getNodes());
+    expect(await graph.resolveNode('user:alice-dup')).toBe('user:alice');
+    expect(await other.resolveNode('user:alice-dup')).toBe('user:alice');
+    expect(await graph.getNodeProps('user:alice')).toEqual({ name: 'Alice', email: 'alice@example.com', logins: 2 });
+  });
+
+  it('survives a checkpoint round trip', async () => {
+    await graph.patch((p) => {
+      p.mergeNodes('user:alice', 'user:alice-dup');
+    });
+    await graph.createCheckpoint();
+
+    const reopened = await open('w1');
+    await reopened.materialize();
+
+    expect(await reopened.resolveNode('user:alice-dup')).toBe('user:alice');
+    expect(await reopened.getNodeProps('user:alice')).toEqual(await graph.getNodeProps('user:alice'));
+  });
+});
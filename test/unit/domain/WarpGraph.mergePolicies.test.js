@@ -0,0 +1,143 @@
+/**
+ * End-to-end tests for WarpGraph.open({ mergePolicies }).
+ *
+ * Writers share one in-memory repository and write concurrently (neither
+ * materializes before writing), so the merge policy alone decides which
+ * value survives.
+ */
+import { describe, it, expect, beforeEach } from 'vitest';
+import WarpGraph from '../../../src/domain/WarpGraph.js';
+import { writerPriority } from '../../../src/domain/crdt/MergePolicy.js';
+import MergePolicyError from '../../../src/domain/errors/MergePolicyError.js';
+import MergePolicyRegistry from '../../../src/domain/services/MergePolicyRegistry.js';
+import { createInMemoryRepo, createMockLogger } from '../../helpers/warpGraphTestUtils.js';
+
+describe('WarpGraph merge policies', () => {
+  /** @type {ReturnType<typeof createInMemoryRepo>} */
+  let repo;
+
+  beforeEach(() => {
+    repo = createInMemoryRepo();
+  });
+
+  /**
+   * @param {string} writerId
+   * @param {Record<string, any>} [mergePolicies]
+   */
+  function open(writerId, mergePolicies) {
+    return WarpGraph.open({ persistence: repo.persistence, graphName: 'policies', writerId, mergePolicies });
+  }
+
+  const policies = { version: 'max', owner: writerPriority(['admin', 'bot']) };
+
+  it('resolves concurrent writes by policy instead of LWW', async () => {
+    const admin = await open('admin', policies);
+    const bot = await open('bot', policies);
+
+    await admin.patch((p) => {
+      p.addNode('doc').setProperty('doc', 'version', 7).setProperty('doc', 'owner', 'alice').setProperty('doc', 'title', 'A');
+    });
+    await bot.patch((p) => {
+      p.setProperty('doc', 'version', 3).setProperty('doc', 'owner', 'sync-bot').setProperty('doc', 'title', 'B');
+    });
+
+    await bot.materialize();
+    expect(await bot.getNodeProps('doc')).toEqual({ version: 7, owner: 'alice', title: 'B' });
+    expect((await bot.getConflicts()).map((c) => c.key)).toEqual(['title']);
+  });
+
+  it('validates mergePolicies on open', async () => {
+    await expect(open('w1', { version: 'newest' })).rejects.toThrow(MergePolicyError);
+  });
+
+  /** Writes a concurrent version conflict under `policies` and checkpoints it. */
+  async function checkpointConflict() {
+    const admin = await open('admin', policies);
+    const bot = await open('bot', policies);
+    await admin.patch((p) => {
+      p.addNode('doc').setProperty('doc', 'version', 7);
+    });
+    await bot.patch((p) => {
+      p.setProperty('doc', 'version', 3);
+    });
+    await admin.materialize();
+    return await admin.createCheckpoint();
+  }
+
+  it('uses checkpoints written under the same policies, in any declaration order', async () => {
+    await checkpointConflict();
+    const logger = createMockLogger();
+
+    const reader = await WarpGraph.open({
+      persistence: repo.persistence, graphName: 'policies', writerId: 'reader', logger,
+      mergePolicies: { owner: policies.owner, version: 'max' },
+    });
+    await reader.materialize();
+
+    expect(await reader.getNodeProps('doc')).toEqual({ version: 7 });
+    expect(logger.warn).not.toHaveBeenCalled();
+  });
+
+  it('replays from patches when the checkpoint was written under different policies', async () => {
+    const checkpointSha = await checkpointConflict();
+    const logger = createMockLogger();
+
+    const reader = await WarpGraph.open({
+      persistence: repo.persistence, graphName: 'policies', writerId: 'reader', logger, mergePolicies: { version: 'min' },
+    });
+    await reader.materialize();
+
+    expect(await reader.getNodeProps('doc')).toEqual({ version: 3 });
+    expect(logger.warn).toHaveBeenCalledWith(
+      expect.stringContaining('different merge policies'),
+      expect.objectContaining({ checkpointSha, configured: [{ pattern: 'version', policy: 'min' }] }),
+    );
+
+    const err = await reader.materializeAt(checkpointSha).catch((e) => e);
+    expect(err).toBeInstanceOf(MergePolicyError);
+    expect(err.code).toBe('E_MERGE_POLICY_MISMATCH');
+  });
+
+  describe('readMergePolicies', () => {
+    it('rebuilds the policies recorded in the latest checkpoint', async () => {
+      expect(await WarpGraph.readMergePolicies({ persistence: repo.persistence, graphName: 'policies' })).toBeNull();
+      await checkpointConflict();
+
+      const mergePolicies = await WarpGraph.readMergePolicies({ persistence: repo.persistence, graphName: 'policies' });
+      expect(MergePolicyRegistry.from(mergePolicies)?.describe()).toEqual(
+        /** @type {MergePolicyRegistry} */ (MergePolicyRegistry.from(policies)).describe(),
+      );
+
+      const reader = await open('reader', /** @type {Record<string, any>} */ (mergePolicies));
+      await reader.materialize();
+      expect(await reader.getNodeProps('doc')).toEqual({ version: 7 });
+    });
+
+    it('refuses to rebuild a custom policy', async () => {
+      const writer = await open('admin', { version: { name: 'longest', join: (/** @type {any} */ a, /** @type {any} */ b) => (String(a.value).length >= String(b.value).length ? a : b) } });
+      await writer.patch((p) => {
+        p.addNode('doc').setProperty('doc', 'version', 1);
+      });
+      await writer.materialize();
+      await writer.createCheckpoint();
+
+      await expect(WarpGraph.readMergePolicies({ persistence: repo.persistence, graphName: 'policies' }))
+        .rejects.toThrow(expect.objectContaining({ code: 'E_MERGE_POLICY_INVALID' }));
+    });
+  });
+
+  it('opens forks with the same policies', async () => {
+    const admin = await open('admin', policies);
+    const sha = await admin.patch((p) => {
+      p.addNode('doc').setProperty('doc', 'version', 5);
+    });
+
+    const fork = await admin.fork({ from: 'admin', at: sha, forkName: 'policies-fork', forkWriterId: 'bot' });
+    await fork.patch((p) => {
+      p.setProperty('doc', 'version', 2);
+    });
+    await fork.materialize();
+
+    expect(await fork.getNodeProps('doc')).toEqual({ version: 5 });
+  });
+});
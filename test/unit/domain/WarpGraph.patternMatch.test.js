@@ -0,0 +1,154 @@
+/**
+ * End-to-end tests for graph.match() subgraph pattern queries.
+ */
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import WarpGraph from '../../../src/domain/WarpGraph.js';
+import QueryError from '../../../src/domain/errors/QueryError.js';
+import BitmapNeighborProvider from '../../../src/domain/services/BitmapNeighborProvider.js';
+import { createInMemoryRepo } from '../../helpers/warpGraphTestUtils.js';
+
+describe('graph.match()', () => {
+  /** @type {WarpGraph} */
+  let graph;
+
+  beforeEach(async () => {
+    const repo = createInMemoryRepo();
+    graph = await WarpGraph.open({
+      persistence: repo.persistence,
+      graphName: 'social',
+      writerId: 'w1',
+      valueIndex: { keys: ['stars'] },
+    });
+    await graph.patch((p) => {
+      p.addNode('user:ann').addNode('user:bob').addNode('user:cy')
+        .addNode('repo:warp').setProperty('repo:warp', 'stars', 120)
+        .addNode('repo:tiny').setProperty('repo:tiny', 'stars', 3)
+        .addEdge('user:ann', 'user:bob', 'follows')
+        .addEdge('user:bob', 'user:cy', 'follows')
+        .addEdge('user:cy', 'user:ann', 'follows')
+        .addEdge('user:ann', 'user:ann', 'follows')
+        .addEdge('user:bob', 'repo:warp', 'owns')
+        .addEdge('user:cy', 'repo:tiny', 'owns')
+        .addEdge('user:ann', 'repo:warp', 'starred')
+        .addEdge('user:bob', 'repo:tiny', 'starred');
+    });
+    await graph.materialize();
+  });
+
+  afterEach(() => {
+    vi.restoreAllMocks();
+  });
+
+  it('returns one row per binding of an edge constraint', async () => {
+    const result = await graph.match({ a: 'user:*', b: 'repo:*' }).edge('a', 'owns', 'b').run();
+
+    expect(result.rows).toEqual([
+      { a: 'user:bob', b: 'repo:warp' },
+      { a: 'user:cy', b: 'repo:tiny' },
+    ]);
+    expect(result.stateHash).toBe((await graph.query().run()).stateHash);
+  });
+
+  it('joins several constraints sharing variables', async () => {
+    const { rows } = await graph
+      .match({ u: 'user:*', f: 'user:*', r: 'repo:*' })
+      .edge('u', 'follows', 'f')
+      .edge('f', 'owns', 'r')
+      .edge('u', 'starred', 'r')
+      .run();
+
+    expect(rows).toEqual([
+      { u: 'user:ann', f: 'user:bob', r: 'repo:warp' },
+      { u: 'user:bob', f: 'user:cy', r: 'repo:tiny' },
+    ]);
+  });
+
+  it('matches cycles and self-loops', async () => {
+    const triangles = await graph
+      .match({ a: 'user:*', b: 'user:*', c: 'user:*' })
+      .edge('a', 'follows', 'b')
+      .edge('b', 'follows', 'c')
+      .edge('c', 'follows', 'a')
+      .where((row) => row.a.id !== row.b.id)
+      .run();
+    const loops = await graph.match({ a: '*' }).edge('a', 'follows', 'a').run();
+
+    expect(triangles.rows).toEqual([
+      { a: 'user:ann', b: 'user:bob', c: 'user:cy' },
+      { a: 'user:bob', b: 'user:cy', c: 'user:ann' },
+      { a: 'user:cy', b: 'user:ann', c: 'user:bob' },
+    ]);
+    expect(loops.rows).toEqual([{ a: 'user:ann' }]);
+  });
+
+  it('lets distinct variables bind the same node', async () => {
+    const { rows } = await graph.match({ a: 'user:ann', b: 'user:*' }).edge('a', 'follows', 'b').run();
+
+    expect(rows).toEqual([
+      { a: 'user:ann', b: 'user:ann' },
+      { a: 'user:ann', b: 'user:bob' },
+    ]);
+  });
+
+  it('filters variables with where() predicates of every form', async () => {
+    const declarative = await graph.match({ a: 'user:*', b: 'repo:*' })
+      .edge('a', undefined, 'b')
+      .where('b', { props: { stars: { gte: 100 } } })
+      .run();
+    const shorthand = await graph.match({ a: 'user:*', b: 'repo:*' })
+      .edge('a', 'owns', 'b')
+      .where('b', { stars: 3 })
+      .where('a', (node) => node.edgesOut.length > 1)
+      .run();
+
+    expect(declarative.rows).toEqual([
+      { a: 'user:ann', b: 'repo:warp' },
+      { a: 'user:bob', b: 'repo:warp' },
+    ]);
+    expect(shorthand.rows).toEqual([{ a: 'user:cy', b: 'repo:tiny' }]);
+  });
+
+  it('projects, deduplicates, and limits rows', async () => {
+    const query = () => graph.match({ a: 'user:*', b: 'repo:*' }).edge('a', undefined, 'b').select(['b']);
+
+    expect((await query().run()).rows).toEqual([{ b: 'repo:tiny' }, { b: 'repo:warp' }]);
+    expect((await query().limit(1).run()).rows).toEqual([{ b: 'repo:tiny' }]);
+  });
+
+  it('prunes candidates through the bitmap neighbor index', async () => {
+    const spy = vi.spyOn(BitmapNeighborProvider.prototype, 'getNeighbors');
+
+    const { rows } = await graph.match({ a: 'user:*', b: 'repo:*' }).edge('a', 'owns', 'b').run();
+
+    expect(rows).toHaveLength(2);
+    expect(spy).toHaveBeenCalledWith('user:ann', 'out', { labels: new Set(['owns']) });
+  });
+
+  it('falls back to the adjacency maps when the index cannot be read', async () => {
+    vi.spyOn(BitmapNeighborProvider.prototype, 'getNeighbors').mockRejectedValue(new Error('shard missing'));
+
+    const { rows } = await graph.match({ a: 'user:*', b: 'repo:*' }).edge('a', 'owns', 'b').run();
+
+    expect(rows).toEqual([
+      { a: 'user:bob', b: 'repo:warp' },
+      { a: 'user:cy', b: 'repo:tiny' },
+    ]);
+  });
+
+  it('returns no rows when a variable has no candidates', async () => {
+    const { rows } = await graph.match({ a: 'team:*', b: '*' }).edge('a', undefined, 'b').run();
+
+    expect(rows).toEqual([]);
+  });
+
+  it('rejects malformed patterns and undeclared variables', () => {
+    expect(() => graph.match(/** @type {any} */ ({}))).toThrow(expect.objectContaining({ code: 'E_QUERY_MATCH_TYPE' }));
+    expect(() => graph.match(/** @type {any} */ ({ a: 42 }))).toThrow(QueryError);
+    const query = graph.match({ a: 'user:*' });
+    expect(() => query.edge('a', 'owns', 'z')).toThrow(expect.objectContaining({ code: 'E_QUERY_PATTERN_VARIABLE' }));
+    expect(() => query.where('z', { role: 'x' })).toThrow(expect.objectContaining({ code: 'E_QUERY_PATTERN_VARIABLE' }));
+    expect(() => query.select(['z'])).toThrow(expect.objectContaining({ code: 'E_QUERY_PATTERN_VARIABLE' }));
+    expect(() => query.edge('a', /** @type {any} */ (7), 'a')).toThrow(expect.objectContaining({ code: 'E_QUERY_LABEL_TYPE' }));
+    expect(() => query.limit(-1)).toThrow(expect.objectContaining({ code: 'E_QUERY_LIMIT_TYPE' }));
+  });
+});
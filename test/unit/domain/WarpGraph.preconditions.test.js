@@ -0,0 +1,130 @@
+/**
+ * End-to-end tests for patch preconditions (expectNode / expectEdge /
+ * expectAbsent / expectProp) and graph.patch(fn, { retries }).
+ */
+import { describe, it, expect, beforeEach } from 'vitest';
+import WarpGraph from '../../../src/domain/WarpGraph.js';
+import PreconditionError from '../../../src/domain/errors/PreconditionError.js';
+import { createInMemoryRepo } from '../../helpers/warpGraphTestUtils.js';
+
+describe('WarpGraph patch preconditions', () => {
+  /** @type {ReturnType<typeof createInMemoryRepo>} */
+  let repo;
+  /** @type {WarpGraph} */
+  let graph;
+
+  beforeEach(async () => {
+    repo = createInMemoryRepo();
+    graph = await WarpGraph.open({ persistence: repo.persistence, graphName: 'cas', writerId: 'w1' });
+    await graph.patch((p) => {
+      p.addNode('issue:1').setProperty('issue:1', 'status', 'open');
+    });
+  });
+
+  it('commits when the preconditions hold', async () => {
+    await graph.patch((p) => {
+      p.expectNode('issue:1').expectAbsent('issue:2').expectProp('issue:1', 'status', 'open')
+        .setProperty('issue:1', 'status', 'closed');
+    });
+
+    expect(await graph.getNodeProps('issue:1')).toEqual({ status: 'closed' });
+  });
+
+  it('rejects a stale expectation without writing', async () => {
+    await graph.patch((p) => {
+      p.setProperty('issue:1', 'status', 'closed');
+    });
+    const head = await repo.persistence.readRef('refs/warp/cas/writers/w1');
+
+    const err = await graph.patch((p) => {
+      p.expectProp('issue:1', 'status', 'open').setProperty('issue:1', 'status', 'wontfix');
+    }).catch((e) => e);
+
+    expect(err).toBeInstanceOf(PreconditionError);
+    expect(err.code).toBe('E_PRECONDITION_FAILED');
+    expect(err.message).toBe('Patch precondition failed: expected issue:1.status to be "open", got "closed"');
+    expect(err.failures[0].actual).toBe('closed');
+    expect(await repo.persistence.readRef('refs/warp/cas/writers/w1')).toBe(head);
+    expect(await graph.getNodeProps('issue:1')).toEqual({ status: 'closed' });
+  });
+
+  it('checks edge expectations', async () => {
+    await graph.patch((p) => {
+      p.addNode('user:alice').expectAbsent('user:alice', 'issue:1', 'owns').addEdge('user:alice', 'issue:1', 'owns');
+    });
+
+    await expect(graph.patch((p) => {
+      p.expectAbsent('user:alice', 'issue:1', 'owns').addEdge('user:alice', 'issue:1', 'owns');
+    })).rejects.toThrow('expected edge user:alice -> issue:1 [owns] to be absent');
+    await graph.patch((p) => {
+      p.expectEdge('user:alice', 'issue:1', 'owns').removeEdge('user:alice', 'issue:1', 'owns');
+    });
+  });
+
+  it('checks against state written by another handle on the same writer', async () => {
+    const other = await WarpGraph.open({ persistence: repo.persistence, graphName: 'cas', writerId: 'w1' });
+    await other.materialize();
+    await graph.patch((p) => {
+      p.setProperty('issue:1', 'status', 'closed');
+    });
+
+    const err = await other.patch((p) => {
+      p.expectProp('issue:1', 'status', 'open').setProperty('issue:1', 'status', 'wontfix');
+    }).catch((e) => e);
+
+    expect(err).toBeInstanceOf(PreconditionError);
+    expect(err.failures[0].actual).toBe('closed');
+  });
+
+  it('retries with fresh state and gives up after the retry budget', async () => {
+    const other = await WarpGraph.open({ persistence: repo.persistence, graphName: 'cas', writerId: 'w1' });
+    await other.materialize();
+    await graph.patch((p) => {
+      p.setProperty('issue:1', 'status', 'triaged');
+    });
+
+    /** @type {unknown[]} */
+    const seen = [];
+    await other.patch(async (p) => {
+      const current = (await other.getNodeProps('issue:1'))?.status;
+      seen.push(current);
+      p.expectProp('issue:1', 'status', current).setProperty('issue:1', 'status', `${current}+1`);
+    }, { retries: 1 });
+
+    expect(seen).toEqual(['open', 'triaged']);
+    expect(await other.getNodeProps('issue:1')).toEqual({ status: 'triaged+1' });
+
+    let calls = 0;
+    await expect(graph.patch((p) => {
+      calls++;
+      p.expectProp('issue:1', 'status', 'open').setProperty('issue:1', 'status', 'x');
+    }, { retries: 2 })).rejects.toBeInstanceOf(PreconditionError);
+    expect(calls).toBe(3);
+  });
+
+  it('does not retry other errors', async () => {
+    let calls = 0;
+    await expect(graph.patch(() => {
+      calls++;
+    }, { retries: 3 })).rejects.toThrow('Cannot commit empty patch');
+    expect(calls).toBe(1);
+    await expect(graph.patch(() => {}, { retries: -1 })).rejects.toThrow('retries must be a non-negative integer');
+  });
+
+  it('rethrows PreconditionError from writer sessions', async () => {
+    const writer = await graph.writer('w1');
+    const session = await writer.beginPatch();
+    session.expectNode('issue:9').setProperty('issue:9', 'status', 'open');
+
+    await expect(session.commit()).rejects.toBeInstanceOf(PreconditionError);
+    await expect(writer.commitPatch((p) => {
+      p.expectAbsent('issue:1').addNode('issue:1');
+    })).rejects.toThrow('expected node issue:1 to be absent');
+  });
+
+  it('rejects an incomplete edge form of expectAbsent', async () => {
+    const p = await graph.createPatch();
+
+    expect(() => p.expectAbsent('a', 'b')).toThrow('expectAbsent() takes a node ID, or an edge as (from, to, label)');
+  });
+});
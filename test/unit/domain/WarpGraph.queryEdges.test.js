@@ -0,0 +1,131 @@
+/**
+ * End-to-end tests for graph.queryEdges() and edge predicates on hops.
+ */
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import WarpGraph from '../../../src/domain/WarpGraph.js';
+import BitmapNeighborProvider from '../../../src/domain/services/BitmapNeighborProvider.js';
+import { createInMemoryRepo } from '../../helpers/warpGraphTestUtils.js';
+
+/**
+ * @param {import('../../../src/domain/services/QueryBuilder.js').default} query
+ * @returns {Promise<string[]>} IDs of the query's result nodes
+ */
+async function nodeIds(query) {
+  const result = /** @type {{ nodes: Array<{ id: string }> }} */ (await query.run());
+  return result.nodes.map((n) => n.id);
+}
+
+/**
+ * @param {{ edges: Array<{ from: string, to: string, label: string }> }} result
+ * @returns {string[]} `from -label-> to` per edge
+ */
+function arrows({ edges }) {
+  return edges.map(({ from, to, label }) => `${from} -${label}-> ${to}`);
+}
+
+describe('edge queries', () => {
+  /** @type {WarpGraph} */
+  let graph;
+
+  beforeEach(async () => {
+    const repo = createInMemoryRepo();
+    graph = await WarpGraph.open({ persistence: repo.persistence, graphName: 'work', writerId: 'w1' });
+    await graph.patch((p) => {
+      p.addNode('user:ann').addNode('user:bob').addNode('task:1').addNode('task:2').addNode('team:core')
+        .addEdge('user:ann', 'task:1', 'assigned').setEdgeProperty('user:ann', 'task:1', 'assigned', 'weight', 5)
+        .addEdge('user:ann', 'task:2', 'assigned').setEdgeProperty('user:ann', 'task:2', 'assigned', 'weight', 1)
+        .addEdge('user:bob', 'task:2', 'assigned').setEdgeProperty('user:bob', 'task:2', 'assigned', 'weight', 4)
+        .addEdge('user:bob', 'team:core', 'memberOf').setEdgeProperty('user:bob', 'team:core', 'memberOf', 'role', 'lead')
+        .addEdge('user:ann', 'user:bob', 'follows');
+    });
+    await graph.materialize();
+  });
+
+  afterEach(() => {
+    vi.restoreAllMocks();
+  });
+
+  describe('graph.queryEdges()', () => {
+    it('returns edges with their props, sorted by source, label, and target', async () => {
+      const result = await graph.queryEdges().from('user:ann').run();
+
+      expect(arrows(result)).toEqual([
+        'user:ann -assigned-> task:1',
+        'user:ann -assigned-> task:2',
+        'user:ann -follows-> user:bob',
+      ]);
+      expect(result.edges[0].props).toEqual({ weight: 5 });
+      expect(result.edges[2].props).toEqual({});
+      expect(Object.isFrozen(result.edges[0].props)).toBe(true);
+      expect(result.stateHash).toBe((await graph.query().run()).stateHash);
+    });
+
+    it('filters by label, endpoints, and edge property predicates', async () => {
+      const heavy = await graph.queryEdges()
+        .label('assigned')
+        .where({ props: { weight: { gt: 3 } } })
+        .from('user:*')
+        .run();
+      const intoTask2 = await graph.queryEdges().to('task:2').where((edge) => edge.from !== 'user:ann').run();
+      const leads = await graph.queryEdges().label(['memberOf', 'follows']).where({ role: 'lead' }).run();
+
+      expect(arrows(heavy)).toEqual(['user:ann -assigned-> task:1', 'user:bob -assigned-> task:2']);
+      expect(arrows(intoTask2)).toEqual(['user:bob -assigned-> task:2']);
+      expect(arrows(leads)).toEqual(['user:bob -memberOf-> team:core']);
+    });
+
+    it('reads candidate edges from the label bitmaps', async () => {
+      const spy = vi.spyOn(BitmapNeighborProvider.prototype, 'getNeighbors');
+
+      await graph.queryEdges().label('memberOf').to('team:*').run();
+
+      expect(spy).toHaveBeenCalledTimes(1);
+      expect(spy).toHaveBeenCalledWith('team:core', 'in', { labels: new Set(['memberOf']) });
+    });
+
+    it('matches every edge getEdges() reports when unconstrained', async () => {
+      const { edges } = await graph.queryEdges().run();
+
+      expect(edges).toHaveLength((await graph.getEdges()).length);
+    });
+
+    it('rejects malformed labels and patterns', () => {
+      expect(() => graph.queryEdges().label([])).toThrow(expect.objectContaining({ code: 'E_QUERY_LABEL_TYPE' }));
+      expect(() => graph.queryEdges().from(/** @type {any} */ (3))).toThrow(expect.objectContaining({ code: 'E_QUERY_MATCH_TYPE', message: expect.stringContaining('from()') }));
+      expect(() => graph.queryEdges().where(/** @type {any} */ ('weight'))).toThrow(expect.objectContaining({ code: 'E_QUERY_WHERE_TYPE' }));
+    });
+  });
+
+  describe('hop edge predicates', () => {
+    it('follows only outgoing edges matching the predicate', async () => {
+      const ids = await nodeIds(graph.query()
+        .match('user:*')
+        .outgoing('assigned', { where: { props: { weight: { gte: 4 } } } }));
+
+      expect(ids).toEqual(['task:1', 'task:2']);
+    });
+
+    it('filters incoming and multi-hop traversals', async () => {
+      const lightOwners = await nodeIds(graph.query()
+        .match('task:2')
+        .incoming('assigned', { where: (edge) => edge.props.weight === 1 }));
+      const reach = await nodeIds(graph.query()
+        .match('user:ann')
+        .outgoing(undefined, { depth: [1, 2], where: { not: { props: { weight: { lt: 5 } } } } }));
+
+      expect(lightOwners).toEqual(['user:ann']);
+      expect(reach).toEqual(['task:1', 'team:core', 'user:bob']);
+    });
+
+    it('shows the edge predicate in the query plan', async () => {
+      const plan = await graph.query().match('user:ann').outgoing('assigned', { where: { weight: 5 } }).explain();
+
+      expect(plan.steps[2]).toMatchObject({ op: 'outgoing', detail: 'assigned where {"weight":5}', actual: 1 });
+    });
+
+    it('rejects malformed edge predicates', () => {
+      expect(() => graph.query().outgoing('assigned', { where: /** @type {any} */ (5) })).toThrow(expect.objectContaining({ code: 'E_QUERY_WHERE_TYPE' }));
+      expect(() => graph.query().incoming(undefined, { where: { props: { weight: { near: 1 } } } })).toThrow(expect.objectContaining({ code: 'E_QUERY_PREDICATE' }));
+    });
+  });
+});
@@ -0,0 +1,132 @@
+/**
+ * End-to-end tests for QueryBuilder.explain().
+ */
+import { describe, it, expect, beforeEach } from 'vitest';
+import WarpGraph from '../../../src/domain/WarpGraph.js';
+import QueryError from '../../../src/domain/errors/QueryError.js';
+import { createInMemoryRepo } from '../../helpers/warpGraphTestUtils.js';
+
+/**
+ * @param {import('../../../src/domain/services/QueryProfiler.js').QueryPlan} plan
+ * @returns {Array<[string, string, number, number]>} [op, access, estimated, actual] per step
+ */
+function summary(plan) {
+  return plan.steps.map(({ op, access, estimated, actual }) => [op, access, estimated, actual]);
+}
+
+describe('QueryBuilder.explain()', () => {
+  /** @type {ReturnType<typeof createInMemoryRepo>} */
+  let repo;
+  /** @type {WarpGraph} */
+  let graph;
+
+  beforeEach(async () => {
+    repo = createInMemoryRepo();
+    graph = await WarpGraph.open({
+      persistence: repo.persistence,
+      graphName: 'social',
+      writerId: 'w1',
+      valueIndex: { keys: ['age'] },
+    });
+    await graph.patch((p) => {
+      p.addNode('user:ann').setProperty('user:ann', 'age', 34)
+        .addNode('user:bob').setProperty('user:bob', 'age', 17)
+        .addNode('user:cy').setProperty('user:cy', 'age', 52)
+        .addNode('team:core')
+        .addEdge('user:ann', 'user:bob', 'follows')
+        .addEdge('user:ann', 'user:cy', 'follows')
+        .addEdge('user:cy', 'team:core', 'memberOf');
+    });
+    await graph.materialize();
+  });
+
+  it('reports access, estimated and actual sizes for each step', async () => {
+    const plan = await graph.query()
+      .match('user:*')
+      .where({ props: { age: { gte: 18 } } })
+      .where((node) => node.id !== 'user:bob')
+      .outgoing('follows')
+      .explain();
+
+    expect(summary(plan)).toEqual([
+      ['materialize', 'cached', 4, 4],
+      ['match', 'scan', 4, 3],
+      ['where', 'value-index', 2, 2],
+      ['where', 'scan', 2, 2],
+      ['outgoing', 'adjacency', 1, 2],
+      ['select', 'memory', 2, 2],
+    ]);
+    expect(plan.steps[2].detail).toBe('{"props":{"age":{"gte":18}}}');
+    expect(plan.steps[3].detail).toBe('function');
+    expect(plan.rows).toBe(2);
+    expect(plan.stateHash).toBe((await graph.query().run()).stateHash);
+    for (const step of plan.steps) {
+      expect(step.durationMs).toBeGreaterThanOrEqual(0);
+    }
+  });
+
+  it('counts props loads and memo hits', async () => {
+    const plan = await graph.query()
+      .match('user:*')
+      .where({ props: { age: { ne: 0 } } })
+      .orderBy('props.age', 'desc')
+      .limit(2)
+      .explain();
+
+    expect(plan.steps.map(({ op, propsLoaded, propsCacheHits }) => [op, propsLoaded, propsCacheHits])).toEqual([
+      ['materialize', 0, 0],
+      ['match', 0, 0],
+      ['where', 3, 0],
+      ['orderBy', 0, 3],
+      ['paginate', 0, 0],
+      ['select', 0, 2],
+    ]);
+    expect(plan.steps[3].detail).toBe('props.age desc');
+    expect(plan.steps[4].detail).toBe('limit 2');
+    expect(plan.caches.props).toEqual({ hits: 5, misses: 3 });
+  });
+
+  it('reports adjacency cache lookups made while materializing', async () => {
+    const reader = await WarpGraph.open({ persistence: repo.persistence, graphName: 'social', writerId: 'w2' });
+
+    const plan = await reader.query().match('user:cy').explain();
+    const again = await reader.query().explain();
+
+    expect(plan.steps[0].access).toBe('materialized');
+    expect(plan.steps[1]).toMatchObject({ detail: 'user:cy', estimated: 1, actual: 1 });
+    expect(plan.caches.adjacency).toEqual({ hits: 0, misses: 1 });
+    expect(again.steps[0].access).toBe('cached');
+    expect(again.caches.adjacency).toEqual({ hits: 0, misses: 0 });
+  });
+
+  it('describes multi-hop, search, and aggregate steps', async () => {
+    const texts = await WarpGraph.open({
+      persistence: repo.persistence,
+      graphName: 'docs',
+      writerId: 'w1',
+      textIndex: { fields: ['title'] },
+    });
+    await texts.patch((p) => {
+      p.addNode('doc:a').setProperty('doc:a', 'title', 'graph basics')
+        .addNode('doc:b').setProperty('doc:b', 'title', 'graph theory')
+        .addNode('doc:c').setProperty('doc:c', 'title', 'cooking');
+    });
+
+    const searchPlan = await texts.query().search('graph', { limit: 5 }).explain();
+    const hopPlan = await graph.query().match('user:ann').outgoing(undefined, { depth: [1, 2] }).aggregate({ count: true }).explain();
+
+    expect(summary(searchPlan).slice(2)).toEqual([
+      ['search', 'text-index', 2, 2],
+      ['rank', 'memory', 2, 2],
+      ['select', 'memory', 2, 2],
+    ]);
+    expect(searchPlan.steps[2].detail).toBe('"graph" in title (or, limit 5)');
+    expect(hopPlan.steps[2]).toMatchObject({ op: 'outgoing', detail: '* depth 1..2' });
+    expect(summary(hopPlan)[3]).toEqual(['aggregate', 'memory', 3, 1]);
+    expect(hopPlan.rows).toBe(1);
+  });
+
+  it('throws what run() throws', async () => {
+    await expect(graph.query().groupBy('props.age').explain()).rejects.toBeInstanceOf(QueryError);
+  });
+});
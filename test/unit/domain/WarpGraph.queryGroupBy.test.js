@@ -0,0 +1,104 @@
+/**
+ * End-to-end tests for query().groupBy() and the value aggregators.
+ */
+import { describe, it, expect, beforeAll } from 'vitest';
+import WarpGraph from '../../../src/domain/WarpGraph.js';
+import { createInMemoryRepo } from '../../helpers/warpGraphTestUtils.js';
+
+describe('WarpGraph query() grouped aggregation', () => {
+  /** @type {WarpGraph} */
+  let graph;
+
+  beforeAll(async () => {
+    const repo = createInMemoryRepo();
+    graph = await WarpGraph.open({ persistence: repo.persistence, graphName: 'issues', writerId: 'w1' });
+    await graph.patch((p) => {
+      p.addNode('issue:1').setProperty('issue:1', 'status', 'open').setProperty('issue:1', 'estimate', 3).setProperty('issue:1', 'assignee', 'alice')
+        .addNode('issue:2').setProperty('issue:2', 'status', 'closed').setProperty('issue:2', 'estimate', 5).setProperty('issue:2', 'assignee', 'bob')
+        .addNode('issue:3').setProperty('issue:3', 'status', 'open').setProperty('issue:3', 'estimate', 8).setProperty('issue:3', 'assignee', 'alice')
+        .addNode('issue:4').setProperty('issue:4', 'status', 'open').setProperty('issue:4', 'estimate', 1).setProperty('issue:4', 'assignee', 'bob')
+        .addNode('issue:5').setProperty('issue:5', 'estimate', 2)
+        .addNode('team:core')
+        .addEdge('team:core', 'issue:1', 'owns')
+        .addEdge('team:core', 'issue:2', 'owns')
+        .addEdge('team:core', 'issue:3', 'owns');
+    });
+  });
+
+  it('aggregates once per group, sorted by key with the null group last', async () => {
+    const result = await graph.query()
+      .match('issue:*')
+      .groupBy('props.status')
+      .aggregate({ count: true, sum: 'estimate' })
+      .run();
+
+    expect(result).toEqual({
+      stateHash: expect.any(String),
+      groups: [
+        { key: 'closed', count: 1, sum: 5 },
+        { key: 'open', count: 3, sum: 12 },
+        { key: null, count: 1, sum: 2 },
+      ],
+    });
+  });
+
+  it('groups by a key function, including composite keys', async () => {
+    const result = /** @type {import('../../../src/domain/services/QueryBuilder.js').GroupedAggregateResult} */ (await graph.query()
+      .match('issue:*')
+      .where({ props: { status: { exists: true } } })
+      .groupBy((node) => [node.props.assignee, node.props.status])
+      .aggregate({ count: true })
+      .run());
+
+    expect(result.groups).toEqual([
+      { key: ['alice', 'open'], count: 2 },
+      { key: ['bob', 'closed'], count: 1 },
+      { key: ['bob', 'open'], count: 1 },
+    ]);
+  });
+
+  it('counts distinct values, collects values, and computes percentiles', async () => {
+    const result = await graph.query()
+      .match('issue:*')
+      .orderBy('estimate', 'desc')
+      .aggregate({ countDistinct: 'assignee', collect: 'props.estimate', percentiles: { path: 'estimate', p: [0, 50, 90, 100] } })
+      .run();
+
+    expect(result).toEqual({
+      stateHash: expect.any(String),
+      countDistinct: 2,
+      collect: [8, 5, 3, 2, 1],
+      percentiles: { p0: 1, p50: 3, p90: expect.closeTo(6.8), p100: 8 },
+    });
+  });
+
+  it('aggregates traversal results the same way', async () => {
+    const result = /** @type {import('../../../src/domain/services/QueryBuilder.js').GroupedAggregateResult} */ (await graph.query()
+      .match('team:core')
+      .outgoing('owns')
+      .groupBy('assignee')
+      .aggregate({ collect: 'status' })
+      .run());
+
+    expect(result.groups).toEqual([
+      { key: 'alice', collect: ['open', 'open'] },
+      { key: 'bob', collect: ['closed'] },
+    ]);
+  });
+
+  it('reports null percentiles for a group without numeric values', async () => {
+    const result = await graph.query().match('team:*').aggregate({ percentiles: { path: 'estimate', p: [50] } }).run();
+
+    expect(result).toMatchObject({ percentiles: { p50: null } });
+  });
+
+  it('validates groupBy() and the new aggregators', async () => {
+    // @ts-expect-error -- testing invalid key
+    expect(() => graph.query().groupBy(42)).toThrow(expect.objectContaining({ code: 'E_QUERY_GROUP_TYPE' }));
+    expect(() => graph.query().aggregate({ count: true }).groupBy('status')).toThrow(expect.objectContaining({ code: 'E_QUERY_AGGREGATE_TERMINAL' }));
+    // @ts-expect-error -- testing invalid collect path
+    expect(() => graph.query().aggregate({ collect: true })).toThrow(expect.objectContaining({ code: 'E_QUERY_AGGREGATE_TYPE' }));
+    expect(() => graph.query().aggregate({ percentiles: { path: 'estimate', p: [101] } })).toThrow(/percentiles/);
+    await expect(graph.query().groupBy('status').run()).rejects.toThrow(/must be followed by aggregate/);
+  });
+});
@@ -0,0 +1,132 @@
+/**
+ * End-to-end tests for query() ordering and cursor pagination.
+ */
+import { describe, it, expect, beforeEach } from 'vitest';
+import WarpGraph from '../../../src/domain/WarpGraph.js';
+import QueryError from '../../../src/domain/errors/QueryError.js';
+import { createInMemoryRepo } from '../../helpers/warpGraphTestUtils.js';
+
+describe('WarpGraph query() ordering and pagination', () => {
+  /** @type {WarpGraph} */
+  let graph;
+
+  /**
+   * @param {import('../../../src/domain/services/QueryBuilder.js').default} query
+   * @returns {Promise<{ ids: string[], nextCursor?: string|null }>}
+   */
+  async function page(query) {
+    const result = /** @type {{ nodes: Array<{ id: string }>, nextCursor?: string|null }} */ (await query.run());
+    return { ids: result.nodes.map((n) => n.id), nextCursor: result.nextCursor };
+  }
+
+  /**
+   * @param {() => Promise<unknown>} fn
+   * @returns {Promise<QueryError>}
+   */
+  async function rejection(fn) {
+    try {
+      await fn();
+    } catch (err) {
+      return /** @type {QueryError} */ (err);
+    }
+    throw new Error('expected the query to fail');
+  }
+
+  beforeEach(async () => {
+    const repo = createInMemoryRepo();
+    graph = await WarpGraph.open({ persistence: repo.persistence, graphName: 'issues', writerId: 'w1' });
+    await graph.patch((p) => {
+      p.addNode('issue:1').setProperty('issue:1', 'createdAt', 300).setProperty('issue:1', 'title', 'b')
+        .addNode('issue:2').setProperty('issue:2', 'createdAt', 100).setProperty('issue:2', 'title', 'a')
+        .addNode('issue:3').setProperty('issue:3', 'createdAt', 200).setProperty('issue:3', 'title', 'a')
+        .addNode('issue:4').setProperty('issue:4', 'title', 'c')
+        .addNode('issue:5').setProperty('issue:5', 'createdAt', 200);
+    });
+  });
+
+  describe('orderBy()', () => {
+    it('sorts by a property, with missing values last and ties by node ID', async () => {
+      const asc = await page(graph.query().match('issue:*').orderBy('props.createdAt'));
+      const desc = await page(graph.query().match('issue:*').orderBy('createdAt', 'desc'));
+
+      expect(asc.ids).toEqual(['issue:2', 'issue:3', 'issue:5', 'issue:1', 'issue:4']);
+      expect(desc.ids).toEqual(['issue:1', 'issue:3', 'issue:5', 'issue:2', 'issue:4']);
+      expect(asc.nextCursor).toBeUndefined();
+    });
+
+    it('uses later keys to break ties', async () => {
+      const { ids } = await page(graph.query().match('issue:*').orderBy('title').orderBy('createdAt', 'desc'));
+
+      expect(ids).toEqual(['issue:3', 'issue:2', 'issue:1', 'issue:4', 'issue:5']);
+    });
+
+    it('sorts by node ID descending', async () => {
+      expect((await page(graph.query().match('issue:*').orderBy('id', 'desc'))).ids)
+        .toEqual(['issue:5', 'issue:4', 'issue:3', 'issue:2', 'issue:1']);
+    });
+
+    it('rejects invalid paths and directions', () => {
+      expect(() => graph.query().orderBy('props.')).toThrow(expect.objectContaining({ code: 'E_QUERY_ORDER_TYPE' }));
+      // @ts-expect-error -- testing invalid direction
+      expect(() => graph.query().orderBy('createdAt', 'down')).toThrow(/'asc' or 'desc'/);
+    });
+  });
+
+  describe('limit(), offset(), and after()', () => {
+    it('walks every page exactly once', async () => {
+      const query = () => graph.query().match('issue:*').orderBy('createdAt', 'desc').limit(2);
+      const first = await page(query());
+      const second = await page(query().after(/** @type {string} */ (first.nextCursor)));
+      const third = await page(query().after(/** @type {string} */ (second.nextCursor)));
+
+      expect(first.ids).toEqual(['issue:1', 'issue:3']);
+      expect(second.ids).toEqual(['issue:5', 'issue:2']);
+      expect(third).toEqual({ ids: ['issue:4'], nextCursor: null });
+    });
+
+    it('skips nodes with offset()', async () => {
+      const { ids, nextCursor } = await page(graph.query().match('issue:*').offset(1).limit(3));
+
+      expect(ids).toEqual(['issue:2', 'issue:3', 'issue:4']);
+      expect(nextCursor).toEqual(expect.any(String));
+    });
+
+    it('reports no next page when the limit reaches the end', async () => {
+      const { nextCursor } = await page(graph.query().match('issue:*').limit(5));
+
+      expect(nextCursor).toBeNull();
+    });
+
+    it('rejects a cursor once the graph has changed', async () => {
+      const { nextCursor } = await page(graph.query().match('issue:*').limit(2));
+      await graph.patch((p) => {
+        p.addNode('issue:0');
+      });
+
+      const err = await rejection(() => graph.query().match('issue:*').limit(2).after(/** @type {string} */ (nextCursor)).run());
+
+      expect(err).toBeInstanceOf(QueryError);
+      expect(err.code).toBe('E_QUERY_CURSOR_STALE');
+      expect(err.context).toEqual({ cursorStateHash: expect.any(String), stateHash: expect.any(String) });
+    });
+
+    it('rejects a cursor issued for a different ordering', async () => {
+      const { nextCursor } = await page(graph.query().match('issue:*').orderBy('createdAt').limit(2));
+
+      const err = await rejection(() => graph.query().match('issue:*').limit(2).after(/** @type {string} */ (nextCursor)).run());
+
+      expect(err.code).toBe('E_QUERY_CURSOR_INVALID');
+    });
+
+    it('rejects malformed cursors and counts', () => {
+      expect(() => graph.query().after('not a cursor')).toThrow(expect.objectContaining({ code: 'E_QUERY_CURSOR_INVALID' }));
+      expect(() => graph.query().limit(-1)).toThrow(expect.objectContaining({ code: 'E_QUERY_LIMIT_TYPE' }));
+      expect(() => graph.query().offset(1.5)).toThrow(expect.objectContaining({ code: 'E_QUERY_OFFSET_TYPE' }));
+    });
+
+    it('cannot be combined with aggregate()', () => {
+      expect(() => graph.query().aggregate({ count: true }).limit(1)).toThrow(expect.objectContaining({ code: 'E_QUERY_AGGREGATE_TERMINAL' }));
+      expect(() => graph.query().limit(1).aggregate({ count: true })).toThrow(expect.objectContaining({ code: 'E_QUERY_AGGREGATE_TERMINAL' }));
+    });
+  });
+});
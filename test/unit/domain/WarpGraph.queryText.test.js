@@ -0,0 +1,150 @@
+/**
+ * End-to-end tests for graph.queryText(text).
+ */
+import { describe, it, expect, beforeAll } from 'vitest';
+import WarpGraph from '../../../src/domain/WarpGraph.js';
+import QueryError from '../../../src/domain/errors/QueryError.js';
+import { createInMemoryRepo } from '../../helpers/warpGraphTestUtils.js';
+
+describe('WarpGraph queryText', () => {
+  /** @type {WarpGraph} */
+  let graph;
+
+  /**
+   * @param {string} text
+   * @returns {Promise<any>}
+   */
+  function run(text) {
+    return graph.queryText(text).run();
+  }
+
+  /**
+   * @param {string} text
+   * @returns {Promise<string[]>}
+   */
+  async function ids(text) {
+    return (await run(text)).nodes.map((/** @type {{id: string}} */ n) => n.id);
+  }
+
+  beforeAll(async () => {
+    const repo = createInMemoryRepo();
+    graph = await WarpGraph.open({ persistence: repo.persistence, graphName: 'social', writerId: 'w1' });
+    await graph.patch((p) => {
+      p.addNode('user:alice').setProperty('user:alice', 'age', 41).setProperty('user:alice', 'role', 'admin')
+        .addNode('user:bob').setProperty('user:bob', 'age', 25)
+        .addNode('user:carol').setProperty('user:carol', 'age', 35).setProperty('user:carol', 'role', 'dev')
+        .addNode('user:dave').setProperty('user:dave', 'age', 52)
+        .addNode('repo:warp').setProperty('repo:warp', 'stars', 10)
+        .addNode('repo:lab').setProperty('repo:lab', 'stars', 3)
+        .addEdge('user:alice', 'user:bob', 'follows')
+        .addEdge('user:bob', 'user:carol', 'follows')
+        .addEdge('user:carol', 'user:dave', 'follows')
+        .addEdge('user:bob', 'repo:warp', 'owns')
+        .addEdge('user:dave', 'repo:lab', 'owns');
+    });
+    await graph.materialize();
+  });
+
+  it('runs the equivalent of the fluent pipeline', async () => {
+    const text = await run('MATCH (u:user:*)-[:follows*1..3]->(v) WHERE u.age > 40 AND u.age < 50 RETURN v.id');
+    const fluent = await graph.query()
+      .match('user:*')
+      .where((n) => /** @type {number} */ (n.props.age) > 40)
+      .where((n) => /** @type {number} */ (n.props.age) < 50)
+      .outgoing('follows')
+      .outgoing('follows', { depth: [0, 2] })
+      .select(['id'])
+      .run();
+
+    expect(text).toEqual(fluent);
+    expect(text.nodes.map((/** @type {{id: string}} */ n) => n.id)).toEqual(['user:bob', 'user:carol', 'user:dave']);
+  });
+
+  it('filters each node of the path where it is bound', async () => {
+    expect(await ids("MATCH (u:user:*)-[:follows]->(f)-[:owns]->(r:repo:*) WHERE u.role = 'admin' RETURN r.id")).toEqual(['repo:warp']);
+    expect(await ids('MATCH (r:repo:*)<-[:owns]-(u) WHERE r.stars < 5 RETURN u.id')).toEqual(['user:dave']);
+    expect(await ids('MATCH (u:user:* {role: "dev"}) RETURN u.id')).toEqual(['user:carol']);
+    expect(await ids("MATCH (u:user:*|repo:lab) WHERE u.role IS NULL AND NOT u.id IN ['user:bob'] RETURN u.id"))
+      .toEqual(['repo:lab', 'user:dave']);
+    expect(await ids('MATCH (u:user:*) WHERE u.age >= 41 OR u.role = \'dev\' RETURN u.id'))
+      .toEqual(['user:alice', 'user:carol', 'user:dave']);
+  });
+
+  it('returns props or whole nodes', async () => {
+    expect((await run('MATCH (u:user:alice) RETURN u.props')).nodes).toEqual([{ props: { age: 41, role: 'admin' } }]);
+    expect((await run('MATCH (u:user:bob) RETURN u')).nodes).toEqual([{ id: 'user:bob', props: { age: 25 } }]);
+  });
+
+  it('compiles aggregates', async () => {
+    const result = await run('MATCH (u:user:*) WHERE u.age > 30 RETURN count(*), sum(u.age), max(u.age)');
+
+    expect(result).toEqual({ stateHash: expect.any(String), count: 3, sum: 128, max: 52 });
+  });
+
+  it('groups aggregates by the nodes returned next to them', async () => {
+    const result = await run('MATCH (u:user:*)-[:follows*1..3]->(v) WHERE u.age > 30 RETURN v.id, count(*)');
+    const fluent = await graph.query()
+      .match('user:*')
+      .where((n) => /** @type {number} */ (n.props.age) > 30)
+      .outgoing('follows')
+      .outgoing('follows', { depth: [0, 2] })
+      .groupBy('id')
+      .aggregate({ count: true })
+      .run();
+
+    expect(result).toEqual(fluent);
+    expect(result.groups).toEqual([
+      { key: 'user:bob', count: 1 },
+      { key: 'user:carol', count: 1 },
+      { key: 'user:dave', count: 1 },
+    ]);
+    expect((await run('MATCH (u:user:*) WHERE u.age > 30 RETURN u.props, count(*)')).groups).toHaveLength(3);
+    expect((await run('MATCH (u:user:bob)-[:owns]->(r) RETURN r.id, r.props, max(r.stars)')).groups)
+      .toEqual([{ key: ['repo:warp', { stars: 10 }], max: 10 }]);
+  });
+
+  it('keeps start nodes that variable-length hops reach again', async () => {
+    const repo = createInMemoryRepo();
+    const ring = await WarpGraph.open({ persistence: repo.persistence, graphName: 'ring', writerId: 'w1' });
+    await ring.patch((p) => {
+      for (const [n, age] of [[1, 20], [2, 25], [3, 35], [4, 45]]) {
+        p.addNode(`user:${n}`).setProperty(`user:${n}`, 'age', age);
+      }
+      p.addEdge('user:1', 'user:2', 'follows').addEdge('user:2', 'user:3', 'follows')
+        .addEdge('user:3', 'user:4', 'follows').addEdge('user:4', 'user:1', 'follows');
+    });
+    await ring.materialize();
+    /** @param {string} text */
+    const ringIds = async (text) => (/** @type {any} */ (await ring.queryText(text).run())).nodes.map((/** @type {{id: string}} */ n) => n.id);
+
+    expect(await ringIds('MATCH (u:user:*)-[:follows*1..3]->(v) RETURN v.id'))
+      .toEqual(['user:1', 'user:2', 'user:3', 'user:4']);
+    expect(await ringIds('MATCH (u:user:*)-[:follows*1..3]->(v) WHERE u.age > 30 RETURN v.id'))
+      .toEqual(['user:1', 'user:2', 'user:3', 'user:4']);
+    expect(await ringIds('MATCH (u:user:1|user:2)-[:follows*2..3]->(v) RETURN v.id')).toEqual(['user:1', 'user:3', 'user:4']);
+    expect(await ringIds('MATCH (u:user:1)-[:follows*4]->(v) RETURN v.id')).toEqual(['user:1']);
+    expect(await ringIds('MATCH (u:user:1)-[:follows*0..1]->(v) RETURN v.id')).toEqual(['user:1', 'user:2']);
+  });
+
+  it.each([
+    ['MATCH (u)-->(v)-->(u) RETURN u', "Variable 'u' appears twice in the pattern; cycles are not supported at line 1, column 19"],
+    ['MATCH (u)-->(v) WHERE u.age > v.age RETURN v', 'Expected a string, number, true, false, or null but found \'v\' at line 1, column 31'],
+    ['MATCH (u)-->(v) WHERE u.age > 1 OR v.age > 1 RETURN v', 'A WHERE condition can only refer to one node, but this one uses u and v at line 1, column 33'],
+    ['MATCH (u)-->(v) RETURN u', "RETURN can only refer to the last node of the pattern ('v') at line 1, column 24"],
+    ['MATCH (u) RETURN u.age', 'RETURN u.age is not supported; return u, u.id, or u.props at line 1, column 18'],
+    ['MATCH (u) RETURN sum(u.a), sum(u.b)', 'sum() can only appear once in RETURN at line 1, column 28'],
+  ])('rejects %s', (text, message) => {
+    expect(() => graph.queryText(text)).toThrow(QueryError);
+    expect(() => graph.queryText(text)).toThrow(message);
+  });
+
+  it('reports unknown variables as syntax errors', () => {
+    try {
+      graph.queryText('MATCH (u) WHERE x.age > 1 RETURN u');
+      expect.unreachable();
+    } catch (/** @type {any} */ err) {
+      expect(err.code).toBe('E_QUERY_SYNTAX');
+      expect(err.message).toBe("Unknown variable 'x' at line 1, column 17");
+    }
+  });
+});
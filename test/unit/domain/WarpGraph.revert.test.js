@@ -0,0 +1,154 @@
+/**
+ * End-to-end tests for graph.revert(sha).
+ */
+import { describe, it, expect, beforeEach, vi } from 'vitest';
+import WarpGraph from '../../../src/domain/WarpGraph.js';
+import RevertError from '../../../src/domain/errors/RevertError.js';
+import { decodePatchMessage } from '../../../src/domain/services/WarpMessageCodec.js';
+import { createInMemoryRepo } from '../../helpers/warpGraphTestUtils.js';
+
+describe('WarpGraph revert', () => {
+  /** @type {ReturnType<typeof createInMemoryRepo>} */
+  let repo;
+  /** @type {WarpGraph} */
+  let graph;
+
+  /**
+   * @param {string} writerId
+   * @param {Record<string, unknown>} [extra]
+   */
+  function open(writerId, extra = {}) {
+    return WarpGraph.open({ persistence: repo.persistence, graphName: 'undo', writerId, ...extra });
+  }
+
+  beforeEach(async () => {
+    repo = createInMemoryRepo();
+    graph = await open('w1');
+    await graph.patch((p) => {
+      p.addNode('user:alice').setProperty('user:alice', 'name', 'Alice')
+        .addNode('user:bob')
+        .addEdge('user:alice', 'user:bob', 'follows')
+        .setEdgeProperty('user:alice', 'user:bob', 'follows', 'since', 2020);
+    });
+    await graph.materialize();
+  });
+
+  it('restores prior property values and annotates the revert commit', async () => {
+    const sha = await graph.patch((p) => {
+      p.setProperty('user:alice', 'name', 'Alicia').setProperty('user:alice', 'role', 'admin');
+    });
+
+    const revertSha = await graph.revert(sha);
+
+    expect(await graph.getNodeProps('user:alice')).toEqual({ name: 'Alice', role: null });
+    const message = await repo.persistence.showNode(revertSha);
+    expect(decodePatchMessage(message).revertOf).toBe(sha);
+  });
+
+  it('re-adds removed nodes and edges with their properties', async () => {
+    const sha = await graph.patch((p) => {
+      p.removeEdge('user:alice', 'user:bob', 'follows').removeNode('user:alice');
+    });
+
+    await graph.revert(sha);
+
+    expect(await graph.hasNode('user:alice')).toBe(true);
+    expect(await graph.getNodeProps('user:alice')).toEqual({ name: 'Alice' });
+    expect(await graph.getEdgeProps('user:alice', 'user:bob', 'follows')).toEqual({ since: 2020 });
+  });
+
+  it('removes nodes and edges the patch added', async () => {
+    const sha = await graph.patch((p) => {
+      p.addNode('user:carol').addEdge('user:carol', 'user:bob', 'follows');
+    });
+
+    await graph.revert(sha);
+
+    expect(await graph.hasNode('user:carol')).toBe(false);
+    expect(await graph.getEdges()).toHaveLength(1);
+  });
+
+  it('restores counters and sets by difference', async () => {
+    await graph.patch((p) => {
+      p.incrementProperty('user:bob', 'visits', 3).addToSet('user:bob', 'tags', 'a');
+    });
+    const sha = await graph.patch((p) => {
+      p.incrementProperty('user:bob', 'visits', 2).addToSet('user:bob', 'tags', 'b').removeFromSet('user:bob', 'tags', 'a');
+    });
+
+    await graph.revert(sha);
+
+    expect(await graph.getNodeProps('user:bob')).toEqual({ visits: 3, tags: ['a'] });
+  });
+
+  it('keeps other writers\' later increments when forced', async () => {
+    const sha = await graph.patch((p) => {
+      p.incrementProperty('user:bob', 'visits', 2);
+    });
+    const other = await open('w2');
+    await other.materialize();
+    await other.patch((p) => {
+      p.incrementProperty('user:bob', 'visits', 5);
+    });
+
+    const forced = await open('w1');
+    await forced.revert(sha, { force: true });
+
+    expect((await forced.getNodeProps('user:bob'))?.visits).toBe(5);
+  });
+
+  it('refuses when a later patch wrote the same keys, unless forced', async () => {
+    const sha = await graph.patch((p) => {
+      p.setProperty('user:alice', 'name', 'Alicia');
+    });
+    const other = await open('w2');
+    await other.materialize();
+    const laterSha = await other.patch((p) => {
+      p.setProperty('user:alice', 'name', 'Ali');
+    });
+
+    const err = await graph.revert(sha).catch((e) => e);
+    expect(err).toBeInstanceOf(RevertError);
+    expect(err.code).toBe('E_REVERT_SUPERSEDED');
+    expect(err.superseded).toEqual([{ sha: laterSha, writer: 'w2', lamport: 3, targets: ['user:alice.name'] }]);
+
+    const logger = { debug: vi.fn(), info: vi.fn(), warn: vi.fn(), error: vi.fn(), child: vi.fn() };
+    const forced = await open('w1', { logger });
+    await forced.revert(sha, { force: true });
+    expect(logger.warn).toHaveBeenCalledWith(expect.stringContaining('superseded'), expect.anything());
+    expect(await forced.getNodeProps('user:alice')).toEqual({ name: 'Alice' });
+  });
+
+  it('refuses to revert the same patch twice', async () => {
+    const sha = await graph.patch((p) => {
+      p.addNode('user:carol');
+    });
+    await graph.revert(sha);
+
+    await expect(graph.revert(sha)).rejects.toMatchObject({ code: 'E_REVERT_SUPERSEDED' });
+  });
+
+  it('reverts a revert', async () => {
+    const sha = await graph.patch((p) => {
+      p.removeNode('user:bob');
+    });
+    const revertSha = await graph.revert(sha);
+
+    await graph.revert(revertSha);
+
+    expect(await graph.hasNode('user:bob')).toBe(false);
+  });
+
+  it('rejects patches from another graph and sequence edits', async () => {
+    const elsewhere = await WarpGraph.open({ persistence: repo.persistence, graphName: 'other', writerId: 'w1' });
+    const foreign = await elsewhere.patch((p) => {
+      p.addNode('x');
+    });
+    await expect(graph.revert(foreign)).rejects.toMatchObject({ code: 'E_REVERT_UNKNOWN_PATCH' });
+
+    const seq = await graph.patch((p) => {
+      p.insertAt('user:bob', 'lines', 0, 'hello');
+    });
+    await expect(graph.revert(seq)).rejects.toMatchObject({ code: 'E_REVERT_UNSUPPORTED' });
+  });
+});
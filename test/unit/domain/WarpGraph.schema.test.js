@@ -0,0 +1,145 @@
+/**
+ * End-to-end tests for WarpGraph.open({ graphSchema }).
+ *
+ * Commit-time validation rejects a patch before anything is written;
+ * validateSchema() reports data that bypassed it (e.g. a writer opened
+ * without the schema, later merged by materialize or sync).
+ */
+import { describe, it, expect, beforeEach } from 'vitest';
+import WarpGraph from '../../../src/domain/WarpGraph.js';
+import SchemaViolationError from '../../../src/domain/errors/SchemaViolationError.js';
+import { createInMemoryRepo } from '../../helpers/warpGraphTestUtils.js';
+
+/** @type {import('../../../src/domain/services/GraphSchema.js').SchemaDefinition} */
+const schema = {
+  nodes: {
+    user: { match: 'user:*', props: { email: { type: 'string', required: true } } },
+    repo: { match: 'repo:*' },
+  },
+  edges: {
+    owns: { from: 'user', to: 'repo', cardinality: 'one-to-many' },
+  },
+};
+
+describe('WarpGraph schema', () => {
+  /** @type {ReturnType<typeof createInMemoryRepo>} */
+  let repo;
+
+  beforeEach(() => {
+    repo = createInMemoryRepo();
+  });
+
+  /**
+   * @param {string} writerId
+   * @param {typeof schema} [withSchema]
+   */
+  function open(writerId, withSchema = schema) {
+    return WarpGraph.open({ persistence: repo.persistence, graphName: 'schema', writerId, graphSchema: withSchema });
+  }
+
+  it('commits patches that satisfy the schema', async () => {
+    const graph = await open('w1');
+
+    await graph.patch((p) => {
+      p.addNode('user:alice').setProperty('user:alice', 'email', 'a@example.com').addNode('repo:x').addEdge('user:alice', 'repo:x', 'owns');
+    });
+
+    expect(await graph.hasNode('repo:x')).toBe(true);
+    expect(await graph.validateSchema()).toEqual([]);
+  });
+
+  it('rejects a violating patch without writing it', async () => {
+    const graph = await open('w1');
+
+    const err = await graph.patch((p) => {
+      p.addNode('user:bob').addNode('repo:x').addEdge('user:bob', 'repo:x', 'likes');
+    }).catch((e) => e);
+
+    expect(err).toBeInstanceOf(SchemaViolationError);
+    expect(err.code).toBe('E_SCHEMA_VIOLATION');
+    expect(err.message).toBe('Patch violates the graph schema: user:bob: missing required property "email" (and 1 more)');
+    expect(err.violations.map((/** @type {any} */ v) => v.code)).toEqual(['E_SCHEMA_PROP_REQUIRED', 'E_SCHEMA_EDGE_LABEL']);
+    expect(await repo.persistence.readRef('refs/warp/schema/writers/w1')).toBeNull();
+  });
+
+  it('validates against the existing state, not just the patch', async () => {
+    const graph = await open('w1');
+    await graph.patch((p) => {
+      p.addNode('user:alice').setProperty('user:alice', 'email', 'a@example.com')
+        .addNode('user:bob').setProperty('user:bob', 'email', 'b@example.com')
+        .addNode('repo:x').addEdge('user:alice', 'repo:x', 'owns');
+    });
+    await graph.materialize();
+
+    await expect(graph.patch((p) => {
+      p.addEdge('user:bob', 'repo:x', 'owns');
+    })).rejects.toThrow('repo:x has more than one incoming "owns" edge');
+
+    await graph.patch((p) => {
+      p.removeEdge('user:alice', 'repo:x', 'owns').addEdge('user:bob', 'repo:x', 'owns');
+    });
+    expect(await graph.getEdges()).toEqual([{ from: 'user:bob', to: 'repo:x', label: 'owns', props: {} }]);
+  });
+
+  it('validates against existing data even before the first materialize', async () => {
+    const setup = await open('w1');
+    await setup.patch((p) => {
+      p.addNode('user:1').setProperty('user:1', 'email', 'a@example.com').addNode('repo:1');
+    });
+
+    const graph = await open('w2');
+    const err = await graph.patch((p) => {
+      p.addEdge('repo:1', 'user:1', 'owns');
+    }).catch((e) => e);
+
+    expect(err).toBeInstanceOf(SchemaViolationError);
+    expect(err.violations.map((/** @type {any} */ v) => v.code)).toEqual(['E_SCHEMA_EDGE_ENDPOINT', 'E_SCHEMA_EDGE_ENDPOINT']);
+    expect(await repo.persistence.readRef('refs/warp/schema/writers/w2')).toBeNull();
+  });
+
+  it('rejects through writer sessions as well', async () => {
+    const graph = await open('w1');
+    const writer = await graph.writer();
+    const session = await writer.beginPatch();
+    session.addNode('user:carol');
+
+    await expect(session.commit()).rejects.toBeInstanceOf(SchemaViolationError);
+    await expect(writer.commitPatch((p) => {
+      p.addNode('user:carol').setProperty('user:carol', 'email', 42);
+    })).rejects.toThrow('property "email" must be string, got number');
+  });
+
+  it('reports violations that arrived from writers without the schema', async () => {
+    const loose = await WarpGraph.open({ persistence: repo.persistence, graphName: 'schema', writerId: 'loose' });
+    await loose.patch((p) => {
+      p.addNode('user:dave').addNode('repo:y').addEdge('repo:y', 'user:dave', 'owns');
+    });
+
+    const strict = await open('strict');
+    const violations = await strict.validateSchema();
+
+    expect(violations.map((v) => [v.code, v.nodeId ?? v.from])).toEqual([
+      ['E_SCHEMA_PROP_REQUIRED', 'user:dave'],
+      ['E_SCHEMA_EDGE_ENDPOINT', 'repo:y'],
+      ['E_SCHEMA_EDGE_ENDPOINT', 'repo:y'],
+    ]);
+    expect(await loose.validateSchema()).toEqual([]);
+  });
+
+  it('rejects malformed schemas on open', async () => {
+    await expect(open('w1', { edges: { owns: { from: 'team' } } })).rejects.toThrow('unknown node type "team"');
+  });
+
+  it('opens forks with the same schema', async () => {
+    const graph = await open('w1');
+    const sha = await graph.patch((p) => {
+      p.addNode('user:alice').setProperty('user:alice', 'email', 'a@example.com');
+    });
+
+    const fork = await graph.fork({ from: 'w1', at: sha, forkName: 'schema-fork', forkWriterId: 'w2' });
+
+    await expect(fork.patch((p) => {
+      p.addNode('user:eve');
+    })).rejects.toBeInstanceOf(SchemaViolationError);
+  });
+});
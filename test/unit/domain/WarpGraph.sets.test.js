@@ -0,0 +1,154 @@
+/**
+ * End-to-end tests for OR-Set valued properties (addToSet/removeFromSet).
+ *
+ * Writers share one in-memory repository; concurrent adds must all survive
+ * and an add concurrent with a remove of the same element must win.
+ */
+import { describe, it, expect, beforeEach } from 'vitest';
+import WarpGraph from '../../../src/domain/WarpGraph.js';
+import { createInMemoryRepo } from '../../helpers/warpGraphTestUtils.js';
+
+describe('WarpGraph set properties', () => {
+  /** @type {ReturnType<typeof createInMemoryRepo>} */
+  let repo;
+
+  beforeEach(() => {
+    repo = createInMemoryRepo();
+  });
+
+  /** @param {string} writerId */
+  function open(writerId) {
+    return WarpGraph.open({ persistence: repo.persistence, graphName: 'sets', writerId });
+  }
+
+  it('keeps concurrent adds from two writers', async () => {
+    const alice = await open('alice');
+    const bob = await open('bob');
+
+    await alice.patch((p) => {
+      p.addNode('user:1').addToSet('user:1', 'roles', 'editor');
+    });
+    await bob.patch((p) => {
+      p.addToSet('user:1', 'roles', 'admin');
+    });
+
+    await alice.materialize();
+    await bob.materialize();
+
+    expect(await alice.getNodeProps('user:1')).toEqual({ roles: ['admin', 'editor'] });
+    expect(await bob.getNodeProps('user:1')).toEqual({ roles: ['admin', 'editor'] });
+  });
+
+  it('removes elements observed by the writer', async () => {
+    const alice = await open('alice');
+    const bob = await open('bob');
+
+    await alice.patch((p) => {
+      p.addNode('doc').addToSet('doc', 'tags', 'draft').addToSet('doc', 'tags', 'review');
+    });
+    await bob.materialize();
+    await bob.patch((p) => {
+      p.removeFromSet('doc', 'tags', 'draft');
+    });
+
+    await alice.materialize();
+    expect(await alice.getNodeProps('doc')).toEqual({ tags: ['review'] });
+  });
+
+  it('refuses to mix plain writes and set operations on one key', async () => {
+    const graph = await open('alice');
+    await graph.patch((p) => {
+      p.addNode('doc').addToSet('doc', 'tags', 'x').addToSet('doc', 'tags', 'y').setProperty('doc', 'title', 'T');
+    });
+    await graph.materialize();
+
+    await expect(graph.patch((p) => {
+      p.setProperty('doc', 'tags', 'plain');
+    })).rejects.toThrow(/is a set/);
+    await expect(graph.patch((p) => {
+      p.addToSet('doc', 'title', 'q');
+    })).rejects.toThrow(/holds a plain value, not a set/);
+
+    await graph.patch((p) => {
+      p.addToSet('doc', 'tags', 'q');
+    });
+    await graph.materialize();
+    expect(await graph.getNodeProps('doc')).toEqual({ tags: ['q', 'x', 'y'], title: 'T' });
+  });
+
+  it('lets a concurrent add win over a remove', async () => {
+    const alice = await open('alice');
+    const bob = await open('bob');
+
+    await alice.patch((p) => {
+      p.addNode('doc').addToSet('doc', 'tags', 'draft');
+    });
+    await bob.materialize();
+    // alice re-adds after bob's snapshot, so bob's remove cannot observe it
+    await alice.patch((p) => {
+      p.addToSet('doc', 'tags', 'draft');
+    });
+    await bob.patch((p) => {
+      p.removeFromSet('doc', 'tags', 'draft');
+    });
+
+    await alice.materialize();
+    expect(await alice.getNodeProps('doc')).toEqual({ tags: ['draft'] });
+  });
+
+  it('supports edge sets through the writer session API', async () => {
+    const graph = await open('alice');
+    const writer = await graph.writer();
+
+    await writer.commitPatch((p) => {
+      p.addNode('a').addNode('b').addEdge('a', 'b', 'member').addToEdgeSet('a', 'b', 'member', 'perms', 'read');
+    });
+    await graph.materialize();
+    await writer.commitPatch((p) => {
+      p.addToEdgeSet('a', 'b', 'member', 'perms', 'write').removeFromEdgeSet('a', 'b', 'member', 'perms', 'read');
+    });
+
+    await graph.materialize();
+    expect(await graph.getEdgeProps('a', 'b', 'member')).toEqual({ perms: ['write'] });
+  });
+
+  it('exposes the array to query predicates', async () => {
+    const graph = await open('alice');
+    await graph.patch((p) => {
+      p.addNode('user:1').addToSet('user:1', 'roles', 'admin');
+      p.addNode('user:2').addToSet('user:2', 'roles', 'viewer');
+    });
+    await graph.materialize();
+
+    const result = /** @type {any} */ (await graph.query()
+      .match('user:*')
+      .where((n) => /** @type {string[]} */ (n.props.roles).includes('admin'))
+      .select(['id'])
+      .run());
+
+    expect(result.nodes).toEqual([{ id: 'user:1' }]);
+  });
+
+  it('survives a checkpoint and garbage collection', async () => {
+    const alice = await open('alice');
+    await alice.patch((p) => {
+      p.addNode('n').addToSet('n', 'tags', 'a').addToSet('n', 'tags', 'b');
+    });
+    await alice.materialize();
+    await alice.patch((p) => {
+      p.removeFromSet('n', 'tags', 'a');
+    });
+    await alice.materialize();
+    alice.runGC();
+    await alice.createCheckpoint();
+
+    const bob = await open('bob');
+    await bob.patch((p) => {
+      p.addToSet('n', 'tags', 'c');
+    });
+
+    const reader = await open('carol');
+    await reader.materialize();
+    expect(await reader.getNodeProps('n')).toEqual({ tags: ['b', 'c'] });
+  });
+});
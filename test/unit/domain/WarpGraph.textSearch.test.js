@@ -0,0 +1,147 @@
+/**
+ * End-to-end tests for graph.search() and QueryBuilder.search().
+ */
+import { describe, it, expect, beforeEach } from 'vitest';
+import WarpGraph from '../../../src/domain/WarpGraph.js';
+import QueryError from '../../../src/domain/errors/QueryError.js';
+import { createInMemoryRepo } from '../../helpers/warpGraphTestUtils.js';
+
+/**
+ * @param {{ hits: Array<{ id: string }> }} result
+ * @returns {string[]}
+ */
+function hitIds({ hits }) {
+  return hits.map((hit) => hit.id);
+}
+
+/**
+ * @param {import('../../../src/domain/services/QueryBuilder.js').default} query
+ * @returns {Promise<string[]>}
+ */
+async function ids(query) {
+  const result = /** @type {{ nodes: Array<{ id: string }> }} */ (await query.run());
+  return result.nodes.map((n) => n.id);
+}
+
+/**
+ * @param {() => unknown} fn
+ * @returns {QueryError}
+ */
+function thrown(fn) {
+  try {
+    fn();
+  } catch (err) {
+    return /** @type {QueryError} */ (err);
+  }
+  throw new Error('expected an error');
+}
+
+describe('WarpGraph text search', () => {
+  /** @type {ReturnType<typeof createInMemoryRepo>} */
+  let repo;
+  /** @type {WarpGraph} */
+  let graph;
+
+  beforeEach(async () => {
+    repo = createInMemoryRepo();
+    graph = await WarpGraph.open({
+      persistence: repo.persistence,
+      graphName: 'docs',
+      writerId: 'w1',
+      textIndex: { fields: ['title', 'description'] },
+    });
+    await graph.patch((p) => {
+      p.addNode('doc:crdt').setProperty('doc:crdt', 'title', 'CRDTs in practice').setProperty('doc:crdt', 'description', 'Replicated data types for an offline-first graph').setProperty('doc:crdt', 'status', 'draft')
+        .addNode('doc:git').setProperty('doc:git', 'title', 'Git as a database').setProperty('doc:git', 'description', 'Storing a graph in Git objects').setProperty('doc:git', 'status', 'published')
+        .addNode('doc:bm25').setProperty('doc:bm25', 'title', 'Ranking with BM25').setProperty('doc:bm25', 'description', 'Relevance scoring for search engines').setProperty('doc:bm25', 'status', 'published')
+        .addNode('tag:graph').setProperty('tag:graph', 'title', 'graph');
+    });
+    await graph.materialize();
+  });
+
+  it('ranks matches across the indexed fields', async () => {
+    const result = await graph.search('git graph');
+
+    expect(hitIds(result)).toEqual(['doc:git', 'tag:graph', 'doc:crdt']);
+    expect(result.stateHash).toEqual(expect.any(String));
+    expect(hitIds(await graph.search('git graph', { match: 'and' }))).toEqual(['doc:git']);
+    expect(hitIds(await graph.search('graph', { fields: ['title'] }))).toEqual(['tag:graph']);
+    expect(hitIds(await graph.search('replicat* rank*', { limit: 1 }))).toHaveLength(1);
+  });
+
+  it('filters and ranks query results by relevance', async () => {
+    expect(await ids(graph.query().match('doc:*').search('graph git'))).toEqual(['doc:git', 'doc:crdt']);
+    expect(await ids(graph.query().match('doc:*').search('graph git').where({ props: { status: 'draft' } }))).toEqual(['doc:crdt']);
+    expect(await ids(graph.query().search('graph git').orderBy('id'))).toEqual(['doc:crdt', 'doc:git', 'tag:graph']);
+    expect(await ids(graph.query().search('graph git').limit(1))).toEqual(['doc:git']);
+  });
+
+  it('stays in step with local patches', async () => {
+    await graph.patch((p) => {
+      p.setProperty('doc:git', 'description', 'Storing trees in Git objects')
+        .removeNode('tag:graph')
+        .addNode('doc:new').setProperty('doc:new', 'title', 'Graph partitioning');
+    });
+
+    expect(hitIds(await graph.search('graph'))).toEqual(['doc:new', 'doc:crdt']);
+    expect(hitIds(await graph.search('tree*'))).toEqual(['doc:git']);
+  });
+
+  it('answers for the state under a ceiling or checkpoint', async () => {
+    const checkpoint = await graph.createCheckpoint();
+    await graph.patch((p) => {
+      p.setProperty('tag:graph', 'title', 'network');
+    });
+
+    await graph.materialize({ ceiling: 1 });
+    expect(hitIds(await graph.search('graph', { fields: ['title'] }))).toEqual(['tag:graph']);
+    expect(await ids(graph.query().search('network'))).toEqual([]);
+
+    await graph.materialize();
+    expect(hitIds(await graph.search('graph', { fields: ['title'] }))).toEqual([]);
+
+    await graph.materialize({ ceiling: 1 });
+    await graph.materializeAt(checkpoint);
+    expect(hitIds(await graph.search('network'))).toEqual(['tag:graph']);
+  });
+
+  it('re-indexes a seek-cached view whose index has no text shards', async () => {
+    /** @type {Map<string, { buffer: Uint8Array, indexTreeOid?: string }>} */
+    const store = new Map();
+    const seekCache = /** @type {import('../../../src/ports/SeekCachePort.js').default} */ (/** @type {unknown} */ ({
+      get: async (/** @type {string} */ key) => store.get(key) ?? null,
+      set: async (/** @type {string} */ key, /** @type {Uint8Array} */ buffer, /** @type {{ indexTreeOid?: string }} */ opts) => {
+        store.set(key, { buffer, indexTreeOid: opts?.indexTreeOid });
+      },
+      delete: async (/** @type {string} */ key) => store.delete(key),
+    }));
+    const plain = await WarpGraph.open({ persistence: repo.persistence, graphName: 'docs', writerId: 'w2', seekCache });
+    await plain.materialize({ ceiling: 1 });
+    const indexed = await WarpGraph.open({
+      persistence: repo.persistence,
+      graphName: 'docs',
+      writerId: 'w3',
+      seekCache,
+      textIndex: { fields: ['title'] },
+    });
+
+    await indexed.materialize({ ceiling: 1 });
+
+    expect(hitIds(await indexed.search('graph'))).toEqual(['tag:graph']);
+  });
+
+  it('rejects malformed searches', async () => {
+    const plain = await WarpGraph.open({ persistence: repo.persistence, graphName: 'docs', writerId: 'w2' });
+
+    expect(thrown(() => plain.query().search('graph')).code).toBe('E_QUERY_SEARCH_FIELD');
+    expect(thrown(() => graph.query().search('graph', { fields: ['status'] })).code).toBe('E_QUERY_SEARCH_FIELD');
+    expect(thrown(() => graph.query().search('graph', { match: /** @type {never} */ ('some') })).code).toBe('E_QUERY_SEARCH_TYPE');
+    await expect(graph.search(/** @type {never} */ (42))).rejects.toBeInstanceOf(QueryError);
+    await expect(WarpGraph.open({
+      persistence: repo.persistence,
+      graphName: 'docs',
+      writerId: 'w3',
+      textIndex: /** @type {never} */ ({ fields: 'title' }),
+    })).rejects.toThrow(/textIndex must be an object/);
+  });
+});
@@ -1,6 +1,6 @@
 import { describe, it, expect, beforeEach } from 'vitest';
 import WarpGraph from '../../../src/domain/WarpGraph.js';
-import { addNodeToState, addEdgeToState, setupGraphState, createMockPersistence } from '../../helpers/warpGraphTestUtils.js';
+import { addNodeToState, addEdgeToState, setupGraphState, createMockPersistence, createInMemoryRepo } from '../../helpers/warpGraphTestUtils.js';
 
 describe('WarpGraph logical traversal', () => {
   /** @type {any} */
@@ -423,4 +423,213 @@ describe('WarpGraph logical traversal', () => {
       graph.traverse.weightedLongestPath('node:a', 'node:b', { dir: 'out' })
     ).rejects.toThrow(expect.objectContaining({ code: 'ERR_GRAPH_HAS_CYCLES' }));
   });
+
+  describe('centrality', () => {
+    beforeEach(() => {
+      setupGraphState(graph, (/** @type {any} */ state) => {
+        addNodeToState(state, 'pkg:app', 1);
+        addNodeToState(state, 'pkg:cli', 2);
+        addNodeToState(state, 'pkg:core', 3);
+        addNodeToState(state, 'pkg:util', 4);
+        addEdgeToState(state, 'pkg:app', 'pkg:core', 'dependsOn', 5);
+        addEdgeToState(state, 'pkg:cli', 'pkg:core', 'dependsOn', 6);
+        addEdgeToState(state, 'pkg:core', 'pkg:util', 'dependsOn', 7);
+        addEdgeToState(state, 'pkg:app', 'pkg:cli', 'owns', 8);
+      });
+    });
+
+    it('pageRank covers every node and ranks shared dependencies first', async () => {
+      const { scores, converged } = await graph.traverse.pageRank({ labelFilter: 'dependsOn' });
+
+      expect(converged).toBe(true);
+      expect([...scores.keys()]).toEqual(['pkg:app', 'pkg:cli', 'pkg:core', 'pkg:util']);
+      const ranked = [...scores].sort((/** @type {any} */ a, /** @type {any} */ b) => b[1] - a[1]).map(([id]) => id);
+      expect(ranked.slice(0, 2)).toEqual(['pkg:util', 'pkg:core']);
+    });
+
+    it('personalizedPageRank scores only what the seeds reach', async () => {
+      const { scores } = await graph.traverse.personalizedPageRank('pkg:cli');
+
+      expect([...scores.keys()]).toEqual(['pkg:cli', 'pkg:core', 'pkg:util']);
+      await expect(graph.traverse.personalizedPageRank(['pkg:nope']))
+        .rejects.toThrow(expect.objectContaining({ code: 'NODE_NOT_FOUND' }));
+    });
+
+    it('degree, closeness, and betweenness honor dir and labelFilter', async () => {
+      const { scores: inDegree } = await graph.traverse.degreeCentrality({ dir: 'in', normalized: false });
+      const { scores: closeness } = await graph.traverse.closenessCentrality({ dir: 'in', labelFilter: 'dependsOn' });
+      const { scores: betweenness } = await graph.traverse.betweennessCentrality({ normalized: false });
+
+      expect(Object.fromEntries(inDegree)).toEqual({ 'pkg:app': 0, 'pkg:cli': 1, 'pkg:core': 2, 'pkg:util': 1 });
+      // util is reached from core at 1 hop and from app and cli at 2
+      expect(closeness.get('pkg:util')).toBeCloseTo(3 / 5, 10);
+      expect(betweenness.get('pkg:core')).toBe(2);
+    });
+
+    it('maxNodes bounds the analyzed node set', async () => {
+      const { scores } = await graph.traverse.betweennessCentrality({ maxNodes: 2 });
+
+      expect(scores.size).toBe(2);
+    });
+  });
+
+  describe('cycles', () => {
+    beforeEach(() => {
+      setupGraphState(graph, (/** @type {any} */ state) => {
+        addNodeToState(state, 'mod:a', 1);
+        addNodeToState(state, 'mod:b', 2);
+        addNodeToState(state, 'mod:c', 3);
+        addNodeToState(state, 'mod:d', 4);
+        addEdgeToState(state, 'mod:a', 'mod:b', 'imports', 5);
+        addEdgeToState(state, 'mod:b', 'mod:c', 'imports', 6);
+        addEdgeToState(state, 'mod:c', 'mod:a', 'imports', 7);
+        addEdgeToState(state, 'mod:c', 'mod:d', 'imports', 8);
+        addEdgeToState(state, 'mod:d', 'mod:c', 'mentions', 9);
+      });
+    });
+
+    it('stronglyConnectedComponents and condensation cover every node', async () => {
+      const { components } = await graph.traverse.stronglyConnectedComponents();
+      const { componentOf, edges } = await graph.traverse.condensation({ labelFilter: 'imports' });
+
+      expect(components).toEqual([['mod:a', 'mod:b', 'mod:c', 'mod:d']]);
+      expect(Object.fromEntries(componentOf)).toEqual({ 'mod:a': 0, 'mod:b': 0, 'mod:c': 0, 'mod:d': 1 });
+      expect(edges).toEqual([{ from: 0, to: 1 }]);
+    });
+
+    it('findCycles honors labelFilter, maxCycles, and maxLength', async () => {
+      const all = await graph.traverse.findCycles();
+      const imports = await graph.traverse.findCycles({ labelFilter: 'imports' });
+      const first = await graph.traverse.findCycles({ maxCycles: 1 });
+      const short = await graph.traverse.findCycles({ maxLength: 2 });
+
+      expect(all.cycles).toEqual([['mod:a', 'mod:b', 'mod:c'], ['mod:c', 'mod:d']]);
+      expect(imports.cycles).toEqual([['mod:a', 'mod:b', 'mod:c']]);
+      expect(first).toMatchObject({ cycles: [['mod:a', 'mod:b', 'mod:c']], truncated: true });
+      expect(short.cycles).toEqual([['mod:c', 'mod:d']]);
+    });
+  });
+
+  describe('path enumeration', () => {
+    beforeEach(() => {
+      setupGraphState(graph, (/** @type {any} */ state) => {
+        addNodeToState(state, 'node:a', 1);
+        addNodeToState(state, 'node:b', 2);
+        addNodeToState(state, 'node:c', 3);
+        addNodeToState(state, 'node:d', 4);
+        addEdgeToState(state, 'node:a', 'node:b', 'x', 5);
+        addEdgeToState(state, 'node:b', 'node:d', 'x', 6);
+        addEdgeToState(state, 'node:a', 'node:c', 'x', 7);
+        addEdgeToState(state, 'node:c', 'node:d', 'y', 8);
+        addEdgeToState(state, 'node:a', 'node:d', 'y', 9);
+      });
+    });
+
+    it('kShortestPaths ranks paths and honors labelFilter', async () => {
+      const all = await graph.traverse.kShortestPaths('node:a', 'node:d', { k: 3 });
+      const onlyX = await graph.traverse.kShortestPaths('node:a', 'node:d', { k: 3, labelFilter: 'x' });
+
+      expect(all.paths).toEqual([
+        { path: ['node:a', 'node:d'], totalCost: 1 },
+        { path: ['node:a', 'node:b', 'node:d'], totalCost: 2 },
+        { path: ['node:a', 'node:c', 'node:d'], totalCost: 2 },
+      ]);
+      expect(onlyX.paths).toEqual([{ path: ['node:a', 'node:b', 'node:d'], totalCost: 2 }]);
+    });
+
+    it('allSimplePaths yields paths lazily and throws NODE_NOT_FOUND', async () => {
+      const paths = [];
+      for await (const path of graph.traverse.allSimplePaths('node:a', 'node:d', { maxPaths: 2 })) {
+        paths.push(path);
+      }
+
+      expect(paths).toEqual([['node:a', 'node:b', 'node:d'], ['node:a', 'node:c', 'node:d']]);
+      await expect(graph.traverse.allSimplePaths('node:z', 'node:d').next())
+        .rejects.toThrow(expect.objectContaining({ code: 'NODE_NOT_FOUND' }));
+    });
+  });
+
+  describe('communities', () => {
+    /** @type {any} */
+    let repoGraph;
+
+    beforeEach(async () => {
+      repoGraph = await WarpGraph.open({ persistence: createInMemoryRepo().persistence, graphName: 'test', writerId: 'writer-1' });
+      await repoGraph.patch((/** @type {any} */ p) => {
+        for (const id of ['a', 'b', 'c', 'd', 'e', 'f']) {
+          p.addNode(`user:${id}`);
+        }
+        p.addEdge('user:a', 'user:b', 'knows').addEdge('user:b', 'user:c', 'knows').addEdge('user:c', 'user:a', 'knows')
+          .addEdge('user:c', 'user:d', 'knows')
+          .addEdge('user:d', 'user:e', 'knows').addEdge('user:e', 'user:f', 'knows').addEdge('user:f', 'user:d', 'knows');
+      });
+      await repoGraph.materialize();
+    });
+
+    it('louvain and labelPropagation agree on two bridged triangles', async () => {
+      const louvain = await repoGraph.traverse.louvain({ seed: 1 });
+      const lpa = await repoGraph.traverse.labelPropagation({ seed: 1 });
+
+      expect(louvain.count).toBe(2);
+      expect(louvain.modularity).toBeCloseTo(5 / 14, 12);
+      expect([...lpa.communities]).toEqual([...louvain.communities]);
+      expect(louvain.patchSha).toBeNull();
+    });
+
+    it('writeProperty commits community numbers once', async () => {
+      const { patchSha } = await repoGraph.traverse.louvain({ writeProperty: 'community' });
+      const again = await repoGraph.traverse.louvain({ writeProperty: 'community' });
+
+      expect(typeof patchSha).toBe('string');
+      expect(again.patchSha).toBeNull();
+      expect(await repoGraph.getNodeProps('user:a')).toEqual({ community: 0 });
+      expect(await repoGraph.getNodeProps('user:f')).toEqual({ community: 1 });
+    });
+  });
+
+  describe('flow', () => {
+    /** @type {any} */
+    let repoGraph;
+
+    beforeEach(async () => {
+      repoGraph = await WarpGraph.open({ persistence: createInMemoryRepo().persistence, graphName: 'test', writerId: 'writer-1' });
+      await repoGraph.patch((/** @type {any} */ p) => {
+        for (const id of ['gw', 'api', 'auth', 'db']) {
+          p.addNode(`svc:${id}`);
+        }
+        p.addEdge('svc:gw', 'svc:api', 'calls').setEdgeProperty('svc:gw', 'svc:api', 'calls', 'capacity', 10)
+          .addEdge('svc:gw', 'svc:auth', 'calls').setEdgeProperty('svc:gw', 'svc:auth', 'calls', 'capacity', 5)
+          .addEdge('svc:api', 'svc:db', 'reads').setEdgeProperty('svc:api', 'svc:db', 'reads', 'capacity', 3)
+          .addEdge('svc:api', 'svc:db', 'writes').setEdgeProperty('svc:api', 'svc:db', 'writes', 'capacity', 2)
+          .addEdge('svc:auth', 'svc:db', 'reads');
+      });
+      await repoGraph.materialize();
+    });
+
+    it('maxFlow reads capacities from an edge property', async () => {
+      const { maxFlow, flows } = await repoGraph.traverse.maxFlow('svc:gw', 'svc:db', { capacityKey: 'capacity' });
+
+      expect(maxFlow).toBe(5);
+      expect(flows).toEqual([
+        { from: 'svc:api', to: 'svc:db', label: 'reads', flow: 3 },
+        { from: 'svc:api', to: 'svc:db', label: 'writes', flow: 2 },
+        { from: 'svc:gw', to: 'svc:api', label: 'calls', flow: 5 },
+      ]);
+    });
+
+    it('minCut reports the bottleneck edges and honors capacityFn and labelFilter', async () => {
+      const { capacity, cut, sourceSide } = await repoGraph.traverse.minCut('svc:gw', 'svc:db', { capacityKey: 'capacity' });
+      const unit = await repoGraph.traverse.maxFlow('svc:gw', 'svc:db', { capacityFn: () => 1, labelFilter: ['calls', 'reads'] });
+
+      expect(capacity).toBe(5);
+      expect(cut.map((/** @type {any} */ e) => e.label)).toEqual(['reads', 'writes']);
+      expect(sourceSide).toEqual(['svc:api', 'svc:auth', 'svc:gw']);
+      expect(unit.maxFlow).toBe(2);
+    });
+
+    it('throws E_CAPACITY_SOURCE when capacityFn and capacityKey are both given', async () => {
+      await expect(repoGraph.traverse.maxFlow('svc:gw', 'svc:db', { capacityKey: 'capacity', capacityFn: () => 1 }))
+        .rejects.toThrow(expect.objectContaining({ code: 'E_CAPACITY_SOURCE' }));
+    });
+  });
 });
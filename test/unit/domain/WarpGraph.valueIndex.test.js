@@ -0,0 +1,89 @@
+/**
+ * End-to-end tests for the property-value index behind query().where().
+ */
+import { describe, it, expect, beforeEach, vi } from 'vitest';
+import WarpGraph from '../../../src/domain/WarpGraph.js';
+import { createInMemoryRepo } from '../../helpers/warpGraphTestUtils.js';
+
+/**
+ * @param {import('../../../src/domain/services/QueryBuilder.js').default} query
+ * @returns {Promise<string[]>}
+ */
+async function ids(query) {
+  const result = /** @type {{ nodes: Array<{ id: string }> }} */ (await query.run());
+  return result.nodes.map((n) => n.id);
+}
+
+const PREDICATES = [
+  { props: { status: 'open' } },
+  { props: { age: { gte: 18, lt: 65 } } },
+  { props: { email: { prefix: 'a' } } },
+  { or: [{ props: { status: { in: ['closed', 'triage'] } } }, { props: { age: { lt: 10 } } }] },
+  { props: { status: 'open' }, not: { props: { age: { exists: true } } } },
+];
+
+describe('WarpGraph value index', () => {
+  /** @type {ReturnType<typeof createInMemoryRepo>} */
+  let repo;
+  /** @type {WarpGraph} */
+  let indexed;
+  /** @type {WarpGraph} */
+  let plain;
+
+  beforeEach(async () => {
+    repo = createInMemoryRepo();
+    const writer = await WarpGraph.open({ persistence: repo.persistence, graphName: 'people', writerId: 'w1' });
+    await writer.patch((p) => {
+      p.addNode('user:ann').setProperty('user:ann', 'status', 'open').setProperty('user:ann', 'age', 34).setProperty('user:ann', 'email', 'ann@x.io')
+        .addNode('user:bob').setProperty('user:bob', 'status', 'closed').setProperty('user:bob', 'age', 70)
+        .addNode('user:cy').setProperty('user:cy', 'status', 'open').setProperty('user:cy', 'age', 7)
+        .addNode('user:dee').setProperty('user:dee', 'status', 'open').setProperty('user:dee', 'email', 'al@x.io')
+        .addNode('user:eve').setProperty('user:eve', 'status', 'triage').setProperty('user:eve', 'age', '40');
+    });
+    indexed = await WarpGraph.open({
+      persistence: repo.persistence,
+      graphName: 'people',
+      writerId: 'w2',
+      valueIndex: { keys: ['status', 'age', 'email'] },
+    });
+    plain = await WarpGraph.open({ persistence: repo.persistence, graphName: 'people', writerId: 'w3' });
+    await indexed.materialize();
+    await plain.materialize();
+  });
+
+  it('returns the same nodes as a scan', async () => {
+    for (const predicate of PREDICATES) {
+      expect(await ids(indexed.query().match('user:*').where(predicate))).toEqual(await ids(plain.query().match('user:*').where(predicate)));
+    }
+  });
+
+  it('only reads the properties of candidate nodes', async () => {
+    const reads = vi.spyOn(indexed, 'getNodeProps');
+
+    expect(await ids(indexed.query().match('*').where({ props: { status: 'closed' } }))).toEqual(['user:bob']);
+    expect(reads.mock.calls.map(([nodeId]) => nodeId)).toEqual(['user:bob']);
+  });
+
+  it('stays in step with local patches', async () => {
+    await indexed.patch((p) => {
+      p.setProperty('user:ann', 'status', 'closed')
+        .removeNode('user:bob')
+        .addNode('user:fay').setProperty('user:fay', 'status', 'closed');
+    });
+
+    expect(await ids(indexed.query().match('*').where({ props: { status: 'closed' } }))).toEqual(['user:ann', 'user:fay']);
+    expect(await ids(indexed.query().match('*').where({ props: { status: 'open' } }))).toEqual(['user:cy', 'user:dee']);
+  });
+
+  it('rejects a malformed valueIndex option', async () => {
+    const open = (/** @type {unknown} */ valueIndex) => WarpGraph.open({
+      persistence: repo.persistence,
+      graphName: 'people',
+      writerId: 'w4',
+      valueIndex: /** @type {{ keys: string[] }} */ (valueIndex),
+    });
+
+    await expect(open(['status'])).rejects.toThrow(/valueIndex must be an object/);
+    await expect(open({ keys: ['status', ''] })).rejects.toThrow(/valueIndex must be an object/);
+  });
+});
@@ -207,6 +207,46 @@ describe('WarpGraph.watch() (PL/WATCH/1)', () => {
     });
   });
 
+  describe('where predicate', () => {
+    const open = { props: { status: { eq: 'open' } } };
+
+    it('only reports nodes that satisfy the predicate', async () => {
+      const onChange = vi.fn();
+      graph.watch('ticket:*', { onChange, where: open });
+
+      await (await graph.createPatch())
+        .addNode('ticket:1').setProperty('ticket:1', 'status', 'open')
+        .addNode('ticket:2').setProperty('ticket:2', 'status', 'closed')
+        .commit();
+      await graph.materialize();
+
+      expect(onChange).toHaveBeenCalledTimes(1);
+      const diff = onChange.mock.calls[0][0];
+      expect(diff.nodes.added).toEqual(['ticket:1']);
+      expect(diff.props.set.map((/** @type {any} */ p) => p.nodeId)).toEqual(['ticket:1']);
+    });
+
+    it('reports a node once when it stops satisfying the predicate', async () => {
+      await (await graph.createPatch()).addNode('ticket:1').setProperty('ticket:1', 'status', 'open').commit();
+      await graph.materialize();
+      const onChange = vi.fn();
+      graph.watch('ticket:*', { onChange, where: open });
+
+      await (await graph.createPatch()).setProperty('ticket:1', 'status', 'closed').commit();
+      await graph.materialize();
+      await (await graph.createPatch()).setProperty('ticket:1', 'title', 'Done').commit();
+      await graph.materialize();
+
+      expect(onChange).toHaveBeenCalledTimes(1);
+      expect(onChange.mock.calls[0][0].props.set).toMatchObject([{ nodeId: 'ticket:1', propKey: 'status', oldValue: 'open', newValue: 'closed' }]);
+    });
+
+    it('throws for a malformed predicate', () => {
+      expect(() => graph.watch('ticket:*', { onChange: () => {}, where: { props: { status: { eq: undefined } } } }))
+        .toThrow(expect.objectContaining({ code: 'E_QUERY_PREDICATE' }));
+    });
+  });
+
   describe('pattern variations', () => {
     it('pattern "*" matches all changes', async () => {
       const onChange = vi.fn();
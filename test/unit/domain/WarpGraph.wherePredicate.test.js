@@ -0,0 +1,67 @@
+/**
+ * End-to-end tests for declarative predicates in query().where().
+ */
+import { describe, it, expect, beforeAll } from 'vitest';
+import WarpGraph from '../../../src/domain/WarpGraph.js';
+import QueryError from '../../../src/domain/errors/QueryError.js';
+import { createInMemoryRepo } from '../../helpers/warpGraphTestUtils.js';
+
+describe('WarpGraph query().where() declarative predicates', () => {
+  /** @type {WarpGraph} */
+  let graph;
+
+  /**
+   * @param {import('../../../src/domain/services/QueryBuilder.js').default} query
+   * @returns {Promise<string[]>}
+   */
+  async function ids(query) {
+    const result = /** @type {{ nodes: Array<{ id: string }> }} */ (await query.run());
+    return result.nodes.map((n) => n.id);
+  }
+
+  beforeAll(async () => {
+    const repo = createInMemoryRepo();
+    graph = await WarpGraph.open({ persistence: repo.persistence, graphName: 'tickets', writerId: 'w1' });
+    await graph.patch((p) => {
+      p.addNode('ticket:1').setProperty('ticket:1', 'status', 'open').setProperty('ticket:1', 'age', 30)
+        .addNode('ticket:2').setProperty('ticket:2', 'status', 'closed').setProperty('ticket:2', 'age', 12)
+        .addNode('ticket:3').setProperty('ticket:3', 'status', 'open').setProperty('ticket:3', 'age', 5)
+        .addNode('ticket:4').setProperty('ticket:4', 'id', 'T-4')
+        .addNode('user:alice')
+        .addEdge('user:alice', 'ticket:1', 'owns')
+        .addEdge('user:alice', 'ticket:2', 'owns');
+    });
+  });
+
+  it('filters by property conditions', async () => {
+    const query = graph.query().match('ticket:*').where({ props: { status: { eq: 'open' }, age: { gte: 18 } } });
+
+    expect(await ids(query)).toEqual(['ticket:1']);
+  });
+
+  it('runs a predicate that arrived as JSON', async () => {
+    const wire = JSON.stringify({ or: [{ props: { status: 'closed' } }, { not: { props: { age: { exists: true } } } }] });
+
+    expect(await ids(graph.query().match('ticket:*').where(JSON.parse(wire)))).toEqual(['ticket:2', 'ticket:4']);
+  });
+
+  it('composes with traversal, function predicates, and shorthand', async () => {
+    const query = graph.query()
+      .match('user:alice')
+      .outgoing('owns')
+      .where({ props: { status: { in: ['open', 'closed'] } } })
+      .where((node) => Number(node.props.age) > 20)
+      .where({ status: 'open' });
+
+    expect(await ids(query)).toEqual(['ticket:1']);
+  });
+
+  it('keeps the equality shorthand for properties named like predicate keys', async () => {
+    expect(await ids(graph.query().match('ticket:*').where({ id: 'T-4' }))).toEqual(['ticket:4']);
+  });
+
+  it('rejects malformed predicates when the step is added', () => {
+    expect(() => graph.query().where({ props: { age: { between: [1, 2] } } })).toThrow(QueryError);
+    expect(() => graph.query().where({ props: { status: 'open' }, owner: 'alice' })).toThrow(/unknown key 'owner'/);
+  });
+});
@@ -0,0 +1,147 @@
+import { describe, it, expect } from 'vitest';
+import {
+  lwwPolicy,
+  maxPolicy,
+  minPolicy,
+  unionPolicy,
+  writerPriority,
+  MergePolicies,
+} from '../../../../src/domain/crdt/MergePolicy.js';
+import { lwwSet } from '../../../../src/domain/crdt/LWW.js';
+import { createEventId } from '../../../../src/domain/utils/EventId.js';
+
+/**
+ * @param {number} lamport
+ * @param {string} writer
+ * @param {unknown} value
+ */
+function reg(lamport, writer, value) {
+  return lwwSet(createEventId(lamport, writer, 'abcd1234', 0), value);
+}
+
+describe('MergePolicy', () => {
+  describe('maxPolicy', () => {
+    it('keeps the greater value regardless of EventId', () => {
+      const early = reg(1, 'alice', 10);
+      const late = reg(5, 'bob', 3);
+
+      expect(maxPolicy.join(early, late)).toBe(early);
+      expect(maxPolicy.join(late, early)).toBe(early);
+    });
+
+    it('orders booleans < numbers < strings and compares strings by code unit', () => {
+      const bool = reg(3, 'a', true);
+      const num = reg(2, 'b', 1);
+      const str = reg(1, 'c', '2024-01-01T00:00:00Z');
+      const later = reg(1, 'd', '2025-01-01T00:00:00Z');
+
+      expect(maxPolicy.join(bool, num)).toBe(num);
+      expect(maxPolicy.join(num, str)).toBe(str);
+      expect(maxPolicy.join(str, later)).toBe(later);
+    });
+
+    it('ranks unordered values below everything and falls back to EventId among them', () => {
+      const obj = reg(9, 'a', { x: 1 });
+      const nul = reg(8, 'b', null);
+
+      expect(maxPolicy.join(obj, reg(1, 'c', false)).value).toBe(false);
+      expect(maxPolicy.join(nul, obj)).toBe(obj);
+    });
+
+    it('breaks ties on equal values by EventId', () => {
+      const a = reg(1, 'alice', 7);
+      const b = reg(2, 'bob', 7);
+
+      expect(maxPolicy.join(a, b)).toBe(b);
+      expect(maxPolicy.join(b, a)).toBe(b);
+    });
+  });
+
+  describe('minPolicy', () => {
+    it('keeps the smaller value regardless of EventId', () => {
+      const early = reg(1, 'alice', 3);
+      const late = reg(5, 'bob', 10);
+
+      expect(minPolicy.join(early, late)).toBe(early);
+      expect(minPolicy.join(late, early)).toBe(early);
+    });
+  });
+
+  describe('writerPriority', () => {
+    it('keeps the write from the writer listed first', () => {
+      const policy = writerPriority(['admin', 'bot']);
+      const admin = reg(1, 'admin', 'manual');
+      const bot = reg(9, 'bot', 'auto');
+
+      expect(policy.join(admin, bot)).toBe(admin);
+      expect(policy.join(bot, admin)).toBe(admin);
+    });
+
+    it('ranks unlisted writers last and orders them by EventId', () => {
+      const policy = writerPriority(['admin']);
+      const x = reg(2, 'x', 'x');
+      const y = reg(3, 'y', 'y');
+
+      expect(policy.join(x, reg(1, 'admin', 'a')).value).toBe('a');
+      expect(policy.join(x, y)).toBe(y);
+    });
+
+    it('records its writers as params', () => {
+      expect(writerPriority(['a', 'b'])).toMatchObject({ name: 'writerPriority', params: ['a', 'b'] });
+    });
+
+    it('rejects empty, non-string, and duplicate writer lists', () => {
+      expect(() => writerPriority([])).toThrow(/non-empty array/);
+      expect(() => writerPriority(/** @type {any} */ (['a', 1]))).toThrow(/non-empty array/);
+      expect(() => writerPriority(['a', 'a'])).toThrow(/unique/);
+    });
+  });
+
+  describe('unionPolicy', () => {
+    it('unions array elements, de-duplicated and sorted', () => {
+      const a = reg(1, 'alice', ['b', 'a']);
+      const b = reg(2, 'bob', ['c', 'a']);
+
+      const joined = unionPolicy.join(a, b);
+
+      expect(joined.value).toEqual(['a', 'b', 'c']);
+      expect(joined.eventId).toBe(b.eventId);
+    });
+
+    it('treats a scalar as a one-element array', () => {
+      expect(unionPolicy.join(reg(1, 'a', 'x'), reg(1, 'a', 'x')).value).toEqual(['x']);
+    });
+  });
+
+  describe('semilattice laws', () => {
+    const registers = [
+      reg(1, 'alice', 5),
+      reg(2, 'bob', 'z'),
+      reg(2, 'carol', 5),
+      reg(3, 'alice', ['q']),
+      reg(4, 'dave', true),
+    ];
+    const policies = [lwwPolicy, maxPolicy, minPolicy, unionPolicy, writerPriority(['carol', 'alice'])];
+
+    for (const policy of policies) {
+      it(`${policy.name} is commutative, associative, and idempotent`, () => {
+        for (const a of registers) {
+          expect(policy.join(a, a)).toEqual(policy.join(a, a));
+          expect(policy.join(policy.join(a, a), a)).toEqual(policy.join(a, a));
+          for (const b of registers) {
+            expect(policy.join(a, b)).toEqual(policy.join(b, a));
+            for (const c of registers) {
+              expect(policy.join(policy.join(a, b), c)).toEqual(policy.join(a, policy.join(b, c)));
+            }
+          }
+        }
+      });
+    }
+  });
+
+  it('exposes the built-ins and writerPriority on MergePolicies', () => {
+    expect(Object.keys(MergePolicies).sort()).toEqual(['lww', 'max', 'min', 'union', 'writerPriority']);
+    expect(MergePolicies.max).toBe(maxPolicy);
+    expect(Object.isFrozen(MergePolicies)).toBe(true);
+  });
+});
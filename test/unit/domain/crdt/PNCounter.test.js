@@ -0,0 +1,142 @@
+import { describe, it, expect } from 'vitest';
+import {
+  createPNCounter,
+  pncounterIncrement,
+  pncounterWouldAbsorb,
+  pncounterValue,
+  pncounterMaxEventId,
+  pncounterJoin,
+  pncounterClone,
+  pncounterSerialize,
+  pncounterDeserialize,
+} from '../../../../src/domain/crdt/PNCounter.js';
+import { createEventId } from '../../../../src/domain/utils/EventId.js';
+
+/**
+ * Builds a counter from a list of [lamport, writer, delta] contributions.
+ * @param {Array<[number, string, number]>} contributions
+ */
+function counterOf(contributions) {
+  const counter = createPNCounter();
+  for (const [lamport, writer, delta] of contributions) {
+    pncounterIncrement(counter, createEventId(lamport, writer, 'abcd1234', 0), delta);
+  }
+  return counter;
+}
+
+describe('PN-Counter', () => {
+  describe('pncounterIncrement', () => {
+    it('accumulates positive and negative deltas per writer', () => {
+      const counter = counterOf([[1, 'alice', 5], [2, 'alice', -2], [3, 'alice', 4]]);
+
+      expect(counter.get('alice')).toMatchObject({ p: 9, n: 2 });
+      expect(pncounterValue(counter)).toBe(7);
+    });
+
+    it('sums contributions across writers', () => {
+      const counter = counterOf([[1, 'alice', 1], [1, 'bob', 2], [1, 'carol', -1]]);
+
+      expect(pncounterValue(counter)).toBe(2);
+    });
+
+    it('ignores a contribution the writer slot has already absorbed', () => {
+      const counter = createPNCounter();
+      const eventId = createEventId(3, 'alice', 'abcd1234', 0);
+
+      expect(pncounterIncrement(counter, eventId, 5)).toBe(true);
+      expect(pncounterIncrement(counter, eventId, 5)).toBe(false);
+      expect(pncounterIncrement(counter, createEventId(2, 'alice', 'abcd1234', 0), 5)).toBe(false);
+      expect(pncounterValue(counter)).toBe(5);
+    });
+
+    it('rejects non-integer deltas', () => {
+      const counter = createPNCounter();
+      const eventId = createEventId(1, 'alice', 'abcd1234', 0);
+
+      expect(() => pncounterIncrement(counter, eventId, 1.5)).toThrow(/safe integer/);
+      expect(() => pncounterIncrement(counter, eventId, NaN)).toThrow(/safe integer/);
+      expect(() => pncounterIncrement(counter, eventId, /** @type {any} */ ('1'))).toThrow(/safe integer/);
+      expect(counter.size).toBe(0);
+    });
+  });
+
+  describe('pncounterWouldAbsorb', () => {
+    it('reports absorption without mutating', () => {
+      const counter = counterOf([[2, 'alice', 1]]);
+
+      expect(pncounterWouldAbsorb(undefined, createEventId(1, 'alice', 'abcd1234', 0))).toBe(true);
+      expect(pncounterWouldAbsorb(counter, createEventId(2, 'alice', 'abcd1234', 0))).toBe(false);
+      expect(pncounterWouldAbsorb(counter, createEventId(3, 'alice', 'abcd1234', 0))).toBe(true);
+      expect(pncounterWouldAbsorb(counter, createEventId(1, 'bob', 'abcd1234', 0))).toBe(true);
+      expect(pncounterValue(counter)).toBe(1);
+    });
+  });
+
+  describe('pncounterMaxEventId', () => {
+    it('returns null for an empty counter', () => {
+      expect(pncounterMaxEventId(createPNCounter())).toBeNull();
+    });
+
+    it('returns the greatest slot EventId', () => {
+      const counter = counterOf([[4, 'alice', 1], [7, 'bob', 1], [5, 'carol', 1]]);
+
+      expect(pncounterMaxEventId(counter)).toEqual(createEventId(7, 'bob', 'abcd1234', 0));
+    });
+  });
+
+  describe('pncounterJoin', () => {
+    it('keeps the newer slot per writer', () => {
+      const a = counterOf([[1, 'alice', 1], [1, 'bob', 1]]);
+      const b = counterOf([[1, 'alice', 1], [2, 'alice', 1], [1, 'carol', 3]]);
+
+      const joined = pncounterJoin(a, b);
+
+      expect(pncounterValue(joined)).toBe(6);
+      expect(pncounterValue(a)).toBe(2);
+      expect(pncounterValue(b)).toBe(5);
+    });
+
+    it('is commutative, associative, and idempotent', () => {
+      const a = counterOf([[1, 'alice', 2], [3, 'alice', -1]]);
+      const b = counterOf([[2, 'bob', 4]]);
+      const c = counterOf([[1, 'alice', 2], [1, 'carol', -7]]);
+
+      expect(pncounterJoin(a, b)).toEqual(pncounterJoin(b, a));
+      expect(pncounterJoin(pncounterJoin(a, b), c)).toEqual(pncounterJoin(a, pncounterJoin(b, c)));
+      expect(pncounterJoin(a, a)).toEqual(a);
+    });
+  });
+
+  describe('pncounterClone', () => {
+    it('isolates later increments from the original', () => {
+      const original = counterOf([[1, 'alice', 1]]);
+      const clone = pncounterClone(original);
+
+      pncounterIncrement(clone, createEventId(2, 'alice', 'abcd1234', 0), 10);
+
+      expect(pncounterValue(original)).toBe(1);
+      expect(pncounterValue(clone)).toBe(11);
+    });
+  });
+
+  describe('serialization', () => {
+    it('round-trips through serialize/deserialize', () => {
+      const counter = counterOf([[2, 'bob', -3], [1, 'alice', 5]]);
+
+      const restored = pncounterDeserialize(pncounterSerialize(counter));
+
+      expect(restored).toEqual(counter);
+      expect(pncounterValue(restored)).toBe(2);
+    });
+
+    it('serializes writers in sorted order', () => {
+      const counter = counterOf([[1, 'zed', 1], [1, 'alice', 1]]);
+
+      expect(pncounterSerialize(counter).map(([writerId]) => writerId)).toEqual(['alice', 'zed']);
+    });
+
+    it('deserializes non-array input to an empty counter', () => {
+      expect(pncounterDeserialize(undefined).size).toBe(0);
+    });
+  });
+});
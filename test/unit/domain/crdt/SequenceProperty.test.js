@@ -0,0 +1,178 @@
+import { describe, it, expect } from 'vitest';
+import {
+  createSequenceProperty,
+  sequenceInsert,
+  sequenceMove,
+  sequenceRemove,
+  sequenceEntries,
+  sequenceValue,
+  sequenceJoin,
+  sequenceClone,
+  sequenceSerialize,
+  sequenceDeserialize,
+} from '../../../../src/domain/crdt/SequenceProperty.js';
+import { createDot } from '../../../../src/domain/crdt/Dot.js';
+import { createEventId } from '../../../../src/domain/utils/EventId.js';
+
+/**
+ * @param {number} lamport
+ * @param {string} writer
+ * @returns {import('../../../../src/domain/utils/EventId.js').EventId}
+ */
+function eid(lamport, writer) {
+  return createEventId(lamport, writer, 'abcd1234', 0);
+}
+
+/**
+ * Builds ['a', 'b', 'c'] from a single writer at increasing Lamport ticks.
+ *
+ * @returns {import('../../../../src/domain/crdt/SequenceProperty.js').SequenceProperty}
+ */
+function abc() {
+  const seq = createSequenceProperty();
+  sequenceInsert(seq, { dot: createDot('alice', 1), origin: null, value: 'a' }, eid(1, 'alice'));
+  sequenceInsert(seq, { dot: createDot('alice', 2), origin: 'alice:1', value: 'b' }, eid(2, 'alice'));
+  sequenceInsert(seq, { dot: createDot('alice', 3), origin: 'alice:2', value: 'c' }, eid(3, 'alice'));
+  return seq;
+}
+
+describe('SequenceProperty', () => {
+  it('starts empty with no EventId', () => {
+    const seq = createSequenceProperty();
+
+    expect(sequenceValue(seq)).toEqual([]);
+    expect(seq.eventId).toBeNull();
+  });
+
+  it('orders inserts after their origin', () => {
+    const seq = abc();
+    sequenceInsert(seq, { dot: createDot('alice', 4), origin: 'alice:1', value: 'x' }, eid(4, 'alice'));
+
+    expect(sequenceValue(seq)).toEqual(['a', 'x', 'b', 'c']);
+    expect(sequenceEntries(seq)[1]).toEqual({ item: 'alice:4', slot: 'alice:4', value: 'x' });
+    expect(seq.eventId).toEqual(eid(4, 'alice'));
+  });
+
+  it('keeps both concurrent inserts at the same position in a deterministic order', () => {
+    const base = abc();
+    const left = sequenceClone(base);
+    const right = sequenceClone(base);
+    sequenceInsert(left, { dot: createDot('alice', 4), origin: 'alice:1', value: 'A' }, eid(4, 'alice'));
+    sequenceInsert(right, { dot: createDot('bob', 1), origin: 'alice:1', value: 'B' }, eid(4, 'bob'));
+
+    // Same Lamport tick: the greater writer ID goes first
+    expect(sequenceValue(sequenceJoin(left, right))).toEqual(['a', 'B', 'A', 'b', 'c']);
+    expect(sequenceValue(sequenceJoin(right, left))).toEqual(['a', 'B', 'A', 'b', 'c']);
+  });
+
+  it('places a later insert before siblings it observed', () => {
+    const seq = createSequenceProperty();
+    sequenceInsert(seq, { dot: createDot('alice', 1), origin: null, value: 'first' }, eid(1, 'alice'));
+    sequenceInsert(seq, { dot: createDot('bob', 1), origin: null, value: 'zeroth' }, eid(2, 'bob'));
+
+    expect(sequenceValue(seq)).toEqual(['zeroth', 'first']);
+  });
+
+  it('moves an item without duplicating it', () => {
+    const seq = abc();
+    sequenceMove(seq, { item: 'alice:3', dot: createDot('alice', 4), origin: null }, eid(4, 'alice'));
+
+    expect(sequenceValue(seq)).toEqual(['c', 'a', 'b']);
+    expect(sequenceEntries(seq)[0]).toEqual({ item: 'alice:3', slot: 'alice:4', value: 'c' });
+  });
+
+  it('resolves concurrent moves of the same item by EventId', () => {
+    const base = abc();
+    const left = sequenceClone(base);
+    const right = sequenceClone(base);
+    sequenceMove(left, { item: 'alice:1', dot: createDot('alice', 4), origin: 'alice:3' }, eid(4, 'alice'));
+    sequenceMove(right, { item: 'alice:1', dot: createDot('bob', 1), origin: 'alice:2' }, eid(5, 'bob'));
+
+    const joined = sequenceJoin(left, right);
+
+    expect(sequenceValue(joined)).toEqual(['b', 'a', 'c']);
+    expect(sequenceValue(sequenceJoin(right, left))).toEqual(['b', 'a', 'c']);
+  });
+
+  it('lets a remove win over a concurrent move', () => {
+    const base = abc();
+    const left = sequenceClone(base);
+    const right = sequenceClone(base);
+    sequenceRemove(left, 'alice:2', eid(4, 'alice'));
+    sequenceMove(right, { item: 'alice:2', dot: createDot('bob', 1), origin: null }, eid(5, 'bob'));
+
+    expect(sequenceValue(sequenceJoin(left, right))).toEqual(['a', 'c']);
+  });
+
+  it('keeps inserts anchored to a removed item in place', () => {
+    const seq = abc();
+    sequenceRemove(seq, 'alice:2', eid(4, 'alice'));
+    sequenceInsert(seq, { dot: createDot('bob', 1), origin: 'alice:2', value: 'x' }, eid(3, 'bob'));
+
+    expect(sequenceValue(seq)).toEqual(['a', 'x', 'c']);
+  });
+
+  it('hangs slots with an unknown origin off the head', () => {
+    const seq = abc();
+    sequenceInsert(seq, { dot: createDot('bob', 1), origin: 'carol:9', value: 'orphan' }, eid(9, 'bob'));
+
+    expect(sequenceValue(seq)).toEqual(['orphan', 'a', 'b', 'c']);
+  });
+
+  describe('sequenceJoin', () => {
+    it('is idempotent and does not mutate its inputs', () => {
+      const a = abc();
+      const b = createSequenceProperty();
+      sequenceInsert(b, { dot: createDot('bob', 1), origin: null, value: 'z' }, eid(1, 'bob'));
+
+      const joined = sequenceJoin(a, b);
+
+      expect(sequenceJoin(joined, joined)).toEqual(joined);
+      expect(sequenceJoin(joined, b)).toEqual(joined);
+      expect(sequenceValue(a)).toEqual(['a', 'b', 'c']);
+      expect(joined.eventId).toEqual(eid(3, 'alice'));
+    });
+
+    it('handles an empty side', () => {
+      const a = abc();
+
+      expect(sequenceJoin(createSequenceProperty(), a)).toEqual(a);
+      expect(sequenceJoin(a, createSequenceProperty())).toEqual(a);
+    });
+  });
+
+  it('clones independently', () => {
+    const seq = abc();
+    const clone = sequenceClone(seq);
+
+    sequenceRemove(clone, 'alice:1', eid(4, 'alice'));
+
+    expect(sequenceValue(seq)).toEqual(['a', 'b', 'c']);
+    expect(sequenceValue(clone)).toEqual(['b', 'c']);
+  });
+
+  it('round-trips through serialize/deserialize', () => {
+    const seq = abc();
+    sequenceMove(seq, { item: 'alice:3', dot: createDot('bob', 1), origin: null }, eid(4, 'bob'));
+    sequenceRemove(seq, 'alice:1', eid(5, 'alice'));
+
+    const restored = sequenceDeserialize(sequenceSerialize(seq));
+
+    expect(restored).toEqual(seq);
+    expect(sequenceValue(restored)).toEqual(['c', 'b']);
+    expect(sequenceDeserialize(sequenceSerialize(createSequenceProperty()))).toEqual(createSequenceProperty());
+  });
+
+  it('serializes deterministically regardless of insertion order', () => {
+    const a = createSequenceProperty();
+    const b = createSequenceProperty();
+    const x = { dot: createDot('alice', 1), origin: null, value: 'x' };
+    const y = { dot: createDot('bob', 1), origin: null, value: 'y' };
+    sequenceInsert(a, x, eid(1, 'alice'));
+    sequenceInsert(a, y, eid(1, 'bob'));
+    sequenceInsert(b, y, eid(1, 'bob'));
+    sequenceInsert(b, x, eid(1, 'alice'));
+
+    expect(sequenceSerialize(a)).toEqual(sequenceSerialize(b));
+  });
+});
@@ -0,0 +1,122 @@
+import { describe, it, expect } from 'vitest';
+import {
+  createSetProperty,
+  setPropertyAdd,
+  setPropertyRemove,
+  setPropertyStamp,
+  setPropertyValue,
+  setPropertyJoin,
+  setPropertyClone,
+  setPropertyCompact,
+  setPropertySerialize,
+  setPropertyDeserialize,
+} from '../../../../src/domain/crdt/SetProperty.js';
+import { createDot, encodeDot } from '../../../../src/domain/crdt/Dot.js';
+import { createEventId } from '../../../../src/domain/utils/EventId.js';
+import { createVersionVector } from '../../../../src/domain/crdt/VersionVector.js';
+
+describe('SetProperty', () => {
+  it('starts empty with no EventId', () => {
+    const prop = createSetProperty();
+
+    expect(setPropertyValue(prop)).toEqual([]);
+    expect(prop.eventId).toBeNull();
+  });
+
+  it('returns elements in sorted order', () => {
+    const prop = createSetProperty();
+    setPropertyAdd(prop, 'writer', createDot('alice', 1));
+    setPropertyAdd(prop, 'admin', createDot('alice', 2));
+    setPropertyAdd(prop, 'reader', createDot('bob', 1));
+
+    expect(setPropertyValue(prop)).toEqual(['admin', 'reader', 'writer']);
+  });
+
+  it('removes only the observed dots (add wins over concurrent remove)', () => {
+    const prop = createSetProperty();
+    setPropertyAdd(prop, 'admin', createDot('alice', 1));
+    setPropertyAdd(prop, 'admin', createDot('bob', 1));
+
+    // Remover only observed alice's add
+    setPropertyRemove(prop, [encodeDot(createDot('alice', 1))]);
+    expect(setPropertyValue(prop)).toEqual(['admin']);
+
+    setPropertyRemove(prop, [encodeDot(createDot('bob', 1))]);
+    expect(setPropertyValue(prop)).toEqual([]);
+  });
+
+  it('stamps the greatest EventId', () => {
+    const prop = createSetProperty();
+    setPropertyStamp(prop, createEventId(3, 'alice', 'abcd1234', 0));
+    setPropertyStamp(prop, createEventId(2, 'bob', 'abcd1234', 0));
+
+    expect(prop.eventId).toEqual(createEventId(3, 'alice', 'abcd1234', 0));
+  });
+
+  describe('setPropertyJoin', () => {
+    it('unions concurrent adds and keeps the greater EventId', () => {
+      const a = createSetProperty();
+      setPropertyAdd(a, 'x', createDot('alice', 1));
+      setPropertyStamp(a, createEventId(1, 'alice', 'abcd1234', 0));
+      const b = createSetProperty();
+      setPropertyAdd(b, 'y', createDot('bob', 1));
+      setPropertyStamp(b, createEventId(2, 'bob', 'abcd1234', 0));
+
+      const joined = setPropertyJoin(a, b);
+
+      expect(setPropertyValue(joined)).toEqual(['x', 'y']);
+      expect(joined.eventId).toEqual(createEventId(2, 'bob', 'abcd1234', 0));
+      expect(setPropertyValue(a)).toEqual(['x']);
+      expect(setPropertyJoin(b, a)).toEqual(joined);
+    });
+
+    it('handles an empty side', () => {
+      const a = createSetProperty();
+      const b = createSetProperty();
+      setPropertyAdd(b, 'y', createDot('bob', 1));
+      setPropertyStamp(b, createEventId(1, 'bob', 'abcd1234', 0));
+
+      expect(setPropertyJoin(a, b).eventId).toEqual(b.eventId);
+      expect(setPropertyJoin(b, a).eventId).toEqual(b.eventId);
+    });
+  });
+
+  it('clones independently', () => {
+    const prop = createSetProperty();
+    setPropertyAdd(prop, 'x', createDot('alice', 1));
+    const clone = setPropertyClone(prop);
+
+    setPropertyAdd(clone, 'y', createDot('alice', 2));
+
+    expect(setPropertyValue(prop)).toEqual(['x']);
+    expect(setPropertyValue(clone)).toEqual(['x', 'y']);
+  });
+
+  it('compacts tombstoned dots covered by the version vector', () => {
+    const prop = createSetProperty();
+    setPropertyAdd(prop, 'x', createDot('alice', 1));
+    setPropertyAdd(prop, 'y', createDot('alice', 2));
+    setPropertyRemove(prop, [encodeDot(createDot('alice', 1))]);
+    const vv = createVersionVector();
+    vv.set('alice', 2);
+
+    setPropertyCompact(prop, vv);
+
+    expect(prop.elements.entries.has('x')).toBe(false);
+    expect(prop.elements.tombstones.size).toBe(0);
+    expect(setPropertyValue(prop)).toEqual(['y']);
+  });
+
+  it('round-trips through serialize/deserialize', () => {
+    const prop = createSetProperty();
+    setPropertyAdd(prop, 'x', createDot('alice', 1));
+    setPropertyAdd(prop, 'y', createDot('bob', 1));
+    setPropertyRemove(prop, [encodeDot(createDot('bob', 1))]);
+    setPropertyStamp(prop, createEventId(4, 'bob', 'abcd1234', 1));
+
+    const restored = setPropertyDeserialize(setPropertySerialize(prop));
+
+    expect(restored).toEqual(prop);
+    expect(setPropertyDeserialize(setPropertySerialize(createSetProperty()))).toEqual(createSetProperty());
+  });
+});
@@ -17,6 +17,18 @@ import { createDot, encodeDot } from '../../../../src/domain/crdt/Dot.js';
 import { createVersionVector } from '../../../../src/domain/crdt/VersionVector.js';
 import { createEventId } from '../../../../src/domain/utils/EventId.js';
 import { lwwSet } from '../../../../src/domain/crdt/LWW.js';
+import {
+  createSetProperty,
+  setPropertyAdd,
+  setPropertyRemove,
+  setPropertyStamp,
+} from '../../../../src/domain/crdt/SetProperty.js';
+import {
+  createSequenceProperty,
+  sequenceInsert,
+  sequenceMove,
+  sequenceRemove,
+} from '../../../../src/domain/crdt/SequenceProperty.js';
 
 /**
  * Helper to create a mock EventId for testing.
@@ -329,6 +341,132 @@ describe('CheckpointSerializerV5', () => {
     });
   });
 
+  describe('counter state', () => {
+    it('round-trips PN-Counter state', () => {
+      const state = createEmptyStateV5();
+      const key = encodePropKey('post:1', 'likes');
+      state.counters.set(key, new Map([
+        ['alice', { p: 3, n: 1, eventId: mockEventId(2, 'alice', 'abcd1234', 0) }],
+        ['bob', { p: 5, n: 0, eventId: mockEventId(1, 'bob', 'abcd5678', 0) }],
+      ]));
+      state.prop.set(key, lwwSet(mockEventId(2, 'alice', 'abcd1234', 0), 7));
+
+      const restored = deserializeFullStateV5(serializeFullStateV5(state));
+
+      expect(restored.counters).toEqual(state.counters);
+      expect(restored.prop.get(key)?.value).toBe(7);
+    });
+
+    it('omits counters from the encoding when there are none', () => {
+      const state = buildStateV5({ nodes: [{ nodeId: 'a', writerId: 'alice', counter: 1 }] });
+      const withUndefined = /** @type {any} */ ({ ...state, counters: undefined });
+
+      const buffer = serializeFullStateV5(state);
+
+      expect(/** @type {Buffer} */ (buffer).equals(/** @type {Buffer} */ (serializeFullStateV5(withUndefined)))).toBe(true);
+    });
+
+    it('deserializes checkpoints without counters to an empty Map', () => {
+      const legacy = encode({ version: 'full-v5', nodeAlive: {}, edgeAlive: {}, prop: [], observedFrontier: {} });
+
+      const restored = deserializeFullStateV5(/** @type {Buffer} */ (legacy));
+
+      expect(restored.counters).toEqual(new Map());
+    });
+  });
+
+  describe('set property state', () => {
+    it('round-trips OR-Set valued properties', () => {
+      const state = createEmptyStateV5();
+      const key = encodePropKey('user:1', 'roles');
+      const setProp = createSetProperty();
+      setPropertyAdd(setProp, 'admin', createDot('alice', 2));
+      setPropertyAdd(setProp, 'editor', createDot('bob', 1));
+      setPropertyRemove(setProp, [encodeDot(createDot('bob', 1))]);
+      setPropertyStamp(setProp, mockEventId(3, 'bob', 'abcd5678', 0));
+      state.sets.set(key, setProp);
+      state.prop.set(key, lwwSet(mockEventId(3, 'bob', 'abcd5678', 0), ['admin']));
+
+      const restored = deserializeFullStateV5(serializeFullStateV5(state));
+
+      expect(restored.sets).toEqual(state.sets);
+      expect(restored.prop.get(key)?.value).toEqual(['admin']);
+    });
+
+    it('deserializes checkpoints without sets to an empty Map', () => {
+      const legacy = encode({ version: 'full-v5', nodeAlive: {}, edgeAlive: {}, prop: [], observedFrontier: {} });
+
+      expect(deserializeFullStateV5(/** @type {Buffer} */ (legacy)).sets).toEqual(new Map());
+    });
+
+    it('includes set element dots in computeAppliedVV', () => {
+      const state = buildStateV5({ nodes: [{ nodeId: 'a', writerId: 'alice', counter: 1 }] });
+      const setProp = createSetProperty();
+      setPropertyAdd(setProp, 'x', createDot('alice', 4));
+      setPropertyAdd(setProp, 'y', createDot('carol', 2));
+      state.sets.set(encodePropKey('a', 'tags'), setProp);
+
+      const vv = computeAppliedVV(state);
+
+      expect(vv.get('alice')).toBe(4);
+      expect(vv.get('carol')).toBe(2);
+    });
+  });
+
+  describe('sequence property state', () => {
+    it('round-trips sequence properties', () => {
+      const state = createEmptyStateV5();
+      const key = encodePropKey('doc', 'sections');
+      const seq = createSequenceProperty();
+      sequenceInsert(seq, { dot: createDot('alice', 1), origin: null, value: 'intro' }, mockEventId(1, 'alice', 'abcd5678', 0));
+      sequenceInsert(seq, { dot: createDot('alice', 2), origin: 'alice:1', value: { title: 'body' } }, mockEventId(1, 'alice', 'abcd5678', 1));
+      sequenceMove(seq, { item: 'alice:2', dot: createDot('bob', 1), origin: null }, mockEventId(2, 'bob', 'abcd9999', 0));
+      sequenceRemove(seq, 'alice:1', mockEventId(3, 'alice', 'abcd1111', 0));
+      state.sequences.set(key, seq);
+
+      const restored = deserializeFullStateV5(serializeFullStateV5(state));
+
+      expect(restored.sequences).toEqual(state.sequences);
+    });
+
+    it('deserializes checkpoints without sequences to an empty Map', () => {
+      const legacy = encode({ version: 'full-v5', nodeAlive: {}, edgeAlive: {}, prop: [], observedFrontier: {} });
+
+      expect(deserializeFullStateV5(/** @type {Buffer} */ (legacy)).sequences).toEqual(new Map());
+    });
+
+    it('includes sequence slot dots in computeAppliedVV', () => {
+      const state = buildStateV5({ nodes: [{ nodeId: 'a', writerId: 'alice', counter: 1 }] });
+      const seq = createSequenceProperty();
+      sequenceInsert(seq, { dot: createDot('alice', 6), origin: null, value: 1 }, mockEventId(1, 'alice', 'abcd5678', 0));
+      sequenceMove(seq, { item: 'alice:6', dot: createDot('dave', 3), origin: null }, mockEventId(2, 'dave', 'abcd5678', 0));
+      state.sequences.set(encodePropKey('a', 'list'), seq);
+
+      const vv = computeAppliedVV(state);
+
+      expect(vv.get('alice')).toBe(6);
+      expect(vv.get('dave')).toBe(3);
+    });
+  });
+
+  describe('node aliases', () => {
+    it('round-trips the alias table', () => {
+      const state = createEmptyStateV5();
+      state.aliases.set('user:dup', lwwSet(mockEventId(2, 'alice', 'abcd5678', 0), 'user:alice'));
+      state.aliases.set('user:al', lwwSet(mockEventId(3, 'bob', 'abcd9999', 1), 'user:alice'));
+
+      const restored = deserializeFullStateV5(serializeFullStateV5(state));
+
+      expect(restored.aliases).toEqual(state.aliases);
+    });
+
+    it('deserializes checkpoints without aliases to an empty Map', () => {
+      const legacy = encode({ version: 'full-v5', nodeAlive: {}, edgeAlive: {}, prop: [], observedFrontier: {} });
+
+      expect(deserializeFullStateV5(/** @type {Buffer} */ (legacy)).aliases).toEqual(new Map());
+    });
+  });
+
   describe('computeAppliedVV', () => {
     it('returns empty map for empty state', () => {
       const state = createEmptyStateV5();
@@ -0,0 +1,148 @@
+import { describe, it, expect } from 'vitest';
+import { findConflicts } from '../../../../src/domain/services/ConflictAnalyzer.js';
+import { createEventId } from '../../../../src/domain/utils/EventId.js';
+import { encodeLegacyEdgePropNode } from '../../../../src/domain/services/KeyCodec.js';
+
+// ---------------------------------------------------------------------------
+// Helpers
+// ---------------------------------------------------------------------------
+
+/**
+ * @param {{writer: string, lamport: number, sha: string, ops: any[], context?: Record<string, number>}} params
+ * @returns {{patch: any, sha: string}}
+ */
+function entry({ writer, lamport, sha, ops, context = {} }) {
+  return { patch: { schema: 2, writer, lamport, ops, context }, sha };
+}
+
+/** @param {string} node @param {string} key @param {unknown} value */
+function propSet(node, key, value) {
+  return { type: 'PropSet', node, key, value };
+}
+
+// ---------------------------------------------------------------------------
+// Tests
+// ---------------------------------------------------------------------------
+
+describe('ConflictAnalyzer.findConflicts', () => {
+  it('reports a concurrent overwrite with both writes', () => {
+    const alice = entry({ writer: 'alice', lamport: 1, sha: 'aaaa0001', ops: [propSet('doc', 'title', 'Draft')] });
+    const bob = entry({ writer: 'bob', lamport: 1, sha: 'bbbb0001', ops: [propSet('doc', 'title', 'Final')] });
+
+    expect(findConflicts([alice, bob])).toEqual([{
+      kind: 'node',
+      nodeId: 'doc',
+      key: 'title',
+      winner: { value: 'Final', writerId: 'bob', patchSha: 'bbbb0001', eventId: createEventId(1, 'bob', 'bbbb0001', 0) },
+      overwritten: [
+        { value: 'Draft', writerId: 'alice', patchSha: 'aaaa0001', eventId: createEventId(1, 'alice', 'aaaa0001', 0) },
+      ],
+    }]);
+    expect(findConflicts([bob, alice])).toEqual(findConflicts([alice, bob]));
+  });
+
+  it('ignores overwrites by a writer that observed the earlier patch', () => {
+    const alice = entry({ writer: 'alice', lamport: 1, sha: 'aaaa0001', ops: [propSet('doc', 'title', 'Draft')] });
+    // bob materialized alice's patch: the frontier folds in alice's Lamport tick
+    const bob = entry({ writer: 'bob', lamport: 2, sha: 'bbbb0001', ops: [propSet('doc', 'title', 'Final')], context: { alice: 1 } });
+
+    expect(findConflicts([alice, bob])).toEqual([]);
+  });
+
+  it('requires the observed entry to cover the earlier patch context', () => {
+    // alice's patch allocated dots up to alice:3 before setting the title
+    const alice = entry({
+      writer: 'alice',
+      lamport: 2,
+      sha: 'aaaa0002',
+      ops: [propSet('doc', 'title', 'Draft')],
+      context: { alice: 3 },
+    });
+    const stale = entry({ writer: 'bob', lamport: 3, sha: 'bbbb0001', ops: [propSet('doc', 'title', 'Stale')], context: { alice: 2 } });
+    const fresh = entry({ writer: 'carol', lamport: 3, sha: 'cccc0001', ops: [propSet('doc', 'other', 'x'), propSet('doc', 'title', 'Fresh')], context: { alice: 3 } });
+
+    expect(findConflicts([alice, stale])).toHaveLength(1);
+    expect(findConflicts([alice, fresh])).toEqual([]);
+  });
+
+  it('treats writes from the same writer as sequential', () => {
+    const first = entry({ writer: 'alice', lamport: 1, sha: 'aaaa0001', ops: [propSet('doc', 'title', 'One')] });
+    const second = entry({ writer: 'alice', lamport: 2, sha: 'aaaa0002', ops: [propSet('doc', 'title', 'Two'), propSet('doc', 'title', 'Three')] });
+
+    expect(findConflicts([first, second])).toEqual([]);
+  });
+
+  it('judges patches rebased from a fork by what the fork observed', () => {
+    const shared = entry({ writer: 'alice', lamport: 1, sha: 'aaaa0001', ops: [propSet('doc', 'title', 'Draft')] });
+    const base = entry({ writer: 'alice', lamport: 2, sha: 'aaaa0002', ops: [propSet('doc', 'title', 'Base')], context: { alice: 1 } });
+    const forkPatch = /** @type {any} */ ({ schema: 2, writer: 'exp', lamport: 2, ops: [], context: { alice: 1 } });
+    const landed = entry({ writer: 'alice', lamport: 3, sha: 'aaaa0003', ops: [propSet('doc', 'title', 'Fork')], context: { alice: 1 } });
+    const landedFork = { rebased: new Map([['aaaa0003', forkPatch]]), history: new Set(['aaaa0001']) };
+
+    expect(findConflicts([shared, base, landed])).toEqual([]);
+    const conflicts = findConflicts([shared, base, landed], {}, { landedFork });
+    expect(conflicts).toHaveLength(1);
+    expect(conflicts[0].winner.patchSha).toBe('aaaa0003');
+    expect(conflicts[0].overwritten.map((w) => w.patchSha)).toEqual(['aaaa0002']);
+    expect(findConflicts([shared, landed], {}, { landedFork })).toEqual([]);
+  });
+
+  it('groups consecutive concurrent overwrites into one run', () => {
+    const alice = entry({ writer: 'alice', lamport: 1, sha: 'aaaa0001', ops: [propSet('doc', 'title', 'A')] });
+    const bob = entry({ writer: 'bob', lamport: 1, sha: 'bbbb0001', ops: [propSet('doc', 'title', 'B')] });
+    const carol = entry({ writer: 'carol', lamport: 2, sha: 'cccc0001', ops: [propSet('doc', 'title', 'C')] });
+    // dave saw everything, so his later write starts a clean history
+    const dave = entry({ writer: 'dave', lamport: 3, sha: 'dddd0001', ops: [propSet('doc', 'title', 'D')], context: { alice: 1, bob: 1, carol: 2 } });
+
+    const conflicts = findConflicts([alice, bob, carol, dave]);
+
+    expect(conflicts).toHaveLength(1);
+    expect(conflicts[0].winner.value).toBe('C');
+    expect(conflicts[0].overwritten.map((w) => w.value)).toEqual(['A', 'B']);
+  });
+
+  it('reports edge property conflicts', () => {
+    const node = encodeLegacyEdgePropNode('a', 'b', 'knows');
+    const alice = entry({ writer: 'alice', lamport: 1, sha: 'aaaa0001', ops: [propSet(node, 'weight', 1)] });
+    const bob = entry({ writer: 'bob', lamport: 1, sha: 'bbbb0001', ops: [propSet(node, 'weight', 2)] });
+
+    const [conflict] = findConflicts([alice, bob]);
+
+    expect(conflict).toMatchObject({ kind: 'edge', from: 'a', to: 'b', label: 'knows', key: 'weight' });
+    expect(conflict.winner.value).toBe(2);
+  });
+
+  it('ignores mergeable property ops', () => {
+    const alice = entry({ writer: 'alice', lamport: 1, sha: 'aaaa0001', ops: [{ type: 'PropIncrement', node: 'doc', key: 'views', delta: 1 }] });
+    const bob = entry({ writer: 'bob', lamport: 1, sha: 'bbbb0001', ops: [{ type: 'PropIncrement', node: 'doc', key: 'views', delta: 2 }] });
+
+    expect(findConflicts([alice, bob])).toEqual([]);
+  });
+
+  describe('filters', () => {
+    const patches = [
+      entry({ writer: 'alice', lamport: 1, sha: 'aaaa0001', ops: [propSet('doc', 'title', 'A'), propSet('doc', 'body', 'a'), propSet('other', 'title', 'x')] }),
+      entry({ writer: 'bob', lamport: 1, sha: 'bbbb0001', ops: [propSet('doc', 'title', 'B'), propSet('other', 'title', 'y')] }),
+      entry({ writer: 'carol', lamport: 5, sha: 'cccc0001', ops: [propSet('doc', 'body', 'c')] }),
+    ];
+
+    it('sorts by node and key', () => {
+      expect(findConflicts(patches).map((c) => `${c.nodeId}.${c.key}`)).toEqual(['doc.body', 'doc.title', 'other.title']);
+    });
+
+    it('filters by node and key', () => {
+      expect(findConflicts(patches, { nodeId: 'doc' }).map((c) => c.key)).toEqual(['body', 'title']);
+      expect(findConflicts(patches, { key: 'title' }).map((c) => c.nodeId)).toEqual(['doc', 'other']);
+      expect(findConflicts(patches, { nodeId: 'doc', key: 'title' })).toHaveLength(1);
+    });
+
+    it('filters by the Lamport tick of the winning write', () => {
+      expect(findConflicts(patches, { since: 2 }).map((c) => `${c.nodeId}.${c.key}`)).toEqual(['doc.body']);
+      expect(findConflicts(patches, { since: 6 })).toEqual([]);
+    });
+  });
+
+  it('returns no conflicts for an empty history', () => {
+    expect(findConflicts([])).toEqual([]);
+  });
+});
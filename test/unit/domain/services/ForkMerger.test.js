@@ -0,0 +1,65 @@
+import { describe, it, expect } from 'vitest';
+import {
+  assignDots,
+  createdDots,
+  rebasePatch,
+  recordLandedDots,
+} from '../../../../src/domain/services/ForkMerger.js';
+
+/**
+ * @param {Array<Record<string, unknown>>} ops
+ * @param {{ writer?: string, lamport?: number, context?: Record<string, number> }} [meta]
+ * @returns {any}
+ */
+function patchOf(ops, { writer = 'lab', lamport = 2, context = {} } = {}) {
+  return { schema: 2, writer, lamport, context, ops };
+}
+
+const forkPatch = patchOf([
+  { type: 'NodeAdd', node: 'a', dot: { writerId: 'lab', counter: 4 } },
+  { type: 'NodeRemove', node: 'b', observedDots: ['w1:1', 'lab:3'] },
+  { type: 'SeqInsert', node: 'a', key: 'lines', value: 'x', origin: 'lab:3', dot: { writerId: 'lab', counter: 5 } },
+  { type: 'SeqRemove', node: 'a', key: 'lines', item: 'lab:3' },
+], { context: { w1: 2, lab: 5 } });
+
+describe('ForkMerger', () => {
+  it('createdDots lists the dots a patch issues, in op order', () => {
+    expect(createdDots(forkPatch)).toEqual(['lab:4', 'lab:5']);
+  });
+
+  it('assignDots issues fresh counters once per fork dot', () => {
+    const counters = new Map([['w1', 7]]);
+    const dotMap = new Map([['lab:3', 'w1:6']]);
+
+    assignDots(forkPatch, 'w1', { counters, dotMap });
+    assignDots(forkPatch, 'w1', { counters, dotMap });
+
+    expect([...dotMap]).toEqual([['lab:3', 'w1:6'], ['lab:4', 'w1:8'], ['lab:5', 'w1:9']]);
+    expect(counters.get('w1')).toBe(9);
+  });
+
+  it('rebasePatch renames created and referenced dots and covers them in the context', () => {
+    const dotMap = new Map([['lab:3', 'w1:6'], ['lab:4', 'w1:8'], ['lab:5', 'w1:9']]);
+
+    const rebased = rebasePatch(forkPatch, { writer: 'w1', lamport: 10, dotMap });
+
+    expect(rebased).toEqual(patchOf([
+      { type: 'NodeAdd', node: 'a', dot: { writerId: 'w1', counter: 8 } },
+      { type: 'NodeRemove', node: 'b', observedDots: ['w1:1', 'w1:6'] },
+      { type: 'SeqInsert', node: 'a', key: 'lines', value: 'x', origin: 'w1:6', dot: { writerId: 'w1', counter: 9 } },
+      { type: 'SeqRemove', node: 'a', key: 'lines', item: 'w1:6' },
+    ], { writer: 'w1', lamport: 10, context: { w1: 9, lab: 5 } }));
+  });
+
+  it('recordLandedDots recovers renames from a landed copy', () => {
+    const dotMap = new Map([['lab:4', 'w1:8'], ['lab:5', 'w1:9']]);
+    const landed = rebasePatch(forkPatch, { writer: 'w1', lamport: 10, dotMap });
+
+    /** @type {Map<string, string>} */
+    const recovered = new Map();
+    recordLandedDots(forkPatch, landed, recovered);
+    recordLandedDots(forkPatch, forkPatch, recovered);
+
+    expect(recovered).toEqual(dotMap);
+  });
+});
@@ -15,6 +15,12 @@ import { createEmptyStateV5 } from '../../../../src/domain/services/JoinReducer.
 import { createDot, encodeDot } from '../../../../src/domain/crdt/Dot.js';
 import { orsetAdd, orsetRemove, orsetContains, orsetGetDots } from '../../../../src/domain/crdt/ORSet.js';
 import { createVersionVector } from '../../../../src/domain/crdt/VersionVector.js';
+import {
+  createSetProperty,
+  setPropertyAdd,
+  setPropertyRemove,
+  setPropertyValue,
+} from '../../../../src/domain/crdt/SetProperty.js';
 
 describe('GCPolicy', () => {
   describe('DEFAULT_GC_POLICY', () => {
@@ -260,6 +266,24 @@ describe('GCPolicy', () => {
       expect(result.edgesCompacted).toBe(1);
       expect(result.tombstonesRemoved).toBe(2);
     });
+
+    it('compacts tombstoned elements of set properties', () => {
+      const state = createEmptyStateV5();
+      const setProp = createSetProperty();
+      setPropertyAdd(setProp, 'old', createDot('A', 1));
+      setPropertyAdd(setProp, 'kept', createDot('A', 2));
+      setPropertyRemove(setProp, [encodeDot(createDot('A', 1))]);
+      state.sets.set('user\0tags', setProp);
+
+      const appliedVV = createVersionVector();
+      appliedVV.set('A', 2);
+
+      executeGC(state, appliedVV);
+
+      expect(setProp.elements.entries.has('old')).toBe(false);
+      expect(setProp.elements.tombstones.size).toBe(0);
+      expect(setPropertyValue(setProp)).toEqual(['kept']);
+    });
   });
 });
 
@@ -0,0 +1,143 @@
+import { describe, it, expect } from 'vitest';
+import GraphSchema from '../../../../src/domain/services/GraphSchema.js';
+import { encodeEdgeKey } from '../../../../src/domain/services/KeyCodec.js';
+import { createStateBuilder } from '../../../helpers/stateBuilder.js';
+
+/** @type {import('../../../../src/domain/services/GraphSchema.js').SchemaDefinition} */
+const definition = {
+  nodes: {
+    admin: { match: 'user:root', props: { email: 'string' } },
+    user: { match: 'user:*', props: { email: { type: 'string', required: true }, age: 'integer' } },
+    repo: { match: ['repo:*', 'mirror:*'] },
+  },
+  edges: {
+    owns: { from: ['user', 'admin'], to: 'repo', cardinality: 'one-to-many', props: { since: { type: 'string', required: true } } },
+    follows: { from: 'user', to: 'user' },
+  },
+};
+
+/** @returns {GraphSchema} */
+function schema() {
+  return /** @type {GraphSchema} */ (GraphSchema.from(definition));
+}
+
+describe('GraphSchema', () => {
+  describe('from', () => {
+    it('returns null when no schema is configured', () => {
+      expect(GraphSchema.from(undefined)).toBeNull();
+      expect(GraphSchema.from(null)).toBeNull();
+    });
+
+    it('rejects malformed definitions', () => {
+      expect(() => GraphSchema.from(/** @type {any} */ ('user:*'))).toThrow('graphSchema must be an object');
+      expect(() => GraphSchema.from({ nodes: { user: /** @type {any} */ ({}) } })).toThrow('graphSchema.nodes.user.match');
+      expect(() => GraphSchema.from({ nodes: { user: { match: 'user:*', props: { age: /** @type {any} */ ('int') } } } }))
+        .toThrow('graphSchema.nodes.user.props.age.type must be one of');
+      expect(() => GraphSchema.from({ edges: { owns: { from: 'user' } } })).toThrow('references unknown node type "user"');
+      expect(() => GraphSchema.from({ edges: { owns: { cardinality: /** @type {any} */ ('one') } } })).toThrow('cardinality must be one of');
+    });
+
+    it('keeps the definition for forks', () => {
+      expect(schema().definition).toBe(definition);
+    });
+  });
+
+  it('types nodes by the first matching glob', () => {
+    const s = schema();
+
+    expect(s.typeOf('user:root')).toBe('admin');
+    expect(s.typeOf('user:alice')).toBe('user');
+    expect(s.typeOf('mirror:x')).toBe('repo');
+    expect(s.typeOf('doc:1')).toBeNull();
+  });
+
+  describe('validateState', () => {
+    it('accepts a conforming graph', () => {
+      const state = createStateBuilder()
+        .node('user:alice').nodeProp('user:alice', 'email', 'a@example.com').nodeProp('user:alice', 'age', 30)
+        .node('repo:x')
+        .edge('user:alice', 'repo:x', 'owns').edgeProp('user:alice', 'repo:x', 'owns', 'since', '2024')
+        .node('doc:1').nodeProp('doc:1', 'anything', 1)
+        .build();
+
+      expect(schema().validateState(state)).toEqual([]);
+    });
+
+    it('reports missing and mistyped node properties', () => {
+      const state = createStateBuilder()
+        .node('user:bob').nodeProp('user:bob', 'age', 1.5)
+        .node('user:carol').nodeProp('user:carol', 'email', null)
+        .build();
+
+      expect(schema().validateState(state)).toEqual([
+        { kind: 'node', nodeId: 'user:bob', code: 'E_SCHEMA_PROP_REQUIRED', key: 'email', message: 'user:bob: missing required property "email"' },
+        { kind: 'node', nodeId: 'user:bob', code: 'E_SCHEMA_PROP_TYPE', key: 'age', message: 'user:bob: property "age" must be integer, got number' },
+        { kind: 'node', nodeId: 'user:carol', code: 'E_SCHEMA_PROP_REQUIRED', key: 'email', message: 'user:carol: missing required property "email"' },
+      ]);
+    });
+
+    it('reports unknown labels, wrong endpoints, and missing edge properties', () => {
+      const state = createStateBuilder()
+        .node('user:root').node('repo:x').node('doc:1')
+        .edge('user:root', 'doc:1', 'owns')
+        .edge('user:root', 'repo:x', 'likes')
+        .build();
+
+      expect(schema().validateState(state).map((v) => [v.code, v.message])).toEqual([
+        ['E_SCHEMA_EDGE_ENDPOINT', 'user:root -> doc:1 [owns]: "owns" edges must end at repo, but doc:1 is untyped'],
+        ['E_SCHEMA_PROP_REQUIRED', 'user:root -> doc:1 [owns]: missing required property "since"'],
+        ['E_SCHEMA_EDGE_LABEL', 'user:root -> repo:x [likes]: label "likes" is not allowed by the schema'],
+      ]);
+    });
+
+    it('reports cardinality once per endpoint and label', () => {
+      const state = createStateBuilder()
+        .node('user:root').node('user:alice').node('repo:x').node('repo:y')
+        .edge('user:root', 'repo:x', 'owns').edgeProp('user:root', 'repo:x', 'owns', 'since', '1')
+        .edge('user:alice', 'repo:x', 'owns').edgeProp('user:alice', 'repo:x', 'owns', 'since', '1')
+        .edge('user:alice', 'repo:y', 'owns').edgeProp('user:alice', 'repo:y', 'owns', 'since', '1')
+        .nodeProp('user:alice', 'email', 'a@example.com')
+        .build();
+
+      const violations = schema().validateState(state);
+
+      expect(violations).toHaveLength(1);
+      expect(violations[0]).toMatchObject({
+        code: 'E_SCHEMA_EDGE_CARDINALITY',
+        to: 'repo:x',
+        message: 'user:alice -> repo:x [owns]: repo:x has more than one incoming "owns" edge (cardinality one-to-many)',
+      });
+    });
+
+    it('ignores removed nodes, dangling edges, and edge props from before the edge was re-added', () => {
+      const state = createStateBuilder()
+        .node('user:gone').removeNode('user:gone')
+        .node('user:root').node('repo:x').node('repo:y')
+        .edge('user:root', 'repo:y', 'follows').removeNode('repo:y')
+        .edge('user:root', 'repo:x', 'owns').edgeProp('user:root', 'repo:x', 'owns', 'since', '1')
+        .removeEdge('user:root', 'repo:x', 'owns').edge('user:root', 'repo:x', 'owns')
+        .build();
+
+      expect(schema().validateState(state).map((v) => v.code)).toEqual(['E_SCHEMA_PROP_REQUIRED']);
+    });
+
+    it('limits checks to the given scope', () => {
+      const state = createStateBuilder()
+        .node('user:bob')
+        .node('user:alice').nodeProp('user:alice', 'email', 'a@example.com')
+        .node('repo:x').edge('user:alice', 'repo:x', 'likes')
+        .build();
+
+      expect(schema().validateState(state, { nodes: ['user:alice'], edges: [] })).toEqual([]);
+      expect(schema().validateState(state, { nodes: [], edges: [encodeEdgeKey('user:alice', 'repo:x', 'likes')] })
+        .map((v) => v.code)).toEqual(['E_SCHEMA_EDGE_LABEL']);
+    });
+
+    it('allows any label when edges are not declared', () => {
+      const open = /** @type {GraphSchema} */ (GraphSchema.from({ nodes: { user: { match: 'user:*' } } }));
+      const state = createStateBuilder().node('user:a').node('x').edge('user:a', 'x', 'anything').build();
+
+      expect(open.validateState(state)).toEqual([]);
+    });
+  });
+});
@@ -0,0 +1,167 @@
+/**
+ * GraphTraversal centrality — pageRank, degreeCentrality,
+ * closenessCentrality, betweennessCentrality.
+ */
+
+import { describe, it, expect } from 'vitest';
+import GraphTraversal from '../../../../src/domain/services/GraphTraversal.js';
+import {
+  makeFixture,
+  makeAdjacencyProvider,
+  F18_TRANSITIVE_CLOSURE_CHAIN,
+  F19_CENTRALITY_CYCLE_WITH_TAIL,
+} from '../../../helpers/fixtureDsl.js';
+
+const ALL = ['A', 'B', 'C', 'D', 'E'];
+
+/** @param {import('../../../helpers/fixtureDsl.js').GraphFixture} fixture */
+function engineFor(fixture) {
+  return new GraphTraversal({ provider: makeAdjacencyProvider(fixture) });
+}
+
+/** @param {Map<string, number>} scores */
+function total(scores) {
+  return [...scores.values()].reduce((sum, score) => sum + score, 0);
+}
+
+describe('GraphTraversal centrality', () => {
+  describe('pageRank()', () => {
+    it('ranks the nodes edges lead into highest, with scores summing to 1', async () => {
+      const engine = engineFor(F19_CENTRALITY_CYCLE_WITH_TAIL);
+      const { scores, converged, iterations, stats } = await engine.pageRank({ start: ALL });
+
+      expect([...scores.keys()]).toEqual(ALL);
+      expect(converged).toBe(true);
+      expect(iterations).toBeGreaterThan(1);
+      expect(total(scores)).toBeCloseTo(1, 10);
+      const ranked = [...scores].sort((a, b) => b[1] - a[1]).map(([id]) => id);
+      expect(ranked[0]).toBe('E');
+      expect(scores.get('E')).toBeCloseTo(0.29714, 4);
+      expect(scores.get('B')).toBeCloseTo(0.15272, 4);
+      expect(stats.nodesVisited).toBe(5);
+    });
+
+    it('is uniform on a symmetric cycle', async () => {
+      const cycle = makeFixture({
+        nodes: ['A', 'B', 'C'],
+        edges: [{ from: 'A', to: 'B' }, { from: 'B', to: 'C' }, { from: 'C', to: 'A' }],
+      });
+      const { scores } = await engineFor(cycle).pageRank({ start: ['A'] });
+
+      for (const score of scores.values()) {
+        expect(score).toBeCloseTo(1 / 3, 10);
+      }
+    });
+
+    it('personalization concentrates rank near the seeds', async () => {
+      const engine = engineFor(F19_CENTRALITY_CYCLE_WITH_TAIL);
+      const { scores } = await engine.pageRank({ start: ['D'], personalization: { D: 1 } });
+
+      expect([...scores.keys()]).toEqual(['D', 'E']);
+      expect(scores.get('D')).toBeCloseTo(1 / 1.85, 6);
+      expect(total(scores)).toBeCloseTo(1, 10);
+    });
+
+    it('reports non-convergence when maxIterations runs out', async () => {
+      const engine = engineFor(F19_CENTRALITY_CYCLE_WITH_TAIL);
+      const { converged, iterations } = await engine.pageRank({ start: ALL, maxIterations: 2 });
+
+      expect(converged).toBe(false);
+      expect(iterations).toBe(2);
+    });
+
+    it('rejects invalid damping and personalization', async () => {
+      const engine = engineFor(F19_CENTRALITY_CYCLE_WITH_TAIL);
+
+      await expect(engine.pageRank({ start: ALL, damping: 1.5 }))
+        .rejects.toThrow(expect.objectContaining({ code: 'E_INVALID_DAMPING' }));
+      await expect(engine.pageRank({ start: ALL, personalization: { A: -1 } }))
+        .rejects.toThrow(expect.objectContaining({ code: 'E_INVALID_PERSONALIZATION' }));
+      await expect(engine.pageRank({ start: ALL, personalization: { Z: 1 } }))
+        .rejects.toThrow(expect.objectContaining({ code: 'E_INVALID_PERSONALIZATION' }));
+    });
+  });
+
+  describe('degreeCentrality()', () => {
+    it('counts distinct neighbors once across labels', async () => {
+      const engine = engineFor(F19_CENTRALITY_CYCLE_WITH_TAIL);
+      const out = await engine.degreeCentrality({ start: ALL, normalized: false });
+      const incoming = await engine.degreeCentrality({ start: ALL, direction: 'in' });
+
+      expect(Object.fromEntries(out.scores)).toEqual({ A: 2, B: 1, C: 2, D: 1, E: 0 });
+      expect(incoming.scores.get('E')).toBe(0.5);
+    });
+  });
+
+  describe('closenessCentrality()', () => {
+    it('applies the Wasserman–Faust correction for unreachable nodes', async () => {
+      const engine = engineFor(F19_CENTRALITY_CYCLE_WITH_TAIL);
+      const { scores } = await engine.closenessCentrality({ start: ALL });
+
+      // A reaches B, E at 1, C at 2, D at 3 — r=4, d=7
+      expect(scores.get('A')).toBeCloseTo(4 / 7, 10);
+      // D reaches only E — (1/4) × (1/1)
+      expect(scores.get('D')).toBeCloseTo(0.25, 10);
+      expect(scores.get('E')).toBe(0);
+    });
+  });
+
+  describe('betweennessCentrality()', () => {
+    it('splits credit across equal shortest paths', async () => {
+      const engine = engineFor(F19_CENTRALITY_CYCLE_WITH_TAIL);
+      const { scores } = await engine.betweennessCentrality({ start: ALL, normalized: false });
+
+      // B→E has two shortest paths (via A and via D), each worth 1/2
+      expect(Object.fromEntries(scores)).toEqual({ A: 2, B: 2, C: 4, D: 1, E: 0 });
+    });
+
+    it('normalizes by ordered pairs and counts undirected pairs once', async () => {
+      const engine = engineFor(F18_TRANSITIVE_CLOSURE_CHAIN);
+      const directed = await engine.betweennessCentrality({ start: ['A'] });
+      const undirected = await engine.betweennessCentrality({ start: ['A'], direction: 'both', normalized: false });
+
+      expect(directed.scores.get('B')).toBeCloseTo(2 / 6, 10);
+      expect(Object.fromEntries(undirected.scores)).toEqual({ A: 0, B: 2, C: 2, D: 0 });
+    });
+  });
+
+  describe('shared options', () => {
+    it('restricts edges to the label filter', async () => {
+      const engine = engineFor(F19_CENTRALITY_CYCLE_WITH_TAIL);
+      const { scores } = await engine.degreeCentrality({
+        start: ALL, options: { labels: new Set(['uses']) }, normalized: false,
+      });
+
+      expect(Object.fromEntries(scores)).toEqual({ A: 1, B: 0, C: 0, D: 0, E: 0 });
+    });
+
+    it('stops discovering nodes at maxNodes', async () => {
+      const engine = engineFor(F18_TRANSITIVE_CLOSURE_CHAIN);
+      const { scores, stats } = await engine.closenessCentrality({ start: 'A', maxNodes: 2 });
+
+      expect([...scores.keys()]).toEqual(['A', 'B']);
+      expect(stats.nodesVisited).toBe(2);
+    });
+
+    it('throws INVALID_START for a missing start node', async () => {
+      const engine = engineFor(F18_TRANSITIVE_CLOSURE_CHAIN);
+
+      await expect(engine.betweennessCentrality({ start: 'Z' }))
+        .rejects.toThrow(expect.objectContaining({ code: 'INVALID_START' }));
+    });
+
+    it('respects AbortSignal', async () => {
+      const engine = engineFor(F19_CENTRALITY_CYCLE_WITH_TAIL);
+      const ac = new AbortController();
+      ac.abort();
+
+      for (const run of [
+        () => engine.pageRank({ start: ALL, signal: ac.signal }),
+        () => engine.closenessCentrality({ start: ALL, signal: ac.signal }),
+        () => engine.betweennessCentrality({ start: ALL, signal: ac.signal }),
+      ]) {
+        await expect(run()).rejects.toThrow(/aborted/i);
+      }
+    });
+  });
+});
@@ -0,0 +1,135 @@
+/**
+ * GraphTraversal community detection — labelPropagation, louvain.
+ */
+
+import { describe, it, expect } from 'vitest';
+import GraphTraversal from '../../../../src/domain/services/GraphTraversal.js';
+import {
+  makeFixture,
+  makeAdjacencyProvider,
+  F21_COMMUNITY_TWO_TRIANGLES,
+} from '../../../helpers/fixtureDsl.js';
+
+const TWO_TRIANGLES = { A: 0, B: 0, C: 0, D: 1, E: 1, F: 1 };
+
+/** @param {import('../../../helpers/fixtureDsl.js').GraphFixture} fixture */
+function engineFor(fixture) {
+  return new GraphTraversal({ provider: makeAdjacencyProvider(fixture) });
+}
+
+/**
+ * Ten 5-cliques, each linked to the next by one edge, with node IDs
+ * shuffled across cliques so that ID order says nothing about structure.
+ */
+function ringOfCliques() {
+  const ids = Array.from({ length: 50 }, (_, i) => `n${String((i * 37) % 50).padStart(2, '0')}`);
+  /** @type {Array<{from: string, to: string}>} */
+  const edges = [];
+  for (let c = 0; c < 10; c++) {
+    const members = ids.slice(c * 5, c * 5 + 5);
+    for (let i = 0; i < 5; i++) {
+      for (let j = i + 1; j < 5; j++) {
+        edges.push({ from: members[i], to: members[j] });
+      }
+    }
+    edges.push({ from: members[0], to: ids[((c + 1) % 10) * 5] });
+  }
+  return { ids, fixture: makeFixture({ nodes: [...ids].sort(), edges }) };
+}
+
+describe('GraphTraversal community detection', () => {
+  describe('louvain()', () => {
+    it('splits two bridged triangles and reports their modularity', async () => {
+      const engine = engineFor(F21_COMMUNITY_TWO_TRIANGLES);
+      const { communities, count, modularity, levels, stats } = await engine.louvain({ start: 'A' });
+
+      expect(Object.fromEntries(communities)).toEqual(TWO_TRIANGLES);
+      expect([...communities.keys()]).toEqual(['A', 'B', 'C', 'D', 'E', 'F']);
+      expect(count).toBe(2);
+      expect(modularity).toBeCloseTo(5 / 14, 12);
+      expect(levels).toBe(1);
+      expect(stats.nodesVisited).toBe(6);
+    });
+
+    it('recovers the cliques of a ring of cliques, identically for a given seed', async () => {
+      const { ids, fixture } = ringOfCliques();
+      const engine = engineFor(fixture);
+      const first = await engine.louvain({ start: ids, seed: 7 });
+      const again = await engine.louvain({ start: ids, seed: 7 });
+
+      expect(first.count).toBe(10);
+      for (let c = 0; c < 10; c++) {
+        const members = new Set(ids.slice(c * 5, c * 5 + 5).map((id) => first.communities.get(id)));
+        expect(members.size).toBe(1);
+      }
+      expect([...again.communities]).toEqual([...first.communities]);
+      expect(again.modularity).toBe(first.modularity);
+    });
+
+    it('leaves nodes without edges in their own communities', async () => {
+      const isolated = makeFixture({ nodes: ['A', 'B'], edges: [] });
+      const { communities, modularity, levels } = await engineFor(isolated).louvain({ start: ['A', 'B'] });
+
+      expect(Object.fromEntries(communities)).toEqual({ A: 0, B: 1 });
+      expect(modularity).toBe(0);
+      expect(levels).toBe(0);
+    });
+
+    it('merges less at a higher resolution', async () => {
+      const { ids, fixture } = ringOfCliques();
+      const engine = engineFor(fixture);
+      const coarse = await engine.louvain({ start: ids, resolution: 0.05 });
+      const fine = await engine.louvain({ start: ids, resolution: 1 });
+
+      expect(coarse.count).toBeLessThan(fine.count);
+    });
+
+    it('throws E_INVALID_RESOLUTION for a non-positive resolution', async () => {
+      const engine = engineFor(F21_COMMUNITY_TWO_TRIANGLES);
+
+      await expect(engine.louvain({ start: 'A', resolution: 0 }))
+        .rejects.toThrow(expect.objectContaining({ code: 'E_INVALID_RESOLUTION' }));
+    });
+  });
+
+  describe('labelPropagation()', () => {
+    it('splits two bridged triangles and converges', async () => {
+      const engine = engineFor(F21_COMMUNITY_TWO_TRIANGLES);
+      const { communities, count, modularity, converged } = await engine.labelPropagation({ start: 'A' });
+
+      expect(Object.fromEntries(communities)).toEqual(TWO_TRIANGLES);
+      expect(count).toBe(2);
+      expect(modularity).toBeCloseTo(5 / 14, 12);
+      expect(converged).toBe(true);
+    });
+
+    it('gives the same result for the same seed', async () => {
+      const { ids, fixture } = ringOfCliques();
+      const engine = engineFor(fixture);
+      const first = await engine.labelPropagation({ start: ids, seed: 3 });
+      const again = await engine.labelPropagation({ start: ids, seed: 3 });
+
+      expect([...again.communities]).toEqual([...first.communities]);
+      expect(again.iterations).toBe(first.iterations);
+    });
+
+    it('stops after maxIterations', async () => {
+      const { ids, fixture } = ringOfCliques();
+      const { iterations, converged } = await engineFor(fixture).labelPropagation({ start: ids, maxIterations: 1 });
+
+      expect(iterations).toBe(1);
+      expect(converged).toBe(false);
+    });
+
+    it('throws INVALID_START for a missing start node and respects AbortSignal', async () => {
+      const engine = engineFor(F21_COMMUNITY_TWO_TRIANGLES);
+      const ac = new AbortController();
+      ac.abort();
+
+      await expect(engine.labelPropagation({ start: 'Z' }))
+        .rejects.toThrow(expect.objectContaining({ code: 'INVALID_START' }));
+      await expect(engine.labelPropagation({ start: 'A', signal: ac.signal })).rejects.toThrow(/aborted/i);
+      await expect(engine.louvain({ start: 'A', signal: ac.signal })).rejects.toThrow(/aborted/i);
+    });
+  });
+});
@@ -23,6 +23,13 @@ import {
   F16_TRANSITIVE_REDUCTION,
   F17_MULTI_ROOT_DAG,
   F18_TRANSITIVE_CLOSURE_CHAIN,
+  F19_CENTRALITY_CYCLE_WITH_TAIL,
+  F20_SCC_TWO_CYCLES_AND_SELF_LOOP,
+  F21_COMMUNITY_TWO_TRIANGLES,
+  F22_YEN_K_SHORTEST,
+  F22_WEIGHTS,
+  F23_FLOW_NETWORK,
+  F23_CAPACITIES,
   makeWeightFn,
 } from '../../../helpers/fixtureDsl.js';
 
@@ -177,4 +184,106 @@ describe('Cross-provider equivalence', () => {
       expect(roots).toEqual(['R1', 'R2']);
     });
   });
+
+  describe('pageRank: F19 cycle with tail', () => {
+    forEachProvider(F19_CENTRALITY_CYCLE_WITH_TAIL, async (/** @type {*} */ engine) => {
+      const { scores, iterations } = await engine.pageRank({ start: ['A', 'B', 'C', 'D', 'E'] });
+      expect(iterations).toBe(17);
+      expect(scores.get('E')).toBeCloseTo(0.29714, 4);
+    });
+  });
+
+  describe('degreeCentrality: F19 label filter', () => {
+    forEachProvider(F19_CENTRALITY_CYCLE_WITH_TAIL, async (/** @type {*} */ engine) => {
+      const { scores } = await engine.degreeCentrality({ start: 'A', direction: 'both', options: { labels: new Set(['uses']) }, normalized: false });
+      expect(Object.fromEntries(scores)).toEqual({ A: 1, B: 1 });
+    });
+  });
+
+  describe('closenessCentrality: F19', () => {
+    forEachProvider(F19_CENTRALITY_CYCLE_WITH_TAIL, async (/** @type {*} */ engine) => {
+      const { scores } = await engine.closenessCentrality({ start: 'E', direction: 'in' });
+      expect(scores.get('E')).toBeCloseTo(4 / 7, 10);
+    });
+  });
+
+  describe('betweennessCentrality: F19', () => {
+    forEachProvider(F19_CENTRALITY_CYCLE_WITH_TAIL, async (/** @type {*} */ engine) => {
+      const { scores } = await engine.betweennessCentrality({ start: 'A', normalized: false });
+      expect(Object.fromEntries(scores)).toEqual({ A: 2, B: 2, C: 4, D: 1, E: 0 });
+    });
+  });
+
+  describe('stronglyConnectedComponents: F8 cycle', () => {
+    forEachProvider(F8_TOPO_CYCLE_3, async (/** @type {*} */ engine) => {
+      const { components } = await engine.stronglyConnectedComponents({ start: 'A' });
+      expect(components).toEqual([['A', 'B', 'C']]);
+    });
+  });
+
+  describe('condensation: F20', () => {
+    forEachProvider(F20_SCC_TWO_CYCLES_AND_SELF_LOOP, async (/** @type {*} */ engine) => {
+      const { components, edges } = await engine.condensation({ start: 'G' });
+      expect(components).toEqual([['G'], ['A', 'B', 'C'], ['D', 'E'], ['F']]);
+      expect(edges).toEqual([{ from: 0, to: 1 }, { from: 1, to: 2 }, { from: 2, to: 3 }]);
+    });
+  });
+
+  describe('findCycles: F20', () => {
+    forEachProvider(F20_SCC_TWO_CYCLES_AND_SELF_LOOP, async (/** @type {*} */ engine) => {
+      const { cycles } = await engine.findCycles({ start: 'G' });
+      expect(cycles).toEqual([['A', 'B'], ['A', 'B', 'C'], ['D', 'E'], ['F']]);
+    });
+  });
+
+  describe('louvain: F21', () => {
+    forEachProvider(F21_COMMUNITY_TWO_TRIANGLES, async (/** @type {*} */ engine) => {
+      const { communities, modularity } = await engine.louvain({ start: 'A', seed: 1 });
+      expect(Object.fromEntries(communities)).toEqual({ A: 0, B: 0, C: 0, D: 1, E: 1, F: 1 });
+      expect(modularity).toBeCloseTo(5 / 14, 12);
+    });
+  });
+
+  describe('labelPropagation: F21', () => {
+    forEachProvider(F21_COMMUNITY_TWO_TRIANGLES, async (/** @type {*} */ engine) => {
+      const { communities } = await engine.labelPropagation({ start: 'A', seed: 1 });
+      expect(Object.fromEntries(communities)).toEqual({ A: 0, B: 0, C: 0, D: 1, E: 1, F: 1 });
+    });
+  });
+
+  describe('kShortestPaths: F22', () => {
+    forEachProvider(F22_YEN_K_SHORTEST, async (/** @type {*} */ engine) => {
+      const { paths } = await engine.kShortestPaths({ start: 'C', goal: 'H', k: 3, weightFn: makeWeightFn(F22_WEIGHTS) });
+      expect(paths.map((/** @type {*} */ p) => p.path.join(''))).toEqual(['CEFH', 'CEGH', 'CDFH']);
+    });
+  });
+
+  describe('allSimplePaths: F22', () => {
+    forEachProvider(F22_YEN_K_SHORTEST, async (/** @type {*} */ engine) => {
+      const paths = [];
+      for await (const path of engine.allSimplePaths({ start: 'C', goal: 'H', maxDepth: 3 })) {
+        paths.push(path.join(''));
+      }
+      expect(paths).toEqual(['CDFH', 'CEFH', 'CEGH']);
+    });
+  });
+
+  describe('maxFlow: F23', () => {
+    forEachProvider(F23_FLOW_NETWORK, async (/** @type {*} */ engine) => {
+      const { maxFlow, flows } = await engine.maxFlow({ source: 's', sink: 't', capacityFn: makeWeightFn(F23_CAPACITIES) });
+      expect(maxFlow).toBe(23);
+      expect(flows.map((/** @type {*} */ f) => `${f.from}${f.to}:${f.flow}`)).toEqual([
+        'sv1:12', 'sv2:11', 'v1v3:12', 'v2v4:11', 'v3t:19', 'v4t:4', 'v4v3:7',
+      ]);
+    });
+  });
+
+  describe('minCut: F23', () => {
+    forEachProvider(F23_FLOW_NETWORK, async (/** @type {*} */ engine) => {
+      const { capacity, cut, sourceSide } = await engine.minCut({ source: 's', sink: 't', capacityFn: makeWeightFn(F23_CAPACITIES) });
+      expect(capacity).toBe(23);
+      expect(cut.map((/** @type {*} */ e) => `${e.from}${e.to}`)).toEqual(['v1v3', 'v4t', 'v4v3']);
+      expect(sourceSide).toEqual(['s', 'v1', 'v2', 'v4']);
+    });
+  });
 });
@@ -0,0 +1,140 @@
+/**
+ * GraphTraversal flow — maxFlow, minCut.
+ */
+
+import { describe, it, expect } from 'vitest';
+import GraphTraversal from '../../../../src/domain/services/GraphTraversal.js';
+import {
+  makeFixture,
+  makeAdjacencyProvider,
+  makeWeightFn,
+  F23_FLOW_NETWORK,
+  F23_CAPACITIES,
+} from '../../../helpers/fixtureDsl.js';
+
+/** @param {import('../../../helpers/fixtureDsl.js').GraphFixture} fixture */
+function engineFor(fixture) {
+  return new GraphTraversal({ provider: makeAdjacencyProvider(fixture) });
+}
+
+const capacityFn = makeWeightFn(F23_CAPACITIES);
+
+describe('GraphTraversal flow', () => {
+  describe('maxFlow()', () => {
+    it('finds the textbook maximum flow and conserves it at every inner node', async () => {
+      const { maxFlow, flows, stats } = await engineFor(F23_FLOW_NETWORK).maxFlow({ source: 's', sink: 't', capacityFn });
+
+      expect(maxFlow).toBe(23);
+      expect(stats.nodesVisited).toBe(6);
+      for (const { from, to, label, flow } of flows) {
+        expect(flow).toBeLessThanOrEqual(capacityFn(from, to, label));
+      }
+      for (const nodeId of ['v1', 'v2', 'v3', 'v4']) {
+        const inflow = flows.filter((f) => f.to === nodeId).reduce((sum, f) => sum + f.flow, 0);
+        const outflow = flows.filter((f) => f.from === nodeId).reduce((sum, f) => sum + f.flow, 0);
+        expect(inflow).toBe(outflow);
+      }
+    });
+
+    it('counts edge-disjoint paths when no capacity is given', async () => {
+      const { maxFlow } = await engineFor(F23_FLOW_NETWORK).maxFlow({ source: 's', sink: 't' });
+
+      expect(maxFlow).toBe(2);
+    });
+
+    it('treats parallel edges as separate and ignores self-loops', async () => {
+      const fixture = makeFixture({
+        nodes: ['a', 'b'],
+        edges: [{ from: 'a', to: 'a', label: 'x' }, { from: 'a', to: 'b', label: 'x' }, { from: 'a', to: 'b', label: 'y' }],
+      });
+      const { maxFlow, flows } = await engineFor(fixture).maxFlow({
+        source: 'a', sink: 'b', capacityFn: (_from, _to, label) => (label === 'x' ? 2 : 3),
+      });
+
+      expect(maxFlow).toBe(5);
+      expect(flows).toEqual([
+        { from: 'a', to: 'b', label: 'x', flow: 2 },
+        { from: 'a', to: 'b', label: 'y', flow: 3 },
+      ]);
+    });
+
+    it('reads capacities from capacityKey through getEdgeProps, defaulting to 0', async () => {
+      /** @type {Record<string, Record<string, unknown>>} */
+      const props = { 's>v1': { capacity: 4 }, 'v1>v3': { capacity: 9 }, 'v3>t': { capacity: 2 } };
+      const { maxFlow } = await engineFor(F23_FLOW_NETWORK).maxFlow({
+        source: 's',
+        sink: 't',
+        capacityKey: 'capacity',
+        getEdgeProps: async (from, to) => props[`${from}>${to}`] ?? null,
+      });
+
+      expect(maxFlow).toBe(2);
+    });
+
+    it('reports no flow when the sink is unreachable or absent', async () => {
+      const engine = engineFor(F23_FLOW_NETWORK);
+
+      expect(await engine.maxFlow({ source: 't', sink: 's', capacityFn })).toMatchObject({ maxFlow: 0, flows: [] });
+      expect(await engine.maxFlow({ source: 's', sink: 'zz', capacityFn })).toMatchObject({ maxFlow: 0, flows: [] });
+    });
+
+    it('throws on invalid capacities and conflicting capacity sources', async () => {
+      const engine = engineFor(F23_FLOW_NETWORK);
+
+      await expect(engine.maxFlow({ source: 's', sink: 't', capacityFn: () => -1 }))
+        .rejects.toThrow(expect.objectContaining({ code: 'E_INVALID_CAPACITY' }));
+      await expect(engine.maxFlow({ source: 's', sink: 't', capacityFn: () => Infinity }))
+        .rejects.toThrow(expect.objectContaining({ code: 'E_INVALID_CAPACITY' }));
+      await expect(engine.maxFlow({ source: 's', sink: 't', capacityKey: 'capacity' }))
+        .rejects.toThrow(expect.objectContaining({ code: 'E_CAPACITY_SOURCE' }));
+      await expect(engine.maxFlow({
+        source: 's', sink: 't', capacityFn, capacityKey: 'capacity', getEdgeProps: async () => null,
+      })).rejects.toThrow(expect.objectContaining({ code: 'E_CAPACITY_SOURCE' }));
+    });
+
+    it('throws E_SOURCE_IS_SINK, INVALID_START, and respects AbortSignal', async () => {
+      const engine = engineFor(F23_FLOW_NETWORK);
+      const ac = new AbortController();
+      ac.abort();
+
+      await expect(engine.maxFlow({ source: 's', sink: 's' }))
+        .rejects.toThrow(expect.objectContaining({ code: 'E_SOURCE_IS_SINK' }));
+      await expect(engine.maxFlow({ source: 'zz', sink: 't' }))
+        .rejects.toThrow(expect.objectContaining({ code: 'INVALID_START' }));
+      await expect(engine.maxFlow({ source: 's', sink: 't', signal: ac.signal })).rejects.toThrow(/aborted/i);
+    });
+  });
+
+  describe('minCut()', () => {
+    it('finds the textbook minimum cut', async () => {
+      const { capacity, cut, sourceSide } = await engineFor(F23_FLOW_NETWORK).minCut({ source: 's', sink: 't', capacityFn });
+
+      expect(capacity).toBe(23);
+      expect(cut).toEqual([
+        { from: 'v1', to: 'v3', label: '', capacity: 12 },
+        { from: 'v4', to: 't', label: '', capacity: 4 },
+        { from: 'v4', to: 'v3', label: '', capacity: 7 },
+      ]);
+      expect(sourceSide).toEqual(['s', 'v1', 'v2', 'v4']);
+    });
+
+    it('has an empty cut when the sink is unreachable', async () => {
+      const { capacity, cut, sourceSide } = await engineFor(F23_FLOW_NETWORK).minCut({ source: 't', sink: 's', capacityFn });
+
+      expect(capacity).toBe(0);
+      expect(cut).toEqual([]);
+      expect(sourceSide).toEqual(['t']);
+    });
+
+    it('cuts a long chain at its narrowest edge', async () => {
+      const ids = Array.from({ length: 2000 }, (_, i) => `n${String(i).padStart(4, '0')}`);
+      const fixture = makeFixture({ nodes: ids, edges: ids.slice(1).map((to, i) => ({ from: ids[i], to })) });
+      const { capacity, cut } = await engineFor(fixture).minCut({
+        source: ids[0], sink: ids[ids.length - 1], capacityFn: (from) => (from === 'n1234' ? 1 : 5),
+      });
+
+      expect(capacity).toBe(1);
+      expect(cut).toEqual([{ from: 'n1234', to: 'n1235', label: '', capacity: 1 }]);
+    });
+  });
+});
@@ -0,0 +1,129 @@
+/**
+ * GraphTraversal path enumeration — kShortestPaths (Yen), allSimplePaths.
+ */
+
+import { describe, it, expect } from 'vitest';
+import GraphTraversal from '../../../../src/domain/services/GraphTraversal.js';
+import {
+  makeFixture,
+  makeAdjacencyProvider,
+  makeWeightFn,
+  F3_DIAMOND_EQUAL_PATHS,
+  F22_YEN_K_SHORTEST,
+  F22_WEIGHTS,
+} from '../../../helpers/fixtureDsl.js';
+
+/** @param {import('../../../helpers/fixtureDsl.js').GraphFixture} fixture */
+function engineFor(fixture) {
+  return new GraphTraversal({ provider: makeAdjacencyProvider(fixture) });
+}
+
+/**
+ * @param {AsyncIterable<string[]>} paths
+ * @returns {Promise<string[]>}
+ */
+async function collect(paths) {
+  const out = [];
+  for await (const path of paths) {
+    out.push(path.join(''));
+  }
+  return out;
+}
+
+describe('GraphTraversal path enumeration', () => {
+  describe('kShortestPaths()', () => {
+    it('ranks loopless paths by weight, equal costs by node IDs', async () => {
+      const engine = engineFor(F22_YEN_K_SHORTEST);
+      const { paths } = await engine.kShortestPaths({
+        start: 'C', goal: 'H', k: 5, weightFn: makeWeightFn(F22_WEIGHTS),
+      });
+
+      expect(paths.map(({ path, totalCost }) => [path.join(''), totalCost])).toEqual([
+        ['CEFH', 5], ['CEGH', 7], ['CDFH', 8], ['CEDFH', 8], ['CEFGH', 8],
+      ]);
+    });
+
+    it('starts with the weightedShortestPath result', async () => {
+      const engine = engineFor(F22_YEN_K_SHORTEST);
+      const weightFn = makeWeightFn(F22_WEIGHTS);
+      const { paths } = await engine.kShortestPaths({ start: 'C', goal: 'H', weightFn });
+      const { path, totalCost } = await engine.weightedShortestPath({ start: 'C', goal: 'H', weightFn });
+
+      expect(paths).toEqual([{ path, totalCost }]);
+    });
+
+    it('returns every path when k exceeds the number of paths', async () => {
+      const engine = engineFor(F22_YEN_K_SHORTEST);
+      const { paths } = await engine.kShortestPaths({ start: 'C', goal: 'H', k: 50 });
+
+      expect(paths).toHaveLength(7);
+      expect(paths.map(({ totalCost }) => totalCost)).toEqual([3, 3, 3, 4, 4, 4, 5]);
+    });
+
+    it('uses nodeWeightFn and counts hops by default', async () => {
+      const engine = engineFor(F3_DIAMOND_EQUAL_PATHS);
+      const hops = await engine.kShortestPaths({ start: 'A', goal: 'D', k: 2 });
+      const weighted = await engine.kShortestPaths({
+        start: 'A', goal: 'D', k: 2, nodeWeightFn: (/** @type {string} */ id) => (id === 'B' ? 10 : 1),
+      });
+
+      expect(hops.paths).toEqual([{ path: ['A', 'B', 'D'], totalCost: 2 }, { path: ['A', 'C', 'D'], totalCost: 2 }]);
+      expect(weighted.paths).toEqual([{ path: ['A', 'C', 'D'], totalCost: 2 }, { path: ['A', 'B', 'D'], totalCost: 11 }]);
+    });
+
+    it('returns no paths when the goal is unreachable', async () => {
+      const engine = engineFor(F22_YEN_K_SHORTEST);
+
+      expect((await engine.kShortestPaths({ start: 'H', goal: 'C', k: 3 })).paths).toEqual([]);
+    });
+
+    it('throws E_INVALID_K and INVALID_START', async () => {
+      const engine = engineFor(F22_YEN_K_SHORTEST);
+
+      await expect(engine.kShortestPaths({ start: 'C', goal: 'H', k: 0 }))
+        .rejects.toThrow(expect.objectContaining({ code: 'E_INVALID_K' }));
+      await expect(engine.kShortestPaths({ start: 'Z', goal: 'H', k: 2 }))
+        .rejects.toThrow(expect.objectContaining({ code: 'INVALID_START' }));
+    });
+  });
+
+  describe('allSimplePaths()', () => {
+    it('yields every simple path in lexicographic order', async () => {
+      const engine = engineFor(F22_YEN_K_SHORTEST);
+
+      expect(await collect(engine.allSimplePaths({ start: 'C', goal: 'H' }))).toEqual([
+        'CDFGH', 'CDFH', 'CEDFGH', 'CEDFH', 'CEFGH', 'CEFH', 'CEGH',
+      ]);
+    });
+
+    it('honors maxDepth and maxPaths', async () => {
+      const engine = engineFor(F22_YEN_K_SHORTEST);
+
+      expect(await collect(engine.allSimplePaths({ start: 'C', goal: 'H', maxDepth: 3 }))).toEqual(['CDFH', 'CEFH', 'CEGH']);
+      expect(await collect(engine.allSimplePaths({ start: 'C', goal: 'H', maxPaths: 2 }))).toEqual(['CDFGH', 'CDFH']);
+    });
+
+    it('never revisits a node on a cycle', async () => {
+      const cyclic = makeFixture({
+        nodes: ['A', 'B', 'C'],
+        edges: [{ from: 'A', to: 'B' }, { from: 'B', to: 'A' }, { from: 'B', to: 'C' }, { from: 'A', to: 'C' }],
+      });
+
+      expect(await collect(engineFor(cyclic).allSimplePaths({ start: 'A', goal: 'C' }))).toEqual(['ABC', 'AC']);
+    });
+
+    it('yields [start] when start is the goal, nothing when unreachable', async () => {
+      const engine = engineFor(F22_YEN_K_SHORTEST);
+
+      expect(await collect(engine.allSimplePaths({ start: 'C', goal: 'C' }))).toEqual(['C']);
+      expect(await collect(engine.allSimplePaths({ start: 'H', goal: 'C' }))).toEqual([]);
+    });
+
+    it('throws INVALID_START for a missing start node', async () => {
+      const engine = engineFor(F22_YEN_K_SHORTEST);
+
+      await expect(collect(engine.allSimplePaths({ start: 'Z', goal: 'H' })))
+        .rejects.toThrow(expect.objectContaining({ code: 'INVALID_START' }));
+    });
+  });
+});
@@ -0,0 +1,126 @@
+/**
+ * GraphTraversal strongly connected components — stronglyConnectedComponents,
+ * condensation, findCycles.
+ */
+
+import { describe, it, expect } from 'vitest';
+import GraphTraversal from '../../../../src/domain/services/GraphTraversal.js';
+import {
+  makeFixture,
+  makeAdjacencyProvider,
+  F3_DIAMOND_EQUAL_PATHS,
+  F20_SCC_TWO_CYCLES_AND_SELF_LOOP,
+} from '../../../helpers/fixtureDsl.js';
+
+const ALL = ['A', 'B', 'C', 'D', 'E', 'F', 'G'];
+
+/** @param {import('../../../helpers/fixtureDsl.js').GraphFixture} fixture */
+function engineFor(fixture) {
+  return new GraphTraversal({ provider: makeAdjacencyProvider(fixture) });
+}
+
+describe('GraphTraversal strongly connected components', () => {
+  describe('stronglyConnectedComponents()', () => {
+    it('lists components in topological order, each sorted', async () => {
+      const engine = engineFor(F20_SCC_TWO_CYCLES_AND_SELF_LOOP);
+      const { components, stats } = await engine.stronglyConnectedComponents({ start: ALL });
+
+      expect(components).toEqual([['G'], ['A', 'B', 'C'], ['D', 'E'], ['F']]);
+      expect(stats.nodesVisited).toBe(7);
+    });
+
+    it('covers only nodes reachable from start', async () => {
+      const engine = engineFor(F20_SCC_TWO_CYCLES_AND_SELF_LOOP);
+      const { components } = await engine.stronglyConnectedComponents({ start: 'D' });
+
+      expect(components).toEqual([['D', 'E'], ['F']]);
+    });
+
+    it('puts every node of a DAG in its own component', async () => {
+      const engine = engineFor(F3_DIAMOND_EQUAL_PATHS);
+      const { components } = await engine.stronglyConnectedComponents({ start: 'A' });
+
+      expect(components).toEqual([['A'], ['C'], ['B'], ['D']]);
+    });
+
+    it('survives a cycle deeper than the call stack', async () => {
+      const n = 20000;
+      const nodes = Array.from({ length: n }, (_, i) => `n${String(i).padStart(5, '0')}`);
+      const ring = makeFixture({
+        nodes,
+        edges: nodes.map((from, i) => ({ from, to: nodes[(i + 1) % n] })),
+      });
+      const { components } = await engineFor(ring).stronglyConnectedComponents({ start: nodes[0] });
+
+      expect(components).toHaveLength(1);
+      expect(components[0]).toHaveLength(n);
+    });
+
+    it('respects label filters', async () => {
+      const graph = makeFixture({
+        nodes: ['A', 'B'],
+        edges: [{ from: 'A', to: 'B', label: 'dependsOn' }, { from: 'B', to: 'A', label: 'mentions' }],
+      });
+      const engine = engineFor(graph);
+      const all = await engine.stronglyConnectedComponents({ start: ['A', 'B'] });
+      const deps = await engine.stronglyConnectedComponents({ start: ['A', 'B'], options: { labels: new Set(['dependsOn']) } });
+
+      expect(all.components).toEqual([['A', 'B']]);
+      expect(deps.components).toEqual([['A'], ['B']]);
+    });
+  });
+
+  describe('condensation()', () => {
+    it('maps nodes to components and links components forward', async () => {
+      const engine = engineFor(F20_SCC_TWO_CYCLES_AND_SELF_LOOP);
+      const { components, componentOf, edges } = await engine.condensation({ start: ALL });
+
+      expect(components).toEqual([['G'], ['A', 'B', 'C'], ['D', 'E'], ['F']]);
+      expect(Object.fromEntries(componentOf)).toEqual({ A: 1, B: 1, C: 1, D: 2, E: 2, F: 3, G: 0 });
+      expect(edges).toEqual([{ from: 0, to: 1 }, { from: 1, to: 2 }, { from: 2, to: 3 }]);
+    });
+  });
+
+  describe('findCycles()', () => {
+    it('reports each elementary cycle once, from its smallest node', async () => {
+      const engine = engineFor(F20_SCC_TWO_CYCLES_AND_SELF_LOOP);
+      const { cycles, truncated } = await engine.findCycles({ start: ALL });
+
+      expect(cycles).toEqual([['A', 'B'], ['A', 'B', 'C'], ['D', 'E'], ['F']]);
+      expect(truncated).toBe(false);
+    });
+
+    it('stops at maxCycles and reports truncation', async () => {
+      const engine = engineFor(F20_SCC_TWO_CYCLES_AND_SELF_LOOP);
+      const exact = await engine.findCycles({ start: ALL, maxCycles: 4 });
+      const cut = await engine.findCycles({ start: ALL, maxCycles: 2 });
+
+      expect(exact.truncated).toBe(false);
+      expect(cut).toMatchObject({ cycles: [['A', 'B'], ['A', 'B', 'C']], truncated: true });
+    });
+
+    it('skips cycles longer than maxLength', async () => {
+      const engine = engineFor(F20_SCC_TWO_CYCLES_AND_SELF_LOOP);
+      const { cycles } = await engine.findCycles({ start: ALL, maxLength: 2 });
+
+      expect(cycles).toEqual([['A', 'B'], ['D', 'E'], ['F']]);
+    });
+
+    it('finds no cycles in a DAG', async () => {
+      const engine = engineFor(F3_DIAMOND_EQUAL_PATHS);
+
+      expect(await engine.findCycles({ start: 'A' })).toMatchObject({ cycles: [], truncated: false });
+    });
+
+    it('throws INVALID_START for a missing start node and respects AbortSignal', async () => {
+      const engine = engineFor(F20_SCC_TWO_CYCLES_AND_SELF_LOOP);
+      const ac = new AbortController();
+      ac.abort();
+
+      await expect(engine.findCycles({ start: 'Z' }))
+        .rejects.toThrow(expect.objectContaining({ code: 'INVALID_START' }));
+      await expect(engine.findCycles({ start: ALL, signal: ac.signal })).rejects.toThrow(/aborted/i);
+      await expect(engine.stronglyConnectedComponents({ start: ALL, signal: ac.signal })).rejects.toThrow(/aborted/i);
+    });
+  });
+});
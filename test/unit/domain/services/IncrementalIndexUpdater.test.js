@@ -594,6 +594,170 @@ describe('IncrementalIndexUpdater', () => {
     });
   });
 
+  describe('value index', () => {
+    /**
+     * @param {Record<string, Uint8Array>} tree
+     * @param {string} value
+     */
+    async function lookupStatus(tree, value) {
+      const { default: MaterializedViewService } = await import(
+        '../../../../src/domain/services/MaterializedViewService.js'
+      );
+      const { valueIndex } = await new MaterializedViewService().loadFromOids(
+        Object.fromEntries(Object.keys(tree).map((path) => [path, path])),
+        { readBlob: async (/** @type {string} */ oid) => tree[oid] },
+      );
+      const ids = await valueIndex.lookup('status', value);
+      return ids && [...ids].sort();
+    }
+
+    it('moves nodes between values and indexes added nodes', async () => {
+      const state = buildState({
+        nodes: ['A', 'B'],
+        edges: [],
+        props: [
+          { nodeId: 'A', key: 'status', value: 'open' },
+          { nodeId: 'B', key: 'status', value: 'open' },
+        ],
+      });
+      const tree1 = new LogicalIndexBuildService({ valueIndexKeys: ['status'] }).build(state).tree;
+
+      applyOpV2(state, { type: 'NodeAdd', node: 'C', dot: createDot('w1', 50) }, createEventId(50, 'w1', 'a'.repeat(40), 50));
+      applyOpV2(state, { type: 'PropSet', node: 'C', key: 'status', value: 'open' }, createEventId(51, 'w1', 'a'.repeat(40), 51));
+      applyOpV2(state, { type: 'PropSet', node: 'A', key: 'status', value: 'closed' }, createEventId(52, 'w1', 'a'.repeat(40), 52));
+      const diff = {
+        nodesAdded: ['C'],
+        nodesRemoved: [],
+        edgesAdded: [],
+        edgesRemoved: [],
+        propsChanged: [
+          { nodeId: 'C', key: 'status', value: 'open', prevValue: undefined },
+          { nodeId: 'A', key: 'status', value: 'closed', prevValue: 'open' },
+        ],
+      };
+
+      const updater = new IncrementalIndexUpdater({ valueIndexKeys: ['status'] });
+      const tree2 = { ...tree1, ...updater.computeDirtyShards({ diff, state, loadShard: (path) => tree1[path] }) };
+
+      expect(await lookupStatus(tree2, 'open')).toEqual(['B', 'C']);
+      expect(await lookupStatus(tree2, 'closed')).toEqual(['A']);
+    });
+
+    it('removes the indexed value even when a merged diff reports a later prevValue', async () => {
+      const state = buildState({
+        nodes: ['A'],
+        edges: [],
+        props: [{ nodeId: 'A', key: 'status', value: 'open' }],
+      });
+      const tree1 = new LogicalIndexBuildService({ valueIndexKeys: ['status'] }).build(state).tree;
+
+      // open → triage → closed, merged into one entry whose prevValue is 'triage'
+      applyOpV2(state, { type: 'PropSet', node: 'A', key: 'status', value: 'closed' }, createEventId(50, 'w1', 'a'.repeat(40), 50));
+      const diff = {
+        nodesAdded: [],
+        nodesRemoved: [],
+        edgesAdded: [],
+        edgesRemoved: [],
+        propsChanged: [{ nodeId: 'A', key: 'status', value: 'closed', prevValue: 'triage' }],
+      };
+
+      const updater = new IncrementalIndexUpdater({ valueIndexKeys: ['status'] });
+      const tree2 = { ...tree1, ...updater.computeDirtyShards({ diff, state, loadShard: (path) => tree1[path] }) };
+
+      expect(await lookupStatus(tree2, 'open')).toEqual([]);
+      expect(await lookupStatus(tree2, 'closed')).toEqual(['A']);
+    });
+
+    it('leaves value shards alone when no keys are configured', () => {
+      const state = buildState({ nodes: ['A'], edges: [], props: [] });
+      const tree1 = buildTree(state);
+      applyOpV2(state, { type: 'PropSet', node: 'A', key: 'status', value: 'open' }, createEventId(50, 'w1', 'a'.repeat(40), 50));
+      const diff = {
+        nodesAdded: [],
+        nodesRemoved: [],
+        edgesAdded: [],
+        edgesRemoved: [],
+        propsChanged: [{ nodeId: 'A', key: 'status', value: 'open', prevValue: undefined }],
+      };
+
+      const dirty = new IncrementalIndexUpdater().computeDirtyShards({ diff, state, loadShard: (path) => tree1[path] });
+
+      expect(Object.keys(dirty).filter((path) => path.startsWith('values_'))).toEqual([]);
+    });
+  });
+
+  describe('text index', () => {
+    const textIndex = { fields: ['title'], analyzer: /** @type {const} */ ('standard') };
+
+    /**
+     * @param {Record<string, Uint8Array>} tree
+     * @param {string} text
+     */
+    async function searchTitles(tree, text) {
+      const { default: MaterializedViewService } = await import(
+        '../../../../src/domain/services/MaterializedViewService.js'
+      );
+      const { textIndex: reader } = await new MaterializedViewService({ textIndex }).loadFromOids(
+        Object.fromEntries(Object.keys(tree).map((path) => [path, path])),
+        { readBlob: async (/** @type {string} */ oid) => tree[oid] },
+      );
+      return await /** @type {import('../../../../src/domain/services/TextIndexReader.js').default} */ (reader).search(text, { fields: ['title'] });
+    }
+
+    it('re-indexes edited, added, and removed nodes as a full build would', async () => {
+      const state = buildState({
+        nodes: ['A', 'B', 'C'],
+        edges: [],
+        props: [
+          { nodeId: 'A', key: 'title', value: 'graph basics' },
+          { nodeId: 'B', key: 'title', value: 'advanced graph theory' },
+          { nodeId: 'C', key: 'title', value: 'graph of graphs' },
+        ],
+      });
+      const tree1 = new LogicalIndexBuildService({ textIndex }).build(state).tree;
+
+      applyOpV2(state, { type: 'NodeAdd', node: 'D', dot: createDot('w1', 50) }, createEventId(50, 'w1', 'a'.repeat(40), 50));
+      applyOpV2(state, { type: 'PropSet', node: 'D', key: 'title', value: 'graph databases' }, createEventId(51, 'w1', 'a'.repeat(40), 51));
+      applyOpV2(state, { type: 'PropSet', node: 'A', key: 'title', value: 'tree basics' }, createEventId(52, 'w1', 'a'.repeat(40), 52));
+      orsetRemove(state.nodeAlive, orsetGetDots(state.nodeAlive, 'C'));
+      const diff = {
+        nodesAdded: ['D'],
+        nodesRemoved: ['C'],
+        edgesAdded: [],
+        edgesRemoved: [],
+        propsChanged: [
+          { nodeId: 'D', key: 'title', value: 'graph databases', prevValue: undefined },
+          { nodeId: 'A', key: 'title', value: 'tree basics', prevValue: 'graph basics' },
+        ],
+      };
+
+      const updater = new IncrementalIndexUpdater({ textIndex });
+      const tree2 = { ...tree1, ...updater.computeDirtyShards({ diff, state, loadShard: (path) => tree1[path] }) };
+      const rebuilt = new LogicalIndexBuildService({ textIndex }).build(state).tree;
+
+      expect(await searchTitles(tree2, 'graph*')).toEqual(await searchTitles(rebuilt, 'graph*'));
+      expect((await searchTitles(tree2, 'graph')).map((hit) => hit.id)).toEqual(['D', 'B']);
+      expect((await searchTitles(tree2, 'tree')).map((hit) => hit.id)).toEqual(['A']);
+    });
+
+    it('leaves an index built for another configuration alone', () => {
+      const state = buildState({ nodes: ['A'], edges: [], props: [{ nodeId: 'A', key: 'title', value: 'graph' }] });
+      const tree1 = new LogicalIndexBuildService({ textIndex: { ...textIndex, analyzer: 'keyword' } }).build(state).tree;
+      applyOpV2(state, { type: 'PropSet', node: 'A', key: 'title', value: 'tree' }, createEventId(50, 'w1', 'a'.repeat(40), 50));
+      const diff = {
+        nodesAdded: [],
+        nodesRemoved: [],
+        edgesAdded: [],
+        edgesRemoved: [],
+        propsChanged: [{ nodeId: 'A', key: 'title', value: 'tree', prevValue: 'graph' }],
+      };
+
+      const dirty = new IncrementalIndexUpdater({ textIndex }).computeDirtyShards({ diff, state, loadShard: (path) => tree1[path] });
+
+      expect(Object.keys(dirty).filter((path) => path.startsWith('text_'))).toEqual([]);
+    });
+  });
+
   describe('proto pollution safety', () => {
     it('handles __proto__ and constructor nodeIds without poisoning', () => {
       const state = buildState({
@@ -0,0 +1,226 @@
+import { describe, it, expect } from 'vitest';
+import {
+  createEmptyStateV5,
+  encodePropKey,
+  applyOpV2,
+  applyWithDiff,
+  join,
+  joinStates,
+  cloneStateV5,
+  reduceV5 as _reduceV5,
+} from '../../../../src/domain/services/JoinReducer.js';
+/** @type {(...args: any[]) => any} */
+const reduceV5 = _reduceV5;
+import { createEventId } from '../../../../src/domain/utils/EventId.js';
+import { lwwValue } from '../../../../src/domain/crdt/LWW.js';
+import { createVersionVector } from '../../../../src/domain/crdt/VersionVector.js';
+import PatchError from '../../../../src/domain/errors/PatchError.js';
+
+// ---------------------------------------------------------------------------
+// Helpers
+// ---------------------------------------------------------------------------
+
+/** @param {string} node @param {string} key @param {number} delta */
+function propIncrement(node, key, delta) {
+  return { type: 'PropIncrement', node, key, delta };
+}
+
+/** @param {string} node @param {string} key @param {unknown} value */
+function propSet(node, key, value) {
+  return { type: 'PropSet', node, key, value };
+}
+
+/** @param {{writer: string, lamport: number, ops: any[]}} params */
+function makePatch({ writer, lamport, ops }) {
+  return { schema: 2, writer, lamport, ops, context: createVersionVector() };
+}
+
+/** @param {any} state @param {string} node @param {string} key */
+function propValue(state, node, key) {
+  return lwwValue(state.prop.get(encodePropKey(node, key)));
+}
+
+// ---------------------------------------------------------------------------
+// Tests
+// ---------------------------------------------------------------------------
+
+describe('JoinReducer PropIncrement (PN-Counter props)', () => {
+  it('sums concurrent increments from different writers', () => {
+    const state = reduceV5([
+      { patch: makePatch({ writer: 'alice', lamport: 1, ops: [propIncrement('post:1', 'likes', 1)] }), sha: 'aaaa0001' },
+      { patch: makePatch({ writer: 'bob', lamport: 1, ops: [propIncrement('post:1', 'likes', 2)] }), sha: 'bbbb0001' },
+    ]);
+
+    expect(propValue(state, 'post:1', 'likes')).toBe(3);
+  });
+
+  it('produces the same value regardless of writer interleaving', () => {
+    const a1 = { patch: makePatch({ writer: 'alice', lamport: 1, ops: [propIncrement('n', 'c', 5)] }), sha: 'aaaa0001' };
+    const a2 = { patch: makePatch({ writer: 'alice', lamport: 3, ops: [propIncrement('n', 'c', -2)] }), sha: 'aaaa0002' };
+    const b1 = { patch: makePatch({ writer: 'bob', lamport: 2, ops: [propIncrement('n', 'c', 10)] }), sha: 'bbbb0001' };
+
+    const s1 = reduceV5([a1, a2, b1]);
+    const s2 = reduceV5([b1, a1, a2]);
+    const s3 = reduceV5([a1, b1, a2]);
+
+    expect(propValue(s1, 'n', 'c')).toBe(13);
+    expect(s1.prop).toEqual(s2.prop);
+    expect(s1.prop).toEqual(s3.prop);
+  });
+
+  it('counts multiple increments within one patch', () => {
+    const state = reduceV5([
+      {
+        patch: makePatch({ writer: 'alice', lamport: 1, ops: [propIncrement('n', 'c', 1), propIncrement('n', 'c', 1)] }),
+        sha: 'aaaa0001',
+      },
+    ]);
+
+    expect(propValue(state, 'n', 'c')).toBe(2);
+  });
+
+  it('ignores re-delivery of an already-applied patch', () => {
+    const patch = makePatch({ writer: 'alice', lamport: 1, ops: [propIncrement('n', 'c', 4)] });
+    const state = createEmptyStateV5();
+
+    join(state, patch, 'aaaa0001');
+    join(state, patch, 'aaaa0001');
+
+    expect(propValue(state, 'n', 'c')).toBe(4);
+  });
+
+  it('stores counter state alongside the projected register', () => {
+    const state = reduceV5([
+      { patch: makePatch({ writer: 'alice', lamport: 1, ops: [propIncrement('n', 'c', 7)] }), sha: 'aaaa0001' },
+    ]);
+
+    const key = encodePropKey('n', 'c');
+    expect(state.counters.get(key).get('alice')).toMatchObject({ p: 7, n: 0 });
+    expect(state.prop.get(key).eventId).toEqual(createEventId(1, 'alice', 'aaaa0001', 0));
+  });
+
+  describe('interplay with PropSet', () => {
+    it('a later PropSet overrides the counter total', () => {
+      const state = reduceV5([
+        { patch: makePatch({ writer: 'alice', lamport: 1, ops: [propIncrement('n', 'c', 5)] }), sha: 'aaaa0001' },
+        { patch: makePatch({ writer: 'alice', lamport: 2, ops: [propSet('n', 'c', 100)] }), sha: 'aaaa0002' },
+      ]);
+
+      expect(propValue(state, 'n', 'c')).toBe(100);
+    });
+
+    it('a later increment re-exposes the counter total', () => {
+      const state = reduceV5([
+        { patch: makePatch({ writer: 'alice', lamport: 1, ops: [propIncrement('n', 'c', 5)] }), sha: 'aaaa0001' },
+        { patch: makePatch({ writer: 'alice', lamport: 2, ops: [propSet('n', 'c', 100)] }), sha: 'aaaa0002' },
+        { patch: makePatch({ writer: 'bob', lamport: 3, ops: [propIncrement('n', 'c', 1)] }), sha: 'bbbb0001' },
+      ]);
+
+      expect(propValue(state, 'n', 'c')).toBe(6);
+    });
+
+    it('an earlier PropSet does not shadow the counter', () => {
+      const inc = { patch: makePatch({ writer: 'alice', lamport: 5, ops: [propIncrement('n', 'c', 2)] }), sha: 'aaaa0001' };
+      const set = { patch: makePatch({ writer: 'bob', lamport: 1, ops: [propSet('n', 'c', 'old')] }), sha: 'bbbb0001' };
+
+      expect(propValue(reduceV5([inc, set]), 'n', 'c')).toBe(2);
+      expect(propValue(reduceV5([set, inc]), 'n', 'c')).toBe(2);
+    });
+  });
+
+  describe('validation', () => {
+    it('rejects a non-integer delta', () => {
+      const state = createEmptyStateV5();
+      const eventId = createEventId(1, 'alice', 'aaaa0001', 0);
+
+      expect(() => applyOpV2(state, /** @type {any} */ (propIncrement('n', 'c', 0.5)), eventId)).toThrow(PatchError);
+      expect(() => applyOpV2(state, /** @type {any} */ ({ type: 'PropIncrement', node: 'n', key: 'c' }), eventId)).toThrow(PatchError);
+    });
+
+    it('rejects a missing key', () => {
+      const state = createEmptyStateV5();
+      const eventId = createEventId(1, 'alice', 'aaaa0001', 0);
+
+      expect(() => applyOpV2(state, /** @type {any} */ ({ type: 'PropIncrement', node: 'n', delta: 1 }), eventId)).toThrow(PatchError);
+    });
+  });
+
+  describe('receipts', () => {
+    it('reports applied, then redundant on re-delivery', () => {
+      const patch = makePatch({ writer: 'alice', lamport: 1, ops: [propIncrement('n', 'c', 1)] });
+      const state = createEmptyStateV5();
+
+      const first = /** @type {any} */ (join(state, patch, 'aaaa0001', true));
+      const second = /** @type {any} */ (join(state, patch, 'aaaa0001', true));
+
+      expect(first.receipt.ops).toEqual([{ op: 'PropIncrement', target: encodePropKey('n', 'c'), result: 'applied' }]);
+      expect(second.receipt.ops[0].result).toBe('redundant');
+    });
+  });
+
+  describe('diff tracking', () => {
+    it('records the counter value change in propsChanged', () => {
+      const state = reduceV5([
+        { patch: makePatch({ writer: 'alice', lamport: 1, ops: [propIncrement('n', 'c', 2)] }), sha: 'aaaa0001' },
+      ]);
+
+      const { diff } = applyWithDiff(
+        state,
+        /** @type {any} */ (makePatch({ writer: 'bob', lamport: 2, ops: [propIncrement('n', 'c', 3)] })),
+        'bbbb0001',
+      );
+
+      expect(diff.propsChanged).toEqual([{ nodeId: 'n', key: 'c', value: 5, prevValue: 2 }]);
+    });
+  });
+
+  describe('joinStates', () => {
+    it('merges counters from divergent replicas and re-projects the sum', () => {
+      const a = reduceV5([
+        { patch: makePatch({ writer: 'alice', lamport: 1, ops: [propIncrement('n', 'c', 1)] }), sha: 'aaaa0001' },
+      ]);
+      const b = reduceV5([
+        { patch: makePatch({ writer: 'bob', lamport: 1, ops: [propIncrement('n', 'c', 2)] }), sha: 'bbbb0001' },
+      ]);
+
+      const ab = joinStates(a, b);
+      const ba = joinStates(b, a);
+
+      expect(propValue(ab, 'n', 'c')).toBe(3);
+      expect(ab.prop).toEqual(ba.prop);
+      expect(ab.counters).toEqual(ba.counters);
+      expect(propValue(a, 'n', 'c')).toBe(1);
+    });
+
+    it('is idempotent', () => {
+      const a = reduceV5([
+        { patch: makePatch({ writer: 'alice', lamport: 1, ops: [propIncrement('n', 'c', 4)] }), sha: 'aaaa0001' },
+      ]);
+
+      expect(propValue(joinStates(a, a), 'n', 'c')).toBe(4);
+    });
+
+    it('tolerates states without a counters field', () => {
+      const a = /** @type {any} */ ({ ...createEmptyStateV5(), counters: undefined });
+      const b = reduceV5([
+        { patch: makePatch({ writer: 'bob', lamport: 1, ops: [propIncrement('n', 'c', 2)] }), sha: 'bbbb0001' },
+      ]);
+
+      expect(propValue(joinStates(a, b), 'n', 'c')).toBe(2);
+    });
+  });
+
+  describe('cloneStateV5', () => {
+    it('isolates counter state from the original', () => {
+      const state = reduceV5([
+        { patch: makePatch({ writer: 'alice', lamport: 1, ops: [propIncrement('n', 'c', 1)] }), sha: 'aaaa0001' },
+      ]);
+      const clone = cloneStateV5(state);
+
+      join(clone, makePatch({ writer: 'alice', lamport: 2, ops: [propIncrement('n', 'c', 1)] }), 'aaaa0002');
+
+      expect(propValue(state, 'n', 'c')).toBe(1);
+      expect(propValue(clone, 'n', 'c')).toBe(2);
+    });
+  });
+});
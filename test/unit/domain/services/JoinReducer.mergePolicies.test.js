@@ -0,0 +1,133 @@
+import { describe, it, expect } from 'vitest';
+import {
+  createEmptyStateV5,
+  encodePropKey,
+  encodeEdgePropKey,
+  applyWithDiff,
+  join,
+  joinStates,
+  cloneStateV5,
+  reduceV5 as _reduceV5,
+} from '../../../../src/domain/services/JoinReducer.js';
+/** @type {(...args: any[]) => any} */
+const reduceV5 = _reduceV5;
+import { lwwValue } from '../../../../src/domain/crdt/LWW.js';
+import { createVersionVector } from '../../../../src/domain/crdt/VersionVector.js';
+import { writerPriority } from '../../../../src/domain/crdt/MergePolicy.js';
+import MergePolicyRegistry from '../../../../src/domain/services/MergePolicyRegistry.js';
+
+// ---------------------------------------------------------------------------
+// Helpers
+// ---------------------------------------------------------------------------
+
+/** @param {string} node @param {string} key @param {unknown} value */
+function propSet(node, key, value) {
+  return { type: 'PropSet', node, key, value };
+}
+
+/** @param {{writer: string, lamport: number, ops: any[]}} params */
+function makePatch({ writer, lamport, ops }) {
+  return { schema: 2, writer, lamport, ops, context: createVersionVector() };
+}
+
+/** @param {any} state @param {string} node @param {string} key */
+function propValue(state, node, key) {
+  return lwwValue(state.prop.get(encodePropKey(node, key)));
+}
+
+const mergePolicies = MergePolicyRegistry.from({ version: 'max', owner: writerPriority(['admin']), tags: 'union' });
+
+const high = { patch: makePatch({ writer: 'alice', lamport: 1, ops: [propSet('n', 'version', 7), propSet('n', 'title', 'A')] }), sha: 'aaaa0001' };
+const low = { patch: makePatch({ writer: 'bob', lamport: 2, ops: [propSet('n', 'version', 3), propSet('n', 'title', 'B')] }), sha: 'bbbb0001' };
+
+// ---------------------------------------------------------------------------
+// Tests
+// ---------------------------------------------------------------------------
+
+describe('JoinReducer merge policies', () => {
+  it('resolves governed properties by policy and the rest by LWW', () => {
+    const state = reduceV5([high, low], undefined, { mergePolicies });
+
+    expect(propValue(state, 'n', 'version')).toBe(7);
+    expect(propValue(state, 'n', 'title')).toBe('B');
+  });
+
+  it('converges regardless of patch order', () => {
+    const ab = reduceV5([high, low], undefined, { mergePolicies });
+    const ba = reduceV5([low, high], undefined, { mergePolicies });
+
+    expect(propValue(ab, 'n', 'version')).toBe(propValue(ba, 'n', 'version'));
+  });
+
+  it('keeps LWW semantics without a registry', () => {
+    expect(propValue(reduceV5([high, low]), 'n', 'version')).toBe(3);
+  });
+
+  it('applies policies to edge properties', () => {
+    const ops = (/** @type {string} */ owner) => [{ type: 'EdgePropSet', from: 'a', to: 'b', label: 'rel', key: 'owner', value: owner }];
+    const state = reduceV5([
+      { patch: makePatch({ writer: 'admin', lamport: 1, ops: ops('root') }), sha: 'aaaa0001' },
+      { patch: makePatch({ writer: 'bot', lamport: 5, ops: ops('bot') }), sha: 'bbbb0001' },
+    ], undefined, { mergePolicies });
+
+    expect(lwwValue(state.prop.get(encodeEdgePropKey('a', 'b', 'rel', 'owner')))).toBe('root');
+  });
+
+  it('normalizes the first write under union', () => {
+    const state = reduceV5([
+      { patch: makePatch({ writer: 'alice', lamport: 1, ops: [propSet('n', 'tags', 'x')] }), sha: 'aaaa0001' },
+      { patch: makePatch({ writer: 'bob', lamport: 1, ops: [propSet('n', 'tags', ['y', 'x'])] }), sha: 'bbbb0001' },
+    ], undefined, { mergePolicies });
+
+    expect(propValue(state, 'n', 'tags')).toEqual(['x', 'y']);
+  });
+
+  it('uses the policy when joining states and carries the registry along', () => {
+    const a = reduceV5([high], undefined, { mergePolicies });
+    const b = reduceV5([low], undefined, { mergePolicies });
+
+    const joined = joinStates(a, b);
+
+    expect(propValue(joined, 'n', 'version')).toBe(7);
+    expect(propValue(joined, 'n', 'title')).toBe('B');
+    expect(joined.mergePolicies).toBe(mergePolicies);
+    expect(cloneStateV5(joined).mergePolicies).toBe(mergePolicies);
+  });
+
+  it('honors the policy when tracking diffs', () => {
+    const state = reduceV5([high], undefined, { mergePolicies });
+
+    applyWithDiff(state, /** @type {any} */ (low.patch), low.sha);
+
+    expect(propValue(state, 'n', 'version')).toBe(7);
+  });
+
+  describe('receipts', () => {
+    it('reports a write the policy rejects as superseded', () => {
+      const state = createEmptyStateV5();
+      state.mergePolicies = /** @type {MergePolicyRegistry} */ (mergePolicies);
+      join(state, high.patch, high.sha, true);
+
+      const { receipt } = /** @type {any} */ (join(state, low.patch, low.sha, true));
+
+      expect(receipt.ops[0]).toEqual({
+        op: 'NodePropSet',
+        target: encodePropKey('n', 'version'),
+        result: 'superseded',
+        reason: 'max: writer alice at lamport 1 wins',
+      });
+      expect(receipt.ops[1].result).toBe('applied');
+    });
+
+    it('reports a merged union write as applied', () => {
+      const state = createEmptyStateV5();
+      state.mergePolicies = /** @type {MergePolicyRegistry} */ (mergePolicies);
+      join(state, makePatch({ writer: 'bob', lamport: 5, ops: [propSet('n', 'tags', ['a'])] }), 'bbbb0001', true);
+
+      const { receipt } = /** @type {any} */ (join(state, makePatch({ writer: 'alice', lamport: 1, ops: [propSet('n', 'tags', ['b'])] }), 'aaaa0001', true));
+
+      expect(receipt.ops[0].result).toBe('applied');
+      expect(propValue(state, 'n', 'tags')).toEqual(['a', 'b']);
+    });
+  });
+});
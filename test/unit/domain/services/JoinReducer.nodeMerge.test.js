@@ -0,0 +1,118 @@
+import { describe, it, expect } from 'vitest';
+import {
+  createEmptyStateV5,
+  applyOpV2,
+  join,
+  joinStates,
+  cloneStateV5,
+  reduceV5 as _reduceV5,
+} from '../../../../src/domain/services/JoinReducer.js';
+/** @type {(...args: any[]) => any} */
+const reduceV5 = _reduceV5;
+import { createEventId } from '../../../../src/domain/utils/EventId.js';
+import { lwwValue } from '../../../../src/domain/crdt/LWW.js';
+import { createVersionVector } from '../../../../src/domain/crdt/VersionVector.js';
+import PatchError from '../../../../src/domain/errors/PatchError.js';
+
+// ---------------------------------------------------------------------------
+// Helpers
+// ---------------------------------------------------------------------------
+
+/** @param {string} node @param {string} into */
+function nodeMerge(node, into) {
+  return { type: 'NodeMerge', node, into };
+}
+
+/** @param {{writer: string, lamport: number, ops: any[]}} params */
+function makePatch({ writer, lamport, ops }) {
+  return { schema: 2, writer, lamport, ops, context: createVersionVector() };
+}
+
+/** @param {any} state @param {string} node */
+function aliasOf(state, node) {
+  return lwwValue(state.aliases.get(node));
+}
+
+const aliceMerge = { patch: makePatch({ writer: 'alice', lamport: 2, ops: [nodeMerge('user:dup', 'user:a')] }), sha: 'aaaa0001' };
+const bobMerge = { patch: makePatch({ writer: 'bob', lamport: 3, ops: [nodeMerge('user:dup', 'user:b')] }), sha: 'bbbb0001' };
+
+// ---------------------------------------------------------------------------
+// Tests
+// ---------------------------------------------------------------------------
+
+describe('JoinReducer NodeMerge (node aliases)', () => {
+  it('records the survivor in the alias table', () => {
+    const state = reduceV5([aliceMerge]);
+
+    expect(aliasOf(state, 'user:dup')).toBe('user:a');
+    expect(state.aliases.get('user:dup').eventId).toEqual(createEventId(2, 'alice', 'aaaa0001', 0));
+  });
+
+  it('resolves conflicting merges of the same node by EventId regardless of patch order', () => {
+    expect(aliasOf(reduceV5([aliceMerge, bobMerge]), 'user:dup')).toBe('user:b');
+    expect(aliasOf(reduceV5([bobMerge, aliceMerge]), 'user:dup')).toBe('user:b');
+  });
+
+  it('leaves node, edge, and property state untouched', () => {
+    const state = reduceV5([aliceMerge]);
+    const empty = createEmptyStateV5();
+
+    expect(state.nodeAlive).toEqual(empty.nodeAlive);
+    expect(state.edgeAlive).toEqual(empty.edgeAlive);
+    expect(state.prop).toEqual(empty.prop);
+  });
+
+  describe('validation', () => {
+    const eventId = createEventId(1, 'alice', 'aaaa0001', 0);
+
+    it('rejects a NodeMerge without a survivor', () => {
+      expect(() => applyOpV2(createEmptyStateV5(), /** @type {any} */ ({ type: 'NodeMerge', node: 'user:dup' }), eventId)).toThrow(PatchError);
+    });
+
+    it('rejects a NodeMerge without a node', () => {
+      expect(() => applyOpV2(createEmptyStateV5(), /** @type {any} */ ({ type: 'NodeMerge', into: 'user:a' }), eventId)).toThrow(PatchError);
+    });
+  });
+
+  describe('receipts', () => {
+    it('reports applied, redundant, and superseded outcomes', () => {
+      const state = reduceV5([bobMerge]);
+
+      const older = /** @type {any} */ (join(state, aliceMerge.patch, aliceMerge.sha, true));
+      const again = /** @type {any} */ (join(state, bobMerge.patch, bobMerge.sha, true));
+      const fresh = /** @type {any} */ (join(state, makePatch({ writer: 'alice', lamport: 4, ops: [nodeMerge('user:x', 'user:a')] }), 'aaaa0002', true));
+
+      expect(older.receipt.ops).toEqual([{
+        op: 'NodeMerge',
+        target: 'user:dup',
+        result: 'superseded',
+        reason: 'LWW: writer bob at lamport 3 wins',
+      }]);
+      expect(again.receipt.ops[0].result).toBe('redundant');
+      expect(fresh.receipt.ops).toEqual([{ op: 'NodeMerge', target: 'user:x', result: 'applied' }]);
+    });
+  });
+
+  describe('joinStates / cloneStateV5', () => {
+    it('merges alias tables from divergent replicas', () => {
+      const a = reduceV5([aliceMerge]);
+      const b = reduceV5([bobMerge, { patch: makePatch({ writer: 'bob', lamport: 4, ops: [nodeMerge('user:c', 'user:b')] }), sha: 'bbbb0002' }]);
+
+      const ab = joinStates(a, b);
+
+      expect(aliasOf(ab, 'user:dup')).toBe('user:b');
+      expect(aliasOf(ab, 'user:c')).toBe('user:b');
+      expect(joinStates(b, a).aliases).toEqual(ab.aliases);
+    });
+
+    it('clones the alias table independently', () => {
+      const state = reduceV5([aliceMerge]);
+      const clone = cloneStateV5(state);
+
+      join(clone, bobMerge.patch, bobMerge.sha);
+
+      expect(aliasOf(state, 'user:dup')).toBe('user:a');
+      expect(aliasOf(clone, 'user:dup')).toBe('user:b');
+    });
+  });
+});
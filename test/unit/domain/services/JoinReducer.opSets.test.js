@@ -26,10 +26,11 @@ describe('JoinReducer op sets (ADR 2 tripwire)', () => {
   // -----------------------------------------------------------------------
 
   describe('RAW_KNOWN_OPS', () => {
-    it('contains exactly 6 raw wire-format types', () => {
-      expect(RAW_KNOWN_OPS.size).toBe(6);
+    it('contains exactly 13 raw wire-format types', () => {
+      expect(RAW_KNOWN_OPS.size).toBe(13);
       expect([...RAW_KNOWN_OPS].sort()).toEqual([
-        'BlobValue', 'EdgeAdd', 'EdgeRemove', 'NodeAdd', 'NodeRemove', 'PropSet',
+        'BlobValue', 'EdgeAdd', 'EdgeRemove', 'NodeAdd', 'NodeMerge', 'NodeRemove', 'PropIncrement', 'PropSet',
+        'SeqInsert', 'SeqMove', 'SeqRemove', 'SetAdd', 'SetRemove',
       ]);
     });
 
@@ -44,11 +45,12 @@ describe('JoinReducer op sets (ADR 2 tripwire)', () => {
   // -----------------------------------------------------------------------
 
   describe('CANONICAL_KNOWN_OPS', () => {
-    it('contains all 8 types (raw + canonical)', () => {
-      expect(CANONICAL_KNOWN_OPS.size).toBe(8);
+    it('contains all 15 types (raw + canonical)', () => {
+      expect(CANONICAL_KNOWN_OPS.size).toBe(15);
       expect([...CANONICAL_KNOWN_OPS].sort()).toEqual([
         'BlobValue', 'EdgeAdd', 'EdgePropSet', 'EdgeRemove',
-        'NodeAdd', 'NodePropSet', 'NodeRemove', 'PropSet',
+        'NodeAdd', 'NodeMerge', 'NodePropSet', 'NodeRemove', 'PropIncrement', 'PropSet',
+        'SeqInsert', 'SeqMove', 'SeqRemove', 'SetAdd', 'SetRemove',
       ]);
     });
 
@@ -64,7 +66,7 @@ describe('JoinReducer op sets (ADR 2 tripwire)', () => {
   // -----------------------------------------------------------------------
 
   describe('isKnownRawOp', () => {
-    it('accepts all 6 raw types', () => {
+    it('accepts all 13 raw types', () => {
       for (const type of RAW_KNOWN_OPS) {
         expect(isKnownRawOp({ type })).toBe(true);
       }
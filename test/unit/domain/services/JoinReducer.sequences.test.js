@@ -0,0 +1,212 @@
+import { describe, it, expect } from 'vitest';
+import {
+  createEmptyStateV5,
+  encodePropKey,
+  applyOpV2,
+  applyWithDiff,
+  join,
+  joinStates,
+  cloneStateV5,
+  reduceV5 as _reduceV5,
+} from '../../../../src/domain/services/JoinReducer.js';
+/** @type {(...args: any[]) => any} */
+const reduceV5 = _reduceV5;
+import { createDot } from '../../../../src/domain/crdt/Dot.js';
+import { createEventId } from '../../../../src/domain/utils/EventId.js';
+import { lwwValue } from '../../../../src/domain/crdt/LWW.js';
+import { createVersionVector } from '../../../../src/domain/crdt/VersionVector.js';
+import PatchError from '../../../../src/domain/errors/PatchError.js';
+
+// ---------------------------------------------------------------------------
+// Helpers
+// ---------------------------------------------------------------------------
+
+/** @param {unknown} value @param {string|null} origin @param {any} dot */
+function seqInsert(value, origin, dot) {
+  return { type: 'SeqInsert', node: 'doc', key: 'items', value, origin, dot };
+}
+
+/** @param {string} item @param {string|null} origin @param {any} dot */
+function seqMove(item, origin, dot) {
+  return { type: 'SeqMove', node: 'doc', key: 'items', item, origin, dot };
+}
+
+/** @param {string} item */
+function seqRemove(item) {
+  return { type: 'SeqRemove', node: 'doc', key: 'items', item };
+}
+
+/** @param {{writer: string, lamport: number, ops: any[]}} params */
+function makePatch({ writer, lamport, ops }) {
+  return { schema: 2, writer, lamport, ops, context: createVersionVector() };
+}
+
+/** @param {any} state */
+function items(state) {
+  return lwwValue(state.prop.get(encodePropKey('doc', 'items')));
+}
+
+/** Alice writes ['a', 'b', 'c'] in one patch. */
+const base = {
+  patch: makePatch({
+    writer: 'alice',
+    lamport: 1,
+    ops: [
+      seqInsert('a', null, createDot('alice', 1)),
+      seqInsert('b', 'alice:1', createDot('alice', 2)),
+      seqInsert('c', 'alice:2', createDot('alice', 3)),
+    ],
+  }),
+  sha: 'aaaa0001',
+};
+
+// ---------------------------------------------------------------------------
+// Tests
+// ---------------------------------------------------------------------------
+
+describe('JoinReducer SeqInsert/SeqRemove/SeqMove (sequence props)', () => {
+  it('projects the converged order as a frozen array', () => {
+    const state = reduceV5([base]);
+
+    expect(items(state)).toEqual(['a', 'b', 'c']);
+    expect(Object.isFrozen(items(state))).toBe(true);
+    expect(state.sequences.get(encodePropKey('doc', 'items')).eventId).toEqual(createEventId(1, 'alice', 'aaaa0001', 2));
+  });
+
+  it('converges concurrent inserts and reorders regardless of patch order', () => {
+    const bobInsert = { patch: makePatch({ writer: 'bob', lamport: 2, ops: [seqInsert('x', 'alice:1', createDot('bob', 1))] }), sha: 'bbbb0001' };
+    const carolMove = { patch: makePatch({ writer: 'carol', lamport: 2, ops: [seqMove('alice:3', null, createDot('carol', 1))] }), sha: 'cccc0001' };
+    const daveMove = { patch: makePatch({ writer: 'dave', lamport: 2, ops: [seqMove('alice:3', 'alice:1', createDot('dave', 1))] }), sha: 'dddd0001' };
+
+    const expected = items(reduceV5([base, bobInsert, carolMove, daveMove]));
+
+    // dave's move has the greatest EventId and lands after 'a'; dave's slot sorts before bob's sibling
+    expect(expected).toEqual(['a', 'c', 'x', 'b']);
+    expect(items(reduceV5([base, daveMove, carolMove, bobInsert]))).toEqual(expected);
+    expect(items(reduceV5([base, carolMove, bobInsert, daveMove]))).toEqual(expected);
+  });
+
+  it('lets a remove win over a concurrent move', () => {
+    const remove = { patch: makePatch({ writer: 'bob', lamport: 2, ops: [seqRemove('alice:2')] }), sha: 'bbbb0001' };
+    const move = { patch: makePatch({ writer: 'carol', lamport: 3, ops: [seqMove('alice:2', null, createDot('carol', 1))] }), sha: 'cccc0001' };
+
+    expect(items(reduceV5([base, remove, move]))).toEqual(['a', 'c']);
+    expect(items(reduceV5([base, move, remove]))).toEqual(['a', 'c']);
+  });
+
+  it('orders against PropSet by EventId', () => {
+    const set = { patch: makePatch({ writer: 'bob', lamport: 2, ops: [{ type: 'PropSet', node: 'doc', key: 'items', value: 'plain' }] }), sha: 'bbbb0001' };
+    const later = { patch: makePatch({ writer: 'alice', lamport: 3, ops: [seqRemove('alice:1')] }), sha: 'aaaa0002' };
+
+    expect(items(reduceV5([base, set]))).toBe('plain');
+    expect(items(reduceV5([set, base]))).toBe('plain');
+    expect(items(reduceV5([base, set, later]))).toEqual(['b', 'c']);
+  });
+
+  describe('validation', () => {
+    const eventId = createEventId(1, 'alice', 'aaaa0001', 0);
+
+    it('rejects a SeqInsert without a dot', () => {
+      expect(() => applyOpV2(createEmptyStateV5(), /** @type {any} */ ({ type: 'SeqInsert', node: 'doc', key: 'items', value: 1, origin: null }), eventId)).toThrow(PatchError);
+    });
+
+    it('rejects a non-string, non-null origin', () => {
+      expect(() => applyOpV2(createEmptyStateV5(), /** @type {any} */ (seqInsert(1, /** @type {any} */ (7), createDot('alice', 1))), eventId)).toThrow(PatchError);
+    });
+
+    it('rejects a SeqMove or SeqRemove without an item', () => {
+      expect(() => applyOpV2(createEmptyStateV5(), /** @type {any} */ ({ type: 'SeqMove', node: 'doc', key: 'items', origin: null, dot: createDot('alice', 1) }), eventId)).toThrow(PatchError);
+      expect(() => applyOpV2(createEmptyStateV5(), /** @type {any} */ ({ type: 'SeqRemove', node: 'doc', key: 'items' }), eventId)).toThrow(PatchError);
+    });
+
+    it('rejects an op without a node', () => {
+      expect(() => applyOpV2(createEmptyStateV5(), /** @type {any} */ ({ type: 'SeqRemove', key: 'items', item: 'alice:1' }), eventId)).toThrow(PatchError);
+    });
+  });
+
+  describe('receipts', () => {
+    it('reports applied and redundant outcomes', () => {
+      const state = createEmptyStateV5();
+      const removePatch = makePatch({ writer: 'alice', lamport: 2, ops: [seqRemove('alice:1')] });
+
+      const first = /** @type {any} */ (join(state, base.patch, base.sha, true));
+      const again = /** @type {any} */ (join(state, base.patch, base.sha, true));
+      const removed = /** @type {any} */ (join(state, removePatch, 'aaaa0002', true));
+      const removedAgain = /** @type {any} */ (join(state, removePatch, 'aaaa0002', true));
+
+      const target = encodePropKey('doc', 'items');
+      expect(first.receipt.ops.map((/** @type {any} */ o) => o.op)).toEqual(['SeqInsert', 'SeqInsert', 'SeqInsert']);
+      expect(first.receipt.ops[0]).toEqual({ op: 'SeqInsert', target, result: 'applied' });
+      expect(again.receipt.ops.every((/** @type {any} */ o) => o.result === 'redundant')).toBe(true);
+      expect(removed.receipt.ops).toEqual([{ op: 'SeqTombstone', target, result: 'applied' }]);
+      expect(removedAgain.receipt.ops[0].result).toBe('redundant');
+    });
+
+    it('reports a move beaten by a later concurrent move as superseded', () => {
+      const state = reduceV5([base]);
+      join(state, makePatch({ writer: 'bob', lamport: 5, ops: [seqMove('alice:1', 'alice:3', createDot('bob', 1))] }), 'bbbb0001');
+
+      const result = /** @type {any} */ (join(
+        state,
+        makePatch({ writer: 'carol', lamport: 4, ops: [seqMove('alice:1', null, createDot('carol', 1))] }),
+        'cccc0001',
+        true,
+      ));
+
+      expect(result.receipt.ops).toEqual([{
+        op: 'SeqMove',
+        target: encodePropKey('doc', 'items'),
+        result: 'superseded',
+        reason: 'LWW: move by writer bob at lamport 5 wins',
+      }]);
+      expect(items(state)).toEqual(['b', 'c', 'a']);
+    });
+  });
+
+  describe('diff tracking', () => {
+    it('records order changes', () => {
+      const { diff } = applyWithDiff(
+        reduceV5([base]),
+        /** @type {any} */ (makePatch({ writer: 'bob', lamport: 2, ops: [seqMove('alice:3', null, createDot('bob', 1))] })),
+        'bbbb0001',
+      );
+
+      expect(diff.propsChanged).toEqual([{ nodeId: 'doc', key: 'items', value: ['c', 'a', 'b'], prevValue: ['a', 'b', 'c'] }]);
+    });
+
+    it('skips no-op removes', () => {
+      const state = reduceV5([base, { patch: makePatch({ writer: 'alice', lamport: 2, ops: [seqRemove('alice:1')] }), sha: 'aaaa0002' }]);
+
+      const { diff } = applyWithDiff(
+        state,
+        /** @type {any} */ (makePatch({ writer: 'bob', lamport: 1, ops: [seqRemove('alice:1')] })),
+        'bbbb0001',
+      );
+
+      expect(diff.propsChanged).toEqual([]);
+    });
+  });
+
+  describe('joinStates / cloneStateV5', () => {
+    it('merges sequence properties from divergent replicas', () => {
+      const a = reduceV5([base, { patch: makePatch({ writer: 'alice', lamport: 2, ops: [seqRemove('alice:2')] }), sha: 'aaaa0002' }]);
+      const b = reduceV5([base, { patch: makePatch({ writer: 'bob', lamport: 2, ops: [seqInsert('x', null, createDot('bob', 1))] }), sha: 'bbbb0001' }]);
+
+      const ab = joinStates(a, b);
+
+      expect(items(ab)).toEqual(['x', 'a', 'c']);
+      expect(joinStates(b, a).prop).toEqual(ab.prop);
+      expect(items(a)).toEqual(['a', 'c']);
+    });
+
+    it('clones sequence state independently', () => {
+      const state = reduceV5([base]);
+      const clone = cloneStateV5(state);
+
+      join(clone, makePatch({ writer: 'alice', lamport: 2, ops: [seqRemove('alice:1')] }), 'aaaa0002');
+
+      expect(items(state)).toEqual(['a', 'b', 'c']);
+      expect(items(clone)).toEqual(['b', 'c']);
+    });
+  });
+});
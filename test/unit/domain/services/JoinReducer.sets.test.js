@@ -0,0 +1,201 @@
+import { describe, it, expect } from 'vitest';
+import {
+  createEmptyStateV5,
+  encodePropKey,
+  encodeEdgeKey,
+  encodeEdgePropKey,
+  applyOpV2,
+  applyWithDiff,
+  join,
+  joinStates,
+  cloneStateV5,
+  reduceV5 as _reduceV5,
+} from '../../../../src/domain/services/JoinReducer.js';
+/** @type {(...args: any[]) => any} */
+const reduceV5 = _reduceV5;
+import { createDot, encodeDot } from '../../../../src/domain/crdt/Dot.js';
+import { createEventId } from '../../../../src/domain/utils/EventId.js';
+import { lwwValue } from '../../../../src/domain/crdt/LWW.js';
+import { createVersionVector } from '../../../../src/domain/crdt/VersionVector.js';
+import PatchError from '../../../../src/domain/errors/PatchError.js';
+
+// ---------------------------------------------------------------------------
+// Helpers
+// ---------------------------------------------------------------------------
+
+/** @param {string} node @param {string} key @param {string} element @param {any} dot */
+function setAdd(node, key, element, dot) {
+  return { type: 'SetAdd', node, key, element, dot };
+}
+
+/** @param {string} node @param {string} key @param {string} element @param {any[]} dots */
+function setRemove(node, key, element, dots) {
+  return { type: 'SetRemove', node, key, element, observedDots: dots.map(encodeDot) };
+}
+
+/** @param {{writer: string, lamport: number, ops: any[]}} params */
+function makePatch({ writer, lamport, ops }) {
+  return { schema: 2, writer, lamport, ops, context: createVersionVector() };
+}
+
+/** @param {any} state @param {string} node @param {string} key */
+function propValue(state, node, key) {
+  return lwwValue(state.prop.get(encodePropKey(node, key)));
+}
+
+// ---------------------------------------------------------------------------
+// Tests
+// ---------------------------------------------------------------------------
+
+describe('JoinReducer SetAdd/SetRemove (OR-Set valued props)', () => {
+  it('keeps concurrent adds from different writers', () => {
+    const a = { patch: makePatch({ writer: 'alice', lamport: 1, ops: [setAdd('u', 'tags', 'red', createDot('alice', 1))] }), sha: 'aaaa0001' };
+    const b = { patch: makePatch({ writer: 'bob', lamport: 1, ops: [setAdd('u', 'tags', 'blue', createDot('bob', 1))] }), sha: 'bbbb0001' };
+
+    expect(propValue(reduceV5([a, b]), 'u', 'tags')).toEqual(['blue', 'red']);
+    expect(reduceV5([b, a]).prop).toEqual(reduceV5([a, b]).prop);
+  });
+
+  it('lets an add win over a concurrent remove of the same element', () => {
+    const add1 = { patch: makePatch({ writer: 'alice', lamport: 1, ops: [setAdd('u', 'tags', 'red', createDot('alice', 1))] }), sha: 'aaaa0001' };
+    // bob observed alice's add and removes it, while carol concurrently re-adds 'red'
+    const remove = { patch: makePatch({ writer: 'bob', lamport: 2, ops: [setRemove('u', 'tags', 'red', [createDot('alice', 1)])] }), sha: 'bbbb0001' };
+    const add2 = { patch: makePatch({ writer: 'carol', lamport: 2, ops: [setAdd('u', 'tags', 'red', createDot('carol', 1))] }), sha: 'cccc0001' };
+
+    expect(propValue(reduceV5([add1, remove, add2]), 'u', 'tags')).toEqual(['red']);
+    expect(propValue(reduceV5([add1, add2, remove]), 'u', 'tags')).toEqual(['red']);
+    expect(propValue(reduceV5([add1, remove]), 'u', 'tags')).toEqual([]);
+  });
+
+  it('supports edge-targeted set ops', () => {
+    const state = createEmptyStateV5();
+    applyOpV2(state, /** @type {any} */ ({
+      type: 'SetAdd', from: 'a', to: 'b', label: 'member', key: 'perms', element: 'write', dot: createDot('alice', 1),
+    }), createEventId(1, 'alice', 'aaaa0001', 0));
+
+    expect(lwwValue(state.prop.get(encodeEdgePropKey('a', 'b', 'member', 'perms')))).toEqual(['write']);
+  });
+
+  it('projects a frozen array into the property map', () => {
+    const state = reduceV5([
+      { patch: makePatch({ writer: 'alice', lamport: 1, ops: [setAdd('u', 'tags', 'x', createDot('alice', 1))] }), sha: 'aaaa0001' },
+    ]);
+
+    expect(Object.isFrozen(propValue(state, 'u', 'tags'))).toBe(true);
+    expect(state.sets.get(encodePropKey('u', 'tags')).eventId).toEqual(createEventId(1, 'alice', 'aaaa0001', 0));
+  });
+
+  it('orders against PropSet by EventId', () => {
+    const add = { patch: makePatch({ writer: 'alice', lamport: 1, ops: [setAdd('u', 'tags', 'x', createDot('alice', 1))] }), sha: 'aaaa0001' };
+    const set = { patch: makePatch({ writer: 'bob', lamport: 2, ops: [{ type: 'PropSet', node: 'u', key: 'tags', value: 'plain' }] }), sha: 'bbbb0001' };
+    const add2 = { patch: makePatch({ writer: 'alice', lamport: 3, ops: [setAdd('u', 'tags', 'y', createDot('alice', 2))] }), sha: 'aaaa0002' };
+
+    expect(propValue(reduceV5([add, set]), 'u', 'tags')).toBe('plain');
+    expect(propValue(reduceV5([set, add]), 'u', 'tags')).toBe('plain');
+    expect(propValue(reduceV5([add, set, add2]), 'u', 'tags')).toEqual(['x', 'y']);
+  });
+
+  describe('validation', () => {
+    const eventId = createEventId(1, 'alice', 'aaaa0001', 0);
+
+    it('rejects a non-string element', () => {
+      expect(() => applyOpV2(createEmptyStateV5(), /** @type {any} */ (setAdd('u', 'tags', /** @type {any} */ (7), createDot('alice', 1))), eventId)).toThrow(PatchError);
+    });
+
+    it('rejects a SetAdd without a dot', () => {
+      expect(() => applyOpV2(createEmptyStateV5(), /** @type {any} */ ({ type: 'SetAdd', node: 'u', key: 'tags', element: 'x' }), eventId)).toThrow(PatchError);
+    });
+
+    it('rejects a SetRemove without observedDots', () => {
+      expect(() => applyOpV2(createEmptyStateV5(), /** @type {any} */ ({ type: 'SetRemove', node: 'u', key: 'tags', element: 'x' }), eventId)).toThrow(PatchError);
+    });
+
+    it('rejects an op with neither node nor edge target', () => {
+      expect(() => applyOpV2(createEmptyStateV5(), /** @type {any} */ ({ type: 'SetAdd', key: 'tags', element: 'x', dot: createDot('alice', 1) }), eventId)).toThrow(PatchError);
+    });
+  });
+
+  describe('receipts', () => {
+    it('reports applied and redundant outcomes', () => {
+      const state = createEmptyStateV5();
+      const addPatch = makePatch({ writer: 'alice', lamport: 1, ops: [setAdd('u', 'tags', 'x', createDot('alice', 1))] });
+      const removePatch = makePatch({ writer: 'alice', lamport: 2, ops: [setRemove('u', 'tags', 'x', [createDot('alice', 1)])] });
+
+      const first = /** @type {any} */ (join(state, addPatch, 'aaaa0001', true));
+      const again = /** @type {any} */ (join(state, addPatch, 'aaaa0001', true));
+      const removed = /** @type {any} */ (join(state, removePatch, 'aaaa0002', true));
+      const removedAgain = /** @type {any} */ (join(state, removePatch, 'aaaa0002', true));
+
+      const target = encodePropKey('u', 'tags');
+      expect(first.receipt.ops).toEqual([{ op: 'SetAdd', target, result: 'applied' }]);
+      expect(again.receipt.ops[0].result).toBe('redundant');
+      expect(removed.receipt.ops).toEqual([{ op: 'SetTombstone', target, result: 'applied' }]);
+      expect(removedAgain.receipt.ops[0].result).toBe('redundant');
+    });
+  });
+
+  describe('diff tracking', () => {
+    it('records membership changes and skips no-op re-adds', () => {
+      const base = reduceV5([
+        { patch: makePatch({ writer: 'alice', lamport: 1, ops: [setAdd('u', 'tags', 'x', createDot('alice', 1))] }), sha: 'aaaa0001' },
+      ]);
+
+      const { diff } = applyWithDiff(
+        cloneStateV5(base),
+        /** @type {any} */ (makePatch({ writer: 'bob', lamport: 2, ops: [setAdd('u', 'tags', 'y', createDot('bob', 1))] })),
+        'bbbb0001',
+      );
+      expect(diff.propsChanged).toEqual([{ nodeId: 'u', key: 'tags', value: ['x', 'y'], prevValue: ['x'] }]);
+
+      const { diff: noop } = applyWithDiff(
+        cloneStateV5(base),
+        /** @type {any} */ (makePatch({ writer: 'bob', lamport: 2, ops: [setAdd('u', 'tags', 'x', createDot('bob', 1))] })),
+        'bbbb0001',
+      );
+      expect(noop.propsChanged).toEqual([]);
+    });
+
+    it('reports edge set changes against the edge key', () => {
+      const { diff } = applyWithDiff(
+        createEmptyStateV5(),
+        /** @type {any} */ (makePatch({
+          writer: 'alice',
+          lamport: 1,
+          ops: [{ type: 'SetAdd', from: 'a', to: 'b', label: 'l', key: 'k', element: 'e', dot: createDot('alice', 1) }],
+        })),
+        'aaaa0001',
+      );
+
+      expect(diff.propsChanged).toEqual([{ nodeId: encodeEdgeKey('a', 'b', 'l'), key: 'k', value: ['e'], prevValue: undefined }]);
+    });
+  });
+
+  describe('joinStates / cloneStateV5', () => {
+    it('merges set properties from divergent replicas', () => {
+      const a = reduceV5([
+        { patch: makePatch({ writer: 'alice', lamport: 1, ops: [setAdd('u', 'tags', 'x', createDot('alice', 1))] }), sha: 'aaaa0001' },
+      ]);
+      const b = reduceV5([
+        { patch: makePatch({ writer: 'bob', lamport: 1, ops: [setAdd('u', 'tags', 'y', createDot('bob', 1))] }), sha: 'bbbb0001' },
+      ]);
+
+      const ab = joinStates(a, b);
+
+      expect(propValue(ab, 'u', 'tags')).toEqual(['x', 'y']);
+      expect(joinStates(b, a).prop).toEqual(ab.prop);
+      expect(propValue(a, 'u', 'tags')).toEqual(['x']);
+    });
+
+    it('clones set state independently', () => {
+      const state = reduceV5([
+        { patch: makePatch({ writer: 'alice', lamport: 1, ops: [setAdd('u', 'tags', 'x', createDot('alice', 1))] }), sha: 'aaaa0001' },
+      ]);
+      const clone = cloneStateV5(state);
+
+      join(clone, makePatch({ writer: 'alice', lamport: 2, ops: [setAdd('u', 'tags', 'y', createDot('alice', 2))] }), 'aaaa0002');
+
+      expect(propValue(state, 'u', 'tags')).toEqual(['x']);
+      expect(propValue(clone, 'u', 'tags')).toEqual(['x', 'y']);
+    });
+  });
+});
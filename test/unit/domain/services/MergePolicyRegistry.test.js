@@ -0,0 +1,118 @@
+import { describe, it, expect } from 'vitest';
+import MergePolicyRegistry, { assertMergePoliciesMatch, configFromDescriptors, mergePoliciesMatch } from '../../../../src/domain/services/MergePolicyRegistry.js';
+import { maxPolicy, minPolicy, writerPriority } from '../../../../src/domain/crdt/MergePolicy.js';
+import MergePolicyError from '../../../../src/domain/errors/MergePolicyError.js';
+
+describe('MergePolicyRegistry', () => {
+  describe('from', () => {
+    it('returns null when no policies are configured', () => {
+      expect(MergePolicyRegistry.from(undefined)).toBeNull();
+      expect(MergePolicyRegistry.from(null)).toBeNull();
+      expect(MergePolicyRegistry.from({})).toBeNull();
+    });
+
+    it('resolves built-in names and accepts policy objects', () => {
+      const admin = writerPriority(['admin']);
+      const registry = /** @type {MergePolicyRegistry} */ (MergePolicyRegistry.from({ version: 'max', owner: admin }));
+
+      expect(registry.policyFor('version')).toBe(maxPolicy);
+      expect(registry.policyFor('owner')).toBe(admin);
+    });
+
+    it('rejects unknown names, malformed policies, and non-object config', () => {
+      const invalid = [
+        { version: 'newest' },
+        { version: { name: 'custom' } },
+        { version: { name: '', join: () => null } },
+        { '': 'max' },
+        ['max'],
+        'max',
+      ];
+      for (const config of invalid) {
+        let err;
+        try {
+          MergePolicyRegistry.from(/** @type {any} */ (config));
+        } catch (e) {
+          err = e;
+        }
+        expect(err).toBeInstanceOf(MergePolicyError);
+        expect(/** @type {MergePolicyError} */ (err).code).toBe('E_MERGE_POLICY_INVALID');
+      }
+    });
+  });
+
+  describe('policyFor', () => {
+    it('matches globs in declaration order and falls back to null (LWW)', () => {
+      const registry = /** @type {MergePolicyRegistry} */ (MergePolicyRegistry.from({ closedAt: 'min', '*At': 'max' }));
+
+      expect(registry.policyFor('closedAt')).toBe(minPolicy);
+      expect(registry.policyFor('updatedAt')).toBe(maxPolicy);
+      expect(registry.policyFor('title')).toBeNull();
+      expect(registry.policyFor('title')).toBeNull();
+    });
+  });
+
+  it('describes entries with policy names and params', () => {
+    const registry = /** @type {MergePolicyRegistry} */ (MergePolicyRegistry.from({ v: 'max', owner: writerPriority(['a', 'b']) }));
+
+    expect(registry.describe()).toEqual([
+      { pattern: 'v', policy: 'max' },
+      { pattern: 'owner', policy: 'writerPriority', params: ['a', 'b'] },
+    ]);
+  });
+
+  it('round-trips through toConfig', () => {
+    const registry = /** @type {MergePolicyRegistry} */ (MergePolicyRegistry.from({ v: 'max', '*': 'min' }));
+
+    expect(MergePolicyRegistry.from(registry.toConfig())?.describe()).toEqual(registry.describe());
+  });
+
+  describe('mergePoliciesMatch', () => {
+    it('ignores declaration order but not policies or params', () => {
+      const registry = MergePolicyRegistry.from({ v: 'max', owner: writerPriority(['a', 'b']) });
+
+      expect(mergePoliciesMatch(registry, [
+        { pattern: 'owner', policy: 'writerPriority', params: ['a', 'b'] },
+        { pattern: 'v', policy: 'max' },
+      ])).toBe(true);
+      expect(mergePoliciesMatch(registry, [
+        { pattern: 'owner', policy: 'writerPriority', params: ['b', 'a'] },
+        { pattern: 'v', policy: 'max' },
+      ])).toBe(false);
+      expect(mergePoliciesMatch(registry, [{ pattern: 'v', policy: 'max' }])).toBe(false);
+    });
+  });
+
+  describe('configFromDescriptors', () => {
+    it('rebuilds built-in and writerPriority policies', () => {
+      const registry = /** @type {MergePolicyRegistry} */ (MergePolicyRegistry.from({ v: 'max', owner: writerPriority(['a', 'b']) }));
+
+      expect(MergePolicyRegistry.from(configFromDescriptors(registry.describe()))?.describe()).toEqual(registry.describe());
+    });
+
+    it('throws E_MERGE_POLICY_INVALID for custom policies', () => {
+      expect(() => configFromDescriptors([{ pattern: 'v', policy: 'longest' }])).toThrow(
+        expect.objectContaining({ code: 'E_MERGE_POLICY_INVALID' }),
+      );
+    });
+  });
+
+  describe('assertMergePoliciesMatch', () => {
+    const registry = MergePolicyRegistry.from({ v: 'max' });
+
+    it('accepts matching descriptors, including none on both sides', () => {
+      expect(() => assertMergePoliciesMatch(registry, [{ pattern: 'v', policy: 'max' }], 'abc')).not.toThrow();
+      expect(() => assertMergePoliciesMatch(null, null, 'abc')).not.toThrow();
+      expect(() => assertMergePoliciesMatch(null, [], 'abc')).not.toThrow();
+    });
+
+    it('throws E_MERGE_POLICY_MISMATCH naming both policy sets', () => {
+      expect(() => assertMergePoliciesMatch(registry, null, 'abc123')).toThrow(
+        /Checkpoint abc123 was written with merge policies \[none \(LWW\)\] but this graph is configured with \[v=max\]/,
+      );
+      expect(() => assertMergePoliciesMatch(null, [{ pattern: 'v', policy: 'min' }], 'abc')).toThrow(
+        expect.objectContaining({ code: 'E_MERGE_POLICY_MISMATCH' }),
+      );
+    });
+  });
+});
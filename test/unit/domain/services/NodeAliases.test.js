@@ -0,0 +1,117 @@
+import { describe, it, expect } from 'vitest';
+import {
+  resolveAlias,
+  resolveNodeAlias,
+  aliasClass,
+  projectNodeAliases,
+} from '../../../../src/domain/services/NodeAliases.js';
+import {
+  reduceV5 as _reduceV5,
+  encodeEdgeKey,
+  encodePropKey,
+} from '../../../../src/domain/services/JoinReducer.js';
+/** @type {(...args: any[]) => any} */
+const reduceV5 = _reduceV5;
+import { orsetContains, orsetElements } from '../../../../src/domain/crdt/ORSet.js';
+import { createDot } from '../../../../src/domain/crdt/Dot.js';
+import { lwwValue } from '../../../../src/domain/crdt/LWW.js';
+import { createVersionVector } from '../../../../src/domain/crdt/VersionVector.js';
+import { encodeEdgePropKey } from '../../../../src/domain/services/KeyCodec.js';
+import MergePolicyRegistry from '../../../../src/domain/services/MergePolicyRegistry.js';
+
+/**
+ * @param {{ writer: string, lamport: number, sha: string }} meta
+ * @param {any[]} ops
+ */
+function entry({ writer, lamport, sha }, ops) {
+  return { patch: { schema: 2, writer, lamport, ops, context: createVersionVector() }, sha };
+}
+
+/** Two duplicates of one person, each with props, a counter, a set, and an edge. */
+const people = entry({ writer: 'alice', lamport: 1, sha: 'aaaa0001' }, [
+  { type: 'NodeAdd', node: 'p:a', dot: createDot('alice', 1) },
+  { type: 'NodeAdd', node: 'p:b', dot: createDot('alice', 2) },
+  { type: 'NodeAdd', node: 'org', dot: createDot('alice', 3) },
+  { type: 'PropSet', node: 'p:a', key: 'name', value: 'Ann' },
+  { type: 'PropSet', node: 'p:b', key: 'email', value: 'ann@example.com' },
+  { type: 'PropIncrement', node: 'p:a', key: 'visits', delta: 2 },
+  { type: 'PropIncrement', node: 'p:b', key: 'visits', delta: 3 },
+  { type: 'SetAdd', node: 'p:a', key: 'tags', element: 'x', dot: createDot('alice', 4) },
+  { type: 'SetAdd', node: 'p:b', key: 'tags', element: 'y', dot: createDot('alice', 5) },
+  { type: 'EdgeAdd', from: 'p:b', to: 'org', label: 'worksAt', dot: createDot('alice', 6) },
+  { type: 'PropSet', node: '\x01p:b\0org\0worksAt', key: 'since', value: 2020 },
+]);
+
+const merge = entry({ writer: 'bob', lamport: 2, sha: 'bbbb0001' }, [{ type: 'NodeMerge', node: 'p:b', into: 'p:a' }]);
+
+describe('NodeAliases', () => {
+  describe('resolveAlias', () => {
+    const table = new Map([['a', 'b'], ['b', 'c'], ['x', 'y'], ['y', 'x']]);
+    const targetOf = (/** @type {string} */ id) => table.get(id);
+
+    it('follows merge chains to the end', () => {
+      expect(resolveAlias(targetOf, 'a')).toBe('c');
+      expect(resolveAlias(targetOf, 'c')).toBe('c');
+      expect(resolveAlias(targetOf, 'other')).toBe('other');
+    });
+
+    it('resolves a cycle to its smallest ID from every entry point', () => {
+      expect(resolveAlias(targetOf, 'x')).toBe('x');
+      expect(resolveAlias(targetOf, 'y')).toBe('x');
+    });
+  });
+
+  describe('resolveNodeAlias / aliasClass', () => {
+    it('resolves through the state alias table', () => {
+      const state = reduceV5([people, merge]);
+
+      expect(resolveNodeAlias(state, 'p:b')).toBe('p:a');
+      expect(aliasClass(state, 'p:b')).toEqual(['p:a', 'p:b']);
+      expect(aliasClass(state, 'org')).toEqual(['org']);
+    });
+  });
+
+  describe('projectNodeAliases', () => {
+    it('returns the state itself when nothing was merged', () => {
+      const state = reduceV5([people]);
+
+      expect(projectNodeAliases(state)).toBe(state);
+    });
+
+    it('folds the absorbed node into the survivor', () => {
+      const state = reduceV5([people, merge]);
+
+      const view = projectNodeAliases(state);
+
+      expect(orsetElements(view.nodeAlive).sort()).toEqual(['org', 'p:a']);
+      expect(lwwValue(view.prop.get(encodePropKey('p:a', 'name')))).toBe('Ann');
+      expect(lwwValue(view.prop.get(encodePropKey('p:a', 'email')))).toBe('ann@example.com');
+      expect(lwwValue(view.prop.get(encodePropKey('p:a', 'visits')))).toBe(5);
+      expect(lwwValue(view.prop.get(encodePropKey('p:a', 'tags')))).toEqual(['x', 'y']);
+      expect(orsetContains(view.edgeAlive, encodeEdgeKey('p:a', 'org', 'worksAt'))).toBe(true);
+      expect(lwwValue(view.prop.get(encodeEdgePropKey('p:a', 'org', 'worksAt', 'since')))).toBe(2020);
+    });
+
+    it('does not modify the raw state', () => {
+      const state = reduceV5([people, merge]);
+
+      projectNodeAliases(state);
+
+      expect(orsetContains(state.nodeAlive, 'p:b')).toBe(true);
+      expect(lwwValue(state.prop.get(encodePropKey('p:a', 'visits')))).toBe(2);
+    });
+
+    it('joins properties set on both nodes by their merge policy', () => {
+      const scores = entry({ writer: 'carol', lamport: 3, sha: 'cccc0001' }, [
+        { type: 'PropSet', node: 'p:a', key: 'score', value: 9 },
+        { type: 'PropSet', node: 'p:b', key: 'score', value: 4 },
+      ]);
+      const state = reduceV5([people, scores, merge]);
+
+      expect(lwwValue(projectNodeAliases(state).prop.get(encodePropKey('p:a', 'score')))).toBe(4);
+
+      state.mergePolicies = /** @type {MergePolicyRegistry} */ (MergePolicyRegistry.from({ score: 'max' }));
+      expect(lwwValue(projectNodeAliases(state).prop.get(encodePropKey('p:a', 'score')))).toBe(9);
+    });
+  });
+});
@@ -0,0 +1,126 @@
+import { describe, it, expect } from 'vitest';
+import { compileNodePredicate } from '../../../../src/domain/services/NodePredicate.js';
+import QueryError from '../../../../src/domain/errors/QueryError.js';
+
+/**
+ * @param {unknown} spec
+ * @param {Record<string, unknown>} props
+ * @param {string} [id]
+ */
+function matches(spec, props, id = 'node:1') {
+  return compileNodePredicate(spec)({ id, props });
+}
+
+/** @param {unknown} spec */
+function compileError(spec) {
+  try {
+    compileNodePredicate(spec);
+  } catch (err) {
+    return /** @type {QueryError} */ (err);
+  }
+  throw new Error('expected compileNodePredicate to throw');
+}
+
+describe('NodePredicate', () => {
+  describe('operators', () => {
+    it('compares with eq and ne, structurally for arrays and objects', () => {
+      expect(matches({ props: { status: { eq: 'open' } } }, { status: 'open' })).toBe(true);
+      expect(matches({ props: { tags: { eq: ['a', 'b'] } } }, { tags: ['a', 'b'] })).toBe(true);
+      expect(matches({ props: { status: { ne: 'open' } } }, { status: 'closed' })).toBe(true);
+      expect(matches({ props: { status: { ne: 'open' } } }, { status: 'open' })).toBe(false);
+    });
+
+    it('treats a bare value as eq', () => {
+      expect(matches({ props: { status: 'open' } }, { status: 'open' })).toBe(true);
+      expect(matches({ props: { deleted: null } }, { deleted: null })).toBe(true);
+    });
+
+    it('orders numbers with numbers and strings with strings only', () => {
+      expect(matches({ props: { age: { gte: 18, lt: 65 } } }, { age: 18 })).toBe(true);
+      expect(matches({ props: { age: { gt: 18 } } }, { age: 18 })).toBe(false);
+      expect(matches({ props: { age: { lte: 18 } } }, { age: '9' })).toBe(false);
+      expect(matches({ props: { name: { gt: 'a' } } }, { name: 'b' })).toBe(true);
+    });
+
+    it('tests membership with in', () => {
+      expect(matches({ props: { status: { in: ['open', 'triage'] } } }, { status: 'triage' })).toBe(true);
+      expect(matches({ props: { status: { in: ['open'] } } }, { status: 'closed' })).toBe(false);
+    });
+
+    it('tests strings with prefix and regex', () => {
+      expect(matches({ props: { email: { prefix: 'alice@' } } }, { email: 'alice@example.com' })).toBe(true);
+      expect(matches({ props: { email: { regex: '@EXAMPLE\\.com$', flags: 'i' } } }, { email: 'bob@example.com' })).toBe(true);
+      expect(matches({ props: { email: { regex: '^a' } } }, { email: 42 })).toBe(false);
+    });
+
+    it('is false for missing properties except with exists: false', () => {
+      expect(matches({ props: { status: { ne: 'open' } } }, {})).toBe(false);
+      expect(matches({ props: { status: { exists: true } } }, {})).toBe(false);
+      expect(matches({ props: { status: { exists: false } } }, {})).toBe(true);
+      expect(matches({ props: { status: { exists: false } } }, { status: null })).toBe(false);
+    });
+
+    it('applies conditions to the node ID', () => {
+      expect(matches({ id: { prefix: 'user:' } }, {}, 'user:alice')).toBe(true);
+      expect(matches({ id: 'user:bob' }, {}, 'user:alice')).toBe(false);
+    });
+  });
+
+  describe('combinators', () => {
+    const spec = {
+      or: [
+        { props: { priority: { gte: 3 } } },
+        { and: [{ props: { status: 'open' } }, { not: { props: { owner: { exists: true } } } }] },
+      ],
+    };
+
+    it('combines predicates with and, or, and not', () => {
+      expect(matches(spec, { priority: 5 })).toBe(true);
+      expect(matches(spec, { status: 'open' })).toBe(true);
+      expect(matches(spec, { status: 'open', owner: 'bob' })).toBe(false);
+    });
+
+    it('requires every top-level key to hold', () => {
+      expect(matches({ id: { prefix: 'ticket:' }, props: { status: 'open' } }, { status: 'open' }, 'user:1')).toBe(false);
+    });
+
+    it('matches everything with the empty predicate', () => {
+      expect(matches({}, {})).toBe(true);
+    });
+
+    it('compiles a JSON round trip of a predicate to the same test', () => {
+      const copy = JSON.parse(JSON.stringify(spec));
+
+      expect(matches(copy, { status: 'open', owner: 'bob' })).toBe(false);
+      expect(matches(copy, { priority: 3 })).toBe(true);
+    });
+  });
+
+  describe('validation', () => {
+    it.each([
+      [{ tags: 'x' }, '', /unknown key 'tags'/],
+      [{ props: { age: { gtee: 1 } } }, 'props.age', /unknown operator 'gtee'/],
+      [{ not: { owner: 'bob' } }, 'not', /unknown key 'owner'/],
+      [{ props: { age: { gt: true } } }, 'props.age.gt', /number or string/],
+      [{ props: { status: { in: 'open' } } }, 'props.status.in', /array/],
+      [{ props: { name: { regex: '(' } } }, 'props.name.regex', /Invalid regular expression/],
+      [{ props: { name: { regex: 'a', flags: 'g' } } }, 'props.name.flags', /regex flags/],
+      [{ props: { name: { flags: 'i' } } }, 'props.name.flags', /requires regex/],
+      [{ props: { at: { eq: new Date(0) } } }, 'props.at.eq', /JSON value/],
+      [{ and: [] }, 'and', /non-empty array/],
+      [{ or: [{ props: { a: { exists: 1 } } }] }, 'or[0].props.a.exists', /boolean/],
+      [{ not: 'x' }, 'not', /predicate object/],
+    ])('rejects %j at %s', (spec, path, message) => {
+      const err = compileError(spec);
+
+      expect(err).toBeInstanceOf(QueryError);
+      expect(err.code).toBe('E_QUERY_PREDICATE');
+      expect(err.context).toEqual({ path });
+      expect(err.message).toMatch(message);
+    });
+
+    it('rejects a non-object predicate', () => {
+      expect(compileError('open').message).toBe('Invalid predicate: expected a predicate object');
+    });
+  });
+});
@@ -455,6 +455,48 @@ describe('ObserverView', () => {
     });
   });
 
+  describe('where predicate', () => {
+    /** @param {any} state */
+    function seedTickets(state) {
+      addNode(state, 'ticket:1', 1);
+      addNode(state, 'ticket:2', 2);
+      addNode(state, 'ticket:3', 3);
+      addProp(state, 'ticket:1', 'status', 'open');
+      addProp(state, 'ticket:1', 'secret', 'x');
+      addProp(state, 'ticket:2', 'status', 'closed');
+      addProp(state, 'ticket:3', 'status', 'open');
+      addEdge(state, 'ticket:1', 'ticket:2', 'blocks', 4);
+      addEdge(state, 'ticket:1', 'ticket:3', 'blocks', 5);
+    }
+
+    it('limits nodes, props, edges, and traversal to matching nodes', async () => {
+      setupGraphState(graph, seedTickets);
+
+      const view = await graph.observer('open', { match: 'ticket:*', where: { props: { status: { eq: 'open' } } } });
+
+      expect(await view.getNodes()).toEqual(['ticket:1', 'ticket:3']);
+      expect(await view.hasNode('ticket:2')).toBe(false);
+      expect(await view.getNodeProps('ticket:2')).toBeNull();
+      expect((await view.getEdges()).map((/** @type {any} */ e) => e.to)).toEqual(['ticket:3']);
+      expect(await view.traverse.bfs('ticket:1', { dir: 'out' })).toEqual(['ticket:1', 'ticket:3']);
+    });
+
+    it('cannot filter on redacted properties', async () => {
+      setupGraphState(graph, seedTickets);
+
+      const view = await graph.observer('probe', { match: 'ticket:*', redact: ['secret'], where: { props: { secret: { exists: true } } } });
+
+      expect(await view.getNodes()).toEqual([]);
+    });
+
+    it('rejects a malformed predicate', async () => {
+      setupGraphState(graph, seedTickets);
+
+      await expect(graph.observer('bad', { match: '*', where: { props: { status: { equals: 'open' } } } }))
+        .rejects.toMatchObject({ code: 'E_QUERY_PREDICATE', context: { path: 'props.status' } });
+    });
+  });
+
   describe('observer name', () => {
     it('exposes the observer name', async () => {
       setupGraphState(graph, () => {});
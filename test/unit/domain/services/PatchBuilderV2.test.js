@@ -3,7 +3,12 @@ import { PatchBuilderV2 } from '../../../../src/domain/services/PatchBuilderV2.j
 import { createVersionVector, vvClone } from '../../../../src/domain/crdt/VersionVector.js';
 import { createORSet, orsetAdd } from '../../../../src/domain/crdt/ORSet.js';
 import { createDot } from '../../../../src/domain/crdt/Dot.js';
-import { encodeEdgeKey } from '../../../../src/domain/services/JoinReducer.js';
+import { encodeEdgeKey, encodePropKey } from '../../../../src/domain/services/JoinReducer.js';
+import { createSetProperty, setPropertyAdd } from '../../../../src/domain/crdt/SetProperty.js';
+import { createSequenceProperty, sequenceInsert } from '../../../../src/domain/crdt/SequenceProperty.js';
+import { createEventId } from '../../../../src/domain/utils/EventId.js';
+import { lwwSet } from '../../../../src/domain/crdt/LWW.js';
+import { projectNodeAliases } from '../../../../src/domain/services/NodeAliases.js';
 import { decodePatchMessage } from '../../../../src/domain/services/WarpMessageCodec.js';
 import { decode } from '../../../../src/infrastructure/codecs/CborCodec.js';
 
@@ -131,6 +136,48 @@ describe('PatchBuilderV2', () => {
     });
   });
 
+  describe('building patch with node merge', () => {
+    /** @returns {any} */
+    function builderFor(/** @type {any} */ state) {
+      return new PatchBuilderV2(/** @type {any} */ ({
+        writerId: 'writer1',
+        lamport: 1,
+        versionVector: createVersionVector(),
+        getCurrentState: () => state,
+      }));
+    }
+
+    it('creates NodeMerge operation naming the absorbed node and its survivor', () => {
+      const builder = builderFor(null);
+
+      const result = builder.mergeNodes('a', 'b');
+
+      expect(result).toBe(builder);
+      expect(builder.build().ops).toEqual([{ type: 'NodeMerge', node: 'b', into: 'a' }]);
+    });
+
+    it('observes the dots of every merged node when removing by an absorbed ID', () => {
+      const state = /** @type {any} */ (createMockState());
+      orsetAdd(state.nodeAlive, 'a', createDot('otherWriter', 1));
+      orsetAdd(state.nodeAlive, 'b', createDot('otherWriter', 2));
+      state.edgeBirthEvent = new Map();
+      state.aliases = new Map([['b', lwwSet(createEventId(1, 'otherWriter', 'abcd1234', 0), 'a')]]);
+
+      const builder = builderFor(projectNodeAliases(state));
+      builder.removeNode('b');
+
+      const op = /** @type {any} */ (builder.build().ops[0]);
+      expect(op.observedDots.sort()).toEqual(['otherWriter:1', 'otherWriter:2']);
+    });
+
+    it('throws when both IDs already name the same node', () => {
+      const builder = builderFor(null).mergeNodes('a', 'b');
+
+      expect(() => builder.mergeNodes('a', 'a')).toThrow(/already the same node/);
+      expect(() => builder.mergeNodes('b', 'a')).toThrow(/already the same node/);
+    });
+  });
+
   describe('building patch with edge add/remove', () => {
     it('creates EdgeAdd operation with dot', () => {
       const builder = new PatchBuilderV2(/** @type {any} */ ({
@@ -274,6 +321,316 @@ describe('PatchBuilderV2', () => {
     });
   });
 
+  describe('building patch with property increment', () => {
+    /** @returns {any} */
+    function makeBuilder() {
+      return new PatchBuilderV2(/** @type {any} */ ({
+        writerId: 'writer1',
+        lamport: 1,
+        versionVector: createVersionVector(),
+        getCurrentState: () => null,
+      }));
+    }
+
+    it('creates PropIncrement operation with default delta of 1', () => {
+      const builder = makeBuilder();
+
+      builder.incrementProperty('post:1', 'likes');
+
+      const patch = builder.build();
+      expect(patch.ops).toEqual([{ type: 'PropIncrement', node: 'post:1', key: 'likes', delta: 1 }]);
+      expect(patch.schema).toBe(4);
+    });
+
+    it('accepts negative deltas', () => {
+      const builder = makeBuilder();
+
+      builder.incrementProperty('item', 'stock', -3);
+
+      expect(/** @type {any} */ (builder.build().ops[0]).delta).toBe(-3);
+    });
+
+    it('rejects non-integer deltas', () => {
+      const builder = makeBuilder();
+
+      expect(() => builder.incrementProperty('x', 'c', 1.5)).toThrow(/safe integer/);
+      expect(() => builder.incrementProperty('x', 'c', Infinity)).toThrow(/safe integer/);
+      expect(() => builder.incrementProperty('x', 'c', /** @type {any} */ ('2'))).toThrow(/safe integer/);
+      expect(builder.ops).toHaveLength(0);
+    });
+
+    it('does not increment version vector and tracks provenance like setProperty', () => {
+      const builder = makeBuilder();
+
+      builder.incrementProperty('x', 'c', 2);
+
+      expect(builder.versionVector.get('writer1')).toBeUndefined();
+      expect(builder.reads.has('x')).toBe(true);
+      expect(builder.writes.has('x')).toBe(true);
+    });
+
+    it('returns this for chaining', () => {
+      const builder = makeBuilder();
+
+      expect(builder.incrementProperty('x', 'c')).toBe(builder);
+    });
+
+    it('rejects keys holding a plain value in the snapshot or in this patch', () => {
+      const state = createMockState();
+      const eventId = createEventId(1, 'writer1', 'abcd1234', 0);
+      state.counters = new Map([[encodePropKey('x', 'hits'), new Map()]]);
+      state.prop.set(encodePropKey('x', 'plain'), lwwSet(eventId, 100));
+      state.prop.set(encodePropKey('x', 'cleared'), lwwSet(eventId, null));
+      state.prop.set(encodePropKey('x', 'hits'), lwwSet(eventId, 7));
+      const builder = new PatchBuilderV2(/** @type {any} */ ({
+        writerId: 'writer1',
+        lamport: 2,
+        versionVector: createVersionVector(),
+        getCurrentState: () => state,
+      }));
+
+      expect(() => builder.incrementProperty('x', 'plain')).toThrow(/holds a plain value/);
+      builder.setProperty('x', 'fresh', 5);
+      expect(() => builder.incrementProperty('x', 'fresh')).toThrow(/holds a plain value/);
+      builder.incrementProperty('x', 'cleared').incrementProperty('x', 'hits').incrementProperty('x', 'new');
+      expect(builder.ops.map((/** @type {any} */ op) => op.key)).toEqual(['fresh', 'cleared', 'hits', 'new']);
+    });
+
+    it('rejects setProperty on keys holding a counter in the snapshot or in this patch', () => {
+      const state = createMockState();
+      state.counters = new Map([[encodePropKey('x', 'hits'), new Map()]]);
+      const builder = new PatchBuilderV2(/** @type {any} */ ({
+        writerId: 'writer1',
+        lamport: 2,
+        versionVector: createVersionVector(),
+        getCurrentState: () => state,
+      }));
+
+      expect(() => builder.setProperty('x', 'hits', 0)).toThrow(/is a counter/);
+      expect(() => builder.setProperty('x', 'hits', null)).toThrow(/is a counter/);
+      builder.incrementProperty('x', 'fresh');
+      expect(() => builder.setProperty('x', 'fresh', 0)).toThrow(/is a counter/);
+      builder.setProperty('x', 'other', 0);
+      expect(builder.ops.map((/** @type {any} */ op) => op.key)).toEqual(['fresh', 'other']);
+    });
+  });
+
+  describe('building patch with set operations', () => {
+    /**
+     * @param {any} [state]
+     * @returns {any}
+     */
+    function makeBuilder(state = null) {
+      return new PatchBuilderV2(/** @type {any} */ ({
+        writerId: 'writer1',
+        lamport: 1,
+        versionVector: createVersionVector(),
+        getCurrentState: () => state,
+      }));
+    }
+
+    it('creates SetAdd operations with fresh dots', () => {
+      const builder = makeBuilder();
+
+      builder.addToSet('user:1', 'roles', 'admin').addToSet('user:1', 'roles', 'editor');
+
+      expect(builder.build().ops).toEqual([
+        { type: 'SetAdd', node: 'user:1', key: 'roles', element: 'admin', dot: createDot('writer1', 1) },
+        { type: 'SetAdd', node: 'user:1', key: 'roles', element: 'editor', dot: createDot('writer1', 2) },
+      ]);
+      expect(builder.versionVector.get('writer1')).toBe(2);
+    });
+
+    it('creates SetRemove with dots observed in the materialized state', () => {
+      const state = createMockState();
+      const setProp = createSetProperty();
+      setPropertyAdd(setProp, 'admin', createDot('otherWriter', 3));
+      setPropertyAdd(setProp, 'admin', createDot('writer1', 1));
+      setPropertyAdd(setProp, 'editor', createDot('otherWriter', 4));
+      state.sets = new Map([[encodePropKey('user:1', 'roles'), setProp]]);
+      const builder = makeBuilder(state);
+
+      builder.removeFromSet('user:1', 'roles', 'admin');
+
+      const op = /** @type {any} */ (builder.build().ops[0]);
+      expect(op.type).toBe('SetRemove');
+      expect(op.element).toBe('admin');
+      expect([...op.observedDots].sort()).toEqual(['otherWriter:3', 'writer1:1']);
+    });
+
+    it('creates SetRemove with no observed dots for unknown elements', () => {
+      const builder = makeBuilder();
+
+      builder.removeFromSet('user:1', 'roles', 'admin');
+
+      expect(/** @type {any} */ (builder.build().ops[0]).observedDots).toEqual([]);
+    });
+
+    it('rejects non-string elements', () => {
+      const builder = makeBuilder();
+
+      expect(() => builder.addToSet('x', 'tags', 42)).toThrow(/string/);
+      expect(() => builder.removeFromSet('x', 'tags', null)).toThrow(/string/);
+      expect(builder.ops).toHaveLength(0);
+    });
+
+    it('validates node IDs, keys, and labels on remove as on add', () => {
+      const builder = makeBuilder();
+
+      expect(() => builder.removeFromSet('x\0y', 'tags', 't')).toThrow(/null bytes/);
+      expect(() => builder.removeFromSet('x', '\x01tags', 't')).toThrow(/reserved prefix/);
+      expect(() => builder.removeFromEdgeSet('a', 'b', 'mem\0ber', 'perms', 'write')).toThrow(/null bytes/);
+      expect(() => builder.removeFromEdgeSet('a', 'b', 'member', 'per\0ms', 'write')).toThrow(/null bytes/);
+      expect(builder.ops).toHaveLength(0);
+    });
+
+    it('requires the edge to exist for edge set ops and bumps schema to 4', () => {
+      const builder = makeBuilder();
+
+      expect(() => builder.addToEdgeSet('a', 'b', 'member', 'perms', 'write')).toThrow(/unknown edge/);
+
+      builder.addEdge('a', 'b', 'member').addToEdgeSet('a', 'b', 'member', 'perms', 'write');
+
+      const patch = builder.build();
+      expect(patch.schema).toBe(4);
+      expect(patch.ops[1]).toEqual({
+        type: 'SetAdd', from: 'a', to: 'b', label: 'member', key: 'perms', element: 'write', dot: createDot('writer1', 2),
+      });
+    });
+
+    it('rejects set ops on keys holding a plain value in the snapshot or in this patch', () => {
+      const state = createMockState();
+      const eventId = createEventId(1, 'writer1', 'abcd1234', 0);
+      const setProp = createSetProperty();
+      setPropertyAdd(setProp, 'a', createDot('writer1', 1));
+      state.sets = new Map([[encodePropKey('x', 'tags'), setProp]]);
+      state.prop.set(encodePropKey('x', 'tags'), lwwSet(eventId, ['a']));
+      state.prop.set(encodePropKey('x', 'plain'), lwwSet(eventId, 'p'));
+      state.prop.set(encodePropKey('x', 'cleared'), lwwSet(eventId, null));
+      const builder = makeBuilder(state);
+
+      expect(() => builder.addToSet('x', 'plain', 'q')).toThrow(/holds a plain value, not a set/);
+      expect(() => builder.removeFromSet('x', 'plain', 'q')).toThrow(/holds a plain value, not a set/);
+      builder.setProperty('x', 'fresh', 'p');
+      expect(() => builder.addToSet('x', 'fresh', 'q')).toThrow(/holds a plain value, not a set/);
+      builder.addEdge('x', 'y', 'r').setEdgeProperty('x', 'y', 'r', 'w', 1);
+      expect(() => builder.addToEdgeSet('x', 'y', 'r', 'w', 'q')).toThrow(/on edge \(x → y \[r\]\) holds a plain value/);
+      builder.addToSet('x', 'tags', 'b').addToSet('x', 'cleared', 'c').addToSet('x', 'new', 'd');
+      expect(builder.ops.map((/** @type {any} */ op) => op.key)).toEqual(['fresh', undefined, 'w', 'tags', 'cleared', 'new']);
+    });
+
+    it('rejects plain writes to keys holding a set in the snapshot or in this patch', () => {
+      const state = createMockState();
+      const setProp = createSetProperty();
+      setPropertyAdd(setProp, 'a', createDot('writer1', 1));
+      state.sets = new Map([[encodePropKey('x', 'tags'), setProp]]);
+      const builder = makeBuilder(state);
+
+      expect(() => builder.setProperty('x', 'tags', 'plain')).toThrow(/is a set; change it with addToSet\/removeFromSet/);
+      expect(() => builder.setProperty('x', 'tags', null)).toThrow(/is a set/);
+      builder.removeFromSet('x', 'roles', 'admin');
+      expect(() => builder.setProperty('x', 'roles', [])).toThrow(/is a set/);
+      builder.addEdge('x', 'y', 'r').addToEdgeSet('x', 'y', 'r', 'perms', 'read');
+      expect(() => builder.setEdgeProperty('x', 'y', 'r', 'perms', 'all')).toThrow(/is a set; change it with addToEdgeSet/);
+      builder.setProperty('x', 'other', 1).setEdgeProperty('x', 'y', 'r', 'other', 2);
+      expect(builder.ops).toHaveLength(5);
+    });
+
+    it('tracks the node as read and written', () => {
+      const builder = makeBuilder();
+
+      builder.addToSet('x', 'tags', 't');
+
+      expect(builder.reads.has('x')).toBe(true);
+      expect(builder.writes.has('x')).toBe(true);
+    });
+  });
+
+  describe('building patch with sequence operations', () => {
+    /**
+     * @param {any} [state]
+     * @returns {any}
+     */
+    function makeBuilder(state = null) {
+      return new PatchBuilderV2(/** @type {any} */ ({
+        writerId: 'writer1',
+        lamport: 2,
+        versionVector: createVersionVector(),
+        getCurrentState: () => state,
+      }));
+    }
+
+    /** @returns {any} State whose doc:1 'sections' sequence holds ['a', 'b'] */
+    function stateWithSections() {
+      const state = createMockState();
+      const seq = createSequenceProperty();
+      sequenceInsert(seq, { dot: createDot('other', 1), origin: null, value: 'a' }, createEventId(1, 'other', 'abcd1234', 0));
+      sequenceInsert(seq, { dot: createDot('other', 2), origin: 'other:1', value: 'b' }, createEventId(1, 'other', 'abcd1234', 1));
+      state.sequences = new Map([[encodePropKey('doc:1', 'sections'), seq]]);
+      return state;
+    }
+
+    it('resolves indices against earlier ops in the same patch', () => {
+      const builder = makeBuilder();
+
+      builder
+        .insertAt('doc:1', 'sections', 0, 'b')
+        .insertAt('doc:1', 'sections', 0, 'a')
+        .insertAt('doc:1', 'sections', 2, 'c');
+
+      expect(builder.build().ops).toEqual([
+        { type: 'SeqInsert', node: 'doc:1', key: 'sections', value: 'b', origin: null, dot: createDot('writer1', 1) },
+        { type: 'SeqInsert', node: 'doc:1', key: 'sections', value: 'a', origin: null, dot: createDot('writer1', 2) },
+        { type: 'SeqInsert', node: 'doc:1', key: 'sections', value: 'c', origin: 'writer1:1', dot: createDot('writer1', 3) },
+      ]);
+    });
+
+    it('resolves indices against the materialized sequence', () => {
+      const builder = makeBuilder(stateWithSections());
+
+      builder.insertAt('doc:1', 'sections', 1, 'x').removeAt('doc:1', 'sections', 2);
+
+      expect(builder.build().ops).toEqual([
+        { type: 'SeqInsert', node: 'doc:1', key: 'sections', value: 'x', origin: 'other:1', dot: createDot('writer1', 1) },
+        { type: 'SeqRemove', node: 'doc:1', key: 'sections', item: 'other:2' },
+      ]);
+    });
+
+    it('anchors a move after the item that precedes the target position', () => {
+      const state = stateWithSections();
+      const builder = makeBuilder(state);
+
+      builder.move('doc:1', 'sections', 0, 1).move('doc:1', 'sections', 1, 0);
+
+      expect(builder.build().ops).toEqual([
+        { type: 'SeqMove', node: 'doc:1', key: 'sections', item: 'other:1', origin: 'other:2', dot: createDot('writer1', 1) },
+        { type: 'SeqMove', node: 'doc:1', key: 'sections', item: 'other:1', origin: null, dot: createDot('writer1', 2) },
+      ]);
+      // The materialized state is never mutated by the builder
+      expect(state.sequences.get(encodePropKey('doc:1', 'sections')).slots.size).toBe(2);
+    });
+
+    it('rejects out-of-range indices without recording an op', () => {
+      const builder = makeBuilder(stateWithSections());
+
+      expect(() => builder.insertAt('doc:1', 'sections', 3, 'x')).toThrow(/out of range/);
+      expect(() => builder.insertAt('doc:1', 'sections', 0.5, 'x')).toThrow(/out of range/);
+      expect(() => builder.removeAt('doc:1', 'sections', 2)).toThrow(/out of range/);
+      expect(() => builder.move('doc:1', 'sections', 0, -1)).toThrow(/out of range/);
+      expect(() => builder.removeAt('doc:1', 'empty', 0)).toThrow(/valid range 0\.\.-1/);
+      expect(builder.ops).toHaveLength(0);
+    });
+
+    it('tracks the node as read and written', () => {
+      const builder = makeBuilder();
+
+      builder.insertAt('x', 'list', 0, 1);
+
+      expect(builder.reads.has('x')).toBe(true);
+      expect(builder.writes.has('x')).toBe(true);
+    });
+  });
+
   describe('multiple operations increment the VersionVector', () => {
     it('increments version vector for each add operation', () => {
       const vv = createVersionVector();
@@ -0,0 +1,56 @@
+import { describe, it, expect } from 'vitest';
+import { checkPreconditions } from '../../../../src/domain/services/PatchPreconditions.js';
+import { createStateBuilder } from '../../../helpers/stateBuilder.js';
+
+const state = createStateBuilder()
+  .node('issue:1').nodeProp('issue:1', 'status', 'open').nodeProp('issue:1', 'tags', ['a', 'b'])
+  .node('user:alice')
+  .edge('user:alice', 'issue:1', 'owns')
+  .node('user:gone').edge('user:gone', 'issue:1', 'owns').removeNode('user:gone')
+  .build();
+
+describe('checkPreconditions', () => {
+  it('passes when every expectation holds', () => {
+    expect(checkPreconditions(state, [
+      { type: 'nodeExists', nodeId: 'issue:1' },
+      { type: 'nodeAbsent', nodeId: 'user:gone' },
+      { type: 'edgeExists', from: 'user:alice', to: 'issue:1', label: 'owns' },
+      { type: 'edgeAbsent', from: 'user:gone', to: 'issue:1', label: 'owns' },
+      { type: 'propEquals', nodeId: 'issue:1', key: 'status', value: 'open' },
+      { type: 'propEquals', nodeId: 'issue:1', key: 'tags', value: ['a', 'b'] },
+      { type: 'propEquals', nodeId: 'issue:1', key: 'closedAt', value: undefined },
+    ])).toEqual([]);
+  });
+
+  it('reports every failure with the observed value', () => {
+    const failures = checkPreconditions(state, [
+      { type: 'propEquals', nodeId: 'issue:1', key: 'status', value: 'closed' },
+      { type: 'nodeExists', nodeId: 'user:gone' },
+      { type: 'edgeAbsent', from: 'user:alice', to: 'issue:1', label: 'owns' },
+      { type: 'propEquals', nodeId: 'issue:1', key: 'status', value: undefined },
+    ]);
+
+    expect(failures.map((f) => [f.actual, f.message])).toEqual([
+      ['open', 'expected issue:1.status to be "closed", got "open"'],
+      [false, 'expected node user:gone to exist'],
+      [true, 'expected edge user:alice -> issue:1 [owns] to be absent'],
+      ['open', 'expected issue:1.status to be unset, got "open"'],
+    ]);
+    expect(failures[0]).toMatchObject({ type: 'propEquals', nodeId: 'issue:1', key: 'status', value: 'closed' });
+  });
+
+  it('does not equate null with unset', () => {
+    const withNull = createStateBuilder().node('n').nodeProp('n', 'k', null).build();
+
+    expect(checkPreconditions(withNull, [{ type: 'propEquals', nodeId: 'n', key: 'k', value: undefined }])).toHaveLength(1);
+    expect(checkPreconditions(withNull, [{ type: 'propEquals', nodeId: 'n', key: 'k', value: null }])).toEqual([]);
+  });
+
+  it('treats missing state as the empty graph', () => {
+    expect(checkPreconditions(null, [
+      { type: 'nodeAbsent', nodeId: 'n' },
+      { type: 'propEquals', nodeId: 'n', key: 'k', value: undefined },
+    ])).toEqual([]);
+    expect(checkPreconditions(null, [{ type: 'nodeExists', nodeId: 'n' }])).toHaveLength(1);
+  });
+});
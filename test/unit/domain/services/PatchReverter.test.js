@@ -0,0 +1,165 @@
+import { describe, it, expect } from 'vitest';
+import {
+  collectRevertTargets,
+  findSupersedingPatches,
+  planRevert,
+} from '../../../../src/domain/services/PatchReverter.js';
+import RevertError from '../../../../src/domain/errors/RevertError.js';
+import { createStateBuilder } from '../../../helpers/stateBuilder.js';
+
+/**
+ * @param {Array<Record<string, unknown>>} ops
+ * @param {{ writer?: string, lamport?: number }} [meta]
+ * @returns {any}
+ */
+function patchOf(ops, { writer = 'w1', lamport = 2 } = {}) {
+  return { schema: 2, writer, lamport, context: {}, ops };
+}
+
+const dot = { writerId: 'w1', counter: 9 };
+
+describe('PatchReverter', () => {
+  describe('collectRevertTargets', () => {
+    it('lists each written node, edge, and property once', () => {
+      const targets = collectRevertTargets(patchOf([
+        { type: 'NodeAdd', node: 'a', dot },
+        { type: 'PropSet', node: 'a', key: 'name', value: 'A' },
+        { type: 'PropSet', node: 'a', key: 'name', value: 'B' },
+        { type: 'EdgeAdd', from: 'a', to: 'b', label: 'knows', dot },
+        { type: 'PropSet', node: '\x01a\0b\0knows', key: 'since', value: 1 },
+        { type: 'PropIncrement', node: 'a', key: 'views', delta: 2 },
+        { type: 'SetAdd', node: 'a', key: 'tags', element: 'x', dot },
+      ]));
+
+      expect(targets.map((t) => [t.type, t.kind])).toEqual([
+        ['node', undefined],
+        ['prop', 'value'],
+        ['edge', undefined],
+        ['prop', 'value'],
+        ['prop', 'counter'],
+        ['prop', 'set'],
+      ]);
+      expect(targets[3]).toMatchObject({ from: 'a', to: 'b', label: 'knows', key: 'since' });
+    });
+
+    it('refuses sequence edits', () => {
+      const err = /** @type {RevertError} */ (captureError(() => collectRevertTargets(patchOf([
+        { type: 'SeqInsert', node: 'doc', key: 'lines', value: 'x', origin: null, dot },
+      ]))));
+
+      expect(err).toBeInstanceOf(RevertError);
+      expect(err.code).toBe('E_REVERT_UNSUPPORTED');
+      expect(err.message).toContain('doc.lines');
+    });
+  });
+
+  describe('planRevert', () => {
+    it('re-adds removed nodes and edges, restoring edge props', () => {
+      const before = createStateBuilder()
+        .node('a').node('b').nodeProp('a', 'name', 'A')
+        .edge('a', 'b', 'knows').edgeProp('a', 'b', 'knows', 'since', 2020)
+        .build();
+      const current = createStateBuilder().node('b').build();
+      const targets = collectRevertTargets(patchOf([
+        { type: 'EdgeRemove', from: 'a', to: 'b', label: 'knows', observedDots: [] },
+        { type: 'NodeRemove', node: 'a', observedDots: [] },
+      ]));
+
+      expect(planRevert(targets, { current, before })).toEqual([
+        { method: 'addNode', args: ['a'] },
+        { method: 'addEdge', args: ['a', 'b', 'knows'] },
+        { method: 'setEdgeProperty', args: ['a', 'b', 'knows', 'since', 2020] },
+      ]);
+    });
+
+    it('removes added edges before added nodes and skips their props', () => {
+      const before = createStateBuilder().node('b').build();
+      const current = createStateBuilder()
+        .node('b').node('a').nodeProp('a', 'name', 'A').edge('a', 'b', 'knows')
+        .build();
+      const targets = collectRevertTargets(patchOf([
+        { type: 'NodeAdd', node: 'a', dot },
+        { type: 'PropSet', node: 'a', key: 'name', value: 'A' },
+        { type: 'EdgeAdd', from: 'a', to: 'b', label: 'knows', dot },
+      ]));
+
+      expect(planRevert(targets, { current, before })).toEqual([
+        { method: 'removeEdge', args: ['a', 'b', 'knows'] },
+        { method: 'removeNode', args: ['a'] },
+      ]);
+    });
+
+    it('restores prior values, counters, and set elements', () => {
+      const before = createStateBuilder()
+        .node('a').nodeProp('a', 'name', 'A').nodeProp('a', 'views', 3).nodeProp('a', 'tags', ['x', 'y'])
+        .build();
+      const current = createStateBuilder()
+        .node('a').nodeProp('a', 'name', 'B').nodeProp('a', 'color', 'red')
+        .nodeProp('a', 'views', 5).nodeProp('a', 'tags', ['y', 'z'])
+        .build();
+      const targets = collectRevertTargets(patchOf([
+        { type: 'PropSet', node: 'a', key: 'name', value: 'B' },
+        { type: 'PropSet', node: 'a', key: 'color', value: 'red' },
+        { type: 'PropIncrement', node: 'a', key: 'views', delta: 2 },
+        { type: 'SetAdd', node: 'a', key: 'tags', element: 'z', dot },
+        { type: 'SetRemove', node: 'a', key: 'tags', element: 'x', observedDots: [] },
+      ]));
+
+      expect(planRevert(targets, { current, before })).toEqual([
+        { method: 'setProperty', args: ['a', 'name', 'A'] },
+        { method: 'setProperty', args: ['a', 'color', null] },
+        { method: 'incrementProperty', args: ['a', 'views', -2] },
+        { method: 'addToSet', args: ['a', 'tags', 'x'] },
+        { method: 'removeFromSet', args: ['a', 'tags', 'z'] },
+      ]);
+    });
+
+    it('negates only the patch\'s own increments, keeping later ones', () => {
+      const before = createStateBuilder().node('a').nodeProp('a', 'views', 3).build();
+      const current = createStateBuilder().node('a').nodeProp('a', 'views', 10).build();
+      const targets = collectRevertTargets(patchOf([
+        { type: 'PropIncrement', node: 'a', key: 'views', delta: 4 },
+        { type: 'PropIncrement', node: 'a', key: 'views', delta: -2 },
+      ]));
+
+      expect(planRevert(targets, { current, before })).toEqual([
+        { method: 'incrementProperty', args: ['a', 'views', -2] },
+      ]);
+    });
+
+    it('is empty when nothing differs', () => {
+      const state = createStateBuilder().node('a').nodeProp('a', 'name', 'A').build();
+      const targets = collectRevertTargets(patchOf([{ type: 'PropSet', node: 'a', key: 'name', value: 'A' }]));
+
+      expect(planRevert(targets, { current: state, before: state })).toEqual([]);
+    });
+  });
+
+  it('findSupersedingPatches reports later patches writing the same keys', () => {
+    const reverted = { sha: 'b'.repeat(40), patch: patchOf([{ type: 'PropSet', node: 'a', key: 'name', value: 'B' }], { lamport: 2 }) };
+    const targets = collectRevertTargets(reverted.patch);
+    const entries = [
+      { sha: 'a'.repeat(40), patch: patchOf([{ type: 'PropSet', node: 'a', key: 'name', value: 'A' }], { lamport: 1 }) },
+      reverted,
+      { sha: 'c'.repeat(40), patch: patchOf([{ type: 'PropSet', node: 'a', key: 'other', value: 1 }], { lamport: 3 }) },
+      { sha: 'd'.repeat(40), patch: patchOf([{ type: 'PropSet', node: 'a', key: 'name', value: 'C' }], { writer: 'w2', lamport: 3 }) },
+    ];
+
+    expect(findSupersedingPatches(targets, reverted, entries)).toEqual([
+      { sha: 'd'.repeat(40), writer: 'w2', lamport: 3, targets: ['a.name'] },
+    ]);
+  });
+});
+
+/**
+ * @param {() => unknown} fn
+ * @returns {unknown}
+ */
+function captureError(fn) {
+  try {
+    fn();
+  } catch (err) {
+    return err;
+  }
+  return null;
+}
@@ -0,0 +1,86 @@
+import { describe, it, expect, beforeAll } from 'vitest';
+import MaterializedViewService from '../../../../src/domain/services/MaterializedViewService.js';
+import { createEmptyStateV5, applyOpV2 } from '../../../../src/domain/services/JoinReducer.js';
+import { createDot } from '../../../../src/domain/crdt/Dot.js';
+import { createEventId } from '../../../../src/domain/utils/EventId.js';
+import computeShardKey from '../../../../src/domain/utils/shardKey.js';
+
+/** @param {Record<string, Record<string, unknown>>} nodes */
+function buildState(nodes) {
+  const state = createEmptyStateV5();
+  const sha = 'a'.repeat(40);
+  let lamport = 1;
+  for (const [nodeId, props] of Object.entries(nodes)) {
+    applyOpV2(state, { type: 'NodeAdd', node: nodeId, dot: createDot('w1', lamport) }, createEventId(lamport, 'w1', sha, lamport));
+    lamport++;
+    for (const [key, value] of Object.entries(props)) {
+      applyOpV2(state, { type: 'PropSet', node: nodeId, key, value }, createEventId(lamport, 'w1', sha, lamport));
+      lamport++;
+    }
+  }
+  return state;
+}
+
+/** @param {Set<string>|null} ids */
+function sorted(ids) {
+  return ids && [...ids].sort();
+}
+
+describe('PropertyValueIndex', () => {
+  /** @type {import('../../../../src/domain/services/PropertyValueIndexReader.js').default} */
+  let index;
+  /** @type {Record<string, Uint8Array>} */
+  let tree;
+
+  beforeAll(() => {
+    const state = buildState({
+      'user:ann': { age: 17, email: 'ann@example.com', tier: 'gold' },
+      'user:bob': { age: 30, email: 'bob@example.com', tier: 1 },
+      'user:cy': { age: 45, email: 'cy@test.org', tier: ['gold'] },
+      'user:dee': { age: '30', email: null },
+      'user:eve': { nickname: 'e' },
+    });
+    ({ tree, valueIndex: index } = new MaterializedViewService({ valueIndexKeys: ['age', 'email', 'tier', 'unused'] }).build(state));
+  });
+
+  it('writes one shard per key hash, including keys no node holds', () => {
+    const paths = Object.keys(tree).filter((path) => path.startsWith('values_'));
+
+    expect(paths).toContain(`values_${computeShardKey('unused')}.cbor`);
+    expect(paths.length).toBeLessThanOrEqual(4);
+  });
+
+  it('looks up equality and membership, keeping types apart', async () => {
+    expect(sorted(await index.lookup('age', 30))).toEqual(['user:bob']);
+    expect(sorted(await index.lookup('age', { eq: '30' }))).toEqual(['user:dee']);
+    expect(sorted(await index.lookup('email', null))).toEqual(['user:dee']);
+    expect(sorted(await index.lookup('age', { in: [17, 45, 99] }))).toEqual(['user:ann', 'user:cy']);
+    expect(sorted(await index.lookup('unused', 'x'))).toEqual([]);
+  });
+
+  it('scans numeric and string ranges within the operand type', async () => {
+    expect(sorted(await index.lookup('age', { gte: 30 }))).toEqual(['user:bob', 'user:cy']);
+    expect(sorted(await index.lookup('age', { gt: 17, lt: 45 }))).toEqual(['user:bob']);
+    expect(sorted(await index.lookup('age', { lte: 30 }))).toEqual(['user:ann', 'user:bob']);
+    expect(sorted(await index.lookup('age', { lt: '4' }))).toEqual(['user:dee']);
+    expect(sorted(await index.lookup('email', { prefix: 'b' }))).toEqual(['user:bob']);
+    expect(sorted(await index.lookup('email', { gt: 'b' }))).toEqual(['user:bob', 'user:cy']);
+  });
+
+  it('does not narrow for unindexed keys or operators, or structured values', async () => {
+    expect(await index.lookup('nickname', 'e')).toBeNull();
+    expect(await index.lookup('age', { ne: 30 })).toBeNull();
+    expect(await index.lookup('age', { exists: false })).toBeNull();
+    expect(await index.lookup('tier', { eq: ['gold'] })).toBeNull();
+    expect(await index.hasKey('tier')).toBe(true);
+    expect(await index.hasKey('nickname')).toBe(false);
+  });
+
+  it('combines predicate parts into a candidate superset', async () => {
+    expect(sorted(await index.candidates({ props: { age: { gte: 18 }, email: { prefix: 'cy@' } } }))).toEqual(['user:cy']);
+    expect(sorted(await index.candidates({ or: [{ props: { age: 17 } }, { props: { tier: 1 } }] }))).toEqual(['user:ann', 'user:bob']);
+    expect(await index.candidates({ or: [{ props: { age: 17 } }, { props: { nickname: 'e' } }] })).toBeNull();
+    expect(sorted(await index.candidates({ and: [{ props: { age: { gt: 17 } } }], not: { props: { age: 30 } } }))).toEqual(['user:bob', 'user:cy']);
+    expect(await index.candidates({ id: { prefix: 'user:' } })).toBeNull();
+  });
+});
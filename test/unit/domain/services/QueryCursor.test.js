@@ -0,0 +1,24 @@
+import { describe, it, expect } from 'vitest';
+import { decodeQueryCursor, encodeQueryCursor } from '../../../../src/domain/services/QueryCursor.js';
+import { base64Encode, textEncode } from '../../../../src/domain/utils/bytes.js';
+
+describe('QueryCursor', () => {
+  it('round-trips a position as a URL-safe string', () => {
+    /** @type {import('../../../../src/domain/services/QueryCursor.js').QueryCursorState} */
+    const state = { stateHash: 'f'.repeat(64), offset: 50, order: [['props.createdAt', 'desc']] };
+    const cursor = encodeQueryCursor(state);
+
+    expect(cursor).toMatch(/^[A-Za-z0-9_-]+$/);
+    expect(decodeQueryCursor(cursor)).toEqual(state);
+  });
+
+  it.each([
+    ['a non-string', 42],
+    ['non-base64 text', 'not a cursor'],
+    ['non-JSON content', 'AAAA'],
+    ['an unknown version', base64Encode(textEncode('{"v":2,"stateHash":"x","offset":0,"order":[]}')).replace(/=+$/, '')],
+    ['a negative offset', base64Encode(textEncode('{"v":1,"stateHash":"x","offset":-1,"order":[]}')).replace(/=+$/, '')],
+  ])('rejects %s', (_label, cursor) => {
+    expect(() => decodeQueryCursor(cursor)).toThrow(expect.objectContaining({ code: 'E_QUERY_CURSOR_INVALID' }));
+  });
+});
@@ -0,0 +1,116 @@
+import { describe, it, expect } from 'vitest';
+import { parseQueryText } from '../../../../src/domain/services/QueryTextParser.js';
+import QueryError from '../../../../src/domain/errors/QueryError.js';
+
+/**
+ * @param {string} text
+ * @returns {any} The thrown error
+ */
+function parseError(text) {
+  try {
+    parseQueryText(text);
+  } catch (err) {
+    return err;
+  }
+  throw new Error(`expected a syntax error for: ${text}`);
+}
+
+describe('QueryTextParser', () => {
+  it('parses a path with ID patterns, hops, WHERE, and RETURN', () => {
+    const ast = parseQueryText('MATCH (u:user:*)-[:follows*1..3]->(v) WHERE u.age > 30 RETURN v.id');
+
+    expect(ast.nodes).toEqual([
+      { variable: 'u', patterns: ['user:*'], props: null, position: 6 },
+      { variable: 'v', patterns: null, props: null, position: 34 },
+    ]);
+    expect(ast.hops).toEqual([{ direction: 'outgoing', label: 'follows', depth: [1, 3], position: 16 }]);
+    expect(ast.where).toEqual({
+      type: 'compare', op: '>', ref: { variable: 'u', path: ['age'], position: 44 }, value: 30, position: 44,
+    });
+    expect(ast.returns).toEqual([{ kind: 'node', variable: 'v', path: ['id'], position: 62 }]);
+  });
+
+  it('parses hop shorthands and depth forms', () => {
+    const ast = parseQueryText('match (a)-->(b)<--(c)<-[:owns*2]-(d)-[*..4]->(e)-[:`has part`*0..1]->() return *');
+
+    expect(ast.hops.map(({ direction, label, depth }) => [direction, label, depth])).toEqual([
+      ['outgoing', undefined, [1, 1]],
+      ['incoming', undefined, [1, 1]],
+      ['incoming', 'owns', [2, 2]],
+      ['outgoing', undefined, [1, 4]],
+      ['outgoing', 'has part', [0, 1]],
+    ]);
+    expect(ast.nodes[5].variable).toBeNull();
+    expect(ast.returns).toEqual([{ kind: 'all', position: 79 }]);
+  });
+
+  it('parses alternative and quoted ID patterns and inline properties', () => {
+    const ast = parseQueryText("MATCH (n:'team:a b'|team:c* {active: true, rank: -2.5, lead: \"J\\u00f6rg\", gone: null}) RETURN n");
+
+    expect(ast.nodes[0].patterns).toEqual(['team:a b', 'team:c*']);
+    expect(ast.nodes[0].props).toEqual({ active: true, rank: -2.5, lead: 'Jörg', gone: null });
+  });
+
+  it('parses boolean WHERE expressions with the usual precedence', () => {
+    const { where } = parseQueryText(
+      "MATCH (n) WHERE NOT n.a = 1 OR n.b IN ['x', 2] AND (n.c IS NULL OR n.d.e IS NOT NULL) AND n.f != 'y' RETURN n",
+    );
+
+    expect(JSON.parse(JSON.stringify(where, (key, value) => (key === 'position' || key === 'ref' ? undefined : value)))).toEqual({
+      type: 'or',
+      left: { type: 'not', operand: { type: 'compare', op: '=', value: 1 } },
+      right: {
+        type: 'and',
+        left: {
+          type: 'and',
+          left: { type: 'in', values: ['x', 2] },
+          right: { type: 'or', left: { type: 'null', negated: false }, right: { type: 'null', negated: true } },
+        },
+        right: { type: 'compare', op: '<>', value: 'y' },
+      },
+    });
+  });
+
+  it('parses aggregate RETURN items', () => {
+    const { returns } = parseQueryText('MATCH (o:order:*) RETURN count(*), COUNT(o), sum(o.total), avg(o.line.qty)');
+
+    expect(returns.map((item) => (item.kind === 'aggregate' ? [item.fn, item.variable, item.ref?.path] : item.kind))).toEqual([
+      ['count', null, undefined],
+      ['count', 'o', undefined],
+      ['sum', 'o', ['total']],
+      ['avg', 'o', ['line', 'qty']],
+    ]);
+  });
+
+  describe('syntax errors', () => {
+    it.each([
+      ['MATCH (u RETURN u', "Expected ')' but found 'R' at line 1, column 10"],
+      ['MATCH (u)-[:x]-(v) RETURN v', 'Undirected hops are not supported; use -[...]-> or <-[...]- at line 1, column 10'],
+      ['MATCH (u)<-[:x]->(v) RETURN v', 'Hops must have exactly one direction at line 1, column 10'],
+      ['MATCH (u)-[:x*]->(v) RETURN v', 'Variable-length hops need an upper bound, e.g. *1..3 at line 1, column 15'],
+      ['MATCH (u)-[:x*3..1]->(v) RETURN v', 'Hop range *3..1 is empty at line 1, column 15'],
+      ['MATCH (u)-[r:x]->(v) RETURN v', 'Hop variables are not supported; write -[:label]-> at line 1, column 12'],
+      ['MATCH (u) WHERE u.a ~ 1 RETURN u', 'Expected a comparison, IN, or IS NULL but found \'~\' at line 1, column 21'],
+      ["MATCH (u) WHERE u.a = 'open RETURN u", 'Unterminated string at line 1, column 23'],
+      ['MATCH (u) RETURN median(u.a)', "Unknown function 'median' at line 1, column 18"],
+      ['MATCH (u) RETURN u LIMIT 3', "Unexpected 'L' after RETURN at line 1, column 20"],
+      ['MATCH (u)', 'Expected RETURN but found end of input at line 1, column 10'],
+    ])('%s', (text, message) => {
+      const err = parseError(text);
+
+      expect(err).toBeInstanceOf(QueryError);
+      expect(err.code).toBe('E_QUERY_SYNTAX');
+      expect(err.message).toBe(message);
+    });
+
+    it('reports line and column on multi-line queries', () => {
+      const err = parseError('MATCH (u:user:*)\nWHERE u.age >\nRETURN u');
+
+      expect(err.context).toEqual({ position: 31, line: 3, column: 1 });
+    });
+
+    it('rejects non-string input', () => {
+      expect(() => parseQueryText(/** @type {any} */ (42))).toThrow(QueryError);
+    });
+  });
+});
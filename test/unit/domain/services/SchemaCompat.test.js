@@ -4,6 +4,7 @@ import {
   detectSchemaVersion,
   SCHEMA_V2,
   SCHEMA_V3,
+  SCHEMA_V4,
 } from '../../../../src/domain/services/WarpMessageCodec.js';
 import SchemaUnsupportedError from '../../../../src/domain/errors/SchemaUnsupportedError.js';
 import { EDGE_PROP_PREFIX } from '../../../../src/domain/services/JoinReducer.js';
@@ -33,6 +34,21 @@ function edgePropSetOp(from, to, label, key, value) {
   return { type: 'PropSet', node: `${EDGE_PROP_PREFIX}${from}\0${to}\0${label}`, key, value };
 }
 
+/** @param {string} nodeId @param {string} key @param {number} delta */
+function propIncrementOp(nodeId, key, delta) {
+  return { type: 'PropIncrement', node: nodeId, key, delta };
+}
+
+/** @param {string} nodeId @param {string} key @param {string} element */
+function setAddOp(nodeId, key, element) {
+  return { type: 'SetAdd', node: nodeId, key, element, dot: { writer: 'w1', counter: 1 } };
+}
+
+/** @param {string} nodeId @param {string} into */
+function nodeMergeOp(nodeId, into) {
+  return { type: 'NodeMerge', node: nodeId, into };
+}
+
 // ---------------------------------------------------------------------------
 // Tests
 // ---------------------------------------------------------------------------
@@ -190,6 +206,38 @@ describe('Schema Compatibility (WT/SCHEMA/2)', () => {
       });
     });
 
+    describe('v4 ops (counters, sets, sequences, node merges)', () => {
+      const v4Ops = [
+        propIncrementOp('n1', 'hits', 1),
+        setAddOp('n1', 'tags', 'x'),
+        { type: 'SetRemove', node: 'n1', key: 'tags', element: 'x', observedDots: [] },
+        { type: 'SeqInsert', node: 'n1', key: 'list', value: 'a', origin: null, dot: { writer: 'w1', counter: 2 } },
+        { type: 'SeqRemove', node: 'n1', key: 'list', item: 'w1:2' },
+        { type: 'SeqMove', node: 'n1', key: 'list', item: 'w1:2', origin: null, dot: { writer: 'w1', counter: 3 } },
+        nodeMergeOp('n2', 'n1'),
+      ];
+
+      it.each(v4Ops.map((op) => [op.type, op]))('v2 and v3 readers reject %s', (_type, op) => {
+        for (const maxSchema of [SCHEMA_V2, SCHEMA_V3]) {
+          try {
+            assertOpsCompatible([nodeAddOp('n1'), op], maxSchema);
+            expect.unreachable('should have thrown');
+          } catch (err) {
+            expect(err).toBeInstanceOf(SchemaUnsupportedError);
+            expect(/** @type {any} */ (err).context).toEqual({
+              requiredSchema: SCHEMA_V4,
+              maxSupportedSchema: maxSchema,
+            });
+          }
+        }
+      });
+
+      it('v4 reader accepts them alongside edge prop ops', () => {
+        const ops = [...v4Ops, edgePropSetOp('n1', 'n2', 'e', 'weight', 42)];
+        expect(() => assertOpsCompatible(ops, SCHEMA_V4)).not.toThrow();
+      });
+    });
+
     describe('v2 to v2 (same version)', () => {
       it('v2 ops accepted by v2 reader', () => {
         const ops = [
@@ -237,6 +285,12 @@ describe('Schema Compatibility (WT/SCHEMA/2)', () => {
       expect(detectSchemaVersion(ops)).toBe(SCHEMA_V3);
     });
 
+    it('counter, set, and merge ops detected as v4, even after edge prop ops', () => {
+      expect(detectSchemaVersion([nodeAddOp('n'), propIncrementOp('n', 'hits', 1)])).toBe(SCHEMA_V4);
+      expect(detectSchemaVersion([edgePropSetOp('a', 'b', 'r', 'w', 1), setAddOp('a', 'tags', 'x')])).toBe(SCHEMA_V4);
+      expect(detectSchemaVersion([nodeMergeOp('b', 'a'), edgePropSetOp('a', 'b', 'r', 'w', 1)])).toBe(SCHEMA_V4);
+    });
+
     it('detectSchemaVersion v2 ops pass assertOpsCompatible(v2)', () => {
       const ops = [nodeAddOp('n'), nodePropSetOp('n', 'k', 'v')];
       expect(detectSchemaVersion(ops)).toBe(SCHEMA_V2);
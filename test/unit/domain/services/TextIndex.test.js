@@ -0,0 +1,102 @@
+import { describe, it, expect, beforeAll } from 'vitest';
+import MaterializedViewService from '../../../../src/domain/services/MaterializedViewService.js';
+import TextIndexReader from '../../../../src/domain/services/TextIndexReader.js';
+import { analyzeQuery, createTextAnalyzer, normalizeTextIndexConfig } from '../../../../src/domain/services/TextAnalyzer.js';
+import { createEmptyStateV5, applyOpV2 } from '../../../../src/domain/services/JoinReducer.js';
+import { createDot } from '../../../../src/domain/crdt/Dot.js';
+import { createEventId } from '../../../../src/domain/utils/EventId.js';
+
+/** @param {Record<string, Record<string, unknown>>} nodes */
+function buildState(nodes) {
+  const state = createEmptyStateV5();
+  const sha = 'a'.repeat(40);
+  let lamport = 1;
+  for (const [nodeId, props] of Object.entries(nodes)) {
+    applyOpV2(state, { type: 'NodeAdd', node: nodeId, dot: createDot('w1', lamport) }, createEventId(lamport, 'w1', sha, lamport));
+    lamport++;
+    for (const [key, value] of Object.entries(props)) {
+      applyOpV2(state, { type: 'PropSet', node: nodeId, key, value }, createEventId(lamport, 'w1', sha, lamport));
+      lamport++;
+    }
+  }
+  return state;
+}
+
+/** @param {Array<{ id: string }>} hits */
+function ids(hits) {
+  return hits.map((hit) => hit.id);
+}
+
+describe('TextAnalyzer', () => {
+  it('tokenizes with the built-in analyzers', () => {
+    expect(createTextAnalyzer('standard').analyze('Café-Society: the GRAPH, 2nd ed.')).toEqual(['cafe', 'society', 'the', 'graph', '2nd', 'ed']);
+    expect(createTextAnalyzer('whitespace').analyze('  Café-Society  ed. ')).toEqual(['café-society', 'ed.']);
+    expect(createTextAnalyzer('keyword').analyze(' New York ')).toEqual(['new york']);
+    expect(createTextAnalyzer((text) => text.split(',')).analyze('a,,b')).toEqual(['a', 'b']);
+  });
+
+  it('marks terms followed by * as prefixes', () => {
+    const standard = createTextAnalyzer('standard');
+    expect(analyzeQuery('graph* data *', standard)).toEqual([
+      { term: 'graph', prefix: true },
+      { term: 'data', prefix: false },
+    ]);
+    expect(analyzeQuery('New Yo*', createTextAnalyzer('keyword'))).toEqual([{ term: 'new yo', prefix: true }]);
+  });
+
+  it('validates and normalizes the textIndex option', () => {
+    expect(normalizeTextIndexConfig(undefined)).toBeNull();
+    expect(normalizeTextIndexConfig({ fields: ['title', 'body', 'title'] })).toEqual({ fields: ['body', 'title'], analyzer: 'standard' });
+    expect(() => normalizeTextIndexConfig({ fields: [] })).toThrow(/textIndex must be an object/);
+    expect(() => normalizeTextIndexConfig(/** @type {never} */ ({ fields: ['title'], analyzer: 'stemming' }))).toThrow(/textIndex.analyzer/);
+  });
+});
+
+describe('TextIndex', () => {
+  const config = { fields: ['body', 'title'], analyzer: /** @type {const} */ ('standard') };
+  /** @type {TextIndexReader} */
+  let index;
+
+  beforeAll(() => {
+    const state = buildState({
+      'doc:a': { title: 'Graph databases', body: 'A graph database stores nodes and edges.' },
+      'doc:b': { title: 'Git internals', body: 'Git stores blobs, trees, and commits in a graph.' },
+      'doc:c': { title: 'Cooking with graphite', body: 'Not about graphs at all.' },
+      'doc:d': { title: 42, body: 'Graph graph graph' },
+      'doc:e': { summary: 'graph' },
+    });
+    index = /** @type {TextIndexReader} */ (new MaterializedViewService({ textIndex: config }).build(state).textIndex);
+  });
+
+  it('ranks exact matches with BM25', async () => {
+    const hits = await index.search('graph', { fields: ['body', 'title'] });
+
+    expect(ids(hits)).toEqual(['doc:a', 'doc:d', 'doc:b']);
+    expect(hits[0].score).toBeGreaterThan(hits[1].score);
+    expect(ids(await index.search('graph', { fields: ['title'] }))).toEqual(['doc:a']);
+  });
+
+  it('expands prefixes and honours match and limit', async () => {
+    expect(ids(await index.search('graph*', { fields: ['title'] }))).toEqual(['doc:a', 'doc:c']);
+    expect(ids(await index.search('git graph', { fields: ['body', 'title'], match: 'and' }))).toEqual(['doc:b']);
+    expect(ids(await index.search('git graph', { fields: ['body', 'title'], limit: 1 }))).toEqual(['doc:b']);
+    expect(await index.search('', { fields: ['body'] })).toEqual([]);
+  });
+
+  it('recognizes an index built for another configuration', async () => {
+    const { tree } = new MaterializedViewService({ textIndex: config }).build(buildState({ 'doc:a': { title: 'x' } }));
+    /** @param {import('../../../../src/domain/services/TextAnalyzer.js').TextIndexConfig} readerConfig */
+    const readerFor = (readerConfig) => {
+      const reader = new TextIndexReader({
+        storage: /** @type {never} */ ({ readBlob: async (/** @type {string} */ oid) => tree[oid] }),
+        config: readerConfig,
+      });
+      reader.setup(Object.fromEntries(Object.keys(tree).map((path) => [path, path])));
+      return reader;
+    };
+
+    expect(await readerFor(config).isCurrent()).toBe(true);
+    expect(await readerFor({ fields: ['title'], analyzer: 'standard' }).isCurrent()).toBe(false);
+    expect(await readerFor({ ...config, analyzer: 'keyword' }).isCurrent()).toBe(false);
+  });
+});
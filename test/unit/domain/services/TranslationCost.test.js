@@ -262,6 +262,20 @@ describe('TranslationCost', () => {
       expect(result.breakdown.propLoss).toBe(1);
     });
 
+    it('where predicates narrow the nodes each observer sees', () => {
+      const state = createEmptyStateV5();
+      addNode(state, 'user:alice', 1);
+      addNode(state, 'user:bob', 2);
+      addProp(state, 'user:alice', 'active', true);
+      addProp(state, 'user:bob', 'active', false);
+
+      const configA = { match: 'user:*' };
+      const configB = { match: 'user:*', where: { props: { active: { eq: true } } } };
+
+      expect(computeTranslationCost(configA, configB, state).breakdown.nodeLoss).toBe(0.5);
+      expect(computeTranslationCost(configB, configA, state).breakdown.nodeLoss).toBe(0);
+    });
+
     it('cost is normalized to [0, 1] range', () => {
       const state = createEmptyStateV5();
       addNode(state, 'user:alice', 1);
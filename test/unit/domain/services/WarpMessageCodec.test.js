@@ -470,6 +470,25 @@ eg-schema: 1`;
         expect(decoded.encrypted).toBe(encrypted);
       }
     });
+
+    it('roundtrips the eg-revert-of trailer', () => {
+      const plain = decodePatchMessage(encodePatchMessage({ graph: 'events', writer: 'w1', lamport: 5, patchOid: VALID_OID_SHA1 }));
+      expect(plain.revertOf).toBeNull();
+
+      const encoded = encodePatchMessage({ graph: 'events', writer: 'w1', lamport: 5, patchOid: VALID_OID_SHA1, revertOf: VALID_OID_SHA256 });
+      expect(encoded).toContain(`eg-revert-of: ${VALID_OID_SHA256}`);
+      expect(decodePatchMessage(encoded).revertOf).toBe(VALID_OID_SHA256);
+      expect(() => encodePatchMessage({ graph: 'events', writer: 'w1', lamport: 5, patchOid: VALID_OID_SHA1, revertOf: 'nope' }))
+        .toThrow('revertOf');
+    });
+
+    it('roundtrips the eg-merged-from trailer', () => {
+      const encoded = encodePatchMessage({ graph: 'events', writer: 'w1', lamport: 5, patchOid: VALID_OID_SHA1, mergedFrom: VALID_OID_SHA1 });
+      expect(encoded).toContain(`eg-merged-from: ${VALID_OID_SHA1}`);
+      expect(decodePatchMessage(encoded)).toMatchObject({ revertOf: null, mergedFrom: VALID_OID_SHA1 });
+      expect(() => encodePatchMessage({ graph: 'events', writer: 'w1', lamport: 5, patchOid: VALID_OID_SHA1, mergedFrom: 'nope' }))
+        .toThrow('mergedFrom');
+    });
   });
 
   describe('decodeCheckpointMessage', () => {
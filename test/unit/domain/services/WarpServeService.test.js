@@ -1074,6 +1074,114 @@ describe('WarpServeService', () => {
     });
   });
 
+  // ── Protocol: live queries ──────────────────────────────────────────
+
+  describe('live queries', () => {
+    /** @type {ReturnType<typeof createMockWsPort>} */
+    let ws;
+    /** @type {any} */
+    let graph;
+    /** @type {WarpServeService} */
+    let service;
+    /** @type {any} */
+    let liveOptions;
+    /** @type {ReturnType<typeof vi.fn>} */
+    let unsubscribe;
+
+    /** @returns {Promise<ReturnType<ReturnType<typeof createMockWsPort>['simulateConnection']>>} */
+    async function openClient() {
+      const client = ws.simulateConnection();
+      client.sendFromClient(JSON.stringify({
+        v: 1, type: 'open', id: 'o1',
+        payload: { graph: 'test-graph' },
+      }));
+      await vi.waitFor(() => { expect(client.sent.length).toBeGreaterThanOrEqual(2); });
+      client.sent.length = 0;
+      return client;
+    }
+
+    beforeEach(async () => {
+      ws = createMockWsPort();
+      graph = createMockGraph();
+      unsubscribe = vi.fn();
+      graph.queryText = vi.fn().mockReturnValue({
+        live: vi.fn(async (/** @type {any} */ options) => {
+          liveOptions = options;
+          options.onResult({ stateHash: 'h1', added: [{ id: 'ticket:1' }], removed: [], changed: [] });
+          return { unsubscribe };
+        }),
+      });
+      service = new WarpServeService({ wsPort: ws.port, graphs: [graph] });
+      await service.listen(0);
+    });
+
+    afterEach(async () => {
+      await service?.close();
+    });
+
+    it('compiles the query text and pushes each delta under the request id', async () => {
+      const client = await openClient();
+
+      client.sendFromClient(JSON.stringify({
+        v: 1, type: 'live', id: 'lq-1',
+        payload: { graph: 'test-graph', query: "MATCH (t:ticket:*) WHERE t.status = 'open' RETURN t" },
+      }));
+      await vi.waitFor(() => expect(client.sent.length).toBe(1));
+      liveOptions.onResult({ stateHash: 'h2', added: [], removed: [{ id: 'ticket:1' }], changed: [] });
+
+      expect(graph.queryText).toHaveBeenCalledWith("MATCH (t:ticket:*) WHERE t.status = 'open' RETURN t");
+      expect(client.sent.map((/** @type {string} */ raw) => JSON.parse(raw))).toEqual([
+        { v: 1, type: 'live', id: 'lq-1', payload: { graph: 'test-graph', stateHash: 'h1', added: [{ id: 'ticket:1' }], removed: [], changed: [] } },
+        { v: 1, type: 'live', id: 'lq-1', payload: { graph: 'test-graph', stateHash: 'h2', added: [], removed: [{ id: 'ticket:1' }], changed: [] } },
+      ]);
+    });
+
+    it('stops a live query on unlive and on disconnect', async () => {
+      const client = await openClient();
+      client.sendFromClient(JSON.stringify({ v: 1, type: 'live', id: 'lq-1', payload: { graph: 'test-graph', query: 'MATCH (t) RETURN t' } }));
+      await vi.waitFor(() => expect(client.sent.length).toBe(1));
+
+      client.sendFromClient(JSON.stringify({ v: 1, type: 'unlive', id: 'u1', payload: { live: 'lq-1' } }));
+      await vi.waitFor(() => expect(client.sent.length).toBe(2));
+      expect(JSON.parse(client.sent[1])).toEqual({ v: 1, type: 'ack', id: 'u1', payload: { live: 'lq-1' } });
+      expect(unsubscribe).toHaveBeenCalledTimes(1);
+
+      client.sendFromClient(JSON.stringify({ v: 1, type: 'live', id: 'lq-2', payload: { graph: 'test-graph', query: 'MATCH (t) RETURN t' } }));
+      await vi.waitFor(() => expect(client.sent.length).toBe(3));
+      client.triggerClose();
+      expect(unsubscribe).toHaveBeenCalledTimes(2);
+    });
+
+    it('reports failures and malformed requests as errors', async () => {
+      graph.queryText.mockImplementationOnce(() => { throw new Error('Expected RETURN at line 1, column 12'); });
+      const client = await openClient();
+
+      client.sendFromClient(JSON.stringify({ v: 1, type: 'live', id: 'bad', payload: { graph: 'test-graph', query: 'MATCH (t) t' } }));
+      client.sendFromClient(JSON.stringify({ v: 1, type: 'live', id: 'empty', payload: { graph: 'test-graph', query: '' } }));
+      client.sendFromClient(JSON.stringify({ v: 1, type: 'unlive', id: 'u1', payload: { live: 'nope' } }));
+      await vi.waitFor(() => expect(client.sent.length).toBe(3));
+
+      const errors = client.sent.map((/** @type {string} */ raw) => JSON.parse(raw)).map((/** @type {any} */ { id, payload }) => [id, payload.code]);
+      expect(errors).toEqual(expect.arrayContaining([
+        ['bad', 'E_LIVE_FAILED'],
+        ['empty', 'E_INVALID_PAYLOAD'],
+        ['u1', 'E_UNKNOWN_LIVE'],
+      ]));
+      expect(JSON.parse(client.sent.find((/** @type {string} */ raw) => raw.includes('"bad"')) ?? '{}').payload.message).toBe('Expected RETURN at line 1, column 12');
+    });
+
+    it('requires the graph to be opened first', async () => {
+      const client = ws.simulateConnection();
+      client.sent.length = 0;
+
+      client.sendFromClient(JSON.stringify({ v: 1, type: 'live', id: 'lq-1', payload: { graph: 'test-graph', query: 'MATCH (t) RETURN t' } }));
+      await vi.waitFor(() => expect(client.sent.length).toBe(1));
+
+      expect(JSON.parse(client.sent[0]).payload.code).toBe('E_NOT_OPENED');
+      expect(graph.queryText).not.toHaveBeenCalled();
+    });
+  });
+
   // ── Malformed messages ──────────────────────────────────────────────
 
   describe('malformed messages', () => {
@@ -443,7 +443,7 @@ describe('TickReceipt', () => {
   // Constants
   // -----------------------------------------------------------------------
   describe('constants', () => {
-    it('exports the eight valid op types', () => {
+    it('exports the fifteen valid op types', () => {
       expect(OP_TYPES).toEqual([
         'NodeAdd',
         'NodeTombstone',
@@ -452,6 +452,13 @@ describe('TickReceipt', () => {
         'PropSet',
         'NodePropSet',
         'EdgePropSet',
+        'PropIncrement',
+        'SetAdd',
+        'SetTombstone',
+        'SeqInsert',
+        'SeqTombstone',
+        'SeqMove',
+        'NodeMerge',
         'BlobValue',
       ]);
     });
@@ -218,6 +218,21 @@ describe('LRUCache', () => {
     });
   });
 
+  describe('hit counters', () => {
+    it('counts get() hits and misses but not has()', () => {
+      const cache = new LRUCache(2);
+      cache.set('a', 1);
+
+      cache.get('a');
+      cache.get('a');
+      cache.get('b');
+      cache.has('b');
+
+      expect(cache.hits).toBe(2);
+      expect(cache.misses).toBe(1);
+    });
+  });
+
   describe('delete', () => {
     it('removes existing entry', () => {
       const cache = new LRUCache(10);
@@ -0,0 +1,22 @@
+import { describe, it, expect } from 'vitest';
+import { mulberry32 } from '../../../../src/domain/utils/mulberry32.js';
+
+describe('mulberry32', () => {
+  it('repeats the same sequence for the same seed', () => {
+    const a = mulberry32(42);
+    const b = mulberry32(42);
+    const first = [a(), a(), a()];
+
+    expect([b(), b(), b()]).toEqual(first);
+    expect(mulberry32(43)()).not.toBe(first[0]);
+  });
+
+  it('returns values in [0, 1)', () => {
+    const rng = mulberry32(7);
+    for (let i = 0; i < 1000; i++) {
+      const value = rng();
+      expect(value).toBeGreaterThanOrEqual(0);
+      expect(value).toBeLessThan(1);
+    }
+  });
+});
@@ -6,6 +6,7 @@ import {
   renderPath,
   renderCheck,
   renderHistory,
+  renderConflicts,
   renderError,
   renderMaterialize,
   renderInstallHooks,
@@ -56,6 +57,45 @@ describe('renderQuery', () => {
     expect(out).toContain('props: {"name":"Alice"}');
     expect(out).not.toContain('props: {}');
   });
+
+  it('renders aggregate values instead of nodes', () => {
+    const out = renderQuery({ graph: 'default', stateHash: 'abc', aggregate: { count: 3, sum: 128 } });
+    expect(out).toBe('Graph: default\nState: abc\ncount: 3\nsum: 128\n');
+  });
+
+  it('renders grouped aggregates one group at a time', () => {
+    const aggregate = { groups: [{ key: 'user:bob', count: 1 }, { key: ['repo:warp', 2], max: 10 }] };
+    const out = renderQuery({ graph: 'default', stateHash: 'abc', aggregate });
+    expect(out).toBe('Graph: default\nState: abc\nGroups: 2\n- "user:bob"\n  count: 1\n- ["repo:warp",2]\n  max: 10\n');
+  });
+
+  it('renders the next-page cursor when there is one', () => {
+    const page = { graph: 'default', stateHash: 'abc', nodes: [{ id: 'user:alice' }] };
+    expect(renderQuery({ ...page, nextCursor: 'eyJ2IjoxfQ' })).toContain('Next cursor: eyJ2IjoxfQ');
+    expect(renderQuery({ ...page, nextCursor: null })).not.toContain('Next cursor');
+  });
+
+  it('renders a query plan as a table', () => {
+    const step = { propsLoaded: 0, propsCacheHits: 0, durationMs: 0.5 };
+    const explain = {
+      stateHash: 'abc',
+      steps: [
+        { op: 'match', detail: 'user:*', access: /** @type {const} */ ('scan'), estimated: 12, actual: 3, ...step },
+        { op: 'where', detail: '{"props":{"age":{"gte":18}}}', access: /** @type {const} */ ('value-index'), estimated: 2, actual: 2, ...step, propsLoaded: 2 },
+      ],
+      rows: 2,
+      caches: { props: { hits: 1, misses: 2 }, adjacency: null },
+      durationMs: 1.25,
+    };
+    const out = renderQuery({ graph: 'default', stateHash: 'abc', explain });
+    const whereRow = out.split('\n').find((line) => line.includes('value-index'));
+
+    expect(out).toContain('Access');
+    expect(whereRow).toMatch(/│ where\s+│ \{"props":\{"age":\{"gte":18\}\}\}\s+│ value-index │\s+2 │\s+2 │\s+2 │\s+0 │\s+0\.50 │/);
+    expect(out).toContain('Props memo: 1 hit, 2 misses');
+    expect(out).toContain('Adjacency cache: disabled');
+    expect(out).toContain('Total: 1.25 ms');
+  });
 });
 
 describe('renderPath', () => {
@@ -150,6 +190,39 @@ describe('renderHistory', () => {
   });
 });
 
+describe('renderConflicts', () => {
+  const write = (/** @type {string} */ writerId, /** @type {number} */ lamport, /** @type {unknown} */ value) => ({
+    value,
+    writerId,
+    patchSha: `${writerId}0000000000`,
+    eventId: { lamport, writerId, patchSha: `${writerId}0000000000`, opIndex: 0 },
+  });
+
+  it('renders winning and overwritten writes', () => {
+    const payload = {
+      graph: 'g',
+      filter: { node: null, key: null, since: null },
+      conflicts: [
+        { kind: /** @type {const} */ ('node'), nodeId: 'doc', key: 'title', winner: write('bob', 2, 'Final'), overwritten: [write('alice', 1, 'Draft')] },
+        { kind: /** @type {const} */ ('edge'), from: 'a', to: 'b', label: 'knows', key: 'w', winner: write('bob', 1, 2), overwritten: [write('alice', 1, 1)] },
+      ],
+    };
+    const out = stripAnsi(renderConflicts(payload));
+    expect(out).toContain('Conflicts: 2');
+    expect(out).not.toContain('Filter:');
+    expect(out).toContain('- doc .title');
+    expect(out).toContain('kept  "Final" by bob (lamport: 2, patch: bob0000)');
+    expect(out).toContain('lost  "Draft" by alice (lamport: 1, patch: alice00)');
+    expect(out).toContain('- a -[knows]-> b .w');
+  });
+
+  it('shows active filters', () => {
+    const out = renderConflicts({ graph: 'g', filter: { node: 'doc', key: null, since: 3 }, conflicts: [] });
+    expect(out).toContain('Conflicts: 0');
+    expect(out).toContain('Filter: node=doc since=3');
+  });
+});
+
 describe('renderError', () => {
   it('formats error message', () => {
     expect(renderError({ error: { message: 'boom' } })).toBe('Error: boom\n');
@@ -913,6 +913,23 @@ describe('ASCII Renderers', () => {
       expect(output).toMatchSnapshot();
     });
 
+    it('renders ranked k-shortest paths', () => {
+      const mockData = {
+        graph: 'routes',
+        from: 'svc:api',
+        to: 'svc:db',
+        found: true,
+        path: ['svc:api', 'svc:cache', 'svc:db'],
+        length: 2,
+        paths: [
+          { path: ['svc:api', 'svc:cache', 'svc:db'], length: 2 },
+          { path: ['svc:api', 'svc:queue', 'svc:worker', 'svc:db'], length: 3 },
+        ],
+      };
+      const output = stripAnsi(renderPathView(mockData));
+      expect(output).toMatchSnapshot();
+    });
+
     it('renders path with long node IDs', () => {
       const mockData = {
         graph: 'test-graph',